@@ -0,0 +1,106 @@
+import { NextResponse } from 'next/server';
+import { getBackendBase } from '@/utils/serverBackend';
+import {
+  SESSION_COOKIE_NAME,
+  SESSION_MAX_AGE_SECONDS,
+  getSessionSecret,
+  normalizeRole,
+  signSession,
+} from '@/utils/session';
+
+/**
+ * Session cookie route used by saveAuth/clearAuth in utils/api.js.
+ *
+ * POST { token } → verifies the token with the PHP backend (api/verify_session.php),
+ * then stores token + role + branch_id in a signed httpOnly cookie that middleware.js checks.
+ * The role always comes from the backend, never from the request body.
+ *
+ * DELETE → clears the cookie (logout).
+ */
+
+const cookieOptions = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/',
+};
+
+/**
+ * Ask the PHP backend who owns this token
+ * @returns {Promise<Object|null>} { role, branch_id, user_id } or null when invalid
+ */
+async function verifyTokenWithBackend(token) {
+  const base = getBackendBase();
+  if (!base) return null;
+
+  const res = await fetch(new URL('api/verify_session.php', base), {
+    method: 'POST',
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({ token }),
+    cache: 'no-store',
+  });
+  if (!res.ok) return null;
+
+  const json = await res.json().catch(() => null);
+  if (!json || json.success === false) return null;
+
+  // Accept both { success, data: { role } } and flat { success, role }
+  const data = json.data && typeof json.data === 'object' ? json.data : json;
+  const user = data.user && typeof data.user === 'object' ? data.user : {};
+  const role = data.role ?? user.role;
+  if (!normalizeRole(role)) return null;
+
+  return {
+    role: String(role),
+    branch_id: data.branch_id ?? user.branch_id ?? null,
+    user_id: data.user_id ?? user.id ?? null,
+  };
+}
+
+export async function POST(request) {
+  const secret = getSessionSecret();
+  if (!secret) {
+    return NextResponse.json(
+      { success: false, message: 'Server misconfiguration: set SESSION_SECRET to enable dashboard sessions.' },
+      { status: 500 }
+    );
+  }
+
+  const body = await request.json().catch(() => ({}));
+  const token = body && typeof body.token === 'string' ? body.token.trim() : '';
+  if (!token) {
+    return NextResponse.json({ success: false, message: 'Token is required' }, { status: 400 });
+  }
+
+  let verified;
+  try {
+    verified = await verifyTokenWithBackend(token);
+  } catch (e) {
+    const msg = e instanceof Error ? e.message : String(e);
+    return NextResponse.json(
+      { success: false, message: 'Could not reach PHP server to verify session', error: msg },
+      { status: 502 }
+    );
+  }
+
+  if (!verified) {
+    const out = NextResponse.json({ success: false, message: 'Invalid or expired session token' }, { status: 401 });
+    out.cookies.delete(SESSION_COOKIE_NAME);
+    return out;
+  }
+
+  const value = await signSession({ token, ...verified }, secret);
+  const out = NextResponse.json({ success: true, role: verified.role, branch_id: verified.branch_id });
+  out.cookies.set(SESSION_COOKIE_NAME, value, { ...cookieOptions, maxAge: SESSION_MAX_AGE_SECONDS });
+  return out;
+}
+
+export async function DELETE() {
+  const out = NextResponse.json({ success: true });
+  out.cookies.set(SESSION_COOKIE_NAME, '', { ...cookieOptions, maxAge: 0 });
+  return out;
+}
@@ -0,0 +1,134 @@
+import { NextResponse } from 'next/server';
+import { SESSION_COOKIE_NAME, getSessionSecret, normalizeRole, verifySession } from '@/utils/session';
+import {
+  EVENT_ID_PATTERN,
+  EVENT_TYPE_PATTERN,
+  HEARTBEAT_INTERVAL_MS,
+  MAX_EVENT_BYTES,
+  formatSseMessage,
+  publishEvent,
+  subscribeToEvents,
+} from '@/utils/eventHub';
+
+/**
+ * Live dashboard events, used by listenForUpdates/broadcastUpdate in utils/dashboardSync.js.
+ *
+ * GET → text/event-stream of the signed-in user's branch. Super admins follow every branch, or one
+ * with ?branch_id=. Every message is an unnamed SSE event whose data is { id, type, data, branch_id, timestamp }.
+ *
+ * POST { id, type, data, branch_id } → sends the event to every stream of that branch.
+ * Dashboards post with their session cookie, and the event goes to their own branch (super admins may name one).
+ * The PHP backend may post too, with X-Events-Secret set to EVENTS_PUBLISH_SECRET.
+ */
+
+export const dynamic = 'force-dynamic';
+
+const encoder = new TextEncoder();
+
+const getSession = (request) => verifySession(request.cookies.get(SESSION_COOKIE_NAME)?.value, getSessionSecret());
+
+const isSuperAdmin = (session) => normalizeRole(session.role) === 'super_admin';
+
+// Only super admins may follow every branch; anyone else without a branch gets nothing rather than everything
+const hasBranchScope = (session) => isSuperAdmin(session) ||
+  (session.branch_id !== null && session.branch_id !== undefined && session.branch_id !== '');
+
+const noBranchResponse = () => NextResponse.json({ success: false, message: 'No branch assigned to this session' }, { status: 403 });
+
+export async function GET(request) {
+  const session = await getSession(request);
+  if (!session) {
+    return NextResponse.json({ success: false, message: 'Not signed in' }, { status: 401 });
+  }
+  if (!hasBranchScope(session)) {
+    return noBranchResponse();
+  }
+
+  const requestedBranch = request.nextUrl.searchParams.get('branch_id');
+  const branchId = isSuperAdmin(session) ? requestedBranch || null : session.branch_id;
+
+  let cleanup = () => {};
+  const stream = new ReadableStream({
+    start(controller) {
+      const write = (text) => controller.enqueue(encoder.encode(text));
+      // Browsers reconnect on their own; ask them to wait 3s
+      write('retry: 3000\n\n');
+
+      const unsubscribe = subscribeToEvents(branchId, (event) => write(formatSseMessage(event)));
+      const heartbeat = setInterval(() => {
+        try {
+          write(': ping\n\n');
+        } catch {
+          cleanup();
+        }
+      }, HEARTBEAT_INTERVAL_MS);
+
+      cleanup = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      };
+      request.signal.addEventListener('abort', () => {
+        cleanup();
+        try {
+          controller.close();
+        } catch {
+          // Already closed
+        }
+      });
+    },
+    cancel() {
+      cleanup();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // nginx buffers responses by default, which would hold events back
+      'X-Accel-Buffering': 'no',
+    },
+  });
+}
+
+export async function POST(request) {
+  const publishSecret = process.env.EVENTS_PUBLISH_SECRET || '';
+  const fromBackend = Boolean(publishSecret) && request.headers.get('x-events-secret') === publishSecret;
+  const session = fromBackend ? null : await getSession(request);
+  if (!fromBackend && !session) {
+    return NextResponse.json({ success: false, message: 'Not signed in' }, { status: 401 });
+  }
+  if (session && !hasBranchScope(session)) {
+    return noBranchResponse();
+  }
+
+  const raw = await request.text();
+  if (raw.length > MAX_EVENT_BYTES) {
+    return NextResponse.json({ success: false, message: 'Event is too large' }, { status: 413 });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(raw);
+  } catch {
+    body = null;
+  }
+  if (!body || typeof body !== 'object' || !EVENT_TYPE_PATTERN.test(String(body.type || ''))) {
+    return NextResponse.json({ success: false, message: 'A valid event type is required' }, { status: 400 });
+  }
+
+  // Branch users can only reach their own branch
+  const branchId = fromBackend || isSuperAdmin(session) ? body.branch_id ?? null : session.branch_id;
+
+  const delivered = publishEvent({
+    id: typeof body.id === 'string' && EVENT_ID_PATTERN.test(body.id) ? body.id : crypto.randomUUID(),
+    type: body.type,
+    data: body.data && typeof body.data === 'object' ? body.data : {},
+    branch_id: branchId,
+    timestamp: Date.now(),
+    source: 'dashboard_sync',
+  });
+
+  return NextResponse.json({ success: true, delivered });
+}
@@ -1,35 +1,96 @@
 import { NextResponse } from 'next/server';
+import { getBackendBase } from '@/utils/serverBackend';
+import {
+  RATE_LIMIT_PER_IP,
+  RATE_LIMIT_PER_TOKEN,
+  consumeRateLimit,
+  fingerprintToken,
+  getBearerToken,
+  getClientIp,
+  isAllowedProxyPath,
+  logProxyAccess,
+  resolveRequestId,
+  signProxyRequest,
+} from '@/utils/proxyGateway';
 
 /**
  * Server-side proxy to the PHP API. Browser calls same-origin /api/php-proxy/...
  * so production (e.g. Vercel) avoids cross-origin CORS to Hostinger.
  *
- * Set NEXT_PUBLIC_API_BASE_URL or API_BACKEND_URL to the PHP site root that
- * makes URLs like: {base}api/login.php (e.g. https://your-host/restuarent/)
+ * Backend base URL comes from getBackendBase() (NEXT_PUBLIC_API_BASE_URL or API_BACKEND_URL).
+ *
+ * Gateway features (see utils/proxyGateway.js):
+ * - only allow-listed endpoints are forwarded (404 otherwise)
+ * - per-IP and per-token rate limits (429 with Retry-After)
+ * - X-Request-Id forwarded to PHP and echoed back to the browser
+ * - optional HMAC request signature when PROXY_SIGNING_SECRET is set
+ * - one structured JSON access log line per request
  */
-function getBackendBase() {
-  const raw = process.env.API_BACKEND_URL || process.env.NEXT_PUBLIC_API_BASE_URL || '';
-  if (!raw.trim()) return '';
-  return raw.replace(/\/*$/, '/');
+
+function jsonWithRequestId(body, status, requestId, extraHeaders = {}) {
+  const out = NextResponse.json({ ...body, request_id: requestId }, { status });
+  out.headers.set('x-request-id', requestId);
+  Object.entries(extraHeaders).forEach(([key, value]) => out.headers.set(key, value));
+  return out;
 }
 
 async function forward(request, context) {
+  const startedAt = Date.now();
+  const requestId = resolveRequestId(request);
+  const ip = getClientIp(request);
+  const token = getBearerToken(request);
+  const tokenFingerprint = token ? await fingerprintToken(token) : null;
+
   const params = await context.params;
   const segments = params.path;
   const pathStr = Array.isArray(segments) ? segments.join('/') : '';
+
+  const log = (status, extra = {}) =>
+    logProxyAccess({
+      requestId,
+      method: request.method,
+      path: pathStr || '/',
+      status,
+      latencyMs: Date.now() - startedAt,
+      ip,
+      token: tokenFingerprint,
+      ...extra,
+    });
+
   if (!pathStr) {
-    return NextResponse.json({ success: false, message: 'Missing API path' }, { status: 400 });
+    log(400, { blocked: 'missing_path' });
+    return jsonWithRequestId({ success: false, message: 'Missing API path' }, 400, requestId);
+  }
+
+  if (!isAllowedProxyPath(pathStr)) {
+    log(404, { blocked: 'not_allowed' });
+    return jsonWithRequestId({ success: false, message: `Unknown API endpoint: ${pathStr}` }, 404, requestId);
+  }
+
+  const ipLimit = consumeRateLimit(`ip:${ip}`, RATE_LIMIT_PER_IP);
+  const tokenLimit = tokenFingerprint ? consumeRateLimit(`token:${tokenFingerprint}`, RATE_LIMIT_PER_TOKEN) : null;
+  const exceeded = !ipLimit.allowed ? ipLimit : tokenLimit && !tokenLimit.allowed ? tokenLimit : null;
+  if (exceeded) {
+    log(429, { blocked: !ipLimit.allowed ? 'rate_limit_ip' : 'rate_limit_token' });
+    return jsonWithRequestId(
+      { success: false, message: 'Too many requests. Please wait a moment and try again.' },
+      429,
+      requestId,
+      { 'retry-after': String(exceeded.retryAfterSeconds) }
+    );
   }
 
   const base = getBackendBase();
   if (!base) {
-    return NextResponse.json(
+    log(500, { blocked: 'misconfigured' });
+    return jsonWithRequestId(
       {
         success: false,
         message:
           'Server misconfiguration: set NEXT_PUBLIC_API_BASE_URL (or API_BACKEND_URL) to your PHP base URL, e.g. https://host/restuarent/',
       },
-      { status: 500 }
+      500,
+      requestId
     );
   }
 
@@ -42,6 +103,8 @@ async function forward(request, context) {
       headers.set(key, value);
     }
   });
+  headers.set('X-Request-Id', requestId);
+  headers.set('X-Forwarded-For', ip);
 
   const init = {
     method: request.method,
@@ -53,14 +116,26 @@ async function forward(request, context) {
     init.body = await request.text();
   }
 
+  const signatureHeaders = await signProxyRequest({
+    method: request.method,
+    path: `${pathStr}${request.nextUrl.search}`,
+    body: init.body,
+    requestId,
+  });
+  if (signatureHeaders) {
+    Object.entries(signatureHeaders).forEach(([key, value]) => headers.set(key, value));
+  }
+
   let res;
   try {
     res = await fetch(target, init);
   } catch (e) {
     const msg = e instanceof Error ? e.message : String(e);
-    return NextResponse.json(
+    log(502, { error: msg });
+    return jsonWithRequestId(
       { success: false, message: 'Proxy could not reach PHP server', error: msg },
-      { status: 502 }
+      502,
+      requestId
     );
   }
 
@@ -68,6 +143,8 @@ async function forward(request, context) {
   const out = new NextResponse(text, { status: res.status });
   const ct = res.headers.get('content-type');
   if (ct) out.headers.set('content-type', ct);
+  out.headers.set('x-request-id', requestId);
+  log(res.status);
   return out;
 }
 
@@ -11,9 +11,35 @@ import AccountantLayout from '@/components/accountant/AccountantLayout';
 import Button from '@/components/ui/Button';
 import Input from '@/components/ui/Input';
 import Modal from '@/components/ui/Modal';
+import ModifierPickerModal from '@/components/menu/ModifierPickerModal';
+import ComboPickerModal from '@/components/menu/ComboPickerModal';
 import Alert from '@/components/ui/Alert';
-import { apiPost, getTerminal, getToken, getBranchId } from '@/utils/api';
+import TableMapPanel from '@/components/floor/TableMapPanel';
+import DeliveryDetailsForm from '@/components/delivery/DeliveryDetailsForm';
+import CustomerLookup from '@/components/customers/CustomerLookup';
+import { apiPost, getTerminal, getBranchId, getUserId } from '@/utils/api';
 import { formatPKR } from '@/utils/format';
+import {
+  getDishModifierGroups,
+  createCartLine,
+  calculateCartSubtotal,
+  toOrderItemPayload,
+  formatModifierSummary,
+  getItemModifiers,
+} from '@/utils/modifiers';
+import {
+  COMBO_CATEGORY,
+  toComboMenuEntry,
+  buildComboComponents,
+  createComboCartLine,
+  formatComboComponents,
+  getItemComponents,
+  expandComboComponents,
+} from '@/utils/combos';
+import { useCombos } from '@/hooks/useCombos';
+import { useDeliverySetup } from '@/hooks/useDeliverySetup';
+import { EMPTY_DELIVERY, getZoneCharge, prefillDeliveryFromCustomer, toDeliveryPayload, validateDelivery } from '@/utils/delivery';
+import { takeSeatingHandoff } from '@/utils/reservations';
 import { ShoppingCart, Plus, Minus, X, Receipt, Check } from 'lucide-react';
 import { broadcastUpdate, UPDATE_EVENTS } from '@/utils/dashboardSync';
 
@@ -26,8 +52,16 @@ export default function CreateOrderPage() {
   const [orderType, setOrderType] = useState('Dine In'); // Dine In, Take Away, Delivery
   const [selectedHall, setSelectedHall] = useState('');
   const [selectedTable, setSelectedTable] = useState('');
+  const [showFloorMap, setShowFloorMap] = useState(false); // Pick the table from the live floor plan
+  const [seatedGuest, setSeatedGuest] = useState(null); // Reservation/waitlist guest seated at the selected table
+  const [customer, setCustomer] = useState(null); // Customer the order is linked to (history, loyalty)
+  const [delivery, setDelivery] = useState(EMPTY_DELIVERY); // Address, phone, zone and rider of a Delivery order
   const [selectedCategory, setSelectedCategory] = useState('');
-  const [cart, setCart] = useState([]); // [{ dish_id, name, price, quantity, category_name }]
+  const [cart, setCart] = useState([]); // [{ line_key, dish_id, name, price, base_price, modifiers, quantity, category_name }]
+  const [modifierDish, setModifierDish] = useState(null); // Dish waiting for its options (size, add-ons)
+  const [comboEntry, setComboEntry] = useState(null); // Combo waiting for its choice slots to be picked
+  const { combos } = useCombos(getBranchId());
+  const deliverySetup = useDeliverySetup(getBranchId());
   const [comments, setComments] = useState('');
   
   const [loading, setLoading] = useState(true);
@@ -50,7 +84,8 @@ export default function CreateOrderPage() {
     try {
       const orderId = orderReceipt.order_id;
       // Use receipt items, but if they don't have category_id, try to get from cart
-      let items = orderReceipt.items || [];
+      // Combos print per component so each part reaches its own kitchen
+      let items = expandComboComponents(orderReceipt.items || []);
       
       // If items don't have category_id, try to merge with cart items that have category info
       if (items.length > 0 && !items[0].category_id && cart.length > 0) {
@@ -598,6 +633,19 @@ export default function CreateOrderPage() {
     fetchDishes();
   }, []);
 
+  useEffect(() => {
+    // A guest seated from Reservations arrives with their table and customer
+    const seating = takeSeatingHandoff();
+    if (!seating) return;
+    queueMicrotask(() => {
+      setOrderType('Dine In');
+      setSelectedHall(String(seating.hall_id));
+      setSelectedTable(String(seating.table_id));
+      setSeatedGuest(seating);
+      setCustomer(seating.customer || null);
+    });
+  }, []);
+
   useEffect(() => {
     if (selectedHall) {
       fetchTables();
@@ -968,29 +1016,56 @@ export default function CreateOrderPage() {
 
   /**
    * Add item to cart
+   * The same dish with different modifiers goes on its own line
+   */
+  const addToCart = (dish, modifiers = []) => {
+    addLineToCart(createCartLine(dish, modifiers));
+  };
+
+  /**
+   * Add a built cart line (dish or combo), stacking it onto an identical line
    */
-  const addToCart = (dish) => {
+  const addLineToCart = (line) => {
     setCart((prevCart) => {
-      const existingItem = prevCart.find((item) => item.dish_id === dish.dish_id);
+      const existingItem = prevCart.find((item) => item.line_key === line.line_key);
       if (existingItem) {
         return prevCart.map((item) =>
-          item.dish_id === dish.dish_id ? { ...item, quantity: item.quantity + 1 } : item
+          item.line_key === line.line_key ? { ...item, quantity: item.quantity + 1 } : item
         );
       }
-      return [...prevCart, { ...dish, quantity: 1 }];
+      return [...prevCart, line];
     });
   };
 
+  /**
+   * Dish tapped in the menu - ask for its modifiers first when it has any
+   */
+  const handleDishClick = (dish) => {
+    if (dish.combo_id) {
+      if (dish.combo.slots.length > 0) {
+        setComboEntry(dish);
+      } else {
+        addLineToCart(createComboCartLine(dish, buildComboComponents(dish.combo, {}, dishes)));
+      }
+      return;
+    }
+    if (getDishModifierGroups(dish).length > 0) {
+      setModifierDish(dish);
+      return;
+    }
+    addToCart(dish);
+  };
+
   /**
    * Update cart item quantity
    */
-  const updateCartQuantity = (dishId, newQuantity) => {
+  const updateCartQuantity = (lineKey, newQuantity) => {
     if (newQuantity <= 0) {
-      removeFromCart(dishId);
+      removeFromCart(lineKey);
       return;
     }
     setCart(cart.map(item =>
-      item.dish_id === dishId
+      item.line_key === lineKey
         ? { ...item, quantity: newQuantity }
         : item
     ));
@@ -999,16 +1074,26 @@ export default function CreateOrderPage() {
   /**
    * Remove item from cart
    */
-  const removeFromCart = (dishId) => {
-    setCart(cart.filter(item => item.dish_id !== dishId));
+  const removeFromCart = (lineKey) => {
+    setCart(cart.filter(item => item.line_key !== lineKey));
+  };
+
+  /**
+   * Attach a customer; a Delivery order takes their phone, name and address where still blank
+   */
+  const handleCustomerChange = (picked) => {
+    setCustomer(picked);
+    if (picked) setDelivery(prev => prefillDeliveryFromCustomer(prev, picked));
   };
 
   /**
    * Calculate totals
    */
   const calculateTotals = () => {
-    const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    return { subtotal, total: subtotal };
+    const subtotal = calculateCartSubtotal(cart);
+    // A Delivery order carries its zone's charge, billed as the order's service charge
+    const deliveryCharge = orderType === 'Delivery' ? getZoneCharge(deliverySetup.zones, delivery.zone_id) : 0;
+    return { subtotal, deliveryCharge, total: subtotal + deliveryCharge };
   };
 
   /**
@@ -1020,6 +1105,13 @@ export default function CreateOrderPage() {
       setAlert({ type: 'error', message: 'Please select a hall and table for Dine In orders' });
       return;
     }
+    if (orderType === 'Delivery') {
+      const deliveryError = validateDelivery(delivery, deliverySetup.zones);
+      if (deliveryError) {
+        setAlert({ type: 'error', message: deliveryError });
+        return;
+      }
+    }
     if (cart.length === 0) {
       setAlert({ type: 'error', message: 'Cart is empty. Please add items' });
       return;
@@ -1044,25 +1136,22 @@ export default function CreateOrderPage() {
     try {
       const terminal = getTerminal();
       const branchId = getBranchId();
-      const userId = getToken(); // Get user ID from token or localStorage
+      const userId = getUserId(); // Staff member signed in on this terminal (switches with the PIN lock screen)
       
       // Prepare order items
-      const items = cart.map(item => ({
-        dish_id: item.dish_id,
-        price: item.price,
-        quantity: item.quantity,
-      }));
+      const items = cart.map(toOrderItemPayload);
 
-      const { subtotal } = calculateTotals();
+      const { subtotal, deliveryCharge } = calculateTotals();
 
       // Prepare order data matching database structure
       // Order status is "Running" to send to kitchen
       // Service charge and discount will be added when generating bill
       const orderData = {
-        customer_id: null, // Can be added later if customer selection is needed
+        customer_id: customer?.customer_id || null, // Looked up by phone, or the reserved/waiting guest seated
+        reservation_id: seatedGuest?.reservation_id || null,
         order_type: orderType, // Dine In, Take Away, Delivery
         order_status: 'Running', // Send to Kitchen
-        service_charge: 0, // Will be added when generating bill
+        service_charge: deliveryCharge, // Delivery charge; Dine In service charge is added when generating bill
         discount_amount: 0, // Will be added when generating bill
         order_taker_id: parseInt(userId) || 1,
         payment_mode: 'Cash', // Default, will be set when generating bill
@@ -1072,6 +1161,7 @@ export default function CreateOrderPage() {
         comments: comments,
         terminal: terminal,
         branch_id: branchId || terminal, // Use branch_id or fallback to terminal
+        ...(orderType === 'Delivery' ? toDeliveryPayload(delivery, deliverySetup.zones) : {}),
         items: items,
       };
 
@@ -1079,6 +1169,21 @@ export default function CreateOrderPage() {
       // Backend automatically prints kitchen receipts after order creation
       const result = await apiPost('api/create_order_with_kitchen.php', orderData);
 
+      // Offline: the order was saved to the sync queue and will be sent once the server is reachable
+      if (result.queued) {
+        setPrintingStatus(null);
+        setCart([]);
+        setOrderType('Dine In');
+        setSelectedHall('');
+        setSelectedTable('');
+        setComments('');
+        setSeatedGuest(null);
+        setDelivery(EMPTY_DELIVERY);
+        setCustomer(null);
+        setAlert({ type: 'warning', message: result.data.message });
+        return;
+      }
+
       // Handle response - check for empty response first
       if (!result.data) {
         setAlert({ type: 'error', message: 'Server returned an empty response. Please check your connection and try again.' });
@@ -1104,7 +1209,9 @@ export default function CreateOrderPage() {
                   category_id: cartItem.category_id,
                   kitchen_id: cartItem.kitchen_id,
                   kitchen: cartItem.kitchen,
-                  category_name: cartItem.category_name
+                  category_name: cartItem.category_name,
+                  modifiers: cartItem.modifiers,
+                  components: cartItem.components
                 }));
 
           // Merge category/kitchen info from cart if API items don't have it
@@ -1143,7 +1250,9 @@ export default function CreateOrderPage() {
             category_id: item.category_id,
             kitchen_id: item.kitchen_id,
             kitchen: item.kitchen,
-            category_name: item.category_name
+            category_name: item.category_name,
+            modifiers: getItemModifiers(item),
+            components: getItemComponents(item)
           }));
 
           setOrderReceipt({
@@ -1194,6 +1303,9 @@ export default function CreateOrderPage() {
           setSelectedHall('');
           setSelectedTable('');
           setComments('');
+          setSeatedGuest(null);
+          setDelivery(EMPTY_DELIVERY);
+          setCustomer(null);
           setAlert({ type: 'success', message: result.data.message || 'Order placed successfully! Kitchen receipts are being printed automatically.' });
           // Broadcast update to other dashboard instances
           if (result.data.order_id) {
@@ -1221,7 +1333,9 @@ export default function CreateOrderPage() {
                   category_id: cartItem.category_id,
                   kitchen_id: cartItem.kitchen_id,
                   kitchen: cartItem.kitchen,
-                  category_name: cartItem.category_name
+                  category_name: cartItem.category_name,
+                  modifiers: cartItem.modifiers,
+                  components: cartItem.components
                 }));
 
           // Merge category/kitchen info from cart if API items don't have it
@@ -1260,7 +1374,9 @@ export default function CreateOrderPage() {
             category_id: item.category_id,
             kitchen_id: item.kitchen_id,
             kitchen: item.kitchen,
-            category_name: item.category_name
+            category_name: item.category_name,
+            modifiers: getItemModifiers(item),
+            components: getItemComponents(item)
           }));
 
           setOrderReceipt({
@@ -1311,6 +1427,9 @@ export default function CreateOrderPage() {
           setSelectedHall('');
           setSelectedTable('');
           setComments('');
+          setSeatedGuest(null);
+          setDelivery(EMPTY_DELIVERY);
+          setCustomer(null);
           setAlert({ type: 'success', message: 'Order placed successfully! Kitchen receipts are being printed automatically.' });
           // Broadcast update to other dashboard instances
           if (result.data && result.data.order_id) {
@@ -1374,11 +1493,16 @@ export default function CreateOrderPage() {
     }
   };
 
-  const { subtotal } = calculateTotals();
+  const { subtotal, deliveryCharge, total } = calculateTotals();
   
+  // Combos are listed like dishes under their own "Deals" category
+  const comboEntries = combos.map(toComboMenuEntry);
+  const menuDishes = [...dishes, ...comboEntries];
+  const menuCategories = comboEntries.length > 0 ? [...categories, COMBO_CATEGORY] : categories;
+
   // Filter dishes by selected category - only show items when category is selected
   const filteredDishes = selectedCategory 
-    ? dishes.filter(dish => String(dish.category_id) === String(selectedCategory) && dish.is_available == 1)
+    ? menuDishes.filter(dish => String(dish.category_id) === String(selectedCategory) && dish.is_available == 1)
     : [];
 
   return (
@@ -1424,6 +1548,9 @@ export default function CreateOrderPage() {
                 value={orderType}
                 onChange={(e) => {
                   setOrderType(e.target.value);
+                  if (e.target.value === 'Delivery' && customer) {
+                    setDelivery(prev => prefillDeliveryFromCustomer(prev, customer));
+                  }
                   if (e.target.value !== 'Dine In') {
                     setSelectedHall('');
                     setSelectedTable('');
@@ -1495,6 +1622,65 @@ export default function CreateOrderPage() {
               </div>
             )}
           </div>
+
+          {/* Customer (optional, found by phone) */}
+          <div className="mt-4 max-w-xl">
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Customer</label>
+            <CustomerLookup branchId={getBranchId()} customer={customer} onChange={handleCustomerChange} />
+          </div>
+
+          {/* Delivery details (only for Delivery) */}
+          {orderType === 'Delivery' && (
+            <div className="mt-4">
+              <DeliveryDetailsForm value={delivery} onChange={setDelivery} zones={deliverySetup.zones} riders={deliverySetup.riders} />
+            </div>
+          )}
+
+          {/* Seated reservation / waitlist guest */}
+          {orderType === 'Dine In' && seatedGuest && (
+            <div className="mt-4 flex items-center justify-between gap-3 rounded-lg border border-purple-200 bg-purple-50 px-3 py-2 text-sm text-purple-900">
+              <span>
+                Guest <span className="font-semibold">{seatedGuest.guest_name}</span> · party of {seatedGuest.party_size}
+                {seatedGuest.customer ? ` · customer ${seatedGuest.customer.phone || seatedGuest.customer.name}` : ''}
+              </span>
+              <button
+                type="button"
+                onClick={() => setSeatedGuest(null)}
+                className="p-1 rounded hover:bg-purple-100"
+                title="Remove guest from this order"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+
+          {/* Live floor map (only for Dine In) */}
+          {orderType === 'Dine In' && (
+            <div className="mt-4">
+              <button
+                type="button"
+                onClick={() => setShowFloorMap(prev => !prev)}
+                className="text-sm font-semibold text-[#FF5F15] hover:text-[#FF9500]"
+              >
+                {showFloorMap ? 'Hide floor map' : 'Pick from floor map'}
+              </button>
+              {showFloorMap && (
+                <div className="mt-3">
+                  <TableMapPanel
+                    branchId={getBranchId()}
+                    selectedTableId={selectedTable}
+                    onSelectTable={(table, seating) => {
+                      setSelectedHall(String(table.hall_id));
+                      setSelectedTable(String(table.table_id));
+                      setSeatedGuest(seating || null);
+                      if (seating?.customer) setCustomer(seating.customer);
+                    }}
+                    ordersPath='/dashboard/accountant/orders'
+                  />
+                </div>
+              )}
+            </div>
+          )}
         </div>
 
         {/* Menu Items & Cart */}
@@ -1519,7 +1705,7 @@ export default function CreateOrderPage() {
                   )}
                 </div>
                 <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
-                  {categories.map((category) => {
+                  {menuCategories.map((category) => {
                     const isSelected = String(selectedCategory) === String(category.category_id);
                     return (
                       <button
@@ -1546,7 +1732,7 @@ export default function CreateOrderPage() {
                             )}
                           </div>
                           <div className={`text-xs ${isSelected ? 'text-orange-100' : 'text-gray-500'}`}>
-                            {dishes.filter(d => String(d.category_id) === String(category.category_id) && d.is_available == 1).length} items available
+                            {menuDishes.filter(d => String(d.category_id) === String(category.category_id) && d.is_available == 1).length} items available
                           </div>
                         </div>
                       </button>
@@ -1586,7 +1772,7 @@ export default function CreateOrderPage() {
                           Menu Items
                         </h2>
                         <p className="text-sm text-gray-600">
-                          Category: <span className="font-semibold text-[#FF5F15]">{categories.find(c => String(c.category_id) === String(selectedCategory))?.name || 'Selected'}</span>
+                          Category: <span className="font-semibold text-[#FF5F15]">{menuCategories.find(c => String(c.category_id) === String(selectedCategory))?.name || 'Selected'}</span>
                         </p>
                       </div>
                       <div className="px-3 py-1.5 bg-[#FF5F15] bg-opacity-10 rounded-lg">
@@ -1634,7 +1820,7 @@ export default function CreateOrderPage() {
                               </div>
                               {dish.is_available == 1 && (
                                 <button
-                                  onClick={() => addToCart(dish)}
+                                  onClick={() => handleDishClick(dish)}
                                   className="px-5 py-2.5 bg-gradient-to-r from-[#FF5F15] to-[#FF9500] text-white rounded-lg font-semibold text-sm hover:from-[#FF9500] hover:to-[#FF5F15] transition-all shadow-lg hover:shadow-xl flex items-center gap-2 transform hover:scale-105"
                                 >
                                   <Plus className="w-4 h-4" />
@@ -1676,14 +1862,20 @@ export default function CreateOrderPage() {
                   {/* Cart Items */}
                   <div className="space-y-3 max-h-64 overflow-y-auto overflow-x-hidden pr-2 custom-scrollbar">
                     {cart.map((item) => (
-                      <div key={item.dish_id} className="bg-white border-2 border-gray-200 rounded-xl p-3 hover:border-[#FF5F15] transition-all shadow-sm">
+                      <div key={item.line_key} className="bg-white border-2 border-gray-200 rounded-xl p-3 hover:border-[#FF5F15] transition-all shadow-sm">
                         <div className="flex justify-between items-start mb-3">
                           <div className="flex-1 min-w-0">
                             <p className="font-semibold text-sm text-gray-900 truncate">{item.name}</p>
+                            {item.components?.length > 0 && (
+                              <p className="text-xs text-gray-500 mt-0.5 break-words">{formatComboComponents(item.components)}</p>
+                            )}
+                            {item.modifiers?.length > 0 && (
+                              <p className="text-xs text-gray-500 mt-0.5 break-words">{formatModifierSummary(item.modifiers)}</p>
+                            )}
                             <p className="text-xs text-gray-600 mt-0.5">{formatPKR(item.price)} each</p>
                           </div>
                           <button
-                            onClick={() => removeFromCart(item.dish_id)}
+                            onClick={() => removeFromCart(item.line_key)}
                             className="text-red-500 hover:text-red-700 hover:bg-red-50 p-1 rounded transition flex-shrink-0 ml-2"
                             title="Remove item"
                           >
@@ -1693,7 +1885,7 @@ export default function CreateOrderPage() {
                         <div className="flex items-center justify-between">
                           <div className="flex items-center gap-2 bg-gray-50 rounded-lg p-1">
                             <button
-                              onClick={() => updateCartQuantity(item.dish_id, item.quantity - 1)}
+                              onClick={() => updateCartQuantity(item.line_key, item.quantity - 1)}
                               className="w-8 h-8 rounded-lg bg-white border-2 border-gray-300 flex items-center justify-center hover:bg-gray-100 hover:border-gray-400 transition text-gray-900"
                               title="Decrease quantity"
                             >
@@ -1701,7 +1893,7 @@ export default function CreateOrderPage() {
                             </button>
                             <span className="text-sm font-bold w-10 text-center text-gray-900">{item.quantity}</span>
                             <button
-                              onClick={() => updateCartQuantity(item.dish_id, item.quantity + 1)}
+                              onClick={() => updateCartQuantity(item.line_key, item.quantity + 1)}
                               className="w-8 h-8 rounded-lg bg-white border-2 border-gray-300 flex items-center justify-center hover:bg-gray-100 hover:border-gray-400 transition text-gray-900"
                               title="Increase quantity"
                             >
@@ -1736,9 +1928,15 @@ export default function CreateOrderPage() {
                       <span className="text-base font-semibold text-gray-700">Subtotal:</span>
                       <span className="text-xl font-bold text-gray-900">{formatPKR(subtotal)}</span>
                     </div>
+                    {orderType === 'Delivery' && (
+                      <div className="flex justify-between items-center">
+                        <span className="text-base font-semibold text-gray-700">Delivery Charge:</span>
+                        <span className="text-base font-bold text-gray-900">{formatPKR(deliveryCharge)}</span>
+                      </div>
+                    )}
                     <div className="flex justify-between items-center pt-2 border-t border-gray-200">
                       <span className="text-lg font-bold text-gray-900">Total:</span>
-                      <span className="text-2xl font-bold text-[#FF5F15]">{formatPKR(subtotal)}</span>
+                      <span className="text-2xl font-bold text-[#FF5F15]">{formatPKR(total)}</span>
                     </div>
                     <p className="text-xs text-gray-500 text-center pt-2">
                       Bill will be generated later with discount & service charge
@@ -1809,10 +2007,15 @@ export default function CreateOrderPage() {
                         quantity: cartItem.quantity,
                         qty: cartItem.quantity,
                         price: cartItem.price,
-                        dish_id: cartItem.dish_id
+                        dish_id: cartItem.dish_id,
+                        modifiers: cartItem.modifiers,
+                        components: cartItem.components
                       }));
                     }
                     
+                    // Show combo components individually, the way the kitchen prepares them
+                    items = expandComboComponents(items);
+
                     const orderId = order.order_id || order.id || order.orderid || 'N/A';
                     const tableNumber = order.table_number || order.table || '';
                     const orderType = order.order_type || 'Dine In';
@@ -1941,6 +2144,11 @@ export default function CreateOrderPage() {
                                   }}
                                 >
                                   {item.dish_name || item.name || item.title || 'Item'}
+                                  {getItemModifiers(item).length > 0 && (
+                                    <span style={{ display: 'block', fontSize: '10px', fontWeight: 400, textTransform: 'none' }}>
+                                      + {formatModifierSummary(getItemModifiers(item))}
+                                    </span>
+                                  )}
                                 </span>
                                 <span
                                   className="kitchen-item-qty"
@@ -2020,6 +2228,9 @@ export default function CreateOrderPage() {
                     setSelectedHall('');
                     setSelectedTable('');
                     setComments('');
+                    setSeatedGuest(null);
+                    setDelivery(EMPTY_DELIVERY);
+                    setCustomer(null);
                   }}
                   className="flex-1"
                 >
@@ -2036,6 +2247,25 @@ export default function CreateOrderPage() {
           )}
         </Modal>
       </div>
+
+      <ModifierPickerModal
+        dish={modifierDish}
+        onClose={() => setModifierDish(null)}
+        onConfirm={(dish, modifiers) => {
+          addToCart(dish, modifiers);
+          setModifierDish(null);
+        }}
+      />
+
+      <ComboPickerModal
+        entry={comboEntry}
+        dishes={dishes}
+        onClose={() => setComboEntry(null)}
+        onConfirm={(entry, components) => {
+          addLineToCart(createComboCartLine(entry, components));
+          setComboEntry(null);
+        }}
+      />
       
       {/* Custom Scrollbar Styles */}
       <style jsx global>{`
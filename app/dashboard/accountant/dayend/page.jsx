@@ -3,7 +3,7 @@
 /**
  * Day End Management Page - Accountant
  * Manage day-end records with opening/closing balances
- * Uses APIs: get_dayend.php, dayend_management.php
+ * Uses APIs: get_dayend.php, dayend_management.php, delivery_management.php
  */
 
 import { useEffect, useState, useRef } from 'react';
@@ -14,8 +14,10 @@ import Modal from '@/components/ui/Modal';
 import Table from '@/components/ui/Table';
 import Alert from '@/components/ui/Alert';
 import { apiPost, apiGet, getBranchId, getFullname, getUsername, getTerminal } from '@/utils/api';
+import { deliveryManagement, getDayend, getLastDayend } from '@/utils/endpoints';
 import { formatPKR, formatDateTime } from '@/utils/format';
-import { isCreditPayment } from '@/utils/payment';
+import { isCreditPayment, getBillTenders, getTenderBucket } from '@/utils/payment';
+import { normalizeDelivery, summarizeRiderCash, toSqlDateTime } from '@/utils/delivery';
 import { Calendar, Printer, CheckCircle, DollarSign, Search, X, Eye } from 'lucide-react';
 
 export default function DayEndPage() {
@@ -51,6 +53,8 @@ export default function DayEndPage() {
     total_receivings: 0,
     credit_sales: 0,
   });
+  // Delivery cash: handed in by riders, still held by riders, and short on settlement
+  const [riderCash, setRiderCash] = useState({ settled: 0, pending: 0, short: 0 });
   const [selectedDayend, setSelectedDayend] = useState(null);
   const [viewOrdersModal, setViewOrdersModal] = useState(false);
   const [dayendOrders, setDayendOrders] = useState([]);
@@ -95,28 +99,10 @@ export default function DayEndPage() {
       // Get the last dayend's closing_date_time to filter sales
       let lastDayendTime = null;
       try {
-        const dayendResult = await apiPost('api/get_dayend.php', { branch_id: branchId });
-        if (dayendResult.success && dayendResult.data) {
-          let dayendData = [];
-          if (Array.isArray(dayendResult.data)) {
-            dayendData = dayendResult.data;
-          } else if (dayendResult.data.data && Array.isArray(dayendResult.data.data)) {
-            dayendData = dayendResult.data.data;
-          }
-          
-          if (dayendData.length > 0) {
-            // Sort by closing_date_time descending and get the most recent
-            const sortedDayends = [...dayendData].sort((a, b) => {
-              const dateA = new Date(a.closing_date_time || a.created_at || 0);
-              const dateB = new Date(b.closing_date_time || b.created_at || 0);
-              return dateB - dateA;
-            });
-            
-            if (sortedDayends[0] && sortedDayends[0].closing_date_time) {
-              lastDayendTime = sortedDayends[0].closing_date_time;
-              console.log('📅 Found last dayend, filtering sales after:', lastDayendTime);
-            }
-          }
+        const lastDayend = await getLastDayend({ branch_id: branchId });
+        if (lastDayend && lastDayend.closing_date_time) {
+          lastDayendTime = lastDayend.closing_date_time;
+          console.log('📅 Found last dayend, filtering sales after:', lastDayendTime);
         }
       } catch (error) {
         console.error('Error fetching dayend for calculation:', error);
@@ -183,6 +169,24 @@ export default function DayEndPage() {
           
           totalSales += netTotal;
 
+          // Mixed-tender and split bills count each part under its own payment method
+          const tenders = getBillTenders(bill);
+          if (tenders.length > 0) {
+            tenders.forEach(tender => {
+              const bucket = getTenderBucket(tender.payment_method);
+              if (bucket === 'credit_sales') {
+                creditSales += tender.amount;
+              } else if (bucket === 'total_cash') {
+                totalCash += tender.amount;
+              } else if (bucket === 'total_easypaisa') {
+                totalEasypaisa += tender.amount;
+              } else if (bucket === 'total_bank') {
+                totalBank += tender.amount;
+              }
+            });
+            return;
+          }
+
           // Use standardized utility for credit detection
           if (isCreditPayment(bill)) {
             creditSales += netTotal;
@@ -289,6 +293,18 @@ export default function DayEndPage() {
         console.error('Error fetching expenses:', error);
       }
 
+      // Delivered cash-on-delivery bills count as cash sales; the rider hands the cash in on settlement
+      try {
+        const since = lastDayendTime || toSqlDateTime(filterStartDate);
+        const [deliveries, settlements] = await Promise.all([
+          deliveryManagement.list({ branch_id: branchId, since }),
+          deliveryManagement.settlements({ branch_id: branchId, since }),
+        ]);
+        setRiderCash(summarizeRiderCash(deliveries.map(normalizeDelivery), settlements));
+      } catch (error) {
+        console.error('Error fetching rider cash:', error);
+      }
+
       // Update calculated totals
       setCalculatedTotals({
         total_cash: totalCash,
@@ -332,24 +348,9 @@ export default function DayEndPage() {
       if (dateFilter.start_date) params.start_date = dateFilter.start_date;
       if (dateFilter.end_date) params.end_date = dateFilter.end_date;
 
-      const result = await apiPost('api/get_dayend.php', params);
-
-      if (result.success && result.data) {
-        let dayendData = [];
-        
-        if (Array.isArray(result.data)) {
-          dayendData = result.data;
-        } else if (result.data.data && Array.isArray(result.data.data)) {
-          dayendData = result.data.data;
-        }
-
-        setDayends(dayendData);
-        setFilteredDayends(dayendData);
-      } else {
-        setAlert({ type: 'error', message: result.data?.message || 'Failed to load day-end records' });
-        setDayends([]);
-        setFilteredDayends([]);
-      }
+      const dayendData = await getDayend(params);
+      setDayends(dayendData);
+      setFilteredDayends(dayendData);
     } catch (error) {
       console.error('Error fetching day-ends:', error);
       setAlert({ type: 'error', message: 'Failed to load day-end records: ' + (error.message || 'Network error') });
@@ -473,6 +474,10 @@ export default function DayEndPage() {
       return;
     }
 
+    if (riderCash.pending > 0 && !confirm(`Riders still hold ${formatPKR(riderCash.pending)} of delivery cash. Close the day anyway?`)) {
+      return;
+    }
+
     setSubmitting(true);
     try {
       const branchId = getBranchId();
@@ -496,6 +501,9 @@ export default function DayEndPage() {
         total_receivings: parseFloat(formData.total_receivings || 0),
         drawings: parseFloat(formData.drawings || 0),
         closing_balance: parseFloat(formData.closing_balance || 0),
+        rider_cash_settled: riderCash.settled,
+        rider_cash_pending: riderCash.pending,
+        rider_cash_short: riderCash.short,
         closing_date_time: new Date().toISOString().slice(0, 19).replace('T', ' '), // MySQL datetime format: YYYY-MM-DD HH:mm:ss
         closing_by: 1, // You may need to get actual user ID
         closing_by_name: closingBy, // Add closing_by_name for display
@@ -1021,6 +1029,15 @@ export default function DayEndPage() {
               />
             </div>
 
+            {(riderCash.settled > 0 || riderCash.pending > 0 || riderCash.short > 0) && (
+              <div className={`rounded-lg border px-3 py-2 text-sm ${riderCash.pending > 0 || riderCash.short > 0 ? 'border-amber-200 bg-amber-50 text-amber-900' : 'border-gray-200 bg-gray-50 text-gray-700'}`}>
+                <p className="font-medium">Delivery rider cash (included in Total Cash)</p>
+                <p>
+                  Settled {formatPKR(riderCash.settled)} · Still with riders {formatPKR(riderCash.pending)} · Short {formatPKR(riderCash.short)}
+                </p>
+              </div>
+            )}
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Note
@@ -0,0 +1,19 @@
+'use client';
+
+/**
+ * Deliveries Page
+ * Delivery orders with rider assignment and status, and rider cash settlement
+ * Uses APIs: delivery_management.php, riders_management.php
+ */
+
+import AccountantLayout from '@/components/accountant/AccountantLayout';
+import DeliveryBoard from '@/components/delivery/DeliveryBoard';
+import { getBranchId } from '@/utils/api';
+
+export default function DeliveriesPage() {
+  return (
+    <AccountantLayout>
+      <DeliveryBoard branchId={getBranchId()} />
+    </AccountantLayout>
+  );
+}
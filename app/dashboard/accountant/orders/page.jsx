@@ -13,12 +13,26 @@ import Input from '@/components/ui/Input';
 import Table from '@/components/ui/Table';
 import Alert from '@/components/ui/Alert';
 import Modal from '@/components/ui/Modal';
+import SplitBillModal from '@/components/billing/SplitBillModal';
+import MergeOrdersModal from '@/components/orders/MergeOrdersModal';
+import SplitOrderModal from '@/components/orders/SplitOrderModal';
+import ItemVoidModal from '@/components/orders/ItemVoidModal';
+import ModifierPickerModal from '@/components/menu/ModifierPickerModal';
+import { isSentToKitchen, VOIDED_ITEM_STATUS } from '@/utils/itemVoids';
+import { formatComboComponents, getItemComponents } from '@/utils/combos';
+import { createCartLine, formatModifierSummary, getDishModifierGroups, getItemModifiers, getLineKey, getModifiersPriceDelta, toOrderItemPayload } from '@/utils/modifiers';
+import TenderLinesEditor, { DEFAULT_TENDER_LINES } from '@/components/billing/TenderLinesEditor';
+import { usePermissions } from '@/hooks/usePermissions';
 import { apiPost, apiDelete, apiGet, getTerminal, getBranchId, getBranchName } from '@/utils/api';
 import { formatPKR, formatDateTime } from '@/utils/format';
-import { FileText, Eye, Edit, Trash2, X, RefreshCw, Receipt, Calculator, Printer, Plus, Minus, ShoppingCart, CreditCard, DollarSign } from 'lucide-react';
+import { FileText, Eye, Edit, Trash2, X, RefreshCw, Receipt, Calculator, Printer, Plus, Minus, ShoppingCart, CreditCard, DollarSign, Merge, Split, Ban } from 'lucide-react';
 import ThermalReceipt from '@/components/receipt/ThermalReceipt';
+import LoyaltyRedemption from '@/components/loyalty/LoyaltyRedemption';
 import { broadcastUpdate, listenForUpdates, UPDATE_EVENTS } from '@/utils/dashboardSync';
 import { computeBillBreakdown, isDineInOrderType } from '@/utils/billTotals';
+import { getOrdersById, changeOrderStatus, billsManagement, loyaltyLedger, ApiError } from '@/utils/endpoints';
+import { applyLoyaltyToBill, describeBalance, describeRedemption, normalizeLoyaltyBalance, toLoyaltyPayload } from '@/utils/loyalty';
+import { getCreditTenderAmount, summarizeTenders, validateTenders } from '@/utils/payment';
 
 export default function OrderManagementPage() {
   const [orders, setOrders] = useState([]);
@@ -33,6 +47,7 @@ export default function OrderManagementPage() {
   const [customDateFrom, setCustomDateFrom] = useState(''); // Custom date range start
   const [customDateTo, setCustomDateTo] = useState(''); // Custom date range end
   const [alert, setAlert] = useState({ type: '', message: '' });
+  const { can } = usePermissions();
   const [detailsModalOpen, setDetailsModalOpen] = useState(false);
   const [editModalOpen, setEditModalOpen] = useState(false);
   const [billModalOpen, setBillModalOpen] = useState(false);
@@ -45,6 +60,7 @@ export default function OrderManagementPage() {
   const [customers, setCustomers] = useState([]); // Credit customers list
   const [paymentMode, setPaymentMode] = useState('Cash'); // Payment mode for Pay Bill modal
   const [paymentCustomerId, setPaymentCustomerId] = useState(null); // Customer ID for credit payment
+  const [tenderLines, setTenderLines] = useState(DEFAULT_TENDER_LINES); // Tender lines for Mixed payment mode
   const [receiptModalOpen, setReceiptModalOpen] = useState(false);
   const [paymentModalOpen, setPaymentModalOpen] = useState(false);
   const [paymentData, setPaymentData] = useState({
@@ -52,6 +68,7 @@ export default function OrderManagementPage() {
     change: 0,
   });
   const [generatedBill, setGeneratedBill] = useState(null);
+  const [splitBillOpen, setSplitBillOpen] = useState(false); // Split Bill modal (opened from Receive Payment)
   const handlePrintReceiptRef = useRef(null);
   const [isPrinting, setIsPrinting] = useState(false);
   const [formData, setFormData] = useState({
@@ -65,6 +82,10 @@ export default function OrderManagementPage() {
   const [selectedCategory, setSelectedCategory] = useState(''); // Selected category in edit modal
   const [tables, setTables] = useState([]); // Tables for transfer functionality
   const [originalTableId, setOriginalTableId] = useState(null); // Store original table ID for transfer
+  const [mergeTarget, setMergeTarget] = useState(null); // Order other tables' orders are merged into
+  const [voidItem, setVoidItem] = useState(null); // Kitchen item being voided or re-fired from the edit modal
+  const [modifierDish, setModifierDish] = useState(null); // Dish waiting for its options before it is added in the edit modal
+  const [splitTarget, setSplitTarget] = useState(null); // Order whose items are being split off
 
   useEffect(() => {
     fetchOrders();
@@ -466,51 +487,16 @@ export default function OrderManagementPage() {
       // Prepare order ID - prefer numeric order_id over orderid string
       const orderIdParam = orderId || (orderNumber ? (orderNumber.toString().replace(/ORD-?/i, '') || orderNumber) : null);
       
-      
-      // Fetch order details with items - get_ordersbyid.php returns order with items array
-      const orderResult = await apiPost('api/get_ordersbyid.php', { 
-        order_id: orderIdParam,
-        orderid: orderNumber || `ORD-${orderIdParam}` || orderIdParam
-      });
-      
-      // Initialize itemsData early to avoid "Cannot access before initialization" error
-      let itemsData = [];
-      
+      // Fetch order details with items - getOrdersById normalizes every get_ordersbyid.php response shape
       let orderData = null;
-      
-      // Handle multiple response structures for order data
-      // get_ordersbyid.php returns order with items array
-      if (orderResult.success && orderResult.data) {
-        if (Array.isArray(orderResult.data) && orderResult.data.length > 0) {
-          orderData = orderResult.data[0];
-          // Extract items from order if present
-          if (orderData.items && Array.isArray(orderData.items)) {
-            itemsData = orderData.items;
-          }
-        } else if (orderResult.data.data && Array.isArray(orderResult.data.data) && orderResult.data.data.length > 0) {
-          orderData = orderResult.data.data[0];
-          // Extract items from order if present
-          if (orderData.items && Array.isArray(orderData.items)) {
-            itemsData = orderData.items;
-          }
-        } else if (orderResult.data.order && typeof orderResult.data.order === 'object') {
-          orderData = orderResult.data.order;
-          // Extract items from order if present
-          if (orderData.items && Array.isArray(orderData.items)) {
-            itemsData = orderData.items;
-          }
-        } else if (!Array.isArray(orderResult.data) && typeof orderResult.data === 'object') {
-          orderData = orderResult.data;
-          // Extract items from order if present
-          if (orderData.items && Array.isArray(orderData.items)) {
-            itemsData = orderData.items;
-          }
-        }
-        
-        // Also check for items at the response level
-        if (itemsData.length === 0 && orderResult.data.items && Array.isArray(orderResult.data.items)) {
-          itemsData = orderResult.data.items;
-        }
+      let itemsData = [];
+      try {
+        const details = await getOrdersById({ orderId: orderIdParam, orderNumber });
+        orderData = details.order;
+        itemsData = details.items;
+      } catch (error) {
+        if (!(error instanceof ApiError)) throw error;
+        console.warn('⚠️ Could not load order from API:', error.name, error.message);
       }
       
       // Also try to get from orders list
@@ -544,39 +530,13 @@ export default function OrderManagementPage() {
       let billData = null;
       if (orderIdParam) {
         try {
-          // Use GET method to fetch existing bill (apiGet with order_id parameter)
-          const billResult = await apiGet('api/bills_management.php', { order_id: orderIdParam });
+          // Use GET to fetch existing bill (billData is null when the order has no bill yet)
+          const billResult = await billsManagement.getByOrderId(orderIdParam);
+          billData = billResult.bill;
           
-          // Debug: Log bill fetch result
-          if (billResult.success && billResult.data) {
-            // Handle different response structures
-            let billResponseData = null;
-            if (billResult.data.success === true && billResult.data.data) {
-              // Response: { success: true, data: { bill: {...}, bill_id: 123, order_items: [...] } }
-              billResponseData = billResult.data.data;
-              billData = billResponseData.bill || billResponseData;
-            } else if (billResult.data.bill) {
-              // Response: { success: true, bill: {...}, order_items: [...] }
-              billResponseData = billResult.data;
-              billData = billResult.data.bill;
-            } else if (billResult.data.bill_id || billResult.data.order_id) {
-              // Response: { success: true, bill_id: 123, order_items: [...], ... } (bill object itself)
-              billResponseData = billResult.data;
-              billData = billResult.data;
-            }
-            
-            // Extract order_items from bill response if available (NEW: bills_management.php now returns order_items)
-            if (billResponseData && billResponseData.order_items && Array.isArray(billResponseData.order_items)) {
-              // Store items from bill response - they're already fetched, no need to call get_ordersbyid.php again
-              if (billResponseData.order_items.length > 0) {
-                itemsData = billResponseData.order_items;
-              }
-            }
-            
-            // Ensure payment_status is set (default to 'Unpaid' if not present)
-            if (billData && !billData.payment_status) {
-              billData.payment_status = 'Unpaid';
-            }
+          // bills_management.php returns the order items with the bill - no need to call get_ordersbyid.php again
+          if (billResult.items.length > 0) {
+            itemsData = billResult.items;
           }
         } catch (error) {
           console.error('Error fetching bill:', error);
@@ -586,7 +546,7 @@ export default function OrderManagementPage() {
       
       // If orderData is still null after all attempts, show error
       if (!orderData) {
-        console.error('Failed to fetch order data. API response:', { orderResult });
+        console.error('Failed to fetch order data:', { orderIdParam, orderNumber });
         setAlert({ 
           type: 'error', 
           message: `Failed to load order details. Order ID: ${orderIdParam || orderId || orderNumber}. Please check if the order exists.` 
@@ -598,7 +558,7 @@ export default function OrderManagementPage() {
       setOrderDetails(orderData);
       setExistingBill(billData); // Store bill data
       
-      // Items should already be extracted from orderResult above
+      // Items should already be extracted from the order or bill above
       // If itemsData is still empty, log a warning
       if (itemsData.length === 0) {
         console.warn('⚠️ No items found in order response. Order might not have items.');
@@ -620,94 +580,76 @@ export default function OrderManagementPage() {
    */
   const updateOrderStatus = async (orderId, orderNumber, newStatus) => {
     try {
-      // Format orderid correctly - prefer numeric order_id, fallback to formatted orderid
-      const orderidValue = orderNumber || (orderId ? `ORD-${orderId}` : null);
-      const order_idValue = orderId || (orderNumber ? parseInt(orderNumber.replace(/ORD-?/i, '')) : null);
-      
-      // API expects order_status (not legacy "status")
-      const payload = { order_status: newStatus };
-      if (order_idValue) {
-        payload.order_id = order_idValue;
-      }
-      if (orderidValue) {
-        payload.orderid = orderidValue;
+      let statusResult;
+      try {
+        statusResult = await changeOrderStatus({ orderId, orderNumber, status: newStatus });
+      } catch (error) {
+        if (!(error instanceof ApiError)) throw error;
+        setAlert({ type: 'error', message: error.message || 'Failed to update order status' });
+        return;
       }
+
+      // If order is completed, Credit, or Bill Generated (credit) and it's a Dine In order, update table status to Available
+      // Get order details to check if it's a Dine In order with a table
+      const order = orders.find(o => (o.order_id || o.id) == orderId || o.orderid == orderNumber);
+      const isDineIn = order?.order_type === 'Dine In';
+      const tableId = order?.table_id;
       
-      const result = await apiPost('api/chnageorder_status.php', payload);
-
-      // Check response - API can return success in different formats
-      const apiResponse = result.data;
-      const isSuccess = result.success && apiResponse && (
-        apiResponse.success === true || 
-        apiResponse.status === 'success' ||
-        (apiResponse.message && apiResponse.message.toLowerCase().includes('success'))
-      );
-
-      if (isSuccess) {
-        // If order is completed, Credit, or Bill Generated (credit) and it's a Dine In order, update table status to Available
-        // Get order details to check if it's a Dine In order with a table
-        const order = orders.find(o => (o.order_id || o.id) == orderId || o.orderid == orderNumber);
-        const isDineIn = order?.order_type === 'Dine In';
-        const tableId = order?.table_id;
-        
-        // Check if this is a credit order by checking payment status
-        const isCreditOrder = order?.payment_status === 'Credit' || order?.payment_method === 'Credit' || order?.is_credit === true || newStatus.toLowerCase() === 'credit';
-        const shouldUpdateTable = (
-          newStatus.toLowerCase() === 'complete' || 
-          newStatus.toLowerCase() === 'credit' ||
-          (newStatus.toLowerCase() === 'bill generated' && isCreditOrder)
-        ) && isDineIn && tableId;
-        
-        if (shouldUpdateTable) {
-          try {
-            // Fetch current table details first
-            const terminal = getTerminal();
-            const branchId = getBranchId();
-            const tablesResult = await apiPost('api/get_tables.php', { 
-              terminal,
-              branch_id: branchId || terminal
+      // Check if this is a credit order by checking payment status
+      const isCreditOrder = order?.payment_status === 'Credit' || order?.payment_method === 'Credit' || order?.is_credit === true || newStatus.toLowerCase() === 'credit';
+      const shouldUpdateTable = (
+        newStatus.toLowerCase() === 'complete' || 
+        newStatus.toLowerCase() === 'credit' ||
+        (newStatus.toLowerCase() === 'bill generated' && isCreditOrder)
+      ) && isDineIn && tableId;
+      
+      if (shouldUpdateTable) {
+        try {
+          // Fetch current table details first
+          const terminal = getTerminal();
+          const branchId = getBranchId();
+          const tablesResult = await apiPost('api/get_tables.php', { 
+            terminal,
+            branch_id: branchId || terminal
+          });
+          
+          // Handle different response structures
+          let tablesData = [];
+          if (tablesResult.data && Array.isArray(tablesResult.data)) {
+            tablesData = tablesResult.data;
+          } else if (tablesResult.data && tablesResult.data.data && Array.isArray(tablesResult.data.data)) {
+            tablesData = tablesResult.data.data;
+          }
+          
+          const table = tablesData.find(t => (t.table_id || t.id) == tableId);
+          if (table) {
+            // Guests have left: the table needs cleaning before it is free again
+            console.log('Marking table for cleaning for table:', tableId);
+            const updateResult = await apiPost('api/table_management.php', {
+              table_id: parseInt(tableId),
+              hall_id: table.hall_id,
+              table_number: table.table_number || table.table_name || table.number,
+              capacity: table.capacity,
+              status: 'cleaning',
+              terminal: terminal,
+              branch_id: branchId || terminal,
+              action: 'update'
             });
-            
-            // Handle different response structures
-            let tablesData = [];
-            if (tablesResult.data && Array.isArray(tablesResult.data)) {
-              tablesData = tablesResult.data;
-            } else if (tablesResult.data && tablesResult.data.data && Array.isArray(tablesResult.data.data)) {
-              tablesData = tablesResult.data.data;
-            }
-            
-            const table = tablesData.find(t => (t.table_id || t.id) == tableId);
-            if (table) {
-              // Update table status to Available
-              console.log('Updating table status to Available for table:', tableId);
-              const updateResult = await apiPost('api/table_management.php', {
-                table_id: parseInt(tableId),
-                hall_id: table.hall_id,
-                table_number: table.table_number || table.table_name || table.number,
-                capacity: table.capacity,
-                status: 'Available',
-                terminal: terminal,
-                branch_id: branchId || terminal,
-                action: 'update'
-              });
-              console.log('Table status update result:', updateResult);
-            }
-          } catch (error) {
-            console.error('Error updating table status:', error);
-            // Don't show error to user, table status update is secondary
+            console.log('Table status update result:', updateResult);
           }
+        } catch (error) {
+          console.error('Error updating table status:', error);
+          // Don't show error to user, table status update is secondary
         }
-        
-        setAlert({ type: 'success', message: apiResponse.message || 'Order status updated successfully!' });
-        // Broadcast update to other dashboard instances
-        broadcastUpdate(UPDATE_EVENTS.ORDER_STATUS_CHANGED, { 
-          order_id: orderId,
-          status: newStatus 
-        });
-        fetchOrders(); // Refresh list
-      } else {
-        setAlert({ type: 'error', message: apiResponse?.message || result.message || 'Failed to update order status' });
       }
+      
+      setAlert({ type: 'success', message: statusResult.message || 'Order status updated successfully!' });
+      // Broadcast update to other dashboard instances
+      broadcastUpdate(UPDATE_EVENTS.ORDER_STATUS_CHANGED, { 
+        order_id: orderId,
+        status: newStatus 
+      });
+      fetchOrders(); // Refresh list
     } catch (error) {
       console.error('Error updating order status:', error);
       setAlert({ type: 'error', message: 'Failed to update order status: ' + (error.message || 'Network error') });
@@ -756,6 +698,7 @@ export default function OrderManagementPage() {
         category_name: item.catname || item.category_name || item.cat_name || '',
         is_available: item.is_available || item.is_available === 1 || 1,
         kitchen_id: item.kitchen_id || null,
+        modifier_groups: item.modifier_groups || [],
       }));
       
       setDishes(mappedDishes);
@@ -903,60 +846,16 @@ export default function OrderManagementPage() {
       const orderId = order.order_id || order.id;
       const orderNumber = order.orderid || order.order_number || `ORD-${orderId}`;
       
-      // Fetch order details and items
-      const orderResult = await apiPost('api/get_ordersbyid.php', { 
-        order_id: orderId,
-        orderid: orderNumber
-      });
-      
-      // get_ordersbyid.php returns order with items, so extract items from orderResult
-      // Handle multiple response structures for order data
-      let orderData = null;
+      // Fetch order details and items; fall back to the order from the list
+      let orderData = order;
       let orderItems = [];
-      
-      if (orderResult.success && orderResult.data) {
-        if (Array.isArray(orderResult.data) && orderResult.data.length > 0) {
-          orderData = orderResult.data[0];
-          if (orderData.items && Array.isArray(orderData.items)) {
-            orderItems = orderData.items;
-          }
-        } else if (orderResult.data.data && Array.isArray(orderResult.data.data) && orderResult.data.data.length > 0) {
-          orderData = orderResult.data.data[0];
-          if (orderData.items && Array.isArray(orderData.items)) {
-            orderItems = orderData.items;
-          }
-        } else if (orderResult.data.order && typeof orderResult.data.order === 'object') {
-          orderData = orderResult.data.order;
-          if (orderData.items && Array.isArray(orderData.items)) {
-            orderItems = orderData.items;
-          }
-        } else if (!Array.isArray(orderResult.data) && typeof orderResult.data === 'object') {
-          orderData = orderResult.data;
-          if (orderData.items && Array.isArray(orderData.items)) {
-            orderItems = orderData.items;
-          }
-        }
-        
-        // Also check for items at response level
-        if (orderItems.length === 0 && orderResult.data.items && Array.isArray(orderResult.data.items)) {
-          orderItems = orderResult.data.items;
-        }
-      }
-      
-      // If orderData not found, use the order from the list
-      if (!orderData) {
-        console.warn('Order data not found in API response, using order from list');
-        orderData = order;
-      }
-      
-      // If still no items, try to find any array in the response
-      if (orderItems.length === 0 && orderResult.success && orderResult.data) {
-        for (const key in orderResult.data) {
-          if (Array.isArray(orderResult.data[key])) {
-            orderItems = orderResult.data[key];
-            break;
-          }
-        }
+      try {
+        const details = await getOrdersById({ orderId, orderNumber });
+        orderData = details.order;
+        orderItems = details.items;
+      } catch (error) {
+        if (!(error instanceof ApiError)) throw error;
+        console.warn('Order data not found in API response, using order from list:', error.message);
       }
       
       if (orderItems.length === 0) {
@@ -995,24 +894,42 @@ export default function OrderManagementPage() {
       };
       
       // Format order items with all required fields
-      const formattedItems = orderItems.map((item, index) => {
-        const dishId = item.dish_id || item.id || item.product_id || item.dishid;
+      // Voided items are off the order; they only stay in the kitchen's wastage log
+      // Each line keeps its modifiers; saved lines with the same dish and picks get their own key
+      // Combo lines keep combo_id and components; their per-component child rows are rebuilt from those on save
+      const usedLineKeys = new Set();
+      const formattedItems = orderItems.filter(item => item.kitchen_status !== VOIDED_ITEM_STATUS && !item.parent_item_id).map((item, index) => {
+        const comboId = item.combo_id || null;
+        const components = comboId ? getItemComponents(item) : [];
+        const dishId = comboId ? `combo-${comboId}` : (item.dish_id || item.id || item.product_id || item.dishid);
         const name = item.dish_name || item.name || item.title || item.item_name || item.dishname || 'Item';
         const price = parseFloat(item.price || item.rate || item.unit_price || item.amount || 0);
+        const modifiers = getItemModifiers(item);
+        let lineKey = comboId ? `${dishId}#${components.map(component => component.dish_id).join(',')}` : getLineKey(dishId, modifiers);
+        if (usedLineKeys.has(lineKey)) lineKey = `${lineKey}@${index}`;
+        usedLineKeys.add(lineKey);
         const quantity = parseInt(item.quantity || item.qty || item.qnty || item.qty || 1);
         const totalAmount = parseFloat(item.total_amount || item.total || item.total_price || item.amount || (price * quantity));
         
         const formattedItem = {
+          line_key: lineKey,
           dish_id: dishId,
           name: name,
           dish_name: name,
           price: price,
+          base_price: parseFloat(item.base_price ?? (price - getModifiersPriceDelta(modifiers))),
+          modifiers,
+          combo_id: comboId,
+          components,
           quantity: quantity,
           qty: quantity,
           total: totalAmount,
           total_amount: totalAmount,
           category_id: item.category_id || item.cat_id || item.categoryid || null,
           kitchen_id: item.kitchen_id || item.kitchenid || null,
+          // Units already in the kitchen can't simply be removed; they need a void
+          order_item_id: item.order_item_id || item.item_id || null,
+          sent_quantity: quantity,
         };
         
         return formattedItem;
@@ -1071,67 +988,87 @@ export default function OrderManagementPage() {
     }
   };
 
+  /**
+   * Dish picked in the edit modal - ask for its modifiers first when it has any
+   */
+  const handleEditDishClick = (dish) => {
+    if (getDishModifierGroups(dish).length > 0) {
+      setModifierDish(dish);
+      return;
+    }
+    addDishToOrder(dish);
+  };
+
   /**
    * Add dish to order items
+   * The same dish with different modifiers goes on its own line
    */
-  const addDishToOrder = (dish) => {
+  const addDishToOrder = (dish, modifiers = []) => {
     if (!dish.is_available || dish.is_available != 1) {
       setAlert({ type: 'error', message: 'Cannot add unavailable dish to order.' });
       return;
     }
 
-    const existingItem = formData.items.find(item => item.dish_id === dish.dish_id);
+    const line = createCartLine(dish, modifiers);
+    const existingItem = formData.items.find(item => item.line_key === line.line_key);
     if (existingItem) {
-      // Update quantity if dish already exists
+      // Update quantity if the same dish with the same modifiers is already on the order
       setFormData({
         ...formData,
         items: formData.items.map(item =>
-          item.dish_id === dish.dish_id
+          item.line_key === line.line_key
             ? { ...item, quantity: item.quantity + 1, total: (item.quantity + 1) * item.price }
             : item
         ),
       });
     } else {
-      // Add new dish
+      // Add new line
       setFormData({
         ...formData,
-        items: [
-          ...formData.items,
-          {
-            dish_id: dish.dish_id,
-            name: dish.name,
-            price: dish.price,
-            quantity: 1,
-            total: dish.price,
-          },
-        ],
+        items: [...formData.items, { ...line, total: line.price }],
       });
     }
   };
 
   /**
-   * Remove dish from order items
+   * Remove a line from order items
    */
-  const removeDishFromOrder = (dishId) => {
+  const removeDishFromOrder = (lineKey) => {
     setFormData({
       ...formData,
-      items: formData.items.filter(item => item.dish_id !== dishId),
+      items: formData.items.filter(item => item.line_key !== lineKey),
     });
   };
 
   /**
-   * Update dish quantity in order items
+   * Take voided units off an item in the edit form (the backend has already removed them from the order)
    */
-  const updateDishQuantity = (dishId, newQuantity) => {
+  const applyItemVoid = (voidedItem, quantity) => {
+    setFormData(prev => ({
+      ...prev,
+      items: prev.items.flatMap(item => {
+        if (item.order_item_id !== voidedItem.order_item_id) return [item];
+        const remaining = item.quantity - quantity;
+        return remaining > 0
+          ? [{ ...item, quantity: remaining, sent_quantity: item.sent_quantity - quantity, total: remaining * item.price }]
+          : [];
+      }),
+    }));
+  };
+
+  /**
+   * Update a line's quantity in order items
+   */
+  const updateDishQuantity = (lineKey, newQuantity) => {
     if (newQuantity < 1) {
-      removeDishFromOrder(dishId);
+      removeDishFromOrder(lineKey);
       return;
     }
 
     setFormData({
       ...formData,
       items: formData.items.map(item =>
-        item.dish_id === dishId
+        item.line_key === lineKey
           ? { ...item, quantity: newQuantity, total: newQuantity * item.price }
           : item
       ),
@@ -1289,12 +1226,11 @@ export default function OrderManagementPage() {
       // Then add new order items
       const orderId = editingOrder.order_id || editingOrder.id;
       
-      // Prepare items for upload
+      // Prepare items for upload - modifiers and combo components go with each line, or delete_existing would drop them
       const itemsData = formData.items.map(item => ({
+        ...toOrderItemPayload(item),
         order_id: orderId,
-        dish_id: item.dish_id,
-        quantity: item.quantity,
-        price: item.price,
+        order_item_id: item.order_item_id || null,
         total_amount: item.total,
         terminal: terminal,
       }));
@@ -1383,14 +1319,26 @@ export default function OrderManagementPage() {
   /**
    * Handle pay bill - Update bill payment_status to "Paid" and order status to "Complete"
    */
+  // Attaching a loyalty customer or redeeming changes the total, so the cash entry starts again
+  const handleLoyaltyChange = (redemption) => {
+    const bill = applyLoyaltyToBill(generatedBill, redemption);
+    setGeneratedBill(bill);
+    setPaymentData({ cash_received: bill.grand_total, change: 0 });
+  };
+
   const handlePayBill = async () => {
     if (!generatedBill || !generatedBill.order_id) {
       setAlert({ type: 'error', message: 'Order information is missing. Cannot process payment.' });
       return;
     }
 
+    // A Credit line in a mixed payment puts only that part of the bill on the customer's account
+    const isCreditSale = paymentMode === 'Credit';
+    const hasCreditTender = paymentMode === 'Mixed' &&
+      tenderLines.some(line => line.payment_method === 'Credit' && parseFloat(line.amount) > 0);
+
     // Validate: If payment mode is Credit, customer must be selected
-    if (paymentMode === 'Credit' && !paymentCustomerId) {
+    if ((isCreditSale || hasCreditTender) && !paymentCustomerId) {
       setAlert({ 
         type: 'error', 
         message: 'Please select a customer for credit payment.' 
@@ -1401,6 +1349,7 @@ export default function OrderManagementPage() {
     const grandTotal = parseFloat(generatedBill.grand_total || 0);
     let cashReceived = 0;
     let change = 0;
+    let mixedTenders = [];
 
     // For Cash payments, validate cash received
     if (paymentMode === 'Cash') {
@@ -1417,6 +1366,17 @@ export default function OrderManagementPage() {
       }
 
       change = Math.max(0, cashReceived - grandTotal);
+    } else if (paymentMode === 'Mixed') {
+      const tenderError = validateTenders(tenderLines, grandTotal);
+      if (tenderError) {
+        setAlert({ type: 'error', message: tenderError });
+        return;
+      }
+      // cash_received records the cash handed over; each tender line keeps the part it pays
+      const tenderSummary = summarizeTenders(tenderLines, grandTotal);
+      cashReceived = tenderSummary.cashTendered;
+      change = tenderSummary.change;
+      mixedTenders = tenderSummary.tenders;
     } else {
       // For Card/Online, cash received equals grand total (no change)
       cashReceived = grandTotal;
@@ -1433,35 +1393,11 @@ export default function OrderManagementPage() {
         console.log('Order ID:', generatedBill.order_id);
         
         try {
-          // Use GET to fetch existing bill (no total_amount means fetch, not create)
-          const billFetchResult = await apiGet('api/bills_management.php', { 
-            order_id: generatedBill.order_id 
-          });
-          
-          console.log('Bill fetch result for payment:', JSON.stringify(billFetchResult, null, 2));
-          
-          if (billFetchResult.success && billFetchResult.data) {
-            // Handle different response structures
-            let billData = null;
-            
-            // Try multiple response structures
-            if (billFetchResult.data.success === true && billFetchResult.data.data) {
-              billData = billFetchResult.data.data.bill || billFetchResult.data.data;
-            } else if (billFetchResult.data.bill) {
-              billData = billFetchResult.data.bill;
-            } else if (billFetchResult.data.bill_id) {
-              billData = billFetchResult.data;
-            } else if (Array.isArray(billFetchResult.data) && billFetchResult.data.length > 0) {
-              // If response is an array, take the first bill
-              billData = billFetchResult.data[0];
-            }
-            
-            if (billData && billData.bill_id) {
-              billIdToUse = billData.bill_id;
-            } else if (billData && billData.id) {
-              // Some APIs might return 'id' instead of 'bill_id'
-              billIdToUse = billData.id;
-            }
+          const { bill } = await billsManagement.getByOrderId(generatedBill.order_id);
+          // Some APIs return 'id' instead of 'bill_id'
+          billIdToUse = bill?.bill_id || bill?.id || null;
+          if (billIdToUse) {
+            console.log('Bill ID fetched:', billIdToUse);
           }
         } catch (fetchError) {
           console.error('Error fetching bill ID:', fetchError);
@@ -1475,7 +1411,7 @@ export default function OrderManagementPage() {
 
       // Update bill payment_status via bills_management.php
       // For Credit payments, set status to 'Credit', otherwise 'Paid'
-      const finalPaymentStatus = paymentMode === 'Credit' ? 'Credit' : 'Paid';
+      const finalPaymentStatus = isCreditSale ? 'Credit' : 'Paid';
       const finalPaymentMethod = paymentMode;
       
       // Prefer bill_id if available, otherwise use order_id (API should handle updating existing bill)
@@ -1488,11 +1424,18 @@ export default function OrderManagementPage() {
       };
 
       // Add customer_id and is_credit for credit payments
-      if (paymentMode === 'Credit' && paymentCustomerId) {
+      if (isCreditSale && paymentCustomerId) {
         billUpdatePayload.customer_id = paymentCustomerId;
         billUpdatePayload.is_credit = true;
       }
 
+      // The rest of a mixed payment is settled now, so the bill is Paid and only credit_amount goes on the account
+      const creditAmount = getCreditTenderAmount(mixedTenders);
+      if (hasCreditTender) {
+        billUpdatePayload.customer_id = paymentCustomerId;
+        billUpdatePayload.credit_amount = creditAmount;
+      }
+
       // CRITICAL: Always include both bill_id AND order_id to ensure API finds existing bill
       // This prevents duplicate bill creation
       if (billIdToUse) {
@@ -1502,84 +1445,32 @@ export default function OrderManagementPage() {
       billUpdatePayload.order_id = generatedBill.order_id;
 
       // If cash payment, include cash_received and change
-      if (paymentMode === 'Cash') {
+      if (paymentMode === 'Cash' || paymentMode === 'Mixed') {
         billUpdatePayload.cash_received = cashReceived;
         billUpdatePayload.change = change;
       }
 
-      console.log('=== Bill Update Payload ===');
-      console.log('Payload:', JSON.stringify(billUpdatePayload, null, 2));
+      // Mixed payments store one tender line per method
+      if (paymentMode === 'Mixed') {
+        billUpdatePayload.tenders = mixedTenders;
+      }
 
-      const billUpdateResult = await apiPost('api/bills_management.php', billUpdatePayload);
+      // Loyalty customer: the backend records the redemption and what this bill earns
+      Object.assign(billUpdatePayload, toLoyaltyPayload(generatedBill));
 
-      console.log('=== Bill Update Result ===');
-      console.log('Result:', JSON.stringify(billUpdateResult, null, 2));
+      console.log('=== Bill Update Payload ===');
+      console.log('Payload:', JSON.stringify(billUpdatePayload, null, 2));
 
-      // Check if bill update was successful - be more lenient with success check
-      const billApiResponse = billUpdateResult.data;
-      
-      // Extract error message for better debugging
-      let billUpdateErrorMsg = null;
-      if (billUpdateResult.data) {
-        if (typeof billUpdateResult.data === 'string') {
-          billUpdateErrorMsg = billUpdateResult.data;
-        } else if (billUpdateResult.data.message) {
-          billUpdateErrorMsg = billUpdateResult.data.message;
-        } else if (billUpdateResult.data.error) {
-          billUpdateErrorMsg = billUpdateResult.data.error;
-        } else if (billUpdateResult.data.data?.message) {
-          billUpdateErrorMsg = billUpdateResult.data.data.message;
-        } else if (billUpdateResult.data.data?.error) {
-          billUpdateErrorMsg = billUpdateResult.data.data.error;
-        }
-      }
-      
-      // Check success for both 'Paid' and 'Credit' statuses
-      // The API may return success message even if payment_status in response hasn't updated yet
-      // Handle both object and string responses
       let billUpdateSuccess = false;
-      if (billUpdateResult.success && billApiResponse) {
-        // Check if response is a string with success message
-        if (typeof billApiResponse === 'string') {
-          const lowerMsg = billApiResponse.toLowerCase();
-          billUpdateSuccess = lowerMsg.includes('success') || 
-                             lowerMsg.includes('updated successfully') ||
-                             lowerMsg.includes('paid') ||
-                             lowerMsg.includes('credit');
-        } else if (typeof billApiResponse === 'object') {
-          // Primary check: API explicitly says success
-          if (billApiResponse.success === true) {
-            billUpdateSuccess = true;
-          }
-          // Secondary check: Check if payment_status matches (but API might not have updated it in response yet)
-          else if (billApiResponse.data?.payment_status === finalPaymentStatus ||
-                   billApiResponse.data?.bill?.payment_status === finalPaymentStatus ||
-                   billApiResponse.payment_status === finalPaymentStatus) {
-            billUpdateSuccess = true;
-          }
-          // Tertiary check: Check message for success indicators
-          else if (billApiResponse.message && (
-            billApiResponse.message.toLowerCase().includes('success') ||
-            billApiResponse.message.toLowerCase().includes('updated successfully')
-          )) {
-            billUpdateSuccess = true;
-          }
-          // Also check status field
-          else if (billApiResponse.status === 'success') {
-            billUpdateSuccess = true;
-          }
-        }
-      }
-      
-      // Also check the error message - if it contains "success", it's actually a success
-      if (!billUpdateSuccess && billUpdateErrorMsg) {
-        const lowerErrorMsg = billUpdateErrorMsg.toLowerCase();
-        if (lowerErrorMsg.includes('success') || lowerErrorMsg.includes('updated successfully')) {
-          billUpdateSuccess = true;
-        }
-      }
-      
-      if (!billUpdateSuccess && billUpdateErrorMsg) {
+      let billUpdateErrorMsg = null;
+      try {
+        const savedBill = await billsManagement.save(billUpdatePayload);
+        console.log('=== Bill Update Result ===');
+        console.log('Result:', JSON.stringify(savedBill, null, 2));
+        billUpdateSuccess = true;
+      } catch (billError) {
+        if (!(billError instanceof ApiError)) throw billError;
+        billUpdateErrorMsg = billError.status === 404 ? 'Bill not found. Please generate the bill first.' : billError.message;
         console.error('Bill update error:', billUpdateErrorMsg);
       }
 
@@ -1589,68 +1480,24 @@ export default function OrderManagementPage() {
       const orderIdValue = generatedBill.order_id;
       const orderidValue = generatedBill.order_number || `ORD-${generatedBill.order_id}`;
       // Keep order status as 'Bill Generated' for credit payments since 'Credit' is not a valid order status
-      const finalOrderStatus = paymentMode === 'Credit' ? 'Bill Generated' : 'Complete';
+      const finalOrderStatus = isCreditSale ? 'Bill Generated' : 'Complete';
       
-      const orderStatusPayload = { 
-        order_status: finalOrderStatus,
-        payment_status: finalPaymentStatus,
-        payment_method: finalPaymentMethod,
-        order_id: orderIdValue,
-        orderid: orderidValue
-      };
+      console.log(`=== Updating Order Status to ${finalOrderStatus} ===`);
       
       let orderUpdateSuccess = false;
       let orderUpdateError = null;
       try {
-        const orderStatusResult = await apiPost('api/chnageorder_status.php', orderStatusPayload);
-        
-        // Check if order status update was successful - be strict about this
-        const orderApiResponse = orderStatusResult.data;
-        orderUpdateSuccess = orderStatusResult.success && orderApiResponse && (
-          orderApiResponse.success === true ||
-          orderApiResponse.status === 'success' ||
-          (orderApiResponse.message && orderApiResponse.message.toLowerCase().includes('success'))
-        );
-        
-        if (!orderUpdateSuccess) {
-          // Extract error message from multiple possible locations
-          let errorMsg = null;
-          
-          if (orderApiResponse) {
-            if (typeof orderApiResponse === 'string') {
-              errorMsg = orderApiResponse;
-            } else if (orderApiResponse.message) {
-              errorMsg = orderApiResponse.message;
-            } else if (orderApiResponse.error) {
-              errorMsg = orderApiResponse.error;
-            } else if (orderApiResponse.data?.message) {
-              errorMsg = orderApiResponse.data.message;
-            } else if (orderApiResponse.data?.error) {
-              errorMsg = orderApiResponse.data.error;
-            } else if (Object.keys(orderApiResponse).length === 0) {
-              errorMsg = 'Empty response from server. Please check if chnageorder_status.php API is working correctly.';
-            } else {
-              // Try to stringify the response to see what we got
-              errorMsg = `Unexpected response format: ${JSON.stringify(orderApiResponse).substring(0, 200)}`;
-            }
-          } else if (!orderStatusResult.success) {
-            errorMsg = `HTTP ${orderStatusResult.status || 'error'}: ${orderStatusResult.status === 404 ? 'API endpoint not found' : 'Server error'}`;
-          } else {
-            errorMsg = 'Order status update failed - unknown error';
-          }
-          
-          orderUpdateError = errorMsg || 'Order status update failed';
-          console.error('Order status update failed:', {
-            response: orderApiResponse,
-            fullResult: orderStatusResult,
-            errorMessage: orderUpdateError,
-            httpStatus: orderStatusResult.status,
-            httpSuccess: orderStatusResult.success
-          });
-        }
+        await changeOrderStatus({
+          orderId: orderIdValue,
+          orderNumber: orderidValue,
+          status: finalOrderStatus,
+          extra: { payment_status: finalPaymentStatus, payment_method: finalPaymentMethod },
+        });
+        orderUpdateSuccess = true;
       } catch (orderError) {
+        if (!(orderError instanceof ApiError)) throw orderError;
         console.error('Error updating order status:', orderError);
-        orderUpdateError = orderError.message || orderError.toString() || 'Network error';
+        orderUpdateError = orderError.message || 'Order status update failed';
       }
       
       // If order status update failed, show error but still proceed with payment
@@ -1669,7 +1516,7 @@ export default function OrderManagementPage() {
       // Update table for both 'Complete' status and credit payments ('Bill Generated' status with credit payment)
       // Use generatedBill data if orderDetails is not available
       const orderForTableUpdate = orderDetails || generatedBill;
-      const isCreditPayment = paymentMode === 'Credit';
+      const isCreditPayment = isCreditSale;
       const shouldUpdateTable = finalOrderStatus === 'Complete' || isCreditPayment;
       
       if (shouldUpdateTable && orderForTableUpdate && orderForTableUpdate.order_type === 'Dine In' && (orderForTableUpdate.table_id || orderForTableUpdate.table_number)) {
@@ -1703,19 +1550,19 @@ export default function OrderManagementPage() {
           });
           
           if (table) {
-            // Update table status to Available
-            console.log('🔄 Updating table status to Available for table:', tableId);
+            // Guests have left: the table needs cleaning before it is free again
+            console.log('🔄 Marking table for cleaning for table:', tableId);
             const updateResult = await apiPost('api/table_management.php', {
               table_id: parseInt(table.table_id || table.id || tableId),
               hall_id: table.hall_id || table.hall_ID || orderForTableUpdate.hall_id,
               table_number: table.table_number || table.table_name || table.number || orderForTableUpdate.table_number,
               capacity: table.capacity || table.Capacity || 0,
-              status: 'Available',
+              status: 'cleaning',
               terminal: terminal,
               branch_id: branchId || terminal,
               action: 'update'
             });
-            console.log('✅ Table status updated to Available:', updateResult);
+            console.log('✅ Table marked for cleaning:', updateResult);
           } else {
             console.warn('⚠️ Table not found for table_id:', tableId);
           }
@@ -1725,6 +1572,20 @@ export default function OrderManagementPage() {
         }
       }
 
+      // Broadcast update to other dashboard instances
+      if (billUpdateSuccess) {
+        broadcastUpdate(finalPaymentStatus === 'Paid' ? UPDATE_EVENTS.BILL_PAID : UPDATE_EVENTS.BILL_UPDATED, { 
+          bill_id: billIdToUse || generatedBill.bill_id || null,
+          order_id: generatedBill.order_id 
+        });
+      }
+      if (orderUpdateSuccess) {
+        broadcastUpdate(UPDATE_EVENTS.ORDER_STATUS_CHANGED, { 
+          order_id: generatedBill.order_id,
+          status: finalOrderStatus 
+        });
+      }
+
       // Both bill update AND order status update must succeed
       if (billUpdateSuccess && orderUpdateSuccess) {
         // Fetch order items for receipt
@@ -1736,32 +1597,10 @@ export default function OrderManagementPage() {
             const orderId = generatedBill.order_id;
             const orderNumber = generatedBill.order_number || `ORD-${orderId}`;
             
-            // Use get_ordersbyid.php to get order with items
-            const orderResult = await apiPost('api/get_ordersbyid.php', { 
-              order_id: orderId,
-              orderid: orderNumber
-            });
-            
-            // Extract items from order response
-            if (orderResult.success && orderResult.data) {
-              let orderData = null;
-              if (Array.isArray(orderResult.data) && orderResult.data.length > 0) {
-                orderData = orderResult.data[0];
-              } else if (orderResult.data.data && Array.isArray(orderResult.data.data) && orderResult.data.data.length > 0) {
-                orderData = orderResult.data.data[0];
-              } else if (orderResult.data.order) {
-                orderData = orderResult.data.order;
-              } else if (typeof orderResult.data === 'object') {
-                orderData = orderResult.data;
-              }
-              
-              if (orderData && orderData.items && Array.isArray(orderData.items)) {
-                itemsForReceipt = orderData.items;
-                console.log('✅ Found items in order data for paid receipt:', itemsForReceipt.length);
-              } else if (orderResult.data.items && Array.isArray(orderResult.data.items)) {
-                itemsForReceipt = orderResult.data.items;
-                console.log('✅ Found items in response for paid receipt:', itemsForReceipt.length);
-              }
+            // getOrdersById returns the order's items alongside the order
+            const { items: fetchedItems } = await getOrdersById({ orderId, orderNumber });
+            if (fetchedItems.length > 0) {
+              itemsForReceipt = fetchedItems;
             }
             
             console.log('✅ Fetched items for paid receipt:', itemsForReceipt.length);
@@ -1789,7 +1628,7 @@ export default function OrderManagementPage() {
         // Get customer info if credit
         let customerName = null;
         let customerPhone = null;
-        if (paymentMode === 'Credit' && paymentCustomerId) {
+        if ((isCreditSale || hasCreditTender) && paymentCustomerId) {
           const selectedCustomer = customers.find(c => c.id === paymentCustomerId);
           if (selectedCustomer) {
             customerName = selectedCustomer.customer_name;
@@ -1797,10 +1636,16 @@ export default function OrderManagementPage() {
           }
         }
 
+        // Balance after this bill, for the receipt footer
+        const loyaltyBalance = generatedBill.loyalty_customer_id
+          ? await loyaltyLedger.balance(generatedBill.loyalty_customer_id).then(normalizeLoyaltyBalance).catch(() => null)
+          : null;
+
         // Update generatedBill with payment info and items
         setGeneratedBill({
           ...generatedBill,
           bill_id: billIdToUse || generatedBill.bill_id,
+          loyalty_balance: loyaltyBalance,
           payment_status: finalPaymentStatus,
           payment_method: finalPaymentMethod,
           payment_mode: finalPaymentMethod,
@@ -1809,7 +1654,9 @@ export default function OrderManagementPage() {
           customer_id: paymentCustomerId || null,
           customer_name: customerName || null,
           customer_phone: customerPhone || null,
-          is_credit: paymentMode === 'Credit',
+          is_credit: isCreditSale,
+          credit_amount: creditAmount,
+          tenders: mixedTenders,
           items: formattedItems,
         });
 
@@ -1818,6 +1665,7 @@ export default function OrderManagementPage() {
         setPaymentData({ cash_received: 0, change: 0 });
         setPaymentMode('Cash'); // Reset to default
         setPaymentCustomerId(null); // Reset customer selection
+        setTenderLines(DEFAULT_TENDER_LINES);
         
         // Refresh orders to show updated status
         fetchOrders();
@@ -1842,16 +1690,21 @@ export default function OrderManagementPage() {
         setDetailsModalOpen(false);
         
         // Show success message
-        if (paymentMode === 'Cash' && change > 0) {
+        if ((paymentMode === 'Cash' || paymentMode === 'Mixed') && change > 0) {
           setAlert({ 
             type: 'success', 
             message: `Payment received successfully! Change: ${formatPKR(change)}. Order status updated to Complete. Receipt is ready to print.` 
           });
-        } else if (paymentMode === 'Credit') {
+        } else if (isCreditSale) {
           setAlert({ 
             type: 'success', 
             message: `Credit payment recorded successfully! Bill status updated to Credit. Customer: ${customerName || 'N/A'}` 
           });
+        } else if (hasCreditTender) {
+          setAlert({ 
+            type: 'success', 
+            message: `Mixed payment recorded! ${formatPKR(creditAmount)} put on ${customerName || 'the customer'}'s account. Order status updated to Complete.` 
+          });
         } else {
           setAlert({ 
             type: 'success', 
@@ -1860,17 +1713,13 @@ export default function OrderManagementPage() {
         }
       } else {
         // Both updates failed - provide detailed error message
-        const billError = billUpdateErrorMsg || billApiResponse?.message || billApiResponse?.error || 
-                         (billUpdateResult.status === 404 ? 'Bill not found. Please generate the bill first.' : 
-                          billUpdateResult.status ? `HTTP ${billUpdateResult.status} error` : 'Bill update failed');
+        const billError = billUpdateErrorMsg || 'Bill update failed';
         
         const orderError = orderUpdateError || 'Order status update failed';
         
         console.error('Both updates failed:', {
           billError: billError,
-          orderError: orderError,
-          billResponse: billApiResponse,
-          billStatus: billUpdateResult.status
+          orderError: orderError
         });
         
         setAlert({ 
@@ -2360,6 +2209,12 @@ export default function OrderManagementPage() {
               <span class="total-value" style="text-align: right; font-weight: bold; min-width: 60px;">-${formatPKR(discount)}</span>
             </div>
           ` : ''}
+          ${bill.loyalty_discount > 0 ? `
+            <div class="total-row" style="display: flex; justify-content: space-between; align-items: center; margin: 4px 0; font-size: 10px; line-height: 1.5;">
+              <span class="total-label" style="text-align: left; flex: 1;">Loyalty (${describeRedemption(bill)}):</span>
+              <span class="total-value" style="text-align: right; font-weight: bold; min-width: 60px;">-${formatPKR(bill.loyalty_discount)}</span>
+            </div>
+          ` : ''}
           <div class="total-row net-total" style="display: flex; justify-content: space-between; align-items: center; margin: 10px 0; padding: 8px 0; border-top: 2px solid #FF5F15; border-bottom: 2px solid #FF5F15; background: #fff5f0; font-size: 13px; font-weight: bold; color: #FF5F15;">
             <span class="total-label" style="text-align: left; flex: 1;">Net amount:</span>
             <span class="total-value" style="text-align: right; font-weight: bold; min-width: 60px;">${formatPKR(grandTotal)}</span>
@@ -2381,6 +2236,12 @@ export default function OrderManagementPage() {
               <span class="total-value" style="text-align: right; font-weight: bold; min-width: 60px;">-${formatPKR(discount)}</span>
             </div>
           ` : ''}
+          ${bill.loyalty_discount > 0 ? `
+            <div class="total-row" style="display: flex; justify-content: space-between; align-items: center; margin: 4px 0; font-size: 10px; line-height: 1.5;">
+              <span class="total-label" style="text-align: left; flex: 1;">Loyalty (${describeRedemption(bill)}):</span>
+              <span class="total-value" style="text-align: right; font-weight: bold; min-width: 60px;">-${formatPKR(bill.loyalty_discount)}</span>
+            </div>
+          ` : ''}
           <div class="total-row net-total" style="display: flex; justify-content: space-between; align-items: center; margin: 10px 0; padding: 8px 0; border-top: 2px solid #FF5F15; border-bottom: 2px solid #FF5F15; background: #fff5f0; font-size: 13px; font-weight: bold; color: #FF5F15;">
             <span class="total-label" style="text-align: left; flex: 1;">Net Total:</span>
             <span class="total-value" style="text-align: right; font-weight: bold; min-width: 60px;">${formatPKR(grandTotal)}</span>
@@ -2392,6 +2253,12 @@ export default function OrderManagementPage() {
             <span class="total-value" style="text-align: right; font-weight: bold; min-width: 60px;">${paymentMethod}</span>
           </div>
         ` : ''}
+        ${(bill.tenders || []).map(tender => `
+          <div class="total-row" style="display: flex; justify-content: space-between; align-items: center; font-size: 11px; line-height: 1.5;">
+            <span class="total-label" style="text-align: left; flex: 1;">&nbsp;&nbsp;${tender.payment_method}:</span>
+            <span class="total-value" style="text-align: right; min-width: 60px;">${formatPKR(tender.tendered ?? tender.amount)}</span>
+          </div>
+        `).join('')}
         ${paymentStatus === 'Paid' && cashReceived > 0 ? `
           <div class="total-row" style="display: flex; justify-content: space-between; align-items: center; margin-top: 5px; font-size: 11px; line-height: 1.5;">
             <span class="total-label" style="text-align: left; flex: 1;">Amount Paid:</span>
@@ -2414,6 +2281,12 @@ export default function OrderManagementPage() {
             <span class="total-value" style="text-align: right; min-width: 60px;">#${billId}</span>
           </div>
         ` : ''}
+        ${bill.loyalty_balance ? `
+          <div class="total-row" style="display: flex; justify-content: space-between; align-items: center; margin-top: 8px; padding-top: 8px; border-top: 1px dashed #ccc; font-size: 10px; line-height: 1.5;">
+            <span class="total-label" style="text-align: left; flex: 1;">Loyalty balance:</span>
+            <span class="total-value" style="text-align: right; min-width: 60px;">${describeBalance(bill.loyalty_balance)}</span>
+          </div>
+        ` : ''}
       </div>
 
       <div class="thank-you" style="text-align: center; margin-top: 20px; padding-top: 15px; border-top: 2px dashed #FF5F15; font-size: 15px; font-weight: bold; letter-spacing: 3px; color: #FF5F15;">
@@ -2459,32 +2332,10 @@ export default function OrderManagementPage() {
           
           console.log('Fetching items for print receipt, Order ID:', orderId);
           
-          // Use get_ordersbyid.php to get order with items
-          const orderResult = await apiPost('api/get_ordersbyid.php', { 
-            order_id: orderId,
-            orderid: orderNumber
-          });
-          
-          // Extract items from order response
-          if (orderResult.success && orderResult.data) {
-            let orderData = null;
-            if (Array.isArray(orderResult.data) && orderResult.data.length > 0) {
-              orderData = orderResult.data[0];
-            } else if (orderResult.data.data && Array.isArray(orderResult.data.data) && orderResult.data.data.length > 0) {
-              orderData = orderResult.data.data[0];
-            } else if (orderResult.data.order) {
-              orderData = orderResult.data.order;
-            } else if (typeof orderResult.data === 'object') {
-              orderData = orderResult.data;
-            }
-            
-            if (orderData && orderData.items && Array.isArray(orderData.items)) {
-              items = orderData.items;
-              console.log('✅ Found items in order data for print:', items.length);
-            } else if (orderResult.data.items && Array.isArray(orderResult.data.items)) {
-              items = orderResult.data.items;
-              console.log('✅ Found items in response for print:', items.length);
-            }
+          // getOrdersById returns the order's items alongside the order
+          const { items: fetchedItems } = await getOrdersById({ orderId, orderNumber });
+          if (fetchedItems.length > 0) {
+            items = fetchedItems;
           }
           
           // Format items if fetched
@@ -3029,13 +2880,7 @@ html, body {
                                generatedBill.is_credit === true;
               const orderStatus = isCredit ? 'Credit' : 'Bill Generated';
               
-              const statusPayload = {
-                order_status: orderStatus,
-                order_id: orderIdValue,
-                orderid: orderidValue,
-              };
-
-              await apiPost('api/chnageorder_status.php', statusPayload);
+              await changeOrderStatus({ orderId: orderIdValue, orderNumber: orderidValue, status: orderStatus });
               fetchOrders(); // Refresh orders list
             } catch (error) {
               console.error('Error updating order status on print:', error);
@@ -3281,6 +3126,7 @@ html, body {
     const colors = {
       pending: 'bg-yellow-100 text-yellow-800',
       running: 'bg-blue-100 text-blue-800',
+      served: 'bg-teal-100 text-teal-800',
       'bill generated': 'bg-purple-100 text-purple-800',
       complete: 'bg-green-100 text-green-800',
       completed: 'bg-green-100 text-green-800',
@@ -3394,18 +3240,18 @@ html, body {
   ];
 
   /**
-   * Check if order can be edited (only Pending and Running status)
+   * Check if order can be edited (Pending, Running, or Served from the pass and not yet billed)
    */
   const canEditOrder = (status) => {
     const statusLower = (status || '').toLowerCase();
-    return statusLower === 'pending' || statusLower === 'running';
+    return statusLower === 'pending' || statusLower === 'running' || statusLower === 'served';
   };
 
   /**
    * Check if order can be cancelled (only Pending and Running status)
    */
   const canCancelOrder = (status) => {
-    return canEditOrder(status);
+    return canEditOrder(status) && can('order.cancel');
   };
 
   /**
@@ -3413,7 +3259,7 @@ html, body {
    */
   const canDeleteOrder = (status) => {
     const statusLower = (status || '').toLowerCase();
-    return statusLower !== 'complete';
+    return statusLower !== 'complete' && can('order.delete');
   };
 
   /**
@@ -3444,7 +3290,8 @@ html, body {
           >
             <option value="Pending">Pending</option>
             <option value="Running">Running</option>
-            <option value="Cancelled">Cancelled</option>
+            <option value="Served">Served</option>
+            {canCancel && <option value="Cancelled">Cancelled</option>}
           </select>
         )}
         <Button
@@ -3460,7 +3307,7 @@ html, body {
           <Eye className="w-4 h-4" />
         </Button>
         {/* Edit Button - Only for Pending and Running */}
-        {canEdit && (
+        {canEdit && can('order.edit') && (
           <Button
             variant="outline"
             size="sm"
@@ -3474,6 +3321,35 @@ html, body {
             <Edit className="w-4 h-4" />
           </Button>
         )}
+        {/* Merge / Split Buttons - Only for Pending and Running */}
+        {canEdit && can('order.edit') && (
+          <>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={(e) => {
+                e.stopPropagation();
+                setMergeTarget(row);
+              }}
+              title="Merge Orders"
+              className="hover:bg-purple-50 hover:border-purple-300"
+            >
+              <Merge className="w-4 h-4" />
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={(e) => {
+                e.stopPropagation();
+                setSplitTarget(row);
+              }}
+              title="Split Order"
+              className="hover:bg-purple-50 hover:border-purple-300"
+            >
+              <Split className="w-4 h-4" />
+            </Button>
+          </>
+        )}
         {/* Delete Button - Not allowed for Complete status */}
         {canDelete && (
           <Button
@@ -3760,7 +3636,7 @@ html, body {
         {/* Filter Buttons */}
         <div className="flex gap-2 flex-wrap items-center">
           <span className="text-sm font-medium text-gray-700 mr-2">Filter by Status:</span>
-          {['all', 'Pending', 'Running', 'Bill Generated', 'Credit', 'Complete', 'Cancelled'].map((status) => {
+          {['all', 'Pending', 'Running', 'Served', 'Bill Generated', 'Credit', 'Complete', 'Cancelled'].map((status) => {
             const count = filter === status.toLowerCase() 
               ? filteredOrders.length 
               : orders.filter(o => o.status.toLowerCase() === status.toLowerCase()).length;
@@ -3917,10 +3793,11 @@ html, body {
               </div>
 
               {/* Generate Bill Button - Always show for Running orders (works for all order types: Dine In, Take Away, Delivery) */}
-              {(() => {
+              {can('bill.generate') && (() => {
                 // Case-insensitive status check
                 const status = (orderDetails.order_status || orderDetails.status || '').toLowerCase();
-                const isRunning = status === 'running';
+                // Served orders are still open until billed
+                const isRunning = status === 'running' || status === 'served';
                 
                 // Always show Generate Bill for Running orders, regardless of existing bill
                 // This ensures proper flow: Running → Generate Bill → Bill Generated → Pay Bill
@@ -3936,32 +3813,8 @@ html, body {
                           const orderId = orderDetails.order_id || orderDetails.id;
                           const orderNumber = orderDetails.orderid || orderDetails.order_number || (orderId ? `ORD-${orderId}` : '');
                           
-                          // Use get_ordersbyid.php to get order with items
-                          const orderResult = await apiPost('api/get_ordersbyid.php', { 
-                            order_id: orderId,
-                            orderid: orderNumber
-                          });
-                          
-                          // Extract items from order response
-                          let itemsData = [];
-                          if (orderResult.success && orderResult.data) {
-                            let orderData = null;
-                            if (Array.isArray(orderResult.data) && orderResult.data.length > 0) {
-                              orderData = orderResult.data[0];
-                            } else if (orderResult.data.data && Array.isArray(orderResult.data.data) && orderResult.data.data.length > 0) {
-                              orderData = orderResult.data.data[0];
-                            } else if (orderResult.data.order) {
-                              orderData = orderResult.data.order;
-                            } else if (typeof orderResult.data === 'object') {
-                              orderData = orderResult.data;
-                            }
-                            
-                            if (orderData && orderData.items && Array.isArray(orderData.items)) {
-                              itemsData = orderData.items;
-                            } else if (orderResult.data.items && Array.isArray(orderResult.data.items)) {
-                              itemsData = orderResult.data.items;
-                            }
-                          }
+                          // getOrdersById returns the order's items alongside the order
+                          const { items: itemsData } = await getOrdersById({ orderId, orderNumber });
                           
                           if (itemsData.length > 0) {
                             setOrderItems(itemsData);
@@ -4028,10 +3881,10 @@ html, body {
               )}
 
               {/* Pay Bill Button - Only show if order status is "Bill Generated" or "Complete", NOT for "Running" orders, NOT for Credit bills */}
-              {(() => {
+              {can('bill.generate') && (() => {
                 // Check order status (case-insensitive)
                 const orderStatus = (orderDetails.order_status || orderDetails.status || '').toLowerCase();
-                const isRunning = orderStatus === 'running';
+                const isRunning = orderStatus === 'running' || orderStatus === 'served';
                 const isBillGenerated = orderStatus === 'bill generated';
                 const isComplete = orderStatus === 'complete';
                 
@@ -4083,46 +3936,19 @@ html, body {
                           console.log('Order ID:', orderDetails.order_id || orderDetails.id);
                           
                           // Use GET to fetch existing bill
-                          const billFetchResult = await apiGet('api/bills_management.php', { 
-                            order_id: orderDetails.order_id || orderDetails.id 
-                          });
-                          
-                          console.log('Bill fetch result:', JSON.stringify(billFetchResult, null, 2));
+                          const billFetchResult = await billsManagement.getByOrderId(orderDetails.order_id || orderDetails.id);
+                          billToPay = billFetchResult.bill;
                           
-                          if (billFetchResult.success && billFetchResult.data) {
-                            // Handle different response structures
-                            let billResponseData = null;
-                            if (billFetchResult.data.success === true && billFetchResult.data.data) {
-                              billResponseData = billFetchResult.data.data;
-                              billToPay = billResponseData.bill || billResponseData;
-                            } else if (billFetchResult.data.bill) {
-                              billResponseData = billFetchResult.data;
-                              billToPay = billFetchResult.data.bill;
-                            } else if (billFetchResult.data.bill_id || billFetchResult.data.order_id) {
-                              billResponseData = billFetchResult.data;
-                              billToPay = billFetchResult.data;
-                            }
-                            
-                            // Extract order_items from bill response if available (NEW: bills_management.php now returns order_items)
-                            if (billResponseData && billResponseData.order_items && Array.isArray(billResponseData.order_items)) {
-                              console.log('✅ Found order_items in bill response for payment:', billResponseData.order_items.length);
-                              // Update orderItems state with items from bill response
-                              if (billResponseData.order_items.length > 0) {
-                                setOrderItems(billResponseData.order_items);
-                              }
-                            }
-                            
-                            // Update existingBill state
-                            if (billToPay) {
-                              setExistingBill(billToPay);
-                              // Ensure payment_status is set
-                              if (!billToPay.payment_status) {
-                                billToPay.payment_status = 'Unpaid';
-                              }
-                            }
-                            
-                            console.log('Extracted bill to pay:', JSON.stringify(billToPay, null, 2));
+                          // bills_management.php returns the order items with the bill
+                          if (billFetchResult.items.length > 0) {
+                            console.log('✅ Found order_items in bill response for payment:', billFetchResult.items.length);
+                            setOrderItems(billFetchResult.items);
+                          }
+                          if (billToPay) {
+                            setExistingBill(billToPay);
                           }
+                          
+                          console.log('Extracted bill to pay:', JSON.stringify(billToPay, null, 2));
                         } catch (error) {
                           console.error('Error fetching bill for payment:', error);
                           // Continue with order data if bill fetch fails
@@ -4164,6 +3990,7 @@ html, body {
                         grand_total: grandTotal,
                         payment_method: billToPay?.payment_method || orderDetails.payment_mode || 'Cash',
                         payment_status: billToPay?.payment_status || 'Unpaid',
+                        loyalty_customer_id: orderDetails.customer_id || null,
                         items: orderItems,
                         date: billToPay?.created_at || orderDetails.created_at || new Date().toLocaleString(),
                       };
@@ -4214,21 +4041,10 @@ html, body {
                       if (!billForReceipt && (orderDetails.order_id || orderDetails.id)) {
                         try {
                           console.log('=== Fetching Bill for Paid Receipt ===');
-                          const billFetchResult = await apiGet('api/bills_management.php', { 
-                            order_id: orderDetails.order_id || orderDetails.id 
-                          });
-                          
-                          if (billFetchResult.success && billFetchResult.data) {
-                            if (billFetchResult.data.success === true && billFetchResult.data.data) {
-                              billForReceipt = billFetchResult.data.data.bill || billFetchResult.data.data;
-                            } else if (billFetchResult.data.bill) {
-                              billForReceipt = billFetchResult.data.bill;
-                            } else if (billFetchResult.data.bill_id || billFetchResult.data.order_id) {
-                              billForReceipt = billFetchResult.data;
-                            }
-                            if (billForReceipt) {
-                              setExistingBill(billForReceipt);
-                            }
+                          const billFetchResult = await billsManagement.getByOrderId(orderDetails.order_id || orderDetails.id);
+                          billForReceipt = billFetchResult.bill;
+                          if (billForReceipt) {
+                            setExistingBill(billForReceipt);
                           }
                         } catch (error) {
                           console.error('Error fetching bill for receipt:', error);
@@ -4244,30 +4060,10 @@ html, body {
                           const orderId = orderDetails.order_id || orderDetails.id;
                           const orderNumber = orderDetails.orderid || orderDetails.order_number || (orderId ? `ORD-${orderId}` : '');
                           
-                          // Use get_ordersbyid.php to get order with items
-                          const orderResult = await apiPost('api/get_ordersbyid.php', { 
-                            order_id: orderId,
-                            orderid: orderNumber
-                          });
-                          
-                          // Extract items from order response
-                          if (orderResult.success && orderResult.data) {
-                            let orderData = null;
-                            if (Array.isArray(orderResult.data) && orderResult.data.length > 0) {
-                              orderData = orderResult.data[0];
-                            } else if (orderResult.data.data && Array.isArray(orderResult.data.data) && orderResult.data.data.length > 0) {
-                              orderData = orderResult.data.data[0];
-                            } else if (orderResult.data.order) {
-                              orderData = orderResult.data.order;
-                            } else if (typeof orderResult.data === 'object') {
-                              orderData = orderResult.data;
-                            }
-                            
-                            if (orderData && orderData.items && Array.isArray(orderData.items)) {
-                              itemsForReceipt = orderData.items;
-                            } else if (orderResult.data.items && Array.isArray(orderResult.data.items)) {
-                              itemsForReceipt = orderResult.data.items;
-                            }
+                          // getOrdersById returns the order's items alongside the order
+                          const { items: fetchedItems } = await getOrdersById({ orderId, orderNumber });
+                          if (fetchedItems.length > 0) {
+                            itemsForReceipt = fetchedItems;
                           }
                           console.log('✅ Fetched items for paid receipt:', itemsForReceipt.length);
                         } catch (error) {
@@ -4424,10 +4220,13 @@ html, body {
                       const discountPercent = parseFloat(e.target.value) || 0;
                       setBillData({ ...billData, discount_percentage: discountPercent });
                     }}
+                    disabled={!can('bill.discount')}
                     placeholder="0"
                   />
                   <p className="text-xs text-gray-500 mt-1">
-                    Enter percentage value (e.g., 10 for 10% discount)
+                    {can('bill.discount')
+                      ? 'Enter percentage value (e.g., 10 for 10% discount)'
+                      : 'Your role is not allowed to give discounts'}
                   </p>
                 </div>
 
@@ -4526,351 +4325,211 @@ html, body {
                       // Log the payload being sent
                       console.log('Bill payload being sent:', billPayload);
                       
-                      const result = await apiPost('api/bills_management.php', billPayload);
+                      const savedBillFromApi = await billsManagement.save(billPayload);
                       
-                      // Debug: Log the complete result
                       console.log('=== Bill Generation Result ===');
-                      console.log('Complete result:', JSON.stringify(result, null, 2));
-                      console.log('Result success (HTTP ok):', result.success);
-                      console.log('Result status code:', result.status);
-                      console.log('Result data type:', typeof result.data);
-                      console.log('Result data:', result.data);
+                      console.log('Saved bill:', JSON.stringify(savedBillFromApi, null, 2));
                       
-                      // Check if result itself is empty or undefined
-                      if (!result || typeof result !== 'object' || Object.keys(result).length === 0) {
-                        console.error('Empty result received from API');
-                        setAlert({ type: 'error', message: 'Empty response from server. Please check server logs and ensure the bills_management.php API is working.' });
-                        return;
+                      const billId = savedBillFromApi?.bill_id;
+                      if (!billId) {
+                        throw new Error('Bill created but no bill ID returned. Please check server logs.');
                       }
                       
-                      // apiPost returns { success: response.ok, data: parsedJSON, status }
-                      // The API response JSON is in result.data
-                      const apiResponse = result.data; // This is the parsed API JSON response
-                      
-                      // Check if we have a valid API response
-                      if (!apiResponse || typeof apiResponse !== 'object' || Object.keys(apiResponse).length === 0) {
-                        console.error('Invalid or empty API response:', apiResponse);
-                        console.error('Full result object:', result);
-                        setAlert({ 
-                          type: 'error', 
-                          message: 'Invalid or empty response from server. Status: ' + (result.status || 'unknown') + '. Please check server logs.' 
-                        });
-                        return;
+                      // Calculate discount percentage if not in bill data
+                      let discountPercentage = billData.discount_percentage || 0;
+                      if (!discountPercentage && billData.discount && subtotal > 0) {
+                        if (isDineInOrderType(billOrder.order_type)) {
+                          discountPercentage = ((billData.discount / subtotal) * 100).toFixed(2);
+                        } else if (subtotal + serviceCharge > 0) {
+                          discountPercentage = ((billData.discount / (subtotal + serviceCharge)) * 100).toFixed(2);
+                        }
                       }
                       
-                      // Check if API call was successful (HTTP 200) AND API returned success: true
-                      const isSuccess = result.success && apiResponse && apiResponse.success === true;
-                      
-                      console.log('Is success?', isSuccess);
-                      console.log('HTTP Success (response.ok):', result.success);
-                      console.log('HTTP Status:', result.status);
-                      console.log('API Response success:', apiResponse?.success);
-                      console.log('API Response data:', apiResponse?.data);
-                      
-                      if (isSuccess && apiResponse.data) {
-                        // Extract bill_id and bill data from API response
-                        const responseData = apiResponse.data; // { bill: {...}, bill_id: 123 }
-                        
-                        let billId = null;
-                        let billData = null;
-                        
-                        // Get bill_id from responseData.bill_id
-                        if (responseData.bill_id) {
-                          billId = responseData.bill_id;
-                        }
-                        
-                        // Get bill object
-                        if (responseData.bill) {
-                          billData = responseData.bill;
-                          // If bill_id not found, try from bill object
-                          if (!billId && billData.bill_id) {
-                            billId = billData.bill_id;
-                          }
-                        } else if (responseData.bill_id) {
-                          // If responseData itself has bill_id, it might be the bill
-                          billData = responseData;
-                          billId = responseData.bill_id;
-                        }
-                        
-                        // If still no billId, throw error
-                        if (!billId) {
-                          console.error('No bill ID found in response:', {
-                            result,
-                            apiResponse,
-                            responseData,
-                            'responseData.bill_id': responseData?.bill_id,
-                            'responseData.bill': responseData?.bill,
-                            'responseData.bill.bill_id': responseData?.bill?.bill_id
-                          });
-                          throw new Error('Bill created but no bill ID returned. Please check server logs.');
-                        }
-                        
-                        // Calculate discount percentage if not in bill data
-                        let discountPercentage = billData.discount_percentage || 0;
-                        if (!discountPercentage && billData.discount && subtotal > 0) {
-                          if (isDineInOrderType(billOrder.order_type)) {
-                            discountPercentage = ((billData.discount / subtotal) * 100).toFixed(2);
-                          } else if (subtotal + serviceCharge > 0) {
-                            discountPercentage = ((billData.discount / (subtotal + serviceCharge)) * 100).toFixed(2);
+                      // Check if order_items are already in the response (NEW: bills_management.php now returns order_items)
+                      let itemsForReceipt = [];
+                      if (Array.isArray(savedBillFromApi.order_items) && savedBillFromApi.order_items.length > 0) {
+                        console.log('✅ Using order_items from bill response:', savedBillFromApi.order_items.length);
+                        itemsForReceipt = savedBillFromApi.order_items;
+                      } else {
+                        // Fallback: Fetch order items separately if not in response
+                        try {
+                          console.log('=== Fetching Order Items for Bill Generation (fallback) ===');
+                          const orderId = billOrder.order_id || billOrder.id;
+                          const orderNumber = billOrder.orderid || billOrder.order_number || (orderId ? `ORD-${orderId}` : '');
+                          
+                          console.log('Order ID:', orderId);
+                          console.log('Order Number:', orderNumber);
+                          
+                          // getOrdersById returns the order's items alongside the order
+                          const { items: fetchedItems } = await getOrdersById({ orderId, orderNumber });
+                          if (fetchedItems.length > 0) {
+                            itemsForReceipt = fetchedItems;
                           }
-                        }
-                        
-                        // Check if order_items are already in the response (NEW: bills_management.php now returns order_items)
-                        let itemsForReceipt = [];
-                        if (responseData.order_items && Array.isArray(responseData.order_items) && responseData.order_items.length > 0) {
-                          console.log('✅ Using order_items from bill response:', responseData.order_items.length);
-                          itemsForReceipt = responseData.order_items;
-                        } else {
-                          // Fallback: Fetch order items separately if not in response
-                          try {
-                            console.log('=== Fetching Order Items for Bill Generation (fallback) ===');
-                            const orderId = billOrder.order_id || billOrder.id;
-                            const orderNumber = billOrder.orderid || billOrder.order_number || (orderId ? `ORD-${orderId}` : '');
-                            
-                            console.log('Order ID:', orderId);
-                            console.log('Order Number:', orderNumber);
-                            
-                            // Use get_ordersbyid.php to get order with items
-                            const orderResult = await apiPost('api/get_ordersbyid.php', { 
-                              order_id: orderId,
-                              orderid: orderNumber
-                            });
-                            
-                            console.log('Order API response:', orderResult);
-                            console.log('Order API response success:', orderResult.success);
-                            console.log('Order API response status:', orderResult.status);
-                            console.log('Order API response data:', JSON.stringify(orderResult.data, null, 2));
-                            
-                            // Extract items from order response - handle multiple structures
-                            if (orderResult.success && orderResult.data) {
-                              let orderData = null;
-                              if (Array.isArray(orderResult.data) && orderResult.data.length > 0) {
-                                orderData = orderResult.data[0];
-                              } else if (orderResult.data.data && Array.isArray(orderResult.data.data) && orderResult.data.data.length > 0) {
-                                orderData = orderResult.data.data[0];
-                              } else if (orderResult.data.order) {
-                                orderData = orderResult.data.order;
-                              } else if (typeof orderResult.data === 'object') {
-                                orderData = orderResult.data;
-                              }
-                              
-                              if (orderData && orderData.items && Array.isArray(orderData.items)) {
-                                itemsForReceipt = orderData.items;
-                                console.log('✅ Found items in order data (items):', itemsForReceipt.length);
-                              } else if (orderResult.data.items && Array.isArray(orderResult.data.items)) {
-                                itemsForReceipt = orderResult.data.items;
-                                console.log('✅ Found items in response (items):', itemsForReceipt.length);
-                              }
-                            }
-                            
-                            // If still no items, try orderItems from state
-                            if (itemsForReceipt.length === 0) {
-                              console.warn('⚠️ No items found in API response. Trying orderItems from state...');
-                              console.log('orderItems state:', orderItems);
-                              console.log('orderItems length:', orderItems?.length || 0);
-                              
-                              // Fallback to orderItems from state if API returns empty
-                              if (orderItems && orderItems.length > 0) {
-                                itemsForReceipt = orderItems;
-                                console.log('✅ Using orderItems from state:', itemsForReceipt.length);
-                              } else {
-                                console.error('❌ No items found after all attempts');
-                              }
-                            }
+                          
+                          // If still no items, try orderItems from state
+                          if (itemsForReceipt.length === 0) {
+                            console.warn('⚠️ No items found in API response. Trying orderItems from state...');
+                            console.log('orderItems state:', orderItems);
+                            console.log('orderItems length:', orderItems?.length || 0);
                             
-                            console.log('✅ Final items for receipt:', itemsForReceipt.length);
-                            if (itemsForReceipt.length > 0) {
-                              console.log('Sample item:', JSON.stringify(itemsForReceipt[0], null, 2));
-                            } else {
-                              console.error('❌ CRITICAL: No items found after all attempts!');
-                              console.error('Order ID:', orderId);
-                              console.error('Order Number:', orderNumber);
-                              console.error('billOrder:', billOrder);
-                              console.error('orderItems state:', orderItems);
-                              console.error('API Response:', orderResult);
-                            }
-                          } catch (error) {
-                            console.error('❌ Error fetching order items for bill (fallback):', error);
-                            console.error('Error details:', error.message, error.stack);
-                            // Fallback to orderItems from state if fetch fails
+                            // Fallback to orderItems from state if API returns empty
                             if (orderItems && orderItems.length > 0) {
                               itemsForReceipt = orderItems;
-                              console.log('✅ Using orderItems from state as fallback:', itemsForReceipt.length);
+                              console.log('✅ Using orderItems from state:', itemsForReceipt.length);
                             } else {
-                              console.error('❌ No fallback available - orderItems state is also empty');
+                              console.error('❌ No items found after all attempts');
                             }
                           }
-                        }
-                        
-                        // Validate that items are present before formatting
-                        if (!itemsForReceipt || itemsForReceipt.length === 0) {
-                          console.error('❌ No items found in receipt data!');
-                          console.error('Debug info:', {
-                            itemsForReceipt: itemsForReceipt?.length || 0,
-                            orderItems: orderItems?.length || 0,
-                            billOrder: billOrder,
-                            orderId: billOrder?.order_id || billOrder?.id,
-                            orderNumber: billOrder?.orderid || billOrder?.order_number,
-                            responseData: responseData
-                          });
                           
-                          setAlert({ 
-                            type: 'error', 
-                            message: `Cannot generate receipt: No order items found for order ${billOrder?.order_id ? `ORD-${billOrder.order_id}` : billOrder?.orderid || 'N/A'}. Please ensure the order has items and try again. If the problem persists, check the browser console for API response details.` 
-                          });
-                          return;
-                        }
-                        
-                        // Format items for receipt
-                        const formattedItems = itemsForReceipt.map(item => ({
-                          dish_id: item.dish_id || item.id || item.product_id,
-                          dish_name: item.dish_name || item.name || item.title || item.item_name || 'Item',
-                          name: item.dish_name || item.name || item.title || item.item_name || 'Item',
-                          price: parseFloat(item.price || item.rate || item.unit_price || 0),
-                          quantity: parseInt(item.quantity || item.qty || item.qnty || 1),
-                          qty: parseInt(item.quantity || item.qty || item.qnty || 1),
-                          total_amount: parseFloat(item.total_amount || item.total || item.total_price || (parseFloat(item.price || item.rate || item.unit_price || 0) * parseInt(item.quantity || item.qty || item.qnty || 1))),
-                          total: parseFloat(item.total_amount || item.total || item.total_price || (parseFloat(item.price || item.rate || item.unit_price || 0) * parseInt(item.quantity || item.qty || item.qnty || 1))),
-                        }));
-                        
-                        console.log('✅ Formatted items for receipt:', formattedItems.length);
-                        if (formattedItems.length > 0) {
-                          console.log('Sample formatted item:', JSON.stringify(formattedItems[0], null, 2));
-                        }
-                        
-                        // Store bill data for receipt - use calculated values from frontend
-                        const receiptData = {
-                          bill_id: billId,
-                          order_id: billOrder.order_id || billOrder.id,
-                          order_number: billOrder.order_id ? `ORD-${billOrder.order_id}` : (billOrder.orderid || billOrder.id),
-                          order_type: billOrder.order_type || 'Dine In',
-                          table_number: billOrder.table_number || billOrder.table_id || '',
-                          subtotal: subtotal,
-                          service_charge: serviceCharge,
-                          discount_percentage: parseFloat(discountPercentage) || 0,
-                          discount_amount: discountAmount,
-                          gross_after_discount: br.isDineIn ? br.grossTotal : undefined,
-                          grand_total: grandTotal,
-                          payment_method: 'Cash', // Default payment method, will be updated when payment is received
-                          payment_mode: 'Cash', // Default payment method, will be updated when payment is received
-                          payment_status: 'Unpaid', // Bill always starts as Unpaid
-                          items: formattedItems,
-                          date: new Date().toLocaleString(),
-                        };
-                        
-                        console.log('=== Receipt Data Prepared ===');
-                        console.log('Receipt data:', receiptData);
-                        console.log('Items count:', formattedItems.length);
-                        console.log('Items:', formattedItems);
-                        
-                        // Store bill data for receipt
-                        setGeneratedBill(receiptData);
-                        
-                        // Close bill modal
-                        setBillModalOpen(false);
-                        setBillOrder(null);
-                        setBillData({ discount_percentage: 0, service_charge: 0 });
-                        
-                        // Update order status - always 'Bill Generated' after bill generation
-                        const orderIdValue = billOrder.order_id || billOrder.id;
-                        const orderidValue = billOrder.order_id ? `ORD-${billOrder.order_id}` : (billOrder.orderid || billOrder.id);
-                        
-                        // Order status is always 'Bill Generated' after bill generation
-                        const orderStatus = 'Bill Generated';
-                        
-                        try {
-                          const statusPayload = {
-                            order_status: orderStatus,
-                            order_id: orderIdValue,
-                            orderid: orderidValue,
-                          };
-                          await apiPost('api/chnageorder_status.php', statusPayload);
-                          console.log(`Order status updated to: ${orderStatus}`);
-                        } catch (error) {
-                          console.error('Error updating order status:', error);
-                          // Continue even if status update fails
-                        }
-                        
-                        // Refresh orders list
-                        fetchOrders();
-                        
-                        // Show receipt modal for printing
-                        setReceiptModalOpen(true);
-                        setDetailsModalOpen(false);
-                        
-                        // Auto-print bill receipt after a delay to ensure modal is rendered
-                        // Use a longer delay to ensure React has rendered the modal and DOM elements
-                        setTimeout(() => {
-                          // Check receiptData (the new value) instead of generatedBill (old value)
-                          if (receiptData && receiptData.items && receiptData.items.length > 0) {
-                            handlePrintReceipt();
-                          } else {
-                            console.warn('Generated bill not ready for printing, user can click print button manually');
-                            setAlert({ 
-                              type: 'info', 
-                              message: 'Bill generated successfully! Click the Print button to print the receipt.' 
-                            });
-                          }
-                        }, 1000);
-                        
-                        setAlert({ type: 'success', message: 'Bill generated successfully! Printing receipt...' });
-                        // Broadcast update to other dashboard instances
-                        broadcastUpdate(UPDATE_EVENTS.BILL_CREATED, { 
-                          bill_id: billId,
-                          order_id: billOrder.order_id || billOrder.id 
-                        });
-                        broadcastUpdate(UPDATE_EVENTS.ORDER_STATUS_CHANGED, { 
-                          order_id: billOrder.order_id || billOrder.id,
-                          status: 'Bill Generated' 
-                        });
-                        // Broadcast update to other dashboard instances
-                        broadcastUpdate(UPDATE_EVENTS.BILL_CREATED, { 
-                          bill_id: billId,
-                          order_id: billOrder.order_id || billOrder.id 
-                        });
-                        broadcastUpdate(UPDATE_EVENTS.ORDER_STATUS_CHANGED, { 
-                          order_id: billOrder.order_id || billOrder.id,
-                          status: 'Bill Generated' 
-                        });
-                      } else {
-                        // More detailed error message - check all possible error locations
-                        let errorMsg = 'Failed to generate bill';
-                        
-                        if (apiResponse && typeof apiResponse === 'object') {
-                          // Check for database column errors
-                          const responseStr = JSON.stringify(apiResponse).toLowerCase();
-                          if (responseStr.includes('unknown column') || responseStr.includes('is_cancel')) {
-                            errorMsg = 'Database error: The backend is trying to use a column that doesn\'t exist. Please contact the administrator to fix the database schema or update the API file (bills_management.php).';
+                          console.log('✅ Final items for receipt:', itemsForReceipt.length);
+                          if (itemsForReceipt.length > 0) {
+                            console.log('Sample item:', JSON.stringify(itemsForReceipt[0], null, 2));
                           } else {
-                            errorMsg = apiResponse.message || 
-                                      apiResponse.data?.message || 
-                                      apiResponse.data?.error || 
-                                      apiResponse.error ||
-                                      (apiResponse.success === false ? 'Bill creation failed on server' : errorMsg);
+                            console.error('❌ CRITICAL: No items found after all attempts!');
+                            console.error('Order ID:', orderId);
+                            console.error('Order Number:', orderNumber);
+                            console.error('billOrder:', billOrder);
+                            console.error('orderItems state:', orderItems);
                           }
-                        } else if (result.data && typeof result.data === 'string') {
-                          const dataStr = result.data.toLowerCase();
-                          if (dataStr.includes('unknown column') || dataStr.includes('is_cancel')) {
-                            errorMsg = 'Database error: The backend is trying to use a column that doesn\'t exist. Please contact the administrator to fix the database schema or update the API file (bills_management.php).';
+                        } catch (error) {
+                          console.error('❌ Error fetching order items for bill (fallback):', error);
+                          console.error('Error details:', error.message, error.stack);
+                          // Fallback to orderItems from state if fetch fails
+                          if (orderItems && orderItems.length > 0) {
+                            itemsForReceipt = orderItems;
+                            console.log('✅ Using orderItems from state as fallback:', itemsForReceipt.length);
                           } else {
-                            errorMsg = result.data;
+                            console.error('❌ No fallback available - orderItems state is also empty');
                           }
-                        } else if (result.message) {
-                          errorMsg = result.message;
                         }
+                      }
+                      
+                      // Validate that items are present before formatting
+                      if (!itemsForReceipt || itemsForReceipt.length === 0) {
+                        console.error('❌ No items found in receipt data!');
+                        console.error('Debug info:', {
+                          itemsForReceipt: itemsForReceipt?.length || 0,
+                          orderItems: orderItems?.length || 0,
+                          billOrder: billOrder,
+                          orderId: billOrder?.order_id || billOrder?.id,
+                          orderNumber: billOrder?.orderid || billOrder?.order_number,
+                          responseData: responseData
+                        });
                         
-                        console.error('=== Bill Generation Failed ===');
-                        console.error('HTTP Success:', result.success);
-                        console.error('HTTP Status:', result.status);
-                        console.error('API Response:', apiResponse);
-                        console.error('Error Message:', errorMsg);
-                        
-                        // Show user-friendly error message
                         setAlert({ 
                           type: 'error', 
-                          message: errorMsg || 'Failed to generate bill. Please check server logs or contact support.' 
+                          message: `Cannot generate receipt: No order items found for order ${billOrder?.order_id ? `ORD-${billOrder.order_id}` : billOrder?.orderid || 'N/A'}. Please ensure the order has items and try again. If the problem persists, check the browser console for API response details.` 
                         });
+                        return;
+                      }
+                      
+                      // Format items for receipt
+                      const formattedItems = itemsForReceipt.map(item => ({
+                        dish_id: item.dish_id || item.id || item.product_id,
+                        dish_name: item.dish_name || item.name || item.title || item.item_name || 'Item',
+                        name: item.dish_name || item.name || item.title || item.item_name || 'Item',
+                        price: parseFloat(item.price || item.rate || item.unit_price || 0),
+                        quantity: parseInt(item.quantity || item.qty || item.qnty || 1),
+                        qty: parseInt(item.quantity || item.qty || item.qnty || 1),
+                        total_amount: parseFloat(item.total_amount || item.total || item.total_price || (parseFloat(item.price || item.rate || item.unit_price || 0) * parseInt(item.quantity || item.qty || item.qnty || 1))),
+                        total: parseFloat(item.total_amount || item.total || item.total_price || (parseFloat(item.price || item.rate || item.unit_price || 0) * parseInt(item.quantity || item.qty || item.qnty || 1))),
+                      }));
+                      
+                      console.log('✅ Formatted items for receipt:', formattedItems.length);
+                      if (formattedItems.length > 0) {
+                        console.log('Sample formatted item:', JSON.stringify(formattedItems[0], null, 2));
                       }
+                      
+                      // Store bill data for receipt - use calculated values from frontend
+                      const receiptData = {
+                        bill_id: billId,
+                        order_id: billOrder.order_id || billOrder.id,
+                        order_number: billOrder.order_id ? `ORD-${billOrder.order_id}` : (billOrder.orderid || billOrder.id),
+                        order_type: billOrder.order_type || 'Dine In',
+                        table_number: billOrder.table_number || billOrder.table_id || '',
+                        subtotal: subtotal,
+                        service_charge: serviceCharge,
+                        discount_percentage: parseFloat(discountPercentage) || 0,
+                        discount_amount: discountAmount,
+                        gross_after_discount: br.isDineIn ? br.grossTotal : undefined,
+                        grand_total: grandTotal,
+                        payment_method: 'Cash', // Default payment method, will be updated when payment is received
+                        payment_mode: 'Cash', // Default payment method, will be updated when payment is received
+                        payment_status: 'Unpaid', // Bill always starts as Unpaid
+                        loyalty_customer_id: billOrder.customer_id || null,
+                        items: formattedItems,
+                        date: new Date().toLocaleString(),
+                      };
+                      
+                      console.log('=== Receipt Data Prepared ===');
+                      console.log('Receipt data:', receiptData);
+                      console.log('Items count:', formattedItems.length);
+                      console.log('Items:', formattedItems);
+                      
+                      // Store bill data for receipt
+                      setGeneratedBill(receiptData);
+                      
+                      // Close bill modal
+                      setBillModalOpen(false);
+                      setBillOrder(null);
+                      setBillData({ discount_percentage: 0, service_charge: 0 });
+                      
+                      // Update order status - always 'Bill Generated' after bill generation
+                      const orderIdValue = billOrder.order_id || billOrder.id;
+                      const orderidValue = billOrder.order_id ? `ORD-${billOrder.order_id}` : (billOrder.orderid || billOrder.id);
+                      
+                      // Order status is always 'Bill Generated' after bill generation
+                      const orderStatus = 'Bill Generated';
+                      
+                      try {
+                        await changeOrderStatus({ orderId: orderIdValue, orderNumber: orderidValue, status: orderStatus });
+                        console.log(`Order status updated to: ${orderStatus}`);
+                      } catch (error) {
+                        console.error('Error updating order status:', error);
+                        // Continue even if status update fails
+                      }
+                      
+                      // Refresh orders list
+                      fetchOrders();
+                      
+                      // Show receipt modal for printing
+                      setReceiptModalOpen(true);
+                      setDetailsModalOpen(false);
+                      
+                      // Auto-print bill receipt after a delay to ensure modal is rendered
+                      // Use a longer delay to ensure React has rendered the modal and DOM elements
+                      setTimeout(() => {
+                        // Check receiptData (the new value) instead of generatedBill (old value)
+                        if (receiptData && receiptData.items && receiptData.items.length > 0) {
+                          handlePrintReceipt();
+                        } else {
+                          console.warn('Generated bill not ready for printing, user can click print button manually');
+                          setAlert({ 
+                            type: 'info', 
+                            message: 'Bill generated successfully! Click the Print button to print the receipt.' 
+                          });
+                        }
+                      }, 1000);
+                      
+                      setAlert({ type: 'success', message: 'Bill generated successfully! Printing receipt...' });
+                      // Broadcast update to other dashboard instances
+                      broadcastUpdate(UPDATE_EVENTS.BILL_CREATED, { 
+                        bill_id: billId,
+                        order_id: billOrder.order_id || billOrder.id 
+                      });
+                      broadcastUpdate(UPDATE_EVENTS.ORDER_STATUS_CHANGED, { 
+                        order_id: billOrder.order_id || billOrder.id,
+                        status: 'Bill Generated' 
+                      });
+                      // Broadcast update to other dashboard instances
+                      broadcastUpdate(UPDATE_EVENTS.BILL_CREATED, { 
+                        bill_id: billId,
+                        order_id: billOrder.order_id || billOrder.id 
+                      });
+                      broadcastUpdate(UPDATE_EVENTS.ORDER_STATUS_CHANGED, { 
+                        order_id: billOrder.order_id || billOrder.id,
+                        status: 'Bill Generated' 
+                      });
                     } catch (error) {
                       console.error('Error generating bill:', error);
                       const errorStr = (error.message || '').toLowerCase();
@@ -4938,7 +4597,8 @@ html, body {
                   >
                     <option value="Pending">Pending</option>
                     <option value="Running">Running</option>
-                    <option value="Cancelled">Cancelled</option>
+                    <option value="Served">Served</option>
+                    {(can('order.cancel') || formData.status === 'Cancelled') && <option value="Cancelled">Cancelled</option>}
                   </select>
                   <p className="text-xs text-gray-500 mt-1">
                     Note: Status can only be set to "Bill Generated" when receipt is printed, or "Complete" after bill payment.
@@ -5007,37 +4667,57 @@ html, body {
                     <p className="text-sm text-gray-500 text-center py-4">No items in order. Add items below.</p>
                   ) : (
                     <div className="space-y-2 max-h-48 overflow-y-auto custom-scrollbar">
-                      {formData.items.map((item, index) => (
-                        <div key={index} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg border border-gray-200">
+                      {formData.items.map((item) => (
+                        <div key={item.line_key} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg border border-gray-200">
                           <div className="flex-1">
                             <p className="font-medium text-sm text-gray-900">{item.name}</p>
+                            {item.components?.length > 0 && (
+                              <p className="text-xs text-gray-500">{formatComboComponents(item.components)}</p>
+                            )}
+                            {formatModifierSummary(item.modifiers) && (
+                              <p className="text-xs text-[#FF5F15]">{formatModifierSummary(item.modifiers)}</p>
+                            )}
                             <p className="text-xs text-gray-500">{formatPKR(item.price)} each</p>
                           </div>
                           <div className="flex items-center gap-2">
                             <button
                               type="button"
-                              onClick={() => updateDishQuantity(item.dish_id, item.quantity - 1)}
-                              className="w-7 h-7 rounded border border-gray-300 flex items-center justify-center hover:bg-gray-100 text-gray-900"
+                              onClick={() => updateDishQuantity(item.line_key, item.quantity - 1)}
+                              disabled={isSentToKitchen(item) && item.quantity <= item.sent_quantity}
+                              className="w-7 h-7 rounded border border-gray-300 flex items-center justify-center hover:bg-gray-100 text-gray-900 disabled:opacity-40 disabled:cursor-not-allowed"
                             >
                               <Minus className="w-3 h-3" />
                             </button>
                             <span className="text-sm font-medium w-8 text-center text-gray-900">{item.quantity}</span>
                             <button
                               type="button"
-                              onClick={() => updateDishQuantity(item.dish_id, item.quantity + 1)}
+                              onClick={() => updateDishQuantity(item.line_key, item.quantity + 1)}
                               className="w-7 h-7 rounded border border-gray-300 flex items-center justify-center hover:bg-gray-100 text-gray-900"
                             >
                               <Plus className="w-3 h-3" />
                             </button>
                             <span className="text-sm font-semibold text-gray-900 w-20 text-right">{formatPKR(item.total)}</span>
-                            <button
-                              type="button"
-                              onClick={() => removeDishFromOrder(item.dish_id)}
-                              className="ml-2 text-red-500 hover:text-red-700"
-                              title="Remove item"
-                            >
-                              <X className="w-4 h-4" />
-                            </button>
+                            {isSentToKitchen(item) ? (
+                              can('order.void_item') && (
+                                <button
+                                  type="button"
+                                  onClick={() => setVoidItem(item)}
+                                  className="ml-2 text-red-500 hover:text-red-700"
+                                  title="Void or re-fire (already sent to the kitchen)"
+                                >
+                                  <Ban className="w-4 h-4" />
+                                </button>
+                              )
+                            ) : (
+                              <button
+                                type="button"
+                                onClick={() => removeDishFromOrder(item.line_key)}
+                                className="ml-2 text-red-500 hover:text-red-700"
+                                title="Remove item"
+                              >
+                                <X className="w-4 h-4" />
+                              </button>
+                            )}
                           </div>
                         </div>
                       ))}
@@ -5077,7 +4757,7 @@ html, body {
                         <div
                           key={dish.dish_id}
                           className="border border-gray-200 rounded-lg p-2 hover:shadow-md transition cursor-pointer"
-                          onClick={() => addDishToOrder(dish)}
+                          onClick={() => handleEditDishClick(dish)}
                         >
                           <div className="flex justify-between items-start mb-1">
                             <p className="font-medium text-sm text-gray-900 flex-1">{dish.name}</p>
@@ -5090,7 +4770,7 @@ html, body {
                             variant="outline"
                             onClick={(e) => {
                               e.stopPropagation();
-                              addDishToOrder(dish);
+                              handleEditDishClick(dish);
                             }}
                             className="w-full mt-2 text-xs"
                           >
@@ -5171,6 +4851,7 @@ html, body {
               setPaymentData({ cash_received: 0, change: 0 });
               setPaymentMode('Cash'); // Reset to default
               setPaymentCustomerId(null); // Reset customer selection
+              setTenderLines(DEFAULT_TENDER_LINES);
             }
           }}
           title="Receive Payment"
@@ -5212,6 +4893,12 @@ html, body {
                           </span>
                         </div>
                       )}
+                      {generatedBill.loyalty_discount > 0 && (
+                        <div className="flex justify-between text-sm">
+                          <span className="text-gray-600 font-medium">Loyalty ({describeRedemption(generatedBill)}):</span>
+                          <span className="font-semibold text-red-600">-{formatPKR(generatedBill.loyalty_discount)}</span>
+                        </div>
+                      )}
                       <div className="flex justify-between text-xl font-bold pt-2 border-t-2 border-gray-200">
                         <span className="text-gray-900">Net amount:</span>
                         <span className="text-[#FF5F15] text-2xl">{formatPKR(generatedBill.grand_total)}</span>
@@ -5241,6 +4928,12 @@ html, body {
                           </span>
                         </div>
                       )}
+                      {generatedBill.loyalty_discount > 0 && (
+                        <div className="flex justify-between text-sm">
+                          <span className="text-gray-600 font-medium">Loyalty ({describeRedemption(generatedBill)}):</span>
+                          <span className="font-semibold text-red-600">-{formatPKR(generatedBill.loyalty_discount)}</span>
+                        </div>
+                      )}
                       <div className="flex justify-between text-xl font-bold pt-2 border-t-2 border-gray-200">
                         <span className="text-gray-900">Grand total:</span>
                         <span className="text-[#FF5F15] text-2xl">{formatPKR(generatedBill.grand_total)}</span>
@@ -5250,6 +4943,12 @@ html, body {
                 </div>
               </div>
 
+              <LoyaltyRedemption
+                branchId={getBranchId()}
+                bill={generatedBill}
+                onChange={handleLoyaltyChange}
+              />
+
               {/* Payment Mode Selection */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1.5">
@@ -5260,7 +4959,7 @@ html, body {
                   onChange={(e) => {
                     const newPaymentMode = e.target.value;
                     setPaymentMode(newPaymentMode);
-                    if (newPaymentMode !== 'Credit') {
+                    if (newPaymentMode !== 'Credit' && newPaymentMode !== 'Mixed') {
                       setPaymentCustomerId(null);
                     }
                     // Update generatedBill payment method for display
@@ -5276,11 +4975,21 @@ html, body {
                   <option value="Card">Card</option>
                   <option value="Online">Online</option>
                   <option value="Credit">Credit</option>
+                  <option value="Mixed">Mixed (multiple tenders)</option>
                 </select>
               </div>
 
-              {/* Customer Selection - Only show when payment mode is Credit */}
-              {paymentMode === 'Credit' && (
+              {/* Mixed payment - one line per tender (e.g. part cash, part Easypaisa) */}
+              {paymentMode === 'Mixed' && (
+                <TenderLinesEditor
+                  lines={tenderLines}
+                  onChange={setTenderLines}
+                  grandTotal={generatedBill.grand_total}
+                />
+              )}
+
+              {/* Customer Selection - Only show when payment mode is Credit (or a mixed payment has a Credit line) */}
+              {(paymentMode === 'Credit' || (paymentMode === 'Mixed' && tenderLines.some(line => line.payment_method === 'Credit'))) && (
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1.5">
                     Select Customer <span className="text-red-500">*</span>
@@ -5289,7 +4998,7 @@ html, body {
                     value={paymentCustomerId || ''}
                     onChange={(e) => setPaymentCustomerId(e.target.value ? parseInt(e.target.value) : null)}
                     className="block w-full px-3 py-2.5 border border-[#E0E0E0] rounded-lg text-gray-900 bg-white focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition"
-                    required={paymentMode === 'Credit'}
+                    required={paymentMode === 'Credit' || paymentMode === 'Mixed'}
                   >
                     <option value="">-- Select Customer --</option>
                     {customers.map(customer => (
@@ -5395,7 +5104,7 @@ html, body {
                     })()}
                   </div>
                 </div>
-              ) : (
+              ) : paymentMode === 'Mixed' ? null : (
                 /* For Card/Online payments - Just confirm payment */
                 <div className="bg-gradient-to-br from-purple-50 to-indigo-50 p-5 rounded-xl border border-purple-200">
                   <div className="text-center">
@@ -5425,6 +5134,16 @@ html, body {
                 >
                   Cancel
                 </Button>
+                <Button
+                  variant="secondary"
+                  onClick={() => {
+                    setPaymentModalOpen(false);
+                    setSplitBillOpen(true);
+                  }}
+                  className="flex-1"
+                >
+                  Split Bill
+                </Button>
                 <Button
                   onClick={handlePayBill}
                   disabled={
@@ -5432,6 +5151,8 @@ html, body {
                       ? (!paymentData.cash_received || paymentData.cash_received < generatedBill.grand_total)
                       : paymentMode === 'Credit'
                       ? !paymentCustomerId
+                      : paymentMode === 'Mixed'
+                      ? !!validateTenders(tenderLines, generatedBill.grand_total)
                       : false
                   }
                   className="flex-1 bg-gradient-to-r from-green-600 to-green-700 hover:from-green-700 hover:to-green-800 text-white font-semibold py-3 text-base shadow-lg hover:shadow-xl transition-all duration-200"
@@ -5441,6 +5162,8 @@ html, body {
                     ? `Pay Bill${paymentData.change > 0 ? ` (Change: ${formatPKR(paymentData.change)})` : ''}` 
                     : paymentMode === 'Credit'
                     ? 'Record Credit Payment'
+                    : paymentMode === 'Mixed'
+                    ? 'Record Mixed Payment'
                     : 'Confirm Payment'}
                 </Button>
               </div>
@@ -5448,6 +5171,78 @@ html, body {
           )}
         </Modal>
 
+        {/* Merge / Split Order Modals */}
+        <MergeOrdersModal
+          order={mergeTarget}
+          orders={orders}
+          onClose={() => setMergeTarget(null)}
+          onMerged={(message) => {
+            setMergeTarget(null);
+            setAlert({ type: 'success', message });
+            fetchOrders();
+          }}
+        />
+        <SplitOrderModal
+          order={splitTarget}
+          onClose={() => setSplitTarget(null)}
+          onSplit={(message) => {
+            setSplitTarget(null);
+            setAlert({ type: 'success', message });
+            fetchOrders();
+          }}
+        />
+        <ModifierPickerModal
+          dish={modifierDish}
+          onClose={() => setModifierDish(null)}
+          onConfirm={(dish, modifiers) => {
+            addDishToOrder(dish, modifiers);
+            setModifierDish(null);
+          }}
+        />
+        <ItemVoidModal
+          item={voidItem}
+          order={editingOrder || {}}
+          onClose={() => setVoidItem(null)}
+          onDone={({ action, quantity, message, slipFailed }) => {
+            if (action === 'void') applyItemVoid(voidItem, quantity);
+            setVoidItem(null);
+            setAlert({ type: slipFailed ? 'warning' : 'success', message });
+          }}
+        />
+
+        {/* Split Bill Modal */}
+        <SplitBillModal
+          bill={splitBillOpen ? generatedBill : null}
+          branchName={getBranchName() || ''}
+          onClose={(paid) => {
+            setSplitBillOpen(false);
+            if (paid) {
+              setGeneratedBill(null);
+              setPaymentData({ cash_received: 0, change: 0 });
+              setPaymentMode('Cash');
+            } else {
+              setPaymentModalOpen(true);
+            }
+          }}
+          onSettled={(bill) => {
+            setAlert({ type: 'success', message: 'Split payment recorded. Order status updated to Complete.' });
+            // Broadcast update to other dashboard instances; the backend frees a Dine In table on settle
+            broadcastUpdate(UPDATE_EVENTS.BILL_PAID, { 
+              bill_id: bill.bill_id || null,
+              order_id: bill.order_id 
+            });
+            broadcastUpdate(UPDATE_EVENTS.ORDER_STATUS_CHANGED, { 
+              order_id: bill.order_id,
+              status: 'Complete' 
+            });
+            const paidOrder = orders.find(order => (order.order_id || order.id) == bill.order_id);
+            if (paidOrder?.table_id && isDineInOrderType(paidOrder.order_type)) {
+              broadcastUpdate(UPDATE_EVENTS.TABLE_UPDATED, { table_ids: [paidOrder.table_id] });
+            }
+            fetchOrders();
+          }}
+        />
+
         {/* Receipt Modal */}
         <Modal
           isOpen={receiptModalOpen}
@@ -5499,7 +5294,11 @@ html, body {
                       created_at: generatedBill.date || new Date().toISOString(),
                       date: generatedBill.date || new Date().toISOString(),
                       order_type: generatedBill.order_type || 'Dine In',
-                      table_number: generatedBill.table_number || ''
+                      table_number: generatedBill.table_number || '',
+                      loyalty_points_redeemed: generatedBill.loyalty_points_redeemed || 0,
+                      loyalty_stamp_cards_redeemed: generatedBill.loyalty_stamp_cards_redeemed || 0,
+                      loyalty_discount: generatedBill.loyalty_discount || 0,
+                      loyalty_balance: generatedBill.loyalty_balance || null
                     }}
                     items={receiptItems}
                     branchName={getBranchName() || ''}
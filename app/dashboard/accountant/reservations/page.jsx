@@ -0,0 +1,19 @@
+'use client';
+
+/**
+ * Reservations Page
+ * Table bookings and the walk-in waitlist for the branch
+ * Uses APIs: reservations_management.php, waitlist_management.php, customer_management.php
+ */
+
+import AccountantLayout from '@/components/accountant/AccountantLayout';
+import ReservationsBoard from '@/components/reservations/ReservationsBoard';
+import { getBranchId } from '@/utils/api';
+
+export default function ReservationsPage() {
+  return (
+    <AccountantLayout>
+      <ReservationsBoard branchId={getBranchId()} createOrderPath="/dashboard/accountant/create-order" />
+    </AccountantLayout>
+  );
+}
@@ -13,6 +13,7 @@ import Modal from '@/components/ui/Modal';
 import Table from '@/components/ui/Table';
 import Alert from '@/components/ui/Alert';
 import { apiPost, apiDelete, getTerminal, generateToken, getRole } from '@/utils/api';
+import permissions from '@/utils/permissions';
 import { useRouter } from 'next/navigation';
 
 export default function AccountManagementPage() {
@@ -34,12 +35,12 @@ export default function AccountManagementPage() {
   const [currentUserRole, setCurrentUserRole] = useState(null);
 
   useEffect(() => {
-    // Check if current user is super_admin
+    // Check if current user's role may manage accounts
     const role = getRole();
     setCurrentUserRole(role);
     
-    if (role !== 'super_admin') {
-      setAlert({ type: 'error', message: 'Access denied. Only Super Admin can manage accounts.' });
+    if (!permissions.can('user.manage', role)) {
+      setAlert({ type: 'error', message: 'Access denied. Your role is not allowed to manage accounts.' });
       // Redirect after 2 seconds
       setTimeout(() => {
         router.push('/dashboard/branch-admin');
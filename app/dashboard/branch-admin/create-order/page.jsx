@@ -10,12 +10,39 @@ import { useEffect, useState, useCallback, useMemo } from 'react';
 import AdminLayout from '@/components/admin/AdminLayout';
 import Button from '@/components/ui/Button';
 import Modal from '@/components/ui/Modal';
+import ModifierPickerModal from '@/components/menu/ModifierPickerModal';
+import ComboPickerModal from '@/components/menu/ComboPickerModal';
 import Alert from '@/components/ui/Alert';
-import { apiGet, apiPost, getTerminal, getToken, getBranchId } from '@/utils/api';
+import TableMapPanel from '@/components/floor/TableMapPanel';
+import DeliveryDetailsForm from '@/components/delivery/DeliveryDetailsForm';
+import CustomerLookup from '@/components/customers/CustomerLookup';
+import { apiGet, apiPost, getTerminal, getBranchId, getUserId } from '@/utils/api';
 import { formatPKR } from '@/utils/format';
+import {
+  getDishModifierGroups,
+  createCartLine,
+  calculateCartSubtotal,
+  toOrderItemPayload,
+  formatModifierSummary,
+  getItemModifiers,
+} from '@/utils/modifiers';
+import {
+  COMBO_CATEGORY,
+  toComboMenuEntry,
+  buildComboComponents,
+  createComboCartLine,
+  formatComboComponents,
+  getItemComponents,
+  expandComboComponents,
+} from '@/utils/combos';
+import { useCombos } from '@/hooks/useCombos';
+import { useDeliverySetup } from '@/hooks/useDeliverySetup';
+import { EMPTY_DELIVERY, getZoneCharge, prefillDeliveryFromCustomer, toDeliveryPayload, validateDelivery } from '@/utils/delivery';
+import { takeSeatingHandoff } from '@/utils/reservations';
 import { ShoppingCart, Plus, Minus, X, Receipt, Check, Printer } from 'lucide-react';
 import ThermalReceipt from '@/components/receipt/ThermalReceipt';
 import logger from '@/utils/logger';
+import { broadcastUpdate, UPDATE_EVENTS } from '@/utils/dashboardSync';
 
 export default function CreateOrderPage() {
   const [halls, setHalls] = useState([]);
@@ -26,9 +53,17 @@ export default function CreateOrderPage() {
   const [orderType, setOrderType] = useState('Dine In'); // Dine In, Take Away, Delivery
   const [selectedHall, setSelectedHall] = useState('');
   const [selectedTable, setSelectedTable] = useState('');
+  const [showFloorMap, setShowFloorMap] = useState(false); // Pick the table from the live floor plan
+  const [seatedGuest, setSeatedGuest] = useState(null); // Reservation/waitlist guest seated at the selected table
+  const [customer, setCustomer] = useState(null); // Customer the order is linked to (history, loyalty)
+  const [delivery, setDelivery] = useState(EMPTY_DELIVERY); // Address, phone, zone and rider of a Delivery order
   const [selectedCategory, setSelectedCategory] = useState('');
   const [categorySearch, setCategorySearch] = useState('');
-  const [cart, setCart] = useState([]); // [{ dish_id, name, price, quantity, category_name }]
+  const [cart, setCart] = useState([]); // [{ line_key, dish_id, name, price, base_price, modifiers, quantity, category_name }]
+  const [modifierDish, setModifierDish] = useState(null); // Dish waiting for its options (size, add-ons)
+  const [comboEntry, setComboEntry] = useState(null); // Combo waiting for its choice slots to be picked
+  const { combos } = useCombos(getBranchId());
+  const deliverySetup = useDeliverySetup(getBranchId());
   const [comments, setComments] = useState('');
   
   const [loading, setLoading] = useState(true);
@@ -44,6 +79,19 @@ export default function CreateOrderPage() {
     fetchDishes();
   }, []);
 
+  useEffect(() => {
+    // A guest seated from Reservations arrives with their table and customer
+    const seating = takeSeatingHandoff();
+    if (!seating) return;
+    queueMicrotask(() => {
+      setOrderType('Dine In');
+      setSelectedHall(String(seating.hall_id));
+      setSelectedTable(String(seating.table_id));
+      setSeatedGuest(seating);
+      setCustomer(seating.customer || null);
+    });
+  }, []);
+
   useEffect(() => {
     if (selectedHall) {
       fetchTables();
@@ -520,29 +568,56 @@ export default function CreateOrderPage() {
 
   /**
    * Add item to cart
+   * The same dish with different modifiers goes on its own line
    */
-  const addToCart = (dish) => {
+  const addToCart = (dish, modifiers = []) => {
+    addLineToCart(createCartLine(dish, modifiers));
+  };
+
+  /**
+   * Add a built cart line (dish or combo), stacking it onto an identical line
+   */
+  const addLineToCart = (line) => {
     setCart((prevCart) => {
-      const existingItem = prevCart.find((item) => item.dish_id === dish.dish_id);
+      const existingItem = prevCart.find((item) => item.line_key === line.line_key);
       if (existingItem) {
         return prevCart.map((item) =>
-          item.dish_id === dish.dish_id ? { ...item, quantity: item.quantity + 1 } : item
+          item.line_key === line.line_key ? { ...item, quantity: item.quantity + 1 } : item
         );
       }
-      return [...prevCart, { ...dish, quantity: 1 }];
+      return [...prevCart, line];
     });
   };
 
+  /**
+   * Dish tapped in the menu - ask for its modifiers first when it has any
+   */
+  const handleDishClick = (dish) => {
+    if (dish.combo_id) {
+      if (dish.combo.slots.length > 0) {
+        setComboEntry(dish);
+      } else {
+        addLineToCart(createComboCartLine(dish, buildComboComponents(dish.combo, {}, dishes)));
+      }
+      return;
+    }
+    if (getDishModifierGroups(dish).length > 0) {
+      setModifierDish(dish);
+      return;
+    }
+    addToCart(dish);
+  };
+
   /**
    * Update cart item quantity
    */
-  const updateCartQuantity = (dishId, newQuantity) => {
+  const updateCartQuantity = (lineKey, newQuantity) => {
     if (newQuantity <= 0) {
-      removeFromCart(dishId);
+      removeFromCart(lineKey);
       return;
     }
     setCart(cart.map(item =>
-      item.dish_id === dishId
+      item.line_key === lineKey
         ? { ...item, quantity: newQuantity }
         : item
     ));
@@ -551,16 +626,26 @@ export default function CreateOrderPage() {
   /**
    * Remove item from cart
    */
-  const removeFromCart = (dishId) => {
-    setCart(cart.filter(item => item.dish_id !== dishId));
+  const removeFromCart = (lineKey) => {
+    setCart(cart.filter(item => item.line_key !== lineKey));
+  };
+
+  /**
+   * Attach a customer; a Delivery order takes their phone, name and address where still blank
+   */
+  const handleCustomerChange = (picked) => {
+    setCustomer(picked);
+    if (picked) setDelivery(prev => prefillDeliveryFromCustomer(prev, picked));
   };
 
   /**
    * Calculate totals
    */
   const calculateTotals = () => {
-    const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    return { subtotal, total: subtotal };
+    const subtotal = calculateCartSubtotal(cart);
+    // A Delivery order carries its zone's charge, billed as the order's service charge
+    const deliveryCharge = orderType === 'Delivery' ? getZoneCharge(deliverySetup.zones, delivery.zone_id) : 0;
+    return { subtotal, deliveryCharge, total: subtotal + deliveryCharge };
   };
 
   /**
@@ -572,6 +657,13 @@ export default function CreateOrderPage() {
       setAlert({ type: 'error', message: 'Please select a hall and table for Dine In orders' });
       return;
     }
+    if (orderType === 'Delivery') {
+      const deliveryError = validateDelivery(delivery, deliverySetup.zones);
+      if (deliveryError) {
+        setAlert({ type: 'error', message: deliveryError });
+        return;
+      }
+    }
     if (cart.length === 0) {
       setAlert({ type: 'error', message: 'Cart is empty. Please add items' });
       return;
@@ -604,16 +696,12 @@ export default function CreateOrderPage() {
         return;
       }
       
-      const userId = getToken(); // Get user ID from token or localStorage
+      const userId = getUserId(); // Staff member signed in on this terminal (switches with the PIN lock screen)
       
       // Prepare order items
-      const items = cart.map(item => ({
-        dish_id: item.dish_id,
-        price: item.price,
-        quantity: item.quantity,
-      }));
+      const items = cart.map(toOrderItemPayload);
 
-      const { subtotal } = calculateTotals();
+      const { subtotal, deliveryCharge } = calculateTotals();
 
       // Get current timestamp in MySQL datetime format (YYYY-MM-DD HH:mm:ss)
       // This ensures the order time matches the system time and prevents collisions
@@ -634,10 +722,11 @@ export default function CreateOrderPage() {
       // Order status is "Running" to send to kitchen
       // Service charge and discount will be added when generating bill
       const orderData = {
-        customer_id: null, // Can be added later if customer selection is needed
+        customer_id: customer?.customer_id || null, // Looked up by phone, or the reserved/waiting guest seated
+        reservation_id: seatedGuest?.reservation_id || null,
         order_type: orderType, // Dine In, Take Away, Delivery
         order_status: 'Running', // Send to Kitchen
-        service_charge: 0, // Will be added when generating bill
+        service_charge: deliveryCharge, // Delivery charge; Dine In service charge is added when generating bill
         discount_amount: 0, // Will be added when generating bill
         order_taker_id: parseInt(userId) || 1,
         payment_mode: 'Cash', // Default, will be set when generating bill
@@ -650,6 +739,7 @@ export default function CreateOrderPage() {
         order_date: orderDate, // Send timestamp in MySQL datetime format (YYYY-MM-DD HH:mm:ss)
         created_at: orderDate, // Also send as created_at for compatibility
         date: orderDateISO, // ISO 8601 format with timezone for backend timezone handling
+        ...(orderType === 'Delivery' ? toDeliveryPayload(delivery, deliverySetup.zones) : {}),
         items: items,
       };
 
@@ -665,6 +755,21 @@ export default function CreateOrderPage() {
       // Use kitchen routing API for automatic kitchen assignment
       const result = await apiPost('api/create_order_with_kitchen.php', orderData);
 
+      // Offline: the order was saved to the sync queue and will be sent once the server is reachable
+      if (result.queued) {
+        setCart([]);
+        setOrderType('Dine In');
+        setSelectedHall('');
+        setSelectedTable('');
+        setComments('');
+        setSeatedGuest(null);
+        setDelivery(EMPTY_DELIVERY);
+        setCustomer(null);
+        setAlert({ type: 'warning', message: result.data.message });
+        setPlacing(false);
+        return;
+      }
+
       console.log('🔍 Create Order API Response:', JSON.stringify(result, null, 2));
       console.log('🔍 result.success:', result.success);
       console.log('🔍 result.data:', result.data);
@@ -764,6 +869,10 @@ export default function CreateOrderPage() {
         itemsCount: itemsCount,
         responseData 
       });
+      // Broadcast update to other dashboard instances
+      broadcastUpdate(UPDATE_EVENTS.ORDER_CREATED, { 
+        order_id: orderId 
+      });
 
       // Use responseData if we extracted it, otherwise use result.data
       const finalResponseData = responseData || result.data;
@@ -776,6 +885,8 @@ export default function CreateOrderPage() {
         price: parseFloat(item.price || item.rate || item.unit_price || 0),
         quantity: parseInt(item.quantity || item.qty || item.qnty || 1),
         qty: parseInt(item.quantity || item.qty || item.qnty || 1),
+        modifiers: getItemModifiers(item),
+        components: getItemComponents(item),
         total_amount: parseFloat(item.total_amount || item.total || item.total_price || (parseFloat(item.price || 0) * parseInt(item.quantity || 1))),
         total: parseFloat(item.total_amount || item.total || item.total_price || (parseFloat(item.price || 0) * parseInt(item.quantity || 1))),
       }));
@@ -841,6 +952,9 @@ export default function CreateOrderPage() {
       setSelectedHall('');
       setSelectedTable('');
       setComments('');
+      setSeatedGuest(null);
+      setDelivery(EMPTY_DELIVERY);
+      setCustomer(null);
       setAlert({ 
         type: 'success', 
         message: result.data?.message || `Order #${orderId} placed successfully!` 
@@ -874,7 +988,8 @@ export default function CreateOrderPage() {
 
     try {
       const orderId = orderReceipt.order_id;
-      let items = orderReceipt.items || [];
+      // Combos print per component so each part reaches its own kitchen
+      let items = expandComboComponents(orderReceipt.items || []);
       
       if (items.length === 0) {
         setAlert({ type: 'error', message: 'No items found to print KOT' });
@@ -1020,22 +1135,30 @@ export default function CreateOrderPage() {
     }
   }, [receiptModalOpen, orderReceipt, handlePrintReceipt]);
 
-  const { subtotal } = calculateTotals();
+  const { subtotal, deliveryCharge, total } = calculateTotals();
   
+  // Combos are listed like dishes under their own "Deals" category
+  const comboEntries = combos.map(toComboMenuEntry);
+  const menuDishes = [...dishes, ...comboEntries];
+  const menuCategories = useMemo(
+    () => (combos.length > 0 ? [...categories, COMBO_CATEGORY] : categories),
+    [categories, combos.length]
+  );
+
   // Filter dishes by selected category - only show items when category is selected
   const filteredDishes = selectedCategory 
-    ? dishes.filter(dish => String(dish.category_id) === String(selectedCategory) && dish.is_available == 1)
+    ? menuDishes.filter(dish => String(dish.category_id) === String(selectedCategory) && dish.is_available == 1)
     : [];
 
   const filteredCategories = useMemo(() => {
     const q = categorySearch.trim().toLowerCase();
-    if (!q) return categories;
-    return categories.filter(
+    if (!q) return menuCategories;
+    return menuCategories.filter(
       (c) =>
         (c.name || '').toLowerCase().includes(q) ||
         String(c.category_id) === String(selectedCategory)
     );
-  }, [categories, categorySearch, selectedCategory]);
+  }, [menuCategories, categorySearch, selectedCategory]);
 
   return (
     <AdminLayout>
@@ -1067,6 +1190,9 @@ export default function CreateOrderPage() {
                 value={orderType}
                 onChange={(e) => {
                   setOrderType(e.target.value);
+                  if (e.target.value === 'Delivery' && customer) {
+                    setDelivery(prev => prefillDeliveryFromCustomer(prev, customer));
+                  }
                   if (e.target.value !== 'Dine In') {
                     setSelectedHall('');
                     setSelectedTable('');
@@ -1129,6 +1255,65 @@ export default function CreateOrderPage() {
               </div>
             )}
           </div>
+
+          {/* Customer (optional, found by phone) */}
+          <div className="mt-4 max-w-xl">
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Customer</label>
+            <CustomerLookup branchId={getBranchId()} customer={customer} onChange={handleCustomerChange} />
+          </div>
+
+          {/* Delivery details (only for Delivery) */}
+          {orderType === 'Delivery' && (
+            <div className="mt-4">
+              <DeliveryDetailsForm value={delivery} onChange={setDelivery} zones={deliverySetup.zones} riders={deliverySetup.riders} />
+            </div>
+          )}
+
+          {/* Seated reservation / waitlist guest */}
+          {orderType === 'Dine In' && seatedGuest && (
+            <div className="mt-4 flex items-center justify-between gap-3 rounded-lg border border-purple-200 bg-purple-50 px-3 py-2 text-sm text-purple-900">
+              <span>
+                Guest <span className="font-semibold">{seatedGuest.guest_name}</span> · party of {seatedGuest.party_size}
+                {seatedGuest.customer ? ` · customer ${seatedGuest.customer.phone || seatedGuest.customer.name}` : ''}
+              </span>
+              <button
+                type="button"
+                onClick={() => setSeatedGuest(null)}
+                className="p-1 rounded hover:bg-purple-100"
+                title="Remove guest from this order"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+
+          {/* Live floor map (only for Dine In) */}
+          {orderType === 'Dine In' && (
+            <div className="mt-4">
+              <button
+                type="button"
+                onClick={() => setShowFloorMap(prev => !prev)}
+                className="text-sm font-semibold text-[#FF5F15] hover:text-[#FF9500]"
+              >
+                {showFloorMap ? 'Hide floor map' : 'Pick from floor map'}
+              </button>
+              {showFloorMap && (
+                <div className="mt-3">
+                  <TableMapPanel
+                    branchId={getBranchId()}
+                    selectedTableId={selectedTable}
+                    onSelectTable={(table, seating) => {
+                      setSelectedHall(String(table.hall_id));
+                      setSelectedTable(String(table.table_id));
+                      setSeatedGuest(seating || null);
+                      if (seating?.customer) setCustomer(seating.customer);
+                    }}
+                    ordersPath='/dashboard/branch-admin/order'
+                  />
+                </div>
+              )}
+            </div>
+          )}
         </div>
 
         {/* Menu Items & Cart */}
@@ -1168,7 +1353,7 @@ export default function CreateOrderPage() {
                   <div className="flex flex-col gap-2 overflow-y-auto max-h-[42vh] lg:max-h-[min(70vh,520px)] pr-1 -mr-1">
                     {filteredCategories.map((category) => {
                       const isSelected = String(selectedCategory) === String(category.category_id);
-                      const count = dishes.filter(
+                      const count = menuDishes.filter(
                         (d) => String(d.category_id) === String(category.category_id) && d.is_available == 1
                       ).length;
                       return (
@@ -1236,7 +1421,7 @@ export default function CreateOrderPage() {
                             <h2 className="text-base sm:text-lg font-bold text-gray-900">Menu</h2>
                             <p className="text-xs text-gray-600">
                               <span className="font-semibold text-[#FF5F15]">
-                                {categories.find((c) => String(c.category_id) === String(selectedCategory))?.name || 'Selected'}
+                                {menuCategories.find((c) => String(c.category_id) === String(selectedCategory))?.name || 'Selected'}
                               </span>
                             </p>
                           </div>
@@ -1287,7 +1472,7 @@ export default function CreateOrderPage() {
                                   {dish.is_available == 1 && (
                                     <button
                                       type="button"
-                                      onClick={() => addToCart(dish)}
+                                      onClick={() => handleDishClick(dish)}
                                       className="shrink-0 px-3 py-1.5 bg-gradient-to-r from-[#FF5F15] to-[#FF9500] text-white rounded-md font-semibold text-[11px] hover:from-[#FF9500] hover:to-[#FF5F15] transition-all shadow-sm flex items-center gap-1"
                                     >
                                       <Plus className="w-3.5 h-3.5" />
@@ -1331,14 +1516,20 @@ export default function CreateOrderPage() {
                   {/* Cart Items */}
                   <div className="space-y-3 max-h-64 overflow-y-auto overflow-x-hidden pr-2 custom-scrollbar">
                     {cart.map((item) => (
-                      <div key={item.dish_id} className="bg-white border-2 border-gray-200 rounded-xl p-3 hover:border-[#FF5F15] transition-all shadow-sm">
+                      <div key={item.line_key} className="bg-white border-2 border-gray-200 rounded-xl p-3 hover:border-[#FF5F15] transition-all shadow-sm">
                         <div className="flex justify-between items-start mb-3">
                           <div className="flex-1 min-w-0">
                             <p className="font-semibold text-sm text-gray-900 truncate">{item.name}</p>
+                            {item.components?.length > 0 && (
+                              <p className="text-xs text-gray-500 mt-0.5 break-words">{formatComboComponents(item.components)}</p>
+                            )}
+                            {item.modifiers?.length > 0 && (
+                              <p className="text-xs text-gray-500 mt-0.5 break-words">{formatModifierSummary(item.modifiers)}</p>
+                            )}
                             <p className="text-xs text-gray-600 mt-0.5">{formatPKR(item.price)} each</p>
                           </div>
                           <button
-                            onClick={() => removeFromCart(item.dish_id)}
+                            onClick={() => removeFromCart(item.line_key)}
                             className="text-red-500 hover:text-red-700 hover:bg-red-50 p-1 rounded transition flex-shrink-0 ml-2"
                             title="Remove item"
                           >
@@ -1348,7 +1539,7 @@ export default function CreateOrderPage() {
                         <div className="flex items-center justify-between">
                           <div className="flex items-center gap-2 bg-gray-50 rounded-lg p-1">
                             <button
-                              onClick={() => updateCartQuantity(item.dish_id, item.quantity - 1)}
+                              onClick={() => updateCartQuantity(item.line_key, item.quantity - 1)}
                               className="w-8 h-8 rounded-lg bg-white border-2 border-gray-300 flex items-center justify-center hover:bg-gray-100 hover:border-gray-400 transition text-gray-900"
                               title="Decrease quantity"
                             >
@@ -1356,7 +1547,7 @@ export default function CreateOrderPage() {
                             </button>
                             <span className="text-sm font-bold w-10 text-center text-gray-900">{item.quantity}</span>
                             <button
-                              onClick={() => updateCartQuantity(item.dish_id, item.quantity + 1)}
+                              onClick={() => updateCartQuantity(item.line_key, item.quantity + 1)}
                               className="w-8 h-8 rounded-lg bg-white border-2 border-gray-300 flex items-center justify-center hover:bg-gray-100 hover:border-gray-400 transition text-gray-900"
                               title="Increase quantity"
                             >
@@ -1391,9 +1582,15 @@ export default function CreateOrderPage() {
                       <span className="text-base font-semibold text-gray-700">Subtotal:</span>
                       <span className="text-xl font-bold text-gray-900">{formatPKR(subtotal)}</span>
                     </div>
+                    {orderType === 'Delivery' && (
+                      <div className="flex justify-between items-center">
+                        <span className="text-base font-semibold text-gray-700">Delivery Charge:</span>
+                        <span className="text-base font-bold text-gray-900">{formatPKR(deliveryCharge)}</span>
+                      </div>
+                    )}
                     <div className="flex justify-between items-center pt-2 border-t border-gray-200">
                       <span className="text-base sm:text-lg font-bold text-gray-900">Total:</span>
-                      <span className="text-xl sm:text-2xl font-bold text-[#FF5F15]">{formatPKR(subtotal)}</span>
+                      <span className="text-xl sm:text-2xl font-bold text-[#FF5F15]">{formatPKR(total)}</span>
                     </div>
                     <p className="text-xs text-gray-500 text-center pt-2">
                       Bill will be generated later with discount & service charge
@@ -1452,6 +1649,9 @@ export default function CreateOrderPage() {
                     setSelectedHall('');
                     setSelectedTable('');
                     setComments('');
+                    setSeatedGuest(null);
+                    setDelivery(EMPTY_DELIVERY);
+                    setCustomer(null);
                   }}
                   className="flex-1"
                 >
@@ -1689,6 +1889,25 @@ html, body {
           )}
         </Modal>
       </div>
+
+      <ModifierPickerModal
+        dish={modifierDish}
+        onClose={() => setModifierDish(null)}
+        onConfirm={(dish, modifiers) => {
+          addToCart(dish, modifiers);
+          setModifierDish(null);
+        }}
+      />
+
+      <ComboPickerModal
+        entry={comboEntry}
+        dishes={dishes}
+        onClose={() => setComboEntry(null)}
+        onConfirm={(entry, components) => {
+          addLineToCart(createComboCartLine(entry, components));
+          setComboEntry(null);
+        }}
+      />
       
       {/* Custom Scrollbar Styles */}
       <style jsx global>{`
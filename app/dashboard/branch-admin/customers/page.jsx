@@ -14,9 +14,10 @@ import Input from '@/components/ui/Input';
 import Modal from '@/components/ui/Modal';
 import Table from '@/components/ui/Table';
 import Alert from '@/components/ui/Alert';
+import LoyaltyLedgerModal from '@/components/loyalty/LoyaltyLedgerModal';
 import { apiPost, apiDelete, apiGet, getBranchId, getTerminal } from '@/utils/api';
 import { formatPKR } from '@/utils/format';
-import { Users, Plus, Edit, Trash2, Search, X, Phone, Mail, MapPin, FileText, Eye, RefreshCw } from 'lucide-react';
+import { Users, Plus, Edit, Trash2, Search, X, Phone, Mail, MapPin, FileText, Eye, Award, RefreshCw } from 'lucide-react';
 
 export default function CustomerManagementPage() {
   const [customers, setCustomers] = useState([]);
@@ -29,6 +30,7 @@ export default function CustomerManagementPage() {
   const [selectedCustomer, setSelectedCustomer] = useState(null);
   const [creditBills, setCreditBills] = useState([]);
   const [loadingCreditBills, setLoadingCreditBills] = useState(false);
+  const [ledgerCustomer, setLedgerCustomer] = useState(null);
   const [formData, setFormData] = useState({
     customer_name: '',
     phone: '',
@@ -684,6 +686,23 @@ export default function CustomerManagementPage() {
       className: 'w-40',
       wrap: false,
     },
+    {
+      header: 'Loyalty',
+      accessor: (row) => (
+        <div className="flex items-center gap-2">
+          <span className="font-semibold text-[#FF5F15]">{parseInt(row.loyalty_points || 0, 10)} pts</span>
+          <button
+            onClick={() => setLedgerCustomer(row)}
+            className="p-1 text-[#FF5F15] hover:bg-orange-50 rounded transition"
+            title="Loyalty Ledger"
+          >
+            <Award className="w-4 h-4" />
+          </button>
+        </div>
+      ),
+      className: 'w-32',
+      wrap: false,
+    },
     {
       header: 'Actions',
       accessor: (row) => (
@@ -958,6 +977,9 @@ export default function CustomerManagementPage() {
             </div>
           )}
         </Modal>
+
+        {/* Loyalty Ledger Modal */}
+        <LoyaltyLedgerModal customer={ledgerCustomer} onClose={() => setLedgerCustomer(null)} />
       </div>
     </AdminLayout>
   );
@@ -0,0 +1,19 @@
+'use client';
+
+/**
+ * Deliveries Page
+ * Delivery orders with rider assignment and status, rider cash settlement, and zone/rider setup
+ * Uses APIs: delivery_management.php, riders_management.php, delivery_zones.php
+ */
+
+import AdminLayout from '@/components/admin/AdminLayout';
+import DeliveryBoard from '@/components/delivery/DeliveryBoard';
+import { getBranchId } from '@/utils/api';
+
+export default function DeliveriesPage() {
+  return (
+    <AdminLayout>
+      <DeliveryBoard branchId={getBranchId()} showSetup />
+    </AdminLayout>
+  );
+}
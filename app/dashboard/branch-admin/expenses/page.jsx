@@ -16,6 +16,7 @@ import Input from '@/components/ui/Input';
 import Modal from '@/components/ui/Modal';
 import Table from '@/components/ui/Table';
 import Alert from '@/components/ui/Alert';
+import { usePermissions } from '@/hooks/usePermissions';
 import { apiPost, apiDelete, apiGet, getBranchId, getTerminal } from '@/utils/api';
 import { formatPKR } from '@/utils/format';
 import { Receipt, Plus, Edit, Trash2, Search, X, DollarSign } from 'lucide-react';
@@ -33,6 +34,7 @@ export default function ExpenseManagementPage() {
     description: '',
   });
   const [alert, setAlert] = useState({ type: '', message: '' });
+  const { can } = usePermissions();
 
   useEffect(() => {
     fetchExpenses();
@@ -438,24 +440,28 @@ export default function ExpenseManagementPage() {
    */
   const actions = (row) => (
     <div className="flex items-center justify-end gap-2">
-      <Button
-        variant="outline"
-        size="sm"
-        onClick={() => handleEdit(row)}
-        className="flex items-center gap-1"
-      >
-        <Edit className="w-4 h-4" />
-        <span className="hidden sm:inline">Edit</span>
-      </Button>
-      <Button
-        variant="danger"
-        size="sm"
-        onClick={() => handleDelete(row.id)}
-        className="flex items-center gap-1"
-      >
-        <Trash2 className="w-4 h-4" />
-        <span className="hidden sm:inline">Delete</span>
-      </Button>
+      {can('expense.create') && (
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => handleEdit(row)}
+          className="flex items-center gap-1"
+        >
+          <Edit className="w-4 h-4" />
+          <span className="hidden sm:inline">Edit</span>
+        </Button>
+      )}
+      {can('expense.delete') && (
+        <Button
+          variant="danger"
+          size="sm"
+          onClick={() => handleDelete(row.id)}
+          className="flex items-center gap-1"
+        >
+          <Trash2 className="w-4 h-4" />
+          <span className="hidden sm:inline">Delete</span>
+        </Button>
+      )}
     </div>
   );
 
@@ -470,17 +476,19 @@ export default function ExpenseManagementPage() {
               Manage expenses for your branch
             </p>
           </div>
-          <Button
-            onClick={() => {
-              setEditingExpense(null);
-              setFormData({ title: '', amount: '', description: '' });
-              setModalOpen(true);
-            }}
-            className="flex items-center gap-2 w-full sm:w-auto"
-          >
-            <Plus className="w-4 h-4" />
-            <span>Add Expense</span>
-          </Button>
+          {can('expense.create') && (
+            <Button
+              onClick={() => {
+                setEditingExpense(null);
+                setFormData({ title: '', amount: '', description: '' });
+                setModalOpen(true);
+              }}
+              className="flex items-center gap-2 w-full sm:w-auto"
+            >
+              <Plus className="w-4 h-4" />
+              <span>Add Expense</span>
+            </Button>
+          )}
         </div>
 
         {/* Alert Message */}
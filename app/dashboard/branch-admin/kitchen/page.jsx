@@ -14,11 +14,24 @@ import Input from '@/components/ui/Input';
 import Alert from '@/components/ui/Alert';
 import Modal from '@/components/ui/Modal';
 import Table from '@/components/ui/Table';
+import KitchenDisplay from '@/components/kitchen/KitchenDisplay';
+import ExpediterDisplay from '@/components/kitchen/ExpediterDisplay';
 import { apiGet, apiPost, apiDelete, getTerminal, getBranchId } from '@/utils/api';
 import { formatPKR } from '@/utils/format';
-import { Clock, Printer, CheckCircle, ChefHat, Utensils, Plus, Edit, Trash2, RefreshCw } from 'lucide-react';
+import { isRefired } from '@/utils/itemVoids';
+import { broadcastUpdate, listenForUpdates, UPDATE_EVENTS } from '@/utils/dashboardSync';
+import { Clock, Printer, CheckCircle, ChefHat, Utensils, Plus, Edit, Trash2, RefreshCw, MonitorPlay, ConciergeBell } from 'lucide-react';
 import logger from '@/utils/logger';
 
+const FALLBACK_REFRESH_MS = 60 * 1000;
+
+const REFRESH_EVENTS = [
+  UPDATE_EVENTS.ORDER_CREATED,
+  UPDATE_EVENTS.ORDER_UPDATED,
+  UPDATE_EVENTS.ORDER_STATUS_CHANGED,
+  UPDATE_EVENTS.KITCHEN_ITEM_UPDATED,
+];
+
 export default function KitchenManagementPage() {
   const [kitchens, setKitchens] = useState([]);
   const [selectedKitchen, setSelectedKitchen] = useState(null);
@@ -29,6 +42,8 @@ export default function KitchenManagementPage() {
   const [receiptModalOpen, setReceiptModalOpen] = useState(false);
   const [receiptData, setReceiptData] = useState(null);
   const [autoRefresh, setAutoRefresh] = useState(true);
+  const [kdsOpen, setKdsOpen] = useState(false);
+  const [expediterOpen, setExpediterOpen] = useState(false);
   
   // Kitchen Management Modal States
   const [kitchenModalOpen, setKitchenModalOpen] = useState(false);
@@ -45,14 +60,20 @@ export default function KitchenManagementPage() {
   }, []);
 
   useEffect(() => {
-    if (selectedKitchen) {
+    // The KDS and expediter load their own orders while open
+    if (selectedKitchen && !kdsOpen && !expediterOpen) {
       fetchKitchenOrders();
       if (autoRefresh) {
-        const interval = setInterval(fetchKitchenOrders, 5000); // Refresh every 5 seconds
-        return () => clearInterval(interval);
+        // Orders and item changes arrive as live events; the poll only catches what the stream missed
+        const interval = setInterval(fetchKitchenOrders, FALLBACK_REFRESH_MS);
+        const stopListening = listenForUpdates(() => fetchKitchenOrders(), REFRESH_EVENTS);
+        return () => {
+          clearInterval(interval);
+          stopListening();
+        };
       }
     }
-  }, [selectedKitchen, autoRefresh]);
+  }, [selectedKitchen, autoRefresh, kdsOpen, expediterOpen]);
 
   /**
    * Fetch kitchens from API
@@ -422,7 +443,7 @@ export default function KitchenManagementPage() {
    * Update item status
    * API: update_kitchen_item_status.php
    */
-  const updateItemStatus = async (itemId, newStatus) => {
+  const updateItemStatus = async (itemId, newStatus, order) => {
     try {
       const terminal = getTerminal();
       const branchId = getBranchId();
@@ -451,6 +472,14 @@ export default function KitchenManagementPage() {
       if (isSuccess) {
         logger.success(`Item ${itemId} marked as ${newStatus}`, { itemId, newStatus, result: result.data });
         setAlert({ type: 'success', message: result.data?.message || `Item marked as ${newStatus} successfully!` });
+        broadcastUpdate(UPDATE_EVENTS.KITCHEN_ITEM_UPDATED, {
+          order_id: order.order_id,
+          orderid: order.orderid || order.order_id,
+          table_number: order.table_number || '',
+          kitchen_id: selectedKitchen,
+          item_ids: [itemId],
+          status: newStatus,
+        });
         // Refresh orders immediately
         setTimeout(() => {
           fetchKitchenOrders();
@@ -521,6 +550,7 @@ export default function KitchenManagementPage() {
       'Ready': 'bg-green-100 text-green-800 border-green-300',
       'Completed': 'bg-gray-100 text-gray-800 border-gray-300',
       'Cancelled': 'bg-red-100 text-red-800 border-red-300',
+      'Voided': 'bg-red-100 text-red-800 border-red-300',
       'Running': 'bg-blue-100 text-blue-800 border-blue-300',
       'Served': 'bg-green-100 text-green-800 border-green-300',
     };
@@ -618,6 +648,25 @@ export default function KitchenManagementPage() {
                 Add Kitchen
               </Button>
             )}
+            {selectedKitchenData && (
+              <Button
+                size="sm"
+                onClick={() => setKdsOpen(true)}
+              >
+                <MonitorPlay className="w-4 h-4 mr-2" />
+                KDS Mode
+              </Button>
+            )}
+            {kitchens.length > 0 && (
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => setExpediterOpen(true)}
+              >
+                <ConciergeBell className="w-4 h-4 mr-2" />
+                Expediter
+              </Button>
+            )}
             <label className="flex items-center gap-2 text-sm text-gray-700">
               <input
                 type="checkbox"
@@ -625,7 +674,7 @@ export default function KitchenManagementPage() {
                 onChange={(e) => setAutoRefresh(e.target.checked)}
                 className="w-4 h-4 text-[#FF5F15] rounded focus:ring-[#FF5F15]"
               />
-              <span>Auto Refresh (5s)</span>
+              <span>Live Updates</span>
             </label>
             <Button
               variant="outline"
@@ -793,7 +842,12 @@ export default function KitchenManagementPage() {
                         >
                           <div className="flex justify-between items-start mb-2">
                             <div className="flex-1">
-                              <h4 className="font-semibold text-gray-900">{item.dish_name}</h4>
+                              <h4 className={`font-semibold ${item.status === 'Voided' ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
+                                {item.dish_name}
+                                {isRefired(item) && (
+                                  <span className="ml-2 px-1.5 py-0.5 text-[10px] font-bold rounded bg-amber-100 text-amber-800 align-middle">REFIRE</span>
+                                )}
+                              </h4>
                               {item.category_name && (
                                 <p className="text-xs text-gray-500 mt-0.5">{item.category_name}</p>
                               )}
@@ -822,7 +876,7 @@ export default function KitchenManagementPage() {
                               <Button
                                 size="sm"
                                 variant="primary"
-                                onClick={() => updateItemStatus(item.id, getNextStatus(item.status))}
+                                onClick={() => updateItemStatus(item.id, getNextStatus(item.status), order)}
                                 className="text-xs flex-1"
                               >
                                 Mark as {getNextStatus(item.status)}
@@ -832,7 +886,7 @@ export default function KitchenManagementPage() {
                               <Button
                                 size="sm"
                                 variant="success"
-                                onClick={() => updateItemStatus(item.id, 'Completed')}
+                                onClick={() => updateItemStatus(item.id, 'Completed', order)}
                                 className="text-xs"
                               >
                                 Complete
@@ -1019,6 +1073,24 @@ export default function KitchenManagementPage() {
             }
           }
         `}</style>
+
+        {/* Full-screen kitchen display */}
+        {kdsOpen && selectedKitchenData && (
+          <KitchenDisplay
+            kitchen={selectedKitchenData}
+            branchId={getBranchId() || 1}
+            onExit={() => setKdsOpen(false)}
+          />
+        )}
+
+        {/* Full-screen pass view across all kitchens */}
+        {expediterOpen && (
+          <ExpediterDisplay
+            kitchens={kitchens}
+            branchId={getBranchId() || 1}
+            onExit={() => setExpediterOpen(false)}
+          />
+        )}
       </div>
     </AdminLayout>
   );
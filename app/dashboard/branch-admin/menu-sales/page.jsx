@@ -13,6 +13,7 @@ import Table from '@/components/ui/Table';
 import Alert from '@/components/ui/Alert';
 import { apiGet, getTerminal, getBranchId, getBranchName } from '@/utils/api';
 import { formatPKR } from '@/utils/format';
+import { formatModifierSales, getItemModifiers } from '@/utils/modifiers';
 import { BarChart3, Printer } from 'lucide-react';
 
 export default function MenuSalesListPage() {
@@ -142,6 +143,11 @@ export default function MenuSalesListPage() {
           category: item.category || item.category_name || item.category_title || '-',
           quantity_sold: parseInt(item.quantity_sold || item.quantity || item.qty || item.sold_quantity || 0),
           total_revenue: parseFloat(item.total_revenue || item.revenue || item.amount || item.total_amount || item.sales_amount || 0),
+          // Quantity counts each dish once; revenue already includes modifier price deltas
+          modifiers_summary: formatModifierSales(getItemModifiers(item)),
+          // Combo rows count combos sold; dish rows include units consumed through combos in quantity_sold
+          is_combo: Boolean(item.combo_id),
+          combo_quantity: parseInt(item.combo_quantity || 0),
         }));
         setMenuSales(mappedSales);
         console.log('✅ Mapped menu sales:', mappedSales.length, 'items');
@@ -184,7 +190,8 @@ export default function MenuSalesListPage() {
    * Calculate totals for menu sales
    */
   const totals = menuSales.reduce((acc, item) => {
-    acc.totalQuantity += parseInt(item.quantity_sold || 0);
+    // Combo components are already counted on their dish rows
+    if (!item.is_combo) acc.totalQuantity += parseInt(item.quantity_sold || 0);
     acc.totalRevenue += parseFloat(item.total_revenue || 0);
     return acc;
   }, { totalQuantity: 0, totalRevenue: 0 });
@@ -231,7 +238,18 @@ export default function MenuSalesListPage() {
     },
     { 
       header: 'Menu Item', 
-      accessor: 'name',
+      accessor: (row) => (
+        <div>
+          <div>
+            {row.name}
+            {row.is_combo && (
+              <span className="ml-2 px-1.5 py-0.5 text-[10px] font-semibold uppercase rounded bg-orange-100 text-[#FF5F15]">Deal</span>
+            )}
+          </div>
+          {row.combo_quantity > 0 && <div className="text-xs text-gray-500 mt-0.5">incl. {row.combo_quantity} in deals</div>}
+          {row.modifiers_summary && <div className="text-xs text-gray-500 mt-0.5">{row.modifiers_summary}</div>}
+        </div>
+      ),
       className: 'min-w-[200px]',
     },
     { 
@@ -454,7 +472,11 @@ export default function MenuSalesListPage() {
                   {menuSales.map((item, index) => (
                     <tr key={item.id || index}>
                       <td>{item.dish_id || item.id || 'N/A'}</td>
-                      <td>{item.name || 'N/A'}</td>
+                      <td>
+                        {item.name || 'N/A'}{item.is_combo ? ' (Deal)' : ''}
+                        {item.combo_quantity > 0 && <div style={{ fontSize: '9px' }}>incl. {item.combo_quantity} in deals</div>}
+                        {item.modifiers_summary && <div style={{ fontSize: '9px' }}>{item.modifiers_summary}</div>}
+                      </td>
                       <td>{item.category || 'N/A'}</td>
                       <td style={{ textAlign: 'right' }}>{item.quantity_sold || 0}</td>
                       <td style={{ textAlign: 'right', fontWeight: 'bold' }}>{formatPKR(item.total_revenue || 0)}</td>
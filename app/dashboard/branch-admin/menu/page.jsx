@@ -13,8 +13,11 @@ import Input from '@/components/ui/Input';
 import Modal from '@/components/ui/Modal';
 import Table from '@/components/ui/Table';
 import Alert from '@/components/ui/Alert';
+import ModifierGroupsEditor from '@/components/menu/ModifierGroupsEditor';
+import CombosManager from '@/components/menu/CombosManager';
 import { apiGet, apiPost, apiDelete, getTerminal, getBranchId } from '@/utils/api';
 import { formatPKR } from '@/utils/format';
+import { getDishModifierGroups, toModifierGroupsPayload } from '@/utils/modifiers';
 import logger from '@/utils/logger';
 
 export default function MenuManagementPage() {
@@ -31,6 +34,7 @@ export default function MenuManagementPage() {
     is_available: 1,
     kitchen_id: '',
     discount: 0,
+    modifier_groups: [],
   });
   const [alert, setAlert] = useState({ type: '', message: '' });
 
@@ -305,6 +309,7 @@ export default function MenuManagementPage() {
         branch_id: branchId, // Always include branch_id for branch-admin
         discount: formData.discount || 0,
         kitchen_id: formData.kitchen_id || '',
+        modifier_groups: toModifierGroupsPayload(formData.modifier_groups),
       };
       
       console.log('Saving menu item with data:', data);
@@ -321,6 +326,7 @@ export default function MenuManagementPage() {
           is_available: 1,
           kitchen_id: '',
           discount: 0,
+          modifier_groups: [],
         });
         setEditingItem(null);
         setModalOpen(false);
@@ -346,6 +352,7 @@ export default function MenuManagementPage() {
       is_available: item.is_available || 1,
       kitchen_id: item.kitchen_id || '',
       discount: item.discount || 0,
+      modifier_groups: getDishModifierGroups(item),
     });
     setModalOpen(true);
   };
@@ -478,6 +485,7 @@ export default function MenuManagementPage() {
                 is_available: 1,
                 kitchen_id: '',
                 discount: 0,
+                modifier_groups: [],
               });
               setModalOpen(true);
             }}
@@ -509,6 +517,9 @@ export default function MenuManagementPage() {
           />
         )}
 
+        {/* Combos & Deals */}
+        <CombosManager dishes={menuItems} branchId={getBranchId()} />
+
         {/* Add/Edit Modal */}
         <Modal
           isOpen={modalOpen}
@@ -523,6 +534,7 @@ export default function MenuManagementPage() {
               is_available: 1,
               kitchen_id: '',
               discount: 0,
+              modifier_groups: [],
             });
           }}
           title={editingItem ? 'Edit Menu Item' : 'Add New Menu Item'}
@@ -589,6 +601,11 @@ export default function MenuManagementPage() {
               placeholder="0"
             />
 
+            <ModifierGroupsEditor
+              groups={formData.modifier_groups}
+              onChange={(groups) => setFormData({ ...formData, modifier_groups: groups })}
+            />
+
             <div className="mb-4">
               <label className="block text-sm font-medium text-gray-700 mb-1.5">
                 Status
@@ -619,6 +636,7 @@ export default function MenuManagementPage() {
                     is_available: 1,
                     kitchen_id: '',
                     discount: 0,
+                    modifier_groups: [],
                   });
                 }}
               >
@@ -13,13 +13,27 @@ import Input from '@/components/ui/Input';
 import Table from '@/components/ui/Table';
 import Alert from '@/components/ui/Alert';
 import Modal from '@/components/ui/Modal';
+import SplitBillModal from '@/components/billing/SplitBillModal';
+import MergeOrdersModal from '@/components/orders/MergeOrdersModal';
+import SplitOrderModal from '@/components/orders/SplitOrderModal';
+import ItemVoidModal from '@/components/orders/ItemVoidModal';
+import ModifierPickerModal from '@/components/menu/ModifierPickerModal';
+import { isSentToKitchen, VOIDED_ITEM_STATUS } from '@/utils/itemVoids';
+import { formatComboComponents, getItemComponents } from '@/utils/combos';
+import { createCartLine, formatModifierSummary, getDishModifierGroups, getItemModifiers, getLineKey, getModifiersPriceDelta, toOrderItemPayload } from '@/utils/modifiers';
+import TenderLinesEditor, { DEFAULT_TENDER_LINES } from '@/components/billing/TenderLinesEditor';
+import { usePermissions } from '@/hooks/usePermissions';
 import { apiGet, apiPost, apiDelete, getTerminal, getBranchId, getBranchName } from '@/utils/api';
+import { getOrdersById, changeOrderStatus, billsManagement, loyaltyLedger, ApiError } from '@/utils/endpoints';
 import { formatPKR, formatDateTime } from '@/utils/format';
-import { FileText, Eye, Edit, Trash2, X, RefreshCw, Receipt, Calculator, Printer, Plus, Minus, ShoppingCart, CreditCard, DollarSign, Calendar } from 'lucide-react';
+import { FileText, Eye, Edit, Trash2, X, RefreshCw, Receipt, Calculator, Printer, Plus, Minus, ShoppingCart, CreditCard, DollarSign, Calendar, Merge, Split, Ban } from 'lucide-react';
 import ThermalReceipt from '@/components/receipt/ThermalReceipt';
+import LoyaltyRedemption from '@/components/loyalty/LoyaltyRedemption';
 import logger from '@/utils/logger';
 import { broadcastUpdate, listenForUpdates, UPDATE_EVENTS } from '@/utils/dashboardSync';
 import { computeBillBreakdown, isDineInOrderType } from '@/utils/billTotals';
+import { applyLoyaltyToBill, describeBalance, describeRedemption, normalizeLoyaltyBalance, toLoyaltyPayload } from '@/utils/loyalty';
+import { getCreditTenderAmount, summarizeTenders, validateTenders } from '@/utils/payment';
 
 export default function OrderManagementPage() {
   const [orders, setOrders] = useState([]);
@@ -34,6 +48,7 @@ export default function OrderManagementPage() {
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [searchOrderId, setSearchOrderId] = useState(''); // Search by order ID
   const [alert, setAlert] = useState({ type: '', message: '' });
+  const { can } = usePermissions();
   const [detailsModalOpen, setDetailsModalOpen] = useState(false);
   const [editModalOpen, setEditModalOpen] = useState(false);
   const [billModalOpen, setBillModalOpen] = useState(false);
@@ -45,6 +60,7 @@ export default function OrderManagementPage() {
   });
   const [paymentMode, setPaymentMode] = useState('Cash'); // Payment mode for Pay Bill modal
   const [paymentCustomerId, setPaymentCustomerId] = useState(null); // Customer ID for credit payment
+  const [tenderLines, setTenderLines] = useState(DEFAULT_TENDER_LINES); // Tender lines for Mixed payment mode
   const [customers, setCustomers] = useState([]); // Credit customers list
   const [receiptModalOpen, setReceiptModalOpen] = useState(false);
   const [paymentModalOpen, setPaymentModalOpen] = useState(false);
@@ -53,6 +69,7 @@ export default function OrderManagementPage() {
     change: 0,
   });
   const [generatedBill, setGeneratedBill] = useState(null);
+  const [splitBillOpen, setSplitBillOpen] = useState(false); // Split Bill modal (opened from Receive Payment)
   const handlePrintReceiptRef = useRef(null);
   const [formData, setFormData] = useState({
     status: 'Pending',
@@ -65,6 +82,10 @@ export default function OrderManagementPage() {
   const [selectedCategory, setSelectedCategory] = useState(''); // Selected category in edit modal
   const [tables, setTables] = useState([]); // Tables for transfer functionality
   const [originalTableId, setOriginalTableId] = useState(null); // Store original table ID for transfer
+  const [mergeTarget, setMergeTarget] = useState(null); // Order other tables' orders are merged into
+  const [voidItem, setVoidItem] = useState(null); // Kitchen item being voided or re-fired from the edit modal
+  const [modifierDish, setModifierDish] = useState(null); // Dish waiting for its options before it is added in the edit modal
+  const [splitTarget, setSplitTarget] = useState(null); // Order whose items are being split off
 
   useEffect(() => {
     fetchCustomers();
@@ -690,74 +711,16 @@ export default function OrderManagementPage() {
       // Prepare order ID - prefer numeric order_id over orderid string
       const orderIdParam = orderId || (orderNumber ? (orderNumber.toString().replace(/ORD-?/i, '') || orderNumber) : null);
       
-      // Fetch order details with items - get_ordersbyid.php returns order with items array
-      const orderResult = await apiPost('api/get_ordersbyid.php', { 
-        order_id: orderIdParam,
-        orderid: orderNumber || `ORD-${orderIdParam}` || orderIdParam
-      });
-      
-      console.log('🔍 Raw orderResult from API:', JSON.stringify(orderResult, null, 2));
-      console.log('🔍 orderResult.data type:', typeof orderResult.data);
-      console.log('🔍 orderResult.data:', orderResult.data);
-      console.log('🔍 orderResult.data keys:', orderResult.data ? Object.keys(orderResult.data) : 'null');
-      console.log('🔍 orderResult.data isEmpty:', orderResult.data && Object.keys(orderResult.data).length === 0);
-      
+      // Fetch order details with items - getOrdersById normalizes every get_ordersbyid.php response shape
       let orderData = null;
-      
-      // Check if API returned an error or empty response
-      if (!orderResult.success) {
-        console.warn('⚠️ API call was not successful:', orderResult);
-      }
-      
-      // Handle multiple possible response structures for order data
-      // The API returns: { success: true, data: [{ order_id: 85, ... }] }
-      // apiPost wraps it, so orderResult.data = { success: true, data: [...] }
-      
-      if (orderResult.data && Object.keys(orderResult.data).length > 0) {
-        // Case 1: orderResult.data is directly an array (unlikely but possible)
-        if (Array.isArray(orderResult.data) && orderResult.data.length > 0) {
-          orderData = orderResult.data[0];
-          console.log('✅ Case 1: Found order data in result.data[0] (direct array)');
-        } 
-        // Case 2: orderResult.data = { success: true, data: [...] } - THIS IS THE EXPECTED CASE
-        else if (orderResult.data.data && Array.isArray(orderResult.data.data) && orderResult.data.data.length > 0) {
-          orderData = orderResult.data.data[0];
-          console.log('✅ Case 2: Found order data in result.data.data[0] (success wrapper with data array)');
-        }
-        // Case 3: orderResult.data = { success: true, data: {...} } (single object, not array)
-        else if (orderResult.data.success && orderResult.data.data && !Array.isArray(orderResult.data.data)) {
-          orderData = orderResult.data.data;
-          console.log('✅ Case 3: Found order data in result.data.data (success wrapper with single object)');
-        }
-        // Case 4: orderResult.data is a direct object (not wrapped)
-        else if (!Array.isArray(orderResult.data) && typeof orderResult.data === 'object' && Object.keys(orderResult.data).length > 0) {
-          // Check if it has order_id directly (it's the order object itself)
-          if (orderResult.data.order_id || orderResult.data.id) {
-            orderData = orderResult.data;
-            console.log('✅ Case 4: Found order data in result.data (direct order object)');
-          }
-          // Check if it's a success wrapper but data is not an array
-          else if (orderResult.data.success && orderResult.data.data) {
-            orderData = Array.isArray(orderResult.data.data) ? orderResult.data.data[0] : orderResult.data.data;
-            console.log('✅ Case 4b: Found order data in result.data.success.data');
-          }
-        }
-        // Case 5: Search for order object in nested structure
-        else if (typeof orderResult.data === 'object') {
-          for (const key in orderResult.data) {
-            if (key === 'order' && orderResult.data[key]) {
-              orderData = Array.isArray(orderResult.data[key]) ? orderResult.data[key][0] : orderResult.data[key];
-              console.log('✅ Case 5: Found order data in result.data.order');
-              break;
-            } else if (Array.isArray(orderResult.data[key]) && orderResult.data[key].length > 0) {
-              orderData = orderResult.data[key][0];
-              console.log(`✅ Case 5b: Found order data in result.data.${key}[0]`);
-              break;
-            }
-          }
-        }
-      } else if (orderResult.data && Object.keys(orderResult.data).length === 0) {
-        console.warn('⚠️ orderResult.data is an empty object {} - API may not have found the order');
+      let itemsData = [];
+      try {
+        const details = await getOrdersById({ orderId: orderIdParam, orderNumber });
+        orderData = details.order;
+        itemsData = details.items;
+      } catch (error) {
+        if (!(error instanceof ApiError)) throw error;
+        console.warn('⚠️ Could not load order from API:', error.name, error.message);
       }
       
       // If we couldn't extract order data from API, try to get it from the orders list
@@ -807,11 +770,6 @@ export default function OrderManagementPage() {
             orderIdParam,
             orderNumber,
             ordersListLength: orders.length,
-            orderResult: orderResult,
-            orderResultData: orderResult.data,
-            orderResultDataType: typeof orderResult.data,
-            isArray: Array.isArray(orderResult.data),
-            isEmpty: orderResult.data && Object.keys(orderResult.data).length === 0
           });
         }
       }
@@ -854,54 +812,18 @@ export default function OrderManagementPage() {
         }
       }
       
-      // Extract items from order response (get_ordersbyid.php returns order with items)
-      let itemsData = [];
-      if (orderData && orderData.items && Array.isArray(orderData.items)) {
+      // Orders rebuilt from the list carry no items - fall back to the order's own items array
+      if (itemsData.length === 0 && orderData && Array.isArray(orderData.items)) {
         itemsData = orderData.items;
-        console.log('✅ Found items in order data (items):', itemsData.length);
-      } else if (orderResult.success && orderResult.data) {
-        // Try to find items in the response structure
-        if (orderResult.data.items && Array.isArray(orderResult.data.items)) {
-          itemsData = orderResult.data.items;
-          console.log('✅ Found items in response data.items:', itemsData.length);
-        } else if (orderResult.data.data && orderResult.data.data.items && Array.isArray(orderResult.data.data.items)) {
-          itemsData = orderResult.data.data.items;
-          console.log('✅ Found items in response data.data.items:', itemsData.length);
-        } else if (Array.isArray(orderResult.data) && orderResult.data.length > 0 && orderResult.data[0].items) {
-          itemsData = orderResult.data[0].items;
-          console.log('✅ Found items in response data[0].items:', itemsData.length);
-        }
       }
       
       // Fetch bill if exists for this order (GET request - no total_amount means fetch, not create)
       let billData = null;
       if (orderIdParam) {
         try {
-          // Use GET to fetch existing bill
-          const billResult = await apiGet('api/bills_management.php', { order_id: orderIdParam });
-          
-          // Debug: Log bill fetch result
-          console.log('=== Bill Fetch Result ===');
-          console.log('Bill result:', JSON.stringify(billResult, null, 2));
-          
-          if (billResult.success && billResult.data) {
-            // Handle different response structures
-            if (billResult.data.success === true && billResult.data.data) {
-              // Response: { success: true, data: { bill: {...}, bill_id: 123 } }
-              billData = billResult.data.data.bill || billResult.data.data;
-            } else if (billResult.data.bill) {
-              // Response: { success: true, bill: {...} }
-              billData = billResult.data.bill;
-            } else if (billResult.data.bill_id || billResult.data.order_id) {
-              // Response: { success: true, bill_id: 123, ... } (bill object itself)
-              billData = billResult.data;
-            }
-            
-            // Ensure payment_status is set (default to 'Unpaid' if not present)
-            if (billData && !billData.payment_status) {
-              billData.payment_status = 'Unpaid';
-            }
-          }
+          // Use GET to fetch existing bill (billData is null when the order has no bill yet)
+          const billResult = await billsManagement.getByOrderId(orderIdParam);
+          billData = billResult.bill;
           
           // Debug: Log extracted bill data
           console.log('Extracted bill data:', JSON.stringify(billData, null, 2));
@@ -1138,8 +1060,6 @@ export default function OrderManagementPage() {
       // If orderData is still null or missing key fields, try to construct from minimal data
       if (!orderData || !orderData.order_id) {
         console.warn('⚠️ Order data is missing or incomplete after all attempts:', {
-          orderResult: orderResult,
-          orderResultData: orderResult.data,
           orderData,
           orderIdParam,
           orderNumber,
@@ -1266,83 +1186,69 @@ export default function OrderManagementPage() {
    */
   const updateOrderStatus = async (orderId, orderNumber, newStatus) => {
     try {
-      // Format orderid correctly - prefer numeric order_id, fallback to formatted orderid
-      const orderidValue = orderNumber || (orderId ? `ORD-${orderId}` : null);
-      const order_idValue = orderId || (orderNumber ? parseInt(orderNumber.replace(/ORD-?/i, '')) : null);
-      
       // Get order details to check if it's a Dine In order with a table
       const order = orders.find(o => (o.order_id || o.id) == orderId || o.orderid == orderNumber);
       const isDineIn = order?.order_type === 'Dine In';
       const tableId = order?.table_id;
       
-      // API expects order_status (not legacy "status")
-      const payload = { order_status: newStatus };
-      if (order_idValue) {
-        payload.order_id = order_idValue;
-      }
-      if (orderidValue) {
-        payload.orderid = orderidValue;
+      let statusResult;
+      try {
+        statusResult = await changeOrderStatus({ orderId, orderNumber, status: newStatus });
+      } catch (error) {
+        if (!(error instanceof ApiError)) throw error;
+        setAlert({ type: 'error', message: error.message || 'Failed to update order status' });
+        return;
       }
+
+      // If order is completed, Credit, or Bill Generated (credit) and it's a Dine In order, update table status to Available
+      // Check if this is a credit order by checking payment status
+      const isCreditOrder = order?.payment_status === 'Credit' || order?.payment_method === 'Credit' || order?.is_credit === true || newStatus.toLowerCase() === 'credit';
+      const shouldUpdateTable = (
+        newStatus.toLowerCase() === 'complete' || 
+        newStatus.toLowerCase() === 'credit' ||
+        (newStatus.toLowerCase() === 'bill generated' && isCreditOrder)
+      ) && isDineIn && tableId;
       
-      const result = await apiPost('api/chnageorder_status.php', payload);
-
-      // Check response - API can return success in different formats
-      const apiResponse = result.data;
-      const isSuccess = result.success && apiResponse && (
-        apiResponse.success === true || 
-        apiResponse.status === 'success' ||
-        (apiResponse.message && apiResponse.message.toLowerCase().includes('success'))
-      );
-
-      if (isSuccess) {
-        // If order is completed, Credit, or Bill Generated (credit) and it's a Dine In order, update table status to Available
-        // Check if this is a credit order by checking payment status
-        const isCreditOrder = order?.payment_status === 'Credit' || order?.payment_method === 'Credit' || order?.is_credit === true || newStatus.toLowerCase() === 'credit';
-        const shouldUpdateTable = (
-          newStatus.toLowerCase() === 'complete' || 
-          newStatus.toLowerCase() === 'credit' ||
-          (newStatus.toLowerCase() === 'bill generated' && isCreditOrder)
-        ) && isDineIn && tableId;
-        
-        if (shouldUpdateTable) {
-          try {
-            // Fetch current table details first
-            const terminal = getTerminal();
-            const branchId = getBranchId();
-            const tablesResult = await apiPost('api/get_tables.php', { 
-              terminal,
-              branch_id: branchId || terminal
-            });
-            if (tablesResult.data && Array.isArray(tablesResult.data)) {
-              const table = tablesResult.data.find(t => t.table_id == tableId);
-              if (table) {
-                // Update table status to Available
-                console.log('Updating table status to Available for table:', tableId);
-                const updateResult = await apiPost('api/table_management.php', {
-                  table_id: parseInt(tableId),
-                  hall_id: table.hall_id,
-                  table_number: table.table_number,
-                  capacity: table.capacity,
-                  status: 'Available',
-                  terminal: terminal,
-                  branch_id: branchId || terminal,
-                  action: 'update'
-                });
-                console.log('Table status update result:', updateResult);
-              }
+      if (shouldUpdateTable) {
+        try {
+          // Fetch current table details first
+          const terminal = getTerminal();
+          const branchId = getBranchId();
+          const tablesResult = await apiPost('api/get_tables.php', { 
+            terminal,
+            branch_id: branchId || terminal
+          });
+          if (tablesResult.data && Array.isArray(tablesResult.data)) {
+            const table = tablesResult.data.find(t => t.table_id == tableId);
+            if (table) {
+              // Guests have left: the table needs cleaning before it is free again
+              console.log('Marking table for cleaning for table:', tableId);
+              const updateResult = await apiPost('api/table_management.php', {
+                table_id: parseInt(tableId),
+                hall_id: table.hall_id,
+                table_number: table.table_number,
+                capacity: table.capacity,
+                status: 'cleaning',
+                terminal: terminal,
+                branch_id: branchId || terminal,
+                action: 'update'
+              });
+              console.log('Table status update result:', updateResult);
             }
-          } catch (error) {
-            console.error('Error updating table status:', error);
-            // Don't show error to user, table status update is secondary
           }
+        } catch (error) {
+          console.error('Error updating table status:', error);
+          // Don't show error to user, table status update is secondary
         }
-        
-        setAlert({ type: 'success', message: apiResponse.message || 'Order status updated successfully!' });
-        
-        fetchOrders(true); // Refresh list
-      } else {
-        setAlert({ type: 'error', message: apiResponse?.message || result.message || 'Failed to update order status' });
       }
+      
+      setAlert({ type: 'success', message: statusResult.message || 'Order status updated successfully!' });
+      // Broadcast update to other dashboard instances
+      broadcastUpdate(UPDATE_EVENTS.ORDER_STATUS_CHANGED, { 
+        order_id: orderId,
+        status: newStatus 
+      });
+      fetchOrders(true); // Refresh list
     } catch (error) {
       console.error('Error updating order status:', error);
       setAlert({ type: 'error', message: 'Failed to update order status: ' + (error.message || 'Network error') });
@@ -1407,6 +1313,7 @@ export default function OrderManagementPage() {
         category_name: item.catname || item.category_name || item.cat_name || '',
         is_available: item.is_available || item.is_available === 1 || 1,
         kitchen_id: item.kitchen_id || null,
+        modifier_groups: item.modifier_groups || [],
       }));
       
       setDishes(mappedDishes);
@@ -1576,53 +1483,16 @@ export default function OrderManagementPage() {
       console.log('Order ID:', orderId);
       console.log('Order Number:', orderNumber);
       
-      // Fetch order details and items
-      const orderResult = await apiPost('api/get_ordersbyid.php', { 
-        order_id: orderId,
-        orderid: orderNumber
-      });
-      
-      console.log('=== Order Details API Response ===');
-      console.log('Order details API response:', JSON.stringify(orderResult, null, 2));
-      
-      // get_ordersbyid.php returns order with items, so extract items from orderResult
-      // Handle multiple response structures for order data
-      let orderData = null;
+      // Fetch order details and items; fall back to the order from the list
+      let orderData = order;
       let orderItems = [];
-      
-      if (orderResult.success && orderResult.data) {
-        if (Array.isArray(orderResult.data) && orderResult.data.length > 0) {
-          orderData = orderResult.data[0];
-          if (orderData.items && Array.isArray(orderData.items)) {
-            orderItems = orderData.items;
-          }
-        } else if (orderResult.data.data && Array.isArray(orderResult.data.data) && orderResult.data.data.length > 0) {
-          orderData = orderResult.data.data[0];
-          if (orderData.items && Array.isArray(orderData.items)) {
-            orderItems = orderData.items;
-          }
-        } else if (orderResult.data.order && typeof orderResult.data.order === 'object') {
-          orderData = orderResult.data.order;
-          if (orderData.items && Array.isArray(orderData.items)) {
-            orderItems = orderData.items;
-          }
-        } else if (!Array.isArray(orderResult.data) && typeof orderResult.data === 'object') {
-          orderData = orderResult.data;
-          if (orderData.items && Array.isArray(orderData.items)) {
-            orderItems = orderData.items;
-          }
-        }
-        
-        // Also check for items at response level
-        if (orderItems.length === 0 && orderResult.data.items && Array.isArray(orderResult.data.items)) {
-          orderItems = orderResult.data.items;
-        }
-      }
-      
-      // If orderData not found, use the order from the list
-      if (!orderData) {
-        console.warn('Order data not found in API response, using order from list');
-        orderData = order;
+      try {
+        const details = await getOrdersById({ orderId, orderNumber });
+        orderData = details.order;
+        orderItems = details.items;
+      } catch (error) {
+        if (!(error instanceof ApiError)) throw error;
+        console.warn('Order data not found in API response, using order from list:', error.message);
       }
       
       // If items are still empty, log a warning
@@ -1658,24 +1528,42 @@ export default function OrderManagementPage() {
       };
       
       // Format order items with all required fields
-      const formattedItems = orderItems.map((item, index) => {
-        const dishId = item.dish_id || item.id || item.product_id || item.dishid;
+      // Voided items are off the order; they only stay in the kitchen's wastage log
+      // Each line keeps its modifiers; saved lines with the same dish and picks get their own key
+      // Combo lines keep combo_id and components; their per-component child rows are rebuilt from those on save
+      const usedLineKeys = new Set();
+      const formattedItems = orderItems.filter(item => item.kitchen_status !== VOIDED_ITEM_STATUS && !item.parent_item_id).map((item, index) => {
+        const comboId = item.combo_id || null;
+        const components = comboId ? getItemComponents(item) : [];
+        const dishId = comboId ? `combo-${comboId}` : (item.dish_id || item.id || item.product_id || item.dishid);
         const name = item.dish_name || item.name || item.title || item.item_name || item.dishname || 'Item';
         const price = parseFloat(item.price || item.rate || item.unit_price || item.amount || 0);
+        const modifiers = getItemModifiers(item);
+        let lineKey = comboId ? `${dishId}#${components.map(component => component.dish_id).join(',')}` : getLineKey(dishId, modifiers);
+        if (usedLineKeys.has(lineKey)) lineKey = `${lineKey}@${index}`;
+        usedLineKeys.add(lineKey);
         const quantity = parseInt(item.quantity || item.qty || item.qnty || item.qty || 1);
         const totalAmount = parseFloat(item.total_amount || item.total || item.total_price || item.amount || (price * quantity));
         
         const formattedItem = {
+          line_key: lineKey,
           dish_id: dishId,
           name: name,
           dish_name: name,
           price: price,
+          base_price: parseFloat(item.base_price ?? (price - getModifiersPriceDelta(modifiers))),
+          modifiers,
+          combo_id: comboId,
+          components,
           quantity: quantity,
           qty: quantity,
           total: totalAmount,
           total_amount: totalAmount,
           category_id: item.category_id || item.cat_id || item.categoryid || null,
           kitchen_id: item.kitchen_id || item.kitchenid || null,
+          // Units already in the kitchen can't simply be removed; they need a void
+          order_item_id: item.order_item_id || item.item_id || null,
+          sent_quantity: quantity,
         };
         
         console.log(`Item ${index + 1}:`, {
@@ -1739,67 +1627,87 @@ export default function OrderManagementPage() {
     }
   };
 
+  /**
+   * Dish picked in the edit modal - ask for its modifiers first when it has any
+   */
+  const handleEditDishClick = (dish) => {
+    if (getDishModifierGroups(dish).length > 0) {
+      setModifierDish(dish);
+      return;
+    }
+    addDishToOrder(dish);
+  };
+
   /**
    * Add dish to order items
+   * The same dish with different modifiers goes on its own line
    */
-  const addDishToOrder = (dish) => {
+  const addDishToOrder = (dish, modifiers = []) => {
     if (!dish.is_available || dish.is_available != 1) {
       setAlert({ type: 'error', message: 'Cannot add unavailable dish to order.' });
       return;
     }
 
-    const existingItem = formData.items.find(item => item.dish_id === dish.dish_id);
+    const line = createCartLine(dish, modifiers);
+    const existingItem = formData.items.find(item => item.line_key === line.line_key);
     if (existingItem) {
-      // Update quantity if dish already exists
+      // Update quantity if the same dish with the same modifiers is already on the order
       setFormData({
         ...formData,
         items: formData.items.map(item =>
-          item.dish_id === dish.dish_id
+          item.line_key === line.line_key
             ? { ...item, quantity: item.quantity + 1, total: (item.quantity + 1) * item.price }
             : item
         ),
       });
     } else {
-      // Add new dish
+      // Add new line
       setFormData({
         ...formData,
-        items: [
-          ...formData.items,
-          {
-            dish_id: dish.dish_id,
-            name: dish.name,
-            price: dish.price,
-            quantity: 1,
-            total: dish.price,
-          },
-        ],
+        items: [...formData.items, { ...line, total: line.price }],
       });
     }
   };
 
   /**
-   * Remove dish from order items
+   * Remove a line from order items
    */
-  const removeDishFromOrder = (dishId) => {
+  const removeDishFromOrder = (lineKey) => {
     setFormData({
       ...formData,
-      items: formData.items.filter(item => item.dish_id !== dishId),
+      items: formData.items.filter(item => item.line_key !== lineKey),
     });
   };
 
   /**
-   * Update dish quantity in order items
+   * Take voided units off an item in the edit form (the backend has already removed them from the order)
+   */
+  const applyItemVoid = (voidedItem, quantity) => {
+    setFormData(prev => ({
+      ...prev,
+      items: prev.items.flatMap(item => {
+        if (item.order_item_id !== voidedItem.order_item_id) return [item];
+        const remaining = item.quantity - quantity;
+        return remaining > 0
+          ? [{ ...item, quantity: remaining, sent_quantity: item.sent_quantity - quantity, total: remaining * item.price }]
+          : [];
+      }),
+    }));
+  };
+
+  /**
+   * Update a line's quantity in order items
    */
-  const updateDishQuantity = (dishId, newQuantity) => {
+  const updateDishQuantity = (lineKey, newQuantity) => {
     if (newQuantity < 1) {
-      removeDishFromOrder(dishId);
+      removeDishFromOrder(lineKey);
       return;
     }
 
     setFormData({
       ...formData,
       items: formData.items.map(item =>
-        item.dish_id === dishId
+        item.line_key === lineKey
           ? { ...item, quantity: newQuantity, total: newQuantity * item.price }
           : item
       ),
@@ -1920,12 +1828,11 @@ export default function OrderManagementPage() {
       // Then add new order items
       const orderId = editingOrder.order_id || editingOrder.id;
       
-      // Prepare items for upload
+      // Prepare items for upload - modifiers and combo components go with each line, or delete_existing would drop them
       const itemsData = formData.items.map(item => ({
+        ...toOrderItemPayload(item),
         order_id: orderId,
-        dish_id: item.dish_id,
-        quantity: item.quantity,
-        price: item.price,
+        order_item_id: item.order_item_id || null,
         total_amount: item.total,
         terminal: terminal,
       }));
@@ -1942,6 +1849,10 @@ export default function OrderManagementPage() {
           ? `Order updated successfully! Table transferred from ${oldTableId} to ${newTableId}.`
           : 'Order updated successfully with all items!';
         setAlert({ type: 'success', message: successMessage });
+        // Broadcast update to other dashboard instances
+        broadcastUpdate(UPDATE_EVENTS.ORDER_UPDATED, { 
+          order_id: editingOrder.order_id || editingOrder.id 
+        });
         setEditModalOpen(false);
         setEditingOrder(null);
         setFormData({ status: 'Pending', table_id: '', discount: 0, items: [] });
@@ -1952,6 +1863,10 @@ export default function OrderManagementPage() {
       } else {
         // Even if items update fails, order was updated
         setAlert({ type: 'warning', message: 'Order details updated, but there was an issue updating items. Please check manually.' });
+        // Broadcast update anyway
+        broadcastUpdate(UPDATE_EVENTS.ORDER_UPDATED, { 
+          order_id: editingOrder.order_id || editingOrder.id 
+        });
         setEditModalOpen(false);
         setEditingOrder(null);
         setFormData({ status: 'Pending', table_id: '', discount: 0, items: [] });
@@ -1989,6 +1904,10 @@ export default function OrderManagementPage() {
 
       if (result.success && result.data && result.data.success) {
         setAlert({ type: 'success', message: result.data.message || 'Order deleted successfully!' });
+        // Broadcast update to other dashboard instances
+        broadcastUpdate(UPDATE_EVENTS.ORDER_DELETED, { 
+          order_id: orderId 
+        });
         fetchOrders(true); // Refresh list
       } else {
         setAlert({ type: 'error', message: result.data?.message || 'Failed to delete order' });
@@ -2002,14 +1921,26 @@ export default function OrderManagementPage() {
   /**
    * Handle pay bill - Update bill payment_status to "Paid" and order status to "Complete"
    */
+  // Attaching a loyalty customer or redeeming changes the total, so the cash entry starts again
+  const handleLoyaltyChange = (redemption) => {
+    const bill = applyLoyaltyToBill(generatedBill, redemption);
+    setGeneratedBill(bill);
+    setPaymentData({ cash_received: bill.grand_total, change: 0 });
+  };
+
   const handlePayBill = async () => {
     if (!generatedBill || !generatedBill.order_id) {
       setAlert({ type: 'error', message: 'Order information is missing. Cannot process payment.' });
       return;
     }
 
+    // A Credit line in a mixed payment puts only that part of the bill on the customer's account
+    const isCreditSale = paymentMode === 'Credit';
+    const hasCreditTender = paymentMode === 'Mixed' &&
+      tenderLines.some(line => line.payment_method === 'Credit' && parseFloat(line.amount) > 0);
+
     // Validate: If payment mode is Credit, customer must be selected
-    if (paymentMode === 'Credit' && !paymentCustomerId) {
+    if ((isCreditSale || hasCreditTender) && !paymentCustomerId) {
       setAlert({ 
         type: 'error', 
         message: 'Please select a customer for credit payment.' 
@@ -2020,6 +1951,7 @@ export default function OrderManagementPage() {
     const grandTotal = parseFloat(generatedBill.grand_total || 0);
     let cashReceived = 0;
     let change = 0;
+    let mixedTenders = [];
 
     // For Cash payments, validate cash received
     if (paymentMode === 'Cash') {
@@ -2036,6 +1968,17 @@ export default function OrderManagementPage() {
       }
 
       change = Math.max(0, cashReceived - grandTotal);
+    } else if (paymentMode === 'Mixed') {
+      const tenderError = validateTenders(tenderLines, grandTotal);
+      if (tenderError) {
+        setAlert({ type: 'error', message: tenderError });
+        return;
+      }
+      // cash_received records the cash handed over; each tender line keeps the part it pays
+      const tenderSummary = summarizeTenders(tenderLines, grandTotal);
+      cashReceived = tenderSummary.cashTendered;
+      change = tenderSummary.change;
+      mixedTenders = tenderSummary.tenders;
     } else {
       // For Card/Online, cash received equals grand total (no change)
       cashReceived = grandTotal;
@@ -2052,36 +1995,11 @@ export default function OrderManagementPage() {
         console.log('Order ID:', generatedBill.order_id);
         
         try {
-          const billFetchResult = await apiPost('api/bills_management.php', { 
-            order_id: generatedBill.order_id 
-          });
-          
-          console.log('Bill fetch result for payment:', JSON.stringify(billFetchResult, null, 2));
-          
-          if (billFetchResult.success && billFetchResult.data) {
-            // Handle different response structures
-            let billData = null;
-            
-            // Try multiple response structures
-            if (billFetchResult.data.success === true && billFetchResult.data.data) {
-              billData = billFetchResult.data.data.bill || billFetchResult.data.data;
-            } else if (billFetchResult.data.bill) {
-              billData = billFetchResult.data.bill;
-            } else if (billFetchResult.data.bill_id) {
-              billData = billFetchResult.data;
-            } else if (Array.isArray(billFetchResult.data) && billFetchResult.data.length > 0) {
-              // If response is an array, take the first bill
-              billData = billFetchResult.data[0];
-            }
-            
-            if (billData && billData.bill_id) {
-              billIdToUse = billData.bill_id;
-              console.log('Bill ID fetched:', billIdToUse);
-            } else if (billData && billData.id) {
-              // Some APIs might return 'id' instead of 'bill_id'
-              billIdToUse = billData.id;
-              console.log('Bill ID fetched (from id field):', billIdToUse);
-            }
+          const { bill } = await billsManagement.getByOrderId(generatedBill.order_id);
+          // Some APIs return 'id' instead of 'bill_id'
+          billIdToUse = bill?.bill_id || bill?.id || null;
+          if (billIdToUse) {
+            console.log('Bill ID fetched:', billIdToUse);
           }
         } catch (fetchError) {
           console.error('Error fetching bill ID:', fetchError);
@@ -2099,7 +2017,7 @@ export default function OrderManagementPage() {
 
       // Update bill payment_status via bills_management.php
       // For Credit payments, set status to 'Credit', otherwise 'Paid'
-      const finalPaymentStatus = paymentMode === 'Credit' ? 'Credit' : 'Paid';
+      const finalPaymentStatus = isCreditSale ? 'Credit' : 'Paid';
       const finalPaymentMethod = paymentMode;
       
       // Prefer bill_id if available, otherwise use order_id (API should handle updating existing bill)
@@ -2112,11 +2030,18 @@ export default function OrderManagementPage() {
       };
 
       // Add customer_id and is_credit for credit payments
-      if (paymentMode === 'Credit' && paymentCustomerId) {
+      if (isCreditSale && paymentCustomerId) {
         billUpdatePayload.customer_id = paymentCustomerId;
         billUpdatePayload.is_credit = true;
       }
 
+      // The rest of a mixed payment is settled now, so the bill is Paid and only credit_amount goes on the account
+      const creditAmount = getCreditTenderAmount(mixedTenders);
+      if (hasCreditTender) {
+        billUpdatePayload.customer_id = paymentCustomerId;
+        billUpdatePayload.credit_amount = creditAmount;
+      }
+
       // CRITICAL: Always include both bill_id AND order_id to ensure API finds existing bill
       // This prevents duplicate bill creation
       if (billIdToUse) {
@@ -2128,94 +2053,33 @@ export default function OrderManagementPage() {
       console.log('Bill update will use:', billIdToUse ? `bill_id=${billIdToUse}` : `order_id=${generatedBill.order_id}`);
 
       // If cash payment, include cash_received and change
-      if (paymentMode === 'Cash') {
+      if (paymentMode === 'Cash' || paymentMode === 'Mixed') {
         billUpdatePayload.cash_received = cashReceived;
         billUpdatePayload.change = change;
       }
 
-      console.log('=== Bill Update Payload ===');
-      console.log('Payload:', JSON.stringify(billUpdatePayload, null, 2));
+      // Mixed payments store one tender line per method
+      if (paymentMode === 'Mixed') {
+        billUpdatePayload.tenders = mixedTenders;
+      }
 
-      const billUpdateResult = await apiPost('api/bills_management.php', billUpdatePayload);
-      
-      console.log('=== Bill Update Full Response ===');
-      console.log('Success:', billUpdateResult.success);
-      console.log('Status:', billUpdateResult.status);
-      console.log('Data:', JSON.stringify(billUpdateResult.data, null, 2));
+      // Loyalty customer: the backend records the redemption and what this bill earns
+      Object.assign(billUpdatePayload, toLoyaltyPayload(generatedBill));
 
-      console.log('=== Bill Update Result ===');
-      console.log('Result:', JSON.stringify(billUpdateResult, null, 2));
+      console.log('=== Bill Update Payload ===');
+      console.log('Payload:', JSON.stringify(billUpdatePayload, null, 2));
 
-      // Check if bill update was successful - be more lenient with success check
-      const billApiResponse = billUpdateResult.data;
-      
-      // Extract error message for better debugging
-      let billUpdateErrorMsg = null;
-      if (billUpdateResult.data) {
-        if (typeof billUpdateResult.data === 'string') {
-          billUpdateErrorMsg = billUpdateResult.data;
-        } else if (billUpdateResult.data.message) {
-          billUpdateErrorMsg = billUpdateResult.data.message;
-        } else if (billUpdateResult.data.error) {
-          billUpdateErrorMsg = billUpdateResult.data.error;
-        } else if (billUpdateResult.data.data?.message) {
-          billUpdateErrorMsg = billUpdateResult.data.data.message;
-        } else if (billUpdateResult.data.data?.error) {
-          billUpdateErrorMsg = billUpdateResult.data.data.error;
-        }
-      }
-      
-      // Check success for both 'Paid' and 'Credit' statuses
-      // The API may return success message even if payment_status in response hasn't updated yet
-      // Handle both object and string responses
       let billUpdateSuccess = false;
-      if (billUpdateResult.success && billApiResponse) {
-        // Check if response is a string with success message
-        if (typeof billApiResponse === 'string') {
-          const lowerMsg = billApiResponse.toLowerCase();
-          billUpdateSuccess = lowerMsg.includes('success') || 
-                             lowerMsg.includes('updated successfully') ||
-                             lowerMsg.includes('paid') ||
-                             lowerMsg.includes('credit');
-        } else if (typeof billApiResponse === 'object') {
-          // Primary check: API explicitly says success
-          if (billApiResponse.success === true) {
-            billUpdateSuccess = true;
-          }
-          // Secondary check: Check if payment_status matches (but API might not have updated it in response yet)
-          else if (billApiResponse.data?.payment_status === finalPaymentStatus ||
-                   billApiResponse.data?.bill?.payment_status === finalPaymentStatus ||
-                   billApiResponse.payment_status === finalPaymentStatus) {
-            billUpdateSuccess = true;
-          }
-          // Tertiary check: Check message for success indicators
-          else if (billApiResponse.message && (
-            billApiResponse.message.toLowerCase().includes('success') ||
-            billApiResponse.message.toLowerCase().includes('updated successfully')
-          )) {
-            billUpdateSuccess = true;
-          }
-          // Also check status field
-          else if (billApiResponse.status === 'success') {
-            billUpdateSuccess = true;
-          }
-        }
-      }
-      
-      // Also check the error message - if it contains "success", it's actually a success
-      if (!billUpdateSuccess && billUpdateErrorMsg) {
-        const lowerErrorMsg = billUpdateErrorMsg.toLowerCase();
-        if (lowerErrorMsg.includes('success') || lowerErrorMsg.includes('updated successfully')) {
-          billUpdateSuccess = true;
-        }
-      }
-      
-      if (!billUpdateSuccess) {
-        const errorMsg = billUpdateErrorMsg || 'Unknown error occurred while updating bill';
-        console.error('Bill update error:', errorMsg);
-        if (billUpdateResult && billUpdateResult.data) {
-          console.error('Bill Update Response:', JSON.stringify(billUpdateResult.data, null, 2));
-        }
+      let billUpdateErrorMsg = null;
+      try {
+        const savedBill = await billsManagement.save(billUpdatePayload);
+        console.log('=== Bill Update Result ===');
+        console.log('Result:', JSON.stringify(savedBill, null, 2));
+        billUpdateSuccess = true;
+      } catch (billError) {
+        if (!(billError instanceof ApiError)) throw billError;
+        billUpdateErrorMsg = billError.status === 404 ? 'Bill not found. Please generate the bill first.' : billError.message;
+        console.error('Bill update error:', billUpdateErrorMsg);
       }
 
       // Update order status: 'Bill Generated' for credit payments (Credit is not a valid order status), 'Complete' for others
@@ -2224,74 +2088,24 @@ export default function OrderManagementPage() {
       const orderIdValue = generatedBill.order_id;
       const orderidValue = generatedBill.order_number || `ORD-${generatedBill.order_id}`;
       // Keep order status as 'Bill Generated' for credit payments since 'Credit' is not a valid order status
-      const finalOrderStatus = paymentMode === 'Credit' ? 'Bill Generated' : 'Complete';
-      
-      const orderStatusPayload = { 
-        order_status: finalOrderStatus,
-        payment_status: finalPaymentStatus,
-        payment_method: finalPaymentMethod,
-        order_id: orderIdValue,
-        orderid: orderidValue
-      };
+      const finalOrderStatus = isCreditSale ? 'Bill Generated' : 'Complete';
       
       console.log(`=== Updating Order Status to ${finalOrderStatus} ===`);
-      console.log('Payload:', JSON.stringify(orderStatusPayload, null, 2));
       
       let orderUpdateSuccess = false;
       let orderUpdateError = null;
       try {
-        const orderStatusResult = await apiPost('api/chnageorder_status.php', orderStatusPayload);
-        
-        console.log('=== Order Status Update Result ===');
-        console.log('Result:', JSON.stringify(orderStatusResult, null, 2));
-        
-        // Check if order status update was successful - be strict about this
-        const orderApiResponse = orderStatusResult.data;
-        orderUpdateSuccess = orderStatusResult.success && orderApiResponse && (
-          orderApiResponse.success === true ||
-          orderApiResponse.status === 'success' ||
-          (orderApiResponse.message && orderApiResponse.message.toLowerCase().includes('success'))
-        );
-        
-        if (!orderUpdateSuccess) {
-          // Extract error message from multiple possible locations
-          let errorMsg = null;
-          
-          if (orderApiResponse) {
-            if (typeof orderApiResponse === 'string') {
-              errorMsg = orderApiResponse;
-            } else if (orderApiResponse.message) {
-              errorMsg = orderApiResponse.message;
-            } else if (orderApiResponse.error) {
-              errorMsg = orderApiResponse.error;
-            } else if (orderApiResponse.data?.message) {
-              errorMsg = orderApiResponse.data.message;
-            } else if (orderApiResponse.data?.error) {
-              errorMsg = orderApiResponse.data.error;
-            } else if (Object.keys(orderApiResponse).length === 0) {
-              errorMsg = 'Empty response from server. Please check if chnageorder_status.php API is working correctly.';
-            } else {
-              // Try to stringify the response to see what we got
-              errorMsg = `Unexpected response format: ${JSON.stringify(orderApiResponse).substring(0, 200)}`;
-            }
-          } else if (!orderStatusResult.success) {
-            errorMsg = `HTTP ${orderStatusResult.status || 'error'}: ${orderStatusResult.status === 404 ? 'API endpoint not found' : 'Server error'}`;
-          } else {
-            errorMsg = 'Order status update failed - unknown error';
-          }
-          
-          orderUpdateError = errorMsg || 'Order status update failed';
-          console.error('Order status update failed:', orderUpdateError);
-          if (orderApiResponse && Object.keys(orderApiResponse).length > 0) {
-            console.error('Order API Response:', JSON.stringify(orderApiResponse, null, 2));
-          }
-          if (orderStatusResult) {
-            console.error('Order Status Result:', JSON.stringify(orderStatusResult, null, 2));
-          }
-        }
+        await changeOrderStatus({
+          orderId: orderIdValue,
+          orderNumber: orderidValue,
+          status: finalOrderStatus,
+          extra: { payment_status: finalPaymentStatus, payment_method: finalPaymentMethod },
+        });
+        orderUpdateSuccess = true;
       } catch (orderError) {
+        if (!(orderError instanceof ApiError)) throw orderError;
         console.error('Error updating order status:', orderError);
-        orderUpdateError = orderError.message || orderError.toString() || 'Network error';
+        orderUpdateError = orderError.message || 'Order status update failed';
       }
       
       // If order status update failed, show error but still proceed with payment
@@ -2310,7 +2124,7 @@ export default function OrderManagementPage() {
       // Update table for both 'Complete' status and credit payments ('Bill Generated' status with credit payment)
       // Use generatedBill data if orderDetails is not available
       const orderForTableUpdate = orderDetails || generatedBill;
-      const isCreditPayment = paymentMode === 'Credit';
+      const isCreditPayment = isCreditSale;
       const shouldUpdateTable = finalOrderStatus === 'Complete' || isCreditPayment;
       
       if (shouldUpdateTable && orderForTableUpdate && orderForTableUpdate.order_type === 'Dine In' && (orderForTableUpdate.table_id || orderForTableUpdate.table_number)) {
@@ -2344,19 +2158,19 @@ export default function OrderManagementPage() {
           });
           
           if (table) {
-            // Update table status to Available
-            console.log('🔄 Updating table status to Available for table:', tableId);
+            // Guests have left: the table needs cleaning before it is free again
+            console.log('🔄 Marking table for cleaning for table:', tableId);
             const updateResult = await apiPost('/table_management.php', {
               table_id: parseInt(table.table_id || table.id || tableId),
               hall_id: table.hall_id || table.hall_ID || orderForTableUpdate.hall_id,
               table_number: table.table_number || table.table_name || table.number || orderForTableUpdate.table_number,
               capacity: table.capacity || table.Capacity || 0,
-              status: 'available', // Use lowercase to match API
+              status: 'cleaning',
               terminal: terminal,
               branch_id: branchId || terminal,
               action: 'update'
             });
-            console.log('✅ Table status updated to Available:', updateResult);
+            console.log('✅ Table marked for cleaning:', updateResult);
           } else {
             console.warn('⚠️ Table not found for table_id:', tableId);
             // Try to update anyway with available data
@@ -2368,7 +2182,7 @@ export default function OrderManagementPage() {
                   hall_id: orderForTableUpdate.hall_id || 0,
                   table_number: orderForTableUpdate.table_number || String(tableId),
                   capacity: 0,
-                  status: 'available',
+                  status: 'cleaning',
                   terminal: terminal,
                   branch_id: branchId || terminal,
                   action: 'update'
@@ -2385,12 +2199,26 @@ export default function OrderManagementPage() {
         }
       }
 
+      // Broadcast update to other dashboard instances
+      if (billUpdateSuccess) {
+        broadcastUpdate(finalPaymentStatus === 'Paid' ? UPDATE_EVENTS.BILL_PAID : UPDATE_EVENTS.BILL_UPDATED, { 
+          bill_id: billIdToUse || generatedBill.bill_id || null,
+          order_id: generatedBill.order_id 
+        });
+      }
+      if (orderUpdateSuccess) {
+        broadcastUpdate(UPDATE_EVENTS.ORDER_STATUS_CHANGED, { 
+          order_id: generatedBill.order_id,
+          status: finalOrderStatus 
+        });
+      }
+
       // Both bill update AND order status update must succeed
       if (billUpdateSuccess && orderUpdateSuccess) {
         // Get customer info if credit
         let customerName = null;
         let customerPhone = null;
-        if (paymentMode === 'Credit' && paymentCustomerId) {
+        if ((isCreditSale || hasCreditTender) && paymentCustomerId) {
           const selectedCustomer = customers.find(c => c.id === paymentCustomerId);
           if (selectedCustomer) {
             customerName = selectedCustomer.customer_name;
@@ -2398,10 +2226,16 @@ export default function OrderManagementPage() {
           }
         }
 
+        // Balance after this bill, for the receipt footer
+        const loyaltyBalance = generatedBill.loyalty_customer_id
+          ? await loyaltyLedger.balance(generatedBill.loyalty_customer_id).then(normalizeLoyaltyBalance).catch(() => null)
+          : null;
+
         // Update generatedBill with payment info - preserve all existing data
         setGeneratedBill({
           ...generatedBill,
           bill_id: billIdToUse || generatedBill.bill_id,
+          loyalty_balance: loyaltyBalance,
           payment_status: finalPaymentStatus,
           payment_method: finalPaymentMethod,
           payment_mode: finalPaymentMethod,
@@ -2410,7 +2244,9 @@ export default function OrderManagementPage() {
           customer_id: paymentCustomerId || null,
           customer_name: customerName || null,
           customer_phone: customerPhone || null,
-          is_credit: paymentMode === 'Credit',
+          is_credit: isCreditSale,
+          credit_amount: creditAmount,
+          tenders: mixedTenders,
           // Ensure items are preserved
           items: generatedBill.items || [],
         });
@@ -2420,6 +2256,7 @@ export default function OrderManagementPage() {
         setPaymentData({ cash_received: 0, change: 0 });
         setPaymentMode('Cash'); // Reset to default
         setPaymentCustomerId(null); // Reset customer selection
+        setTenderLines(DEFAULT_TENDER_LINES);
         
         // Auto-print payment receipt for paid bills (not credit)
         if (finalPaymentStatus === 'Paid' && paymentMode !== 'Credit') {
@@ -2513,14 +2350,15 @@ export default function OrderManagementPage() {
               
               for (const order of completedDineInOrders) {
                 const table = tablesData.find(t => (t.table_id || t.id) == order.table_id);
-                if (table && (table.status || table.Status || '').toLowerCase() !== 'available') {
-                  console.log(`🔄 Auto-updating table ${order.table_id} to Available (order ${order.orderid} is complete)`);
+                const tableStatus = (table?.status || table?.Status || '').toLowerCase();
+                if (table && tableStatus !== 'available' && tableStatus !== 'cleaning') {
+                  console.log(`🔄 Auto-flagging table ${order.table_id} for cleaning (order ${order.orderid} is complete)`);
                   await apiPost('api/table_management.php', {
                     table_id: parseInt(order.table_id),
                     hall_id: table.hall_id || table.hall_ID,
                     table_number: table.table_number || table.table_name || table.number,
                     capacity: table.capacity || table.Capacity || 0,
-                    status: 'available',
+                    status: 'cleaning',
                     terminal: terminal,
                     branch_id: branchId || terminal
                   });
@@ -2546,16 +2384,21 @@ export default function OrderManagementPage() {
         }
         
         // Show success message
-        if (paymentMode === 'Cash' && change > 0) {
+        if ((paymentMode === 'Cash' || paymentMode === 'Mixed') && change > 0) {
           setAlert({ 
             type: 'success', 
             message: `Payment received successfully! Change: ${formatPKR(change)}. Order status updated to Complete.` 
           });
-        } else if (paymentMode === 'Credit') {
+        } else if (isCreditSale) {
           setAlert({ 
             type: 'success', 
             message: `Credit payment recorded successfully! Bill status updated to Credit. Customer: ${customerName || 'N/A'}` 
           });
+        } else if (hasCreditTender) {
+          setAlert({ 
+            type: 'success', 
+            message: `Mixed payment recorded! ${formatPKR(creditAmount)} put on ${customerName || 'the customer'}'s account. Order status updated to Complete.` 
+          });
         } else {
           setAlert({ 
             type: 'success', 
@@ -2564,20 +2407,12 @@ export default function OrderManagementPage() {
         }
       } else {
         // Both updates failed - provide detailed error message
-        const billError = billUpdateErrorMsg || billApiResponse?.message || billApiResponse?.error || 
-                         (billUpdateResult.status === 404 ? 'Bill not found. Please generate the bill first.' : 
-                          billUpdateResult.status ? `HTTP ${billUpdateResult.status} error` : 'Bill update failed');
+        const billError = billUpdateErrorMsg || 'Bill update failed';
         
         const orderError = orderUpdateError || 'Order status update failed';
         
         console.error('Both updates failed - Bill Error:', billError);
         console.error('Both updates failed - Order Error:', orderError);
-        if (billApiResponse) {
-          console.error('Bill Response:', JSON.stringify(billApiResponse, null, 2));
-        }
-        if (billUpdateResult) {
-          console.error('Bill Update Result:', JSON.stringify(billUpdateResult, null, 2));
-        }
         
         setAlert({ 
           type: 'error', 
@@ -2758,6 +2593,12 @@ export default function OrderManagementPage() {
               <span class="total-value" style="text-align: right; font-weight: bold; min-width: 60px;">-${formatPKR(discount)}</span>
             </div>
           ` : ''}
+          ${bill.loyalty_discount > 0 ? `
+            <div class="total-row" style="display: flex; justify-content: space-between; align-items: center; margin: 4px 0; font-size: 10px; line-height: 1.5;">
+              <span class="total-label" style="text-align: left; flex: 1;">Loyalty (${describeRedemption(bill)}):</span>
+              <span class="total-value" style="text-align: right; font-weight: bold; min-width: 60px;">-${formatPKR(bill.loyalty_discount)}</span>
+            </div>
+          ` : ''}
           <div class="total-row net-total" style="display: flex; justify-content: space-between; align-items: center; margin: 10px 0; padding: 8px 0; border-top: 2px solid #FF5F15; border-bottom: 2px solid #FF5F15; background: #fff5f0; font-size: 13px; font-weight: bold; color: #FF5F15;">
             <span class="total-label" style="text-align: left; flex: 1;">Net amount:</span>
             <span class="total-value" style="text-align: right; font-weight: bold; min-width: 60px;">${formatPKR(grandTotal)}</span>
@@ -2779,6 +2620,12 @@ export default function OrderManagementPage() {
               <span class="total-value" style="text-align: right; font-weight: bold; min-width: 60px;">-${formatPKR(discount)}</span>
             </div>
           ` : ''}
+          ${bill.loyalty_discount > 0 ? `
+            <div class="total-row" style="display: flex; justify-content: space-between; align-items: center; margin: 4px 0; font-size: 10px; line-height: 1.5;">
+              <span class="total-label" style="text-align: left; flex: 1;">Loyalty (${describeRedemption(bill)}):</span>
+              <span class="total-value" style="text-align: right; font-weight: bold; min-width: 60px;">-${formatPKR(bill.loyalty_discount)}</span>
+            </div>
+          ` : ''}
           <div class="total-row net-total" style="display: flex; justify-content: space-between; align-items: center; margin: 10px 0; padding: 8px 0; border-top: 2px solid #FF5F15; border-bottom: 2px solid #FF5F15; background: #fff5f0; font-size: 13px; font-weight: bold; color: #FF5F15;">
             <span class="total-label" style="text-align: left; flex: 1;">Net Total:</span>
             <span class="total-value" style="text-align: right; font-weight: bold; min-width: 60px;">${formatPKR(grandTotal)}</span>
@@ -2790,6 +2637,12 @@ export default function OrderManagementPage() {
             <span class="total-value" style="text-align: right; font-weight: bold; min-width: 60px;">${paymentMethod}</span>
           </div>
         ` : ''}
+        ${(bill.tenders || []).map(tender => `
+          <div class="total-row" style="display: flex; justify-content: space-between; align-items: center; font-size: 11px; line-height: 1.5;">
+            <span class="total-label" style="text-align: left; flex: 1;">&nbsp;&nbsp;${tender.payment_method}:</span>
+            <span class="total-value" style="text-align: right; min-width: 60px;">${formatPKR(tender.tendered ?? tender.amount)}</span>
+          </div>
+        `).join('')}
         ${paymentStatus === 'Paid' && cashReceived > 0 ? `
           <div class="total-row" style="display: flex; justify-content: space-between; align-items: center; margin-top: 5px; font-size: 11px; line-height: 1.5;">
             <span class="total-label" style="text-align: left; flex: 1;">Amount Paid:</span>
@@ -2812,6 +2665,12 @@ export default function OrderManagementPage() {
             <span class="total-value" style="text-align: right; min-width: 60px;">#${billId}</span>
           </div>
         ` : ''}
+        ${bill.loyalty_balance ? `
+          <div class="total-row" style="display: flex; justify-content: space-between; align-items: center; margin-top: 8px; padding-top: 8px; border-top: 1px dashed #ccc; font-size: 10px; line-height: 1.5;">
+            <span class="total-label" style="text-align: left; flex: 1;">Loyalty balance:</span>
+            <span class="total-value" style="text-align: right; min-width: 60px;">${describeBalance(bill.loyalty_balance)}</span>
+          </div>
+        ` : ''}
       </div>
 
       <div class="thank-you" style="text-align: center; margin-top: 20px; padding-top: 15px; border-top: 2px dashed #FF5F15; font-size: 15px; font-weight: bold; letter-spacing: 3px; color: #FF5F15;">
@@ -3105,13 +2964,7 @@ html, body {
                            generatedBill.is_credit === true;
           const orderStatus = isCredit ? 'Credit' : 'Bill Generated';
           
-          const statusPayload = {
-            order_status: orderStatus,
-            order_id: orderIdValue,
-            orderid: orderidValue,
-          };
-
-          await apiPost('api/chnageorder_status.php', statusPayload);
+          await changeOrderStatus({ orderId: orderIdValue, orderNumber: orderidValue, status: orderStatus });
           fetchOrders(true); // Refresh orders list
         } catch (error) {
           console.error('Error updating order status on print:', error);
@@ -3186,6 +3039,7 @@ html, body {
     const colors = {
       pending: 'bg-yellow-100 text-yellow-800',
       running: 'bg-blue-100 text-blue-800',
+      served: 'bg-teal-100 text-teal-800',
       'bill generated': 'bg-purple-100 text-purple-800',
       complete: 'bg-green-100 text-green-800',
       completed: 'bg-green-100 text-green-800',
@@ -3300,18 +3154,18 @@ html, body {
   ];
 
   /**
-   * Check if order can be edited (only Pending and Running status)
+   * Check if order can be edited (Pending, Running, or Served from the pass and not yet billed)
    */
   const canEditOrder = (status) => {
     const statusLower = (status || '').toLowerCase();
-    return statusLower === 'pending' || statusLower === 'running';
+    return statusLower === 'pending' || statusLower === 'running' || statusLower === 'served';
   };
 
   /**
    * Check if order can be cancelled (only Pending and Running status)
    */
   const canCancelOrder = (status) => {
-    return canEditOrder(status);
+    return canEditOrder(status) && can('order.cancel');
   };
 
   /**
@@ -3319,7 +3173,7 @@ html, body {
    */
   const canDeleteOrder = (status) => {
     const statusLower = (status || '').toLowerCase();
-    return statusLower !== 'complete';
+    return statusLower !== 'complete' && can('order.delete');
   };
 
   /**
@@ -3391,7 +3245,8 @@ html, body {
           >
             <option value="Pending">Pending</option>
             <option value="Running">Running</option>
-            <option value="Cancelled">Cancelled</option>
+            <option value="Served">Served</option>
+            {canCancel && <option value="Cancelled">Cancelled</option>}
           </select>
         )}
         <Button
@@ -3407,7 +3262,7 @@ html, body {
           <Eye className="w-4 h-4" />
         </Button>
         {/* Edit Button - Only for Pending and Running */}
-        {canEdit && (
+        {canEdit && can('order.edit') && (
           <Button
             variant="outline"
             size="sm"
@@ -3421,6 +3276,35 @@ html, body {
             <Edit className="w-4 h-4" />
           </Button>
         )}
+        {/* Merge / Split Buttons - Only for Pending and Running */}
+        {canEdit && can('order.edit') && (
+          <>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={(e) => {
+                e.stopPropagation();
+                setMergeTarget(row);
+              }}
+              title="Merge Orders"
+              className="hover:bg-purple-50 hover:border-purple-300"
+            >
+              <Merge className="w-4 h-4" />
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={(e) => {
+                e.stopPropagation();
+                setSplitTarget(row);
+              }}
+              title="Split Order"
+              className="hover:bg-purple-50 hover:border-purple-300"
+            >
+              <Split className="w-4 h-4" />
+            </Button>
+          </>
+        )}
         {/* Delete Button - Not allowed for Complete status */}
         {canDelete && (
           <Button
@@ -3610,7 +3494,7 @@ html, body {
           {/* Status Filter */}
           <div className="flex gap-2 flex-wrap items-center">
             <span className="text-sm font-medium text-gray-700 mr-2">Filter by Status:</span>
-            {['all', 'Pending', 'Running', 'Bill Generated', 'Credit', 'Complete', 'Cancelled'].map((status) => {
+            {['all', 'Pending', 'Running', 'Served', 'Bill Generated', 'Credit', 'Complete', 'Cancelled'].map((status) => {
               const count = filter === status.toLowerCase() 
                 ? filteredOrders.length 
                 : orders.filter(o => o.status.toLowerCase() === status.toLowerCase()).length;
@@ -4083,10 +3967,11 @@ html, body {
               </div>
 
               {/* Generate Bill Button - Always show for Running orders, show for other statuses if no bill exists */}
-              {(() => {
+              {can('bill.generate') && (() => {
                 // Case-insensitive status check
                 const status = (orderDetails.order_status || orderDetails.status || '').toLowerCase();
-                const isRunning = status === 'running';
+                // Served orders are still open until billed
+                const isRunning = status === 'running' || status === 'served';
                 const canGenerateBill = isRunning || 
                                        status === 'preparing' || 
                                        status === 'ready' || 
@@ -4121,10 +4006,10 @@ html, body {
               )}
 
               {/* Pay Bill Button - Only show if order status is "Bill Generated" or "Complete", NOT for "Running" orders, NOT for Credit bills */}
-              {(() => {
+              {can('bill.generate') && (() => {
                 // Check order status (case-insensitive)
                 const orderStatus = (orderDetails.order_status || orderDetails.status || '').toLowerCase();
-                const isRunning = orderStatus === 'running';
+                const isRunning = orderStatus === 'running' || orderStatus === 'served';
                 const isBillGenerated = orderStatus === 'bill generated';
                 const isComplete = orderStatus === 'complete';
                 
@@ -4176,33 +4061,13 @@ html, body {
                           console.log('Order ID:', orderDetails.order_id || orderDetails.id);
                           
                           // Use GET to fetch existing bill
-                          const billFetchResult = await apiGet('api/bills_management.php', { 
-                            order_id: orderDetails.order_id || orderDetails.id 
-                          });
-                          
-                          console.log('Bill fetch result:', JSON.stringify(billFetchResult, null, 2));
-                          
-                          if (billFetchResult.success && billFetchResult.data) {
-                            // Handle different response structures
-                            if (billFetchResult.data.success === true && billFetchResult.data.data) {
-                              billToPay = billFetchResult.data.data.bill || billFetchResult.data.data;
-                            } else if (billFetchResult.data.bill) {
-                              billToPay = billFetchResult.data.bill;
-                            } else if (billFetchResult.data.bill_id || billFetchResult.data.order_id) {
-                              billToPay = billFetchResult.data;
-                            }
-                            
-                            // Update existingBill state
-                            if (billToPay) {
-                              setExistingBill(billToPay);
-                              // Ensure payment_status is set
-                              if (!billToPay.payment_status) {
-                                billToPay.payment_status = 'Unpaid';
-                              }
-                            }
-                            
-                            console.log('Extracted bill to pay:', JSON.stringify(billToPay, null, 2));
+                          const billFetchResult = await billsManagement.getByOrderId(orderDetails.order_id || orderDetails.id);
+                          billToPay = billFetchResult.bill;
+                          if (billToPay) {
+                            setExistingBill(billToPay);
                           }
+                          
+                          console.log('Extracted bill to pay:', JSON.stringify(billToPay, null, 2));
                         } catch (error) {
                           console.error('Error fetching bill for payment:', error);
                           // Continue with order data if bill fetch fails
@@ -4272,6 +4137,7 @@ html, body {
                         grand_total: grandTotal,
                         payment_method: billToPay?.payment_method || orderDetails.payment_mode || 'Cash',
                         payment_status: billToPay?.payment_status || 'Unpaid',
+                        loyalty_customer_id: orderDetails.customer_id || null,
                         items: formattedItems,
                         date: billToPay?.created_at || orderDetails.created_at || new Date().toLocaleString(),
                       };
@@ -4349,21 +4215,10 @@ html, body {
                       if (!billForReceipt && (orderDetails.order_id || orderDetails.id)) {
                         try {
                           console.log('=== Fetching Bill for Paid Receipt ===');
-                          const billFetchResult = await apiGet('api/bills_management.php', { 
-                            order_id: orderDetails.order_id || orderDetails.id 
-                          });
-                          
-                          if (billFetchResult.success && billFetchResult.data) {
-                            if (billFetchResult.data.success === true && billFetchResult.data.data) {
-                              billForReceipt = billFetchResult.data.data.bill || billFetchResult.data.data;
-                            } else if (billFetchResult.data.bill) {
-                              billForReceipt = billFetchResult.data.bill;
-                            } else if (billFetchResult.data.bill_id || billFetchResult.data.order_id) {
-                              billForReceipt = billFetchResult.data;
-                            }
-                            if (billForReceipt) {
-                              setExistingBill(billForReceipt);
-                            }
+                          const billFetchResult = await billsManagement.getByOrderId(orderDetails.order_id || orderDetails.id);
+                          billForReceipt = billFetchResult.bill;
+                          if (billForReceipt) {
+                            setExistingBill(billForReceipt);
                           }
                         } catch (error) {
                           console.error('Error fetching bill for receipt:', error);
@@ -4379,30 +4234,10 @@ html, body {
                           const orderId = orderDetails.order_id || orderDetails.id;
                           const orderNumber = orderDetails.orderid || orderDetails.order_number || (orderId ? `ORD-${orderId}` : '');
                           
-                          // Use get_ordersbyid.php to get order with items
-                          const orderResult = await apiPost('api/get_ordersbyid.php', { 
-                            order_id: orderId,
-                            orderid: orderNumber
-                          });
-                          
-                          // Extract items from order response
-                          if (orderResult.success && orderResult.data) {
-                            let orderData = null;
-                            if (Array.isArray(orderResult.data) && orderResult.data.length > 0) {
-                              orderData = orderResult.data[0];
-                            } else if (orderResult.data.data && Array.isArray(orderResult.data.data) && orderResult.data.data.length > 0) {
-                              orderData = orderResult.data.data[0];
-                            } else if (orderResult.data.order) {
-                              orderData = orderResult.data.order;
-                            } else if (typeof orderResult.data === 'object') {
-                              orderData = orderResult.data;
-                            }
-                            
-                            if (orderData && orderData.items && Array.isArray(orderData.items)) {
-                              itemsForReceipt = orderData.items;
-                            } else if (orderResult.data.items && Array.isArray(orderResult.data.items)) {
-                              itemsForReceipt = orderResult.data.items;
-                            }
+                          // getOrdersById returns the order's items alongside the order
+                          const { items: fetchedItems } = await getOrdersById({ orderId, orderNumber });
+                          if (fetchedItems.length > 0) {
+                            itemsForReceipt = fetchedItems;
                           }
                           console.log('✅ Fetched items for paid receipt:', itemsForReceipt.length);
                         } catch (error) {
@@ -4575,10 +4410,13 @@ html, body {
                       const discountPercent = parseFloat(e.target.value) || 0;
                       setBillData({ ...billData, discount_percentage: discountPercent });
                     }}
+                    disabled={!can('bill.discount')}
                     placeholder="0"
                   />
                   <p className="text-xs text-gray-500 mt-1">
-                    Enter percentage value (e.g., 10 for 10% discount)
+                    {can('bill.discount')
+                      ? 'Enter percentage value (e.g., 10 for 10% discount)'
+                      : 'Your role is not allowed to give discounts'}
                   </p>
                 </div>
 
@@ -4681,361 +4519,224 @@ html, body {
                       // Log the payload being sent
                       console.log('Bill payload being sent:', billPayload);
                       
-                      const result = await apiPost('api/bills_management.php', billPayload);
+                      const savedBillFromApi = await billsManagement.save(billPayload);
                       
-                      // Debug: Log the complete result
                       console.log('=== Bill Generation Result ===');
-                      console.log('Complete result:', JSON.stringify(result, null, 2));
-                      console.log('Result success (HTTP ok):', result.success);
-                      console.log('Result status code:', result.status);
-                      console.log('Result data type:', typeof result.data);
-                      console.log('Result data:', result.data);
+                      console.log('Saved bill:', JSON.stringify(savedBillFromApi, null, 2));
                       
-                      // Check if result itself is empty or undefined
-                      if (!result || typeof result !== 'object' || Object.keys(result).length === 0) {
-                        console.error('Empty result received from API');
-                        setAlert({ type: 'error', message: 'Empty response from server. Please check server logs and ensure the bills_management.php API is working.' });
-                        return;
+                      const billId = savedBillFromApi?.bill_id;
+                      if (!billId) {
+                        throw new Error('Bill created but no bill ID returned. Please check server logs.');
                       }
                       
-                      // apiPost returns { success: response.ok, data: parsedJSON, status }
-                      // The API response JSON is in result.data
-                      const apiResponse = result.data; // This is the parsed API JSON response
-                      
-                      // Check if we have a valid API response
-                      if (!apiResponse || typeof apiResponse !== 'object' || Object.keys(apiResponse).length === 0) {
-                        console.error('Invalid or empty API response:', apiResponse);
-                        console.error('Full result object:', result);
-                        setAlert({ 
-                          type: 'error', 
-                          message: 'Invalid or empty response from server. Status: ' + (result.status || 'unknown') + '. Please check server logs.' 
-                        });
-                        return;
+                      // Calculate discount percentage if not in bill data
+                      let discountPercentage = savedBillFromApi.discount_percentage || enteredDiscountPct || 0;
+                      const dineInBill = isDineInOrderType(billOrder.order_type);
+                      if (!discountPercentage && savedBillFromApi.discount && subtotal > 0 && dineInBill) {
+                        discountPercentage = ((savedBillFromApi.discount / subtotal) * 100).toFixed(2);
+                      } else if (!discountPercentage && savedBillFromApi.discount && (subtotal + serviceCharge) > 0 && !dineInBill) {
+                        discountPercentage = ((savedBillFromApi.discount / (subtotal + serviceCharge)) * 100).toFixed(2);
                       }
                       
-                      // Check if API call was successful (HTTP 200) AND API returned success: true
-                      const isSuccess = result.success && apiResponse && apiResponse.success === true;
-                      
-                      console.log('Is success?', isSuccess);
-                      console.log('HTTP Success (response.ok):', result.success);
-                      console.log('HTTP Status:', result.status);
-                      console.log('API Response success:', apiResponse?.success);
-                      console.log('API Response data:', apiResponse?.data);
-                      
-                      if (isSuccess && apiResponse.data) {
-                        // Extract bill_id and bill data from API response
-                        const responseData = apiResponse.data; // { bill: {...}, bill_id: 123 }
+                      // ALWAYS fetch order items when generating bill to ensure we have the latest data
+                      let itemsForReceipt = [];
+                      try {
+                        console.log('=== Fetching Order Items for Bill Generation ===');
+                        const orderId = billOrder.order_id || billOrder.id;
+                        const orderNumber = billOrder.orderid || billOrder.order_number || (orderId ? `ORD-${orderId}` : '');
                         
-                        let billId = null;
-                        let savedBillFromApi = null;
+                        console.log('Order ID:', orderId);
+                        console.log('Order Number:', orderNumber);
                         
-                        // Get bill_id from responseData.bill_id
-                        if (responseData.bill_id) {
-                          billId = responseData.bill_id;
+                        // getOrdersById returns the order's items alongside the order
+                        const { items: fetchedItems } = await getOrdersById({ orderId, orderNumber });
+                        if (fetchedItems.length > 0) {
+                          itemsForReceipt = fetchedItems;
                         }
                         
-                        // Get bill object
-                        if (responseData.bill) {
-                          savedBillFromApi = responseData.bill;
-                          // If bill_id not found, try from bill object
-                          if (!billId && savedBillFromApi.bill_id) {
-                            billId = savedBillFromApi.bill_id;
+                        if (itemsForReceipt.length === 0) {
+                          console.warn('⚠️ No items found in API response. Trying orderItems from state...');
+                          // Fallback to orderItems from state if API returns empty
+                          if (orderItems && orderItems.length > 0) {
+                            itemsForReceipt = orderItems;
+                            console.log('✅ Using orderItems from state:', itemsForReceipt.length);
                           }
-                        } else if (responseData.bill_id) {
-                          // If responseData itself has bill_id, it might be the bill
-                          savedBillFromApi = responseData;
-                          billId = responseData.bill_id;
                         }
                         
-                        // If still no billId, throw error
-                        if (!billId) {
-                          console.error('No bill ID found in response:', {
-                            result,
-                            apiResponse,
-                            responseData,
-                            'responseData.bill_id': responseData?.bill_id,
-                            'responseData.bill': responseData?.bill,
-                            'responseData.bill.bill_id': responseData?.bill?.bill_id
-                          });
-                          throw new Error('Bill created but no bill ID returned. Please check server logs.');
+                        console.log('✅ Final items for receipt:', itemsForReceipt.length);
+                        if (itemsForReceipt.length > 0) {
+                          console.log('Sample item:', JSON.stringify(itemsForReceipt[0], null, 2));
                         }
-                        
-                        // Calculate discount percentage if not in bill data
-                        let discountPercentage = savedBillFromApi.discount_percentage || enteredDiscountPct || 0;
-                        const dineInBill = isDineInOrderType(billOrder.order_type);
-                        if (!discountPercentage && savedBillFromApi.discount && subtotal > 0 && dineInBill) {
-                          discountPercentage = ((savedBillFromApi.discount / subtotal) * 100).toFixed(2);
-                        } else if (!discountPercentage && savedBillFromApi.discount && (subtotal + serviceCharge) > 0 && !dineInBill) {
-                          discountPercentage = ((savedBillFromApi.discount / (subtotal + serviceCharge)) * 100).toFixed(2);
+                      } catch (error) {
+                        console.error('❌ Error fetching order items for bill:', error);
+                        // Fallback to orderItems from state if fetch fails
+                        if (orderItems && orderItems.length > 0) {
+                          itemsForReceipt = orderItems;
+                          console.log('✅ Using orderItems from state as fallback:', itemsForReceipt.length);
+                        } else {
+                          console.error('❌ No items available - neither from API nor from state');
                         }
-                        
-                        // ALWAYS fetch order items when generating bill to ensure we have the latest data
-                        let itemsForReceipt = [];
-                        try {
-                          console.log('=== Fetching Order Items for Bill Generation ===');
-                          const orderId = billOrder.order_id || billOrder.id;
-                          const orderNumber = billOrder.orderid || billOrder.order_number || (orderId ? `ORD-${orderId}` : '');
-                          
-                          console.log('Order ID:', orderId);
-                          console.log('Order Number:', orderNumber);
-                          
-                          // Use get_ordersbyid.php to get order with items
-                          const orderResult = await apiPost('api/get_ordersbyid.php', { 
-                            order_id: orderId,
-                            orderid: orderNumber
-                          });
+                      }
+                      
+                      // Store bill data for receipt - use calculated values from frontend
+                      // Ensure orderItems are properly formatted for receipt
+                      const formattedItems = (itemsForReceipt || []).map(item => {
+                        // Get dish name from multiple possible fields
+                        const dishName = item.dish_name || item.name || item.title || item.item_name || item.dishname || item.product_name || item.dishName || 'Item';
+                        return {
+                          dish_id: item.dish_id || item.id || item.product_id,
+                          dish_name: dishName,
+                          name: dishName,
+                          price: parseFloat(item.price || item.rate || item.unit_price || 0),
+                          quantity: parseInt(item.quantity || item.qty || item.qnty || 1),
+                          qty: parseInt(item.quantity || item.qty || item.qnty || 1),
+                          total_amount: parseFloat(item.total_amount || item.total || item.total_price || (parseFloat(item.price || item.rate || item.unit_price || 0) * parseInt(item.quantity || item.qty || item.qnty || 1))),
+                          total: parseFloat(item.total_amount || item.total || item.total_price || (parseFloat(item.price || item.rate || item.unit_price || 0) * parseInt(item.quantity || item.qty || item.qnty || 1))),
+                        };
+                      });
+                      
+                      console.log('✅ Formatted items for receipt:', formattedItems.length, formattedItems);
+                      
+
+                      // Determine payment method - explicitly use 'Credit' if payment_mode is 'Credit'
+                      const paymentMethod =
+                        savedBillFromApi.payment_mode === 'Credit'
+                          ? 'Credit'
+                          : savedBillFromApi.payment_method ||
+                            savedBillFromApi.payment_mode ||
+                            'Cash';
+                      
+                      const receiptData = {
+                        bill_id: billId,
+                        order_id: billOrder.order_id || billOrder.id,
+                        order_number: billOrder.order_id ? `ORD-${billOrder.order_id}` : (billOrder.orderid || billOrder.id),
+                        order_type: billOrder.order_type || 'Dine In',
+                        table_number: billOrder.table_number || billOrder.table_id || '',
+                        subtotal: subtotal,
+                        service_charge: serviceCharge,
+                        discount_percentage: parseFloat(discountPercentage) || 0,
+                        discount_amount: discountAmount,
+                        gross_after_discount:
+                          isDineInOrderType(billOrder.order_type) && subtotal > 0
+                            ? subtotal - discountAmount
+                            : undefined,
+                        grand_total: grandTotal,
+                        payment_method: 'Cash', // Default, will be updated when payment is received
+                        payment_mode: 'Cash', // Default, will be updated when payment is received
+                        payment_status: 'Unpaid', // Bill always starts as Unpaid
+                        loyalty_customer_id: billOrder.customer_id || null,
+                        items: formattedItems,
+                        date: new Date().toLocaleString(),
+                      };
+                      
+                      console.log('=== Receipt Data Prepared ===');
+                      console.log('Receipt data:', receiptData);
+                      console.log('Items count:', formattedItems.length);
+                      console.log('Items:', formattedItems);
+                      
+                      // Validate that items are present
+                      if (!formattedItems || formattedItems.length === 0) {
+                        console.error('❌ No items found in receipt data!');
+                        setAlert({ 
+                          type: 'error', 
+                          message: 'Cannot generate receipt: No order items found. Please ensure the order has items before generating the bill.' 
+                        });
+                        return;
+                      }
+                      
+                      // Store bill data for receipt
+                      setGeneratedBill(receiptData);
+                      
+                      // Close bill modal
+                      setBillModalOpen(false);
+                      setBillOrder(null);
+                      setBillData({ discount_percentage: 0, service_charge: 0 });
+                      
+                      // Update order status - "Credit" for credit bills, "Bill Generated" for others
+                      const orderIdValue = billOrder.order_id || billOrder.id;
+                      const orderidValue = billOrder.order_id ? `ORD-${billOrder.order_id}` : (billOrder.orderid || billOrder.id);
+                      
+                      // Order status is always 'Bill Generated' after bill generation
+                      const orderStatus = 'Bill Generated';
+                      
+                      try {
+                        await changeOrderStatus({ orderId: orderIdValue, orderNumber: orderidValue, status: orderStatus });
+                        console.log(`Order status updated to: ${orderStatus}`);
+                      } catch (error) {
+                        console.error('Error updating order status:', error);
+                        // Continue even if status update fails
+                      }
+                      
+                      // Refresh orders list
+                      fetchOrders(true);
+                      
+                      // Auto-print generated bill receipt
+                      const orderIdForPrint = billOrder.order_id || billOrder.id;
+                      const branchIdForPrint = getBranchId();
+                      const terminalForPrint = getTerminal() || 1;
+                      
+                      // Validate orderId before printing
+                      if (!orderIdForPrint) {
+                        console.error('❌ Cannot auto-print: Order ID is missing');
+                        console.error('Bill Order:', billOrder);
+                        setAlert({ 
+                          type: 'warning', 
+                          message: 'Bill generated successfully, but could not auto-print: Order ID not found. Please print manually.' 
+                        });
+                      } else {
+                        // Auto-print after a delay to ensure bill is saved to database
+                        // Use longer delay to ensure database transaction is complete
+                        setTimeout(async () => {
+                          console.log('🖨️ Auto-printing generated bill receipt...');
+                          console.log('Order ID:', orderIdForPrint);
+                          console.log('Branch ID:', branchIdForPrint);
+                          console.log('Terminal:', terminalForPrint);
                           
-                          console.log('Order API response:', orderResult);
-                          console.log('Order API response data:', JSON.stringify(orderResult.data, null, 2));
+                          // Try printing with retry logic
+                          let printSuccess = false;
+                          let retryCount = 0;
+                          const maxRetries = 3;
                           
-                          // Extract items from order response - handle multiple structures
-                          if (orderResult.success && orderResult.data) {
-                            let orderData = null;
-                            if (Array.isArray(orderResult.data) && orderResult.data.length > 0) {
-                              orderData = orderResult.data[0];
-                            } else if (orderResult.data.data && Array.isArray(orderResult.data.data) && orderResult.data.data.length > 0) {
-                              orderData = orderResult.data.data[0];
-                            } else if (orderResult.data.order) {
-                              orderData = orderResult.data.order;
-                            } else if (typeof orderResult.data === 'object') {
-                              orderData = orderResult.data;
-                            }
-                            
-                            if (orderData && orderData.items && Array.isArray(orderData.items)) {
-                              itemsForReceipt = orderData.items;
-                              console.log('✅ Found items in order data (items):', itemsForReceipt.length);
-                            } else if (orderResult.data.items && Array.isArray(orderResult.data.items)) {
-                              itemsForReceipt = orderResult.data.items;
-                              console.log('✅ Found items in response (items):', itemsForReceipt.length);
-                            } else if (typeof orderResult.data === 'object') {
-                              // Search for any array in the response
-                              for (const key in orderResult.data) {
-                                if (Array.isArray(orderResult.data[key])) {
-                                  itemsForReceipt = orderResult.data[key];
-                                  console.log(`✅ Found items in result.data.${key}:`, itemsForReceipt.length);
-                                  break;
-                                }
+                          while (!printSuccess && retryCount < maxRetries) {
+                            try {
+                              printSuccess = await printBillDirect(orderIdForPrint, branchIdForPrint, terminalForPrint);
+                              if (!printSuccess && retryCount < maxRetries - 1) {
+                                console.log(`Print attempt ${retryCount + 1} failed, retrying in 1 second...`);
+                                await new Promise(resolve => setTimeout(resolve, 1000));
                               }
-                            }
-                          }
-                          
-                          if (itemsForReceipt.length === 0) {
-                            console.warn('⚠️ No items found in API response. Trying orderItems from state...');
-                            // Fallback to orderItems from state if API returns empty
-                            if (orderItems && orderItems.length > 0) {
-                              itemsForReceipt = orderItems;
-                              console.log('✅ Using orderItems from state:', itemsForReceipt.length);
-                            }
-                          }
-                          
-                          console.log('✅ Final items for receipt:', itemsForReceipt.length);
-                          if (itemsForReceipt.length > 0) {
-                            console.log('Sample item:', JSON.stringify(itemsForReceipt[0], null, 2));
-                          }
-                        } catch (error) {
-                          console.error('❌ Error fetching order items for bill:', error);
-                          // Fallback to orderItems from state if fetch fails
-                          if (orderItems && orderItems.length > 0) {
-                            itemsForReceipt = orderItems;
-                            console.log('✅ Using orderItems from state as fallback:', itemsForReceipt.length);
-                          } else {
-                            console.error('❌ No items available - neither from API nor from state');
-                          }
-                        }
-                        
-                        // Store bill data for receipt - use calculated values from frontend
-                        // Ensure orderItems are properly formatted for receipt
-                        const formattedItems = (itemsForReceipt || []).map(item => {
-                          // Get dish name from multiple possible fields
-                          const dishName = item.dish_name || item.name || item.title || item.item_name || item.dishname || item.product_name || item.dishName || 'Item';
-                          return {
-                            dish_id: item.dish_id || item.id || item.product_id,
-                            dish_name: dishName,
-                            name: dishName,
-                            price: parseFloat(item.price || item.rate || item.unit_price || 0),
-                            quantity: parseInt(item.quantity || item.qty || item.qnty || 1),
-                            qty: parseInt(item.quantity || item.qty || item.qnty || 1),
-                            total_amount: parseFloat(item.total_amount || item.total || item.total_price || (parseFloat(item.price || item.rate || item.unit_price || 0) * parseInt(item.quantity || item.qty || item.qnty || 1))),
-                            total: parseFloat(item.total_amount || item.total || item.total_price || (parseFloat(item.price || item.rate || item.unit_price || 0) * parseInt(item.quantity || item.qty || item.qnty || 1))),
-                          };
-                        });
-                        
-                        console.log('✅ Formatted items for receipt:', formattedItems.length, formattedItems);
-                        
-
-                        // Determine payment method - explicitly use 'Credit' if payment_mode is 'Credit'
-                        const paymentMethod =
-                          savedBillFromApi.payment_mode === 'Credit'
-                            ? 'Credit'
-                            : savedBillFromApi.payment_method ||
-                              savedBillFromApi.payment_mode ||
-                              'Cash';
-                        
-                        const receiptData = {
-                          bill_id: billId,
-                          order_id: billOrder.order_id || billOrder.id,
-                          order_number: billOrder.order_id ? `ORD-${billOrder.order_id}` : (billOrder.orderid || billOrder.id),
-                          order_type: billOrder.order_type || 'Dine In',
-                          table_number: billOrder.table_number || billOrder.table_id || '',
-                          subtotal: subtotal,
-                          service_charge: serviceCharge,
-                          discount_percentage: parseFloat(discountPercentage) || 0,
-                          discount_amount: discountAmount,
-                          gross_after_discount:
-                            isDineInOrderType(billOrder.order_type) && subtotal > 0
-                              ? subtotal - discountAmount
-                              : undefined,
-                          grand_total: grandTotal,
-                          payment_method: 'Cash', // Default, will be updated when payment is received
-                          payment_mode: 'Cash', // Default, will be updated when payment is received
-                          payment_status: 'Unpaid', // Bill always starts as Unpaid
-                          items: formattedItems,
-                          date: new Date().toLocaleString(),
-                        };
-                        
-                        console.log('=== Receipt Data Prepared ===');
-                        console.log('Receipt data:', receiptData);
-                        console.log('Items count:', formattedItems.length);
-                        console.log('Items:', formattedItems);
-                        
-                        // Validate that items are present
-                        if (!formattedItems || formattedItems.length === 0) {
-                          console.error('❌ No items found in receipt data!');
-                          setAlert({ 
-                            type: 'error', 
-                            message: 'Cannot generate receipt: No order items found. Please ensure the order has items before generating the bill.' 
-                          });
-                          return;
-                        }
-                        
-                        // Store bill data for receipt
-                        setGeneratedBill(receiptData);
-                        
-                        // Close bill modal
-                        setBillModalOpen(false);
-                        setBillOrder(null);
-                        setBillData({ discount_percentage: 0, service_charge: 0 });
-                        
-                        // Update order status - "Credit" for credit bills, "Bill Generated" for others
-                        const orderIdValue = billOrder.order_id || billOrder.id;
-                        const orderidValue = billOrder.order_id ? `ORD-${billOrder.order_id}` : (billOrder.orderid || billOrder.id);
-                        
-                        // Order status is always 'Bill Generated' after bill generation
-                        const orderStatus = 'Bill Generated';
-                        
-                        try {
-                          const statusPayload = {
-                            order_status: orderStatus,
-                            order_id: orderIdValue,
-                            orderid: orderidValue,
-                          };
-                          await apiPost('api/chnageorder_status.php', statusPayload);
-                          console.log(`Order status updated to: ${orderStatus}`);
-                        } catch (error) {
-                          console.error('Error updating order status:', error);
-                          // Continue even if status update fails
-                        }
-                        
-                        // Refresh orders list
-                        fetchOrders(true);
-                        
-                        // Auto-print generated bill receipt
-                        const orderIdForPrint = billOrder.order_id || billOrder.id;
-                        const branchIdForPrint = getBranchId();
-                        const terminalForPrint = getTerminal() || 1;
-                        
-                        // Validate orderId before printing
-                        if (!orderIdForPrint) {
-                          console.error('❌ Cannot auto-print: Order ID is missing');
-                          console.error('Bill Order:', billOrder);
-                          setAlert({ 
-                            type: 'warning', 
-                            message: 'Bill generated successfully, but could not auto-print: Order ID not found. Please print manually.' 
-                          });
-                        } else {
-                          // Auto-print after a delay to ensure bill is saved to database
-                          // Use longer delay to ensure database transaction is complete
-                          setTimeout(async () => {
-                            console.log('🖨️ Auto-printing generated bill receipt...');
-                            console.log('Order ID:', orderIdForPrint);
-                            console.log('Branch ID:', branchIdForPrint);
-                            console.log('Terminal:', terminalForPrint);
-                            
-                            // Try printing with retry logic
-                            let printSuccess = false;
-                            let retryCount = 0;
-                            const maxRetries = 3;
-                            
-                            while (!printSuccess && retryCount < maxRetries) {
-                              try {
-                                printSuccess = await printBillDirect(orderIdForPrint, branchIdForPrint, terminalForPrint);
-                                if (!printSuccess && retryCount < maxRetries - 1) {
-                                  console.log(`Print attempt ${retryCount + 1} failed, retrying in 1 second...`);
-                                  await new Promise(resolve => setTimeout(resolve, 1000));
-                                }
-                              } catch (error) {
-                                console.error(`Print attempt ${retryCount + 1} error:`, error);
-                                if (retryCount < maxRetries - 1) {
-                                  await new Promise(resolve => setTimeout(resolve, 1000));
-                                }
+                            } catch (error) {
+                              console.error(`Print attempt ${retryCount + 1} error:`, error);
+                              if (retryCount < maxRetries - 1) {
+                                await new Promise(resolve => setTimeout(resolve, 1000));
                               }
-                              retryCount++;
-                            }
-                            
-                            if (!printSuccess) {
-                              console.error('❌ Failed to print after all retry attempts');
-                              setAlert({ 
-                                type: 'warning', 
-                                message: 'Bill generated successfully, but auto-print failed. Please print manually using the Print Receipt button.' 
-                              });
                             }
-                          }, 1000); // Increased delay to 1 second to ensure database save is complete
-                        }
-                        
-                        // Show receipt modal for viewing
-                        setReceiptModalOpen(true);
-                        setDetailsModalOpen(false);
-                        
-                        setAlert({ type: 'success', message: 'Bill generated successfully! Receipt is being printed...' });
-                      } else {
-                        // More detailed error message - check all possible error locations
-                        let errorMsg = 'Failed to generate bill';
-                        
-                        if (apiResponse && typeof apiResponse === 'object') {
-                          // Check for database column errors
-                          const responseStr = JSON.stringify(apiResponse).toLowerCase();
-                          if (responseStr.includes('unknown column') || responseStr.includes('is_cancel')) {
-                            errorMsg = 'Database error: The backend is trying to use a column that doesn\'t exist. Please contact the administrator to fix the database schema or update the API file (bills_management.php).';
-                          } else {
-                            errorMsg = apiResponse.message || 
-                                      apiResponse.data?.message || 
-                                      apiResponse.data?.error || 
-                                      apiResponse.error ||
-                                      (apiResponse.success === false ? 'Bill creation failed on server' : errorMsg);
+                            retryCount++;
                           }
-                        } else if (result.data && typeof result.data === 'string') {
-                          const dataStr = result.data.toLowerCase();
-                          if (dataStr.includes('unknown column') || dataStr.includes('is_cancel')) {
-                            errorMsg = 'Database error: The backend is trying to use a column that doesn\'t exist. Please contact the administrator to fix the database schema or update the API file (bills_management.php).';
-                          } else {
-                            errorMsg = result.data;
+                          
+                          if (!printSuccess) {
+                            console.error('❌ Failed to print after all retry attempts');
+                            setAlert({ 
+                              type: 'warning', 
+                              message: 'Bill generated successfully, but auto-print failed. Please print manually using the Print Receipt button.' 
+                            });
                           }
-                        } else if (result.message) {
-                          errorMsg = result.message;
-                        }
-                        
-                        console.error('=== Bill Generation Failed ===');
-                        console.error('HTTP Success:', result.success);
-                        console.error('HTTP Status:', result.status);
-                        console.error('API Response:', apiResponse);
-                        console.error('Error Message:', errorMsg);
-                        
-                        // Show user-friendly error message
-                        setAlert({ 
-                          type: 'error', 
-                          message: errorMsg || 'Failed to generate bill. Please check server logs or contact support.' 
-                        });
+                        }, 1000); // Increased delay to 1 second to ensure database save is complete
                       }
+                      
+                      // Show receipt modal for viewing
+                      setReceiptModalOpen(true);
+                      setDetailsModalOpen(false);
+                      
+                      setAlert({ type: 'success', message: 'Bill generated successfully! Receipt is being printed...' });
+                      // Broadcast update to other dashboard instances
+                      broadcastUpdate(UPDATE_EVENTS.BILL_CREATED, { 
+                        bill_id: billId,
+                        order_id: orderIdValue 
+                      });
+                      broadcastUpdate(UPDATE_EVENTS.ORDER_STATUS_CHANGED, { 
+                        order_id: orderIdValue,
+                        status: orderStatus 
+                      });
                     } catch (error) {
                       console.error('Error generating bill:', error);
                       const errorStr = (error.message || '').toLowerCase();
@@ -5103,7 +4804,8 @@ html, body {
                   >
                     <option value="Pending">Pending</option>
                     <option value="Running">Running</option>
-                    <option value="Cancelled">Cancelled</option>
+                    <option value="Served">Served</option>
+                    {(can('order.cancel') || formData.status === 'Cancelled') && <option value="Cancelled">Cancelled</option>}
                   </select>
                   <p className="text-xs text-gray-500 mt-1">
                     Note: Status can only be set to "Bill Generated" when receipt is printed, or "Complete" after bill payment.
@@ -5172,39 +4874,59 @@ html, body {
                     <p className="text-sm text-gray-500 text-center py-4">No items in order. Add items below.</p>
                   ) : (
                     <div className="space-y-2 max-h-48 overflow-y-auto custom-scrollbar">
-                      {formData.items.map((item, index) => (
-                        <div key={index} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg border border-gray-200">
+                      {formData.items.map((item) => (
+                        <div key={item.line_key} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg border border-gray-200">
                           <div className="flex-1">
                             <p className="font-medium text-sm text-gray-900">
                               {item.name || item.dish_name || item.title || item.item_name || item.dishname || item.product_name || item.dishName || 'Item'}
                             </p>
+                            {item.components?.length > 0 && (
+                              <p className="text-xs text-gray-500">{formatComboComponents(item.components)}</p>
+                            )}
+                            {formatModifierSummary(item.modifiers) && (
+                              <p className="text-xs text-[#FF5F15]">{formatModifierSummary(item.modifiers)}</p>
+                            )}
                             <p className="text-xs text-gray-500">{formatPKR(item.price)} each</p>
                           </div>
                           <div className="flex items-center gap-2">
                             <button
                               type="button"
-                              onClick={() => updateDishQuantity(item.dish_id, item.quantity - 1)}
-                              className="w-7 h-7 rounded border border-gray-300 flex items-center justify-center hover:bg-gray-100 text-gray-900"
+                              onClick={() => updateDishQuantity(item.line_key, item.quantity - 1)}
+                              disabled={isSentToKitchen(item) && item.quantity <= item.sent_quantity}
+                              className="w-7 h-7 rounded border border-gray-300 flex items-center justify-center hover:bg-gray-100 text-gray-900 disabled:opacity-40 disabled:cursor-not-allowed"
                             >
                               <Minus className="w-3 h-3" />
                             </button>
                             <span className="text-sm font-medium w-8 text-center text-gray-900">{item.quantity}</span>
                             <button
                               type="button"
-                              onClick={() => updateDishQuantity(item.dish_id, item.quantity + 1)}
+                              onClick={() => updateDishQuantity(item.line_key, item.quantity + 1)}
                               className="w-7 h-7 rounded border border-gray-300 flex items-center justify-center hover:bg-gray-100 text-gray-900"
                             >
                               <Plus className="w-3 h-3" />
                             </button>
                             <span className="text-sm font-semibold text-gray-900 w-20 text-right">{formatPKR(item.total)}</span>
-                            <button
-                              type="button"
-                              onClick={() => removeDishFromOrder(item.dish_id)}
-                              className="ml-2 text-red-500 hover:text-red-700"
-                              title="Remove item"
-                            >
-                              <X className="w-4 h-4" />
-                            </button>
+                            {isSentToKitchen(item) ? (
+                              can('order.void_item') && (
+                                <button
+                                  type="button"
+                                  onClick={() => setVoidItem(item)}
+                                  className="ml-2 text-red-500 hover:text-red-700"
+                                  title="Void or re-fire (already sent to the kitchen)"
+                                >
+                                  <Ban className="w-4 h-4" />
+                                </button>
+                              )
+                            ) : (
+                              <button
+                                type="button"
+                                onClick={() => removeDishFromOrder(item.line_key)}
+                                className="ml-2 text-red-500 hover:text-red-700"
+                                title="Remove item"
+                              >
+                                <X className="w-4 h-4" />
+                              </button>
+                            )}
                           </div>
                         </div>
                       ))}
@@ -5244,7 +4966,7 @@ html, body {
                         <div
                           key={dish.dish_id}
                           className="border border-gray-200 rounded-lg p-2 hover:shadow-md transition cursor-pointer"
-                          onClick={() => addDishToOrder(dish)}
+                          onClick={() => handleEditDishClick(dish)}
                         >
                           <div className="flex justify-between items-start mb-1">
                             <p className="font-medium text-sm text-gray-900 flex-1">{dish.name}</p>
@@ -5257,7 +4979,7 @@ html, body {
                             variant="outline"
                             onClick={(e) => {
                               e.stopPropagation();
-                              addDishToOrder(dish);
+                              handleEditDishClick(dish);
                             }}
                             className="w-full mt-2 text-xs"
                           >
@@ -5336,6 +5058,7 @@ html, body {
               setPaymentData({ cash_received: 0, change: 0 });
               setPaymentMode('Cash'); // Reset to default
               setPaymentCustomerId(null); // Reset customer selection
+              setTenderLines(DEFAULT_TENDER_LINES);
             }
           }}
           title="Receive Payment"
@@ -5394,6 +5117,12 @@ html, body {
                             <span>After discount (food):</span>
                             <span>{formatPKR(gross)}</span>
                           </div>
+                          {generatedBill.loyalty_discount > 0 && (
+                            <div className="flex justify-between text-sm">
+                              <span className="text-gray-600 font-medium">Loyalty ({describeRedemption(generatedBill)}):</span>
+                              <span className="font-semibold text-red-600">-{formatPKR(generatedBill.loyalty_discount)}</span>
+                            </div>
+                          )}
                           <div className="flex justify-between text-xl font-bold pt-2 border-t-2 border-gray-200">
                             <span className="text-gray-900">Net amount:</span>
                             <span className="text-[#FF5F15] text-2xl">{formatPKR(generatedBill.grand_total)}</span>
@@ -5424,6 +5153,12 @@ html, body {
                             </span>
                           </div>
                         )}
+                        {generatedBill.loyalty_discount > 0 && (
+                          <div className="flex justify-between text-sm">
+                            <span className="text-gray-600 font-medium">Loyalty ({describeRedemption(generatedBill)}):</span>
+                            <span className="font-semibold text-red-600">-{formatPKR(generatedBill.loyalty_discount)}</span>
+                          </div>
+                        )}
                         <div className="flex justify-between text-xl font-bold pt-2 border-t-2 border-gray-200">
                           <span className="text-gray-900">Grand Total:</span>
                           <span className="text-[#FF5F15] text-2xl">{formatPKR(generatedBill.grand_total)}</span>
@@ -5434,6 +5169,12 @@ html, body {
                 </div>
               </div>
 
+              <LoyaltyRedemption
+                branchId={getBranchId()}
+                bill={generatedBill}
+                onChange={handleLoyaltyChange}
+              />
+
               {/* Payment Mode Selection */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1.5">
@@ -5444,7 +5185,7 @@ html, body {
                   onChange={(e) => {
                     const newPaymentMode = e.target.value;
                     setPaymentMode(newPaymentMode);
-                    if (newPaymentMode !== 'Credit') {
+                    if (newPaymentMode !== 'Credit' && newPaymentMode !== 'Mixed') {
                       setPaymentCustomerId(null);
                     }
                     // Update generatedBill payment method for display
@@ -5460,11 +5201,21 @@ html, body {
                   <option value="Card">Card</option>
                   <option value="Online">Online</option>
                   <option value="Credit">Credit</option>
+                  <option value="Mixed">Mixed (multiple tenders)</option>
                 </select>
               </div>
 
-              {/* Customer Selection - Only show when payment mode is Credit */}
-              {paymentMode === 'Credit' && (
+              {/* Mixed payment - one line per tender (e.g. part cash, part Easypaisa) */}
+              {paymentMode === 'Mixed' && (
+                <TenderLinesEditor
+                  lines={tenderLines}
+                  onChange={setTenderLines}
+                  grandTotal={generatedBill.grand_total}
+                />
+              )}
+
+              {/* Customer Selection - Only show when payment mode is Credit (or a mixed payment has a Credit line) */}
+              {(paymentMode === 'Credit' || (paymentMode === 'Mixed' && tenderLines.some(line => line.payment_method === 'Credit'))) && (
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1.5">
                     Select Customer <span className="text-red-500">*</span>
@@ -5473,7 +5224,7 @@ html, body {
                     value={paymentCustomerId || ''}
                     onChange={(e) => setPaymentCustomerId(e.target.value ? parseInt(e.target.value) : null)}
                     className="block w-full px-3 py-2.5 border border-[#E0E0E0] rounded-lg text-gray-900 bg-white focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition"
-                    required={paymentMode === 'Credit'}
+                    required={paymentMode === 'Credit' || paymentMode === 'Mixed'}
                   >
                     <option value="">-- Select Customer --</option>
                     {customers.length > 0 ? (
@@ -5613,7 +5364,7 @@ html, body {
                     })()}
                   </div>
                 </div>
-              ) : (
+              ) : paymentMode === 'Mixed' ? null : (
                 /* For Card/Online payments - Just confirm payment */
                 <div className="bg-gradient-to-br from-purple-50 to-indigo-50 p-5 rounded-xl border border-purple-200">
                   <div className="text-center">
@@ -5643,6 +5394,16 @@ html, body {
                 >
                   Cancel
                 </Button>
+                <Button
+                  variant="secondary"
+                  onClick={() => {
+                    setPaymentModalOpen(false);
+                    setSplitBillOpen(true);
+                  }}
+                  className="flex-1"
+                >
+                  Split Bill
+                </Button>
                 <Button
                   onClick={handlePayBill}
                   disabled={
@@ -5650,6 +5411,8 @@ html, body {
                       ? (!paymentData.cash_received || paymentData.cash_received < generatedBill.grand_total)
                       : paymentMode === 'Credit'
                       ? !paymentCustomerId
+                      : paymentMode === 'Mixed'
+                      ? !!validateTenders(tenderLines, generatedBill.grand_total)
                       : false
                   }
                   className="flex-1 bg-gradient-to-r from-green-600 to-green-700 hover:from-green-700 hover:to-green-800 text-white font-semibold py-3 text-base shadow-lg hover:shadow-xl transition-all duration-200"
@@ -5659,6 +5422,8 @@ html, body {
                     ? `Pay Bill${paymentData.change > 0 ? ` (Change: ${formatPKR(paymentData.change)})` : ''}` 
                     : paymentMode === 'Credit'
                     ? 'Record Credit Payment'
+                    : paymentMode === 'Mixed'
+                    ? 'Record Mixed Payment'
                     : 'Confirm Payment'}
                 </Button>
               </div>
@@ -5666,6 +5431,78 @@ html, body {
           )}
         </Modal>
 
+        {/* Merge / Split Order Modals */}
+        <MergeOrdersModal
+          order={mergeTarget}
+          orders={orders}
+          onClose={() => setMergeTarget(null)}
+          onMerged={(message) => {
+            setMergeTarget(null);
+            setAlert({ type: 'success', message });
+            fetchOrders(true);
+          }}
+        />
+        <SplitOrderModal
+          order={splitTarget}
+          onClose={() => setSplitTarget(null)}
+          onSplit={(message) => {
+            setSplitTarget(null);
+            setAlert({ type: 'success', message });
+            fetchOrders(true);
+          }}
+        />
+        <ModifierPickerModal
+          dish={modifierDish}
+          onClose={() => setModifierDish(null)}
+          onConfirm={(dish, modifiers) => {
+            addDishToOrder(dish, modifiers);
+            setModifierDish(null);
+          }}
+        />
+        <ItemVoidModal
+          item={voidItem}
+          order={editingOrder || {}}
+          onClose={() => setVoidItem(null)}
+          onDone={({ action, quantity, message, slipFailed }) => {
+            if (action === 'void') applyItemVoid(voidItem, quantity);
+            setVoidItem(null);
+            setAlert({ type: slipFailed ? 'warning' : 'success', message });
+          }}
+        />
+
+        {/* Split Bill Modal */}
+        <SplitBillModal
+          bill={splitBillOpen ? generatedBill : null}
+          branchName={getBranchName() || ''}
+          onClose={(paid) => {
+            setSplitBillOpen(false);
+            if (paid) {
+              setGeneratedBill(null);
+              setPaymentData({ cash_received: 0, change: 0 });
+              setPaymentMode('Cash');
+            } else {
+              setPaymentModalOpen(true);
+            }
+          }}
+          onSettled={(bill) => {
+            setAlert({ type: 'success', message: 'Split payment recorded. Order status updated to Complete.' });
+            // Broadcast update to other dashboard instances; the backend frees a Dine In table on settle
+            broadcastUpdate(UPDATE_EVENTS.BILL_PAID, { 
+              bill_id: bill.bill_id || null,
+              order_id: bill.order_id 
+            });
+            broadcastUpdate(UPDATE_EVENTS.ORDER_STATUS_CHANGED, { 
+              order_id: bill.order_id,
+              status: 'Complete' 
+            });
+            const paidOrder = orders.find(order => (order.order_id || order.id) == bill.order_id);
+            if (paidOrder?.table_id && isDineInOrderType(paidOrder.order_type)) {
+              broadcastUpdate(UPDATE_EVENTS.TABLE_UPDATED, { table_ids: [paidOrder.table_id] });
+            }
+            fetchOrders(true);
+          }}
+        />
+
         {/* Receipt Modal */}
         <Modal
           isOpen={receiptModalOpen}
@@ -5720,7 +5557,11 @@ html, body {
                       table_number: generatedBill.table_number || '',
                       customer_name: generatedBill.customer_name || null,
                       customer_phone: generatedBill.customer_phone || null,
-                      is_credit: generatedBill.is_credit || false
+                      is_credit: generatedBill.is_credit || false,
+                      loyalty_points_redeemed: generatedBill.loyalty_points_redeemed || 0,
+                      loyalty_stamp_cards_redeemed: generatedBill.loyalty_stamp_cards_redeemed || 0,
+                      loyalty_discount: generatedBill.loyalty_discount || 0,
+                      loyalty_balance: generatedBill.loyalty_balance || null
                     }}
                     items={receiptItems}
                     branchName={getBranchName() || ''}
@@ -15,6 +15,7 @@ import Table from '@/components/ui/Table';
 import Alert from '@/components/ui/Alert';
 import { apiPost, apiDelete, getTerminal, getBranchId, getBranchName } from '@/utils/api';
 import { Printer, TestTube } from 'lucide-react';
+import { DEFAULT_PAPER_PROFILE, PAPER_PROFILES } from '@/utils/escpos';
 
 export default function PrinterManagementPage() {
   const [printers, setPrinters] = useState([]);
@@ -28,6 +29,7 @@ export default function PrinterManagementPage() {
     ip_address: '',
     port: '9100',
     usb_port: '', // USB port name (e.g., USB002)
+    paper_width: DEFAULT_PAPER_PROFILE, // 58mm or 80mm roll
     status: 'active',
   });
   const [alert, setAlert] = useState({ type: '', message: '' });
@@ -113,6 +115,7 @@ export default function PrinterManagementPage() {
         ip_address: printer.ip_address || printer.ip || '',
         port: printer.port || '9100',
         usb_port: printer.usb_port || printer.printer_name || '',
+        paper_width: PAPER_PROFILES[printer.paper_width] ? printer.paper_width : DEFAULT_PAPER_PROFILE,
         status: printer.status || 'active',
         terminal: printer.terminal || terminal,
         branch_id: printer.branch_id || branchId,
@@ -183,6 +186,7 @@ export default function PrinterManagementPage() {
         name: formData.name.trim(),
         type: formData.type || 'receipt',
         connection_type: formData.connection_type || 'network',
+        paper_width: formData.paper_width || DEFAULT_PAPER_PROFILE,
         status: formData.status || 'active',
         terminal: terminal, // Always include terminal
         action: editingPrinter ? 'update' : 'create'
@@ -284,6 +288,7 @@ export default function PrinterManagementPage() {
           ip_address: '',
           port: '9100',
           usb_port: '',
+          paper_width: DEFAULT_PAPER_PROFILE,
           status: 'active',
         });
         setEditingPrinter(null);
@@ -321,6 +326,7 @@ export default function PrinterManagementPage() {
       ip_address: printer.ip_address || '',
       port: printer.port || '9100',
       usb_port: printer.usb_port || printer.printer_name || '',
+      paper_width: printer.paper_width,
       status: printer.status || 'active',
     });
     setModalOpen(true);
@@ -584,6 +590,7 @@ git    * Test USB printer using browser print dialog
         name: printer.name,
         connection_type: connectionType,
         type: printer.type || 'receipt',
+        paper_width: printer.paper_width,
         terminal: terminal,
         action: 'test'
       };
@@ -764,6 +771,7 @@ git    * Test USB printer using browser print dialog
                 type: 'receipt',
                 ip_address: '',
                 port: '9100',
+                paper_width: DEFAULT_PAPER_PROFILE,
                 status: 'active',
               });
               setModalOpen(true);
@@ -807,6 +815,7 @@ git    * Test USB printer using browser print dialog
               type: 'receipt',
               ip_address: '',
               port: '9100',
+              paper_width: DEFAULT_PAPER_PROFILE,
               status: 'active',
             });
           }}
@@ -914,6 +923,22 @@ git    * Test USB printer using browser print dialog
               </>
             )}
 
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1.5">
+                Paper Width
+              </label>
+              <select
+                name="paper_width"
+                value={formData.paper_width}
+                onChange={(e) => setFormData({ ...formData, paper_width: e.target.value })}
+                className="block w-full px-3 py-2.5 border border-[#E0E0E0] rounded-lg text-gray-900 focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition"
+              >
+                {Object.values(PAPER_PROFILES).map(profile => (
+                  <option key={profile.id} value={profile.id}>{profile.label} ({profile.columns} characters per line)</option>
+                ))}
+              </select>
+            </div>
+
             <div className="mb-4">
               <label className="block text-sm font-medium text-gray-700 mb-1.5">
                 Status
@@ -941,6 +966,7 @@ git    * Test USB printer using browser print dialog
                     type: 'receipt',
                     ip_address: '',
                     port: '9100',
+                    paper_width: DEFAULT_PAPER_PROFILE,
                     status: 'active',
                   });
                 }}
@@ -0,0 +1,19 @@
+'use client';
+
+/**
+ * Reservations Page
+ * Table bookings and the walk-in waitlist for the branch
+ * Uses APIs: reservations_management.php, waitlist_management.php, customer_management.php
+ */
+
+import AdminLayout from '@/components/admin/AdminLayout';
+import ReservationsBoard from '@/components/reservations/ReservationsBoard';
+import { getBranchId } from '@/utils/api';
+
+export default function ReservationsPage() {
+  return (
+    <AdminLayout>
+      <ReservationsBoard branchId={getBranchId()} createOrderPath="/dashboard/branch-admin/create-order" />
+    </AdminLayout>
+  );
+}
@@ -19,9 +19,12 @@ import Table from '@/components/ui/Table';
 import Alert from '@/components/ui/Alert';
 import { apiPost, apiGet, getTerminal, getBranchId } from '@/utils/api';
 import { formatPKR } from '@/utils/format';
+import { listenForUpdates, UPDATE_EVENTS } from '@/utils/dashboardSync';
 import { TrendingUp, FileText, DollarSign, BarChart3, Download, RefreshCw, Calendar, Search, X, Receipt, Percent, Tag } from 'lucide-react';
 import logger from '@/utils/logger';
 
+const FALLBACK_REFRESH_MS = 5 * 60 * 1000;
+
 /**
  * Fetch the last dayend closing_date_time for the current branch
  * Returns the closing_date_time if dayend exists, null otherwise
@@ -803,14 +806,22 @@ export default function SalesListPage() {
     // fetchSales will be triggered by useEffect when dateRange changes
   };
 
-  // Auto-refresh functionality (every 30 seconds when enabled)
+  // Auto-refresh functionality: payments and bill changes arrive as live events; the poll only catches what the stream missed
   useEffect(() => {
     if (autoRefresh) {
       const interval = setInterval(() => {
         fetchSales(true);
-      }, 30000); // 30 seconds
+      }, FALLBACK_REFRESH_MS);
       setAutoRefreshInterval(interval);
-      return () => clearInterval(interval);
+      const stopListening = listenForUpdates(() => fetchSales(true), [
+        UPDATE_EVENTS.BILL_PAID,
+        UPDATE_EVENTS.BILL_UPDATED,
+        UPDATE_EVENTS.ORDER_STATUS_CHANGED,
+      ]);
+      return () => {
+        clearInterval(interval);
+        stopListening();
+      };
     } else {
       if (autoRefreshInterval) {
         clearInterval(autoRefreshInterval);
@@ -1176,7 +1187,7 @@ export default function SalesListPage() {
                   onChange={(e) => setAutoRefresh(e.target.checked)}
                   className="w-4 h-4 text-[#FF5F15] border-gray-300 rounded focus:ring-[#FF5F15]"
                 />
-                <span className="whitespace-nowrap">Auto-refresh (30s)</span>
+                <span className="whitespace-nowrap" title="Reloads on every payment from any device, and every 5 minutes in case one was missed">Auto-refresh (live)</span>
               </label>
               
               {lastUpdated && (
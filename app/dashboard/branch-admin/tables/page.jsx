@@ -2,7 +2,7 @@
 
 /**
  * Table Management Page
- * CRUD operations for tables and assign them to halls
+ * CRUD operations for tables and assign them to halls, plus a per-hall floor plan layout
  */
 
 import { useEffect, useState } from 'react';
@@ -12,8 +12,19 @@ import Input from '@/components/ui/Input';
 import Modal from '@/components/ui/Modal';
 import Table from '@/components/ui/Table';
 import Alert from '@/components/ui/Alert';
+import FloorPlanEditor from '@/components/floor/FloorPlanEditor';
 import { apiGet, apiPost, apiDelete, getTerminal, getBranchId } from '@/utils/api';
 import logger from '@/utils/logger';
+import { listenForUpdates, UPDATE_EVENTS } from '@/utils/dashboardSync';
+import { useFloorTables } from '@/hooks/useFloorTables';
+
+const TABLE_REFRESH_EVENTS = [
+  UPDATE_EVENTS.TABLE_UPDATED,
+  UPDATE_EVENTS.ORDER_CREATED,
+  UPDATE_EVENTS.ORDER_DELETED,
+  UPDATE_EVENTS.ORDER_STATUS_CHANGED,
+  UPDATE_EVENTS.BILL_PAID,
+];
 
 export default function TableManagementPage() {
   const [tables, setTables] = useState([]);
@@ -28,17 +39,25 @@ export default function TableManagementPage() {
     status: 'available', // available, occupied, reserved, maintenance
   });
   const [alert, setAlert] = useState({ type: '', message: '' });
+  const [viewMode, setViewMode] = useState('list'); // list, floor
+  const [floorHallId, setFloorHallId] = useState('');
+  const floorPlan = useFloorTables(viewMode === 'floor' ? getBranchId() : null, { live: false });
+  const floorHall = floorPlan.halls.find(hall => String(hall.hall_id) === String(floorHallId)) || floorPlan.halls[0] || null;
 
   useEffect(() => {
     fetchTables();
     fetchHalls();
     
-    // Auto-refresh tables every 10 seconds for real-time updates
+    // Table status follows orders and bills live; the slow poll only catches missed events
     const interval = setInterval(() => {
       fetchTables();
-    }, 10000);
+    }, 60000);
+    const stopListening = listenForUpdates(() => fetchTables(), TABLE_REFRESH_EVENTS);
     
-    return () => clearInterval(interval);
+    return () => {
+      clearInterval(interval);
+      stopListening();
+    };
   }, []);
 
   /**
@@ -383,6 +402,7 @@ export default function TableManagementPage() {
       occupied: 'bg-red-100 text-red-800',
       reserved: 'bg-yellow-100 text-yellow-800',
       maintenance: 'bg-gray-100 text-gray-800',
+      cleaning: 'bg-amber-100 text-amber-800',
     };
     return colors[status] || colors.available;
   };
@@ -436,20 +456,39 @@ export default function TableManagementPage() {
             <h1 className="text-2xl font-bold text-gray-900">Table Management</h1>
             <p className="text-gray-600 mt-1">Manage tables and assign them to halls</p>
           </div>
-          <Button
-            onClick={() => {
-              setEditingTable(null);
-              setFormData({
-                table_number: '',
-                hall_id: '',
-                capacity: '',
-                status: 'available',
-              });
-              setModalOpen(true);
-            }}
-          >
-            + Add Table
-          </Button>
+          <div className="flex items-center gap-3">
+            <div className="flex rounded-lg border border-gray-200 bg-white p-1">
+              {[
+                { value: 'list', label: 'List' },
+                { value: 'floor', label: 'Floor Plan' },
+              ].map(mode => (
+                <button
+                  key={mode.value}
+                  type="button"
+                  onClick={() => setViewMode(mode.value)}
+                  className={`px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${
+                    viewMode === mode.value ? 'bg-[#FF5F15] text-white' : 'text-gray-700 hover:bg-gray-100'
+                  }`}
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+            <Button
+              onClick={() => {
+                setEditingTable(null);
+                setFormData({
+                  table_number: '',
+                  hall_id: '',
+                  capacity: '',
+                  status: 'available',
+                });
+                setModalOpen(true);
+              }}
+            >
+              + Add Table
+            </Button>
+          </div>
         </div>
 
         {/* Alert Message */}
@@ -461,8 +500,40 @@ export default function TableManagementPage() {
           />
         )}
 
-        {/* Tables Table */}
-        {loading ? (
+        {/* Floor Plan */}
+        {viewMode === 'floor' ? (
+          floorPlan.loading ? (
+            <div className="bg-white rounded-lg shadow p-8 text-center">
+              <p className="text-gray-500">Loading floor plan...</p>
+            </div>
+          ) : (
+            <div className="bg-white rounded-lg shadow p-4 space-y-4">
+              {floorPlan.error && <Alert type="error" message={floorPlan.error} />}
+              <div className="flex items-center gap-3">
+                <label className="text-sm font-medium text-gray-700">Hall</label>
+                <select
+                  value={floorHall?.hall_id || ''}
+                  onChange={(e) => setFloorHallId(e.target.value)}
+                  className="block px-3 py-2 border border-gray-300 rounded-lg text-gray-900 focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition"
+                >
+                  {floorPlan.halls.length === 0 && <option value="">No halls</option>}
+                  {floorPlan.halls.map(hall => (
+                    <option key={hall.hall_id} value={hall.hall_id}>{hall.name}</option>
+                  ))}
+                </select>
+              </div>
+              <FloorPlanEditor
+                hall={floorHall}
+                tables={floorPlan.tables.filter(table => floorHall && String(table.hall_id) === String(floorHall.hall_id))}
+                branchId={getBranchId()}
+                onSaved={() => {
+                  floorPlan.refresh();
+                  fetchTables();
+                }}
+              />
+            </div>
+          )
+        ) : loading ? (
           <div className="bg-white rounded-lg shadow p-8 text-center">
             <p className="text-gray-500">Loading tables...</p>
           </div>
@@ -545,6 +616,7 @@ export default function TableManagementPage() {
                 <option value="occupied">Occupied</option>
                 <option value="reserved">Reserved</option>
                 <option value="maintenance">Maintenance</option>
+                <option value="cleaning">Needs Cleaning</option>
               </select>
             </div>
 
@@ -0,0 +1,19 @@
+'use client';
+
+/**
+ * Wastage Page
+ * Voided and re-fired kitchen items for the branch, by reason and by dish
+ * Uses API: kitchen_item_void.php (wastage_report)
+ */
+
+import AdminLayout from '@/components/admin/AdminLayout';
+import WastageReport from '@/components/kitchen/WastageReport';
+import { getBranchId } from '@/utils/api';
+
+export default function WastagePage() {
+  return (
+    <AdminLayout>
+      <WastageReport branchId={getBranchId()} />
+    </AdminLayout>
+  );
+}
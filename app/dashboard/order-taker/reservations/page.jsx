@@ -0,0 +1,19 @@
+'use client';
+
+/**
+ * Reservations Page
+ * Table bookings and the walk-in waitlist for the branch
+ * Uses APIs: reservations_management.php, waitlist_management.php, customer_management.php
+ */
+
+import OrderTakerLayout from '@/components/order-taker/OrderTakerLayout';
+import ReservationsBoard from '@/components/reservations/ReservationsBoard';
+import { getBranchId } from '@/utils/api';
+
+export default function ReservationsPage() {
+  return (
+    <OrderTakerLayout>
+      <ReservationsBoard branchId={getBranchId()} createOrderPath="/dashboard/order-taker/create-order" />
+    </OrderTakerLayout>
+  );
+}
@@ -8,6 +8,7 @@
 import { useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import { getToken, getRole, apiGet, apiPost, apiDelete } from '@/utils/api';
+import permissions from '@/utils/permissions';
 import { Building2, PlusCircle, Edit, Trash2, Save, X } from 'lucide-react';
 import SuperAdminLayout from '@/components/super-admin/SuperAdminLayout';
 import Button from '@/components/ui/Button';
@@ -34,7 +35,7 @@ export default function BranchManagementPage() {
     const token = getToken();
     const role = getRole();
 
-    if (!token || role !== 'super_admin') {
+    if (!token || !permissions.can('branch.manage', role)) {
       router.push('/login');
       return;
     }
@@ -14,9 +14,10 @@ import Input from '@/components/ui/Input';
 import Modal from '@/components/ui/Modal';
 import Table from '@/components/ui/Table';
 import Alert from '@/components/ui/Alert';
+import LoyaltyLedgerModal from '@/components/loyalty/LoyaltyLedgerModal';
 import { apiPost, apiDelete, apiGet } from '@/utils/api';
 import { formatPKR } from '@/utils/format';
-import { Users, Plus, Edit, Trash2, Search, X, Phone, Mail, MapPin, Building2, FileText, Eye } from 'lucide-react';
+import { Users, Plus, Edit, Trash2, Search, X, Phone, Mail, MapPin, Building2, FileText, Eye, Award } from 'lucide-react';
 import { getBranchId } from '@/utils/api';
 
 export default function CustomerManagementPage() {
@@ -32,6 +33,7 @@ export default function CustomerManagementPage() {
   const [selectedCustomer, setSelectedCustomer] = useState(null);
   const [creditBills, setCreditBills] = useState([]);
   const [loadingCreditBills, setLoadingCreditBills] = useState(false);
+  const [ledgerCustomer, setLedgerCustomer] = useState(null);
   const [formData, setFormData] = useState({
     customer_name: '',
     phone: '',
@@ -573,6 +575,23 @@ export default function CustomerManagementPage() {
       accessor: 'branch_name',
       className: 'min-w-[150px]',
     },
+    {
+      header: 'Loyalty',
+      accessor: (row) => (
+        <div className="flex items-center gap-2">
+          <span className="font-semibold text-[#FF5F15]">{parseInt(row.loyalty_points || 0, 10)} pts</span>
+          <button
+            onClick={() => setLedgerCustomer(row)}
+            className="p-1 text-[#FF5F15] hover:bg-orange-50 rounded transition"
+            title="Loyalty Ledger"
+          >
+            <Award className="w-4 h-4" />
+          </button>
+        </div>
+      ),
+      className: 'w-32',
+      wrap: false,
+    },
     {
       header: 'Actions',
       accessor: (row) => (
@@ -875,6 +894,9 @@ export default function CustomerManagementPage() {
             </div>
           )}
         </Modal>
+
+        {/* Loyalty Ledger Modal */}
+        <LoyaltyLedgerModal customer={ledgerCustomer} onClose={() => setLedgerCustomer(null)} />
       </div>
     </SuperAdminLayout>
   );
@@ -14,6 +14,7 @@ import Modal from '@/components/ui/Modal';
 import Table from '@/components/ui/Table';
 import Alert from '@/components/ui/Alert';
 import { apiPost, apiGet, getTerminal, getBranchId, getBranchName as getStoredBranchName } from '@/utils/api';
+import { getDayend } from '@/utils/endpoints';
 import { formatPKR, formatDateTime } from '@/utils/format';
 import { Calendar, Printer, CheckCircle, Search, X, Eye } from 'lucide-react';
 
@@ -119,24 +120,9 @@ export default function DayEndPage() {
       if (dateFilter.start_date) params.start_date = dateFilter.start_date;
       if (dateFilter.end_date) params.end_date = dateFilter.end_date;
 
-      const result = await apiPost('api/get_dayend.php', params);
-
-      if (result.success && result.data) {
-        let dayendData = [];
-        
-        if (Array.isArray(result.data)) {
-          dayendData = result.data;
-        } else if (result.data.data && Array.isArray(result.data.data)) {
-          dayendData = result.data.data;
-        }
-
-        setDayends(dayendData);
-        setFilteredDayends(dayendData);
-      } else {
-        setAlert({ type: 'error', message: result.data?.message || 'Failed to load day-end records' });
-        setDayends([]);
-        setFilteredDayends([]);
-      }
+      const dayendData = await getDayend(params);
+      setDayends(dayendData);
+      setFilteredDayends(dayendData);
     } catch (error) {
       console.error('Error fetching day-ends:', error);
       setAlert({ type: 'error', message: 'Failed to load day-end records: ' + (error.message || 'Network error') });
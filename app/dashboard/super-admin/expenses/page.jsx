@@ -16,6 +16,7 @@ import Input from '@/components/ui/Input';
 import Modal from '@/components/ui/Modal';
 import Table from '@/components/ui/Table';
 import Alert from '@/components/ui/Alert';
+import { usePermissions } from '@/hooks/usePermissions';
 import { apiPost, apiDelete, apiGet, getTerminal } from '@/utils/api';
 import { formatPKR } from '@/utils/format';
 import { Receipt, Plus, Edit, Trash2, Search, X, DollarSign, Building2 } from 'lucide-react';
@@ -36,6 +37,7 @@ export default function ExpenseManagementPage() {
     branch_id: '',
   });
   const [alert, setAlert] = useState({ type: '', message: '' });
+  const { can } = usePermissions();
 
   useEffect(() => {
     fetchBranches();
@@ -474,24 +476,28 @@ export default function ExpenseManagementPage() {
    */
   const actions = (row) => (
     <div className="flex items-center justify-end gap-2">
-      <Button
-        variant="outline"
-        size="sm"
-        onClick={() => handleEdit(row)}
-        className="flex items-center gap-1"
-      >
-        <Edit className="w-4 h-4" />
-        <span className="hidden sm:inline">Edit</span>
-      </Button>
-      <Button
-        variant="danger"
-        size="sm"
-        onClick={() => handleDelete(row.id)}
-        className="flex items-center gap-1"
-      >
-        <Trash2 className="w-4 h-4" />
-        <span className="hidden sm:inline">Delete</span>
-      </Button>
+      {can('expense.create') && (
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => handleEdit(row)}
+          className="flex items-center gap-1"
+        >
+          <Edit className="w-4 h-4" />
+          <span className="hidden sm:inline">Edit</span>
+        </Button>
+      )}
+      {can('expense.delete') && (
+        <Button
+          variant="danger"
+          size="sm"
+          onClick={() => handleDelete(row.id)}
+          className="flex items-center gap-1"
+        >
+          <Trash2 className="w-4 h-4" />
+          <span className="hidden sm:inline">Delete</span>
+        </Button>
+      )}
     </div>
   );
 
@@ -506,17 +512,19 @@ export default function ExpenseManagementPage() {
               Manage expenses for all branches
             </p>
           </div>
-          <Button
-            onClick={() => {
-              setEditingExpense(null);
-              setFormData({ title: '', amount: '', description: '', branch_id: '' });
-              setModalOpen(true);
-            }}
-            className="flex items-center gap-2 w-full sm:w-auto"
-          >
-            <Plus className="w-4 h-4" />
-            <span>Add Expense</span>
-          </Button>
+          {can('expense.create') && (
+            <Button
+              onClick={() => {
+                setEditingExpense(null);
+                setFormData({ title: '', amount: '', description: '', branch_id: '' });
+                setModalOpen(true);
+              }}
+              className="flex items-center gap-2 w-full sm:w-auto"
+            >
+              <Plus className="w-4 h-4" />
+              <span>Add Expense</span>
+            </Button>
+          )}
         </div>
 
         {/* Alert Message */}
@@ -16,6 +16,7 @@ import Table from '@/components/ui/Table';
 import Alert from '@/components/ui/Alert';
 import { apiGet, apiPost, apiDelete, getTerminal } from '@/utils/api';
 import { Building2, Plus, Edit, Trash2, Search, X, RefreshCw } from 'lucide-react';
+import { listenForUpdates, UPDATE_EVENTS } from '@/utils/dashboardSync';
 
 export default function HallManagementPage() {
   const [halls, setHalls] = useState([]);
@@ -38,12 +39,8 @@ export default function HallManagementPage() {
     fetchBranches();
     fetchHalls();
     
-    // Auto-refresh halls every 15 seconds for real-time updates
-    const interval = setInterval(() => {
-      fetchHalls(true);
-    }, 15000);
-    
-    return () => clearInterval(interval);
+    // Refresh when any device changes a table or the floor plan; halls change too rarely to poll
+    return listenForUpdates(() => fetchHalls(true), UPDATE_EVENTS.TABLE_UPDATED);
   }, []);
 
   useEffect(() => {
@@ -0,0 +1,207 @@
+'use client';
+
+/**
+ * Super Admin - Loyalty Rules Page
+ * How customers earn points per PKR paid and stamps on chosen dishes, and how much of a bill
+ * points and full stamp cards may pay. The rules are the same for every branch.
+ */
+
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { getToken, getRole, getTerminal } from '@/utils/api';
+import permissions from '@/utils/permissions';
+import { loyaltyRules, getProducts } from '@/utils/endpoints';
+import { useLoyaltyRules } from '@/hooks/useLoyaltyRules';
+import { normalizeLoyaltyRules } from '@/utils/loyalty';
+import { formatPKR } from '@/utils/format';
+import { Award, Save, Stamp } from 'lucide-react';
+import SuperAdminLayout from '@/components/super-admin/SuperAdminLayout';
+import Button from '@/components/ui/Button';
+import Alert from '@/components/ui/Alert';
+
+const inputClassName = 'block w-full px-3 py-2 border border-[#E0E0E0] rounded-lg text-sm text-gray-900 bg-white focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition';
+
+export default function LoyaltyRulesPage() {
+  const router = useRouter();
+  const { rules, loading, error, refresh } = useLoyaltyRules();
+
+  useEffect(() => {
+    if (!getToken() || !permissions.can('loyalty.manage', getRole())) {
+      router.push('/login');
+    }
+  }, [router]);
+
+  return (
+    <SuperAdminLayout>
+      <div className="p-4 sm:p-6 lg:p-8 space-y-6">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Loyalty</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            Points and stamps are earned when a bill is paid for a customer, and redeemed as a discount in the Pay Bill modal.
+          </p>
+        </div>
+
+        {error && <Alert type="error" message={error} />}
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading loyalty rules...</p>
+        ) : (
+          <LoyaltyRulesForm rules={rules} onSaved={refresh} />
+        )}
+      </div>
+    </SuperAdminLayout>
+  );
+}
+
+function LoyaltyRulesForm({ rules, onSaved }) {
+  const [form, setForm] = useState(rules);
+  const [dishes, setDishes] = useState([]);
+  const [dishSearch, setDishSearch] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [alert, setAlert] = useState({ type: '', message: '' });
+
+  useEffect(() => {
+    getProducts({ terminal: getTerminal() })
+      .then(setDishes)
+      .catch(loadError => setAlert({ type: 'error', message: loadError.message || 'Failed to load dishes' }));
+  }, []);
+
+  const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const toggleStampDish = (dishId) => setForm(prev => ({
+    ...prev,
+    stamp_dish_ids: prev.stamp_dish_ids.includes(dishId)
+      ? prev.stamp_dish_ids.filter(id => id !== dishId)
+      : [...prev.stamp_dish_ids, dishId],
+  }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const next = normalizeLoyaltyRules(form);
+    if (next.stamps_enabled && next.stamp_dish_ids.length === 0) {
+      setAlert({ type: 'error', message: 'Pick at least one dish that earns stamps.' });
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await loyaltyRules.save(next);
+      setForm(next);
+      setAlert({ type: 'success', message: 'Loyalty rules saved.' });
+      onSaved();
+    } catch (saveError) {
+      setAlert({ type: 'error', message: saveError.message || 'Failed to save loyalty rules' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const matchingDishes = dishes.filter(dish => dish.name.toLowerCase().includes(dishSearch.trim().toLowerCase()));
+  const pointValue = parseFloat(form.point_value) || 0;
+  const spendPerPoint = parseFloat(form.spend_per_point) || 0;
+
+  return (
+    <form onSubmit={handleSave} className="space-y-6">
+      {alert.message && (
+        <Alert type={alert.type} message={alert.message} onClose={() => setAlert({ type: '', message: '' })} />
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="bg-white rounded-lg shadow p-4 space-y-4">
+          <label className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+            <input
+              type="checkbox"
+              checked={form.points_enabled}
+              onChange={(e) => setField('points_enabled', e.target.checked)}
+              className="accent-[#FF5F15]"
+            />
+            <Award className="w-5 h-5 text-[#FF5F15]" />
+            Points
+          </label>
+          <div className="grid grid-cols-2 gap-3 text-sm text-gray-700">
+            <label className="space-y-1">
+              <span>PKR paid per point</span>
+              <input type="number" min="1" step="1" value={form.spend_per_point} onChange={(e) => setField('spend_per_point', e.target.value)} className={inputClassName} />
+            </label>
+            <label className="space-y-1">
+              <span>PKR off per point redeemed</span>
+              <input type="number" min="0" step="0.01" value={form.point_value} onChange={(e) => setField('point_value', e.target.value)} className={inputClassName} />
+            </label>
+            <label className="space-y-1">
+              <span>Points needed before redeeming</span>
+              <input type="number" min="0" step="1" value={form.min_redeem_points} onChange={(e) => setField('min_redeem_points', e.target.value)} className={inputClassName} />
+            </label>
+            <label className="space-y-1">
+              <span>Most of a bill points can pay (%)</span>
+              <input type="number" min="0" max="100" step="1" value={form.max_redeem_percent} onChange={(e) => setField('max_redeem_percent', e.target.value)} className={inputClassName} />
+            </label>
+          </div>
+          {spendPerPoint > 0 && pointValue > 0 && (
+            <p className="text-xs text-gray-500">
+              A {formatPKR(spendPerPoint * 100)} bill earns 100 points, worth {formatPKR(pointValue * 100)} off a later bill.
+            </p>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-4 space-y-4">
+          <label className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+            <input
+              type="checkbox"
+              checked={form.stamps_enabled}
+              onChange={(e) => setField('stamps_enabled', e.target.checked)}
+              className="accent-[#FF5F15]"
+            />
+            <Stamp className="w-5 h-5 text-[#FF5F15]" />
+            Stamp Card
+          </label>
+          <div className="grid grid-cols-2 gap-3 text-sm text-gray-700">
+            <label className="space-y-1">
+              <span>Stamps per card</span>
+              <input type="number" min="1" step="1" value={form.stamps_per_card} onChange={(e) => setField('stamps_per_card', e.target.value)} className={inputClassName} />
+            </label>
+            <label className="space-y-1">
+              <span>PKR off per full card</span>
+              <input type="number" min="0" step="0.01" value={form.card_reward_value} onChange={(e) => setField('card_reward_value', e.target.value)} className={inputClassName} />
+            </label>
+          </div>
+          <div className="space-y-2">
+            <p className="text-sm text-gray-700">
+              Dishes that earn a stamp per unit ({form.stamp_dish_ids.length} selected)
+            </p>
+            <input
+              type="text"
+              value={dishSearch}
+              onChange={(e) => setDishSearch(e.target.value)}
+              placeholder="Search dishes"
+              className={inputClassName}
+            />
+            <div className="max-h-60 overflow-y-auto divide-y divide-gray-100 rounded-lg border border-gray-200">
+              {matchingDishes.length === 0 && <p className="px-3 py-2 text-sm text-gray-500">No dishes found.</p>}
+              {matchingDishes.map(dish => {
+                const dishId = Number(dish.dish_id);
+                return (
+                  <label key={dishId} className="flex items-center gap-2 px-3 py-2 text-sm text-gray-900 cursor-pointer hover:bg-gray-50">
+                    <input
+                      type="checkbox"
+                      checked={form.stamp_dish_ids.includes(dishId)}
+                      onChange={() => toggleStampDish(dishId)}
+                      className="accent-[#FF5F15]"
+                    />
+                    {dish.name}
+                  </label>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="flex justify-end">
+        <Button type="submit" disabled={saving}>
+          <Save className="w-4 h-4 mr-2" />
+          {saving ? 'Saving...' : 'Save Rules'}
+        </Button>
+      </div>
+    </form>
+  );
+}
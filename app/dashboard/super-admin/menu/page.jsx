@@ -13,8 +13,11 @@ import Input from '@/components/ui/Input';
 import Modal from '@/components/ui/Modal';
 import Table from '@/components/ui/Table';
 import Alert from '@/components/ui/Alert';
+import ModifierGroupsEditor from '@/components/menu/ModifierGroupsEditor';
+import CombosManager from '@/components/menu/CombosManager';
 import { apiGet, apiPost, apiDelete, getTerminal } from '@/utils/api';
 import { formatPKR } from '@/utils/format';
+import { getDishModifierGroups, toModifierGroupsPayload } from '@/utils/modifiers';
 
 export default function MenuManagementPage() {
   const [menuItems, setMenuItems] = useState([]);
@@ -33,6 +36,7 @@ export default function MenuManagementPage() {
     kitchen_id: '',
     discount: 0,
     branch_id: '', // For super-admin to select branch
+    modifier_groups: [],
   });
   const [alert, setAlert] = useState({ type: '', message: '' });
 
@@ -283,6 +287,7 @@ export default function MenuManagementPage() {
         branch_id: branchId, // Include branch_id for super-admin
         discount: formData.discount || 0,
         kitchen_id: formData.kitchen_id || '',
+        modifier_groups: toModifierGroupsPayload(formData.modifier_groups),
       };
       
       console.log('Saving menu item with data:', data);
@@ -300,6 +305,7 @@ export default function MenuManagementPage() {
           kitchen_id: '',
           discount: 0,
           branch_id: '',
+          modifier_groups: [],
         });
         setEditingItem(null);
         setModalOpen(false);
@@ -326,6 +332,7 @@ export default function MenuManagementPage() {
       kitchen_id: item.kitchen_id || '',
       discount: item.discount || 0,
       branch_id: item.branch_id || '',
+      modifier_groups: getDishModifierGroups(item),
     });
     setModalOpen(true);
   };
@@ -466,6 +473,7 @@ export default function MenuManagementPage() {
                 kitchen_id: '',
                 discount: 0,
                 branch_id: '',
+                modifier_groups: [],
               });
               setModalOpen(true);
             }}
@@ -520,6 +528,9 @@ export default function MenuManagementPage() {
           />
         )}
 
+        {/* Combos & Deals */}
+        <CombosManager dishes={menuItems} branchId={selectedBranchFilter} branches={branches} />
+
         {/* Add/Edit Modal */}
         <Modal
           isOpen={modalOpen}
@@ -535,6 +546,7 @@ export default function MenuManagementPage() {
               kitchen_id: '',
               discount: 0,
               branch_id: '',
+              modifier_groups: [],
             });
           }}
           title={editingItem ? 'Edit Menu Item' : 'Add New Menu Item'}
@@ -631,6 +643,11 @@ export default function MenuManagementPage() {
               placeholder="0"
             />
 
+            <ModifierGroupsEditor
+              groups={formData.modifier_groups}
+              onChange={(groups) => setFormData({ ...formData, modifier_groups: groups })}
+            />
+
             <div className="mb-4">
               <label className="block text-sm font-medium text-gray-700 mb-1.5">
                 Status
@@ -662,6 +679,7 @@ export default function MenuManagementPage() {
                     kitchen_id: '',
                     discount: 0,
                     branch_id: '',
+                    modifier_groups: [],
                   });
                 }}
               >
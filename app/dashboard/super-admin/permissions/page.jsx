@@ -0,0 +1,174 @@
+'use client';
+
+/**
+ * Super Admin - Role Permissions Page
+ * Edit which capabilities each role template grants (see utils/permissions.js)
+ * Changes apply to navigation and page buttons the next time each device reloads the templates
+ */
+
+import { useEffect, useState } from 'react';
+import { ShieldCheck, Save, RotateCcw } from 'lucide-react';
+import SuperAdminLayout from '@/components/super-admin/SuperAdminLayout';
+import Button from '@/components/ui/Button';
+import Alert from '@/components/ui/Alert';
+import { rolePermissions, ApiError } from '@/utils/endpoints';
+import permissions, {
+  CAPABILITY_GROUPS,
+  PERMISSION_ROLES,
+  DEFAULT_ROLE_CAPABILITIES,
+  sanitizeCapabilities,
+  isLockedCapability,
+} from '@/utils/permissions';
+
+const sameCapabilities = (a, b) => a.length === b.length && a.every(key => b.includes(key));
+
+export default function PermissionsPage() {
+  const [savedTemplates, setSavedTemplates] = useState({});
+  const [draft, setDraft] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [alert, setAlert] = useState({ type: '', message: '' });
+
+  useEffect(() => {
+    // Start from the backend copy rather than whatever this device cached
+    permissions.refresh({ force: true }).finally(() => {
+      const templates = permissions.getTemplates();
+      setSavedTemplates(templates);
+      setDraft(templates);
+      setLoading(false);
+    });
+  }, []);
+
+  const dirtyRoles = PERMISSION_ROLES
+    .map(({ value }) => value)
+    .filter(role => !sameCapabilities(draft[role] || [], savedTemplates[role] || []));
+
+  const toggleCapability = (role, capability) => {
+    if (isLockedCapability(role, capability)) return;
+    setDraft(prev => {
+      const current = prev[role] || [];
+      const next = current.includes(capability)
+        ? current.filter(key => key !== capability)
+        : [...current, capability];
+      return { ...prev, [role]: sanitizeCapabilities(role, next) };
+    });
+  };
+
+  const resetRole = (role) => {
+    setDraft(prev => ({ ...prev, [role]: sanitizeCapabilities(role, DEFAULT_ROLE_CAPABILITIES[role]) }));
+  };
+
+  const handleSave = async () => {
+    if (dirtyRoles.length === 0) return;
+
+    setSaving(true);
+    setAlert({ type: '', message: '' });
+    const saved = { ...savedTemplates };
+    try {
+      for (const role of dirtyRoles) {
+        await rolePermissions.save(role, draft[role]);
+        saved[role] = draft[role];
+      }
+      setAlert({ type: 'success', message: 'Role permissions saved.' });
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      setAlert({ type: 'error', message: `Failed to save permissions: ${error.message}` });
+    } finally {
+      // Keep whatever reached the backend, even if a later role failed
+      permissions.setTemplates(saved);
+      setSavedTemplates(permissions.getTemplates());
+      setSaving(false);
+    }
+  };
+
+  return (
+    <SuperAdminLayout>
+      <div className="space-y-4 sm:space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-xl sm:text-2xl font-bold text-gray-900 flex items-center gap-2">
+              <ShieldCheck className="w-6 h-6 text-[#FF5F15]" />
+              Role Permissions
+            </h1>
+            <p className="text-sm sm:text-base text-gray-600 mt-1">
+              Choose what each role can see and do. Menu items and buttons follow these templates.
+            </p>
+          </div>
+          <Button
+            onClick={handleSave}
+            disabled={saving || loading || dirtyRoles.length === 0}
+            className="flex items-center gap-2 w-full sm:w-auto"
+          >
+            <Save className="w-4 h-4" />
+            {saving ? 'Saving...' : `Save changes${dirtyRoles.length > 0 ? ` (${dirtyRoles.length})` : ''}`}
+          </Button>
+        </div>
+
+        {alert.message && (
+          <Alert type={alert.type} message={alert.message} onClose={() => setAlert({ type: '', message: '' })} />
+        )}
+
+        <div className="bg-white rounded-xl border border-gray-200 shadow-sm overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left font-semibold text-gray-700">Capability</th>
+                {PERMISSION_ROLES.map(({ value, label }) => (
+                  <th key={value} className="px-4 py-3 text-center font-semibold text-gray-700 whitespace-nowrap">
+                    <div>{label}</div>
+                    <button
+                      type="button"
+                      onClick={() => resetRole(value)}
+                      disabled={saving || loading}
+                      className="mt-1 inline-flex items-center gap-1 text-xs font-normal text-gray-500 hover:text-[#FF5F15] disabled:opacity-50"
+                      title={`Reset ${label} to the built-in template`}
+                    >
+                      <RotateCcw className="w-3 h-3" />
+                      Defaults
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {CAPABILITY_GROUPS.map(group => [
+                <tr key={group.label} className="bg-gray-50/60">
+                  <td colSpan={PERMISSION_ROLES.length + 1} className="px-4 py-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+                    {group.label}
+                  </td>
+                </tr>,
+                ...group.capabilities.map(capability => (
+                  <tr key={capability.key} className="border-t border-gray-100">
+                    <td className="px-4 py-2.5">
+                      <div className="font-medium text-gray-900">{capability.label}</div>
+                      <div className="text-xs text-gray-400 font-mono">{capability.key}</div>
+                    </td>
+                    {PERMISSION_ROLES.map(({ value }) => {
+                      const locked = isLockedCapability(value, capability.key);
+                      return (
+                        <td key={value} className="px-4 py-2.5 text-center">
+                          <input
+                            type="checkbox"
+                            checked={(draft[value] || []).includes(capability.key)}
+                            onChange={() => toggleCapability(value, capability.key)}
+                            disabled={saving || loading || locked}
+                            title={locked ? 'Required so a super admin can always edit permissions' : undefined}
+                            className="w-4 h-4 accent-[#FF5F15] cursor-pointer disabled:cursor-not-allowed"
+                          />
+                        </td>
+                      );
+                    })}
+                  </tr>
+                )),
+              ])}
+            </tbody>
+          </table>
+        </div>
+
+        <p className="text-xs text-gray-500">
+          The backend must enforce the same templates - hiding a button only changes what staff see.
+        </p>
+      </div>
+    </SuperAdminLayout>
+  );
+}
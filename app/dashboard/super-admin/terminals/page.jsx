@@ -0,0 +1,421 @@
+'use client';
+
+/**
+ * Super Admin - Terminal Management Page
+ * Register named devices per branch (counter, waiter tablet, kitchen screen),
+ * issue pairing codes and see order/sales counts per terminal
+ */
+
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { getToken, getRole, apiGet } from '@/utils/api';
+import permissions from '@/utils/permissions';
+import { terminalsManagement, ApiError } from '@/utils/endpoints';
+import { TERMINAL_TYPES, getTerminalTypeLabel } from '@/utils/terminal';
+import { formatPKR } from '@/utils/format';
+import { MonitorSmartphone, PlusCircle, Edit, Trash2, Save, X, KeyRound } from 'lucide-react';
+import SuperAdminLayout from '@/components/super-admin/SuperAdminLayout';
+import Button from '@/components/ui/Button';
+import Alert from '@/components/ui/Alert';
+import Modal from '@/components/ui/Modal';
+
+const EMPTY_FORM = {
+  terminal_name: '',
+  terminal_type: 'counter',
+  branch_id: '',
+  status: 'Active',
+};
+
+export default function TerminalManagementPage() {
+  const router = useRouter();
+  const [terminals, setTerminals] = useState([]);
+  const [branches, setBranches] = useState([]);
+  const [branchFilter, setBranchFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [alert, setAlert] = useState({ type: '', message: '' });
+  const [modalOpen, setModalOpen] = useState(false);
+  const [editingTerminal, setEditingTerminal] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [pairingInfo, setPairingInfo] = useState(null);
+
+  useEffect(() => {
+    const token = getToken();
+    const role = getRole();
+
+    if (!token || !permissions.can('terminal.manage', role)) {
+      router.push('/login');
+      return;
+    }
+
+    fetchBranches();
+    fetchTerminals('');
+  }, [router]);
+
+  /**
+   * Fetch branches for the filter and the form
+   */
+  const fetchBranches = async () => {
+    try {
+      const result = await apiGet('/branch_management.php');
+      if (result.success && result.data) {
+        const data = Array.isArray(result.data) ? result.data : (result.data.data || []);
+        setBranches(data);
+      }
+    } catch (error) {
+      console.error('Error fetching branches:', error);
+    }
+  };
+
+  /**
+   * Fetch terminals, optionally for one branch
+   */
+  const fetchTerminals = async (branchId) => {
+    setLoading(true);
+    try {
+      const data = await terminalsManagement.list(branchId ? { branch_id: branchId } : {});
+      setTerminals(data);
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      console.error('Error fetching terminals:', error);
+      setAlert({ type: 'error', message: `Failed to load terminals: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBranchFilterChange = (branchId) => {
+    setBranchFilter(branchId);
+    fetchTerminals(branchId);
+  };
+
+  const getBranchName = (branchId) => {
+    const branch = branches.find(b => String(b.branch_id) === String(branchId));
+    return branch ? branch.branch_name : branchId ? `Branch ${branchId}` : '-';
+  };
+
+  /**
+   * Open modal for registering a new terminal
+   */
+  const handleCreate = () => {
+    setEditingTerminal(null);
+    setFormData({ ...EMPTY_FORM, branch_id: branchFilter });
+    setModalOpen(true);
+  };
+
+  /**
+   * Open modal for editing a terminal
+   */
+  const handleEdit = (terminal) => {
+    setEditingTerminal(terminal);
+    setFormData({
+      terminal_name: terminal.terminal_name || '',
+      terminal_type: terminal.terminal_type || 'counter',
+      branch_id: terminal.branch_id ? String(terminal.branch_id) : '',
+      status: terminal.status || 'Active',
+    });
+    setModalOpen(true);
+  };
+
+  /**
+   * Handle form submission
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.terminal_name.trim() || !formData.branch_id) {
+      setAlert({ type: 'error', message: 'Terminal name and branch are required' });
+      return;
+    }
+
+    try {
+      await terminalsManagement.save({
+        ...formData,
+        terminal_name: formData.terminal_name.trim(),
+        branch_id: parseInt(formData.branch_id, 10),
+        terminal_id: editingTerminal?.terminal_id || undefined,
+      });
+      setAlert({ type: 'success', message: editingTerminal ? 'Terminal updated successfully' : 'Terminal registered successfully' });
+      setModalOpen(false);
+      fetchTerminals(branchFilter);
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      setAlert({ type: 'error', message: error.message || 'Failed to save terminal' });
+    }
+  };
+
+  /**
+   * Handle terminal deletion
+   */
+  const handleDelete = async (terminal) => {
+    if (!confirm(`Delete terminal "${terminal.terminal_name}"? Its paired device will be unpaired.`)) {
+      return;
+    }
+
+    try {
+      await terminalsManagement.remove(terminal.terminal_id);
+      setAlert({ type: 'success', message: 'Terminal deleted successfully' });
+      fetchTerminals(branchFilter);
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      setAlert({ type: 'error', message: error.message || 'Failed to delete terminal' });
+    }
+  };
+
+  /**
+   * Issue a pairing code; entering it on a device binds that browser to the terminal
+   */
+  const handleGeneratePairingCode = async (terminal) => {
+    if (terminal.device_id && !confirm(`"${terminal.terminal_name}" is already paired. A new code will unpair the current device once used. Continue?`)) {
+      return;
+    }
+
+    try {
+      const code = await terminalsManagement.generatePairingCode(terminal.terminal_id);
+      setPairingInfo({ terminal, ...code });
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      setAlert({ type: 'error', message: error.message || 'Failed to generate pairing code' });
+    }
+  };
+
+  return (
+    <SuperAdminLayout>
+      <div className="space-y-6">
+        {/* Page Header */}
+        <div className="bg-white rounded-lg shadow p-6 flex flex-col sm:flex-row sm:justify-between sm:items-center gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Terminal Management</h1>
+            <p className="text-gray-600">Register counters, waiter tablets and kitchen screens, and pair them with devices</p>
+          </div>
+          <div className="flex items-center gap-3">
+            <select
+              value={branchFilter}
+              onChange={(e) => handleBranchFilterChange(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15]"
+            >
+              <option value="">All branches</option>
+              {branches.map((branch) => (
+                <option key={branch.branch_id} value={branch.branch_id}>{branch.branch_name}</option>
+              ))}
+            </select>
+            <Button onClick={handleCreate} className="flex items-center gap-2">
+              <PlusCircle className="w-4 h-4" />
+              Add Terminal
+            </Button>
+          </div>
+        </div>
+
+        {alert.message && (
+          <Alert type={alert.type} message={alert.message} onClose={() => setAlert({ type: '', message: '' })} />
+        )}
+
+        {/* Terminals List */}
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Terminal</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Branch</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Device</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Orders Today</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Sales Today</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {loading ? (
+                  <tr>
+                    <td colSpan="8" className="px-6 py-8 text-center text-gray-500">
+                      <div className="inline-block animate-spin rounded-full h-6 w-6 border-b-2 border-[#FF5F15]"></div>
+                    </td>
+                  </tr>
+                ) : terminals.length === 0 ? (
+                  <tr>
+                    <td colSpan="8" className="px-6 py-8 text-center text-gray-500">
+                      No terminals registered yet. Click Add Terminal to register one.
+                    </td>
+                  </tr>
+                ) : (
+                  terminals.map((terminal) => (
+                    <tr key={terminal.terminal_id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        <div className="flex items-center gap-2">
+                          <MonitorSmartphone className="w-4 h-4 text-gray-400" />
+                          {terminal.terminal_name}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {getTerminalTypeLabel(terminal.terminal_type)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {terminal.branch_name || getBranchName(terminal.branch_id)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {terminal.device_id ? (
+                          <div>
+                            <span className="font-mono text-xs" title={terminal.device_id}>
+                              {String(terminal.device_id).slice(0, 8)}
+                            </span>
+                            {terminal.last_seen_at && (
+                              <div className="text-xs text-gray-400">Seen {terminal.last_seen_at}</div>
+                            )}
+                          </div>
+                        ) : (
+                          <span className="text-gray-400">Not paired</span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 text-right tabular-nums">
+                        {terminal.orders_today ?? 0}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 text-right tabular-nums">
+                        {formatPKR(terminal.sales_today || 0)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 py-1 text-xs font-semibold rounded-full ${
+                          terminal.status === 'Inactive'
+                            ? 'bg-red-100 text-red-800'
+                            : 'bg-green-100 text-green-800'
+                        }`}>
+                          {terminal.status || 'Active'}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-center">
+                        <div className="flex items-center justify-center gap-2">
+                          <button
+                            onClick={() => handleGeneratePairingCode(terminal)}
+                            className="text-[#FF5F15] hover:text-[#d94a0f]"
+                            title="Generate pairing code"
+                          >
+                            <KeyRound className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handleEdit(terminal)}
+                            className="text-blue-600 hover:text-blue-800"
+                            title="Edit"
+                          >
+                            <Edit className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handleDelete(terminal)}
+                            className="text-red-600 hover:text-red-800"
+                            title="Delete"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Create/Edit Modal */}
+        <Modal
+          isOpen={modalOpen}
+          onClose={() => setModalOpen(false)}
+          title={editingTerminal ? 'Edit Terminal' : 'Register Terminal'}
+        >
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Terminal Name *</label>
+              <input
+                type="text"
+                value={formData.terminal_name}
+                onChange={(e) => setFormData({ ...formData, terminal_name: e.target.value })}
+                placeholder="e.g., Front Counter"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15]"
+                required
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Type *</label>
+              <select
+                value={formData.terminal_type}
+                onChange={(e) => setFormData({ ...formData, terminal_type: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15]"
+              >
+                {TERMINAL_TYPES.map((type) => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Branch *</label>
+              <select
+                value={formData.branch_id}
+                onChange={(e) => setFormData({ ...formData, branch_id: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15]"
+                required
+              >
+                <option value="">Select branch</option>
+                {branches.map((branch) => (
+                  <option key={branch.branch_id} value={branch.branch_id}>{branch.branch_name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+              <select
+                value={formData.status}
+                onChange={(e) => setFormData({ ...formData, status: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15]"
+              >
+                <option value="Active">Active</option>
+                <option value="Inactive">Inactive</option>
+              </select>
+            </div>
+
+            <div className="flex justify-end gap-3 pt-4">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => setModalOpen(false)}
+                className="flex items-center gap-2"
+              >
+                <X className="w-4 h-4" />
+                Cancel
+              </Button>
+              <Button type="submit" className="flex items-center gap-2">
+                <Save className="w-4 h-4" />
+                {editingTerminal ? 'Update' : 'Register'}
+              </Button>
+            </div>
+          </form>
+        </Modal>
+
+        {/* Pairing Code Modal */}
+        <Modal
+          isOpen={!!pairingInfo}
+          onClose={() => setPairingInfo(null)}
+          title="Pairing Code"
+          size="sm"
+        >
+          {pairingInfo && (
+            <div className="text-center space-y-4">
+              <p className="text-sm text-gray-600">
+                On the device for <span className="font-semibold">{pairingInfo.terminal.terminal_name}</span>,
+                sign in, click Pair device in the header and enter:
+              </p>
+              <div className="text-4xl font-mono font-bold tracking-[0.3em] text-gray-900 bg-gray-50 border border-gray-200 rounded-lg py-4">
+                {pairingInfo.pairing_code}
+              </div>
+              {pairingInfo.expires_at && (
+                <p className="text-xs text-gray-500">Valid until {pairingInfo.expires_at}</p>
+              )}
+              <Button onClick={() => setPairingInfo(null)} className="w-full">Done</Button>
+            </div>
+          )}
+        </Modal>
+      </div>
+    </SuperAdminLayout>
+  );
+}
@@ -0,0 +1,40 @@
+'use client';
+
+/**
+ * Super Admin - Wastage Page
+ * Voided and re-fired kitchen items across all branches or one of them, by reason and by dish
+ * Uses APIs: kitchen_item_void.php (wastage_report), branch_management.php
+ */
+
+import { useEffect, useState } from 'react';
+import SuperAdminLayout from '@/components/super-admin/SuperAdminLayout';
+import WastageReport from '@/components/kitchen/WastageReport';
+import { apiGet } from '@/utils/api';
+
+export default function SuperAdminWastagePage() {
+  const [branches, setBranches] = useState([]);
+
+  useEffect(() => {
+    const fetchBranches = async () => {
+      try {
+        const result = await apiGet('/branch_management.php');
+        if (result.success && result.data) {
+          const data = Array.isArray(result.data) ? result.data : (result.data.data || []);
+          setBranches(data.map(branch => ({
+            branch_id: branch.branch_id || branch.id,
+            branch_name: branch.branch_name || branch.name || `Branch ${branch.branch_id || branch.id}`,
+          })));
+        }
+      } catch (error) {
+        console.error('Error fetching branches:', error);
+      }
+    };
+    fetchBranches();
+  }, []);
+
+  return (
+    <SuperAdminLayout>
+      <WastageReport branches={branches} />
+    </SuperAdminLayout>
+  );
+}
@@ -0,0 +1,54 @@
+/**
+ * 403 Forbidden Page
+ * Shown by middleware.js when a signed-in user opens a dashboard route outside their role
+ */
+
+import Link from 'next/link';
+import { ShieldX } from 'lucide-react';
+
+export const metadata = {
+  title: '403 - Access Denied',
+};
+
+export default async function ForbiddenPage({ searchParams }) {
+  const { from } = await searchParams;
+  const attemptedPath = typeof from === 'string' ? from : null;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
+      <div className="w-full max-w-md bg-white rounded-xl shadow-2xl border border-[#E0E0E0] overflow-hidden text-center">
+        <div className="bg-[#FF5F15] px-6 py-6">
+          <div className="mx-auto w-16 h-16 bg-white rounded-full flex items-center justify-center mb-3 shadow-lg">
+            <ShieldX className="w-9 h-9 text-[#FF5F15]" aria-hidden />
+          </div>
+          <p className="text-white/90 text-sm font-semibold tracking-widest">ERROR 403</p>
+          <h1 className="text-2xl font-bold text-white">Access Denied</h1>
+        </div>
+        <div className="px-6 py-6 space-y-4">
+          <p className="text-gray-700">
+            Your account does not have permission to open this page.
+          </p>
+          {attemptedPath && (
+            <p className="text-xs text-gray-500 font-mono break-all bg-gray-50 border border-gray-200 rounded-lg px-3 py-2">
+              {attemptedPath}
+            </p>
+          )}
+          <div className="flex flex-col sm:flex-row gap-2 justify-center">
+            <Link
+              href="/dashboard"
+              className="px-4 py-2 text-sm font-medium text-white bg-[#FF5F15] rounded-lg hover:bg-[#FF4A00] transition-colors"
+            >
+              Go to my dashboard
+            </Link>
+            <Link
+              href="/login"
+              className="px-4 py-2 text-sm font-medium text-gray-800 bg-gray-200 rounded-lg hover:bg-gray-300 transition-colors"
+            >
+              Sign in as another user
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -9,7 +9,8 @@
 
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
-import { login, saveAuth, getToken, getRole, apiPost } from '@/utils/api';
+import { login, saveAuth, clearAuth, ensureServerSession, getToken, getRole, apiPost } from '@/utils/api';
+import pinLock from '@/utils/pinLock';
 
 export default function LoginPage() {
   const router = useRouter();
@@ -29,11 +30,19 @@ export default function LoginPage() {
     
     // Only redirect if we have both token and role
     if (token && role) {
-      // User is already logged in, redirect to dashboard
-      const redirectPath = new URLSearchParams(window.location.search).get('redirect') || '/dashboard';
-      // Use router.push for client-side navigation
-      console.log('User already logged in, redirecting to:', redirectPath);
-      router.push(redirectPath);
+      // User is already logged in - make sure the server session cookie exists too,
+      // otherwise middleware would bounce the redirect straight back to this page
+      ensureServerSession().then((session) => {
+        if (!session.success) {
+          console.log('Stored login could not be verified, staying on login page:', session.message);
+          clearAuth();
+          return;
+        }
+        const redirectPath = new URLSearchParams(window.location.search).get('redirect') || '/dashboard';
+        // Use router.push for client-side navigation
+        console.log('User already logged in, redirecting to:', redirectPath);
+        router.push(redirectPath);
+      });
     }
   }, [router]);
 
@@ -350,7 +359,8 @@ export default function LoginPage() {
           fullname: fullname,
           username: userUsername
         });
-        saveAuth(token, validRole, branchId, fullname, userUsername, branchName);
+        const userId = userData.id || userData.user_id || apiResponse.user_id || apiResponse.data?.user_id || null;
+        const session = await saveAuth(token, validRole, branchId, fullname, userUsername, branchName, userId);
         
         // Verify what was saved
         const savedToken = typeof window !== 'undefined' ? localStorage.getItem('token') : null;
@@ -378,6 +388,18 @@ export default function LoginPage() {
           setLoading(false);
           return;
         }
+
+        // Dashboard routes are guarded server-side by the session cookie - without it middleware sends us back here
+        if (!session.success) {
+          console.error('Server session could not be established:', session);
+          clearAuth();
+          setError(`Login failed: ${session.message || 'Could not verify your session with the server.'}`);
+          setLoading(false);
+          return;
+        }
+        
+        // Offer this user as a tile on the terminal's PIN lock screen
+        pinLock.rememberUser({ username: userUsername, fullname, role: validRole });
         
         // Small delay to ensure localStorage is saved, then redirect
         setTimeout(() => {
@@ -16,24 +16,36 @@ import {
   LogOut,
   Receipt,
   CheckCircle,
+  CalendarClock,
+  Bike,
 } from 'lucide-react';
 import { getToken, getRole, getFullname, getUsername, clearAuth } from '@/utils/api';
+import permissions from '@/utils/permissions';
+import { usePermissions } from '@/hooks/usePermissions';
 import DashboardShell from '@/components/dashboard/DashboardShell';
+import LockButton from '@/components/ui/LockButton';
+import LockScreen from '@/components/ui/LockScreen';
+import PendingSyncBadge from '@/components/ui/PendingSyncBadge';
+import ReauthModal from '@/components/ui/ReauthModal';
+import TerminalBadge from '@/components/ui/TerminalBadge';
 
 /**
  * Sidebar Menu Items with Lucide icons for Accountant
  */
 const menuItems = [
   { icon: LayoutDashboard, label: 'Dashboard', path: '/dashboard/accountant' },
-  { icon: PlusCircle, label: 'Create Order', path: '/dashboard/accountant/create-order' },
-  { icon: FileText, label: 'Order Management', path: '/dashboard/accountant/orders' },
-  { icon: Receipt, label: 'Expense Management', path: '/dashboard/accountant/expenses' },
-  { icon: CheckCircle, label: 'Day End', path: '/dashboard/accountant/dayend' },
+  { icon: PlusCircle, label: 'Create Order', path: '/dashboard/accountant/create-order', capability: 'order.create' },
+  { icon: FileText, label: 'Order Management', path: '/dashboard/accountant/orders', capability: 'order.view' },
+  { icon: CalendarClock, label: 'Reservations', path: '/dashboard/accountant/reservations', capability: 'reservation.manage' },
+  { icon: Bike, label: 'Deliveries', path: '/dashboard/accountant/deliveries', capability: 'delivery.manage' },
+  { icon: Receipt, label: 'Expense Management', path: '/dashboard/accountant/expenses', capability: 'expense.view' },
+  { icon: CheckCircle, label: 'Day End', path: '/dashboard/accountant/dayend', capability: 'dayend.manage' },
 ];
 
 export default function AccountantLayout({ children }) {
   const router = useRouter();
   const pathname = usePathname();
+  const { can, ready } = usePermissions();
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
 
@@ -69,6 +81,17 @@ export default function AccountantLayout({ children }) {
     }
   }, [router]);
 
+  useEffect(() => {
+    // Pages left out of this role's navigation can't be opened by URL either
+    if (!ready) return;
+    const capability = permissions.getRequiredCapability(menuItems, pathname);
+    if (capability && !can(capability)) {
+      router.replace(menuItems[0].path);
+    }
+  }, [ready, can, pathname, router]);
+
+  const visibleMenuItems = menuItems.filter(item => !item.capability || can(item.capability));
+
   /**
    * Handle logout
    */
@@ -91,7 +114,7 @@ export default function AccountantLayout({ children }) {
 
   return (
     <DashboardShell
-      menuItems={menuItems}
+      menuItems={visibleMenuItems}
       pathname={pathname}
       portalTitle="Accountant"
       sidebarOpen={sidebarOpen}
@@ -101,17 +124,24 @@ export default function AccountantLayout({ children }) {
       userName={displayName}
       userSubtitle={role || 'Accountant'}
       headerActions={
-        <button
-          type="button"
-          onClick={handleLogout}
-          className="px-3 sm:px-4 py-2 text-xs sm:text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 transition-colors flex items-center gap-1 sm:gap-2 shadow-sm"
-        >
-          <LogOut className="w-4 h-4 shrink-0" aria-hidden />
-          <span className="hidden sm:inline">Logout</span>
-        </button>
+        <>
+          <TerminalBadge />
+          <LockButton />
+          <PendingSyncBadge />
+          <button
+            type="button"
+            onClick={handleLogout}
+            className="px-3 sm:px-4 py-2 text-xs sm:text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 transition-colors flex items-center gap-1 sm:gap-2 shadow-sm"
+          >
+            <LogOut className="w-4 h-4 shrink-0" aria-hidden />
+            <span className="hidden sm:inline">Logout</span>
+          </button>
+        </>
       }
     >
       {children}
+      <ReauthModal />
+      <LockScreen />
     </DashboardShell>
   );
 }
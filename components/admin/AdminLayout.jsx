@@ -18,6 +18,7 @@ import {
   FileText,
   TrendingUp,
   BarChart3,
+  Trash2,
   Receipt,
   Table2,
   Building2,
@@ -27,37 +28,51 @@ import {
   FileBarChart,
   Clock,
   Bug,
+  CalendarClock,
+  Bike,
 } from 'lucide-react';
 import { getToken, getRole, getFullname, getUsername, getBranchName, getBranchId, clearAuth, apiGet } from '@/utils/api';
 import LogPanel from '@/components/ui/LogPanel';
 import { useLogger } from '@/hooks/useLogger';
+import permissions from '@/utils/permissions';
+import { usePermissions } from '@/hooks/usePermissions';
 import DashboardShell from '@/components/dashboard/DashboardShell';
+import LockButton from '@/components/ui/LockButton';
+import LockScreen from '@/components/ui/LockScreen';
+import PendingSyncBadge from '@/components/ui/PendingSyncBadge';
+import ReauthModal from '@/components/ui/ReauthModal';
+import TerminalBadge from '@/components/ui/TerminalBadge';
 
 /**
  * Sidebar Menu Items with Lucide icons
+ * `capability` hides an item (and blocks its page) unless the role template grants it
  */
 const menuItems = [
   { icon: LayoutDashboard, label: 'Dashboard', path: '/dashboard/branch-admin' },
-  { icon: PlusCircle, label: 'Create Order', path: '/dashboard/branch-admin/create-order' },
-  { icon: FolderOpen, label: 'Categories', path: '/dashboard/branch-admin/category' },
-  { icon: Utensils, label: 'Menu', path: '/dashboard/branch-admin/menu' },
-  { icon: ChefHat, label: 'Kitchen', path: '/dashboard/branch-admin/kitchen' },
-  { icon: Printer, label: 'Printers', path: '/dashboard/branch-admin/printer' },
-  { icon: FileText, label: 'Orders', path: '/dashboard/branch-admin/order' },
-  { icon: TrendingUp, label: 'Sales List', path: '/dashboard/branch-admin/sales' },
-  { icon: FileBarChart, label: 'Sales Report', path: '/dashboard/branch-admin/sales-report' },
-  { icon: BarChart3, label: 'Menu Sales', path: '/dashboard/branch-admin/menu-sales' },
-  { icon: Receipt, label: 'Expenses', path: '/dashboard/branch-admin/expenses' },
-  { icon: Clock, label: 'Day End', path: '/dashboard/branch-admin/dayend' },
-  { icon: Building2, label: 'Halls', path: '/dashboard/branch-admin/halls' },
-  { icon: Table2, label: 'Tables', path: '/dashboard/branch-admin/tables' },
-  { icon: Users, label: 'Customers', path: '/dashboard/branch-admin/customers' },
-  { icon: Users, label: 'Accounts', path: '/dashboard/branch-admin/accounts' },
+  { icon: PlusCircle, label: 'Create Order', path: '/dashboard/branch-admin/create-order', capability: 'order.create' },
+  { icon: FolderOpen, label: 'Categories', path: '/dashboard/branch-admin/category', capability: 'menu.manage' },
+  { icon: Utensils, label: 'Menu', path: '/dashboard/branch-admin/menu', capability: 'menu.manage' },
+  { icon: ChefHat, label: 'Kitchen', path: '/dashboard/branch-admin/kitchen', capability: 'kitchen.view' },
+  { icon: Printer, label: 'Printers', path: '/dashboard/branch-admin/printer', capability: 'printer.manage' },
+  { icon: FileText, label: 'Orders', path: '/dashboard/branch-admin/order', capability: 'order.view' },
+  { icon: TrendingUp, label: 'Sales List', path: '/dashboard/branch-admin/sales', capability: 'report.view' },
+  { icon: FileBarChart, label: 'Sales Report', path: '/dashboard/branch-admin/sales-report', capability: 'report.view' },
+  { icon: BarChart3, label: 'Menu Sales', path: '/dashboard/branch-admin/menu-sales', capability: 'report.view' },
+  { icon: Trash2, label: 'Wastage', path: '/dashboard/branch-admin/wastage', capability: 'report.view' },
+  { icon: Receipt, label: 'Expenses', path: '/dashboard/branch-admin/expenses', capability: 'expense.view' },
+  { icon: Clock, label: 'Day End', path: '/dashboard/branch-admin/dayend', capability: 'dayend.manage' },
+  { icon: Building2, label: 'Halls', path: '/dashboard/branch-admin/halls', capability: 'floor.manage' },
+  { icon: Table2, label: 'Tables', path: '/dashboard/branch-admin/tables', capability: 'floor.manage' },
+  { icon: CalendarClock, label: 'Reservations', path: '/dashboard/branch-admin/reservations', capability: 'reservation.manage' },
+  { icon: Bike, label: 'Deliveries', path: '/dashboard/branch-admin/deliveries', capability: 'delivery.manage' },
+  { icon: Users, label: 'Customers', path: '/dashboard/branch-admin/customers', capability: 'customer.manage' },
+  { icon: Users, label: 'Accounts', path: '/dashboard/branch-admin/accounts', capability: 'user.manage' },
 ];
 
 export default function AdminLayout({ children }) {
   const router = useRouter();
   const pathname = usePathname();
+  const { can, ready } = usePermissions();
   const [sidebarOpen, setSidebarOpen] = useState(false); // Closed by default on mobile
   const [isMobile, setIsMobile] = useState(false);
   const [logPanelOpen, setLogPanelOpen] = useState(false);
@@ -126,6 +141,17 @@ export default function AdminLayout({ children }) {
     }
   }, [router]);
 
+  useEffect(() => {
+    // Pages left out of this role's navigation can't be opened by URL either
+    if (!ready) return;
+    const capability = permissions.getRequiredCapability(menuItems, pathname);
+    if (capability && !can(capability)) {
+      router.replace(menuItems[0].path);
+    }
+  }, [ready, can, pathname, router]);
+
+  const visibleMenuItems = menuItems.filter(item => !item.capability || can(item.capability));
+
   /**
    * Handle logout
    */
@@ -165,7 +191,7 @@ export default function AdminLayout({ children }) {
   return (
     <>
       <DashboardShell
-        menuItems={menuItems}
+        menuItems={visibleMenuItems}
         pathname={pathname}
         portalTitle="Branch Admin"
         sidebarOpen={sidebarOpen}
@@ -176,6 +202,9 @@ export default function AdminLayout({ children }) {
         userSubtitle={userSubtitle}
         headerActions={
           <>
+            <TerminalBadge />
+            <LockButton />
+            <PendingSyncBadge />
             <button
               type="button"
               onClick={() => setLogPanelOpen(!logPanelOpen)}
@@ -202,6 +231,8 @@ export default function AdminLayout({ children }) {
         }
       >
         {children}
+        <ReauthModal />
+        <LockScreen />
       </DashboardShell>
 
       <LogPanel
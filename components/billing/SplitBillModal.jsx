@@ -0,0 +1,342 @@
+'use client';
+
+/**
+ * Split Bill Modal Component
+ * Opened from the Receive Payment modal when a table wants to pay separately.
+ * Items are dragged (or tapped, then moved) between sub-bills, or the bill is split into
+ * equal shares or custom amounts; each sub-bill then gets its own payment method and receipt.
+ */
+
+import { useMemo, useState } from 'react';
+import { Minus, Plus, Printer } from 'lucide-react';
+import Modal from '@/components/ui/Modal';
+import Button from '@/components/ui/Button';
+import Alert from '@/components/ui/Alert';
+import ThermalReceipt from '@/components/receipt/ThermalReceipt';
+import { billsManagement } from '@/utils/endpoints';
+import { formatPKR } from '@/utils/format';
+import {
+  SPLIT_TYPES,
+  SPLIT_PAYMENT_MODES,
+  MIN_SPLITS,
+  MAX_SPLITS,
+  expandBillUnits,
+  computeSubBills,
+  validateSplit,
+  toSplitPaymentPayload,
+} from '@/utils/splitBill';
+
+const inputClassName = 'block w-full px-3 py-2 border border-[#E0E0E0] rounded-lg text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition';
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.bill - Generated bill being paid (null = closed)
+ * @param {string} props.branchName - Printed on the sub-bill receipts
+ * @param {Function} props.onClose - Close; called with true once the split has been paid
+ * @param {Function} props.onSettled - Called with (bill, subBills) after the split is paid
+ */
+export default function SplitBillModal({ bill, branchName = '', onClose, onSettled }) {
+  if (!bill) return null;
+
+  // Keyed by bill so every bill starts with a fresh split
+  return <SplitBill key={bill.bill_id || bill.order_id} bill={bill} branchName={branchName} onClose={onClose} onSettled={onSettled} />;
+}
+
+function SplitBill({ bill, branchName, onClose, onSettled }) {
+  const units = useMemo(() => expandBillUnits(bill.items), [bill.items]);
+  const [splitType, setSplitType] = useState(units.length >= MIN_SPLITS ? 'items' : 'equal');
+  const [count, setCount] = useState(MIN_SPLITS);
+  const [assignments, setAssignments] = useState({});
+  const [selectedUnit, setSelectedUnit] = useState(null);
+  const [customAmounts, setCustomAmounts] = useState([]);
+  const [payments, setPayments] = useState([]);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [settled, setSettled] = useState(null);
+  const [receiptIndex, setReceiptIndex] = useState(0);
+
+  const subBills = useMemo(
+    () => computeSubBills(bill, splitType, { count, units, assignments, customAmounts }),
+    [bill, splitType, count, units, assignments, customAmounts]
+  );
+  const getPayment = (index) => payments[index] || { payment_method: 'Cash', cash_received: '' };
+  const customRemaining = parseFloat(bill.grand_total || 0) -
+    customAmounts.slice(0, count).reduce((sum, amount) => sum + (parseFloat(amount) || 0), 0);
+
+  const updatePayment = (index, changes) => {
+    setError('');
+    setPayments(prev => {
+      const next = [...prev];
+      next[index] = { ...getPayment(index), ...changes };
+      return next;
+    });
+  };
+
+  const changeCount = (delta) => {
+    const nextCount = Math.min(MAX_SPLITS, Math.max(MIN_SPLITS, count + delta));
+    // Items on a removed sub-bill go back to the first one
+    setAssignments(prev => Object.fromEntries(
+      Object.entries(prev).map(([unitKey, index]) => [unitKey, index < nextCount ? index : 0])
+    ));
+    setCount(nextCount);
+    setError('');
+  };
+
+  const moveUnit = (unitKey, index) => {
+    setAssignments(prev => ({ ...prev, [unitKey]: index }));
+    setSelectedUnit(null);
+    setError('');
+  };
+
+  const handleSettle = async () => {
+    const message = validateSplit(bill, splitType, subBills, subBills.map((_, index) => getPayment(index)), customAmounts);
+    if (message) {
+      setError(message);
+      return;
+    }
+
+    const payload = toSplitPaymentPayload(bill, splitType, subBills, subBills.map((_, index) => getPayment(index)));
+    setSaving(true);
+    try {
+      await billsManagement.settleSplit(payload);
+      const paid = subBills.map((subBill, index) => ({ ...subBill, ...payload.splits[index] }));
+      setSettled(paid);
+      setReceiptIndex(0);
+      onSettled(bill, paid);
+    } catch (settleError) {
+      setError(settleError.message || 'Failed to record split payment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (settled) {
+    const current = settled[receiptIndex];
+    return (
+      <Modal isOpen onClose={() => onClose(true)} title="Split Bill Receipts" size="lg">
+        <div className="space-y-4 text-gray-900">
+          <div className="flex flex-wrap gap-2">
+            {settled.map((subBill, index) => (
+              <button
+                key={subBill.split_no}
+                type="button"
+                onClick={() => setReceiptIndex(index)}
+                className={`px-3 py-1.5 rounded-lg border text-sm font-medium ${
+                  index === receiptIndex ? 'border-[#FF5F15] bg-orange-50 text-[#FF5F15]' : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                Sub-bill {subBill.split_no} · {formatPKR(subBill.grand_total)} · {subBill.payment_method}
+              </button>
+            ))}
+          </div>
+
+          <div className="bg-white p-4 rounded-lg border border-gray-200">
+            <ThermalReceipt
+              order={{
+                order_id: bill.order_id,
+                orderid: bill.order_number,
+                order_type: bill.order_type,
+                table_number: bill.table_number,
+                bill_id: bill.bill_id,
+                g_total_amount: current.bill_amount,
+                subtotal: current.bill_amount,
+                service_charge: current.service_charge,
+                discount_amount: current.discount,
+                net_total_amount: current.grand_total,
+                grand_total: current.grand_total,
+                payment_method: current.payment_method,
+                payment_status: 'Paid',
+                cash_received: current.cash_received,
+                change: current.change,
+              }}
+              items={current.items.length > 0 ? current.items : bill.items}
+              branchName={branchName}
+              showPaidAmount
+              splitLabel={`Sub-bill ${current.split_no} of ${settled.length}`}
+            />
+          </div>
+
+          <div className="flex gap-3">
+            <Button variant="secondary" onClick={() => onClose(true)} className="flex-1">Done</Button>
+            <Button onClick={() => window.print()} className="flex-1">
+              <Printer className="w-4 h-4 mr-2" />
+              Print Sub-bill {current.split_no}
+            </Button>
+          </div>
+        </div>
+      </Modal>
+    );
+  }
+
+  return (
+    <Modal isOpen onClose={() => onClose(false)} title={`Split Bill - Order #${bill.order_number || bill.order_id}`} size="xl">
+      <div className="space-y-5 text-gray-900">
+        {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="inline-flex rounded-lg border border-gray-200 p-1">
+            {SPLIT_TYPES.map(type => (
+              <button
+                key={type.value}
+                type="button"
+                onClick={() => {
+                  setSplitType(type.value);
+                  setError('');
+                }}
+                className={`px-3 py-1.5 rounded-md text-sm font-medium ${
+                  splitType === type.value ? 'bg-[#FF5F15] text-white' : 'text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {type.label}
+              </button>
+            ))}
+          </div>
+          <div className="flex items-center gap-2 text-sm">
+            <span className="text-gray-600">Sub-bills</span>
+            <button type="button" onClick={() => changeCount(-1)} className="p-1.5 rounded-lg border border-gray-200 hover:bg-gray-50" title="Fewer sub-bills">
+              <Minus className="w-4 h-4" />
+            </button>
+            <span className="w-6 text-center font-semibold">{count}</span>
+            <button type="button" onClick={() => changeCount(1)} className="p-1.5 rounded-lg border border-gray-200 hover:bg-gray-50" title="More sub-bills">
+              <Plus className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
+        <p className="text-sm text-gray-600">
+          Bill total <span className="font-semibold text-gray-900">{formatPKR(bill.grand_total)}</span>
+          {splitType === 'items' && ' - drag items between sub-bills, or tap an item and then "Move here".'}
+          {splitType === 'custom' && (
+            <span className={Math.abs(customRemaining) >= 0.01 ? 'text-red-600' : 'text-green-700'}>
+              {' '}- {formatPKR(Math.abs(customRemaining))} {customRemaining < 0 ? 'over' : 'left to assign'}
+            </span>
+          )}
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {subBills.map((subBill, index) => {
+            const payment = getPayment(index);
+            const cashReceived = parseFloat(payment.cash_received) || 0;
+            return (
+              <div
+                key={index}
+                onDragOver={splitType === 'items' ? (e) => e.preventDefault() : undefined}
+                onDrop={splitType === 'items' ? (e) => {
+                  e.preventDefault();
+                  moveUnit(e.dataTransfer.getData('text/plain'), index);
+                } : undefined}
+                className="rounded-xl border border-gray-200 p-4 space-y-3"
+              >
+                <div className="flex items-center justify-between">
+                  <h4 className="font-semibold">Sub-bill {index + 1}</h4>
+                  {splitType === 'items' && selectedUnit && (assignments[selectedUnit] ?? 0) !== index && (
+                    <button
+                      type="button"
+                      onClick={() => moveUnit(selectedUnit, index)}
+                      className="text-xs font-medium text-[#FF5F15] hover:text-[#FF4A00]"
+                    >
+                      Move here
+                    </button>
+                  )}
+                </div>
+
+                {splitType === 'items' && (
+                  <div className="flex flex-wrap gap-2 min-h-[44px] rounded-lg bg-gray-50 p-2">
+                    {units.filter(unit => (assignments[unit.unit_key] ?? 0) === index).map(unit => (
+                      <button
+                        key={unit.unit_key}
+                        type="button"
+                        draggable
+                        onDragStart={(e) => e.dataTransfer.setData('text/plain', unit.unit_key)}
+                        onClick={() => setSelectedUnit(selectedUnit === unit.unit_key ? null : unit.unit_key)}
+                        className={`px-2 py-1 rounded-md border text-xs cursor-move ${
+                          selectedUnit === unit.unit_key ? 'border-[#FF5F15] bg-orange-50' : 'border-gray-200 bg-white'
+                        }`}
+                      >
+                        {unit.name} · {formatPKR(unit.price)}
+                      </button>
+                    ))}
+                    {subBill.unitCount === 0 && <span className="text-xs text-gray-400 self-center">Drop items here</span>}
+                  </div>
+                )}
+
+                {splitType === 'custom' && (
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={customAmounts[index] ?? ''}
+                    onChange={(e) => {
+                      const next = [...customAmounts];
+                      next[index] = e.target.value;
+                      setCustomAmounts(next);
+                      setError('');
+                    }}
+                    placeholder="Amount"
+                    className={inputClassName}
+                  />
+                )}
+
+                <div className="text-sm space-y-1">
+                  <div className="flex justify-between text-gray-600">
+                    <span>Bill amount</span>
+                    <span>{formatPKR(subBill.billAmount)}</span>
+                  </div>
+                  {subBill.serviceCharge > 0 && (
+                    <div className="flex justify-between text-gray-600">
+                      <span>Service charge</span>
+                      <span>+{formatPKR(subBill.serviceCharge)}</span>
+                    </div>
+                  )}
+                  {subBill.discountAmount > 0 && (
+                    <div className="flex justify-between text-gray-600">
+                      <span>Discount</span>
+                      <span className="text-red-600">-{formatPKR(subBill.discountAmount)}</span>
+                    </div>
+                  )}
+                  <div className="flex justify-between font-semibold">
+                    <span>Total</span>
+                    <span>{formatPKR(subBill.grandTotal)}</span>
+                  </div>
+                </div>
+
+                <div className="flex gap-2">
+                  <select
+                    value={payment.payment_method}
+                    onChange={(e) => updatePayment(index, { payment_method: e.target.value })}
+                    className={`${inputClassName} w-32`}
+                  >
+                    {SPLIT_PAYMENT_MODES.map(mode => (
+                      <option key={mode} value={mode}>{mode}</option>
+                    ))}
+                  </select>
+                  {payment.payment_method === 'Cash' && (
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={payment.cash_received}
+                      onChange={(e) => updatePayment(index, { cash_received: e.target.value })}
+                      placeholder="Cash received"
+                      className={inputClassName}
+                    />
+                  )}
+                </div>
+                {payment.payment_method === 'Cash' && cashReceived > subBill.grandTotal && (
+                  <p className="text-xs text-green-700">Change: {formatPKR(cashReceived - subBill.grandTotal)}</p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex gap-3 pt-2">
+          <Button variant="secondary" onClick={() => onClose(false)} className="flex-1">Back</Button>
+          <Button onClick={handleSettle} disabled={saving} className="flex-1">
+            {saving ? 'Recording...' : `Pay ${count} Sub-bills`}
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
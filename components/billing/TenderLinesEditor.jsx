@@ -0,0 +1,113 @@
+'use client';
+
+/**
+ * Tender Lines Editor Component
+ * Used by the Receive Payment modal when a customer pays one bill with several methods,
+ * e.g. part cash and part Easypaisa. The lines must cover the grand total; change comes out of cash.
+ */
+
+import { Plus, X } from 'lucide-react';
+import { formatPKR } from '@/utils/format';
+import { TENDER_METHODS, summarizeTenders } from '@/utils/payment';
+
+const inputClassName = 'block w-full px-3 py-2.5 border border-[#E0E0E0] rounded-lg text-gray-900 bg-white focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition';
+
+/**
+ * Starting lines for a new mixed payment
+ */
+export const DEFAULT_TENDER_LINES = [
+  { payment_method: 'Cash', amount: '' },
+  { payment_method: 'Easypaisa', amount: '' },
+];
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.lines - [{ payment_method, amount }]
+ * @param {Function} props.onChange - Called with the updated lines
+ * @param {number|string} props.grandTotal - Bill grand total
+ */
+export default function TenderLinesEditor({ lines, onChange, grandTotal }) {
+  const { tendered, remaining, change } = summarizeTenders(lines, grandTotal);
+
+  const updateLine = (lineIndex, changes) => {
+    onChange(lines.map((line, index) => (index === lineIndex ? { ...line, ...changes } : line)));
+  };
+
+  // Fill a line with whatever the other lines leave unpaid
+  const fillRemaining = (lineIndex) => {
+    const others = lines.filter((_, index) => index !== lineIndex);
+    const { remaining: left } = summarizeTenders(others, grandTotal);
+    updateLine(lineIndex, { amount: left > 0 ? left.toFixed(2) : '' });
+  };
+
+  return (
+    <div className="space-y-3">
+      <label className="block text-sm font-medium text-gray-700">
+        Tender Lines <span className="text-red-500">*</span>
+      </label>
+
+      {lines.map((line, index) => (
+        <div key={index} className="flex gap-2">
+          <select
+            value={line.payment_method}
+            onChange={(e) => updateLine(index, { payment_method: e.target.value })}
+            className={`${inputClassName} w-36`}
+          >
+            {TENDER_METHODS.map(method => (
+              <option key={method} value={method}>{method}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            value={line.amount}
+            onChange={(e) => updateLine(index, { amount: e.target.value })}
+            onFocus={() => {
+              if (!line.amount) fillRemaining(index);
+            }}
+            placeholder="0.00"
+            className={inputClassName}
+          />
+          {lines.length > 1 && (
+            <button
+              type="button"
+              onClick={() => onChange(lines.filter((_, lineIndex) => lineIndex !== index))}
+              className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg"
+              title="Remove tender"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={() => onChange([...lines, { payment_method: 'Cash', amount: '' }])}
+        className="inline-flex items-center gap-1 text-sm font-medium text-[#FF5F15] hover:text-[#FF4A00]"
+      >
+        <Plus className="w-4 h-4" />
+        Add tender
+      </button>
+
+      <div className="bg-gray-50 p-3 rounded-lg border border-gray-200 text-sm space-y-1">
+        <div className="flex justify-between">
+          <span className="text-gray-600">Tendered</span>
+          <span className="font-semibold text-gray-900">{formatPKR(tendered)}</span>
+        </div>
+        {remaining > 0 ? (
+          <div className="flex justify-between text-red-600 font-medium">
+            <span>Remaining</span>
+            <span>{formatPKR(remaining)}</span>
+          </div>
+        ) : (
+          <div className="flex justify-between text-green-700 font-semibold">
+            <span>Change to Return</span>
+            <span>{formatPKR(change)}</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
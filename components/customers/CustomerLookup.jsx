@@ -0,0 +1,193 @@
+'use client';
+
+/**
+ * Customer Lookup Component
+ * Phone field on create-order that searches the branch's customers as you type and can add a new
+ * customer inline. Once a customer is attached, their last orders and favorite dishes are shown.
+ */
+
+import { useEffect, useState } from 'react';
+import { Star, UserPlus, X } from 'lucide-react';
+import Button from '@/components/ui/Button';
+import { useCustomers } from '@/hooks/useCustomers';
+import { customersManagement } from '@/utils/endpoints';
+import { getTerminal } from '@/utils/api';
+import { MIN_PHONE_DIGITS, findCustomerByPhone, getFavoriteDishes, normalizePhone, searchCustomers } from '@/utils/customers';
+import { formatDateTime, formatPKR } from '@/utils/format';
+import logger from '@/utils/logger';
+
+const inputClassName = 'block w-full px-3 py-2 border border-[#E0E0E0] rounded-lg text-sm text-gray-900 bg-white focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition';
+
+/**
+ * @param {Object} props
+ * @param {number|string} props.branchId - Branch
+ * @param {Object|null} props.customer - Attached customer ({ customer_id, name, phone, ... })
+ * @param {Function} props.onChange - Called with the customer picked or created, or null when removed
+ */
+export default function CustomerLookup({ branchId, customer, onChange }) {
+  const { customers, refresh } = useCustomers(branchId);
+  const [query, setQuery] = useState('');
+  const [newName, setNewName] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  if (customer) {
+    return (
+      <CustomerHistory
+        key={customer.customer_id}
+        customer={customer}
+        branchId={branchId}
+        onRemove={() => onChange(null)}
+      />
+    );
+  }
+
+  const matches = searchCustomers(customers, query);
+  const phoneDigits = normalizePhone(query);
+  const canCreate = phoneDigits.length >= MIN_PHONE_DIGITS && phoneDigits.length === query.replace(/[\s\-+()]/g, '').length &&
+    !findCustomerByPhone(customers, query);
+
+  const pick = (picked) => {
+    setQuery('');
+    setNewName('');
+    setError('');
+    onChange(picked);
+  };
+
+  const handleCreate = async () => {
+    if (!newName.trim()) {
+      setError('Enter the customer\'s name.');
+      return;
+    }
+    setSaving(true);
+    try {
+      const created = await customersManagement.create({
+        name: newName.trim(),
+        phone: query.trim(),
+        branch_id: branchId,
+        terminal: getTerminal(),
+      });
+      // Some deployments only answer with a message - find the new customer in the reloaded list
+      const saved = created.customer_id ? created : findCustomerByPhone(await refresh(), query);
+      if (!saved) throw new Error('Customer was saved but could not be loaded. Search for them again.');
+      logger.success('Customer added from create-order', { customerId: saved.customer_id });
+      if (created.customer_id) refresh();
+      pick(saved);
+    } catch (createError) {
+      setError(createError.message || 'Failed to add customer');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="relative space-y-2">
+      <input
+        type="text"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setError('');
+        }}
+        placeholder="Search customer by phone or name"
+        className={inputClassName}
+      />
+      {error && <p className="text-xs text-red-600">{error}</p>}
+
+      {matches.length > 0 && (
+        <div className="absolute z-20 left-0 right-0 top-11 max-h-60 overflow-y-auto rounded-lg border border-gray-200 bg-white shadow-lg">
+          {matches.map(match => (
+            <button
+              key={match.customer_id}
+              type="button"
+              onClick={() => pick(match)}
+              className="flex w-full items-center justify-between px-3 py-2 text-left text-sm text-gray-900 hover:bg-orange-50"
+            >
+              <span className="font-medium">{match.name || 'Unnamed'}</span>
+              <span className="text-gray-500">{match.phone}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {canCreate && (
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="New customer's name"
+            className={inputClassName}
+          />
+          <Button size="sm" onClick={handleCreate} disabled={saving} className="flex items-center gap-1 whitespace-nowrap">
+            <UserPlus className="w-4 h-4" />
+            {saving ? 'Adding...' : 'Add'}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function CustomerHistory({ customer, branchId, onRemove }) {
+  const [history, setHistory] = useState(null); // null while loading
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    customersManagement.history({ customerId: customer.customer_id, branchId })
+      .then(setHistory)
+      .catch(loadError => setError(loadError.message || 'Failed to load order history'));
+  }, [customer.customer_id, branchId]);
+
+  const favorites = history
+    ? (history.favorites.length > 0 ? history.favorites : getFavoriteDishes(history.orders))
+    : [];
+
+  return (
+    <div className="rounded-lg border border-orange-200 bg-orange-50 p-3 space-y-2 text-sm text-gray-900">
+      <div className="flex items-center justify-between gap-3">
+        <span>
+          <span className="font-semibold">{customer.name || 'Customer'}</span>
+          {customer.phone ? ` · ${customer.phone}` : ''}
+        </span>
+        <button
+          type="button"
+          onClick={onRemove}
+          className="p-1 rounded hover:bg-orange-100"
+          title="Remove customer from this order"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {error ? (
+        <p className="text-xs text-red-600">{error}</p>
+      ) : !history ? (
+        <p className="text-xs text-gray-500">Loading order history...</p>
+      ) : history.orders.length === 0 ? (
+        <p className="text-xs text-gray-500">First order for this customer.</p>
+      ) : (
+        <>
+          {favorites.length > 0 && (
+            <div className="flex flex-wrap items-center gap-1.5">
+              <Star className="w-3.5 h-3.5 text-amber-500" />
+              {favorites.map(dish => (
+                <span key={dish.dish_id || dish.dish_name} className="rounded-full bg-white px-2 py-0.5 text-xs border border-orange-200">
+                  {dish.dish_name} ×{dish.quantity}
+                </span>
+              ))}
+            </div>
+          )}
+          <ul className="space-y-0.5 text-xs text-gray-600">
+            {history.orders.map(order => (
+              <li key={order.order_id || order.id} className="flex justify-between gap-2">
+                <span>#{order.orderid || order.order_id || order.id} · {formatDateTime(order.created_at)} · {order.order_type}</span>
+                <span className="font-medium text-gray-900">{formatPKR(order.grand_total ?? order.net_total_amount ?? order.total ?? 0)}</span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,222 @@
+'use client';
+
+/**
+ * Delivery Board Component
+ * The branch's delivery orders for the business day with their rider and delivery status, the rider
+ * cash settlement screen and, for admins, the zone and rider setup.
+ */
+
+import { useState } from 'react';
+import { MapPin, Phone } from 'lucide-react';
+import Button from '@/components/ui/Button';
+import Alert from '@/components/ui/Alert';
+import RiderSettlementPanel from '@/components/delivery/RiderSettlementPanel';
+import DeliverySetupPanel from '@/components/delivery/DeliverySetupPanel';
+import { useDeliveries } from '@/hooks/useDeliveries';
+import { useDeliverySetup } from '@/hooks/useDeliverySetup';
+import { deliveryManagement } from '@/utils/endpoints';
+import { broadcastUpdate, UPDATE_EVENTS } from '@/utils/dashboardSync';
+import { DELIVERY_STATUSES, DELIVERY_TRANSITIONS, isCashOnDelivery } from '@/utils/delivery';
+import { formatPKR } from '@/utils/format';
+import logger from '@/utils/logger';
+
+const selectClassName = 'px-2 py-1.5 border border-[#E0E0E0] rounded-lg text-sm text-gray-900 bg-white focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition disabled:bg-gray-100';
+
+// Button shown for each status an order can be moved to
+const TRANSITION_BUTTONS = {
+  out_for_delivery: { label: 'Out for Delivery', variant: 'primary' },
+  delivered: { label: 'Delivered', variant: 'success' },
+  returned: { label: 'Returned', variant: 'danger' },
+};
+
+/**
+ * @param {Object} props
+ * @param {number|string} props.branchId - Branch
+ * @param {boolean} props.showSetup - Show the zones & riders tab
+ */
+export default function DeliveryBoard({ branchId, showSetup = false }) {
+  const [tab, setTab] = useState('orders');
+  const [statusFilter, setStatusFilter] = useState('active');
+  const [alert, setAlert] = useState({ type: '', message: '' });
+
+  const { deliveries, since, loading, error, refresh } = useDeliveries(branchId);
+  const setup = useDeliverySetup(branchId);
+
+  const riderName = (riderId) => setup.riders.find(rider => String(rider.rider_id) === String(riderId))?.name || '';
+
+  const visible = deliveries.filter(delivery => {
+    if (statusFilter === 'all') return true;
+    if (statusFilter === 'active') return !['delivered', 'returned'].includes(delivery.delivery_status);
+    return delivery.delivery_status === statusFilter;
+  });
+
+  const afterChange = (orderId) => {
+    broadcastUpdate(UPDATE_EVENTS.DELIVERY_UPDATED, { order_id: orderId });
+    refresh();
+  };
+
+  const handleAssign = async (delivery, riderId) => {
+    if (!riderId) return;
+    try {
+      await deliveryManagement.assignRider({ orderId: delivery.order_id, riderId });
+      logger.success('Rider assigned', { orderId: delivery.order_id, riderId });
+      afterChange(delivery.order_id);
+    } catch (assignError) {
+      setAlert({ type: 'error', message: assignError.message || 'Failed to assign rider' });
+    }
+  };
+
+  const handleStatus = async (delivery, status) => {
+    let reason = '';
+    if (status === 'returned') {
+      reason = prompt(`Why was order #${delivery.orderid} returned?`);
+      if (reason === null) return;
+    } else if (status === 'delivered' && isCashOnDelivery(delivery)) {
+      if (!confirm(`Mark order #${delivery.orderid} delivered? ${riderName(delivery.rider_id) || 'The rider'} collected ${formatPKR(delivery.grand_total)} in cash.`)) return;
+    }
+    try {
+      await deliveryManagement.setStatus({ orderId: delivery.order_id, status, reason: reason.trim() });
+      logger.success('Delivery status changed', { orderId: delivery.order_id, status });
+      afterChange(delivery.order_id);
+    } catch (statusError) {
+      setAlert({ type: 'error', message: statusError.message || 'Failed to update delivery' });
+    }
+  };
+
+  const tabs = [
+    { key: 'orders', label: 'Deliveries' },
+    { key: 'settlement', label: 'Rider Cash' },
+    ...(showSetup ? [{ key: 'setup', label: 'Zones & Riders' }] : []),
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Deliveries</h1>
+        <p className="text-gray-600 mt-1">Dispatch delivery orders to riders and settle the cash they bring back</p>
+      </div>
+
+      {alert.message && <Alert type={alert.type} message={alert.message} onClose={() => setAlert({ type: '', message: '' })} />}
+      {(error || setup.error) && <Alert type="error" message={error || setup.error} />}
+
+      <div className="flex gap-2 border-b border-gray-200">
+        {tabs.map(option => (
+          <button
+            key={option.key}
+            type="button"
+            onClick={() => setTab(option.key)}
+            className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${
+              tab === option.key ? 'border-[#FF5F15] text-[#FF5F15]' : 'border-transparent text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'orders' && (
+        <div className="space-y-4">
+          <div className="flex flex-wrap gap-2">
+            {[['active', 'Active'], ...Object.entries(DELIVERY_STATUSES).map(([key, status]) => [key, status.label]), ['all', 'All']].map(([key, label]) => (
+              <button
+                key={key}
+                type="button"
+                onClick={() => setStatusFilter(key)}
+                className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                  statusFilter === key ? 'bg-[#FF5F15] text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            {loading ? (
+              <p className="p-8 text-center text-gray-500">Loading deliveries...</p>
+            ) : visible.length === 0 ? (
+              <p className="p-8 text-center text-gray-500">No delivery orders here.</p>
+            ) : (
+              <div className="divide-y divide-gray-100">
+                {visible.map(delivery => {
+                  const status = DELIVERY_STATUSES[delivery.delivery_status];
+                  // A rider can be swapped until the order leaves the branch
+                  const canAssign = ['unassigned', 'assigned'].includes(delivery.delivery_status);
+                  return (
+                    <div key={delivery.order_id} className="flex flex-wrap items-center gap-3 px-4 py-3">
+                      <div className="flex-1 min-w-[14rem]">
+                        <p className="font-medium text-gray-900">
+                          #{delivery.orderid}
+                          {delivery.delivery_name ? ` · ${delivery.delivery_name}` : ''}
+                        </p>
+                        <p className="flex items-center gap-1 text-xs text-gray-500">
+                          <Phone className="w-3 h-3" />
+                          {delivery.delivery_phone || '-'}
+                        </p>
+                        <p className="flex items-start gap-1 text-xs text-gray-500">
+                          <MapPin className="w-3 h-3 mt-0.5 shrink-0" />
+                          {delivery.delivery_address || '-'}
+                        </p>
+                      </div>
+                      <div className="text-right">
+                        <p className="text-sm font-semibold text-gray-900">{formatPKR(delivery.grand_total)}</p>
+                        <p className="text-xs text-gray-500">
+                          {isCashOnDelivery(delivery) ? 'Cash on delivery' : 'Paid'} · delivery {formatPKR(delivery.delivery_charges)}
+                        </p>
+                      </div>
+                      <select
+                        value={delivery.rider_id || ''}
+                        onChange={(e) => handleAssign(delivery, e.target.value)}
+                        disabled={!canAssign}
+                        className={selectClassName}
+                      >
+                        <option value="">No rider</option>
+                        {setup.riders
+                          .filter(rider => rider.is_active || String(rider.rider_id) === String(delivery.rider_id))
+                          .map(rider => (
+                            <option key={rider.rider_id} value={rider.rider_id}>{rider.name}</option>
+                          ))}
+                      </select>
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${status.className}`}>{status.label}</span>
+                      <div className="flex items-center gap-2">
+                        {DELIVERY_TRANSITIONS[delivery.delivery_status].map(next => (
+                          <Button key={next} size="sm" variant={TRANSITION_BUTTONS[next].variant} onClick={() => handleStatus(delivery, next)}>
+                            {TRANSITION_BUTTONS[next].label}
+                          </Button>
+                        ))}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {tab === 'settlement' && (
+        <RiderSettlementPanel
+          branchId={branchId}
+          deliveries={deliveries}
+          since={since}
+          riders={setup.riders}
+          onSettled={(message) => {
+            setAlert({ type: 'success', message });
+            afterChange(null);
+          }}
+          onMessage={setAlert}
+        />
+      )}
+
+      {tab === 'setup' && showSetup && (
+        <DeliverySetupPanel
+          branchId={branchId}
+          zones={setup.zones}
+          riders={setup.riders}
+          onChanged={setup.refresh}
+          onMessage={setAlert}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+'use client';
+
+/**
+ * Delivery Details Form Component
+ * Delivery fields on create-order: phone, name and address of the customer, the delivery zone that
+ * sets the delivery charge, and optionally the rider taking the order out right away.
+ */
+
+import { formatPKR } from '@/utils/format';
+
+const inputClassName = 'block w-full px-3 py-2 border border-[#E0E0E0] rounded-lg text-sm text-gray-900 bg-white focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.value - { phone, name, address, zone_id, rider_id }
+ * @param {Function} props.onChange - Called with the updated details
+ * @param {Array<Object>} props.zones - Normalized delivery zones
+ * @param {Array<Object>} props.riders - Normalized riders
+ */
+export default function DeliveryDetailsForm({ value, onChange, zones, riders }) {
+  const update = (changes) => onChange({ ...value, ...changes });
+  const activeZones = zones.filter(zone => zone.is_active);
+  const activeRiders = riders.filter(rider => rider.is_active);
+
+  return (
+    <div className="space-y-3 rounded-lg border border-gray-200 bg-gray-50 p-3">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Phone <span className="text-red-500">*</span>
+          </label>
+          <input type="tel" value={value.phone} onChange={(e) => update({ phone: e.target.value })} placeholder="03XX-XXXXXXX" className={inputClassName} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Customer Name</label>
+          <input type="text" value={value.name} onChange={(e) => update({ name: e.target.value })} className={inputClassName} />
+        </div>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Address <span className="text-red-500">*</span>
+        </label>
+        <textarea value={value.address} onChange={(e) => update({ address: e.target.value })} rows={2} placeholder="House, street, area, landmark" className={inputClassName} />
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Zone {activeZones.length > 0 && <span className="text-red-500">*</span>}
+          </label>
+          <select value={value.zone_id} onChange={(e) => update({ zone_id: e.target.value })} className={inputClassName}>
+            <option value="">{activeZones.length > 0 ? 'Select zone' : 'No zones set up'}</option>
+            {activeZones.map(zone => (
+              <option key={zone.zone_id} value={zone.zone_id}>{zone.name} ({formatPKR(zone.charge)})</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Rider</label>
+          <select value={value.rider_id} onChange={(e) => update({ rider_id: e.target.value })} className={inputClassName}>
+            <option value="">Assign later</option>
+            {activeRiders.map(rider => (
+              <option key={rider.rider_id} value={rider.rider_id}>{rider.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+    </div>
+  );
+}
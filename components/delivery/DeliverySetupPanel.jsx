@@ -0,0 +1,152 @@
+'use client';
+
+/**
+ * Delivery Setup Panel Component
+ * The branch's delivery zones with their charge, and its riders. Inactive zones and riders stay on
+ * past orders but are no longer offered on create-order.
+ */
+
+import { useState } from 'react';
+import { Pencil, Trash2 } from 'lucide-react';
+import Button from '@/components/ui/Button';
+import { deliveryZones, ridersManagement } from '@/utils/endpoints';
+import { formatPKR } from '@/utils/format';
+
+const inputClassName = 'block w-full px-3 py-2 border border-[#E0E0E0] rounded-lg text-sm text-gray-900 bg-white focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition';
+
+const EMPTY_ZONE = { zone_id: null, name: '', charge: '', is_active: true };
+const EMPTY_RIDER = { rider_id: null, name: '', phone: '', is_active: true };
+
+/**
+ * @param {Object} props
+ * @param {number|string} props.branchId - Branch
+ * @param {Array<Object>} props.zones - Normalized delivery zones
+ * @param {Array<Object>} props.riders - Normalized riders
+ * @param {Function} props.onChanged - Called after a zone or rider is saved or deleted
+ * @param {Function} props.onMessage - Called with { type, message } to show on the page
+ */
+export default function DeliverySetupPanel({ branchId, zones, riders, onChanged, onMessage }) {
+  const [zone, setZone] = useState(EMPTY_ZONE);
+  const [rider, setRider] = useState(EMPTY_RIDER);
+  const [saving, setSaving] = useState(false);
+
+  const run = async (action, successMessage, failureMessage) => {
+    setSaving(true);
+    try {
+      await action();
+      onMessage({ type: 'success', message: successMessage });
+      onChanged();
+      return true;
+    } catch (saveError) {
+      onMessage({ type: 'error', message: saveError.message || failureMessage });
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveZone = async (e) => {
+    e.preventDefault();
+    const charge = parseFloat(zone.charge);
+    if (!zone.name.trim() || isNaN(charge) || charge < 0) {
+      onMessage({ type: 'error', message: 'A zone needs a name and a delivery charge of 0 or more.' });
+      return;
+    }
+    const saved = await run(
+      () => deliveryZones.save({ ...zone, zone_id: zone.zone_id || undefined, name: zone.name.trim(), charge, branch_id: branchId }),
+      `Zone "${zone.name.trim()}" saved.`,
+      'Failed to save zone'
+    );
+    if (saved) setZone(EMPTY_ZONE);
+  };
+
+  const handleSaveRider = async (e) => {
+    e.preventDefault();
+    if (!rider.name.trim()) {
+      onMessage({ type: 'error', message: 'Rider name is required.' });
+      return;
+    }
+    const saved = await run(
+      () => ridersManagement.save({ ...rider, rider_id: rider.rider_id || undefined, name: rider.name.trim(), phone: rider.phone.trim(), branch_id: branchId }),
+      `Rider "${rider.name.trim()}" saved.`,
+      'Failed to save rider'
+    );
+    if (saved) setRider(EMPTY_RIDER);
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="bg-white rounded-lg shadow p-4 space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900">Delivery Zones</h2>
+        <form onSubmit={handleSaveZone} className="grid grid-cols-[1fr_8rem_auto] gap-2 items-center">
+          <input type="text" value={zone.name} onChange={(e) => setZone(prev => ({ ...prev, name: e.target.value }))} placeholder="Zone name" className={inputClassName} />
+          <input type="number" step="0.01" min="0" value={zone.charge} onChange={(e) => setZone(prev => ({ ...prev, charge: e.target.value }))} placeholder="Charge" className={inputClassName} />
+          <Button type="submit" disabled={saving}>{zone.zone_id ? 'Update' : 'Add'}</Button>
+          <label className="col-span-3 flex items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={zone.is_active} onChange={(e) => setZone(prev => ({ ...prev, is_active: e.target.checked }))} className="accent-[#FF5F15]" />
+            Active
+            {zone.zone_id && (
+              <button type="button" onClick={() => setZone(EMPTY_ZONE)} className="ml-auto text-[#FF5F15] hover:underline">Cancel edit</button>
+            )}
+          </label>
+        </form>
+        <div className="divide-y divide-gray-100 rounded-lg border border-gray-200">
+          {zones.length === 0 && <p className="px-3 py-2 text-sm text-gray-500">No zones yet.</p>}
+          {zones.map(option => (
+            <div key={option.zone_id} className="flex items-center gap-3 px-3 py-2 text-sm text-gray-900">
+              <span className={`flex-1 ${option.is_active ? '' : 'text-gray-400 line-through'}`}>{option.name}</span>
+              <span className="font-medium">{formatPKR(option.charge)}</span>
+              <button type="button" onClick={() => setZone({ ...option, charge: String(option.charge) })} className="p-1.5 text-gray-500 hover:text-[#FF5F15] rounded-lg" title="Edit zone">
+                <Pencil className="w-4 h-4" />
+              </button>
+              <button
+                type="button"
+                onClick={() => confirm(`Delete zone "${option.name}"?`) && run(() => deliveryZones.remove(option.zone_id), `Zone "${option.name}" deleted.`, 'Failed to delete zone')}
+                className="p-1.5 text-gray-500 hover:text-red-600 rounded-lg"
+                title="Delete zone"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4 space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900">Riders</h2>
+        <form onSubmit={handleSaveRider} className="grid grid-cols-[1fr_10rem_auto] gap-2 items-center">
+          <input type="text" value={rider.name} onChange={(e) => setRider(prev => ({ ...prev, name: e.target.value }))} placeholder="Rider name" className={inputClassName} />
+          <input type="tel" value={rider.phone} onChange={(e) => setRider(prev => ({ ...prev, phone: e.target.value }))} placeholder="Phone" className={inputClassName} />
+          <Button type="submit" disabled={saving}>{rider.rider_id ? 'Update' : 'Add'}</Button>
+          <label className="col-span-3 flex items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={rider.is_active} onChange={(e) => setRider(prev => ({ ...prev, is_active: e.target.checked }))} className="accent-[#FF5F15]" />
+            Active
+            {rider.rider_id && (
+              <button type="button" onClick={() => setRider(EMPTY_RIDER)} className="ml-auto text-[#FF5F15] hover:underline">Cancel edit</button>
+            )}
+          </label>
+        </form>
+        <div className="divide-y divide-gray-100 rounded-lg border border-gray-200">
+          {riders.length === 0 && <p className="px-3 py-2 text-sm text-gray-500">No riders yet.</p>}
+          {riders.map(option => (
+            <div key={option.rider_id} className="flex items-center gap-3 px-3 py-2 text-sm text-gray-900">
+              <span className={`flex-1 ${option.is_active ? '' : 'text-gray-400 line-through'}`}>{option.name}</span>
+              <span className="text-gray-500">{option.phone}</span>
+              <button type="button" onClick={() => setRider(option)} className="p-1.5 text-gray-500 hover:text-[#FF5F15] rounded-lg" title="Edit rider">
+                <Pencil className="w-4 h-4" />
+              </button>
+              <button
+                type="button"
+                onClick={() => confirm(`Delete rider "${option.name}"?`) && run(() => ridersManagement.remove(option.rider_id), `Rider "${option.name}" deleted.`, 'Failed to delete rider')}
+                className="p-1.5 text-gray-500 hover:text-red-600 rounded-lg"
+                title="Delete rider"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
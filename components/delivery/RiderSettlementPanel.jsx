@@ -0,0 +1,191 @@
+'use client';
+
+/**
+ * Rider Settlement Panel Component
+ * Cash each rider collected on delivered cash-on-delivery orders and has not handed in yet. Settling
+ * records what the rider handed over against those orders; any difference is kept as a shortfall
+ * and both show up on day-end.
+ */
+
+import { useEffect, useState } from 'react';
+import { Bike } from 'lucide-react';
+import Button from '@/components/ui/Button';
+import { deliveryManagement } from '@/utils/endpoints';
+import { getUnsettledCash } from '@/utils/delivery';
+import { formatDateTime, formatPKR } from '@/utils/format';
+import logger from '@/utils/logger';
+
+const inputClassName = 'block w-full px-3 py-2 border border-[#E0E0E0] rounded-lg text-sm text-gray-900 bg-white focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition';
+
+/**
+ * @param {Object} props
+ * @param {number|string} props.branchId - Branch
+ * @param {Array<Object>} props.deliveries - Normalized delivery orders of the business day
+ * @param {string} props.since - Start of the business day, 'YYYY-MM-DD HH:mm:ss'
+ * @param {Array<Object>} props.riders - Normalized riders
+ * @param {Function} props.onSettled - Called with a message after a settlement is recorded
+ * @param {Function} props.onMessage - Called with { type, message } to show on the page
+ */
+export default function RiderSettlementPanel({ branchId, deliveries, since, riders, onSettled, onMessage }) {
+  const [settlements, setSettlements] = useState([]);
+  const [reloadKey, setReloadKey] = useState(0); // Bumped after settling to reload the list
+
+  useEffect(() => {
+    if (!branchId || !since) return;
+    deliveryManagement.settlements({ branch_id: branchId, since })
+      .then(setSettlements)
+      .catch(loadError => onMessage({ type: 'error', message: loadError.message || 'Failed to load rider settlements' }));
+  }, [branchId, since, reloadKey, onMessage]);
+
+  const unsettled = getUnsettledCash(deliveries);
+  const riderName = (riderId) => riders.find(rider => String(rider.rider_id) === String(riderId))?.name || `Rider ${riderId}`;
+
+  return (
+    <div className="space-y-6">
+      {Object.keys(unsettled).length === 0 ? (
+        <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">No rider is holding cash.</div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          {Object.entries(unsettled).map(([riderId, entry]) => (
+            <RiderCashCard
+              // Re-keyed when the rider's orders change so the selection starts from all of them
+              key={`${riderId}:${entry.orders.map(order => order.order_id).join(',')}`}
+              branchId={branchId}
+              riderId={riderId}
+              riderName={riderName(riderId)}
+              orders={entry.orders}
+              onSettled={(message) => {
+                setReloadKey(key => key + 1);
+                onSettled(message);
+              }}
+              onMessage={onMessage}
+            />
+          ))}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <h2 className="px-4 py-3 text-lg font-semibold text-gray-900 border-b border-gray-100">Settled Since Last Day End</h2>
+        {settlements.length === 0 ? (
+          <p className="p-4 text-sm text-gray-500">No settlements yet.</p>
+        ) : (
+          <table className="w-full text-sm text-gray-900">
+            <thead className="bg-gray-50 text-left text-xs uppercase text-gray-500">
+              <tr>
+                <th className="px-4 py-2">Time</th>
+                <th className="px-4 py-2">Rider</th>
+                <th className="px-4 py-2 text-right">Expected</th>
+                <th className="px-4 py-2 text-right">Received</th>
+                <th className="px-4 py-2 text-right">Short</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {settlements.map(settlement => (
+                <tr key={settlement.settlement_id || settlement.id}>
+                  <td className="px-4 py-2">{formatDateTime(settlement.created_at)}</td>
+                  <td className="px-4 py-2">{riderName(settlement.rider_id)}</td>
+                  <td className="px-4 py-2 text-right">{formatPKR(settlement.expected_amount)}</td>
+                  <td className="px-4 py-2 text-right">{formatPKR(settlement.amount_received)}</td>
+                  <td className={`px-4 py-2 text-right ${parseFloat(settlement.short_amount) > 0 ? 'text-red-600 font-medium' : ''}`}>
+                    {formatPKR(settlement.short_amount || 0)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function RiderCashCard({ branchId, riderId, riderName, orders, onSettled, onMessage }) {
+  const [selectedIds, setSelectedIds] = useState(() => orders.map(order => String(order.order_id)));
+  const expected = orders
+    .filter(order => selectedIds.includes(String(order.order_id)))
+    .reduce((sum, order) => sum + order.grand_total, 0);
+  const [received, setReceived] = useState(() => expected.toFixed(2));
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const receivedAmount = parseFloat(received) || 0;
+  const short = expected - receivedAmount;
+
+  const toggleOrder = (orderId) => {
+    const next = selectedIds.includes(orderId) ? selectedIds.filter(id => id !== orderId) : [...selectedIds, orderId];
+    setSelectedIds(next);
+    setReceived(
+      orders
+        .filter(order => next.includes(String(order.order_id)))
+        .reduce((sum, order) => sum + order.grand_total, 0)
+        .toFixed(2)
+    );
+  };
+
+  const handleSettle = async () => {
+    if (selectedIds.length === 0) return;
+    if (short > 0 && !note.trim()) {
+      onMessage({ type: 'error', message: `${riderName} is ${formatPKR(short)} short - add a note explaining the shortfall.` });
+      return;
+    }
+    setSaving(true);
+    try {
+      await deliveryManagement.settle({
+        branchId,
+        riderId,
+        orderIds: selectedIds.map(Number),
+        amountReceived: receivedAmount,
+        note: note.trim(),
+      });
+      logger.success('Rider cash settled', { riderId, orders: selectedIds.length, expected, received: receivedAmount });
+      onSettled(`Settled ${formatPKR(receivedAmount)} from ${riderName}${short > 0 ? ` (${formatPKR(short)} short)` : ''}.`);
+    } catch (settleError) {
+      onMessage({ type: 'error', message: settleError.message || 'Failed to settle rider cash' });
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="flex items-center gap-2 font-semibold text-gray-900">
+          <Bike className="w-4 h-4 text-[#FF5F15]" />
+          {riderName}
+        </h3>
+        <span className="text-sm text-gray-600">Holding {formatPKR(orders.reduce((sum, order) => sum + order.grand_total, 0))}</span>
+      </div>
+
+      <div className="divide-y divide-gray-100 rounded-lg border border-gray-200">
+        {orders.map(order => (
+          <label key={order.order_id} className="flex items-center gap-3 px-3 py-2 text-sm text-gray-900 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={selectedIds.includes(String(order.order_id))}
+              onChange={() => toggleOrder(String(order.order_id))}
+              className="accent-[#FF5F15]"
+            />
+            <span className="flex-1 truncate">#{order.orderid} · {order.delivery_name || order.delivery_phone}</span>
+            <span className="font-medium">{formatPKR(order.grand_total)}</span>
+          </label>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Cash Received</label>
+          <input type="number" step="0.01" min="0" value={received} onChange={(e) => setReceived(e.target.value)} className={inputClassName} />
+        </div>
+        <div className="text-sm text-gray-700 self-end pb-2">
+          Expected {formatPKR(expected)}
+          {short > 0 && <span className="block text-red-600 font-medium">Short {formatPKR(short)}</span>}
+          {short < 0 && <span className="block text-green-700 font-medium">Over {formatPKR(-short)}</span>}
+        </div>
+      </div>
+      <input type="text" value={note} onChange={(e) => setNote(e.target.value)} placeholder="Note (required when short)" className={inputClassName} />
+
+      <Button onClick={handleSettle} disabled={saving || selectedIds.length === 0} className="w-full">
+        {saving ? 'Settling...' : `Settle ${selectedIds.length} Order${selectedIds.length === 1 ? '' : 's'}`}
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,174 @@
+'use client';
+
+/**
+ * Floor Plan Editor Component
+ * Lays out one hall's tables: drag a table to move it, select it to change its shape and seats.
+ * Positions are kept as percentages so the plan scales with the screen it is shown on.
+ */
+
+import { useRef, useState } from 'react';
+import { Save, Users } from 'lucide-react';
+import Button from '@/components/ui/Button';
+import Alert from '@/components/ui/Alert';
+import { tablesManagement } from '@/utils/endpoints';
+import { broadcastUpdate, UPDATE_EVENTS } from '@/utils/dashboardSync';
+import { TABLE_SHAPES, getShapeClassName, toLayoutPayload } from '@/utils/floorPlan';
+import logger from '@/utils/logger';
+
+const inputClassName = 'block w-full px-3 py-2 border border-[#E0E0E0] rounded-lg text-sm text-gray-900 bg-white focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.hall - Hall being edited ({ hall_id, name })
+ * @param {Array<Object>} props.tables - The hall's tables, normalized by normalizeFloorTables
+ * @param {number|string} props.branchId - Branch the hall belongs to
+ * @param {Function} props.onSaved - Called after the layout is saved
+ */
+export default function FloorPlanEditor({ hall, tables, branchId, onSaved }) {
+  if (!hall) return null;
+
+  // Keyed by hall so switching halls discards unsaved moves
+  return <FloorPlan key={hall.hall_id} hall={hall} tables={tables} branchId={branchId} onSaved={onSaved} />;
+}
+
+function FloorPlan({ hall, tables, branchId, onSaved }) {
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const [layout, setLayout] = useState(tables);
+  const [selectedId, setSelectedId] = useState(null);
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  const selected = layout.find(table => table.table_id === selectedId) || null;
+
+  const updateTable = (tableId, changes) => {
+    setLayout(prev => prev.map(table => (table.table_id === tableId ? { ...table, ...changes } : table)));
+    setDirty(true);
+  };
+
+  const handlePointerDown = (e, table) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const rect = canvasRef.current.getBoundingClientRect();
+    // Remember where inside the table it was grabbed so it does not jump to the pointer
+    dragRef.current = {
+      tableId: table.table_id,
+      offsetX: e.clientX - (rect.left + (table.pos_x / 100) * rect.width),
+      offsetY: e.clientY - (rect.top + (table.pos_y / 100) * rect.height),
+    };
+    setSelectedId(table.table_id);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const rect = canvasRef.current.getBoundingClientRect();
+    const clamp = (value) => Math.min(100, Math.max(0, value));
+    updateTable(drag.tableId, {
+      pos_x: clamp(((e.clientX - drag.offsetX - rect.left) / rect.width) * 100),
+      pos_y: clamp(((e.clientY - drag.offsetY - rect.top) / rect.height) * 100),
+    });
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await tablesManagement.saveLayout({ branch_id: branchId, hall_id: hall.hall_id, tables: toLayoutPayload(layout) });
+      logger.success('Floor plan saved', { hallId: hall.hall_id, tables: layout.length });
+      broadcastUpdate(UPDATE_EVENTS.TABLE_UPDATED, { hall_id: hall.hall_id, branch_id: branchId });
+      setDirty(false);
+      setMessage({ type: 'success', text: `Floor plan for ${hall.name || 'this hall'} saved.` });
+      if (onSaved) onSaved();
+    } catch (saveError) {
+      logger.error('Floor plan save failed', { hallId: hall.hall_id, error: saveError.message });
+      setMessage({ type: 'error', text: saveError.message || 'Failed to save floor plan' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {message.text && <Alert type={message.type} message={message.text} onClose={() => setMessage({ type: '', text: '' })} />}
+
+      <div className="flex flex-col lg:flex-row gap-4">
+        <div
+          ref={canvasRef}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerDown={(e) => {
+            if (e.target === e.currentTarget) setSelectedId(null);
+          }}
+          className="relative flex-1 min-h-[420px] aspect-[16/10] rounded-xl border-2 border-dashed border-gray-300 bg-[repeating-linear-gradient(0deg,#f9fafb,#f9fafb_39px,#f3f4f6_40px)] touch-none select-none overflow-hidden"
+        >
+          {layout.length === 0 && (
+            <p className="absolute inset-0 flex items-center justify-center text-sm text-gray-500">
+              No tables in this hall yet. Add them from the list view.
+            </p>
+          )}
+          {layout.map(table => (
+            <div
+              key={table.table_id}
+              onPointerDown={(e) => handlePointerDown(e, table)}
+              style={{ left: `${table.pos_x}%`, top: `${table.pos_y}%` }}
+              className={`absolute -translate-x-1/2 -translate-y-1/2 flex flex-col items-center justify-center border-2 bg-white shadow-sm cursor-grab active:cursor-grabbing ${getShapeClassName(table.shape)} ${
+                table.table_id === selectedId ? 'border-[#FF5F15] ring-2 ring-orange-200' : 'border-gray-400'
+              }`}
+            >
+              <span className="text-sm font-bold text-gray-900">{table.table_number || table.table_id}</span>
+              <span className="flex items-center gap-0.5 text-xs text-gray-500">
+                <Users className="w-3 h-3" />
+                {table.capacity}
+              </span>
+            </div>
+          ))}
+        </div>
+
+        <div className="lg:w-64 space-y-4">
+          {selected ? (
+            <div className="bg-white border border-gray-200 rounded-lg p-4 space-y-3">
+              <h3 className="text-sm font-semibold text-gray-900">Table {selected.table_number || selected.table_id}</h3>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1.5">Shape</label>
+                <select
+                  value={selected.shape}
+                  onChange={(e) => updateTable(selected.table_id, { shape: e.target.value })}
+                  className={inputClassName}
+                >
+                  {TABLE_SHAPES.map(shape => (
+                    <option key={shape.value} value={shape.value}>{shape.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1.5">Seats</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={selected.capacity}
+                  onChange={(e) => updateTable(selected.table_id, { capacity: e.target.value })}
+                  className={inputClassName}
+                />
+              </div>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">
+              Drag tables to where they stand in {hall.name || 'the hall'}. Select a table to change its shape or seats.
+            </p>
+          )}
+
+          <Button onClick={handleSave} disabled={saving || !dirty} className="w-full flex items-center justify-center gap-2">
+            <Save className="w-4 h-4" />
+            {saving ? 'Saving...' : 'Save Layout'}
+          </Button>
+          {dirty && <p className="text-xs text-amber-700">You have unsaved changes.</p>}
+        </div>
+      </div>
+    </div>
+  );
+}
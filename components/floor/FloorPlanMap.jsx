@@ -0,0 +1,101 @@
+'use client';
+
+/**
+ * Floor Plan Map Component
+ * Live, read-only view of a branch's floor plan for create-order. Tables are colored by their
+ * live status and show how long the running order has been open; tapping one hands it to the page.
+ */
+
+import { useEffect, useState } from 'react';
+import { Users } from 'lucide-react';
+import { FLOOR_STATUSES, formatElapsed, getFloorStatus, getShapeClassName } from '@/utils/floorPlan';
+
+const TICK_INTERVAL_MS = 30 * 1000;
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.halls - [{ hall_id, name }]
+ * @param {Array<Object>} props.tables - Tables normalized by normalizeFloorTables
+ * @param {number|string} props.hallId - Hall shown
+ * @param {Function} props.onHallChange - Called with the hall_id of the tab picked
+ * @param {number|string} props.selectedTableId - Table highlighted as chosen for the new order
+ * @param {Function} props.onTableClick - Called with (table, floorStatus)
+ */
+export default function FloorPlanMap({ halls, tables, hallId, onHallChange, selectedTableId, onTableClick }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), TICK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const hallTables = tables.filter(table => String(table.hall_id) === String(hallId));
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2">
+        {halls.map(hall => (
+          <button
+            key={hall.hall_id}
+            type="button"
+            onClick={() => onHallChange(hall.hall_id)}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+              String(hall.hall_id) === String(hallId) ? 'bg-[#FF5F15] text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {hall.name || `Hall ${hall.hall_id}`}
+          </button>
+        ))}
+      </div>
+
+      <div className="relative w-full aspect-[16/10] rounded-xl border border-gray-200 bg-gray-50 overflow-hidden">
+        {hallTables.length === 0 && (
+          <p className="absolute inset-0 flex items-center justify-center text-sm text-gray-500">
+            {hallId ? 'No tables in this hall.' : 'Select a hall.'}
+          </p>
+        )}
+        {hallTables.map(table => {
+          const floorStatus = getFloorStatus(table);
+          const elapsed = floorStatus === 'occupied' || floorStatus === 'bill_printed'
+            ? formatElapsed(table.current_order?.created_at, now)
+            : '';
+          const isSelected = String(table.table_id) === String(selectedTableId);
+          return (
+            <button
+              key={table.table_id}
+              type="button"
+              onClick={() => onTableClick(table, floorStatus)}
+              disabled={floorStatus === 'unavailable'}
+              style={{ left: `${table.pos_x}%`, top: `${table.pos_y}%` }}
+              title={FLOOR_STATUSES[floorStatus].label}
+              className={`absolute -translate-x-1/2 -translate-y-1/2 flex flex-col items-center justify-center border-2 shadow-sm transition-transform hover:scale-105 disabled:cursor-not-allowed disabled:hover:scale-100 ${getShapeClassName(table.shape)} ${FLOOR_STATUSES[floorStatus].className} ${
+                isSelected ? 'ring-4 ring-[#FF5F15]/40' : ''
+              }`}
+            >
+              <span className="text-sm font-bold">{table.table_number || table.table_id}</span>
+              {elapsed ? (
+                <span className="text-xs font-medium">{elapsed}</span>
+              ) : table.reservation ? (
+                <span className="text-xs font-medium">{table.reservation.reservation_time}</span>
+              ) : (
+                <span className="flex items-center gap-0.5 text-xs opacity-75">
+                  <Users className="w-3 h-3" />
+                  {table.capacity}
+                </span>
+              )}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+        {Object.entries(FLOOR_STATUSES).map(([key, status]) => (
+          <span key={key} className="flex items-center gap-1.5">
+            <span className={`w-3 h-3 rounded border-2 ${status.className}`} />
+            {status.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
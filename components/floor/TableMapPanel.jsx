@@ -0,0 +1,243 @@
+'use client';
+
+/**
+ * Table Map Panel Component
+ * Live floor map for create-order. A free table is picked for the new order, an occupied table
+ * shows its running order, a table held for a booking can seat that booking, and a table waiting
+ * to be cleaned can be marked clean and then picked.
+ */
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import Modal from '@/components/ui/Modal';
+import Button from '@/components/ui/Button';
+import Alert from '@/components/ui/Alert';
+import FloorPlanMap from '@/components/floor/FloorPlanMap';
+import { useFloorTables } from '@/hooks/useFloorTables';
+import { useReservations } from '@/hooks/useReservations';
+import { getOrdersById, tablesManagement } from '@/utils/endpoints';
+import { getTerminal } from '@/utils/api';
+import { broadcastUpdate, UPDATE_EVENTS } from '@/utils/dashboardSync';
+import { FLOOR_STATUSES, formatElapsed } from '@/utils/floorPlan';
+import { applyReservationHolds, getTodayDate, seatGuest } from '@/utils/reservations';
+import { formatPKR } from '@/utils/format';
+import logger from '@/utils/logger';
+
+/**
+ * @param {Object} props
+ * @param {number|string} props.branchId - Branch whose floor is shown
+ * @param {number|string} props.selectedTableId - Table already chosen for the new order
+ * @param {Function} props.onSelectTable - Called with the table picked for a new order, and the seating when a booking was seated there
+ * @param {string} [props.ordersPath] - Orders page of the current role, linked from a running order
+ */
+export default function TableMapPanel({ branchId, selectedTableId, onSelectTable, ordersPath }) {
+  const { halls, tables: floorTables, loading, error, refresh } = useFloorTables(branchId);
+  const { reservations } = useReservations(branchId, getTodayDate());
+  const tables = applyReservationHolds(floorTables, reservations);
+  const [hallId, setHallId] = useState('');
+  const [openTable, setOpenTable] = useState(null); // { table, floorStatus }
+
+  const shownHallId = hallId || halls[0]?.hall_id || '';
+
+  const handleTableClick = (table, floorStatus) => {
+    if (floorStatus === 'free' || (floorStatus === 'reserved' && !table.reservation)) {
+      onSelectTable(table);
+      return;
+    }
+    setOpenTable({ table, floorStatus });
+  };
+
+  if (!branchId) return null;
+
+  return (
+    <div className="space-y-3">
+      {error && <Alert type="error" message={error} />}
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading floor plan...</p>
+      ) : (
+        <FloorPlanMap
+          halls={halls}
+          tables={tables}
+          hallId={shownHallId}
+          onHallChange={setHallId}
+          selectedTableId={selectedTableId}
+          onTableClick={handleTableClick}
+        />
+      )}
+
+      <TableDetailsModal
+        entry={openTable}
+        branchId={branchId}
+        ordersPath={ordersPath}
+        onClose={() => setOpenTable(null)}
+        onSelect={(table, seating) => {
+          setOpenTable(null);
+          refresh();
+          onSelectTable(table, seating || null);
+        }}
+      />
+    </div>
+  );
+}
+
+function TableDetailsModal({ entry, branchId, ordersPath, onClose, onSelect }) {
+  if (!entry) return null;
+
+  // Keyed by table so each tap loads that table's order afresh
+  return (
+    <TableDetails
+      key={entry.table.table_id}
+      table={entry.table}
+      floorStatus={entry.floorStatus}
+      branchId={branchId}
+      ordersPath={ordersPath}
+      onClose={onClose}
+      onSelect={onSelect}
+    />
+  );
+}
+
+function TableDetails({ table, floorStatus, branchId, ordersPath, onClose, onSelect }) {
+  const currentOrder = table.current_order;
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(Boolean(currentOrder));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!currentOrder) return undefined;
+    let cancelled = false;
+    getOrdersById({ orderId: currentOrder.order_id, orderNumber: currentOrder.orderid })
+      .then(details => {
+        if (!cancelled) setItems(details.items);
+      })
+      .catch(loadError => {
+        if (!cancelled) setError(loadError.message || 'Failed to load the running order');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [currentOrder]);
+
+  const handleMarkClean = async () => {
+    setSaving(true);
+    try {
+      await tablesManagement.setStatus(table, 'available', { terminal: getTerminal(), branch_id: branchId });
+      logger.success('Table marked clean', { tableId: table.table_id });
+      broadcastUpdate(UPDATE_EVENTS.TABLE_UPDATED, { table_ids: [table.table_id], branch_id: branchId });
+      onSelect(table);
+    } catch (saveError) {
+      logger.error('Marking table clean failed', { tableId: table.table_id, error: saveError.message });
+      setError(saveError.message || 'Failed to update table');
+      setSaving(false);
+    }
+  };
+
+  const handleSeatReservation = async () => {
+    setSaving(true);
+    try {
+      const seating = await seatGuest({ reservation: table.reservation, table, branchId, terminal: getTerminal() });
+      logger.success('Reservation seated', { reservationId: table.reservation.reservation_id, tableId: table.table_id });
+      onSelect(table, seating);
+    } catch (seatError) {
+      logger.error('Seating reservation failed', { reservationId: table.reservation.reservation_id, error: seatError.message });
+      setError(seatError.message || 'Failed to seat reservation');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen onClose={onClose} title={`Table ${table.table_number || table.table_id}`} size="md">
+      <div className="space-y-4 text-gray-900">
+        {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+
+        <div className="flex items-center justify-between text-sm">
+          <span className={`px-2 py-1 rounded-full border text-xs font-medium ${FLOOR_STATUSES[floorStatus].className}`}>
+            {FLOOR_STATUSES[floorStatus].label}
+          </span>
+          <span className="text-gray-600">{table.capacity} seats</span>
+        </div>
+
+        {floorStatus === 'reserved' && table.reservation ? (
+          <>
+            <p className="text-sm text-gray-600">
+              Held for <span className="font-semibold text-gray-900">{table.reservation.guest_name}</span>, party of{' '}
+              {table.reservation.party_size} at {table.reservation.reservation_time}
+              {table.reservation.phone ? ` · ${table.reservation.phone}` : ''}
+            </p>
+            <div className="flex gap-3">
+              <Button variant="secondary" onClick={onClose} className="flex-1">Close</Button>
+              <Button onClick={handleSeatReservation} disabled={saving} className="flex-1">
+                {saving ? 'Seating...' : 'Seat Reservation Here'}
+              </Button>
+            </div>
+          </>
+        ) : floorStatus === 'cleaning' ? (
+          <>
+            <p className="text-sm text-gray-600">
+              This table was paid and is waiting to be cleared. Mark it clean to seat new guests.
+            </p>
+            <div className="flex gap-3">
+              <Button variant="secondary" onClick={onClose} className="flex-1">Cancel</Button>
+              <Button onClick={handleMarkClean} disabled={saving} className="flex-1">
+                {saving ? 'Saving...' : 'Mark Clean & Select'}
+              </Button>
+            </div>
+          </>
+        ) : currentOrder ? (
+          <>
+            <div className="flex justify-between text-sm">
+              <span className="font-semibold">{currentOrder.orderid || `ORD-${currentOrder.order_id}`}</span>
+              <span className="text-gray-600">
+                {currentOrder.order_status}
+                {formatElapsed(currentOrder.created_at) ? ` · ${formatElapsed(currentOrder.created_at)}` : ''}
+              </span>
+            </div>
+            {loading ? (
+              <p className="text-sm text-gray-500">Loading items...</p>
+            ) : (
+              <div className="divide-y divide-gray-100 rounded-lg border border-gray-200 max-h-64 overflow-y-auto">
+                {items.map((item, index) => (
+                  <div key={item.order_item_id ?? index} className="flex justify-between px-3 py-2 text-sm">
+                    <span>{item.quantity ?? item.qty ?? 1} × {item.dish_name || item.name || 'Item'}</span>
+                    <span className="text-gray-600">{item.kitchen_status || ''}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="flex justify-between text-sm font-semibold">
+              <span>Total</span>
+              <span>{formatPKR(currentOrder.total || 0)}</span>
+            </div>
+            <div className="flex gap-3">
+              <Button variant="secondary" onClick={onClose} className="flex-1">Close</Button>
+              {ordersPath && (
+                <Link
+                  href={ordersPath}
+                  className="flex-1 inline-flex items-center justify-center px-4 py-2 rounded-lg bg-[#FF5F15] text-white font-medium hover:bg-[#FF4A00] transition"
+                >
+                  Open in Orders
+                </Link>
+              )}
+            </div>
+          </>
+        ) : (
+          <>
+            <p className="text-sm text-gray-600">
+              {floorStatus === 'unavailable' ? 'This table is out of service.' : 'This table is marked occupied but has no open order.'}
+            </p>
+            <div className="flex gap-3">
+              <Button variant="secondary" onClick={onClose} className="flex-1">Close</Button>
+              {floorStatus === 'occupied' && (
+                <Button onClick={() => onSelect(table)} className="flex-1">Start New Order Here</Button>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,212 @@
+'use client';
+
+/**
+ * Expediter Display Component
+ * Full-screen pass view across every kitchen: one card per order with its items grouped by kitchen.
+ * Orders whose items are all Ready are highlighted and listed first; Served hands the whole order over.
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { Bell, CheckCircle, Clock, ConciergeBell, X } from 'lucide-react';
+import { changeOrderStatus } from '@/utils/endpoints';
+import { getTerminal } from '@/utils/api';
+import { broadcastUpdate, UPDATE_EVENTS } from '@/utils/dashboardSync';
+import { useExpediterOrders } from '@/hooks/useExpediterOrders';
+import { formatElapsed } from '@/utils/kds';
+import {
+  PASS_FILTERS,
+  SERVED_ORDER_STATUS,
+  countOrderItems,
+  getActivePassOrders,
+  isOrderReady,
+} from '@/utils/expediter';
+
+const ITEM_STATUS_CLASSES = {
+  Pending: 'bg-gray-700 text-gray-200',
+  Preparing: 'bg-sky-800 text-sky-100',
+  Ready: 'bg-green-700 text-white',
+  Completed: 'bg-gray-800 text-gray-500 line-through',
+  Voided: 'bg-red-900 text-red-200 line-through',
+};
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.kitchens - Kitchens feeding the pass (kitchen_id, title, branch_id)
+ * @param {number|string} props.branchId - Branch for kitchens without their own branch_id
+ * @param {Function} props.onExit - Leave the expediter view
+ */
+export default function ExpediterDisplay({ kitchens, branchId, onExit }) {
+  const { orders, loading, error, refresh } = useExpediterOrders(kitchens, branchId);
+  const [now, setNow] = useState(() => Date.now());
+  const [filter, setFilter] = useState('all');
+  // Orders served from this screen stay hidden until the kitchens' lists catch up
+  const [servedIds, setServedIds] = useState([]);
+  const [servingId, setServingId] = useState(null);
+  const [actionError, setActionError] = useState('');
+
+  const passOrders = useMemo(() => getActivePassOrders(orders)
+    .filter(order => !servedIds.includes(String(order.order_id)))
+    .map(order => ({ ...order, ready: isOrderReady(order), counts: countOrderItems(order) }))
+    // Ready orders first so they leave the pass quickly; oldest first within each group
+    .sort((a, b) => Number(b.ready) - Number(a.ready) || a.started_at - b.started_at), [orders, servedIds]);
+
+  const readyCount = passOrders.filter(order => order.ready).length;
+  const visibleOrders = passOrders.filter(order => (
+    filter === 'all' || (filter === 'ready' ? order.ready : !order.ready)
+  ));
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onExit();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onExit]);
+
+  const markServed = async (order) => {
+    setServingId(order.order_id);
+    setActionError('');
+    try {
+      await changeOrderStatus({
+        orderId: order.order_id,
+        orderNumber: order.orderid,
+        status: SERVED_ORDER_STATUS,
+        extra: { terminal: getTerminal() },
+      });
+      setServedIds(prev => [...prev, String(order.order_id)]);
+      broadcastUpdate(UPDATE_EVENTS.ORDER_STATUS_CHANGED, {
+        order_id: order.order_id,
+        status: SERVED_ORDER_STATUS,
+        branch_id: order.branch_id || branchId,
+      });
+    } catch (serveError) {
+      setActionError(serveError.message || 'Failed to mark the order served');
+    } finally {
+      setServingId(null);
+      refresh();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex flex-col bg-gray-900 text-white">
+      {/* Top bar */}
+      <div className="flex flex-wrap items-center gap-3 px-4 py-3 bg-gray-950 border-b border-gray-800">
+        <ConciergeBell className="w-6 h-6 text-[#FF5F15]" />
+        <h1 className="text-xl font-bold">Expediter</h1>
+        <span className="text-sm text-gray-400">
+          {kitchens.length} {kitchens.length === 1 ? 'kitchen' : 'kitchens'} · {passOrders.length} {passOrders.length === 1 ? 'order' : 'orders'}
+        </span>
+        {readyCount > 0 && (
+          <span className="flex items-center gap-1 px-2 py-1 rounded bg-green-700 text-xs font-semibold">
+            <Bell className="w-3 h-3" />
+            {readyCount} ready for pickup
+          </span>
+        )}
+        <div className="flex items-center gap-1 ml-2">
+          {PASS_FILTERS.map(option => (
+            <button
+              key={option.id}
+              type="button"
+              onClick={() => setFilter(option.id)}
+              className={`px-3 py-1.5 rounded-lg text-sm ${filter === option.id ? 'bg-[#FF5F15] font-semibold' : 'bg-gray-800 hover:bg-gray-700'}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <div className="ml-auto flex items-center gap-2">
+          <span className="flex items-center gap-1 text-lg font-mono text-gray-300">
+            <Clock className="w-4 h-4" />
+            {new Date(now).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+          </span>
+          <button
+            type="button"
+            onClick={onExit}
+            className="flex items-center gap-1 px-3 py-2 rounded-lg bg-[#FF5F15] hover:bg-[#e54e0a] text-sm font-medium"
+            title="Leave expediter (Esc)"
+          >
+            <X className="w-4 h-4" />
+            Exit
+          </button>
+        </div>
+      </div>
+
+      {(error || actionError) && (
+        <div className="px-4 py-2 bg-red-900 text-sm text-red-100">{actionError || error}</div>
+      )}
+
+      {/* Orders */}
+      <div className="flex-1 overflow-y-auto p-4">
+        {loading ? (
+          <p className="text-center text-gray-400 py-16">Loading orders...</p>
+        ) : visibleOrders.length === 0 ? (
+          <div className="text-center text-gray-500 py-24">
+            <ConciergeBell className="w-16 h-16 mx-auto mb-4 opacity-40" />
+            <p className="text-xl font-semibold">Nothing at the pass</p>
+            <p className="text-sm mt-1">Orders appear here as soon as any kitchen receives them.</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4 items-start">
+            {visibleOrders.map(order => (
+              <div
+                key={order.order_id}
+                className={`rounded-xl border-4 overflow-hidden ${order.ready ? 'border-green-500 bg-green-950 shadow-lg shadow-green-900/50' : 'border-gray-700 bg-gray-800'}`}
+              >
+                <div className={`flex items-start justify-between gap-2 px-3 py-2 ${order.ready ? 'bg-green-700' : 'bg-gray-700'}`}>
+                  <div>
+                    <p className="text-lg font-bold leading-tight">#{order.orderid}</p>
+                    <p className="text-xs opacity-90">
+                      {[order.order_type, order.table_number && `Table ${order.table_number}`, order.hall_name].filter(Boolean).join(' · ')}
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <p className="text-2xl font-mono font-bold tabular-nums">{formatElapsed(now - order.started_at)}</p>
+                    <p className="text-xs opacity-90">{order.counts.ready}/{order.counts.total} ready</p>
+                  </div>
+                </div>
+
+                {order.kitchens.map(kitchen => (
+                  <div key={kitchen.kitchen_id} className="border-t border-gray-700">
+                    <p className="px-3 pt-2 text-xs font-semibold uppercase tracking-wide text-gray-400">{kitchen.title}</p>
+                    <ul className="px-3 pb-2 space-y-1">
+                      {kitchen.items.map(item => (
+                        <li key={item.id} className="flex items-center gap-2 text-sm">
+                          <span className="tabular-nums font-semibold">{item.quantity}×</span>
+                          <span className="flex-1">{item.dish_name}</span>
+                          <span className={`px-2 py-0.5 rounded text-xs ${ITEM_STATUS_CLASSES[item.status] || 'bg-gray-700 text-gray-200'}`}>
+                            {item.status}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+
+                {order.order_comments && (
+                  <p className="px-3 py-2 text-xs text-amber-200 bg-amber-900/40">{order.order_comments}</p>
+                )}
+
+                {order.ready && (
+                  <button
+                    type="button"
+                    onClick={() => markServed(order)}
+                    disabled={servingId !== null}
+                    className="w-full flex items-center justify-center gap-2 py-3 bg-green-600 hover:bg-green-500 disabled:opacity-50 text-sm font-bold tracking-wide uppercase"
+                  >
+                    <CheckCircle className="w-4 h-4" />
+                    {servingId === order.order_id ? 'Marking served...' : 'Served'}
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,365 @@
+'use client';
+
+/**
+ * Kitchen Display Component
+ * Full-screen KDS for one kitchen: every open ticket as a card with a running timer, colored by the
+ * screen's SLA thresholds. Staff bump a whole ticket to Ready, recall the last bumped tickets, and can
+ * drive everything from the keyboard or a bump bar (see KDS_SHORTCUTS).
+ */
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { ChefHat, Clock, Keyboard, RotateCcw, Settings, X } from 'lucide-react';
+import { kitchenOrders } from '@/utils/endpoints';
+import { getTerminal } from '@/utils/api';
+import { broadcastUpdate, UPDATE_EVENTS } from '@/utils/dashboardSync';
+import { useKitchenTickets } from '@/hooks/useKitchenTickets';
+import {
+  KDS_SHORTCUTS,
+  SLA_LEVELS,
+  formatElapsed,
+  getBumpableItems,
+  getOpenTickets,
+  getSlaLevel,
+  getSlaSettings,
+  saveSlaSettings,
+} from '@/utils/kds';
+import { formatModifierSummary, getItemModifiers } from '@/utils/modifiers';
+import { formatComboComponents, getItemComponents } from '@/utils/combos';
+import { isRefired } from '@/utils/itemVoids';
+
+// Bumped tickets kept for recall
+const MAX_RECALL = 10;
+
+const ITEM_STATUS_CLASSES = {
+  Pending: 'text-white',
+  Preparing: 'text-sky-300',
+  Ready: 'text-green-400 line-through',
+  Completed: 'text-gray-500 line-through',
+  Voided: 'text-red-400 line-through',
+};
+
+// Tapping an item moves it one step; Ready and beyond are left to the pass
+const NEXT_ITEM_STATUS = { Pending: 'Preparing', Preparing: 'Ready' };
+
+const inputClassName = 'w-20 px-2 py-1 rounded bg-gray-700 border border-gray-600 text-white text-sm focus:outline-none focus:ring-2 focus:ring-[#FF5F15]';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.kitchen - Kitchen shown (kitchen_id, title)
+ * @param {number|string} props.branchId - Kitchen's branch
+ * @param {Function} props.onExit - Leave the KDS
+ */
+export default function KitchenDisplay({ kitchen, branchId, onExit }) {
+  const { tickets, loading, error, refresh } = useKitchenTickets(kitchen.kitchen_id, branchId);
+  const [now, setNow] = useState(() => Date.now());
+  const [sla, setSla] = useState(getSlaSettings);
+  const [slaForm, setSlaForm] = useState(null); // null while the settings panel is closed
+  const [selectedId, setSelectedId] = useState(null);
+  const [recallStack, setRecallStack] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [actionError, setActionError] = useState('');
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const keyHandlerRef = useRef(null);
+
+  const openTickets = useMemo(() => getOpenTickets(tickets), [tickets]);
+  const selectedIndex = Math.max(0, openTickets.findIndex(ticket => ticket.order_id === selectedId));
+  const selectedTicket = openTickets[selectedIndex] || null;
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Kitchen screens run full screen; browsers that refuse just keep the fixed overlay
+  useEffect(() => {
+    document.documentElement.requestFullscreen?.().catch(() => {});
+    return () => {
+      if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+    };
+  }, []);
+
+  /**
+   * Set several items' status, then let every screen know
+   * @param {Array<{ id: number, status: string }>} updates - Item ids with their new status
+   * @param {Object} ticket - Ticket the items belong to
+   */
+  const setItemStatuses = async (updates, ticket) => {
+    setBusy(true);
+    setActionError('');
+    try {
+      const terminal = getTerminal();
+      await Promise.all(updates.map(update => kitchenOrders.updateItemStatus({
+        itemId: update.id,
+        status: update.status,
+        terminal,
+        branchId,
+      })));
+      broadcastUpdate(UPDATE_EVENTS.KITCHEN_ITEM_UPDATED, {
+        order_id: ticket.order_id,
+        orderid: ticket.orderid,
+        table_number: ticket.table_number || '',
+        kitchen_id: kitchen.kitchen_id,
+        branch_id: branchId,
+        item_ids: updates.map(update => update.id),
+        // Set when every item moved to the same status (a bump is always Ready)
+        status: updates.every(update => update.status === updates[0].status) ? updates[0].status : null,
+      });
+      return true;
+    } catch (updateError) {
+      setActionError(updateError.message || 'Failed to update items');
+      return false;
+    } finally {
+      setBusy(false);
+      refresh();
+    }
+  };
+
+  const bumpTicket = async (ticket) => {
+    if (!ticket || busy) return;
+    const items = getBumpableItems(ticket);
+    // A ticket left with only voided items clears itself once the void has been on screen long enough
+    if (items.length === 0) return;
+    const bumped = await setItemStatuses(items.map(item => ({ id: item.id, status: 'Ready' })), ticket);
+    if (bumped) {
+      setRecallStack(prev => [...prev, { ticket, items: items.map(item => ({ id: item.id, status: item.status })) }].slice(-MAX_RECALL));
+    }
+  };
+
+  const startTicket = (ticket) => {
+    if (!ticket || busy) return;
+    const pending = ticket.items.filter(item => item.status === 'Pending');
+    if (pending.length > 0) setItemStatuses(pending.map(item => ({ id: item.id, status: 'Preparing' })), ticket);
+  };
+
+  const recallLast = async () => {
+    const last = recallStack[recallStack.length - 1];
+    if (!last || busy) return;
+    // Each item goes back to what it was before the bump
+    const recalled = await setItemStatuses(last.items, last.ticket);
+    if (recalled) {
+      setRecallStack(prev => prev.slice(0, -1));
+      setSelectedId(last.ticket.order_id);
+    }
+  };
+
+  const advanceItem = (ticket, item) => {
+    const next = NEXT_ITEM_STATUS[item.status];
+    if (next && !busy) setItemStatuses([{ id: item.id, status: next }], ticket);
+  };
+
+  const handleSaveSla = (e) => {
+    e.preventDefault();
+    setSla(saveSlaSettings(slaForm));
+    setSlaForm(null);
+  };
+
+  const handleKey = (e) => {
+    if (slaForm || e.target.closest?.('input, textarea, select')) return;
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    const select = (index) => openTickets[index] && setSelectedId(openTickets[index].order_id);
+
+    if (key === 'ArrowRight' || key === 'ArrowDown') select(Math.min(openTickets.length - 1, selectedIndex + 1));
+    else if (key === 'ArrowLeft' || key === 'ArrowUp') select(Math.max(0, selectedIndex - 1));
+    else if (/^[1-9]$/.test(key)) select(Number(key) - 1);
+    else if (key === 'Enter' || key === 'b') bumpTicket(selectedTicket);
+    else if (key === 'p') startTicket(selectedTicket);
+    else if (key === 'r' || key === 'Backspace') recallLast();
+    else if (key === 'Escape') onExit();
+    else return;
+    e.preventDefault();
+  };
+
+  // The listener is added once; the ref always points at this render's handler
+  useEffect(() => {
+    keyHandlerRef.current = handleKey;
+  });
+
+  useEffect(() => {
+    const listener = (e) => keyHandlerRef.current?.(e);
+    window.addEventListener('keydown', listener);
+    return () => window.removeEventListener('keydown', listener);
+  }, []);
+
+  const levelCounts = openTickets.reduce((counts, ticket) => {
+    const level = getSlaLevel(now - ticket.started_at, sla);
+    return { ...counts, [level]: counts[level] + 1 };
+  }, { ok: 0, warn: 0, late: 0 });
+
+  return (
+    <div className="fixed inset-0 z-50 flex flex-col bg-gray-900 text-white">
+      {/* Top bar */}
+      <div className="flex flex-wrap items-center gap-3 px-4 py-3 bg-gray-950 border-b border-gray-800">
+        <ChefHat className="w-6 h-6 text-[#FF5F15]" />
+        <h1 className="text-xl font-bold">{kitchen.title || `Kitchen ${kitchen.kitchen_id}`}</h1>
+        <span className="text-sm text-gray-400">{openTickets.length} open {openTickets.length === 1 ? 'ticket' : 'tickets'}</span>
+        <div className="flex items-center gap-2 text-xs">
+          {Object.entries(SLA_LEVELS).map(([level, config]) => (
+            <span key={level} className={`px-2 py-1 rounded ${config.headerClassName.replace(' animate-pulse', '')}`}>
+              {config.label}: {levelCounts[level]}
+            </span>
+          ))}
+        </div>
+        <div className="ml-auto flex items-center gap-2">
+          <span className="flex items-center gap-1 text-lg font-mono text-gray-300">
+            <Clock className="w-4 h-4" />
+            {new Date(now).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+          </span>
+          <button
+            type="button"
+            onClick={recallLast}
+            disabled={recallStack.length === 0 || busy}
+            className="flex items-center gap-1 px-3 py-2 rounded-lg bg-gray-800 hover:bg-gray-700 disabled:opacity-40 text-sm"
+            title="Recall last bumped ticket (R)"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Recall{recallStack.length > 0 && ` (${recallStack.length})`}
+          </button>
+          <button
+            type="button"
+            onClick={() => setSlaForm(slaForm ? null : sla)}
+            className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700"
+            title="SLA thresholds"
+          >
+            <Settings className="w-4 h-4" />
+          </button>
+          <button
+            type="button"
+            onClick={() => setShowShortcuts(!showShortcuts)}
+            className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700"
+            title="Keyboard shortcuts"
+          >
+            <Keyboard className="w-4 h-4" />
+          </button>
+          <button
+            type="button"
+            onClick={onExit}
+            className="flex items-center gap-1 px-3 py-2 rounded-lg bg-[#FF5F15] hover:bg-[#e54e0a] text-sm font-medium"
+            title="Leave KDS (Esc)"
+          >
+            <X className="w-4 h-4" />
+            Exit
+          </button>
+        </div>
+      </div>
+
+      {slaForm && (
+        <form onSubmit={handleSaveSla} className="flex flex-wrap items-center gap-3 px-4 py-3 bg-gray-800 border-b border-gray-700 text-sm">
+          <span className="text-gray-300">Tickets turn</span>
+          <label className="flex items-center gap-2">
+            amber after
+            <input type="number" min="1" value={slaForm.warn_minutes} onChange={(e) => setSlaForm({ ...slaForm, warn_minutes: e.target.value })} className={inputClassName} />
+            min
+          </label>
+          <label className="flex items-center gap-2">
+            and red after
+            <input type="number" min="1" value={slaForm.late_minutes} onChange={(e) => setSlaForm({ ...slaForm, late_minutes: e.target.value })} className={inputClassName} />
+            min
+          </label>
+          <button type="submit" className="px-3 py-1 rounded bg-[#FF5F15] hover:bg-[#e54e0a] font-medium">Save</button>
+          <span className="text-xs text-gray-400">Saved on this screen only.</span>
+        </form>
+      )}
+
+      {showShortcuts && (
+        <div className="flex flex-wrap gap-x-6 gap-y-1 px-4 py-2 bg-gray-800 border-b border-gray-700 text-xs text-gray-300">
+          {KDS_SHORTCUTS.map(shortcut => (
+            <span key={shortcut.label}>
+              {shortcut.keys.map(key => <kbd key={key} className="px-1.5 py-0.5 mr-1 rounded bg-gray-700 font-mono">{key}</kbd>)}
+              {shortcut.label}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {(error || actionError) && (
+        <div className="px-4 py-2 bg-red-900 text-sm text-red-100">{actionError || error}</div>
+      )}
+
+      {/* Tickets */}
+      <div className="flex-1 overflow-y-auto p-4">
+        {loading ? (
+          <p className="text-center text-gray-400 py-16">Loading tickets...</p>
+        ) : openTickets.length === 0 ? (
+          <div className="text-center text-gray-500 py-24">
+            <ChefHat className="w-16 h-16 mx-auto mb-4 opacity-40" />
+            <p className="text-xl font-semibold">All caught up</p>
+            <p className="text-sm mt-1">New tickets appear here as orders reach this kitchen.</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4 items-start">
+            {openTickets.map((ticket, index) => {
+              const elapsed = now - ticket.started_at;
+              const level = SLA_LEVELS[getSlaLevel(elapsed, sla)];
+              const isSelected = ticket.order_id === selectedTicket?.order_id;
+              return (
+                <div
+                  key={ticket.order_id}
+                  onClick={() => setSelectedId(ticket.order_id)}
+                  className={`rounded-xl border-4 overflow-hidden cursor-pointer ${level.className} ${isSelected ? 'ring-4 ring-white ring-offset-2 ring-offset-gray-900' : ''}`}
+                >
+                  <div className={`flex items-start justify-between gap-2 px-3 py-2 ${level.headerClassName}`}>
+                    <div>
+                      <p className="text-lg font-bold leading-tight">
+                        {index < 9 && <span className="mr-2 text-sm opacity-75">{index + 1}</span>}
+                        #{ticket.orderid}
+                      </p>
+                      <p className="text-xs opacity-90">
+                        {[ticket.order_type, ticket.table_number && `Table ${ticket.table_number}`, ticket.hall_name].filter(Boolean).join(' · ')}
+                      </p>
+                    </div>
+                    <span className="text-2xl font-mono font-bold tabular-nums">{formatElapsed(elapsed)}</span>
+                  </div>
+
+                  <ul className="divide-y divide-gray-700">
+                    {ticket.items.map(item => {
+                      const details = [formatModifierSummary(getItemModifiers(item)), formatComboComponents(getItemComponents(item))].filter(Boolean).join(' · ');
+                      return (
+                        <li key={item.id}>
+                          <button
+                            type="button"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              advanceItem(ticket, item);
+                            }}
+                            className="w-full text-left px-3 py-2 hover:bg-white/5"
+                            title={NEXT_ITEM_STATUS[item.status] ? `Mark as ${NEXT_ITEM_STATUS[item.status]}` : item.status}
+                          >
+                            <div className={`flex items-baseline gap-2 font-semibold ${ITEM_STATUS_CLASSES[item.status] || 'text-white'}`}>
+                              <span className="text-lg tabular-nums">{item.quantity}×</span>
+                              <span className="flex-1">{item.dish_name}</span>
+                              {item.status === 'Preparing' && <span className="text-xs font-normal">cooking</span>}
+                              {item.status === 'Voided' && <span className="px-1.5 rounded bg-red-700 text-white text-xs font-bold">VOID</span>}
+                              {isRefired(item) && <span className="px-1.5 rounded bg-amber-500 text-gray-900 text-xs font-bold">REFIRE</span>}
+                            </div>
+                            {details && <p className="text-xs text-gray-300 ml-7">{details}</p>}
+                            {item.notes && <p className="text-xs text-amber-300 italic ml-7">{item.notes}</p>}
+                          </button>
+                        </li>
+                      );
+                    })}
+                  </ul>
+
+                  {ticket.order_comments && (
+                    <p className="px-3 py-2 text-xs text-amber-200 bg-amber-900/40">{ticket.order_comments}</p>
+                  )}
+
+                  <button
+                    type="button"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      bumpTicket(ticket);
+                    }}
+                    disabled={busy}
+                    className="w-full py-3 bg-gray-700 hover:bg-green-700 disabled:opacity-50 text-sm font-bold tracking-wide uppercase"
+                  >
+                    Bump
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+'use client';
+
+/**
+ * Wastage Report Component
+ * Voided and re-fired kitchen items for a date range: totals at menu price, the reasons behind them,
+ * the dishes wasted most and every log entry with who did it.
+ */
+
+import { useMemo, useState } from 'react';
+import { Ban, RotateCcw } from 'lucide-react';
+import Alert from '@/components/ui/Alert';
+import Table from '@/components/ui/Table';
+import { useWastageLog } from '@/hooks/useWastageLog';
+import { ITEM_ACTIONS, getReasonLabel, summarizeWastage } from '@/utils/itemVoids';
+import { toSqlDateTime } from '@/utils/delivery';
+import { formatDateTime, formatPKR } from '@/utils/format';
+
+const inputClassName = 'px-3 py-2 border border-[#E0E0E0] rounded-lg text-sm text-gray-900 bg-white focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition';
+
+const columns = [
+  { header: 'Time', accessor: (entry) => formatDateTime(entry.created_at), wrap: false },
+  { header: 'Order', accessor: 'orderid', wrap: false },
+  {
+    header: 'Action',
+    accessor: (entry) => (
+      <span className={`px-2 py-0.5 rounded text-xs font-semibold ${entry.action === 'void' ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-700'}`}>
+        {ITEM_ACTIONS[entry.action].label}
+      </span>
+    ),
+  },
+  { header: 'Item', accessor: (entry) => `${entry.quantity} × ${entry.dish_name}` },
+  { header: 'Kitchen', accessor: (entry) => entry.kitchen_name || '-' },
+  {
+    header: 'Reason',
+    accessor: (entry) => (
+      <>
+        {getReasonLabel(entry.reason_code)}
+        {entry.reason_note && <span className="block text-xs text-gray-500">{entry.reason_note}</span>}
+      </>
+    ),
+  },
+  { header: 'By', accessor: (entry) => entry.created_by || '-' },
+  { header: 'Amount', accessor: (entry) => formatPKR(entry.amount), wrap: false },
+];
+
+function BreakdownList({ title, groups }) {
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <h2 className="text-sm font-semibold text-gray-900 mb-3">{title}</h2>
+      {groups.length === 0 ? (
+        <p className="text-sm text-gray-500">Nothing logged</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {groups.map(group => (
+            <li key={group.key} className="flex items-center justify-between gap-3 py-2 text-sm">
+              <span className="text-gray-700">{group.label}</span>
+              <span className="text-gray-900 tabular-nums">
+                {group.quantity} · <span className="font-semibold">{formatPKR(group.amount)}</span>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {number|string|null} props.branchId - Branch to report on; ignored when branches are given
+ * @param {Array<Object>|null} props.branches - Branches to choose from (branch_id, branch_name); adds an all-branches option
+ */
+export default function WastageReport({ branchId = null, branches = null }) {
+  const today = toSqlDateTime(new Date()).slice(0, 10);
+  const [startDate, setStartDate] = useState(today);
+  const [endDate, setEndDate] = useState(today);
+  const [selectedBranchId, setSelectedBranchId] = useState('');
+
+  const { entries, loading, error } = useWastageLog({
+    startDate,
+    endDate,
+    branchId: branches ? selectedBranchId || null : branchId,
+  });
+  const summary = useMemo(() => summarizeWastage(entries), [entries]);
+
+  const totals = [
+    { key: 'void', icon: Ban, label: 'Voided', className: 'text-red-600', ...summary.voids },
+    { key: 'refire', icon: RotateCcw, label: 'Re-fired', className: 'text-amber-600', ...summary.refires },
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Wastage</h1>
+        <p className="text-gray-600 mt-1">Items voided or re-fired after they reached the kitchen, valued at menu price</p>
+      </div>
+
+      {error && <Alert type="error" message={error} />}
+
+      <div className="flex flex-wrap items-end gap-3">
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1">From</span>
+          <input type="date" value={startDate} max={endDate} onChange={(e) => setStartDate(e.target.value)} className={inputClassName} />
+        </label>
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1">To</span>
+          <input type="date" value={endDate} min={startDate} onChange={(e) => setEndDate(e.target.value)} className={inputClassName} />
+        </label>
+        {branches && (
+          <label className="text-sm text-gray-700">
+            <span className="block mb-1">Branch</span>
+            <select value={selectedBranchId} onChange={(e) => setSelectedBranchId(e.target.value)} className={inputClassName}>
+              <option value="">All branches</option>
+              {branches.map(branch => (
+                <option key={branch.branch_id} value={branch.branch_id}>{branch.branch_name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        {totals.map(total => (
+          <div key={total.key} className="bg-white rounded-lg shadow p-4 flex items-center gap-4">
+            <total.icon className={`w-8 h-8 ${total.className}`} />
+            <div>
+              <p className="text-sm text-gray-600">{total.label}</p>
+              <p className="text-2xl font-bold text-gray-900">{formatPKR(total.amount)}</p>
+              <p className="text-xs text-gray-500">{total.quantity} {total.quantity === 1 ? 'item' : 'items'}</p>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <BreakdownList title="By reason" groups={summary.byReason} />
+        <BreakdownList title="By dish" groups={summary.byDish} />
+      </div>
+
+      {loading ? (
+        <p className="text-center text-gray-500 py-8">Loading wastage...</p>
+      ) : (
+        <Table columns={columns} data={entries} emptyMessage="No voids or re-fires in this period" />
+      )}
+    </div>
+  );
+}
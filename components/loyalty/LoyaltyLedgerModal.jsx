@@ -0,0 +1,112 @@
+'use client';
+
+/**
+ * Loyalty Ledger Modal Component
+ * A customer's points and stamp balance with every entry behind it: what each paid bill earned and
+ * what was redeemed on which order.
+ */
+
+import { useEffect, useState } from 'react';
+import { Award, Stamp } from 'lucide-react';
+import Modal from '@/components/ui/Modal';
+import { loyaltyLedger } from '@/utils/endpoints';
+import { LEDGER_ENTRY_TYPES, normalizeLedgerEntry, normalizeLoyaltyBalance } from '@/utils/loyalty';
+import { formatDateTime, formatPKR } from '@/utils/format';
+
+const getCustomerId = (customer) => customer.customer_id || customer.id;
+
+const formatChange = (value) => (value > 0 ? `+${value}` : String(value));
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.customer - Customer whose ledger is shown (null = closed)
+ * @param {Function} props.onClose - Close the modal
+ */
+export default function LoyaltyLedgerModal({ customer, onClose }) {
+  if (!customer) return null;
+
+  return <LoyaltyLedger key={getCustomerId(customer)} customer={customer} onClose={onClose} />;
+}
+
+function LoyaltyLedger({ customer, onClose }) {
+  const [ledger, setLedger] = useState(null); // null while loading
+  const [error, setError] = useState('');
+  const customerId = getCustomerId(customer);
+
+  useEffect(() => {
+    loyaltyLedger.list({ customerId })
+      .then(result => setLedger({
+        balance: normalizeLoyaltyBalance(result.balance),
+        entries: result.entries.map(normalizeLedgerEntry),
+      }))
+      .catch(loadError => setError(loadError.message || 'Failed to load loyalty ledger'));
+  }, [customerId]);
+
+  return (
+    <Modal isOpen onClose={onClose} title={`Loyalty - ${customer.customer_name || customer.name || 'Customer'}`} size="lg">
+      <div className="space-y-4 text-gray-900">
+        {error ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : !ledger ? (
+          <p className="text-sm text-gray-500">Loading loyalty ledger...</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 gap-3">
+              <div className="flex items-center gap-3 rounded-lg border border-orange-200 bg-orange-50 p-4">
+                <Award className="w-6 h-6 text-[#FF5F15]" />
+                <div>
+                  <p className="text-xs uppercase tracking-wide text-gray-500">Points</p>
+                  <p className="text-2xl font-bold">{ledger.balance.points}</p>
+                </div>
+              </div>
+              <div className="flex items-center gap-3 rounded-lg border border-orange-200 bg-orange-50 p-4">
+                <Stamp className="w-6 h-6 text-[#FF5F15]" />
+                <div>
+                  <p className="text-xs uppercase tracking-wide text-gray-500">Stamps</p>
+                  <p className="text-2xl font-bold">{ledger.balance.stamps}</p>
+                </div>
+              </div>
+            </div>
+
+            {ledger.entries.length === 0 ? (
+              <p className="text-sm text-gray-500">No loyalty activity yet.</p>
+            ) : (
+              <div className="max-h-96 overflow-y-auto rounded-lg border border-gray-200">
+                <table className="w-full text-sm">
+                  <thead className="sticky top-0 bg-gray-50 text-left text-xs uppercase text-gray-500">
+                    <tr>
+                      <th className="px-3 py-2">Date</th>
+                      <th className="px-3 py-2">Type</th>
+                      <th className="px-3 py-2">Order</th>
+                      <th className="px-3 py-2 text-right">Points</th>
+                      <th className="px-3 py-2 text-right">Stamps</th>
+                      <th className="px-3 py-2 text-right">Amount</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {ledger.entries.map(entry => {
+                      const type = LEDGER_ENTRY_TYPES[entry.entry_type];
+                      return (
+                        <tr key={entry.entry_id}>
+                          <td className="px-3 py-2 whitespace-nowrap">{formatDateTime(entry.created_at)}</td>
+                          <td className="px-3 py-2">
+                            <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${type.className}`}>{type.label}</span>
+                            {entry.note && <span className="block text-xs text-gray-500 mt-0.5">{entry.note}</span>}
+                          </td>
+                          <td className="px-3 py-2">{entry.order_id ? `#${entry.orderid || entry.order_id}` : '-'}</td>
+                          <td className={`px-3 py-2 text-right font-medium ${entry.points < 0 ? 'text-red-600' : ''}`}>{entry.points ? formatChange(entry.points) : '-'}</td>
+                          <td className={`px-3 py-2 text-right font-medium ${entry.stamps < 0 ? 'text-red-600' : ''}`}>{entry.stamps ? formatChange(entry.stamps) : '-'}</td>
+                          <td className="px-3 py-2 text-right">{entry.amount ? formatPKR(entry.amount) : '-'}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+}
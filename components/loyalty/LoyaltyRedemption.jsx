@@ -0,0 +1,207 @@
+'use client';
+
+/**
+ * Loyalty Redemption Component
+ * Loyalty block on the Pay Bill modal. The cashier attaches the customer (already attached when the
+ * order was taken for one), sees their points and stamps, and can redeem points or full stamp cards
+ * against the bill. Attaching a customer is also what lets the bill earn for them.
+ */
+
+import { useEffect, useState } from 'react';
+import { Award, X } from 'lucide-react';
+import CustomerLookup from '@/components/customers/CustomerLookup';
+import { useCustomers } from '@/hooks/useCustomers';
+import { useLoyaltyRules } from '@/hooks/useLoyaltyRules';
+import { loyaltyLedger } from '@/utils/endpoints';
+import {
+  getPointsEarned,
+  getRedeemableCards,
+  getRedeemablePoints,
+  getRedemptionValue,
+  getStampsEarned,
+  isLoyaltyEnabled,
+  normalizeLoyaltyBalance,
+} from '@/utils/loyalty';
+import { formatPKR } from '@/utils/format';
+
+const inputClassName = 'block w-full px-3 py-2 border border-[#E0E0E0] rounded-lg text-sm text-gray-900 bg-white focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition';
+
+/**
+ * @param {Object} props
+ * @param {number|string} props.branchId - Branch
+ * @param {Object} props.bill - Bill being paid (see applyLoyaltyToBill for the loyalty_* fields)
+ * @param {Function} props.onChange - Called with { customerId, customerName, points, stampCards, amount }, or null when the customer is removed
+ */
+export default function LoyaltyRedemption({ branchId, bill, onChange }) {
+  const { rules, loading } = useLoyaltyRules();
+  const { customers } = useCustomers(branchId);
+
+  if (loading || !isLoyaltyEnabled(rules)) return null;
+
+  const customerId = bill.loyalty_customer_id;
+  const customerName = bill.loyalty_customer_name ||
+    customers.find(customer => String(customer.customer_id) === String(customerId))?.name || '';
+
+  return (
+    <div className="space-y-2">
+      <label className="flex items-center gap-1.5 text-sm font-medium text-gray-700">
+        <Award className="w-4 h-4 text-[#FF5F15]" />
+        Loyalty
+      </label>
+      {customerId ? (
+        <LoyaltyAccount
+          key={customerId}
+          rules={rules}
+          bill={bill}
+          customerId={customerId}
+          customerName={customerName}
+          onChange={onChange}
+        />
+      ) : (
+        <CustomerLookup
+          branchId={branchId}
+          customer={null}
+          onChange={(customer) => customer && onChange({
+            customerId: customer.customer_id,
+            customerName: customer.name,
+            points: 0,
+            stampCards: 0,
+            amount: 0,
+          })}
+        />
+      )}
+    </div>
+  );
+}
+
+function LoyaltyAccount({ rules, bill, customerId, customerName, onChange }) {
+  const [balance, setBalance] = useState(null); // null while loading
+  const [error, setError] = useState('');
+  const [pointsText, setPointsText] = useState(bill.loyalty_points_redeemed ? String(bill.loyalty_points_redeemed) : '');
+
+  useEffect(() => {
+    loyaltyLedger.balance(customerId)
+      .then(result => setBalance(normalizeLoyaltyBalance(result)))
+      .catch(loadError => setError(loadError.message || 'Failed to load loyalty balance'));
+  }, [customerId]);
+
+  const billTotal = bill.grand_total_before_loyalty ?? parseFloat(bill.grand_total || 0);
+  const points = bill.loyalty_points_redeemed || 0;
+  const stampCards = bill.loyalty_stamp_cards_redeemed || 0;
+  // Points cover what is left after any stamp cards
+  const getMaxPoints = (cards) => (balance ? getRedeemablePoints(rules, balance, Math.max(0, billTotal - cards * rules.card_reward_value)) : 0);
+  const maxPoints = getMaxPoints(stampCards);
+  const maxCards = balance ? Math.min(getRedeemableCards(rules, balance), Math.ceil(billTotal / (rules.card_reward_value || 1))) : 0;
+
+  const redeem = (nextPoints, nextCards) => onChange({
+    customerId,
+    customerName,
+    points: nextPoints,
+    stampCards: nextCards,
+    amount: getRedemptionValue(rules, { points: nextPoints, stampCards: nextCards }),
+  });
+
+  const handlePoints = (text) => {
+    setPointsText(text);
+    redeem(Math.min(maxPoints, Math.max(0, parseInt(text, 10) || 0)), stampCards);
+  };
+
+  const pointsEarned = getPointsEarned(rules, parseFloat(bill.grand_total || 0));
+  const stampsEarned = getStampsEarned(rules, bill.items);
+
+  return (
+    <div className="rounded-lg border border-orange-200 bg-orange-50 p-3 space-y-3 text-sm text-gray-900">
+      <div className="flex items-center justify-between gap-3">
+        <span>
+          <span className="font-semibold">{customerName || 'Customer'}</span>
+          {balance && (
+            <span className="text-gray-600">
+              {rules.points_enabled && ` · ${balance.points} points`}
+              {rules.stamps_enabled && ` · ${balance.stamps} stamps`}
+            </span>
+          )}
+        </span>
+        <button
+          type="button"
+          onClick={() => onChange(null)}
+          className="p-1 rounded hover:bg-orange-100"
+          title="Remove customer from this bill"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {error ? (
+        <p className="text-xs text-red-600">{error}</p>
+      ) : !balance ? (
+        <p className="text-xs text-gray-500">Loading loyalty balance...</p>
+      ) : (
+        <>
+          {rules.points_enabled && (
+            maxPoints > 0 ? (
+              <div>
+                <div className="flex gap-2">
+                  <input
+                    type="number"
+                    min="0"
+                    max={maxPoints}
+                    step="1"
+                    value={pointsText}
+                    onChange={(e) => handlePoints(e.target.value)}
+                    placeholder={`Points to redeem (up to ${maxPoints})`}
+                    className={inputClassName}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => handlePoints(String(maxPoints))}
+                    className="px-3 rounded-lg border border-orange-300 bg-white text-xs font-medium text-[#FF5F15] hover:bg-orange-100 whitespace-nowrap"
+                  >
+                    Use {maxPoints}
+                  </button>
+                </div>
+                {parseInt(pointsText, 10) > maxPoints && (
+                  <p className="text-xs text-amber-700 mt-1">Only {maxPoints} points can go towards this bill.</p>
+                )}
+              </div>
+            ) : (
+              <p className="text-xs text-gray-500">
+                {balance.points < rules.min_redeem_points
+                  ? `Points can be redeemed from ${rules.min_redeem_points} points.`
+                  : 'No points can go towards this bill.'}
+              </p>
+            )
+          )}
+
+          {maxCards > 0 && (
+            <div className="flex items-center gap-2">
+              <span className="text-xs text-gray-600 whitespace-nowrap">Stamp cards ({formatPKR(rules.card_reward_value)} each)</span>
+              <select
+                value={stampCards}
+                onChange={(e) => {
+                  const cards = parseInt(e.target.value, 10) || 0;
+                  const nextPoints = Math.min(points, getMaxPoints(cards));
+                  setPointsText(nextPoints ? String(nextPoints) : '');
+                  redeem(nextPoints, cards);
+                }}
+                className={inputClassName}
+              >
+                {Array.from({ length: maxCards + 1 }, (_, count) => (
+                  <option key={count} value={count}>{count === 0 ? 'Keep collecting' : `Redeem ${count}`}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {(pointsEarned > 0 || stampsEarned > 0) && (
+            <p className="text-xs text-gray-600">
+              This bill earns {[
+                pointsEarned > 0 && `${pointsEarned} point${pointsEarned === 1 ? '' : 's'}`,
+                stampsEarned > 0 && `${stampsEarned} stamp${stampsEarned === 1 ? '' : 's'}`,
+              ].filter(Boolean).join(' and ')}.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
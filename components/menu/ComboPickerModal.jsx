@@ -0,0 +1,107 @@
+'use client';
+
+/**
+ * Combo Picker Modal Component
+ * Opens when a combo with choice slots is added to the cart (e.g. "Any drink", "Any side")
+ * Fixed components are listed for reference; each slot needs exactly one dish
+ */
+
+import { useState } from 'react';
+import Modal from '@/components/ui/Modal';
+import Button from '@/components/ui/Button';
+import Alert from '@/components/ui/Alert';
+import { formatPKR } from '@/utils/format';
+import { validateComboChoices, buildComboComponents, formatComboComponents } from '@/utils/combos';
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.entry - Combo menu entry being added (null = closed)
+ * @param {Array<Object>} props.dishes - Branch dishes, used for names and kitchens
+ * @param {Function} props.onClose - Close without adding
+ * @param {Function} props.onConfirm - Called with (entry, components)
+ */
+export default function ComboPickerModal({ entry, dishes, onClose, onConfirm }) {
+  if (!entry) return null;
+
+  // Keyed by combo so every combo starts with fresh choices
+  return <ComboPicker key={entry.combo_id} entry={entry} dishes={dishes} onClose={onClose} onConfirm={onConfirm} />;
+}
+
+function ComboPicker({ entry, dishes, onClose, onConfirm }) {
+  const { combo } = entry;
+  const [choices, setChoices] = useState({});
+  const [error, setError] = useState('');
+
+  const fixedComponents = buildComboComponents({ ...combo, slots: [] }, {}, dishes);
+  const dishName = (dishId) => {
+    const dish = dishes.find(d => String(d.dish_id) === String(dishId));
+    return dish ? dish.name || dish.dish_name : `Dish ${dishId}`;
+  };
+
+  const handleConfirm = () => {
+    const message = validateComboChoices(combo, choices);
+    if (message) {
+      setError(message);
+      return;
+    }
+    onConfirm(entry, buildComboComponents(combo, choices, dishes));
+  };
+
+  return (
+    <Modal isOpen onClose={onClose} title={entry.name} size="md">
+      <div className="space-y-5">
+        {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+
+        {fixedComponents.length > 0 && (
+          <p className="text-sm text-gray-600">
+            Includes: <span className="font-medium text-gray-900">{formatComboComponents(fixedComponents)}</span>
+          </p>
+        )}
+
+        {combo.slots.map(slot => (
+          <fieldset key={slot.slot_id}>
+            <legend className="text-sm font-semibold text-gray-900 mb-2">
+              {slot.quantity > 1 ? `${slot.quantity}× ` : ''}{slot.name}
+              <span className="text-red-500 ml-1">*</span>
+            </legend>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {slot.dish_ids.map(dishId => {
+                const checked = String(choices[slot.slot_id]) === String(dishId);
+                return (
+                  <label
+                    key={dishId}
+                    className={`flex items-center gap-2 rounded-lg border px-3 py-2 cursor-pointer transition-colors ${
+                      checked ? 'border-[#FF5F15] bg-orange-50' : 'border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name={`combo_slot_${slot.slot_id}`}
+                      checked={checked}
+                      onChange={() => {
+                        setError('');
+                        setChoices(prev => ({ ...prev, [slot.slot_id]: dishId }));
+                      }}
+                      className="accent-[#FF5F15]"
+                    />
+                    <span className="text-sm text-gray-900">{dishName(dishId)}</span>
+                  </label>
+                );
+              })}
+            </div>
+          </fieldset>
+        ))}
+
+        <div className="flex items-center justify-between gap-3 pt-2 border-t border-gray-100">
+          <span className="text-sm text-gray-600">
+            Deal price: <span className="font-semibold text-gray-900">{formatPKR(entry.price)}</span>
+          </span>
+          <div className="flex gap-2">
+            <Button variant="secondary" onClick={onClose}>Cancel</Button>
+            <Button onClick={handleConfirm}>Add to cart</Button>
+          </div>
+        </div>
+      </div>
+    </Modal>
+  );
+}
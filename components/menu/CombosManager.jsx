@@ -0,0 +1,410 @@
+'use client';
+
+/**
+ * Combos Manager Component
+ * Combos & Deals section of the menu management pages: list, create, edit and delete combos
+ * made of component dishes (fixed items and choice slots) with their own price
+ * API: api/combos_management.php (see utils/endpoints/combos.js)
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { Plus, Trash2, X } from 'lucide-react';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Modal from '@/components/ui/Modal';
+import Table from '@/components/ui/Table';
+import Alert from '@/components/ui/Alert';
+import { combosManagement, ApiError } from '@/utils/endpoints';
+import { normalizeCombo, toComboPayload, formatComboComponents } from '@/utils/combos';
+import { formatPKR } from '@/utils/format';
+
+const EMPTY_FORM = {
+  combo_id: null,
+  name: '',
+  description: '',
+  price: '',
+  branch_id: '',
+  is_available: 1,
+  items: [{ dish_id: '', quantity: 1 }],
+  slots: [],
+};
+
+const selectClassName = 'block w-full px-3 py-2 border border-[#E0E0E0] rounded-lg text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition';
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.dishes - Menu items shown on the page (component choices)
+ * @param {string|number} props.branchId - Branch to list combos for ('' = all, super admin only)
+ * @param {Array<Object>|null} props.branches - Branch list when the user can pick the combo's branch
+ */
+export default function CombosManager({ dishes, branchId, branches = null }) {
+  const [combos, setCombos] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [modalOpen, setModalOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [alert, setAlert] = useState({ type: '', message: '' });
+
+  const loadCombos = useCallback(async () => {
+    try {
+      const list = await combosManagement.list(branchId ? { branch_id: branchId } : {});
+      setCombos(list.map(normalizeCombo));
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      setCombos([]);
+      setAlert({ type: 'error', message: `Failed to load combos: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  }, [branchId]);
+
+  useEffect(() => {
+    loadCombos();
+  }, [loadCombos]);
+
+  const formBranchId = form.branch_id || branchId;
+  const branchDishes = dishes.filter(dish => !formBranchId || !dish.branch_id || String(dish.branch_id) === String(formBranchId));
+  const dishName = (dishId) => {
+    const dish = dishes.find(d => String(d.dish_id) === String(dishId));
+    return dish ? dish.name : `Dish ${dishId}`;
+  };
+
+  const describeCombo = (combo) => {
+    const fixed = formatComboComponents(combo.items.map(item => ({ name: dishName(item.dish_id), quantity: item.quantity })));
+    const slots = combo.slots.map(slot => `${slot.quantity > 1 ? `${slot.quantity}× ` : ''}${slot.name} (choice)`);
+    return [fixed, ...slots].filter(Boolean).join(', ');
+  };
+
+  const openCreate = () => {
+    setForm({ ...EMPTY_FORM, branch_id: branchId || '' });
+    setModalOpen(true);
+  };
+
+  const openEdit = (combo) => {
+    setForm({
+      combo_id: combo.combo_id,
+      name: combo.name,
+      description: combo.description,
+      price: combo.price,
+      branch_id: combo.branch_id ?? '',
+      is_available: combo.is_available,
+      items: combo.items.map(item => ({ dish_id: String(item.dish_id), quantity: item.quantity })),
+      slots: combo.slots.map(slot => ({ ...slot })),
+    });
+    setModalOpen(true);
+  };
+
+  const closeModal = () => {
+    setModalOpen(false);
+    setForm(EMPTY_FORM);
+  };
+
+  const updateList = (key, index, changes) => {
+    setForm(prev => ({ ...prev, [key]: prev[key].map((row, i) => (i === index ? { ...row, ...changes } : row)) }));
+  };
+
+  const removeRow = (key, index) => {
+    setForm(prev => ({ ...prev, [key]: prev[key].filter((_, i) => i !== index) }));
+  };
+
+  const toggleSlotDish = (index, dishId) => {
+    const slot = form.slots[index];
+    const dishIds = slot.dish_ids.includes(dishId)
+      ? slot.dish_ids.filter(id => id !== dishId)
+      : [...slot.dish_ids, dishId];
+    updateList('slots', index, { dish_ids: dishIds });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = toComboPayload({ ...form, branch_id: formBranchId });
+    if (!payload.branch_id) {
+      setAlert({ type: 'error', message: 'Please select a branch for this combo' });
+      return;
+    }
+    if (payload.items.length + payload.slots.length === 0) {
+      setAlert({ type: 'error', message: 'Add at least one component dish or choice to the combo' });
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await combosManagement.save(payload);
+      setAlert({ type: 'success', message: 'Combo saved successfully!' });
+      closeModal();
+      loadCombos();
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      setAlert({ type: 'error', message: `Failed to save combo: ${error.message}` });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (combo) => {
+    if (!confirm(`Delete the combo "${combo.name}"?`)) return;
+    try {
+      await combosManagement.remove(combo.combo_id);
+      setAlert({ type: 'success', message: 'Combo deleted successfully!' });
+      loadCombos();
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      setAlert({ type: 'error', message: `Failed to delete combo: ${error.message}` });
+    }
+  };
+
+  const columns = [
+    {
+      header: 'Combo',
+      accessor: (row) => <span className="font-medium text-gray-900">{row.name}</span>,
+      className: 'min-w-[150px]',
+      wrap: true,
+    },
+    {
+      header: 'Components',
+      accessor: (row) => <span className="text-gray-600">{describeCombo(row) || '-'}</span>,
+      className: 'min-w-[220px]',
+      wrap: true,
+    },
+    ...(branches ? [{
+      header: 'Branch',
+      accessor: (row) => row.branch_name || (row.branch_id ? `Branch ${row.branch_id}` : '-'),
+      className: 'min-w-[120px]',
+      wrap: true,
+    }] : []),
+    {
+      header: 'Price',
+      accessor: (row) => <span className="font-semibold text-gray-900 whitespace-nowrap">{formatPKR(row.price)}</span>,
+      className: 'w-32',
+      wrap: false,
+    },
+    {
+      header: 'Status',
+      accessor: (row) => (
+        <span className={`px-2 py-1 text-xs font-medium rounded-full whitespace-nowrap ${
+          row.is_available == 1 ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+        }`}>
+          {row.is_available == 1 ? 'active' : 'inactive'}
+        </span>
+      ),
+      className: 'w-24',
+      wrap: false,
+    },
+  ];
+
+  const actions = (row) => (
+    <div className="flex items-center justify-end gap-2">
+      <Button variant="outline" size="sm" onClick={() => openEdit(row)}>Edit</Button>
+      <Button variant="danger" size="sm" onClick={() => handleDelete(row)}>Delete</Button>
+    </div>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-3">
+        <div>
+          <h2 className="text-lg sm:text-xl font-bold text-gray-900">Combos &amp; Deals</h2>
+          <p className="text-sm text-gray-600 mt-1">Bundle dishes at their own price. Each component still prints in its own kitchen.</p>
+        </div>
+        <Button onClick={openCreate} className="w-full sm:w-auto">+ Add Combo</Button>
+      </div>
+
+      {alert.message && (
+        <Alert type={alert.type} message={alert.message} onClose={() => setAlert({ type: '', message: '' })} />
+      )}
+
+      {loading ? (
+        <div className="bg-white rounded-lg shadow p-8 text-center">
+          <p className="text-gray-500">Loading combos...</p>
+        </div>
+      ) : (
+        <Table
+          columns={columns}
+          data={combos}
+          actions={actions}
+          emptyMessage="No combos yet. Click 'Add Combo' to create a deal."
+        />
+      )}
+
+      <Modal isOpen={modalOpen} onClose={closeModal} title={form.combo_id ? 'Edit Combo' : 'Add New Combo'} size="lg">
+        <form onSubmit={handleSubmit}>
+          <Input
+            label="Combo Name"
+            name="name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="e.g., Chai + 2 Samosa"
+            required
+          />
+
+          <Input
+            label="Description"
+            name="description"
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+            placeholder="Optional"
+          />
+
+          {branches && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1.5">
+                Branch <span className="text-red-500">*</span>
+              </label>
+              <select
+                value={form.branch_id}
+                onChange={(e) => setForm({ ...form, branch_id: e.target.value, items: EMPTY_FORM.items, slots: [] })}
+                className={selectClassName}
+                required
+              >
+                <option value="">Select a branch</option>
+                {branches.map((branch) => (
+                  <option key={branch.branch_id || branch.id} value={branch.branch_id || branch.id}>
+                    {branch.name || branch.branch_name || `Branch ${branch.branch_id || branch.id}`}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <Input
+            label="Combo Price"
+            name="price"
+            type="number"
+            step="0.01"
+            min="0"
+            value={form.price}
+            onChange={(e) => setForm({ ...form, price: e.target.value })}
+            placeholder="0.00"
+            required
+          />
+
+          <div className="mb-4">
+            <div className="flex items-center justify-between mb-1.5">
+              <label className="block text-sm font-medium text-gray-700">Included dishes</label>
+              <button
+                type="button"
+                onClick={() => setForm({ ...form, items: [...form.items, { dish_id: '', quantity: 1 }] })}
+                className="inline-flex items-center gap-1 text-sm font-medium text-[#FF5F15] hover:text-[#FF4A00]"
+              >
+                <Plus className="w-4 h-4" />
+                Add dish
+              </button>
+            </div>
+            <div className="space-y-2">
+              {form.items.map((item, index) => (
+                <div key={index} className="flex gap-2">
+                  <select
+                    value={item.dish_id}
+                    onChange={(e) => updateList('items', index, { dish_id: e.target.value })}
+                    className={selectClassName}
+                  >
+                    <option value="">Select a dish</option>
+                    {branchDishes.map(dish => (
+                      <option key={dish.dish_id} value={String(dish.dish_id)}>{dish.name}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    min="1"
+                    value={item.quantity}
+                    onChange={(e) => updateList('items', index, { quantity: e.target.value })}
+                    className={`${selectClassName} w-20`}
+                    title="Quantity"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeRow('items', index)}
+                    className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                    title="Remove dish"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="mb-4">
+            <div className="flex items-center justify-between mb-1.5">
+              <label className="block text-sm font-medium text-gray-700">Choices</label>
+              <button
+                type="button"
+                onClick={() => setForm({ ...form, slots: [...form.slots, { slot_id: `new-${Date.now()}`, name: '', quantity: 1, dish_ids: [] }] })}
+                className="inline-flex items-center gap-1 text-sm font-medium text-[#FF5F15] hover:text-[#FF4A00]"
+              >
+                <Plus className="w-4 h-4" />
+                Add choice
+              </button>
+            </div>
+            {form.slots.length === 0 && (
+              <p className="text-xs text-gray-500">Optional. Add a choice such as &quot;Any drink&quot; and tick the dishes staff can pick from.</p>
+            )}
+            <div className="space-y-3">
+              {form.slots.map((slot, index) => (
+                <div key={slot.slot_id} className="rounded-lg border border-gray-200 p-3 bg-gray-50/50">
+                  <div className="flex gap-2 mb-2">
+                    <input
+                      type="text"
+                      value={slot.name}
+                      onChange={(e) => updateList('slots', index, { name: e.target.value })}
+                      placeholder="Choice name, e.g. Any drink"
+                      className={selectClassName}
+                    />
+                    <input
+                      type="number"
+                      min="1"
+                      value={slot.quantity}
+                      onChange={(e) => updateList('slots', index, { quantity: e.target.value })}
+                      className={`${selectClassName} w-20`}
+                      title="Quantity"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removeRow('slots', index)}
+                      className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                      title="Remove choice"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-1 max-h-40 overflow-y-auto">
+                    {branchDishes.map(dish => (
+                      <label key={dish.dish_id} className="inline-flex items-center gap-2 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={slot.dish_ids.includes(String(dish.dish_id))}
+                          onChange={() => toggleSlotDish(index, String(dish.dish_id))}
+                          className="accent-[#FF5F15]"
+                        />
+                        {dish.name}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1.5">Status</label>
+            <select
+              value={form.is_available}
+              onChange={(e) => setForm({ ...form, is_available: parseInt(e.target.value) })}
+              className={selectClassName}
+            >
+              <option value={1}>Active</option>
+              <option value={0}>Inactive</option>
+            </select>
+          </div>
+
+          <div className="flex justify-end gap-3 mt-6">
+            <Button type="button" variant="secondary" onClick={closeModal}>Cancel</Button>
+            <Button type="submit" disabled={saving}>
+              {saving ? 'Saving...' : form.combo_id ? 'Update' : 'Create'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+}
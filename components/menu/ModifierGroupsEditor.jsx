@@ -0,0 +1,155 @@
+'use client';
+
+/**
+ * Modifier Groups Editor Component
+ * Edits a dish's modifier groups in the menu form, e.g. Size (Regular / Large +50),
+ * Sugar (Normal / Less / None) or Add-ons (Extra elaichi +20, Extra cheese +80)
+ * Blank options and empty groups are dropped on save (see toModifierGroupsPayload)
+ */
+
+import { Plus, Trash2, X } from 'lucide-react';
+import { MODIFIER_SELECTION_TYPES } from '@/utils/modifiers';
+
+const EMPTY_OPTION = { name: '', price_delta: '' };
+
+const inputClassName = 'block w-full px-3 py-2 border border-[#E0E0E0] rounded-lg text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition';
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.groups - Current groups
+ * @param {Function} props.onChange - Called with the updated groups
+ */
+export default function ModifierGroupsEditor({ groups = [], onChange }) {
+  const updateGroup = (groupIndex, changes) => {
+    onChange(groups.map((group, index) => (index === groupIndex ? { ...group, ...changes } : group)));
+  };
+
+  const updateOption = (groupIndex, optionIndex, changes) => {
+    const options = groups[groupIndex].options.map((option, index) =>
+      index === optionIndex ? { ...option, ...changes } : option
+    );
+    updateGroup(groupIndex, { options });
+  };
+
+  const addGroup = () => {
+    onChange([...groups, { name: '', selection: 'single', required: false, max_select: '', options: [{ ...EMPTY_OPTION }] }]);
+  };
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-1.5">
+        <label className="block text-sm font-medium text-gray-700">Modifiers</label>
+        <button
+          type="button"
+          onClick={addGroup}
+          className="inline-flex items-center gap-1 text-sm font-medium text-[#FF5F15] hover:text-[#FF4A00]"
+        >
+          <Plus className="w-4 h-4" />
+          Add group
+        </button>
+      </div>
+
+      {groups.length === 0 && (
+        <p className="text-xs text-gray-500">
+          No modifiers. Add a group for sizes, sugar levels or paid add-ons - staff pick them when adding the item to an order.
+        </p>
+      )}
+
+      <div className="space-y-3">
+        {groups.map((group, groupIndex) => (
+          <div key={group.group_id ?? `new-${groupIndex}`} className="rounded-lg border border-gray-200 p-3 bg-gray-50/50">
+            <div className="flex flex-col sm:flex-row gap-2 mb-2">
+              <input
+                type="text"
+                value={group.name}
+                onChange={(e) => updateGroup(groupIndex, { name: e.target.value })}
+                placeholder="Group name, e.g. Size"
+                className={inputClassName}
+              />
+              <select
+                value={group.selection}
+                onChange={(e) => updateGroup(groupIndex, { selection: e.target.value })}
+                className={`${inputClassName} sm:w-36`}
+              >
+                {MODIFIER_SELECTION_TYPES.map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => onChange(groups.filter((_, index) => index !== groupIndex))}
+                className="p-2 text-red-600 hover:bg-red-50 rounded-lg self-start"
+                title="Remove group"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-4 mb-2 text-sm text-gray-700">
+              <label className="inline-flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={!!group.required}
+                  onChange={(e) => updateGroup(groupIndex, { required: e.target.checked })}
+                  className="accent-[#FF5F15]"
+                />
+                Required
+              </label>
+              {group.selection === 'multiple' && (
+                <label className="inline-flex items-center gap-2">
+                  Max picks
+                  <input
+                    type="number"
+                    min="0"
+                    value={group.max_select ?? ''}
+                    onChange={(e) => updateGroup(groupIndex, { max_select: e.target.value })}
+                    placeholder="Any"
+                    className={`${inputClassName} w-20`}
+                  />
+                </label>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              {group.options.map((option, optionIndex) => (
+                <div key={option.option_id ?? `new-${optionIndex}`} className="flex gap-2">
+                  <input
+                    type="text"
+                    value={option.name}
+                    onChange={(e) => updateOption(groupIndex, optionIndex, { name: e.target.value })}
+                    placeholder="Option, e.g. Large"
+                    className={inputClassName}
+                  />
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={option.price_delta}
+                    onChange={(e) => updateOption(groupIndex, optionIndex, { price_delta: e.target.value })}
+                    placeholder="+ Price"
+                    className={`${inputClassName} w-28`}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => updateGroup(groupIndex, { options: group.options.filter((_, index) => index !== optionIndex) })}
+                    className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                    title="Remove option"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => updateGroup(groupIndex, { options: [...group.options, { ...EMPTY_OPTION }] })}
+                className="inline-flex items-center gap-1 text-xs font-medium text-gray-600 hover:text-[#FF5F15]"
+              >
+                <Plus className="w-3 h-3" />
+                Add option
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+'use client';
+
+/**
+ * Modifier Picker Modal Component
+ * Opens when a dish with modifier groups is added to the cart (size, sugar level, add-ons)
+ * Single-choice groups render as radio buttons, multi-choice groups as checkboxes
+ */
+
+import { useState } from 'react';
+import Modal from '@/components/ui/Modal';
+import Button from '@/components/ui/Button';
+import Alert from '@/components/ui/Alert';
+import { formatPKR } from '@/utils/format';
+import {
+  getDishModifierGroups,
+  validateModifierSelection,
+  buildSelectedModifiers,
+  getModifiersPriceDelta,
+} from '@/utils/modifiers';
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.dish - Dish being added (null = closed)
+ * @param {Function} props.onClose - Close without adding
+ * @param {Function} props.onConfirm - Called with (dish, modifiers)
+ */
+export default function ModifierPickerModal({ dish, onClose, onConfirm }) {
+  if (!dish) return null;
+
+  // Keyed by dish so every dish starts with a fresh selection
+  return <ModifierPicker key={dish.dish_id} dish={dish} onClose={onClose} onConfirm={onConfirm} />;
+}
+
+function ModifierPicker({ dish, onClose, onConfirm }) {
+  const groups = getDishModifierGroups(dish);
+  const [selection, setSelection] = useState({});
+  const [error, setError] = useState('');
+
+  const modifiers = buildSelectedModifiers(groups, selection);
+  const unitPrice = (parseFloat(dish.price) || 0) + getModifiersPriceDelta(modifiers);
+
+  const toggleOption = (group, optionId) => {
+    setError('');
+    setSelection(prev => {
+      const picked = prev[group.group_id] || [];
+      if (group.selection === 'single') {
+        // Optional single-choice groups can be cleared by tapping the picked option again
+        return { ...prev, [group.group_id]: picked.includes(optionId) && !group.required ? [] : [optionId] };
+      }
+      return {
+        ...prev,
+        [group.group_id]: picked.includes(optionId) ? picked.filter(id => id !== optionId) : [...picked, optionId],
+      };
+    });
+  };
+
+  const handleConfirm = () => {
+    const message = validateModifierSelection(groups, selection);
+    if (message) {
+      setError(message);
+      return;
+    }
+    onConfirm(dish, modifiers);
+  };
+
+  return (
+    <Modal isOpen onClose={onClose} title={dish.name || dish.dish_name || 'Choose options'} size="md">
+      <div className="space-y-5">
+        {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+
+        {groups.map(group => (
+          <fieldset key={group.group_id}>
+            <legend className="text-sm font-semibold text-gray-900 mb-2">
+              {group.name}
+              {group.required && <span className="text-red-500 ml-1">*</span>}
+              <span className="ml-2 text-xs font-normal text-gray-500">
+                {group.selection === 'single' ? 'Pick one' : group.max_select ? `Pick up to ${group.max_select}` : 'Pick any'}
+              </span>
+            </legend>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {group.options.map(option => {
+                const checked = (selection[group.group_id] || []).includes(option.option_id);
+                return (
+                  <label
+                    key={option.option_id}
+                    className={`flex items-center justify-between gap-2 rounded-lg border px-3 py-2 cursor-pointer transition-colors ${
+                      checked ? 'border-[#FF5F15] bg-orange-50' : 'border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    <span className="flex items-center gap-2">
+                      <input
+                        type={group.selection === 'single' ? 'radio' : 'checkbox'}
+                        name={`modifier_${group.group_id}`}
+                        checked={checked}
+                        onChange={() => toggleOption(group, option.option_id)}
+                        onClick={() => {
+                          // Radios don't fire onChange when re-clicked; let optional groups be cleared
+                          if (group.selection === 'single' && checked && !group.required) toggleOption(group, option.option_id);
+                        }}
+                        className="accent-[#FF5F15]"
+                      />
+                      <span className="text-sm text-gray-900">{option.name}</span>
+                    </span>
+                    {option.price_delta !== 0 && (
+                      <span className="text-xs font-medium text-gray-600">
+                        {option.price_delta > 0 ? '+' : '-'}{formatPKR(Math.abs(option.price_delta))}
+                      </span>
+                    )}
+                  </label>
+                );
+              })}
+            </div>
+          </fieldset>
+        ))}
+
+        <div className="flex items-center justify-between gap-3 pt-2 border-t border-gray-100">
+          <span className="text-sm text-gray-600">
+            Unit price: <span className="font-semibold text-gray-900">{formatPKR(unitPrice)}</span>
+          </span>
+          <div className="flex gap-2">
+            <Button variant="secondary" onClick={onClose}>Cancel</Button>
+            <Button onClick={handleConfirm}>Add to cart</Button>
+          </div>
+        </div>
+      </div>
+    </Modal>
+  );
+}
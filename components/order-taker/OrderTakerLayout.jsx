@@ -5,7 +5,7 @@
  * Shared layout with sidebar navigation for order taker dashboard
  * Includes role protection and logout functionality
  * Uses Lucide icons throughout
- * Order Taker can ONLY create orders (no order management)
+ * Order Taker can create orders and handle reservations (no order management)
  */
 
 import { useEffect, useState } from 'react';
@@ -13,23 +13,34 @@ import { useRouter, usePathname } from 'next/navigation';
 import {
   LayoutDashboard,
   PlusCircle,
+  CalendarClock,
   LogOut,
 } from 'lucide-react';
 import { getToken, getRole, getFullname, getUsername, clearAuth } from '@/utils/api';
+import permissions from '@/utils/permissions';
+import { usePermissions } from '@/hooks/usePermissions';
 import DashboardShell from '@/components/dashboard/DashboardShell';
+import LockButton from '@/components/ui/LockButton';
+import LockScreen from '@/components/ui/LockScreen';
+import PendingSyncBadge from '@/components/ui/PendingSyncBadge';
+import ReadyOrdersBadge from '@/components/ui/ReadyOrdersBadge';
+import ReauthModal from '@/components/ui/ReauthModal';
+import TerminalBadge from '@/components/ui/TerminalBadge';
 
 /**
  * Sidebar Menu Items with Lucide icons for Order Taker
- * Order Taker can only create orders
+ * Order Taker can create orders and seat reserved or waiting guests
  */
 const menuItems = [
   { icon: LayoutDashboard, label: 'Dashboard', path: '/dashboard/order-taker' },
-  { icon: PlusCircle, label: 'Create Order', path: '/dashboard/order-taker/create-order' },
+  { icon: PlusCircle, label: 'Create Order', path: '/dashboard/order-taker/create-order', capability: 'order.create' },
+  { icon: CalendarClock, label: 'Reservations', path: '/dashboard/order-taker/reservations', capability: 'reservation.manage' },
 ];
 
 export default function OrderTakerLayout({ children }) {
   const router = useRouter();
   const pathname = usePathname();
+  const { can, ready } = usePermissions();
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
 
@@ -74,6 +85,17 @@ export default function OrderTakerLayout({ children }) {
     }
   }, [router]);
 
+  useEffect(() => {
+    // Pages left out of this role's navigation can't be opened by URL either
+    if (!ready) return;
+    const capability = permissions.getRequiredCapability(menuItems, pathname);
+    if (capability && !can(capability)) {
+      router.replace(menuItems[0].path);
+    }
+  }, [ready, can, pathname, router]);
+
+  const visibleMenuItems = menuItems.filter(item => !item.capability || can(item.capability));
+
   /**
    * Handle logout
    */
@@ -96,7 +118,7 @@ export default function OrderTakerLayout({ children }) {
 
   return (
     <DashboardShell
-      menuItems={menuItems}
+      menuItems={visibleMenuItems}
       pathname={pathname}
       portalTitle="Order Taker"
       sidebarOpen={sidebarOpen}
@@ -106,17 +128,25 @@ export default function OrderTakerLayout({ children }) {
       userName={displayName}
       userSubtitle={role || 'Order Taker'}
       headerActions={
-        <button
-          type="button"
-          onClick={handleLogout}
-          className="px-3 sm:px-4 py-2 text-xs sm:text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 transition-colors flex items-center gap-1 sm:gap-2 shadow-sm"
-        >
-          <LogOut className="w-4 h-4 shrink-0" aria-hidden />
-          <span className="hidden sm:inline">Logout</span>
-        </button>
+        <>
+          <TerminalBadge />
+          <LockButton />
+          <ReadyOrdersBadge />
+          <PendingSyncBadge />
+          <button
+            type="button"
+            onClick={handleLogout}
+            className="px-3 sm:px-4 py-2 text-xs sm:text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 transition-colors flex items-center gap-1 sm:gap-2 shadow-sm"
+          >
+            <LogOut className="w-4 h-4 shrink-0" aria-hidden />
+            <span className="hidden sm:inline">Logout</span>
+          </button>
+        </>
       }
     >
       {children}
+      <ReauthModal />
+      <LockScreen />
     </DashboardShell>
   );
 }
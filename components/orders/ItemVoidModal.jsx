@@ -0,0 +1,179 @@
+'use client';
+
+/**
+ * Item Void Modal Component
+ * Voids or re-fires an item the kitchen already has, with a required reason. The backend prints a
+ * VOID or REFIRE slip on the item's kitchen printer and logs the quantity for the wastage report.
+ */
+
+import { useState } from 'react';
+import Modal from '@/components/ui/Modal';
+import Button from '@/components/ui/Button';
+import Alert from '@/components/ui/Alert';
+import { kitchenItemVoids } from '@/utils/endpoints';
+import { getBranchId, getTerminal } from '@/utils/api';
+import { broadcastUpdate, UPDATE_EVENTS } from '@/utils/dashboardSync';
+import { ITEM_ACTIONS, VOID_REASONS, VOIDED_ITEM_STATUS, validateItemAction } from '@/utils/itemVoids';
+import { formatPKR } from '@/utils/format';
+import logger from '@/utils/logger';
+
+const inputClassName = 'block w-full px-3 py-2 border border-[#E0E0E0] rounded-lg text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition';
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.item - Order item sent to the kitchen (order_item_id, name, price, sent_quantity); null = closed
+ * @param {Object} props.order - Order the item belongs to
+ * @param {Function} props.onClose - Close without changes
+ * @param {Function} props.onDone - Called with { action, quantity, message, slipFailed } once saved
+ */
+export default function ItemVoidModal({ item, order, onClose, onDone }) {
+  if (!item) return null;
+
+  // Keyed by item so every void starts with no reason picked
+  return <ItemVoidForm key={item.order_item_id} item={item} order={order} onClose={onClose} onDone={onDone} />;
+}
+
+function ItemVoidForm({ item, order, onClose, onDone }) {
+  const [action, setAction] = useState('void');
+  const [quantity, setQuantity] = useState(item.sent_quantity);
+  const [reasonCode, setReasonCode] = useState('');
+  const [note, setNote] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const itemName = item.name || item.dish_name || 'Item';
+  const orderId = order.order_id || order.id;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationError = validateItemAction({ action, reasonCode, quantity, maxQuantity: item.sent_quantity });
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    const qty = parseInt(quantity, 10);
+    const branchId = order.branch_id || getBranchId();
+    setSaving(true);
+    try {
+      const { message, slip } = await kitchenItemVoids.submit({
+        action,
+        orderId,
+        orderItemId: item.order_item_id,
+        quantity: qty,
+        reasonCode,
+        note: note.trim(),
+        terminal: getTerminal(),
+        branchId,
+      });
+      logger.success(`Item ${ITEM_ACTIONS[action].pastTense}`, { orderId, orderItemId: item.order_item_id, quantity: qty, reasonCode });
+
+      broadcastUpdate(UPDATE_EVENTS.KITCHEN_ITEM_UPDATED, {
+        order_id: orderId,
+        orderid: order.orderid,
+        table_number: order.table_number || '',
+        branch_id: branchId,
+        item_ids: [item.order_item_id],
+        status: action === 'void' ? VOIDED_ITEM_STATUS : 'Pending',
+      });
+      if (action === 'void') broadcastUpdate(UPDATE_EVENTS.ORDER_UPDATED, { order_id: orderId, branch_id: branchId });
+
+      // The change is saved even when the slip didn't print; say so, the kitchen must still be told
+      const slipFailed = Boolean(slip) && slip.success === false;
+      const slipNote = slipFailed
+        ? ` The ${ITEM_ACTIONS[action].slip} slip did not print${slip.kitchen_name ? ` at ${slip.kitchen_name}` : ''}: tell the kitchen.`
+        : '';
+      onDone({
+        action,
+        quantity: qty,
+        slipFailed,
+        message: `${message || `${qty} × ${itemName} ${ITEM_ACTIONS[action].pastTense}.`}${slipNote}`,
+      });
+    } catch (submitError) {
+      logger.error(`Item ${action} failed`, { orderId, orderItemId: item.order_item_id, error: submitError.message });
+      setError(submitError.message || `Failed to ${ITEM_ACTIONS[action].label.toLowerCase()} the item`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen onClose={onClose} title={`${itemName} · ${order.orderid || `ORD-${orderId}`}`} size="md">
+      <form onSubmit={handleSubmit} className="space-y-4 text-gray-900">
+        {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+
+        <div className="grid grid-cols-2 gap-2">
+          {Object.entries(ITEM_ACTIONS).map(([key, config]) => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => setAction(key)}
+              className={`rounded-lg border px-3 py-2 text-sm font-semibold transition-colors ${
+                action === key ? 'border-[#FF5F15] bg-orange-50 text-[#FF5F15]' : 'border-gray-200 hover:bg-gray-50'
+              }`}
+            >
+              {config.label}
+            </button>
+          ))}
+        </div>
+        <p className="text-sm text-gray-600">
+          {action === 'void'
+            ? 'The item comes off the order and the bill. The kitchen gets a VOID slip and sees it struck through.'
+            : 'The kitchen cooks the item again at no charge. It gets a REFIRE slip and the item goes back to Pending.'}
+        </p>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1.5">
+            Quantity (sent to kitchen: {item.sent_quantity})
+          </label>
+          <input
+            type="number"
+            min="1"
+            max={item.sent_quantity}
+            value={quantity}
+            onChange={(e) => setQuantity(e.target.value)}
+            className={inputClassName}
+          />
+          <p className="text-xs text-gray-500 mt-1">{formatPKR((parseInt(quantity, 10) || 0) * item.price)} at menu price</p>
+        </div>
+
+        <fieldset>
+          <legend className="block text-sm font-medium text-gray-700 mb-1.5">Reason *</legend>
+          <div className="space-y-2">
+            {VOID_REASONS.map(reason => (
+              <label key={reason.code} className="flex items-center gap-2 text-sm cursor-pointer">
+                <input
+                  type="radio"
+                  name="void_reason"
+                  value={reason.code}
+                  checked={reasonCode === reason.code}
+                  onChange={() => setReasonCode(reason.code)}
+                  className="accent-[#FF5F15]"
+                />
+                {reason.label}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1.5">Note (optional)</label>
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="e.g. Steak overcooked"
+            className={inputClassName}
+          />
+        </div>
+
+        <div className="flex gap-3 pt-2">
+          <Button type="button" variant="secondary" onClick={onClose} className="flex-1">Cancel</Button>
+          <Button type="submit" variant={action === 'void' ? 'danger' : 'primary'} disabled={saving || !reasonCode} className="flex-1">
+            {saving ? 'Sending...' : `${ITEM_ACTIONS[action].label} & Print Slip`}
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
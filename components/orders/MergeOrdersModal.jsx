@@ -0,0 +1,148 @@
+'use client';
+
+/**
+ * Merge Orders Modal Component
+ * When parties join, their open orders are merged into one order so they get one bill.
+ * Items keep their kitchen status; the other orders are closed and their tables freed by the backend.
+ */
+
+import { useState } from 'react';
+import Modal from '@/components/ui/Modal';
+import Button from '@/components/ui/Button';
+import Alert from '@/components/ui/Alert';
+import { mergeOrders } from '@/utils/endpoints';
+import { broadcastUpdate, UPDATE_EVENTS } from '@/utils/dashboardSync';
+import { formatPKR } from '@/utils/format';
+import logger from '@/utils/logger';
+
+const getOrderId = (order) => order.order_id || order.id;
+const getTableLabel = (order) => {
+  const table = order.table_number && order.table_number !== '-' ? order.table_number : order.table_id;
+  return table && table !== '-' ? `Table ${table}` : order.order_type || 'No table';
+};
+
+/**
+ * Open (Pending/Running/Served) orders, other than the target, that can be merged into it
+ * @param {Object} target - Order being merged into
+ * @param {Array<Object>} orders - Orders listed on the page
+ * @returns {Array<Object>}
+ */
+const getMergeCandidates = (target, orders) => orders.filter(order => {
+  if (!order || String(getOrderId(order)) === String(getOrderId(target))) return false;
+  const status = (order.status || order.order_status || '').toLowerCase();
+  if (!['pending', 'running', 'served'].includes(status)) return false;
+  return !target.branch_id || !order.branch_id || String(order.branch_id) === String(target.branch_id);
+});
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.order - Order the others are merged into (null = closed)
+ * @param {Array<Object>} props.orders - Orders listed on the page
+ * @param {Function} props.onClose - Close without merging
+ * @param {Function} props.onMerged - Called with the API message after a successful merge
+ */
+export default function MergeOrdersModal({ order, orders, onClose, onMerged }) {
+  if (!order) return null;
+
+  // Keyed by order so every merge starts with nothing selected
+  return <MergeOrders key={getOrderId(order)} order={order} orders={orders} onClose={onClose} onMerged={onMerged} />;
+}
+
+function MergeOrders({ order, orders, onClose, onMerged }) {
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const candidates = getMergeCandidates(order, orders);
+
+  const toggle = (orderId) => {
+    setError('');
+    setSelectedIds(prev => (prev.includes(orderId) ? prev.filter(id => id !== orderId) : [...prev, orderId]));
+  };
+
+  const handleMerge = async () => {
+    if (selectedIds.length === 0) {
+      setError('Select at least one order to merge.');
+      return;
+    }
+
+    const targetOrderId = getOrderId(order);
+    const sources = candidates.filter(candidate => selectedIds.includes(getOrderId(candidate)));
+    setSaving(true);
+    try {
+      const { message } = await mergeOrders({ targetOrderId, sourceOrderIds: selectedIds, reason: reason.trim() });
+      logger.success('Orders merged', { targetOrderId, sourceOrderIds: selectedIds });
+
+      const branchId = order.branch_id || null;
+      broadcastUpdate(UPDATE_EVENTS.ORDER_UPDATED, { order_id: targetOrderId, merged_order_ids: selectedIds, branch_id: branchId });
+      broadcastUpdate(UPDATE_EVENTS.TABLE_UPDATED, {
+        table_ids: sources.map(source => source.table_id).filter(tableId => tableId && tableId !== '-'),
+        branch_id: branchId,
+      });
+      onMerged(message || `Merged ${selectedIds.length} order(s) into ${order.orderid || `ORD-${targetOrderId}`}.`);
+    } catch (mergeError) {
+      logger.error('Order merge failed', { targetOrderId, sourceOrderIds: selectedIds, error: mergeError.message });
+      setError(mergeError.message || 'Failed to merge orders');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen onClose={onClose} title={`Merge into ${order.orderid || `ORD-${getOrderId(order)}`}`} size="md">
+      <div className="space-y-4 text-gray-900">
+        {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+
+        <p className="text-sm text-gray-600">
+          Items from the selected orders move to {getTableLabel(order)} and keep their kitchen status.
+          The selected orders are closed and their tables freed.
+        </p>
+
+        {candidates.length === 0 ? (
+          <p className="text-sm text-gray-500">No other pending or running orders to merge.</p>
+        ) : (
+          <div className="space-y-2 max-h-72 overflow-y-auto">
+            {candidates.map(candidate => {
+              const candidateId = getOrderId(candidate);
+              const checked = selectedIds.includes(candidateId);
+              return (
+                <label
+                  key={candidateId}
+                  className={`flex items-center gap-3 rounded-lg border px-3 py-2 cursor-pointer transition-colors ${
+                    checked ? 'border-[#FF5F15] bg-orange-50' : 'border-gray-200 hover:bg-gray-50'
+                  }`}
+                >
+                  <input type="checkbox" checked={checked} onChange={() => toggle(candidateId)} className="accent-[#FF5F15]" />
+                  <span className="flex-1 text-sm">
+                    <span className="font-semibold">{candidate.orderid || `ORD-${candidateId}`}</span>
+                    <span className="text-gray-500"> · {getTableLabel(candidate)} · {candidate.status}</span>
+                  </span>
+                  <span className="text-sm font-medium">{formatPKR(candidate.netTotal ?? candidate.total ?? 0)}</span>
+                </label>
+              );
+            })}
+          </div>
+        )}
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1.5">Reason (optional)</label>
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="e.g. Party joined table 4"
+            className="block w-full px-3 py-2 border border-[#E0E0E0] rounded-lg text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition"
+          />
+        </div>
+
+        <div className="flex gap-3 pt-2">
+          <Button variant="secondary" onClick={onClose} className="flex-1">Cancel</Button>
+          <Button onClick={handleMerge} disabled={saving || selectedIds.length === 0} className="flex-1">
+            {saving ? 'Merging...' : `Merge ${selectedIds.length || ''} Order${selectedIds.length === 1 ? '' : 's'}`}
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,221 @@
+'use client';
+
+/**
+ * Split Order Modal Component
+ * Moves some of an order's items to a new order, e.g. when part of a table moves to another table
+ * or wants its own bill. Items are moved by order_item_id so their kitchen status is kept.
+ */
+
+import { useEffect, useState } from 'react';
+import { Minus, Plus } from 'lucide-react';
+import Modal from '@/components/ui/Modal';
+import Button from '@/components/ui/Button';
+import Alert from '@/components/ui/Alert';
+import { apiPost, getBranchId, getTerminal } from '@/utils/api';
+import { getOrdersById, splitOrder } from '@/utils/endpoints';
+import { broadcastUpdate, UPDATE_EVENTS } from '@/utils/dashboardSync';
+import { isDineInOrderType } from '@/utils/billTotals';
+import { VOIDED_ITEM_STATUS } from '@/utils/itemVoids';
+import { formatPKR } from '@/utils/format';
+import logger from '@/utils/logger';
+
+const getOrderId = (order) => order.order_id || order.id;
+const getItemId = (item) => item.order_item_id ?? item.id ?? item.item_id;
+const getItemQuantity = (item) => parseInt(item.quantity ?? item.qty ?? 1, 10) || 1;
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.order - Order being split (null = closed)
+ * @param {Function} props.onClose - Close without splitting
+ * @param {Function} props.onSplit - Called with the API message after a successful split
+ */
+export default function SplitOrderModal({ order, onClose, onSplit }) {
+  if (!order) return null;
+
+  // Keyed by order so every split starts from the order's current items
+  return <SplitOrder key={getOrderId(order)} order={order} onClose={onClose} onSplit={onSplit} />;
+}
+
+function SplitOrder({ order, onClose, onSplit }) {
+  const [items, setItems] = useState([]);
+  const [tables, setTables] = useState([]);
+  const [moveQuantities, setMoveQuantities] = useState({});
+  const [tableId, setTableId] = useState('');
+  const [reason, setReason] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const isDineIn = isDineInOrderType(order.order_type);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const details = await getOrdersById({ orderId: getOrderId(order), orderNumber: order.orderid });
+        // Voided rows can't move, and combo component rows move with their combo line
+        if (!cancelled) {
+          setItems(details.items.filter(item => getItemId(item) != null && item.kitchen_status !== VOIDED_ITEM_STATUS && !item.parent_item_id));
+        }
+      } catch (loadError) {
+        if (!cancelled) setError(loadError.message || 'Failed to load order items');
+      }
+
+      if (isDineIn) {
+        const terminal = getTerminal();
+        const branchId = order.branch_id || getBranchId() || terminal;
+        const result = await apiPost('api/get_tables.php', { terminal, branch_id: branchId });
+        const data = result.data?.data || result.data?.tables || result.data;
+        if (!cancelled && Array.isArray(data)) {
+          setTables(data.filter(table => String(table.table_id || table.id) !== String(order.table_id)));
+        }
+      }
+      if (!cancelled) setLoading(false);
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [order, isDineIn]);
+
+  const changeQuantity = (item, delta) => {
+    const itemId = getItemId(item);
+    setError('');
+    setMoveQuantities(prev => ({
+      ...prev,
+      [itemId]: Math.min(getItemQuantity(item), Math.max(0, (prev[itemId] || 0) + delta)),
+    }));
+  };
+
+  const movedItems = items
+    .filter(item => (moveQuantities[getItemId(item)] || 0) > 0)
+    .map(item => ({ order_item_id: getItemId(item), quantity: moveQuantities[getItemId(item)] }));
+  const movedUnits = movedItems.reduce((sum, item) => sum + item.quantity, 0);
+  const totalUnits = items.reduce((sum, item) => sum + getItemQuantity(item), 0);
+  const movedTotal = items.reduce(
+    (sum, item) => sum + (moveQuantities[getItemId(item)] || 0) * parseFloat(item.price || 0),
+    0
+  );
+
+  const handleSplit = async () => {
+    if (movedUnits === 0) {
+      setError('Choose at least one item to move to the new order.');
+      return;
+    }
+    if (movedUnits === totalUnits) {
+      setError('Leave at least one item on this order. To move the whole order, edit it and change the table.');
+      return;
+    }
+
+    const orderId = getOrderId(order);
+    setSaving(true);
+    try {
+      const { message, order: newOrder } = await splitOrder({
+        orderId,
+        items: movedItems,
+        tableId: tableId || null,
+        reason: reason.trim(),
+      });
+      logger.success('Order split', { orderId, items: movedItems, tableId: tableId || null });
+
+      const branchId = order.branch_id || null;
+      broadcastUpdate(UPDATE_EVENTS.ORDER_UPDATED, { order_id: orderId, split_order_id: newOrder ? getOrderId(newOrder) : null, branch_id: branchId });
+      if (tableId) broadcastUpdate(UPDATE_EVENTS.TABLE_UPDATED, { table_ids: [tableId], branch_id: branchId });
+      onSplit(message || `Moved ${movedUnits} item(s) to ${newOrder?.orderid || 'a new order'}.`);
+    } catch (splitError) {
+      logger.error('Order split failed', { orderId, items: movedItems, error: splitError.message });
+      setError(splitError.message || 'Failed to split order');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen onClose={onClose} title={`Split ${order.orderid || `ORD-${getOrderId(order)}`}`} size="lg">
+      <div className="space-y-4 text-gray-900">
+        {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+
+        <p className="text-sm text-gray-600">
+          Choose how many of each item move to a new order. Moved items keep their kitchen status.
+        </p>
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading items...</p>
+        ) : (
+          <div className="divide-y divide-gray-100 rounded-lg border border-gray-200 max-h-80 overflow-y-auto">
+            {items.map(item => {
+              const itemId = getItemId(item);
+              const moving = moveQuantities[itemId] || 0;
+              return (
+                <div key={itemId} className="flex items-center gap-3 px-3 py-2">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium truncate">{item.dish_name || item.name || 'Item'}</p>
+                    <p className="text-xs text-gray-500">
+                      {getItemQuantity(item)} × {formatPKR(item.price || 0)}
+                      {item.kitchen_status ? ` · ${item.kitchen_status}` : ''}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <button type="button" onClick={() => changeQuantity(item, -1)} className="p-1.5 rounded-lg border border-gray-200 hover:bg-gray-50" title="Move fewer">
+                      <Minus className="w-4 h-4" />
+                    </button>
+                    <span className={`w-6 text-center text-sm font-semibold ${moving > 0 ? 'text-[#FF5F15]' : ''}`}>{moving}</span>
+                    <button type="button" onClick={() => changeQuantity(item, 1)} className="p-1.5 rounded-lg border border-gray-200 hover:bg-gray-50" title="Move more">
+                      <Plus className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {isDineIn && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1.5">New order&apos;s table</label>
+            <select
+              value={tableId}
+              onChange={(e) => setTableId(e.target.value)}
+              className="block w-full px-3 py-2 border border-[#E0E0E0] rounded-lg text-sm text-gray-900 bg-white focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition"
+            >
+              <option value="">Same table</option>
+              {tables.map(table => {
+                const id = table.table_id || table.id;
+                const status = (table.status || table.Status || '').toLowerCase();
+                return (
+                  <option key={id} value={id} disabled={status !== '' && status !== 'available'}>
+                    Table {table.table_number || table.table_name || table.number || id}
+                    {status && status !== 'available' ? ` (${table.status || table.Status})` : ''}
+                  </option>
+                );
+              })}
+            </select>
+          </div>
+        )}
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1.5">Reason (optional)</label>
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="e.g. Two guests moved to table 7"
+            className="block w-full px-3 py-2 border border-[#E0E0E0] rounded-lg text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition"
+          />
+        </div>
+
+        <div className="flex items-center justify-between gap-3 pt-2 border-t border-gray-100">
+          <span className="text-sm text-gray-600">
+            Moving {movedUnits} item(s) · <span className="font-semibold text-gray-900">{formatPKR(movedTotal)}</span>
+          </span>
+          <div className="flex gap-2">
+            <Button variant="secondary" onClick={onClose}>Cancel</Button>
+            <Button onClick={handleSplit} disabled={saving || loading || movedUnits === 0}>
+              {saving ? 'Splitting...' : 'Split Order'}
+            </Button>
+          </div>
+        </div>
+      </div>
+    </Modal>
+  );
+}
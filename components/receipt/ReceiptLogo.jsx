@@ -5,13 +5,15 @@
  * Simplified version optimized for thermal printing
  */
 
+import { RECEIPT_LOGO_SRC } from '@/utils/printer';
+
 export default function ReceiptLogo() {
   return (
     <div style={{ textAlign: 'center', marginBottom: '10px' }}>
       {/* Try to load logo image first, fallback to text */}
       <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', marginBottom: '8px' }}>
         <img 
-          src="/logo.png" 
+          src={RECEIPT_LOGO_SRC} 
           alt="Restaurant Khas" 
           style={{
             maxWidth: '60mm',
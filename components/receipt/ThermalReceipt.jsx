@@ -9,6 +9,9 @@
 import { useState } from 'react';
 import { formatPKR, formatDateTime } from '@/utils/format';
 import { isDineInOrderType } from '@/utils/billTotals';
+import { formatModifierSummary, getItemModifiers } from '@/utils/modifiers';
+import { formatComboComponents, getItemComponents } from '@/utils/combos';
+import { describeBalance, describeRedemption } from '@/utils/loyalty';
 
 /**
  * Logo Component with Text Fallback
@@ -52,7 +55,7 @@ function LogoWithFallback() {
   );
 }
 
-export default function ThermalReceipt({ order, items, branchName = '', showPaidAmount = false }) {
+export default function ThermalReceipt({ order, items, branchName = '', showPaidAmount = false, splitLabel = '' }) {
   // Extract order data with fallbacks
   const orderId = order?.order_id || order?.id || order?.orderid || 'N/A';
   const orderNumber = order?.orderid || (orderId !== 'N/A' ? `ORD-${orderId}` : 'N/A');
@@ -85,6 +88,11 @@ export default function ThermalReceipt({ order, items, branchName = '', showPaid
   const cashReceived = parseFloat(order?.cash_received || 0);
   const change = parseFloat(order?.change || 0);
   const billId = order?.bill_id || null;
+  // Points and stamp cards redeemed on this bill, and the customer's balance after it
+  const loyaltyDiscount = parseFloat(order?.loyalty_discount || 0);
+  const loyaltyBalance = order?.loyalty_balance || null;
+  // Mixed-tender bills list each part, e.g. Cash 1,000 + Easypaisa 500
+  const tenders = Array.isArray(order?.tenders) ? order.tenders : [];
   
   // Customer information for credit sales
   const isCredit = paymentMethod === 'Credit' || order?.is_credit || paymentStatus === 'Credit';
@@ -256,6 +264,11 @@ export default function ThermalReceipt({ order, items, branchName = '', showPaid
           padding-right: 2px;
         }
         
+        .item-modifiers {
+          font-size: 9px;
+          color: #444;
+        }
+        
         .item-price {
           width: 20%;
           text-align: right;
@@ -354,11 +367,26 @@ export default function ThermalReceipt({ order, items, branchName = '', showPaid
           <div className="info-row">
             <span className="order-type">{displayOrderType}</span>
           </div>
+          {splitLabel && (
+            <div className="info-row">
+              <span className="info-label">Split:</span> {splitLabel}
+            </div>
+          )}
           {order?.table_number && orderType === 'Dine In' && (
             <div className="info-row">
               <span className="info-label">Table:</span> {order.table_number}
             </div>
           )}
+          {orderType === 'Delivery' && order?.delivery_address && (
+            <div className="info-row" style={{ marginTop: '8px', paddingTop: '8px', borderTop: '1px dashed #ccc' }}>
+              <span className="info-label">Deliver to:</span>
+              <div style={{ marginTop: '4px' }}>
+                {order.delivery_name && <div style={{ fontWeight: 'bold' }}>{order.delivery_name}</div>}
+                <div>{order.delivery_address}</div>
+                {order.delivery_phone && <div>{order.delivery_phone}</div>}
+              </div>
+            </div>
+          )}
           {isCredit && customerName && (
             <div className="info-row" style={{ marginTop: '8px', paddingTop: '8px', borderTop: '1px dashed #ccc' }}>
               <span className="info-label" style={{ fontWeight: 'bold', color: '#FF5F15' }}>Credit Customer:</span>
@@ -397,10 +425,17 @@ export default function ThermalReceipt({ order, items, branchName = '', showPaid
                 // Truncate long item names for 80mm width (max ~28 chars)
                 const maxItemNameLength = 28;
                 const displayName = itemName.length > maxItemNameLength ? itemName.substring(0, maxItemNameLength - 3) + '...' : itemName;
+                // Chosen size/add-ons; the unit price already includes their deltas
+                const modifierSummary = formatModifierSummary(getItemModifiers(item));
+                const comboSummary = formatComboComponents(getItemComponents(item));
                 
                 return (
                   <tr key={index}>
-                    <td className="item-name">{displayName}</td>
+                    <td className="item-name">
+                      {displayName}
+                      {comboSummary && <div className="item-modifiers">{comboSummary}</div>}
+                      {modifierSummary && <div className="item-modifiers">+ {modifierSummary}</div>}
+                    </td>
                     <td className="item-price">{formatPKR(itemPrice)}</td>
                     <td className="item-qty">{itemQty}</td>
                     <td className="item-total">{formatPKR(itemTotal)}</td>
@@ -435,6 +470,12 @@ export default function ThermalReceipt({ order, items, branchName = '', showPaid
                   <span className="total-value">-{formatPKR(discount)}</span>
                 </div>
               )}
+              {loyaltyDiscount > 0 && (
+                <div className="total-row">
+                  <span className="total-label">Loyalty ({describeRedemption(order)}):</span>
+                  <span className="total-value">-{formatPKR(loyaltyDiscount)}</span>
+                </div>
+              )}
               <div className="total-row net-total">
                 <span className="total-label">Net amount:</span>
                 <span className="total-value">{formatPKR(netTotal)}</span>
@@ -449,7 +490,7 @@ export default function ThermalReceipt({ order, items, branchName = '', showPaid
 
               {serviceCharge > 0 && (
                 <div className="total-row">
-                  <span className="total-label">Service Charge:</span>
+                  <span className="total-label">{orderType === 'Delivery' ? 'Delivery Charge:' : 'Service Charge:'}</span>
                   <span className="total-value">{formatPKR(serviceCharge)}</span>
                 </div>
               )}
@@ -461,6 +502,12 @@ export default function ThermalReceipt({ order, items, branchName = '', showPaid
                 </div>
               )}
 
+              {loyaltyDiscount > 0 && (
+                <div className="total-row">
+                  <span className="total-label">Loyalty ({describeRedemption(order)}):</span>
+                  <span className="total-value">-{formatPKR(loyaltyDiscount)}</span>
+                </div>
+              )}
               <div className="total-row net-total">
                 <span className="total-label">Net Total:</span>
                 <span className="total-value">{formatPKR(netTotal)}</span>
@@ -475,14 +522,22 @@ export default function ThermalReceipt({ order, items, branchName = '', showPaid
               <span className="total-value">{paymentMethod}</span>
             </div>
           )}
+          {tenders.map((tender, index) => (
+            <div key={index} className="total-row" style={{ fontSize: '11px' }}>
+              <span className="total-label">&nbsp;&nbsp;{tender.payment_method}:</span>
+              <span className="total-value">{formatPKR(tender.tendered ?? tender.amount)}</span>
+            </div>
+          ))}
           
           {/* Show paid amount if payment is completed */}
           {showPaidAmount && paymentStatus === 'Paid' && cashReceived > 0 && (
             <>
-              <div className="total-row" style={{ fontSize: '11px', marginTop: '5px' }}>
-                <span className="total-label">Amount Paid:</span>
-                <span className="total-value" style={{ color: '#059669', fontWeight: 'bold' }}>{formatPKR(cashReceived)}</span>
-              </div>
+              {tenders.length === 0 && (
+                <div className="total-row" style={{ fontSize: '11px', marginTop: '5px' }}>
+                  <span className="total-label">Amount Paid:</span>
+                  <span className="total-value" style={{ color: '#059669', fontWeight: 'bold' }}>{formatPKR(cashReceived)}</span>
+                </div>
+              )}
               {change > 0 && (
                 <div className="total-row" style={{ fontSize: '11px' }}>
                   <span className="total-label">Change Returned:</span>
@@ -503,6 +558,12 @@ export default function ThermalReceipt({ order, items, branchName = '', showPaid
               <span className="total-value">#{billId}</span>
             </div>
           )}
+          {loyaltyBalance && (
+            <div className="total-row" style={{ fontSize: '10px', marginTop: '4px', color: '#666' }}>
+              <span className="total-label">Loyalty balance:</span>
+              <span className="total-value">{describeBalance(loyaltyBalance)}</span>
+            </div>
+          )}
         </div>
 
         {/* Thank You */}
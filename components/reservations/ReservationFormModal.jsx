@@ -0,0 +1,195 @@
+'use client';
+
+/**
+ * Reservation Form Modal Component
+ * Books (or edits) a table reservation: guest, phone, party size, time slot, preferred hall and
+ * optionally the table to hold. The backend rejects a table that is already booked for the slot.
+ */
+
+import { useState } from 'react';
+import Modal from '@/components/ui/Modal';
+import Button from '@/components/ui/Button';
+import Alert from '@/components/ui/Alert';
+import { reservationsManagement } from '@/utils/endpoints';
+import { getTerminal } from '@/utils/api';
+import { broadcastUpdate, UPDATE_EVENTS } from '@/utils/dashboardSync';
+import { DEFAULT_DURATION_MINUTES } from '@/utils/reservations';
+import logger from '@/utils/logger';
+
+const inputClassName = 'block w-full px-3 py-2.5 border border-[#E0E0E0] rounded-lg text-gray-900 bg-white focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition';
+
+const DURATIONS = [60, 90, 120, 150, 180];
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.reservation - Reservation to edit, {} for a new one, null = closed
+ * @param {string} props.date - Day being booked, 'YYYY-MM-DD' (for new reservations)
+ * @param {Array<Object>} props.halls - [{ hall_id, name }]
+ * @param {Array<Object>} props.tables - Branch tables (normalized)
+ * @param {number|string} props.branchId - Branch
+ * @param {Function} props.onClose - Close without saving
+ * @param {Function} props.onSaved - Called with a message after saving
+ */
+export default function ReservationFormModal({ reservation, date, halls, tables, branchId, onClose, onSaved }) {
+  if (!reservation) return null;
+
+  // Keyed by reservation so the form starts from the booking being edited
+  return (
+    <ReservationForm
+      key={reservation.reservation_id || 'new'}
+      reservation={reservation}
+      date={date}
+      halls={halls}
+      tables={tables}
+      branchId={branchId}
+      onClose={onClose}
+      onSaved={onSaved}
+    />
+  );
+}
+
+function ReservationForm({ reservation, date, halls, tables, branchId, onClose, onSaved }) {
+  const [form, setForm] = useState({
+    guest_name: reservation.guest_name || '',
+    phone: reservation.phone || '',
+    party_size: reservation.party_size || 2,
+    reservation_date: reservation.reservation_date || date,
+    reservation_time: reservation.reservation_time || '19:00',
+    duration_minutes: reservation.duration_minutes || DEFAULT_DURATION_MINUTES,
+    hall_id: reservation.hall_id ? String(reservation.hall_id) : '',
+    table_id: reservation.table_id ? String(reservation.table_id) : '',
+    notes: reservation.notes || '',
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const update = (changes) => {
+    setError('');
+    setForm(prev => ({ ...prev, ...changes }));
+  };
+
+  const partySize = parseInt(form.party_size, 10) || 0;
+  const hallTables = tables.filter(table =>
+    (!form.hall_id || String(table.hall_id) === form.hall_id) && (!table.capacity || table.capacity >= partySize)
+  );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.guest_name.trim()) {
+      setError('Guest name is required.');
+      return;
+    }
+    if (partySize < 1) {
+      setError('Party size must be at least 1.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const payload = {
+        ...form,
+        reservation_id: reservation.reservation_id || undefined,
+        guest_name: form.guest_name.trim(),
+        phone: form.phone.trim(),
+        party_size: partySize,
+        duration_minutes: parseInt(form.duration_minutes, 10),
+        hall_id: form.hall_id ? Number(form.hall_id) : null,
+        table_id: form.table_id ? Number(form.table_id) : null,
+        branch_id: branchId,
+        terminal: getTerminal(),
+      };
+      await reservationsManagement.save(payload);
+      logger.success(reservation.reservation_id ? 'Reservation updated' : 'Reservation booked', {
+        reservationId: reservation.reservation_id || null,
+        date: form.reservation_date,
+        time: form.reservation_time,
+      });
+      broadcastUpdate(UPDATE_EVENTS.RESERVATION_UPDATED, { reservation_id: reservation.reservation_id || null });
+      onSaved(`${reservation.reservation_id ? 'Updated' : 'Booked'} ${payload.guest_name}, party of ${partySize} at ${form.reservation_time}.`);
+    } catch (saveError) {
+      setError(saveError.message || 'Failed to save reservation');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen onClose={onClose} title={reservation.reservation_id ? 'Edit Reservation' : 'New Reservation'} size="lg">
+      <form onSubmit={handleSubmit} className="space-y-4 text-gray-900">
+        {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1.5">
+              Guest Name <span className="text-red-500">*</span>
+            </label>
+            <input type="text" value={form.guest_name} onChange={(e) => update({ guest_name: e.target.value })} className={inputClassName} required />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1.5">Phone</label>
+            <input type="tel" value={form.phone} onChange={(e) => update({ phone: e.target.value })} placeholder="03XX-XXXXXXX" className={inputClassName} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1.5">
+              Party Size <span className="text-red-500">*</span>
+            </label>
+            <input type="number" min="1" value={form.party_size} onChange={(e) => update({ party_size: e.target.value })} className={inputClassName} required />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1.5">Preferred Hall</label>
+            <select value={form.hall_id} onChange={(e) => update({ hall_id: e.target.value, table_id: '' })} className={inputClassName}>
+              <option value="">Any hall</option>
+              {halls.map(hall => (
+                <option key={hall.hall_id} value={hall.hall_id}>{hall.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1.5">
+              Date <span className="text-red-500">*</span>
+            </label>
+            <input type="date" value={form.reservation_date} onChange={(e) => update({ reservation_date: e.target.value })} className={inputClassName} required />
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1.5">
+                Time <span className="text-red-500">*</span>
+              </label>
+              <input type="time" value={form.reservation_time} onChange={(e) => update({ reservation_time: e.target.value })} className={inputClassName} required />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1.5">Duration</label>
+              <select value={form.duration_minutes} onChange={(e) => update({ duration_minutes: e.target.value })} className={inputClassName}>
+                {DURATIONS.map(minutes => (
+                  <option key={minutes} value={minutes}>{minutes / 60} h</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1.5">Hold Table</label>
+            <select value={form.table_id} onChange={(e) => update({ table_id: e.target.value })} className={inputClassName}>
+              <option value="">Assign when seating</option>
+              {hallTables.map(table => (
+                <option key={table.table_id} value={table.table_id}>
+                  Table {table.table_number || table.table_id} ({table.capacity} seats)
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1.5">Notes</label>
+            <input type="text" value={form.notes} onChange={(e) => update({ notes: e.target.value })} placeholder="e.g. Birthday, high chair" className={inputClassName} />
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-3 pt-2">
+          <Button type="button" variant="secondary" onClick={onClose}>Cancel</Button>
+          <Button type="submit" disabled={saving}>
+            {saving ? 'Saving...' : reservation.reservation_id ? 'Update' : 'Book'}
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
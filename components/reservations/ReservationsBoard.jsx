@@ -0,0 +1,173 @@
+'use client';
+
+/**
+ * Reservations Board Component
+ * One day's bookings next to the walk-in waitlist. Seating a booking or a waiting party marks its
+ * table running and opens create-order with the table and customer filled in.
+ */
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { CalendarPlus, Users } from 'lucide-react';
+import Button from '@/components/ui/Button';
+import Alert from '@/components/ui/Alert';
+import ReservationFormModal from '@/components/reservations/ReservationFormModal';
+import SeatGuestModal from '@/components/reservations/SeatGuestModal';
+import WaitlistPanel from '@/components/reservations/WaitlistPanel';
+import { useFloorTables } from '@/hooks/useFloorTables';
+import { useReservations } from '@/hooks/useReservations';
+import { reservationsManagement } from '@/utils/endpoints';
+import { broadcastUpdate, UPDATE_EVENTS } from '@/utils/dashboardSync';
+import {
+  HOLD_BEFORE_MINUTES,
+  RESERVATION_STATUSES,
+  applyReservationHolds,
+  getTodayDate,
+  saveSeatingHandoff,
+} from '@/utils/reservations';
+
+/**
+ * @param {Object} props
+ * @param {number|string} props.branchId - Branch
+ * @param {string} props.createOrderPath - Create-order page of the current role
+ */
+export default function ReservationsBoard({ branchId, createOrderPath }) {
+  const router = useRouter();
+  const [date, setDate] = useState(getTodayDate);
+  const [editing, setEditing] = useState(null); // {} = new reservation
+  const [seating, setSeating] = useState(null); // { reservation } or { waitlistEntry }
+  const [alert, setAlert] = useState({ type: '', message: '' });
+
+  const { halls, tables } = useFloorTables(branchId);
+  const { reservations, waitlist, loading, error, refresh } = useReservations(branchId, date);
+
+  const isToday = date === getTodayDate();
+  // Holds only matter for seating now, so they come from today's bookings
+  const heldTables = isToday ? applyReservationHolds(tables, reservations) : tables;
+
+  const hallName = (hallId) => halls.find(hall => String(hall.hall_id) === String(hallId))?.name || '';
+  const tableNumber = (tableId) => tables.find(table => String(table.table_id) === String(tableId))?.table_number || tableId;
+
+  const handleStatus = async (reservation, status) => {
+    const label = RESERVATION_STATUSES[status].label.toLowerCase();
+    if (!confirm(`Mark ${reservation.guest_name}'s reservation as ${label}?`)) return;
+    try {
+      await reservationsManagement.setStatus(reservation.reservation_id, status);
+      broadcastUpdate(UPDATE_EVENTS.RESERVATION_UPDATED, { reservation_id: reservation.reservation_id });
+      refresh();
+    } catch (statusError) {
+      setAlert({ type: 'error', message: statusError.message || 'Failed to update reservation' });
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-3">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Reservations</h1>
+          <p className="text-gray-600 mt-1">Bookings hold their table on the floor map from {HOLD_BEFORE_MINUTES} minutes before their slot</p>
+        </div>
+        <div className="flex items-center gap-3">
+          <input
+            type="date"
+            value={date}
+            onChange={(e) => setDate(e.target.value || getTodayDate())}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-gray-900 focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition"
+          />
+          <Button onClick={() => setEditing({})} className="flex items-center gap-2">
+            <CalendarPlus className="w-4 h-4" />
+            New Reservation
+          </Button>
+        </div>
+      </div>
+
+      {alert.message && <Alert type={alert.type} message={alert.message} onClose={() => setAlert({ type: '', message: '' })} />}
+      {error && <Alert type="error" message={error} />}
+
+      <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+        <div className="xl:col-span-2 bg-white rounded-lg shadow overflow-hidden">
+          {loading ? (
+            <p className="p-8 text-center text-gray-500">Loading reservations...</p>
+          ) : reservations.length === 0 ? (
+            <p className="p-8 text-center text-gray-500">No reservations for this day.</p>
+          ) : (
+            <div className="divide-y divide-gray-100">
+              {reservations.map(reservation => {
+                const status = RESERVATION_STATUSES[reservation.status] || RESERVATION_STATUSES.booked;
+                const isBooked = reservation.status === 'booked';
+                return (
+                  <div key={reservation.reservation_id} className="flex flex-wrap items-center gap-3 px-4 py-3">
+                    <div className="w-16 text-lg font-bold text-gray-900">{reservation.reservation_time}</div>
+                    <div className="flex-1 min-w-[12rem]">
+                      <p className="font-medium text-gray-900">
+                        {reservation.guest_name}
+                        <span className="ml-2 inline-flex items-center gap-1 text-sm text-gray-500">
+                          <Users className="w-3.5 h-3.5" />
+                          {reservation.party_size}
+                        </span>
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {[
+                          reservation.phone,
+                          reservation.hall_id ? hallName(reservation.hall_id) : '',
+                          reservation.table_id ? `Table ${tableNumber(reservation.table_id)}` : '',
+                          `${reservation.duration_minutes} min`,
+                          reservation.notes,
+                        ].filter(Boolean).join(' · ')}
+                      </p>
+                    </div>
+                    <span className={`px-2 py-1 text-xs font-medium rounded-full ${status.className}`}>{status.label}</span>
+                    {isBooked && (
+                      <div className="flex items-center gap-2">
+                        {isToday && <Button size="sm" onClick={() => setSeating({ reservation })}>Seat</Button>}
+                        <Button size="sm" variant="outline" onClick={() => setEditing(reservation)}>Edit</Button>
+                        <Button size="sm" variant="secondary" onClick={() => handleStatus(reservation, 'no_show')}>No-show</Button>
+                        <Button size="sm" variant="danger" onClick={() => handleStatus(reservation, 'cancelled')}>Cancel</Button>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        <WaitlistPanel
+          waitlist={waitlist}
+          tables={heldTables}
+          halls={halls}
+          branchId={branchId}
+          onSeat={(waitlistEntry) => setSeating({ waitlistEntry })}
+          onMessage={setAlert}
+        />
+      </div>
+
+      <ReservationFormModal
+        reservation={editing}
+        date={date}
+        halls={halls}
+        tables={tables}
+        branchId={branchId}
+        onClose={() => setEditing(null)}
+        onSaved={(message) => {
+          setEditing(null);
+          setAlert({ type: 'success', message });
+          refresh();
+        }}
+      />
+
+      <SeatGuestModal
+        guest={seating}
+        tables={heldTables}
+        halls={halls}
+        branchId={branchId}
+        onClose={() => setSeating(null)}
+        onSeated={(seated) => {
+          setSeating(null);
+          saveSeatingHandoff(seated);
+          router.push(createOrderPath);
+        }}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+'use client';
+
+/**
+ * Seat Guest Modal Component
+ * Seats a booking or a waiting walk-in party at a free table that fits them. The guest is matched to
+ * (or added as) a customer by phone, and the page then opens a Dine In order for that table.
+ */
+
+import { useState } from 'react';
+import { Users } from 'lucide-react';
+import Modal from '@/components/ui/Modal';
+import Button from '@/components/ui/Button';
+import Alert from '@/components/ui/Alert';
+import { getTerminal } from '@/utils/api';
+import { seatGuest, suggestTables } from '@/utils/reservations';
+import logger from '@/utils/logger';
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.guest - { reservation } or { waitlistEntry } (null = closed)
+ * @param {Array<Object>} props.tables - Tables with reservation holds applied
+ * @param {Array<Object>} props.halls - [{ hall_id, name }]
+ * @param {number|string} props.branchId - Branch
+ * @param {Function} props.onClose - Close without seating
+ * @param {Function} props.onSeated - Called with the seating (see seatGuest)
+ */
+export default function SeatGuestModal({ guest, tables, halls, branchId, onClose, onSeated }) {
+  if (!guest) return null;
+
+  const entry = guest.reservation || guest.waitlistEntry;
+  // Keyed by guest so each seating starts with the best-fitting table picked
+  return (
+    <SeatGuest
+      key={`${guest.reservation ? 'r' : 'w'}${entry.reservation_id || entry.waitlist_id}`}
+      guest={guest}
+      tables={tables}
+      halls={halls}
+      branchId={branchId}
+      onClose={onClose}
+      onSeated={onSeated}
+    />
+  );
+}
+
+function SeatGuest({ guest, tables, halls, branchId, onClose, onSeated }) {
+  const entry = guest.reservation || guest.waitlistEntry;
+  const options = suggestTables(tables, entry.party_size, entry.hall_id, guest.reservation || null);
+  const heldTable = guest.reservation?.table_id
+    ? options.find(table => String(table.table_id) === String(guest.reservation.table_id))
+    : null;
+
+  const [tableId, setTableId] = useState(() => String((heldTable || options[0])?.table_id || ''));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const hallName = (hallId) => halls.find(hall => String(hall.hall_id) === String(hallId))?.name || '';
+
+  const handleSeat = async () => {
+    const table = options.find(option => String(option.table_id) === tableId);
+    if (!table) {
+      setError('Choose a table.');
+      return;
+    }
+    setSaving(true);
+    try {
+      const seating = await seatGuest({
+        reservation: guest.reservation || null,
+        waitlistEntry: guest.waitlistEntry || null,
+        table,
+        branchId,
+        terminal: getTerminal(),
+      });
+      logger.success('Guest seated', { guest: entry.guest_name, tableId: table.table_id, reservationId: seating.reservation_id });
+      onSeated(seating);
+    } catch (seatError) {
+      logger.error('Seating failed', { guest: entry.guest_name, tableId: table.table_id, error: seatError.message });
+      setError(seatError.message || 'Failed to seat guest');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen onClose={onClose} title={`Seat ${entry.guest_name || 'guest'}`} size="md">
+      <div className="space-y-4 text-gray-900">
+        {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+
+        <p className="text-sm text-gray-600">
+          Party of {entry.party_size}
+          {entry.hall_id ? ` · prefers ${hallName(entry.hall_id) || 'a hall'}` : ''}
+          {entry.phone ? ` · ${entry.phone}` : ''}
+        </p>
+
+        {options.length === 0 ? (
+          <p className="text-sm text-amber-700">No free table fits this party right now.</p>
+        ) : (
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-2 max-h-72 overflow-y-auto">
+            {options.map(table => {
+              const selected = String(table.table_id) === tableId;
+              return (
+                <button
+                  key={table.table_id}
+                  type="button"
+                  onClick={() => setTableId(String(table.table_id))}
+                  className={`rounded-lg border-2 px-3 py-2 text-left transition-colors ${
+                    selected ? 'border-[#FF5F15] bg-orange-50' : 'border-gray-200 hover:bg-gray-50'
+                  }`}
+                >
+                  <span className="block text-sm font-semibold">Table {table.table_number || table.table_id}</span>
+                  <span className="flex items-center gap-1 text-xs text-gray-500">
+                    <Users className="w-3 h-3" />
+                    {table.capacity} · {hallName(table.hall_id)}
+                  </span>
+                </button>
+              );
+            })}
+          </div>
+        )}
+
+        <div className="flex gap-3 pt-2">
+          <Button variant="secondary" onClick={onClose} className="flex-1">Cancel</Button>
+          <Button onClick={handleSeat} disabled={saving || !tableId} className="flex-1">
+            {saving ? 'Seating...' : 'Seat & Start Order'}
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
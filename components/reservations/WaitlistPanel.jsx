@@ -0,0 +1,160 @@
+'use client';
+
+/**
+ * Waitlist Panel Component
+ * Walk-in parties waiting for a table, oldest first, with how long each has waited and the
+ * estimated wait until a table that fits them frees up.
+ */
+
+import { useEffect, useState } from 'react';
+import { Clock, X } from 'lucide-react';
+import Button from '@/components/ui/Button';
+import { waitlistManagement } from '@/utils/endpoints';
+import { broadcastUpdate, UPDATE_EVENTS } from '@/utils/dashboardSync';
+import { formatElapsed } from '@/utils/floorPlan';
+import { estimateWaits } from '@/utils/reservations';
+
+const inputClassName = 'block w-full px-3 py-2 border border-[#E0E0E0] rounded-lg text-sm text-gray-900 bg-white focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-[#FF5F15] transition';
+
+const TICK_INTERVAL_MS = 30 * 1000;
+
+const EMPTY_ENTRY = { guest_name: '', phone: '', party_size: 2, hall_id: '' };
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.waitlist - Waiting entries, oldest first
+ * @param {Array<Object>} props.tables - Tables with reservation holds applied
+ * @param {Array<Object>} props.halls - [{ hall_id, name }]
+ * @param {number|string} props.branchId - Branch
+ * @param {Function} props.onSeat - Called with the entry to seat
+ * @param {Function} props.onMessage - Called with { type, message } to show on the page
+ */
+export default function WaitlistPanel({ waitlist, tables, halls, branchId, onSeat, onMessage }) {
+  const [entry, setEntry] = useState(EMPTY_ENTRY);
+  const [saving, setSaving] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), TICK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const waits = estimateWaits(waitlist, tables, now);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!entry.guest_name.trim()) return;
+    setSaving(true);
+    try {
+      await waitlistManagement.add({
+        branch_id: branchId,
+        guest_name: entry.guest_name.trim(),
+        phone: entry.phone.trim(),
+        party_size: parseInt(entry.party_size, 10) || 1,
+        hall_id: entry.hall_id ? Number(entry.hall_id) : null,
+      });
+      broadcastUpdate(UPDATE_EVENTS.RESERVATION_UPDATED, { waitlist: true });
+      setEntry(EMPTY_ENTRY);
+    } catch (addError) {
+      onMessage({ type: 'error', message: addError.message || 'Failed to add to waitlist' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (waiting) => {
+    if (!confirm(`Remove ${waiting.guest_name} from the waitlist?`)) return;
+    try {
+      await waitlistManagement.remove(waiting.waitlist_id);
+      broadcastUpdate(UPDATE_EVENTS.RESERVATION_UPDATED, { waitlist: true });
+    } catch (removeError) {
+      onMessage({ type: 'error', message: removeError.message || 'Failed to update waitlist' });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 space-y-4">
+      <h2 className="text-lg font-semibold text-gray-900">Walk-in Waitlist</h2>
+
+      <form onSubmit={handleAdd} className="space-y-2">
+        <input
+          type="text"
+          value={entry.guest_name}
+          onChange={(e) => setEntry(prev => ({ ...prev, guest_name: e.target.value }))}
+          placeholder="Guest name"
+          className={inputClassName}
+          required
+        />
+        <div className="grid grid-cols-2 gap-2">
+          <input
+            type="tel"
+            value={entry.phone}
+            onChange={(e) => setEntry(prev => ({ ...prev, phone: e.target.value }))}
+            placeholder="Phone"
+            className={inputClassName}
+          />
+          <input
+            type="number"
+            min="1"
+            value={entry.party_size}
+            onChange={(e) => setEntry(prev => ({ ...prev, party_size: e.target.value }))}
+            title="Party size"
+            className={inputClassName}
+          />
+        </div>
+        <select
+          value={entry.hall_id}
+          onChange={(e) => setEntry(prev => ({ ...prev, hall_id: e.target.value }))}
+          className={inputClassName}
+        >
+          <option value="">Any hall</option>
+          {halls.map(hall => (
+            <option key={hall.hall_id} value={hall.hall_id}>{hall.name}</option>
+          ))}
+        </select>
+        <Button type="submit" disabled={saving} className="w-full">
+          {saving ? 'Adding...' : 'Add to Waitlist'}
+        </Button>
+      </form>
+
+      {waitlist.length === 0 ? (
+        <p className="text-sm text-gray-500">Nobody is waiting.</p>
+      ) : (
+        <div className="divide-y divide-gray-100 rounded-lg border border-gray-200">
+          {waitlist.map(waiting => {
+            const wait = waits[waiting.waitlist_id];
+            return (
+              <div key={waiting.waitlist_id} className="flex items-center gap-3 px-3 py-2">
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">
+                    {waiting.guest_name} · {waiting.party_size}
+                  </p>
+                  <p className="flex items-center gap-1 text-xs text-gray-500">
+                    <Clock className="w-3 h-3" />
+                    Waiting {formatElapsed(waiting.created_at, now) || '0m'} ·{' '}
+                    {wait === null ? (
+                      <span className="text-red-600">no table fits</span>
+                    ) : wait === 0 ? (
+                      <span className="text-green-700">table free now</span>
+                    ) : (
+                      <span>~{wait} min</span>
+                    )}
+                  </p>
+                </div>
+                <Button size="sm" onClick={() => onSeat(waiting)}>Seat</Button>
+                <button
+                  type="button"
+                  onClick={() => handleRemove(waiting)}
+                  className="p-1.5 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                  title="Remove from waitlist"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -18,6 +18,7 @@ import {
   FileText,
   TrendingUp,
   BarChart3,
+  Trash2,
   Receipt,
   Table2,
   Building2,
@@ -25,11 +26,21 @@ import {
   LogOut,
   PlusCircle,
   Network,
+  MonitorSmartphone,
   FileBarChart,
   Clock,
+  ShieldCheck,
+  Gift,
 } from 'lucide-react';
 import { getToken, getRole, getFullname, getUsername, clearAuth } from '@/utils/api';
+import permissions from '@/utils/permissions';
+import { usePermissions } from '@/hooks/usePermissions';
 import DashboardShell from '@/components/dashboard/DashboardShell';
+import LockButton from '@/components/ui/LockButton';
+import LockScreen from '@/components/ui/LockScreen';
+import PendingSyncBadge from '@/components/ui/PendingSyncBadge';
+import ReauthModal from '@/components/ui/ReauthModal';
+import TerminalBadge from '@/components/ui/TerminalBadge';
 
 /**
  * Sidebar Menu Items with Lucide icons
@@ -37,27 +48,32 @@ import DashboardShell from '@/components/dashboard/DashboardShell';
  */
 const menuItems = [
   { icon: LayoutDashboard, label: 'Dashboard', path: '/dashboard/super-admin' },
-  { icon: Network, label: 'Branches', path: '/dashboard/super-admin/branches' },
-  { icon: PlusCircle, label: 'Create Order', path: '/dashboard/super-admin/create-order' },
-  { icon: FolderOpen, label: 'Categories', path: '/dashboard/super-admin/category' },
-  { icon: Utensils, label: 'Menu', path: '/dashboard/super-admin/menu' },
-  { icon: ChefHat, label: 'Kitchen', path: '/dashboard/super-admin/kitchen' },
-  { icon: Printer, label: 'Printers', path: '/dashboard/super-admin/printer' },
-  { icon: FileText, label: 'Orders', path: '/dashboard/super-admin/order' },
-  { icon: TrendingUp, label: 'Sales List', path: '/dashboard/super-admin/sales' },
-  { icon: FileBarChart, label: 'Sales Report', path: '/dashboard/super-admin/sales-report' },
-  { icon: BarChart3, label: 'Menu Sales', path: '/dashboard/super-admin/menu-sales' },
-  { icon: Receipt, label: 'Expenses', path: '/dashboard/super-admin/expenses' },
-  { icon: Clock, label: 'Day End', path: '/dashboard/super-admin/dayend' },
-  { icon: Building2, label: 'Halls', path: '/dashboard/super-admin/halls' },
-  { icon: Table2, label: 'Tables', path: '/dashboard/super-admin/tables' },
-  { icon: Users, label: 'Customers', path: '/dashboard/super-admin/customers' },
-  { icon: Users, label: 'Users', path: '/dashboard/super-admin/accounts' },
+  { icon: Network, label: 'Branches', path: '/dashboard/super-admin/branches', capability: 'branch.manage' },
+  { icon: MonitorSmartphone, label: 'Terminals', path: '/dashboard/super-admin/terminals', capability: 'terminal.manage' },
+  { icon: ShieldCheck, label: 'Permissions', path: '/dashboard/super-admin/permissions', capability: 'permission.manage' },
+  { icon: PlusCircle, label: 'Create Order', path: '/dashboard/super-admin/create-order', capability: 'order.create' },
+  { icon: FolderOpen, label: 'Categories', path: '/dashboard/super-admin/category', capability: 'menu.manage' },
+  { icon: Utensils, label: 'Menu', path: '/dashboard/super-admin/menu', capability: 'menu.manage' },
+  { icon: ChefHat, label: 'Kitchen', path: '/dashboard/super-admin/kitchen', capability: 'kitchen.view' },
+  { icon: Printer, label: 'Printers', path: '/dashboard/super-admin/printer', capability: 'printer.manage' },
+  { icon: FileText, label: 'Orders', path: '/dashboard/super-admin/order', capability: 'order.view' },
+  { icon: TrendingUp, label: 'Sales List', path: '/dashboard/super-admin/sales', capability: 'report.view' },
+  { icon: FileBarChart, label: 'Sales Report', path: '/dashboard/super-admin/sales-report', capability: 'report.view' },
+  { icon: BarChart3, label: 'Menu Sales', path: '/dashboard/super-admin/menu-sales', capability: 'report.view' },
+  { icon: Trash2, label: 'Wastage', path: '/dashboard/super-admin/wastage', capability: 'report.view' },
+  { icon: Receipt, label: 'Expenses', path: '/dashboard/super-admin/expenses', capability: 'expense.view' },
+  { icon: Clock, label: 'Day End', path: '/dashboard/super-admin/dayend', capability: 'dayend.manage' },
+  { icon: Building2, label: 'Halls', path: '/dashboard/super-admin/halls', capability: 'floor.manage' },
+  { icon: Table2, label: 'Tables', path: '/dashboard/super-admin/tables', capability: 'floor.manage' },
+  { icon: Users, label: 'Customers', path: '/dashboard/super-admin/customers', capability: 'customer.manage' },
+  { icon: Gift, label: 'Loyalty', path: '/dashboard/super-admin/loyalty', capability: 'loyalty.manage' },
+  { icon: Users, label: 'Users', path: '/dashboard/super-admin/accounts', capability: 'user.manage' },
 ];
 
 export default function SuperAdminLayout({ children }) {
   const router = useRouter();
   const pathname = usePathname();
+  const { can, ready } = usePermissions();
   const [sidebarOpen, setSidebarOpen] = useState(false); // Closed by default on mobile
   const [isMobile, setIsMobile] = useState(false);
 
@@ -110,6 +126,17 @@ export default function SuperAdminLayout({ children }) {
     console.log('SuperAdminLayout: Auth check passed');
   }, [router]);
 
+  useEffect(() => {
+    // Pages left out of this role's navigation can't be opened by URL either
+    if (!ready) return;
+    const capability = permissions.getRequiredCapability(menuItems, pathname);
+    if (capability && !can(capability)) {
+      router.replace(menuItems[0].path);
+    }
+  }, [ready, can, pathname, router]);
+
+  const visibleMenuItems = menuItems.filter(item => !item.capability || can(item.capability));
+
   /**
    * Handle logout
    */
@@ -137,7 +164,7 @@ export default function SuperAdminLayout({ children }) {
 
   return (
     <DashboardShell
-      menuItems={menuItems}
+      menuItems={visibleMenuItems}
       pathname={pathname}
       portalTitle="Super Admin"
       sidebarOpen={sidebarOpen}
@@ -147,17 +174,24 @@ export default function SuperAdminLayout({ children }) {
       userName={displayName}
       userSubtitle="Super Admin"
       headerActions={
-        <button
-          type="button"
-          onClick={handleLogout}
-          className="px-3 sm:px-4 py-2 text-xs sm:text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 transition-colors flex items-center gap-1 sm:gap-2 shadow-sm"
-        >
-          <LogOut className="w-4 h-4 shrink-0" aria-hidden />
-          <span className="hidden sm:inline">Logout</span>
-        </button>
+        <>
+          <TerminalBadge />
+          <LockButton />
+          <PendingSyncBadge />
+          <button
+            type="button"
+            onClick={handleLogout}
+            className="px-3 sm:px-4 py-2 text-xs sm:text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 transition-colors flex items-center gap-1 sm:gap-2 shadow-sm"
+          >
+            <LogOut className="w-4 h-4 shrink-0" aria-hidden />
+            <span className="hidden sm:inline">Logout</span>
+          </button>
+        </>
       }
     >
       {children}
+      <ReauthModal />
+      <LockScreen />
     </DashboardShell>
   );
 }
@@ -0,0 +1,168 @@
+'use client';
+
+/**
+ * Lock Button Component
+ * One tap locks the terminal for the next staff member (see LockScreen)
+ * The key button opens settings for the user's own PIN and this device's auto-lock delay
+ */
+
+import { useState } from 'react';
+import { Lock, KeyRound } from 'lucide-react';
+import Modal from '@/components/ui/Modal';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Alert from '@/components/ui/Alert';
+import { usePinLock } from '@/hooks/usePinLock';
+import pinLock, { PIN_PATTERN, IDLE_LOCK_OPTIONS } from '@/utils/pinLock';
+import { lockTerminal, setOwnPin } from '@/utils/api';
+
+const EMPTY_PIN_FORM = { pin: '', confirmPin: '', password: '' };
+
+export default function LockButton() {
+  const { idleLockMinutes } = usePinLock();
+  const [modalOpen, setModalOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_PIN_FORM);
+  const [saving, setSaving] = useState(false);
+  const [alert, setAlert] = useState({ type: '', message: '' });
+
+  const closeModal = () => {
+    setModalOpen(false);
+    setForm(EMPTY_PIN_FORM);
+    setAlert({ type: '', message: '' });
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: name === 'password' ? value : value.replace(/\D/g, '').slice(0, 6) }));
+  };
+
+  const handleSavePin = async (e) => {
+    e.preventDefault();
+    if (!PIN_PATTERN.test(form.pin)) {
+      setAlert({ type: 'error', message: 'PIN must be 4 to 6 digits.' });
+      return;
+    }
+    if (form.pin !== form.confirmPin) {
+      setAlert({ type: 'error', message: 'PINs do not match.' });
+      return;
+    }
+    if (!form.password) {
+      setAlert({ type: 'error', message: 'Enter your current password to confirm.' });
+      return;
+    }
+
+    setSaving(true);
+    setAlert({ type: '', message: '' });
+    try {
+      const result = await setOwnPin(form.pin, form.password);
+      if (result.success) {
+        setForm(EMPTY_PIN_FORM);
+        setAlert({ type: 'success', message: result.message || 'PIN saved. Use it to unlock this terminal.' });
+      } else {
+        setAlert({ type: 'error', message: result.message });
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <div className="flex items-center">
+        <button
+          type="button"
+          onClick={lockTerminal}
+          className="px-3 py-2 text-xs sm:text-sm font-medium text-slate-700 bg-white border border-slate-200 rounded-l-lg hover:bg-slate-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-slate-300 transition-colors flex items-center gap-1 sm:gap-2 shadow-sm"
+          title="Lock this terminal so the next staff member can sign in with their PIN"
+        >
+          <Lock className="w-4 h-4 shrink-0" aria-hidden />
+          <span className="hidden sm:inline">Lock</span>
+        </button>
+        <button
+          type="button"
+          onClick={() => setModalOpen(true)}
+          className="px-2 py-2 text-slate-500 bg-white border border-l-0 border-slate-200 rounded-r-lg hover:bg-slate-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-slate-300 transition-colors shadow-sm"
+          title="PIN and auto-lock settings"
+          aria-label="PIN and auto-lock settings"
+        >
+          <KeyRound className="w-4 h-4" aria-hidden />
+        </button>
+      </div>
+
+      <Modal isOpen={modalOpen} onClose={closeModal} title="Lock screen" size="sm">
+        <div className="space-y-6">
+          <div>
+            <label htmlFor="idle_lock_minutes" className="block text-sm font-medium text-gray-700 mb-1.5">
+              Auto-lock this device after
+            </label>
+            <select
+              id="idle_lock_minutes"
+              value={idleLockMinutes}
+              onChange={(e) => pinLock.setIdleLockMinutes(e.target.value)}
+              className="w-full px-4 py-2.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#FF5F15] focus:border-transparent"
+            >
+              {!IDLE_LOCK_OPTIONS.includes(idleLockMinutes) && (
+                <option value={idleLockMinutes}>{idleLockMinutes} minutes of inactivity</option>
+              )}
+              {IDLE_LOCK_OPTIONS.map(minutes => (
+                <option key={minutes} value={minutes}>
+                  {minutes === 0 ? 'Never' : `${minutes} minute${minutes === 1 ? '' : 's'} of inactivity`}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <form onSubmit={handleSavePin}>
+            <h3 className="text-sm font-semibold text-gray-900 mb-3">Set or change your PIN</h3>
+            {alert.message && (
+              <div className="mb-4">
+                <Alert type={alert.type} message={alert.message} onClose={() => setAlert({ type: '', message: '' })} />
+              </div>
+            )}
+            <Input
+              label="New PIN (4-6 digits)"
+              name="pin"
+              type="password"
+              inputMode="numeric"
+              value={form.pin}
+              onChange={handleChange}
+              disabled={saving}
+              autoComplete="off"
+              required
+            />
+            <Input
+              label="Confirm PIN"
+              name="confirmPin"
+              type="password"
+              inputMode="numeric"
+              value={form.confirmPin}
+              onChange={handleChange}
+              disabled={saving}
+              autoComplete="off"
+              required
+            />
+            <Input
+              label="Current password"
+              name="password"
+              type="password"
+              value={form.password}
+              onChange={handleChange}
+              disabled={saving}
+              autoComplete="current-password"
+              required
+            />
+            <div className="flex justify-between gap-3">
+              <Button type="button" variant="secondary" onClick={() => { closeModal(); lockTerminal(); }}>
+                <Lock className="w-4 h-4 mr-2" aria-hidden />
+                Lock now
+              </Button>
+              <Button type="submit" disabled={saving}>
+                {saving ? 'Saving...' : 'Save PIN'}
+              </Button>
+            </div>
+          </form>
+        </div>
+      </Modal>
+    </>
+  );
+}
@@ -0,0 +1,225 @@
+'use client';
+
+/**
+ * POS Lock Screen Component
+ * Covers the dashboard while the terminal is locked. Staff pick their tile and enter
+ * their PIN to take over the terminal (switchUserWithPin) without a full login.
+ * Also owns the idle timer that locks the terminal after the configured inactivity.
+ */
+
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { Lock, Delete, LogIn, UserCircle } from 'lucide-react';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Alert from '@/components/ui/Alert';
+import { usePinLock } from '@/hooks/usePinLock';
+import pinLock, { PIN_PATTERN } from '@/utils/pinLock';
+import { switchUserWithPin, lockTerminal, clearAuth, getToken, getUsername } from '@/utils/api';
+
+const ACTIVITY_EVENTS = ['mousemove', 'keydown', 'pointerdown', 'touchstart', 'wheel'];
+const PIN_PAD_KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9'];
+const MAX_PIN_LENGTH = 6;
+
+export default function LockScreen() {
+  const router = useRouter();
+  const { locked, idleLockMinutes } = usePinLock();
+  const [selectedUsername, setSelectedUsername] = useState('');
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (locked || !idleLockMinutes) return;
+
+    let timer = null;
+    const restartTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        // Nobody signed in (e.g. logged out in another tab) - nothing to protect
+        if (getToken()) lockTerminal();
+      }, idleLockMinutes * 60 * 1000);
+    };
+
+    restartTimer();
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, restartTimer, { passive: true }));
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, restartTimer));
+    };
+  }, [locked, idleLockMinutes]);
+
+  if (!locked) return null;
+
+  const recentUsers = pinLock.getRecentUsers();
+  const currentUsername = getUsername();
+  const username = selectedUsername || currentUsername || recentUsers[0]?.username || '';
+
+  const selectUser = (value) => {
+    setSelectedUsername(value);
+    setPin('');
+    setError('');
+  };
+
+  const appendDigit = (digit) => {
+    setPin(prev => (prev.length < MAX_PIN_LENGTH ? prev + digit : prev));
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!username) {
+      setError('Enter your username.');
+      return;
+    }
+    if (!PIN_PATTERN.test(pin)) {
+      setError('PIN must be 4 to 6 digits.');
+      return;
+    }
+
+    setSubmitting(true);
+    setError('');
+    try {
+      const result = await switchUserWithPin(username, pin);
+      if (!result.success) {
+        setError(result.message);
+        setPin('');
+        return;
+      }
+      setPin('');
+      setSelectedUsername('');
+      // Each role has its own dashboard; same-role switches stay on this screen and only refresh the header
+      if (result.roleChanged) {
+        router.push('/dashboard');
+      } else {
+        router.refresh();
+      }
+    } catch (err) {
+      console.error('PIN switch failed:', err);
+      setError('Could not switch user. Please check your connection and try again.');
+      setPin('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handlePasswordLogin = () => {
+    clearAuth();
+    router.push('/login');
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] overflow-y-auto bg-slate-900/95 backdrop-blur-sm" role="dialog" aria-modal="true" aria-label="Terminal locked">
+      <div className="flex min-h-full items-center justify-center p-4">
+        <div className="w-full max-w-md bg-white rounded-2xl shadow-2xl p-6">
+          <div className="flex items-center gap-2 mb-4">
+            <Lock className="w-5 h-5 text-[#FF5F15]" aria-hidden />
+            <h2 className="text-lg font-semibold text-gray-900">Terminal locked</h2>
+          </div>
+
+          {recentUsers.length > 0 ? (
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-2 mb-4">
+              {recentUsers.map(user => (
+                <button
+                  key={user.username}
+                  type="button"
+                  onClick={() => selectUser(user.username)}
+                  disabled={submitting}
+                  className={`flex flex-col items-center gap-1 rounded-xl border p-3 text-center transition-colors ${
+                    user.username === username
+                      ? 'border-[#FF5F15] bg-orange-50 text-gray-900'
+                      : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  <UserCircle className="w-7 h-7 shrink-0" aria-hidden />
+                  <span className="text-sm font-medium truncate max-w-full">{user.fullname}</span>
+                  {user.role && <span className="text-xs text-gray-500 truncate max-w-full">{user.role.replace('_', ' ')}</span>}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <Input
+              label="Username"
+              name="lock_username"
+              value={username}
+              onChange={(e) => selectUser(e.target.value)}
+              disabled={submitting}
+              autoComplete="username"
+              required
+            />
+          )}
+
+          {error && (
+            <div className="mb-4">
+              <Alert type="error" message={error} onClose={() => setError('')} />
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit}>
+            <Input
+              label="PIN"
+              name="lock_pin"
+              type="password"
+              inputMode="numeric"
+              value={pin}
+              onChange={(e) => setPin(e.target.value.replace(/\D/g, '').slice(0, MAX_PIN_LENGTH))}
+              disabled={submitting}
+              autoComplete="off"
+              autoFocus
+              required
+            />
+
+            <div className="grid grid-cols-3 gap-2 mb-4">
+              {PIN_PAD_KEYS.map(digit => (
+                <button
+                  key={digit}
+                  type="button"
+                  onClick={() => appendDigit(digit)}
+                  disabled={submitting}
+                  className="py-3 text-lg font-semibold text-gray-900 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                >
+                  {digit}
+                </button>
+              ))}
+              <button
+                type="button"
+                onClick={() => setPin('')}
+                disabled={submitting}
+                className="py-3 text-sm font-medium text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+              >
+                Clear
+              </button>
+              <button
+                type="button"
+                onClick={() => appendDigit('0')}
+                disabled={submitting}
+                className="py-3 text-lg font-semibold text-gray-900 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+              >
+                0
+              </button>
+              <button
+                type="button"
+                onClick={() => setPin(prev => prev.slice(0, -1))}
+                disabled={submitting}
+                className="py-3 flex items-center justify-center text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                aria-label="Delete last digit"
+              >
+                <Delete className="w-5 h-5" aria-hidden />
+              </button>
+            </div>
+
+            <div className="flex items-center justify-between gap-3">
+              <Button type="button" variant="secondary" onClick={handlePasswordLogin} disabled={submitting}>
+                <LogIn className="w-4 h-4 mr-2" aria-hidden />
+                Sign in with password
+              </Button>
+              <Button type="submit" disabled={submitting || !pin}>
+                {submitting ? 'Unlocking...' : 'Unlock'}
+              </Button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -4,10 +4,72 @@
  * Beautiful Log Panel Component
  * Shows on the right side of the screen
  * Displays API calls, responses, errors, and data flow
+ * plus the circuit breaker health of each backend URL
  */
 
 import { useState, useEffect, useRef } from 'react';
-import { X, Trash2, Download, AlertCircle, CheckCircle, Info, AlertTriangle, Bug, Database, RefreshCw } from 'lucide-react';
+import { X, Trash2, Download, AlertCircle, CheckCircle, Info, AlertTriangle, Bug, Database, RefreshCw, Activity } from 'lucide-react';
+import { useBackendHealth } from '@/hooks/useBackendHealth';
+import { CIRCUIT_STATES } from '@/utils/circuitBreaker';
+
+const CIRCUIT_BADGES = {
+  [CIRCUIT_STATES.CLOSED]: { label: 'Healthy', className: 'bg-green-100 text-green-800' },
+  [CIRCUIT_STATES.HALF_OPEN]: { label: 'Probing', className: 'bg-yellow-100 text-yellow-800' },
+  [CIRCUIT_STATES.OPEN]: { label: 'Open', className: 'bg-red-100 text-red-800' },
+};
+
+/**
+ * Backend health section: one row per API base URL with its circuit state
+ */
+const BackendHealth = () => {
+  const { backends, resetBackend } = useBackendHealth();
+
+  return (
+    <div className="border-b border-gray-200 p-3 bg-white">
+      <div className="flex items-center gap-1 mb-2 text-xs font-semibold text-gray-700">
+        <Activity className="w-3 h-3" />
+        Backend Health
+      </div>
+      {backends.length === 0 ? (
+        <p className="text-[11px] text-gray-400">No API requests yet</p>
+      ) : (
+        <div className="space-y-1.5">
+          {backends.map((backend) => {
+            const badge = CIRCUIT_BADGES[backend.state] || CIRCUIT_BADGES[CIRCUIT_STATES.CLOSED];
+            return (
+              <div key={backend.url} className="flex items-start gap-2 text-[11px]">
+                <span className={`px-1.5 py-0.5 rounded font-semibold shrink-0 ${badge.className}`}>
+                  {badge.label}
+                </span>
+                <div className="flex-1 min-w-0">
+                  <div className="font-mono truncate text-gray-800" title={backend.url}>{backend.url}</div>
+                  {backend.failures > 0 && (
+                    <div className="text-gray-500 truncate" title={backend.lastError || ''}>
+                      {backend.failures} failure{backend.failures === 1 ? '' : 's'}
+                      {backend.lastError ? ` - ${backend.lastError}` : ''}
+                      {backend.state === CIRCUIT_STATES.OPEN && backend.nextAttemptAt
+                        ? ` - retry at ${new Date(backend.nextAttemptAt).toLocaleTimeString()}`
+                        : ''}
+                    </div>
+                  )}
+                </div>
+                {backend.state !== CIRCUIT_STATES.CLOSED && (
+                  <button
+                    onClick={() => resetBackend(backend.url)}
+                    className="shrink-0 p-1 rounded hover:bg-gray-100 text-gray-600"
+                    title="Reset circuit and retry now"
+                  >
+                    <RefreshCw className="w-3 h-3" />
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
 
 const LogPanel = ({ isOpen, onClose, logs, onClear }) => {
   const [autoScroll, setAutoScroll] = useState(true);
@@ -155,6 +217,8 @@ const LogPanel = ({ isOpen, onClose, logs, onClear }) => {
         </div>
       </div>
 
+      <BackendHealth />
+
       {/* Logs List */}
       <div className="flex-1 overflow-y-auto p-2 space-y-2">
         {filteredLogs.length === 0 ? (
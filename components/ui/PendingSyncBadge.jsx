@@ -0,0 +1,143 @@
+'use client';
+
+/**
+ * Pending Sync Badge Component
+ * Shows how many orders are waiting in the offline queue
+ * Hidden when nothing is pending; click to retry the sync immediately
+ * Requests the server rejected get their own badge, which lists them to retry or discard
+ */
+
+import { useState } from 'react';
+import { AlertTriangle, CloudOff, RefreshCw } from 'lucide-react';
+import { useOfflineQueue } from '@/hooks/useOfflineQueue';
+import { syncOfflineQueue } from '@/utils/api';
+import offlineQueue from '@/utils/offlineQueue';
+import { formatDateTime, formatPKR } from '@/utils/format';
+import Modal from '@/components/ui/Modal';
+import Button from '@/components/ui/Button';
+
+/**
+ * One line describing a queued request (queued requests are orders)
+ * @param {Object} entry - Queue entry
+ * @returns {string}
+ */
+const describeEntry = (entry) => {
+  const body = entry.body || {};
+  const items = Array.isArray(body.items) ? body.items : [];
+  const total = items.reduce((sum, item) => sum + (parseFloat(item.price) || 0) * (parseInt(item.quantity, 10) || 0), 0);
+  return [
+    body.order_type || 'Order',
+    items.length > 0 ? `${items.length} ${items.length === 1 ? 'item' : 'items'} · ${formatPKR(total)}` : '',
+  ].filter(Boolean).join(' · ');
+};
+
+export default function PendingSyncBadge() {
+  const { pendingCount, failedCount } = useOfflineQueue();
+  const [syncing, setSyncing] = useState(false);
+  const [failedEntries, setFailedEntries] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  if (pendingCount <= 0 && failedCount <= 0) return null;
+
+  const handleSync = async () => {
+    setSyncing(true);
+    try {
+      await syncOfflineQueue();
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const loadFailed = async () => {
+    setFailedEntries(await offlineQueue.getFailed());
+  };
+
+  const handleRetry = async (entry) => {
+    setBusyId(entry.id);
+    try {
+      await offlineQueue.retry(entry.id);
+      await syncOfflineQueue();
+      const remaining = await offlineQueue.getFailed();
+      setFailedEntries(remaining.length > 0 ? remaining : null);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDiscard = async (entry) => {
+    if (!window.confirm('Discard this order? It will never reach the server.')) return;
+    setBusyId(entry.id);
+    try {
+      await offlineQueue.discard(entry.id);
+      const remaining = await offlineQueue.getFailed();
+      setFailedEntries(remaining.length > 0 ? remaining : null);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <>
+      {pendingCount > 0 && (
+        <button
+          type="button"
+          onClick={handleSync}
+          disabled={syncing}
+          className="px-3 py-2 text-xs sm:text-sm font-medium text-amber-900 bg-amber-100 border border-amber-300 rounded-lg hover:bg-amber-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-amber-400 transition-colors flex items-center gap-1 sm:gap-2 shadow-sm disabled:opacity-60"
+          title="Orders saved while offline. Click to retry sync now."
+        >
+          {syncing ? (
+            <RefreshCw className="w-4 h-4 shrink-0 animate-spin" aria-hidden />
+          ) : (
+            <CloudOff className="w-4 h-4 shrink-0" aria-hidden />
+          )}
+          <span className="tabular-nums">
+            {pendingCount} {pendingCount === 1 ? 'order' : 'orders'} pending sync
+          </span>
+        </button>
+      )}
+
+      {failedCount > 0 && (
+        <button
+          type="button"
+          onClick={loadFailed}
+          className="px-3 py-2 text-xs sm:text-sm font-medium text-red-900 bg-red-100 border border-red-300 rounded-lg hover:bg-red-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-400 transition-colors flex items-center gap-1 sm:gap-2 shadow-sm"
+          title="Orders the server rejected when syncing. Click to review."
+        >
+          <AlertTriangle className="w-4 h-4 shrink-0" aria-hidden />
+          <span className="tabular-nums">
+            {failedCount} {failedCount === 1 ? 'order' : 'orders'} failed to sync
+          </span>
+        </button>
+      )}
+
+      <Modal isOpen={failedEntries !== null} onClose={() => setFailedEntries(null)} title="Orders that failed to sync" size="lg">
+        <div className="space-y-3 text-gray-900">
+          <p className="text-sm text-gray-600">
+            These orders were taken offline and the server rejected them when the connection came back.
+            Retry once the problem is fixed, or discard them and enter the order again.
+          </p>
+          {(failedEntries || []).map(entry => (
+            <div key={entry.id} className="rounded-lg border border-red-200 bg-red-50 p-3">
+              <div className="flex flex-wrap items-start justify-between gap-2">
+                <div>
+                  <p className="text-sm font-semibold">{describeEntry(entry)}</p>
+                  <p className="text-xs text-gray-500">Taken {formatDateTime(entry.createdAt)} · {entry.attempts} {entry.attempts === 1 ? 'attempt' : 'attempts'}</p>
+                </div>
+                <div className="flex gap-2">
+                  <Button size="sm" variant="outline" onClick={() => handleRetry(entry)} disabled={busyId !== null}>
+                    {busyId === entry.id ? 'Working...' : 'Retry'}
+                  </Button>
+                  <Button size="sm" variant="danger" onClick={() => handleDiscard(entry)} disabled={busyId !== null}>
+                    Discard
+                  </Button>
+                </div>
+              </div>
+              <p className="mt-2 text-xs text-red-700">{entry.lastError}</p>
+            </div>
+          ))}
+        </div>
+      </Modal>
+    </>
+  );
+}
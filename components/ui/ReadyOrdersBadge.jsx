@@ -0,0 +1,44 @@
+'use client';
+
+/**
+ * Ready Orders Badge Component
+ * Tells waiters when a kitchen marks an order's items Ready, on any screen of the branch
+ * Hidden until something is ready; click to clear the list once the food is picked up
+ */
+
+import { useEffect, useState } from 'react';
+import { BellRing } from 'lucide-react';
+import { listenForUpdates, UPDATE_EVENTS } from '@/utils/dashboardSync';
+
+// Most recent ready orders kept in the badge
+const MAX_READY_ORDERS = 5;
+
+export default function ReadyOrdersBadge() {
+  const [readyOrders, setReadyOrders] = useState([]);
+
+  useEffect(() => listenForUpdates((event) => {
+    const { order_id: orderId, orderid, table_number: tableNumber, status } = event.data || {};
+    if (status !== 'Ready' || !orderId) return;
+    setReadyOrders(prev => [
+      { order_id: orderId, label: `#${orderid || orderId}${tableNumber ? ` · Table ${tableNumber}` : ''}` },
+      ...prev.filter(order => String(order.order_id) !== String(orderId)),
+    ].slice(0, MAX_READY_ORDERS));
+  }, UPDATE_EVENTS.KITCHEN_ITEM_UPDATED), []);
+
+  if (readyOrders.length === 0) return null;
+
+  return (
+    <button
+      type="button"
+      onClick={() => setReadyOrders([])}
+      className="px-3 py-2 text-xs sm:text-sm font-medium text-green-900 bg-green-100 border border-green-300 rounded-lg hover:bg-green-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-400 transition-colors flex items-center gap-1 sm:gap-2 shadow-sm"
+      title={`Ready at the pass: ${readyOrders.map(order => order.label).join(', ')}. Click to clear.`}
+    >
+      <BellRing className="w-4 h-4 shrink-0 animate-pulse" aria-hidden />
+      <span className="truncate max-w-48">
+        Ready: {readyOrders[0].label}
+        {readyOrders.length > 1 && ` +${readyOrders.length - 1}`}
+      </span>
+    </button>
+  );
+}
@@ -0,0 +1,120 @@
+'use client';
+
+/**
+ * Re-login Modal Component
+ * Opens when the API rejects the stored token. Requests made meanwhile are held
+ * (see withReauth in utils/api.js) and retried after a successful sign-in,
+ * so the user stays on the same screen with their cart and forms intact.
+ */
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { Lock, LogOut } from 'lucide-react';
+import Modal from '@/components/ui/Modal';
+import Input from '@/components/ui/Input';
+import Button from '@/components/ui/Button';
+import Alert from '@/components/ui/Alert';
+import { useAuthSession } from '@/hooks/useAuthSession';
+import { reauthenticate, clearAuth, getUsername } from '@/utils/api';
+
+export default function ReauthModal() {
+  const router = useRouter();
+  const { expired } = useAuthSession();
+  const [typedUsername, setTypedUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  if (!expired) return null;
+
+  // Only the signed-in user may continue the session; anyone else has to log out first
+  const storedUsername = getUsername();
+  const username = storedUsername || typedUsername;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!username || !password) {
+      setError('Please enter your username and password.');
+      return;
+    }
+
+    setSubmitting(true);
+    setError('');
+    try {
+      const result = await reauthenticate(username, password);
+      if (result.success) {
+        setPassword('');
+        setTypedUsername('');
+      } else {
+        setError(result.message);
+      }
+    } catch (err) {
+      console.error('Re-login failed:', err);
+      setError('Could not sign in. Please check your connection and try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleLogout = () => {
+    setPassword('');
+    setError('');
+    clearAuth();
+    router.push('/login');
+  };
+
+  return (
+    <Modal
+      isOpen={expired}
+      onClose={() => {}}
+      title="Session expired"
+      size="sm"
+      showCloseButton={false}
+    >
+      <form onSubmit={handleSubmit}>
+        <p className="text-sm text-gray-600 mb-4">
+          Your session has expired. Sign in again to continue - this screen, your cart and any
+          pending actions are kept and will resume automatically.
+        </p>
+
+        {error && (
+          <div className="mb-4">
+            <Alert type="error" message={error} onClose={() => setError('')} />
+          </div>
+        )}
+
+        <Input
+          label="Username"
+          name="reauth_username"
+          value={username}
+          onChange={(e) => setTypedUsername(e.target.value)}
+          disabled={!!storedUsername || submitting}
+          autoComplete="username"
+          required
+        />
+        <Input
+          label="Password"
+          name="reauth_password"
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          disabled={submitting}
+          autoComplete="current-password"
+          autoFocus
+          required
+        />
+
+        <div className="flex items-center justify-between gap-3 pt-2">
+          <Button type="button" variant="secondary" onClick={handleLogout} disabled={submitting}>
+            <LogOut className="w-4 h-4 mr-2" aria-hidden />
+            Log out
+          </Button>
+          <Button type="submit" disabled={submitting}>
+            <Lock className="w-4 h-4 mr-2" aria-hidden />
+            {submitting ? 'Signing in...' : 'Sign in'}
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
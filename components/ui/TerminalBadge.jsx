@@ -0,0 +1,140 @@
+'use client';
+
+/**
+ * Terminal Badge Component
+ * Shows which registered terminal this browser is paired to
+ * Click to pair with a code issued on the super admin Terminals page, or to unpair
+ */
+
+import { useState } from 'react';
+import { MonitorSmartphone, Link2, Unlink } from 'lucide-react';
+import Modal from '@/components/ui/Modal';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Alert from '@/components/ui/Alert';
+import { usePairedTerminal } from '@/hooks/usePairedTerminal';
+import { pairTerminal, ApiError } from '@/utils/endpoints';
+import { getDeviceId, savePairedTerminal, clearPairedTerminal, getTerminalTypeLabel } from '@/utils/terminal';
+
+export default function TerminalBadge() {
+  const { terminal } = usePairedTerminal();
+  const [modalOpen, setModalOpen] = useState(false);
+  const [pairingCode, setPairingCode] = useState('');
+  const [pairing, setPairing] = useState(false);
+  const [error, setError] = useState('');
+
+  const closeModal = () => {
+    setModalOpen(false);
+    setPairingCode('');
+    setError('');
+  };
+
+  const handlePair = async (e) => {
+    e.preventDefault();
+    if (!pairingCode.trim()) {
+      setError('Enter the pairing code shown on the Terminals page.');
+      return;
+    }
+
+    setPairing(true);
+    setError('');
+    try {
+      const paired = await pairTerminal({ pairingCode, deviceId: getDeviceId() });
+      savePairedTerminal(paired);
+      closeModal();
+    } catch (err) {
+      if (!(err instanceof ApiError)) throw err;
+      setError(err.message || 'Pairing failed. Check the code and try again.');
+    } finally {
+      setPairing(false);
+    }
+  };
+
+  const handleUnpair = () => {
+    if (!confirm('Unpair this device? Orders from it will no longer be attributed to the terminal.')) {
+      return;
+    }
+    clearPairedTerminal();
+    closeModal();
+  };
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={() => setModalOpen(true)}
+        className={`px-3 py-2 text-xs sm:text-sm font-medium rounded-lg border focus:outline-none focus:ring-2 focus:ring-offset-2 transition-colors flex items-center gap-1 sm:gap-2 shadow-sm ${
+          terminal
+            ? 'text-slate-700 bg-white border-slate-200 hover:bg-slate-50 focus:ring-slate-300'
+            : 'text-slate-500 bg-slate-50 border-dashed border-slate-300 hover:bg-slate-100 focus:ring-slate-300'
+        }`}
+        title={terminal ? `Paired terminal: ${terminal.terminal_name}` : 'This device is not paired with a terminal'}
+      >
+        <MonitorSmartphone className="w-4 h-4 shrink-0" aria-hidden />
+        <span className="hidden sm:inline truncate max-w-[10rem]">
+          {terminal ? terminal.terminal_name || `Terminal ${terminal.terminal_id}` : 'Pair device'}
+        </span>
+      </button>
+
+      <Modal isOpen={modalOpen} onClose={closeModal} title="Terminal" size="sm">
+        {terminal ? (
+          <div className="space-y-4">
+            <dl className="text-sm space-y-2">
+              <div className="flex justify-between gap-4">
+                <dt className="text-gray-500">Name</dt>
+                <dd className="font-medium text-gray-900">{terminal.terminal_name}</dd>
+              </div>
+              <div className="flex justify-between gap-4">
+                <dt className="text-gray-500">Type</dt>
+                <dd className="font-medium text-gray-900">{getTerminalTypeLabel(terminal.terminal_type)}</dd>
+              </div>
+              <div className="flex justify-between gap-4">
+                <dt className="text-gray-500">Terminal ID</dt>
+                <dd className="font-medium text-gray-900">{terminal.terminal_id}</dd>
+              </div>
+              {terminal.paired_at && (
+                <div className="flex justify-between gap-4">
+                  <dt className="text-gray-500">Paired</dt>
+                  <dd className="font-medium text-gray-900">{new Date(terminal.paired_at).toLocaleString()}</dd>
+                </div>
+              )}
+            </dl>
+            <div className="flex justify-end">
+              <Button variant="danger" onClick={handleUnpair} className="flex items-center gap-2">
+                <Unlink className="w-4 h-4" />
+                Unpair device
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handlePair}>
+            <p className="text-sm text-gray-600 mb-4">
+              Ask a super admin to generate a pairing code for this terminal on the Terminals page, then enter it below.
+            </p>
+            {error && (
+              <div className="mb-4">
+                <Alert type="error" message={error} onClose={() => setError('')} />
+              </div>
+            )}
+            <Input
+              label="Pairing code"
+              name="pairing_code"
+              value={pairingCode}
+              onChange={(e) => setPairingCode(e.target.value.toUpperCase())}
+              disabled={pairing}
+              autoComplete="off"
+              autoFocus
+              required
+            />
+            <div className="flex justify-end">
+              <Button type="submit" disabled={pairing} className="flex items-center gap-2">
+                <Link2 className="w-4 h-4" />
+                {pairing ? 'Pairing...' : 'Pair device'}
+              </Button>
+            </div>
+          </form>
+        )}
+      </Modal>
+    </>
+  );
+}
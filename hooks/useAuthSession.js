@@ -0,0 +1,20 @@
+/**
+ * useAuthSession Hook
+ * React hook exposing whether requests are paused waiting for the user to sign in again
+ */
+
+import { useState, useEffect } from 'react';
+import authSession from '@/utils/authSession';
+
+export const useAuthSession = () => {
+  const [expired, setExpired] = useState(authSession.isExpired());
+
+  useEffect(() => {
+    // Subscribe to expired/resumed changes
+    return authSession.subscribe((isExpired) => {
+      setExpired(isExpired);
+    });
+  }, []);
+
+  return { expired };
+};
@@ -0,0 +1,23 @@
+/**
+ * useBackendHealth Hook
+ * React hook exposing the circuit breaker state of each API base URL
+ */
+
+import { useState, useEffect } from 'react';
+import circuitBreaker from '@/utils/circuitBreaker';
+
+export const useBackendHealth = () => {
+  const [backends, setBackends] = useState(() => circuitBreaker.getStates());
+
+  useEffect(() => {
+    // Subscribe to circuit state changes
+    return circuitBreaker.subscribe((states) => {
+      setBackends(states);
+    });
+  }, []);
+
+  return {
+    backends,
+    resetBackend: (url) => circuitBreaker.reset(url),
+  };
+};
@@ -0,0 +1,31 @@
+/**
+ * useCombos Hook
+ * React hook loading a branch's active combos for the order screens
+ * Stays empty while loading and when the backend has no combos endpoint yet
+ */
+
+import { useEffect, useState } from 'react';
+import { combosManagement } from '@/utils/endpoints';
+import { normalizeCombo } from '@/utils/combos';
+
+export const useCombos = (branchId) => {
+  const [combos, setCombos] = useState([]);
+
+  useEffect(() => {
+    if (!branchId) return undefined;
+    let cancelled = false;
+    combosManagement.list({ branch_id: branchId })
+      .then((list) => {
+        if (!cancelled) setCombos(list.map(normalizeCombo).filter(combo => combo.is_available == 1));
+      })
+      .catch((error) => {
+        console.warn('Could not load combos:', error.message);
+        if (!cancelled) setCombos([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [branchId]);
+
+  return { combos };
+};
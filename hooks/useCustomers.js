@@ -0,0 +1,39 @@
+/**
+ * useCustomers Hook
+ * React hook loading a branch's customers once for the create-order customer lookup
+ * Searching happens on the loaded list, so typing does not hit the API
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { customersManagement } from '@/utils/endpoints';
+
+/**
+ * @param {number|string|null} branchId - Branch to load (nothing loads without one)
+ * @returns {{ customers: Array<Object>, loading: boolean, error: string, refresh: Function }}
+ */
+export const useCustomers = (branchId) => {
+  const [customers, setCustomers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    if (!branchId) return [];
+    try {
+      const list = await customersManagement.list({ branch_id: branchId });
+      setCustomers(list);
+      setError('');
+      return list;
+    } catch (loadError) {
+      setError(loadError.message || 'Failed to load customers');
+      return [];
+    } finally {
+      setLoading(false);
+    }
+  }, [branchId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { customers, loading, error, refresh };
+};
@@ -0,0 +1,71 @@
+/**
+ * useDeliveries Hook
+ * React hook loading a branch's delivery orders since the last day-end (or since midnight when the
+ * branch has never closed a day); the API adds older delivered orders whose cash is still unsettled
+ * Refreshes on a short interval and when another screen places an order or moves a delivery
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { deliveryManagement, getLastDayend } from '@/utils/endpoints';
+import { listenForUpdates, UPDATE_EVENTS } from '@/utils/dashboardSync';
+import { normalizeDelivery, toSqlDateTime } from '@/utils/delivery';
+
+const REFRESH_INTERVAL_MS = 30 * 1000;
+
+const REFRESH_EVENTS = [
+  UPDATE_EVENTS.DELIVERY_UPDATED,
+  UPDATE_EVENTS.ORDER_CREATED,
+  UPDATE_EVENTS.ORDER_UPDATED,
+  UPDATE_EVENTS.BILL_PAID,
+];
+
+/**
+ * Start of the current business day: the last day-end's closing time, else today at 00:00
+ * @param {number|string} branchId - Branch
+ * @returns {Promise<string>} 'YYYY-MM-DD HH:mm:ss'
+ */
+export const getBusinessDayStart = async (branchId) => {
+  const lastDayend = await getLastDayend({ branch_id: branchId }).catch(() => null);
+  if (lastDayend?.closing_date_time) return lastDayend.closing_date_time;
+  const midnight = new Date();
+  midnight.setHours(0, 0, 0, 0);
+  return toSqlDateTime(midnight);
+};
+
+/**
+ * @param {number|string|null} branchId - Branch to load (nothing loads without one)
+ * @returns {{ deliveries: Array<Object>, since: string, loading: boolean, error: string, refresh: Function }}
+ */
+export const useDeliveries = (branchId) => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [since, setSince] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    if (!branchId) return;
+    try {
+      const dayStart = await getBusinessDayStart(branchId);
+      const orders = await deliveryManagement.list({ branch_id: branchId, since: dayStart });
+      setSince(dayStart);
+      setDeliveries(orders.map(normalizeDelivery).filter(delivery => delivery.order_id));
+      setError('');
+    } catch (loadError) {
+      setError(loadError.message || 'Failed to load deliveries');
+    } finally {
+      setLoading(false);
+    }
+  }, [branchId]);
+
+  useEffect(() => {
+    refresh();
+    const interval = setInterval(refresh, REFRESH_INTERVAL_MS);
+    const stopListening = listenForUpdates(() => refresh(), REFRESH_EVENTS);
+    return () => {
+      clearInterval(interval);
+      stopListening();
+    };
+  }, [refresh]);
+
+  return { deliveries, since, loading, error, refresh };
+};
@@ -0,0 +1,43 @@
+/**
+ * useDeliverySetup Hook
+ * React hook loading a branch's delivery zones and riders, for the create-order delivery fields
+ * and the zone/rider settings
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { deliveryZones, ridersManagement } from '@/utils/endpoints';
+import { normalizeRider, normalizeZone } from '@/utils/delivery';
+
+/**
+ * @param {number|string|null} branchId - Branch to load (nothing loads without one)
+ * @returns {{ zones: Array<Object>, riders: Array<Object>, loading: boolean, error: string, refresh: Function }}
+ */
+export const useDeliverySetup = (branchId) => {
+  const [zones, setZones] = useState([]);
+  const [riders, setRiders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    if (!branchId) return;
+    try {
+      const [zoneList, riderList] = await Promise.all([
+        deliveryZones.list({ branch_id: branchId }),
+        ridersManagement.list({ branch_id: branchId }),
+      ]);
+      setZones(zoneList.map(normalizeZone).filter(zone => zone.zone_id));
+      setRiders(riderList.map(normalizeRider).filter(rider => rider.rider_id));
+      setError('');
+    } catch (loadError) {
+      setError(loadError.message || 'Failed to load delivery zones and riders');
+    } finally {
+      setLoading(false);
+    }
+  }, [branchId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { zones, riders, loading, error, refresh };
+};
@@ -0,0 +1,71 @@
+/**
+ * useExpediterOrders Hook
+ * React hook loading every kitchen's orders for the pass and joining them per order.
+ * Reloads on order and kitchen item events from any device, with a slow poll behind them.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { kitchenOrders } from '@/utils/endpoints';
+import { getTerminal } from '@/utils/api';
+import { listenForUpdates, UPDATE_EVENTS } from '@/utils/dashboardSync';
+import { normalizeTicket } from '@/utils/kds';
+import { buildPassOrders } from '@/utils/expediter';
+
+const REFRESH_INTERVAL_MS = 30 * 1000;
+
+const REFRESH_EVENTS = [
+  UPDATE_EVENTS.ORDER_CREATED,
+  UPDATE_EVENTS.ORDER_UPDATED,
+  UPDATE_EVENTS.ORDER_DELETED,
+  UPDATE_EVENTS.ORDER_STATUS_CHANGED,
+  UPDATE_EVENTS.KITCHEN_ITEM_UPDATED,
+];
+
+/**
+ * @param {Array<Object>} kitchens - Kitchens feeding the pass (kitchen_id, title, branch_id)
+ * @param {number|string} branchId - Branch used for kitchens without their own branch_id
+ * @returns {{ orders: Array<Object>, loading: boolean, error: string, refresh: Function }} orders are joined, not yet filtered
+ */
+export const useExpediterOrders = (kitchens, branchId) => {
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    try {
+      const terminal = getTerminal();
+      // One kitchen failing shouldn't blank the pass; its items are simply missing until the next load
+      const results = await Promise.allSettled(kitchens.map(kitchen => kitchenOrders.list({
+        kitchen_id: kitchen.kitchen_id,
+        branch_id: kitchen.branch_id || branchId,
+        terminal,
+      })));
+      const fetchedAt = Date.now();
+      const failed = kitchens.filter((kitchen, index) => results[index].status === 'rejected');
+
+      setOrders(buildPassOrders(kitchens.map((kitchen, index) => ({
+        kitchen,
+        tickets: results[index].status === 'fulfilled'
+          ? results[index].value.map(order => normalizeTicket(order, fetchedAt)).filter(ticket => ticket.order_id)
+          : [],
+      }))));
+      setError(failed.length > 0
+        ? `Could not load ${failed.map(kitchen => kitchen.title || `Kitchen ${kitchen.kitchen_id}`).join(', ')}`
+        : '');
+    } finally {
+      setLoading(false);
+    }
+  }, [kitchens, branchId]);
+
+  useEffect(() => {
+    refresh();
+    const interval = setInterval(refresh, REFRESH_INTERVAL_MS);
+    const stopListening = listenForUpdates(() => refresh(), REFRESH_EVENTS);
+    return () => {
+      clearInterval(interval);
+      stopListening();
+    };
+  }, [refresh]);
+
+  return { orders, loading, error, refresh };
+};
@@ -0,0 +1,64 @@
+/**
+ * useFloorTables Hook
+ * React hook loading a branch's halls and tables for the floor plan editor and the live table map
+ * Refreshes on a short interval and whenever another screen broadcasts a table or order change
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { getHalls, tablesManagement } from '@/utils/endpoints';
+import { getTerminal } from '@/utils/api';
+import { listenForUpdates, UPDATE_EVENTS } from '@/utils/dashboardSync';
+import { normalizeFloorTables } from '@/utils/floorPlan';
+
+const REFRESH_INTERVAL_MS = 15 * 1000;
+
+const REFRESH_EVENTS = [
+  UPDATE_EVENTS.TABLE_UPDATED,
+  UPDATE_EVENTS.ORDER_CREATED,
+  UPDATE_EVENTS.ORDER_UPDATED,
+  UPDATE_EVENTS.ORDER_STATUS_CHANGED,
+  UPDATE_EVENTS.BILL_PAID,
+];
+
+/**
+ * @param {number|string|null} branchId - Branch to load (nothing loads without one)
+ * @param {Object} options - { live: keep refreshing (default true) }
+ * @returns {{ halls: Array<Object>, tables: Array<Object>, loading: boolean, error: string, refresh: Function }}
+ */
+export const useFloorTables = (branchId, { live = true } = {}) => {
+  const [halls, setHalls] = useState([]);
+  const [tables, setTables] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    if (!branchId) return;
+    const terminal = getTerminal();
+    try {
+      const [hallList, tableList] = await Promise.all([
+        getHalls({ terminal, branch_id: branchId }),
+        tablesManagement.list({ terminal, branch_id: branchId }),
+      ]);
+      setHalls(hallList.filter(hall => hall.hall_id));
+      setTables(normalizeFloorTables(tableList));
+      setError('');
+    } catch (loadError) {
+      setError(loadError.message || 'Failed to load tables');
+    } finally {
+      setLoading(false);
+    }
+  }, [branchId]);
+
+  useEffect(() => {
+    refresh();
+    if (!live) return undefined;
+    const interval = setInterval(refresh, REFRESH_INTERVAL_MS);
+    const stopListening = listenForUpdates(() => refresh(), REFRESH_EVENTS);
+    return () => {
+      clearInterval(interval);
+      stopListening();
+    };
+  }, [refresh, live]);
+
+  return { halls, tables, loading, error, refresh };
+};
@@ -0,0 +1,56 @@
+/**
+ * useKitchenTickets Hook
+ * React hook loading one kitchen's tickets for the KDS. Refreshes as soon as an order is placed or
+ * changed, or any screen of the branch moves a kitchen item; the slow poll only covers missed events.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { kitchenOrders } from '@/utils/endpoints';
+import { getTerminal } from '@/utils/api';
+import { listenForUpdates, UPDATE_EVENTS } from '@/utils/dashboardSync';
+import { normalizeTicket } from '@/utils/kds';
+
+const REFRESH_INTERVAL_MS = 30 * 1000;
+
+const REFRESH_EVENTS = [
+  UPDATE_EVENTS.ORDER_CREATED,
+  UPDATE_EVENTS.ORDER_UPDATED,
+  UPDATE_EVENTS.ORDER_STATUS_CHANGED,
+  UPDATE_EVENTS.KITCHEN_ITEM_UPDATED,
+];
+
+/**
+ * @param {number|string} kitchenId - Kitchen shown on the KDS
+ * @param {number|string} branchId - Its branch
+ * @returns {{ tickets: Array<Object>, loading: boolean, error: string, refresh: Function }} tickets are normalized, not yet filtered
+ */
+export const useKitchenTickets = (kitchenId, branchId) => {
+  const [tickets, setTickets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    try {
+      const orders = await kitchenOrders.list({ kitchen_id: kitchenId, branch_id: branchId, terminal: getTerminal() });
+      const fetchedAt = Date.now();
+      setTickets(orders.map(order => normalizeTicket(order, fetchedAt)).filter(ticket => ticket.order_id));
+      setError('');
+    } catch (loadError) {
+      setError(loadError.message || 'Failed to load kitchen orders');
+    } finally {
+      setLoading(false);
+    }
+  }, [kitchenId, branchId]);
+
+  useEffect(() => {
+    refresh();
+    const interval = setInterval(refresh, REFRESH_INTERVAL_MS);
+    const stopListening = listenForUpdates(() => refresh(), REFRESH_EVENTS);
+    return () => {
+      clearInterval(interval);
+      stopListening();
+    };
+  }, [refresh]);
+
+  return { tickets, loading, error, refresh };
+};
@@ -0,0 +1,34 @@
+/**
+ * useLoyaltyRules Hook
+ * React hook loading the loyalty earning and redemption rules for the Pay Bill modal and the rules page
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { loyaltyRules } from '@/utils/endpoints';
+import { DEFAULT_LOYALTY_RULES, normalizeLoyaltyRules } from '@/utils/loyalty';
+
+/**
+ * @returns {{ rules: Object, loading: boolean, error: string, refresh: Function }} rules are the defaults until loaded
+ */
+export const useLoyaltyRules = () => {
+  const [rules, setRules] = useState(DEFAULT_LOYALTY_RULES);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    try {
+      setRules(normalizeLoyaltyRules(await loyaltyRules.get()));
+      setError('');
+    } catch (loadError) {
+      setError(loadError.message || 'Failed to load loyalty rules');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { rules, loading, error, refresh };
+};
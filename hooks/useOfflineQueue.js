@@ -0,0 +1,27 @@
+/**
+ * useOfflineQueue Hook
+ * React hook exposing the number of requests waiting in the offline sync queue, and of those the server rejected
+ */
+
+import { useState, useEffect } from 'react';
+import offlineQueue from '@/utils/offlineQueue';
+
+export const useOfflineQueue = () => {
+  const [pendingCount, setPendingCount] = useState(0);
+  const [failedCount, setFailedCount] = useState(0);
+
+  useEffect(() => {
+    // Subscribe to queue updates
+    const unsubscribe = offlineQueue.subscribe((count, failed) => {
+      setPendingCount(count);
+      setFailedCount(failed);
+    });
+
+    // Get initial count
+    offlineQueue.refreshCount(false);
+
+    return unsubscribe;
+  }, []);
+
+  return { pendingCount, failedCount };
+};
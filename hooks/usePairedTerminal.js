@@ -0,0 +1,25 @@
+/**
+ * usePairedTerminal Hook
+ * React hook exposing the terminal this browser is paired to (null when unpaired)
+ */
+
+import { useMemo, useSyncExternalStore } from 'react';
+import { getPairedTerminalSnapshot, parsePairedTerminal } from '@/utils/terminal';
+
+const subscribe = (callback) => {
+  window.addEventListener('terminalPairingChanged', callback);
+  window.addEventListener('storage', callback);
+  return () => {
+    window.removeEventListener('terminalPairingChanged', callback);
+    window.removeEventListener('storage', callback);
+  };
+};
+
+const getServerSnapshot = () => null;
+
+export const usePairedTerminal = () => {
+  // Snapshot is the raw string so React can compare it; parse once per change
+  const raw = useSyncExternalStore(subscribe, getPairedTerminalSnapshot, getServerSnapshot);
+  const terminal = useMemo(() => parsePairedTerminal(raw), [raw]);
+  return { terminal };
+};
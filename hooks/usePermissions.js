@@ -0,0 +1,32 @@
+/**
+ * usePermissions Hook
+ * React hook exposing capability checks for the signed-in user's role
+ * Re-renders when the role templates are reloaded or edited
+ */
+
+import { useCallback, useEffect, useSyncExternalStore } from 'react';
+import permissions from '@/utils/permissions';
+import { getRole } from '@/utils/api';
+
+const subscribe = (callback) => permissions.subscribe(callback);
+
+// Role is part of the snapshot so a PIN user switch re-checks everything
+const getSnapshot = () => `${permissions.getVersion()}:${getRole() || ''}`;
+
+// Nothing is granted while rendering on the server or hydrating - avoids markup mismatches
+const getServerSnapshot = () => null;
+
+export const usePermissions = () => {
+  const snapshot = useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot);
+
+  useEffect(() => {
+    permissions.refresh();
+  }, []);
+
+  const can = useCallback(
+    (capability) => snapshot !== null && permissions.can(capability),
+    [snapshot]
+  );
+
+  return { can, ready: snapshot !== null };
+};
@@ -0,0 +1,17 @@
+/**
+ * usePinLock Hook
+ * React hook exposing the terminal lock state and its auto-lock delay
+ */
+
+import { useSyncExternalStore } from 'react';
+import pinLock, { DEFAULT_IDLE_LOCK_MINUTES } from '@/utils/pinLock';
+
+const subscribe = (callback) => pinLock.subscribe(callback);
+const getLocked = () => pinLock.isLocked();
+const getIdleLockMinutes = () => pinLock.getIdleLockMinutes();
+
+export const usePinLock = () => {
+  const locked = useSyncExternalStore(subscribe, getLocked, () => false);
+  const idleLockMinutes = useSyncExternalStore(subscribe, getIdleLockMinutes, () => DEFAULT_IDLE_LOCK_MINUTES);
+  return { locked, idleLockMinutes };
+};
@@ -0,0 +1,62 @@
+/**
+ * useReservations Hook
+ * React hook loading a branch's reservations for one day and its walk-in waitlist
+ * Refreshes on a short interval and when another screen changes a booking or a table
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { reservationsManagement, waitlistManagement } from '@/utils/endpoints';
+import { listenForUpdates, UPDATE_EVENTS } from '@/utils/dashboardSync';
+import { normalizeReservation } from '@/utils/reservations';
+
+const REFRESH_INTERVAL_MS = 30 * 1000;
+
+/**
+ * @param {number|string|null} branchId - Branch to load (nothing loads without one)
+ * @param {string} date - Day of the reservations, 'YYYY-MM-DD'
+ * @returns {{ reservations: Array<Object>, waitlist: Array<Object>, loading: boolean, error: string, refresh: Function }}
+ */
+export const useReservations = (branchId, date) => {
+  const [reservations, setReservations] = useState([]);
+  const [waitlist, setWaitlist] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    if (!branchId) return;
+    try {
+      const [bookings, waiting] = await Promise.all([
+        reservationsManagement.list({ branch_id: branchId, date }),
+        waitlistManagement.list({ branch_id: branchId }),
+      ]);
+      setReservations(
+        bookings
+          .map(normalizeReservation)
+          .filter(reservation => reservation.reservation_id)
+          .sort((a, b) => a.reservation_time.localeCompare(b.reservation_time))
+      );
+      setWaitlist(
+        waiting
+          .map(entry => ({ ...entry, waitlist_id: entry.waitlist_id || entry.id, party_size: parseInt(entry.party_size, 10) || 1 }))
+          .filter(entry => entry.waitlist_id && (entry.status || 'waiting') === 'waiting')
+      );
+      setError('');
+    } catch (loadError) {
+      setError(loadError.message || 'Failed to load reservations');
+    } finally {
+      setLoading(false);
+    }
+  }, [branchId, date]);
+
+  useEffect(() => {
+    refresh();
+    const interval = setInterval(refresh, REFRESH_INTERVAL_MS);
+    const stopListening = listenForUpdates(() => refresh(), [UPDATE_EVENTS.RESERVATION_UPDATED, UPDATE_EVENTS.TABLE_UPDATED]);
+    return () => {
+      clearInterval(interval);
+      stopListening();
+    };
+  }, [refresh]);
+
+  return { reservations, waitlist, loading, error, refresh };
+};
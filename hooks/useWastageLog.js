@@ -0,0 +1,40 @@
+/**
+ * useWastageLog Hook
+ * React hook loading the void/re-fire log for a date range, for one branch or all of them
+ * Reloads whenever any device voids or re-fires an item
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { kitchenItemVoids } from '@/utils/endpoints';
+import { listenForUpdates, UPDATE_EVENTS } from '@/utils/dashboardSync';
+import { normalizeWastageEntry } from '@/utils/itemVoids';
+
+/**
+ * @param {{ startDate: string, endDate: string, branchId: number|string|null }} range - Dates as YYYY-MM-DD; no branch = all branches
+ * @returns {{ entries: Array<Object>, loading: boolean, error: string, refresh: Function }}
+ */
+export const useWastageLog = ({ startDate, endDate, branchId }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    if (!startDate || !endDate) return;
+    try {
+      const data = await kitchenItemVoids.wastage({ startDate, endDate, branchId });
+      setEntries(data.map(normalizeWastageEntry));
+      setError('');
+    } catch (loadError) {
+      setError(loadError.message || 'Failed to load the wastage report');
+    } finally {
+      setLoading(false);
+    }
+  }, [startDate, endDate, branchId]);
+
+  useEffect(() => {
+    refresh();
+    return listenForUpdates(() => refresh(), [UPDATE_EVENTS.KITCHEN_ITEM_UPDATED]);
+  }, [refresh]);
+
+  return { entries, loading, error, refresh };
+};
@@ -1,42 +1,67 @@
 import { NextResponse } from 'next/server';
+import {
+  SESSION_COOKIE_NAME,
+  getSessionSecret,
+  isPathAllowedForRole,
+  verifySession,
+} from '@/utils/session';
 
 /**
  * Next.js Middleware for Role-Based Access Control
- * Protects routes based on user role and branch_id
- * 
+ * Verifies the signed httpOnly session cookie (set by /api/auth/session via saveAuth)
+ * and checks the role against the dashboard route prefixes
+ *
  * Role Routes:
  * - super_admin → /dashboard/super-admin/**
  * - branch_admin → /dashboard/branch-admin/**
  * - accountant → /dashboard/accountant/**
  * - order_taker → /dashboard/order-taker/**
  * - kitchen → /dashboard/branch-admin/kitchen/** or /dashboard/super-admin/kitchen/**
+ *
+ * No/invalid/expired session → /login?redirect=<path>
+ * Valid session, wrong role → /forbidden (403 page)
  */
 
-export function middleware(request) {
-  const { pathname } = request.nextUrl;
-  
+export async function middleware(request) {
+  const { pathname, search } = request.nextUrl;
+
   // Public routes that don't require authentication
-  const publicRoutes = ['/login', '/api', '/_next', '/favicon.ico'];
+  const publicRoutes = ['/login', '/forbidden', '/api', '/_next', '/favicon.ico'];
   const isPublicRoute = publicRoutes.some(route => pathname.startsWith(route));
-  
+
   if (isPublicRoute) {
     return NextResponse.next();
   }
-  
-  // Allow /dashboard to pass through - it will check localStorage client-side
-  // The dashboard page itself handles authentication and role-based routing
-  if (pathname === '/dashboard' || pathname === '/dashboard/') {
+
+  if (pathname !== '/dashboard' && !pathname.startsWith('/dashboard/')) {
+    // For any other route, allow through (let Next.js handle 404s)
     return NextResponse.next();
   }
-  
-  // Allow all dashboard routes to pass through
-  // Client-side pages will handle authentication checks
-  // This is because middleware runs on server and can't access localStorage
-  if (pathname.startsWith('/dashboard/')) {
-    return NextResponse.next();
+
+  const secret = getSessionSecret();
+  if (!secret) {
+    console.error('middleware: SESSION_SECRET is not set - dashboard routes cannot be verified');
+  }
+
+  const session = await verifySession(request.cookies.get(SESSION_COOKIE_NAME)?.value, secret);
+
+  if (!session) {
+    const loginUrl = new URL('/login', request.url);
+    loginUrl.searchParams.set('redirect', `${pathname}${search}`);
+    const response = NextResponse.redirect(loginUrl);
+    // Drop a tampered or expired cookie so the next login starts clean
+    if (request.cookies.has(SESSION_COOKIE_NAME)) {
+      response.cookies.delete(SESSION_COOKIE_NAME);
+    }
+    return response;
+  }
+
+  if (!isPathAllowedForRole(session.role, pathname)) {
+    const forbiddenUrl = new URL('/forbidden', request.url);
+    forbiddenUrl.searchParams.set('from', pathname);
+    return NextResponse.redirect(forbiddenUrl);
   }
-  
-  // For any other route, allow through (let Next.js handle 404s)
+
   return NextResponse.next();
 }
 
@@ -47,4 +72,3 @@ export const config = {
     '/login',
   ],
 };
-
@@ -0,0 +1,120 @@
+/**
+ * ESC/POS Golden Fixture Check
+ * Renders fixed receipts and command sequences with utils/escpos.js and compares the bytes with the
+ * hex dumps in ./fixtures, for both paper profiles.
+ *
+ *   node scripts/escpos/check-fixtures.mjs           compare; exits 1 on any difference
+ *   node scripts/escpos/check-fixtures.mjs --update  rewrite the fixtures after an intended change
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { EscPosBuilder, buildReceipt, rasterizeImage } from '../../utils/escpos.js';
+
+const FIXTURES_DIR = fileURLToPath(new URL('./fixtures/', import.meta.url));
+
+const SAMPLE_RECEIPT = {
+  title: 'RECEIPT',
+  header: ['Gulberg Branch', 'Main Boulevard, Lahore', 'Tel 042-1234567'],
+  details: [
+    { label: 'Order', value: 'ORD-1024' },
+    { label: 'Table', value: 'T-7 · Hall A' },
+    { label: 'Date', value: '2026-10-19 13:45' },
+    { label: 'Cashier', value: 'Ayesha' },
+  ],
+  items: [
+    { name: 'Chicken Karahi (Full) Extra Spicy With Butter Naan', quantity: 2, amount: 3600, notes: ['Less oil', 'Extra cheese'] },
+    { name: 'Doodh Patti Chai', quantity: 12, amount: 1440 },
+    { name: 'Crème brûlée', quantity: 1, amount: 650 },
+  ],
+  totals: [
+    { label: 'Subtotal', amount: 5690 },
+    { label: 'Service charge', amount: 284.5 },
+    { label: 'Discount', amount: -500 },
+    { label: 'Grand Total', amount: 5474.5, emphasis: true },
+  ],
+  payments: [
+    { label: 'Cash', amount: 3000 },
+    { label: 'Easypaisa', amount: 2474.5 },
+  ],
+  qr: 'https://example.com/r/ORD-1024',
+  footer: ['Thank you × come again'],
+};
+
+// 20 x 6 pixels: a diagonal pattern, one transparent column and one light-grey column that must not print
+const SAMPLE_LOGO = rasterizeImage({
+  width: 20,
+  height: 6,
+  data: Uint8ClampedArray.from({ length: 20 * 6 * 4 }, (_, index) => {
+    const pixel = Math.floor(index / 4);
+    const x = pixel % 20;
+    const y = Math.floor(pixel / 20);
+    if (index % 4 === 3) return x === 19 ? 0 : 255;
+    if (x === 18) return 200;
+    return (x + y) % 3 === 0 ? 0 : 255;
+  }),
+});
+
+const renderCommands = (paperWidth) => new EscPosBuilder(paperWidth)
+  .align('right').line('right')
+  .align('center').underline().line('underlined').underline(false)
+  .bold().size(2, 1).line('wide').size(8, 8).line('max').size().bold(false)
+  .align('left').divider('=')
+  .columns(['Left column that wraps', 'Mid', 'End'], [{ align: 'left' }, { width: 6, align: 'center' }, { width: 5, align: 'right' }])
+  .pair('Total', '1,250.00')
+  .qrCode('ORD-1024', { moduleSize: 4, errorCorrection: 'H' })
+  .image(SAMPLE_LOGO)
+  .feed(2)
+  .openDrawer(1)
+  .cut({ partial: true, feed: 5 })
+  .toBytes();
+
+const CASES = {
+  'receipt-58mm': () => buildReceipt(SAMPLE_RECEIPT, { paperWidth: '58mm', logo: SAMPLE_LOGO, openDrawer: true }),
+  'receipt-80mm': () => buildReceipt(SAMPLE_RECEIPT, { paperWidth: '80mm', logo: SAMPLE_LOGO, openDrawer: true }),
+  'receipt-80mm-text-logo': () => buildReceipt(SAMPLE_RECEIPT, { paperWidth: '80mm', cut: false }),
+  'commands-58mm': () => renderCommands('58mm'),
+  'commands-80mm': () => renderCommands('80mm'),
+};
+
+// 16 bytes per line, so a diff points at the offending offset
+const toHex = (bytes) => Array.from({ length: Math.ceil(bytes.length / 16) }, (_, line) => (
+  Array.from(bytes.subarray(line * 16, line * 16 + 16), byte => byte.toString(16).padStart(2, '0')).join(' ')
+)).join('\n') + '\n';
+
+const update = process.argv.includes('--update');
+let failures = 0;
+
+for (const [name, render] of Object.entries(CASES)) {
+  const path = `${FIXTURES_DIR}${name}.hex`;
+  const actual = toHex(render());
+
+  if (update) {
+    writeFileSync(path, actual);
+    console.log(`updated ${name}`);
+    continue;
+  }
+
+  let expected = '';
+  try {
+    expected = readFileSync(path, 'utf8');
+  } catch {
+    console.error(`missing ${name}: run with --update to create it`);
+    failures++;
+    continue;
+  }
+
+  if (actual === expected) {
+    console.log(`ok      ${name}`);
+  } else {
+    const actualLines = actual.split('\n');
+    const expectedLines = expected.split('\n');
+    const line = actualLines.findIndex((text, index) => text !== expectedLines[index]);
+    console.error(`FAILED  ${name}: first difference at byte 0x${(line * 16).toString(16)}`);
+    console.error(`  expected ${expectedLines[line] ?? '(end)'}`);
+    console.error(`  actual   ${actualLines[line] ?? '(end)'}`);
+    failures++;
+  }
+}
+
+process.exit(failures > 0 ? 1 : 0);
@@ -3,9 +3,16 @@
  * Handles GET/POST requests to the PHP backend
  * Manages authentication tokens in headers
  * Automatically falls back to localhost when live server is unavailable
+ * Pauses requests behind a re-login prompt when the token expires
  */
 
 import logger from './logger';
+import offlineQueue, { isOfflineQueueable, createIdempotencyKey } from './offlineQueue';
+import authSession from './authSession';
+import circuitBreaker, { CircuitOpenError, computeBackoffDelay } from './circuitBreaker';
+import swrCache, { getCachePolicy } from './swrCache';
+import { getTerminalMetadata } from './terminal';
+import pinLock from './pinLock';
 
 // Primary API URL (live/production) - from environment variable
 const PRIMARY_API_URL = process.env.NEXT_PUBLIC_API_BASE_URL || '';
@@ -15,6 +22,24 @@ const FALLBACK_API_URL = 'http://localhost/restuarent/api';
 
 // Storage key for caching working API URL
 const WORKING_API_URL_KEY = 'working_api_url';
+const WORKING_API_URL_AT_KEY = 'working_api_url_at';
+
+// A cached working URL older than this is ignored so a stale fallback doesn't stick forever
+const WORKING_API_URL_TTL_MS = 15 * 60 * 1000;
+
+const readRetryNumber = (envValue, fallback) => {
+  const parsed = parseInt(envValue, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Retry defaults (override per request with options.retries / retryBaseDelayMs / retryMaxDelayMs).
+// Only GETs retry by default - a retried POST could run twice on the server.
+const DEFAULT_GET_RETRIES = readRetryNumber(process.env.NEXT_PUBLIC_API_GET_RETRIES, 2);
+const DEFAULT_RETRY_BASE_DELAY_MS = readRetryNumber(process.env.NEXT_PUBLIC_API_RETRY_BASE_MS, 300);
+const DEFAULT_RETRY_MAX_DELAY_MS = readRetryNumber(process.env.NEXT_PUBLIC_API_RETRY_MAX_MS, 4000);
+
+// Gateway errors mean the host (not the PHP script) is struggling - retry and count against the circuit
+const RETRYABLE_STATUSES = new Set([502, 503, 504]);
 
 // Optional override: NEXT_PUBLIC_API_USE_PROXY=1 forces proxy, =0 disables (even auto).
 const rawProxyFlag =
@@ -208,10 +233,16 @@ const getWorkingApiUrl = () => {
     return primaryUrl || normalizeApiUrl(FALLBACK_API_URL);
   }
 
-  // Check if we have a cached working URL
+  // Check if we have a cached working URL that is still fresh and not failing
   const cachedUrl = localStorage.getItem(WORKING_API_URL_KEY);
   if (cachedUrl) {
-    return normalizeApiUrl(cachedUrl);
+    const cachedAt = parseInt(localStorage.getItem(WORKING_API_URL_AT_KEY), 10) || 0;
+    const normalizedCachedUrl = normalizeApiUrl(cachedUrl);
+    if (Date.now() - cachedAt < WORKING_API_URL_TTL_MS && !circuitBreaker.isOpen(normalizedCachedUrl)) {
+      return normalizedCachedUrl;
+    }
+    localStorage.removeItem(WORKING_API_URL_KEY);
+    localStorage.removeItem(WORKING_API_URL_AT_KEY);
   }
 
   // Determine which URL to try first
@@ -231,8 +262,10 @@ const getWorkingApiUrl = () => {
  */
 const setWorkingApiUrl = (url) => {
   if (typeof window !== 'undefined') {
+    const previousUrl = localStorage.getItem(WORKING_API_URL_KEY);
     localStorage.setItem(WORKING_API_URL_KEY, url);
-    if (IS_DEVELOPMENT) {
+    localStorage.setItem(WORKING_API_URL_AT_KEY, String(Date.now()));
+    if (IS_DEVELOPMENT && previousUrl !== url) {
       console.log('✅ Cached working API URL:', url);
     }
   }
@@ -244,6 +277,8 @@ const setWorkingApiUrl = (url) => {
 export const resetApiUrl = () => {
   if (typeof window !== 'undefined') {
     localStorage.removeItem(WORKING_API_URL_KEY);
+    localStorage.removeItem(WORKING_API_URL_AT_KEY);
+    circuitBreaker.reset();
     if (IS_DEVELOPMENT) {
       console.log('🔄 Cleared cached API URL - will re-detect on next request');
     }
@@ -287,53 +322,188 @@ const testApiUrl = async (baseUrl, testEndpoint = '/test_connection.php') => {
 };
 
 /**
- * Try fetching with multiple URLs (primary then fallback)
+ * Check if an error means the server could not be reached at all (vs. an error response)
+ * @param {Error} error - Error thrown by fetch
+ * @returns {boolean} True for network/CORS/abort failures
+ */
+const isNetworkError = (error) => {
+  if (!error) return false;
+  const message = error.message || '';
+  return message === 'Failed to fetch' ||
+         error.name === 'TypeError' ||
+         error.name === 'CircuitOpenError' ||
+         error.name === 'AbortError' ||
+         message.includes('CORS') ||
+         message.includes('network');
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Try fetching with multiple URLs (primary then fallback), retrying the whole list with
+ * jittered exponential backoff. URLs whose circuit is open (see utils/circuitBreaker.js)
+ * are skipped until their timer runs out.
  * @param {Array<string>} urls - Array of URLs to try
  * @param {Function} createFetchPromise - Function that takes a URL and returns a fetch Promise
+ * @param {Object} retryOptions - { retries, retryBaseDelayMs, retryMaxDelayMs }
  * @returns {Promise<Response>} Fetch response from first working URL
  */
-const fetchWithFallback = async (urls, createFetchPromise) => {
+const fetchWithFallback = async (urls, createFetchPromise, retryOptions = {}) => {
+  const {
+    retries = 0,
+    retryBaseDelayMs = DEFAULT_RETRY_BASE_DELAY_MS,
+    retryMaxDelayMs = DEFAULT_RETRY_MAX_DELAY_MS,
+  } = retryOptions;
   let lastError = null;
+  let lastGatewayResponse = null;
   const previousWorkingUrl = getWorkingApiUrl();
 
-  for (const url of urls) {
-    try {
-      const response = await createFetchPromise(url);
-      
-      // If we got a response, cache this URL as working
-      setWorkingApiUrl(url);
-      
-      if (IS_DEVELOPMENT && url !== previousWorkingUrl) {
-        console.log(`✅ API URL working: ${url} (switched from ${previousWorkingUrl || 'none'})`);
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      const delay = computeBackoffDelay(attempt - 1, { baseDelayMs: retryBaseDelayMs, maxDelayMs: retryMaxDelayMs });
+      devLog(`🔁 Retry ${attempt}/${retries} in ${delay}ms`);
+      await sleep(delay);
+    }
+
+    for (const url of urls) {
+      if (!circuitBreaker.canRequest(url)) {
+        devLog(`⛔ Circuit open for ${url}, skipping`);
+        continue;
       }
-      
-      return response;
-    } catch (error) {
-      // Network/CORS errors mean server is unreachable - try next URL
-      if (error.message === 'Failed to fetch' || 
-          error.name === 'TypeError' || 
-          error.name === 'AbortError' ||
-          error.message.includes('CORS') ||
-          error.message.includes('network')) {
-        
-        lastError = error;
+
+      try {
+        const response = await createFetchPromise(url);
+
+        if (RETRYABLE_STATUSES.has(response.status)) {
+          circuitBreaker.recordFailure(url, `HTTP ${response.status}`);
+          lastGatewayResponse = response;
+          if (IS_DEVELOPMENT) {
+            console.warn(`⚠️ ${url} returned ${response.status}, trying fallback...`);
+          }
+          continue;
+        }
+
+        circuitBreaker.recordSuccess(url);
+
+        // If we got a response, cache this URL as working
+        setWorkingApiUrl(url);
         
-        if (IS_DEVELOPMENT) {
-          console.warn(`⚠️ ${url} unreachable, trying fallback...`);
+        if (IS_DEVELOPMENT && url !== previousWorkingUrl) {
+          console.log(`✅ API URL working: ${url} (switched from ${previousWorkingUrl || 'none'})`);
+        }
+
+        // A server is reachable again - flush any requests queued while offline
+        if (offlineQueue.getPendingCount() > 0) {
+          syncOfflineQueue();
         }
         
-        continue;
-      } else {
-        // Other errors mean server responded (even with error)
-        // Cache this URL and re-throw for proper error handling
-        setWorkingApiUrl(url);
-        throw error;
+        return response;
+      } catch (error) {
+        // Network/CORS errors mean server is unreachable - try next URL
+        if (isNetworkError(error)) {
+          circuitBreaker.recordFailure(url, error);
+          lastError = error;
+          
+          if (IS_DEVELOPMENT) {
+            console.warn(`⚠️ ${url} unreachable, trying fallback...`);
+          }
+          
+          continue;
+        } else {
+          // Other errors mean server responded (even with error)
+          // Cache this URL and re-throw for proper error handling
+          circuitBreaker.recordSuccess(url);
+          setWorkingApiUrl(url);
+          throw error;
+        }
       }
     }
   }
 
-  // All URLs failed
-  throw lastError || new Error('Cannot connect to any API server');
+  // Out of retries: a gateway error response is more useful to callers than a generic network error
+  if (lastGatewayResponse) {
+    return lastGatewayResponse;
+  }
+
+  // All URLs failed (or were skipped because their circuit is open)
+  throw lastError || new CircuitOpenError();
+};
+
+// Endpoints that authenticate the user themselves - a 401 there means bad credentials, not an expired token
+const REAUTH_EXEMPT_PATTERN = /login|verify_session|set_pin/i;
+
+// PHP error messages that mean the bearer token itself was rejected
+const TOKEN_ERROR_PATTERN = /(invalid|expired|missing)\s+(auth(entication)?\s+)?token|token\s+(is\s+|has\s+)?(invalid|expired)|session\s+(has\s+)?expired/i;
+
+/**
+ * Check if an API result means the token is expired or invalid
+ * @param {Object} result - { success, data, status } from a request helper
+ * @returns {boolean}
+ */
+const isAuthFailure = (result) => {
+  if (!result || result.queued) return false;
+  if (result.status === 401) return true;
+
+  const data = result.data;
+  if (!data || typeof data !== 'object' || data.success === true) return false;
+  const message = [data.message, data.error].filter(value => typeof value === 'string').join(' ');
+  return TOKEN_ERROR_PATTERN.test(message);
+};
+
+const createSessionExpiredResult = (endpoint) => ({
+  success: false,
+  data: {
+    success: false,
+    message: 'Your session has expired. Please log in again.',
+    authExpired: true,
+    endpoint,
+  },
+  status: 401,
+});
+
+/**
+ * Run a request and, if the token was rejected, hold it until the user signs in again
+ * through ReauthModal, then retry it once with the new token.
+ * While the modal is open, new requests wait too instead of failing with the old token.
+ * @param {string} endpoint - Endpoint as passed by the caller
+ * @param {Function} send - () => Promise<{ success, data, status }>; must read the token on each call
+ * @returns {Promise<Object>} Result of the last attempt
+ */
+const withReauth = async (endpoint, send) => {
+  if (typeof window === 'undefined' || REAUTH_EXEMPT_PATTERN.test(String(endpoint))) {
+    return send();
+  }
+
+  if (authSession.isExpired() && !(await authSession.waitForReauth())) {
+    return createSessionExpiredResult(endpoint);
+  }
+
+  const tokenAtSend = getToken();
+  const result = await send();
+  if (!tokenAtSend || !isAuthFailure(result)) {
+    return result;
+  }
+
+  // Someone already signed in again while this request was in flight
+  if (getToken() !== tokenAtSend) {
+    return send();
+  }
+
+  logger.warning(`Session expired - ${endpoint} is waiting for re-login`, { endpoint, status: result.status });
+  authSession.markExpired();
+
+  const resumed = await authSession.waitForReauth();
+  return resumed ? send() : result;
+};
+
+/**
+ * Drop cached reads that a successful write makes stale (see mutatedBy in utils/swrCache.js)
+ * @param {string} endpoint - Endpoint as passed by the caller
+ * @param {Object} result - { success, data, status, queued }
+ */
+const invalidateCacheAfterWrite = (endpoint, result) => {
+  if (!result || !result.success || result.queued || result.data?.success === false) return;
+  swrCache.invalidateForMutation(resolveApiEndpoint(endpoint));
 };
 
 /**
@@ -392,16 +562,61 @@ export const getTerminal = () => {
   return 1;
 };
 
+/**
+ * Establish the server-side session cookie used by middleware.js
+ * The Next.js route verifies the token with the PHP backend before setting the httpOnly cookie
+ * @param {string} token - Authentication token
+ * @returns {Promise<Object>} { success, message, role }
+ */
+const createServerSession = async (token) => {
+  try {
+    const response = await fetch('/api/auth/session', {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: {
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ token }),
+    });
+    const data = await response.json().catch(() => ({}));
+    return {
+      success: response.ok && data.success === true,
+      message: data.message || (response.ok ? '' : `Session request failed (HTTP ${response.status})`),
+      role: data.role || null,
+    };
+  } catch (error) {
+    devError('Session cookie request failed:', error.message);
+    return { success: false, message: 'Could not start a session. Please check your connection and try again.' };
+  }
+};
+
+/**
+ * Re-establish the server session cookie from the token already in localStorage
+ * Used when the cookie expired or was cleared while localStorage still holds a login
+ * @returns {Promise<Object>} { success, message, role }
+ */
+export const ensureServerSession = async () => {
+  const token = getToken();
+  if (!token) {
+    return { success: false, message: 'Token is required' };
+  }
+  return createServerSession(token);
+};
+
 /**
  * Save token, role, branch_id, branch_name, and user info to localStorage
+ * and start the httpOnly server session (required by middleware for /dashboard routes)
  * @param {string} token - Authentication token
  * @param {string} role - User role
  * @param {number|null} branchId - Branch ID (optional, null for super_admin)
  * @param {string} fullname - User full name (optional)
  * @param {string} username - User username (optional)
  * @param {string} branchName - Branch name (optional)
+ * @param {number|null} userId - User ID (optional; recorded as order_taker_id on new orders)
+ * @returns {Promise<Object>} Server session result { success, message, role }
  */
-export const saveAuth = (token, role, branchId = null, fullname = null, username = null, branchName = null) => {
+export const saveAuth = async (token, role, branchId = null, fullname = null, username = null, branchName = null, userId = null) => {
   if (typeof window !== 'undefined') {
     // Ensure token is a string
     if (token) {
@@ -417,7 +632,7 @@ export const saveAuth = (token, role, branchId = null, fullname = null, username
       if (roleString === 'true' || roleString === 'false') {
         console.warn('Role is boolean, this should not happen. Role value:', role);
         // Don't save boolean role
-        return;
+        return { success: false, message: 'Invalid role value' };
       }
       localStorage.setItem('role', roleString);
     }
@@ -434,6 +649,12 @@ export const saveAuth = (token, role, branchId = null, fullname = null, username
     if (username) {
       localStorage.setItem('username', String(username));
     }
+    // Always overwrite so a user switch never leaves the previous user's ID behind
+    if (userId !== null && userId !== undefined && userId !== '') {
+      localStorage.setItem('user_id', String(userId));
+    } else {
+      localStorage.removeItem('user_id');
+    }
     
     // Debug: Log what was actually saved
     console.log('saveAuth - Saved to localStorage:', {
@@ -444,7 +665,24 @@ export const saveAuth = (token, role, branchId = null, fullname = null, username
       fullname: fullname,
       username: username
     });
+
+    if (token) {
+      return createServerSession(String(token));
+    }
   }
+  return { success: false, message: 'Token is required' };
+};
+
+/**
+ * Get stored user ID from localStorage
+ * @returns {number|null} User ID or null if not found
+ */
+export const getUserId = () => {
+  if (typeof window !== 'undefined') {
+    const userId = parseInt(localStorage.getItem('user_id'), 10);
+    return Number.isFinite(userId) ? userId : null;
+  }
+  return null;
 };
 
 /**
@@ -496,7 +734,7 @@ export const getUsername = () => {
 };
 
 /**
- * Clear authentication data from localStorage
+ * Clear authentication data from localStorage and end the server session cookie
  */
 export const clearAuth = () => {
   if (typeof window !== 'undefined') {
@@ -505,6 +743,23 @@ export const clearAuth = () => {
     localStorage.removeItem('branch_id');
     localStorage.removeItem('fullname');
     localStorage.removeItem('username');
+    localStorage.removeItem('user_id');
+
+    // Cached responses belong to this user - don't leave them for the next login
+    swrCache.clear();
+
+    // A full logout replaces the PIN lock screen with the login page
+    pinLock.unlock();
+
+    // Release requests held by the re-login prompt - they fail with the original 401
+    if (authSession.isExpired()) {
+      authSession.cancel();
+    }
+
+    // keepalive lets the request finish even though callers navigate away immediately
+    fetch('/api/auth/session', { method: 'DELETE', credentials: 'same-origin', keepalive: true }).catch((error) => {
+      devError('Failed to clear session cookie:', error.message);
+    });
   }
 };
 
@@ -512,10 +767,10 @@ export const clearAuth = () => {
  * Make GET request to API with automatic fallback to localhost
  * @param {string} endpoint - API endpoint (e.g., '/users')
  * @param {Object} params - Query parameters (will be converted to query string)
- * @param {Object} options - Additional fetch options
+ * @param {Object} options - Additional fetch options (retries: backoff retries, default NEXT_PUBLIC_API_GET_RETRIES or 2)
  * @returns {Promise<Object>} JSON response
  */
-export const apiGet = async (endpoint, params = {}, options = {}) => {
+const requestGet = async (endpoint, params = {}, options = {}) => {
   const token = getToken();
   const {
     headers: optionHeaders = {},
@@ -523,6 +778,9 @@ export const apiGet = async (endpoint, params = {}, options = {}) => {
     noCache = false,
     forceRefresh = false,
     dedupe = true,
+    retries = DEFAULT_GET_RETRIES,
+    retryBaseDelayMs,
+    retryMaxDelayMs,
     ...restFetchOptions
   } = options;
   const headers = {
@@ -538,6 +796,18 @@ export const apiGet = async (endpoint, params = {}, options = {}) => {
 
   // Resolve endpoint with correct folder path (api/ or pos/)
   const normalizedEndpoint = resolveApiEndpoint(endpoint);
+
+  // Endpoints with a cache policy go through the stale-while-revalidate cache (utils/swrCache.js)
+  const cachePolicy = noCache ? null : getCachePolicy(normalizedEndpoint);
+  if (cachePolicy) {
+    return swrCache.fetch({
+      key: swrCache.createKey({ method: 'GET', endpoint: normalizedEndpoint, params: stableStringify(params), token }),
+      endpoint: normalizedEndpoint,
+      policy: cachePolicy,
+      forceRefresh,
+    }, () => requestGet(endpoint, params, { ...options, noCache: true }));
+  }
+
   const cacheKey = getRequestCacheKey({
     endpoint: normalizedEndpoint,
     params,
@@ -592,12 +862,12 @@ export const apiGet = async (endpoint, params = {}, options = {}) => {
         credentials: 'omit',
         headers,
       });
-    });
+    }, { retries, retryBaseDelayMs, retryMaxDelayMs });
 
     const data = await response.json();
     
     // Log API response
-    logger.logAPIResponse(normalizedEndpoint, data, response.status);
+    logger.logAPIResponse(normalizedEndpoint, data, response.status, response.headers.get('x-request-id'));
 
     const result = { success: response.ok, data, status: response.status };
     if (!noCache && cacheTtlMs > 0 && response.ok) {
@@ -648,14 +918,23 @@ export const apiGet = async (endpoint, params = {}, options = {}) => {
   }
 };
 
+/**
+ * GET request (see requestGet) that waits for re-login and retries when the token has expired
+ */
+export const apiGet = (endpoint, params = {}, options = {}) => {
+  return withReauth(endpoint, () => requestGet(endpoint, params, options));
+};
+
 /**
  * Make POST request to API
+ * Mutating endpoints listed in OFFLINE_QUEUEABLE_ENDPOINTS are queued in IndexedDB when no
+ * server is reachable and resolve with { success: true, queued: true } instead of failing
  * @param {string} endpoint - API endpoint (e.g., '/login.php')
  * @param {Object} body - Request body
- * @param {Object} options - Additional fetch options
+ * @param {Object} options - Additional fetch options (queueOffline: override offline queuing; retries: default 0)
  * @returns {Promise<Object>} JSON response
  */
-export const apiPost = async (endpoint, body, options = {}) => {
+const requestPost = async (endpoint, body, options = {}) => {
   // Validate body is provided
   if (body === undefined || body === null) {
     console.error('❌ apiPost: body is required but was', body);
@@ -663,7 +942,16 @@ export const apiPost = async (endpoint, body, options = {}) => {
   }
   
   const token = getToken();
-  const { headers: optionHeaders = {}, ...restFetchOptions } = options;
+  const {
+    headers: optionHeaders = {},
+    queueOffline,
+    noCache = false,
+    forceRefresh = false,
+    retries = 0,
+    retryBaseDelayMs,
+    retryMaxDelayMs,
+    ...restFetchOptions
+  } = options;
   const headers = {
     Accept: 'application/json',
     'Content-Type': 'application/json',
@@ -680,6 +968,33 @@ export const apiPost = async (endpoint, body, options = {}) => {
     headers['Content-Type'] = 'application/json';
   }
   
+  // Resolve endpoint with correct folder path (api/ or pos/)
+  const normalizedEndpoint = resolveApiEndpoint(endpoint);
+
+  // Read-only endpoints called with POST (get_tables.php, get_halls.php, ...) share the GET cache policies
+  const cachePolicy = noCache ? null : getCachePolicy(normalizedEndpoint);
+  if (cachePolicy) {
+    return swrCache.fetch({
+      key: swrCache.createKey({ method: 'POST', endpoint: normalizedEndpoint, params: stableStringify(body), token }),
+      endpoint: normalizedEndpoint,
+      policy: cachePolicy,
+      forceRefresh,
+    }, () => requestPost(endpoint, body, { ...options, noCache: true }));
+  }
+
+  // Queueable requests carry an idempotency key from the first attempt, so a replay of a
+  // request whose response was lost on the way back cannot create a duplicate order
+  const shouldQueueOffline = queueOffline ?? isOfflineQueueable(normalizedEndpoint);
+  if (shouldQueueOffline && body && typeof body === 'object' && !Array.isArray(body) && !body.idempotency_key) {
+    body = { ...body, idempotency_key: createIdempotencyKey() };
+  }
+
+  // Tell the backend which registered terminal/device sent the request (see utils/terminal.js)
+  const terminalMeta = getTerminalMetadata();
+  if (terminalMeta && body && typeof body === 'object' && !Array.isArray(body) && !body.terminal_meta) {
+    body = { ...body, terminal_meta: terminalMeta };
+  }
+  
   // Validate and stringify body BEFORE using it
   let bodyString;
   try {
@@ -696,9 +1011,6 @@ export const apiPost = async (endpoint, body, options = {}) => {
     throw new Error(`Invalid request body: ${stringifyError.message}`);
   }
   
-  // Resolve endpoint with correct folder path (api/ or pos/)
-  const normalizedEndpoint = resolveApiEndpoint(endpoint);
-  
   const currentWorkingUrl = getWorkingApiUrl();
   const urlsToTry = getUrlsToTry();
 
@@ -750,7 +1062,7 @@ export const apiPost = async (endpoint, body, options = {}) => {
       }
       
       return fetch(fullUrl, fetchOptions);
-    });
+    }, { retries, retryBaseDelayMs, retryMaxDelayMs });
 
     // Get response text first to check if it's valid JSON
     const text = await response.text();
@@ -777,7 +1089,7 @@ export const apiPost = async (endpoint, body, options = {}) => {
       devLog('API Response:', normalizedEndpoint, data);
       
       // Log API response
-      logger.logAPIResponse(normalizedEndpoint, data, response.status);
+      logger.logAPIResponse(normalizedEndpoint, data, response.status, response.headers.get('x-request-id'));
       
       // Check if response is an empty object
       if (data && typeof data === 'object' && Object.keys(data).length === 0) {
@@ -940,7 +1252,8 @@ export const apiPost = async (endpoint, body, options = {}) => {
           error: 'Server returned non-JSON response. This might be a PHP error or database connection issue.',
           details: `The server returned HTML or plain text instead of JSON.\n\nPossible causes:\n1. PHP error (check error logs)\n2. Database connection error\n3. Server configuration issue\n\nCheck: C:\\wamp64\\logs\\php_error.log\n\nResponse preview: ${text.substring(0, 300)}`,
           rawResponse: text.substring(0, 500), // Include first 500 chars for debugging
-          endpoint: normalizedEndpoint
+          endpoint: normalizedEndpoint,
+          requestId: response.headers.get('x-request-id'),
         },
         status: response.status,
       };
@@ -950,6 +1263,29 @@ export const apiPost = async (endpoint, body, options = {}) => {
     
     // Log API error
     logger.logAPIError(normalizedEndpoint, error, body);
+
+    // No server reachable: keep the request and replay it once the connection is back
+    if (shouldQueueOffline && isNetworkError(error) && typeof body === 'object') {
+      const queued = await offlineQueue.enqueue({
+        endpoint: normalizedEndpoint,
+        body,
+        idempotencyKey: body.idempotency_key,
+      });
+      if (queued) {
+        return {
+          success: true,
+          queued: true,
+          data: {
+            success: true,
+            queued: true,
+            message: 'Server unreachable. Order saved offline and will sync automatically when the connection is back.',
+            idempotency_key: body.idempotency_key,
+            endpoint: normalizedEndpoint,
+          },
+          status: 202,
+        };
+      }
+    }
     
     // Provide more detailed error messages
     let errorMessage = error.message || 'Network error';
@@ -987,16 +1323,47 @@ export const apiPost = async (endpoint, body, options = {}) => {
   }
 };
 
+/**
+ * POST request (see requestPost) that waits for re-login when the token has expired and drops cached reads the write affects
+ */
+export const apiPost = async (endpoint, body, options = {}) => {
+  const result = await withReauth(endpoint, () => requestPost(endpoint, body, options));
+  invalidateCacheAfterWrite(endpoint, result);
+  return result;
+};
+
+/**
+ * Replay requests queued while offline, in the order they were made
+ * Safe to call repeatedly - concurrent calls are ignored while a replay is running
+ * @returns {Promise<number>} Number of queued requests that reached the server
+ */
+export const syncOfflineQueue = () => {
+  return offlineQueue.replay((entry) => apiPost(entry.endpoint, entry.body, { queueOffline: false }));
+};
+
+if (typeof window !== 'undefined') {
+  // Browser regained connectivity - try to flush the queue right away
+  window.addEventListener('online', () => {
+    syncOfflineQueue();
+  });
+}
+
 /**
  * Make PUT request to API (Update) with automatic fallback to localhost
  * @param {string} endpoint - API endpoint (e.g., '/categories/update.php')
  * @param {Object} body - Request body
- * @param {Object} options - Additional fetch options
+ * @param {Object} options - Additional fetch options (retries: default 0)
  * @returns {Promise<Object>} JSON response
  */
-export const apiPut = async (endpoint, body, options = {}) => {
+const requestPut = async (endpoint, body, options = {}) => {
   const token = getToken();
-  const { headers: optionHeaders = {}, ...restFetchOptions } = options;
+  const {
+    headers: optionHeaders = {},
+    retries = 0,
+    retryBaseDelayMs,
+    retryMaxDelayMs,
+    ...restFetchOptions
+  } = options;
   const headers = {
     Accept: 'application/json',
     'Content-Type': 'application/json',
@@ -1029,7 +1396,7 @@ export const apiPut = async (endpoint, body, options = {}) => {
         headers,
         body: JSON.stringify(body),
       });
-    });
+    }, { retries, retryBaseDelayMs, retryMaxDelayMs });
 
     const data = await response.json();
     return { success: response.ok, data, status: response.status };
@@ -1058,16 +1425,31 @@ export const apiPut = async (endpoint, body, options = {}) => {
   }
 };
 
+/**
+ * PUT request (see requestPut) that waits for re-login when the token has expired and drops cached reads the write affects
+ */
+export const apiPut = async (endpoint, body, options = {}) => {
+  const result = await withReauth(endpoint, () => requestPut(endpoint, body, options));
+  invalidateCacheAfterWrite(endpoint, result);
+  return result;
+};
+
 /**
  * Make DELETE request to API with automatic fallback to localhost
  * @param {string} endpoint - API endpoint (e.g., '/categories/delete.php')
  * @param {Object} body - Request body (optional)
- * @param {Object} options - Additional fetch options
+ * @param {Object} options - Additional fetch options (retries: default 0)
  * @returns {Promise<Object>} JSON response
  */
-export const apiDelete = async (endpoint, body = null, options = {}) => {
+const requestDelete = async (endpoint, body = null, options = {}) => {
   const token = getToken();
-  const { headers: optionHeaders = {}, ...restFetchOptions } = options;
+  const {
+    headers: optionHeaders = {},
+    retries = 0,
+    retryBaseDelayMs,
+    retryMaxDelayMs,
+    ...restFetchOptions
+  } = options;
   const headers = {
     Accept: 'application/json',
     'Content-Type': 'application/json',
@@ -1106,7 +1488,7 @@ export const apiDelete = async (endpoint, body = null, options = {}) => {
       }
       
       return fetch(fullUrl, fetchOptions);
-    });
+    }, { retries, retryBaseDelayMs, retryMaxDelayMs });
 
     const data = await response.json();
     return { success: response.ok, data, status: response.status };
@@ -1135,6 +1517,15 @@ export const apiDelete = async (endpoint, body = null, options = {}) => {
   }
 };
 
+/**
+ * DELETE request (see requestDelete) that waits for re-login when the token has expired and drops cached reads the write affects
+ */
+export const apiDelete = async (endpoint, body = null, options = {}) => {
+  const result = await withReauth(endpoint, () => requestDelete(endpoint, body, options));
+  invalidateCacheAfterWrite(endpoint, result);
+  return result;
+};
+
 /**
  * Generate a unique token
  * @returns {string} Generated token (64 characters)
@@ -1219,3 +1610,110 @@ export const login = async (username, password) => {
   return result;
 };
 
+/**
+ * Sign the current user in again after their token expired, keeping the stored profile
+ * Used by ReauthModal; on success the requests held by withReauth are retried
+ * @param {string} username - User username
+ * @param {string} password - User password
+ * @returns {Promise<Object>} { success, message }
+ */
+export const reauthenticate = async (username, password) => {
+  const result = await login(username, password);
+  const apiResponse = result.data || {};
+  const token = apiResponse.token || apiResponse.data?.token || apiResponse.user?.token || null;
+
+  if (!result.success || !token) {
+    return {
+      success: false,
+      message: apiResponse.message || apiResponse.error || 'Invalid username or password',
+    };
+  }
+
+  const role = apiResponse.role || apiResponse.data?.role || apiResponse.user?.role;
+  const session = await saveAuth(
+    token,
+    typeof role === 'string' && role ? role : getRole(),
+    getBranchId(),
+    getFullname(),
+    getUsername() || username,
+    getBranchName(),
+    getUserId()
+  );
+  if (!session.success) {
+    return { success: false, message: session.message || 'Could not start a session. Please try again.' };
+  }
+
+  authSession.resume();
+  return { success: true, message: '' };
+};
+
+/**
+ * Lock the terminal behind the PIN screen, keeping the current user's session underneath
+ * The current user is added to the lock screen's tiles so they can get back in with one tap
+ */
+export const lockTerminal = () => {
+  pinLock.rememberUser({ username: getUsername(), fullname: getFullname(), role: getRole() });
+  pinLock.lock();
+};
+
+/**
+ * Hand a locked terminal over to another staff member using their PIN
+ * Replaces the stored session with the PIN owner's, then unlocks the terminal
+ * @param {string} username - Username picked on the lock screen
+ * @param {string} pin - 4-6 digit PIN
+ * @returns {Promise<Object>} { success, message, role, roleChanged }
+ */
+export const switchUserWithPin = async (username, pin) => {
+  const previousRole = getRole();
+  const result = await apiPost('/pin_login.php', { username, pin });
+  const apiResponse = result.data || {};
+  const userData = apiResponse.user || apiResponse.data?.user || {};
+  const token = apiResponse.token || apiResponse.data?.token || userData.token || null;
+  const role = apiResponse.role || apiResponse.data?.role || userData.role || null;
+
+  if (!result.success || !token || typeof role !== 'string' || !role) {
+    return {
+      success: false,
+      message: apiResponse.message || apiResponse.error || (result.status === 0 ? 'Cannot reach the server. Please try again.' : 'Incorrect PIN'),
+    };
+  }
+
+  const userUsername = userData.username || apiResponse.username || apiResponse.data?.username || username;
+  const fullname = userData.fullname || apiResponse.fullname || apiResponse.data?.fullname || userUsername;
+  const session = await saveAuth(
+    token,
+    role,
+    apiResponse.branch_id || apiResponse.data?.branch_id || userData.branch_id || null,
+    fullname,
+    userUsername,
+    apiResponse.branch_name || apiResponse.data?.branch_name || userData.branch_name || null,
+    userData.id || userData.user_id || apiResponse.user_id || apiResponse.data?.user_id || null
+  );
+  if (!session.success) {
+    return { success: false, message: session.message || 'Could not start a session. Please try again.' };
+  }
+
+  // Requests held for the previous user's re-login must not be replayed under the new user's token
+  if (authSession.isExpired()) {
+    authSession.cancel();
+  }
+
+  pinLock.rememberUser({ username: userUsername, fullname, role });
+  pinLock.unlock();
+  return { success: true, message: '', role, roleChanged: role !== previousRole };
+};
+
+/**
+ * Set or change the signed-in user's lock screen PIN
+ * @param {string} pin - New 4-6 digit PIN
+ * @param {string} password - Current account password (confirms it's really them)
+ * @returns {Promise<Object>} { success, message }
+ */
+export const setOwnPin = async (pin, password) => {
+  const result = await apiPost('/set_pin.php', { pin, password });
+  const apiResponse = result.data || {};
+  return {
+    success: result.success && apiResponse.success !== false,
+    message: apiResponse.message || apiResponse.error || (result.success ? '' : 'Could not save PIN'),
+  };
+};
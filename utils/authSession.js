@@ -0,0 +1,79 @@
+/**
+ * Auth Session State
+ * Tracks whether the stored token has been rejected by the API and holds requests
+ * that are waiting for the user to sign in again (see ReauthModal)
+ */
+
+class AuthSession {
+  constructor() {
+    this.expired = false;
+    this.listeners = new Set();
+    this.waiters = [];
+  }
+
+  /**
+   * Subscribe to expired/resumed changes
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notify() {
+    this.listeners.forEach(callback => callback(this.expired));
+  }
+
+  /**
+   * Check if the current token is known to be expired or invalid
+   */
+  isExpired() {
+    return this.expired;
+  }
+
+  /**
+   * Flag the token as expired; the first call opens the re-login modal
+   */
+  markExpired() {
+    if (this.expired) return;
+    this.expired = true;
+    this.notify();
+  }
+
+  /**
+   * Wait until the user signs in again (true) or gives up and logs out (false)
+   * @returns {Promise<boolean>}
+   */
+  waitForReauth() {
+    if (!this.expired) return Promise.resolve(true);
+    return new Promise((resolve) => {
+      this.waiters.push(resolve);
+    });
+  }
+
+  /**
+   * Release the held requests so they retry with the new token
+   */
+  resume() {
+    this.settle(true);
+  }
+
+  /**
+   * Release the held requests without retrying (user logged out)
+   */
+  cancel() {
+    this.settle(false);
+  }
+
+  settle(resumed) {
+    const waiters = this.waiters;
+    this.waiters = [];
+    this.expired = false;
+    waiters.forEach(resolve => resolve(resumed));
+    this.notify();
+  }
+}
+
+// Create singleton instance
+const authSession = new AuthSession();
+
+export default authSession;
@@ -6,10 +6,58 @@ export function isDineInOrderType(orderType) {
   return String(orderType || '').trim().toLowerCase() === 'dine in';
 }
 
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Share a bill's amount, discount, service charge and loyalty redemption across sub-bills in proportion to their weights.
+ * Each part is rounded to paisa and the last sub-bill takes the rounding remainder, so the parts always add up to the bill.
+ * @param {{ billAmount: number, discountAmount: number, serviceCharge: number, loyaltyDiscount?: number }} totals - Whole-bill totals
+ * @param {Array<number>} weights - One weight per sub-bill (item subtotal, 1 for equal shares, or a custom amount)
+ * @returns {Array<{ billAmount: number, discountAmount: number, serviceCharge: number, loyaltyDiscount: number, grandTotal: number }>}
+ */
+export function allocateBillSplits(totals, weights) {
+  const safeWeights = weights.map(weight => Math.max(0, parseFloat(weight) || 0));
+  const totalWeight = safeWeights.reduce((sum, weight) => sum + weight, 0);
+  const fields = ['billAmount', 'discountAmount', 'serviceCharge', 'loyaltyDiscount'];
+  const allocated = Object.fromEntries(fields.map(field => [field, 0]));
+
+  return safeWeights.map((weight, index) => {
+    const isLast = index === safeWeights.length - 1;
+    const share = totalWeight > 0 ? weight / totalWeight : 1 / safeWeights.length;
+    const split = {};
+    fields.forEach(field => {
+      const total = roundMoney(parseFloat(totals[field] || 0));
+      split[field] = isLast ? roundMoney(total - allocated[field]) : roundMoney(total * share);
+      allocated[field] += split[field];
+    });
+    split.grandTotal = roundMoney(split.billAmount - split.discountAmount + split.serviceCharge - split.loyaltyDiscount);
+    return split;
+  });
+}
+
 /**
- * @returns {{ billAmount: number, discountAmount: number, grossTotal: number | null, serviceCharge: number, grandTotal: number, isDineIn: boolean }}
+ * @param {Array<number>} [splitWeights] - When given, the result also has `splits` (see allocateBillSplits)
+ * @param {number} [loyaltyRedemption] - Amount the customer pays with loyalty points or stamp cards, taken off after discount and service charge
+ * @returns {{ billAmount: number, discountAmount: number, grossTotal: number | null, serviceCharge: number, loyaltyDiscount: number, grandTotal: number, isDineIn: boolean, splits?: Array<Object> }}
  */
-export function computeBillBreakdown(orderType, billAmount, discountPercent, manualServiceCharge) {
+export function computeBillBreakdown(orderType, billAmount, discountPercent, manualServiceCharge, splitWeights, loyaltyRedemption) {
+  const breakdown = applyLoyaltyRedemption(
+    computeWholeBill(orderType, billAmount, discountPercent, manualServiceCharge),
+    loyaltyRedemption
+  );
+  if (!Array.isArray(splitWeights) || splitWeights.length === 0) return breakdown;
+  return { ...breakdown, splits: allocateBillSplits(breakdown, splitWeights) };
+}
+
+// Loyalty can pay for the whole bill but never more; what is left is rounded to paisa so cash checks match the screen
+function applyLoyaltyRedemption(breakdown, loyaltyRedemption) {
+  const requested = Math.max(0, parseFloat(loyaltyRedemption || 0));
+  if (!requested) return { ...breakdown, loyaltyDiscount: 0 };
+  const loyaltyDiscount = Math.min(roundMoney(requested), roundMoney(breakdown.grandTotal));
+  return { ...breakdown, loyaltyDiscount, grandTotal: roundMoney(breakdown.grandTotal - loyaltyDiscount) };
+}
+
+function computeWholeBill(orderType, billAmount, discountPercent, manualServiceCharge) {
   const amt = parseFloat(billAmount || 0);
   const pct = parseFloat(discountPercent || 0);
   const manual = parseFloat(manualServiceCharge || 0);
@@ -0,0 +1,185 @@
+/**
+ * API Circuit Breaker
+ * Tracks the health of each API base URL used by fetchWithFallback (utils/api.js)
+ *
+ * closed    → requests flow normally; consecutive failures are counted
+ * open      → after CIRCUIT_FAILURE_THRESHOLD failures the URL is skipped for CIRCUIT_OPEN_MS
+ * half_open → once the timer runs out a single trial request is let through;
+ *             success closes the circuit, failure opens it again
+ */
+
+const readNumber = (envValue, fallback) => {
+  const parsed = parseInt(envValue, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+export const CIRCUIT_FAILURE_THRESHOLD = Math.max(1, readNumber(process.env.NEXT_PUBLIC_API_CIRCUIT_FAILURE_THRESHOLD, 5));
+export const CIRCUIT_OPEN_MS = readNumber(process.env.NEXT_PUBLIC_API_CIRCUIT_OPEN_MS, 30000);
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open',
+};
+
+/**
+ * Jittered exponential backoff ("full jitter"): random delay in [0, min(max, base * 2^attempt)]
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} options - { baseDelayMs, maxDelayMs }
+ * @returns {number} Delay in milliseconds
+ */
+export const computeBackoffDelay = (attempt, { baseDelayMs = 300, maxDelayMs = 4000 } = {}) => {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+};
+
+/**
+ * Error thrown when every API base URL has an open circuit
+ */
+export class CircuitOpenError extends Error {
+  constructor(message = 'All API servers are temporarily unavailable. Retrying shortly.') {
+    super(message);
+    this.name = 'CircuitOpenError';
+  }
+}
+
+class CircuitBreaker {
+  constructor() {
+    this.circuits = new Map();
+    this.listeners = new Set();
+  }
+
+  /**
+   * Subscribe to circuit state changes
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notify() {
+    const states = this.getStates();
+    this.listeners.forEach(callback => callback(states));
+  }
+
+  getCircuit(url) {
+    let circuit = this.circuits.get(url);
+    if (!circuit) {
+      circuit = {
+        url,
+        state: CIRCUIT_STATES.CLOSED,
+        failures: 0,
+        trialInFlight: false,
+        openedAt: null,
+        nextAttemptAt: null,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        lastError: null,
+      };
+      this.circuits.set(url, circuit);
+    }
+    return circuit;
+  }
+
+  /**
+   * Check whether a request to this base URL may go out now
+   * Moves an open circuit to half_open once its timer has run out
+   * @param {string} url - API base URL
+   * @returns {boolean}
+   */
+  canRequest(url) {
+    const circuit = this.getCircuit(url);
+
+    if (circuit.state === CIRCUIT_STATES.OPEN) {
+      if (Date.now() < circuit.nextAttemptAt) return false;
+      circuit.state = CIRCUIT_STATES.HALF_OPEN;
+      circuit.trialInFlight = false;
+      this.notify();
+    }
+
+    if (circuit.state === CIRCUIT_STATES.HALF_OPEN) {
+      // Only one trial request at a time while probing
+      if (circuit.trialInFlight) return false;
+      circuit.trialInFlight = true;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record that the server behind this URL answered
+   * @param {string} url - API base URL
+   */
+  recordSuccess(url) {
+    const circuit = this.getCircuit(url);
+    const changed = circuit.state !== CIRCUIT_STATES.CLOSED || circuit.failures > 0;
+
+    circuit.state = CIRCUIT_STATES.CLOSED;
+    circuit.failures = 0;
+    circuit.trialInFlight = false;
+    circuit.openedAt = null;
+    circuit.nextAttemptAt = null;
+    circuit.lastSuccessAt = Date.now();
+
+    if (changed) this.notify();
+  }
+
+  /**
+   * Record a failed request (unreachable server or gateway error)
+   * @param {string} url - API base URL
+   * @param {Error|string} error - What went wrong
+   */
+  recordFailure(url, error) {
+    const circuit = this.getCircuit(url);
+    const now = Date.now();
+
+    circuit.failures++;
+    circuit.trialInFlight = false;
+    circuit.lastFailureAt = now;
+    circuit.lastError = typeof error === 'string' ? error : error?.message || 'Request failed';
+
+    if (circuit.state === CIRCUIT_STATES.HALF_OPEN || circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+      circuit.state = CIRCUIT_STATES.OPEN;
+      circuit.openedAt = now;
+      circuit.nextAttemptAt = now + CIRCUIT_OPEN_MS;
+    }
+
+    this.notify();
+  }
+
+  /**
+   * Check if a URL's circuit is currently open (timer still running)
+   * @param {string} url - API base URL
+   * @returns {boolean}
+   */
+  isOpen(url) {
+    const circuit = this.circuits.get(url);
+    return !!circuit && circuit.state === CIRCUIT_STATES.OPEN && Date.now() < circuit.nextAttemptAt;
+  }
+
+  /**
+   * Snapshot of every known circuit, for the health panel
+   * @returns {Array<Object>}
+   */
+  getStates() {
+    return Array.from(this.circuits.values(), circuit => ({ ...circuit }));
+  }
+
+  /**
+   * Close one circuit (or all of them) manually
+   * @param {string} [url] - API base URL; omit to reset every circuit
+   */
+  reset(url) {
+    if (url) {
+      this.circuits.delete(url);
+    } else {
+      this.circuits.clear();
+    }
+    this.notify();
+  }
+}
+
+// Create singleton instance
+const circuitBreaker = new CircuitBreaker();
+
+export default circuitBreaker;
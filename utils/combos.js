@@ -0,0 +1,187 @@
+/**
+ * Combo / Deal Utility
+ * A combo ("Chai + 2 Samosa", family deals) has its own price and is made of component dishes:
+ * fixed items plus optional choice slots where staff pick one dish (e.g. "Any drink").
+ * In the order screens combos show under a "Deals" category and become one cart line
+ * that carries its resolved components, so each component can go to its own kitchen.
+ */
+
+import { createCartLine } from './modifiers';
+
+/**
+ * Pseudo category the create-order pages list combos under
+ */
+export const COMBO_CATEGORY = { category_id: 'combos', name: 'Deals' };
+
+const toQuantity = (value) => {
+  const parsed = parseInt(value, 10);
+  return parsed > 0 ? parsed : 1;
+};
+
+// Lists may arrive as arrays or JSON strings depending on how the backend stores them
+const toArray = (value) => {
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return [];
+    }
+  }
+  return Array.isArray(value) ? value : [];
+};
+
+/**
+ * Normalize a combo from api/combos_management.php
+ * @param {Object} combo - Raw combo
+ * @returns {Object} { combo_id, name, description, price, branch_id, is_available, items, slots }
+ */
+export const normalizeCombo = (combo) => ({
+  combo_id: combo.combo_id ?? combo.id,
+  name: combo.name || combo.combo_name || 'Deal',
+  description: combo.description || '',
+  price: parseFloat(combo.price) || 0,
+  branch_id: combo.branch_id ?? null,
+  branch_name: combo.branch_name || '',
+  is_available: combo.is_available === undefined ? 1 : Number(combo.is_available),
+  items: toArray(combo.items)
+    .filter(item => item && item.dish_id)
+    .map(item => ({ dish_id: item.dish_id, quantity: toQuantity(item.quantity) })),
+  slots: toArray(combo.slots)
+    .map((slot, index) => ({
+      slot_id: slot.slot_id ?? slot.id ?? `s${index}`,
+      name: String(slot.name || `Choice ${index + 1}`),
+      quantity: toQuantity(slot.quantity),
+      dish_ids: toArray(slot.dish_ids).map(String),
+    }))
+    .filter(slot => slot.dish_ids.length > 0),
+});
+
+/**
+ * Present a combo like a dish so the existing menu grid and cart can show it
+ * @param {Object} combo - Normalized combo
+ * @returns {Object} Dish-shaped entry with combo_id and the combo itself
+ */
+export const toComboMenuEntry = (combo) => ({
+  dish_id: `combo-${combo.combo_id}`,
+  combo_id: combo.combo_id,
+  name: combo.name,
+  description: combo.description,
+  price: combo.price,
+  category_id: COMBO_CATEGORY.category_id,
+  category_name: COMBO_CATEGORY.name,
+  is_available: combo.is_available,
+  combo,
+});
+
+/**
+ * Check that every choice slot has a dish picked
+ * @param {Object} combo - Normalized combo
+ * @param {Object<string, string>} choices - slot_id → dish_id
+ * @returns {string} Error message, or '' when valid
+ */
+export const validateComboChoices = (combo, choices) => {
+  const missing = combo.slots.find(slot => !choices[slot.slot_id]);
+  return missing ? `Please choose ${missing.name}` : '';
+};
+
+/**
+ * Resolve a combo's components (fixed items + picked slot dishes) with their kitchen routing info
+ * @param {Object} combo - Normalized combo
+ * @param {Object<string, string>} choices - slot_id → dish_id
+ * @param {Array<Object>} dishes - Branch dishes from get_products.php
+ * @returns {Array<Object>} [{ dish_id, name, quantity, category_id, kitchen_id, slot_name }]
+ */
+export const buildComboComponents = (combo, choices, dishes) => {
+  const findDish = (dishId) => dishes.find(dish => String(dish.dish_id) === String(dishId)) || {};
+  const toComponent = (dishId, quantity, slotName = null) => {
+    const dish = findDish(dishId);
+    return {
+      dish_id: dishId,
+      name: dish.name || dish.dish_name || `Dish ${dishId}`,
+      quantity,
+      category_id: dish.category_id ?? null,
+      kitchen_id: dish.kitchen_id || null,
+      slot_name: slotName,
+    };
+  };
+  return [
+    ...combo.items.map(item => toComponent(item.dish_id, item.quantity)),
+    ...combo.slots.map(slot => toComponent(choices[slot.slot_id], slot.quantity, slot.name)),
+  ];
+};
+
+/**
+ * Build the cart line for a combo; the same combo with different picks goes on its own line
+ * @param {Object} entry - Menu entry from toComboMenuEntry
+ * @param {Array<Object>} components - From buildComboComponents
+ * @returns {Object} Cart line
+ */
+export const createComboCartLine = (entry, components) => ({
+  ...createCartLine(entry, []),
+  line_key: `${entry.dish_id}#${components.map(component => component.dish_id).join(',')}`,
+  components,
+});
+
+/**
+ * Read the components of a combo order item (array or JSON string)
+ * @param {Object} item - Cart line or order item
+ * @returns {Array<Object>}
+ */
+export const getItemComponents = (item) => toArray(item?.components);
+
+/**
+ * Short text for a combo's components, e.g. "Karak Chai, 2× Samosa"
+ * @param {Array<Object>} components - Resolved components
+ * @returns {string}
+ */
+export const formatComboComponents = (components) => (Array.isArray(components) ? components : [])
+  .map(component => {
+    const name = component.name || component.dish_name || '';
+    const quantity = toQuantity(component.quantity);
+    return quantity > 1 ? `${quantity}× ${name}` : name;
+  })
+  .filter(Boolean)
+  .join(', ');
+
+/**
+ * Replace combo items with their components (quantities multiplied) so KOTs route per kitchen
+ * @param {Array<Object>} items - Order/receipt items
+ * @returns {Array<Object>}
+ */
+export const expandComboComponents = (items) => (Array.isArray(items) ? items : []).flatMap(item => {
+  const components = getItemComponents(item);
+  if (components.length === 0) return [item];
+  const quantity = toQuantity(item.quantity ?? item.qty);
+  return components.map(component => ({
+    ...component,
+    dish_name: component.name || component.dish_name,
+    quantity: toQuantity(component.quantity) * quantity,
+    qty: toQuantity(component.quantity) * quantity,
+  }));
+});
+
+/**
+ * Clean the combo form for api/combos_management.php
+ * @param {Object} form - { combo_id?, name, description, price, branch_id, is_available, items, slots }
+ * @returns {Object}
+ */
+export const toComboPayload = (form) => ({
+  combo_id: form.combo_id || undefined,
+  name: String(form.name || '').trim(),
+  description: String(form.description || '').trim(),
+  price: parseFloat(form.price) || 0,
+  branch_id: form.branch_id,
+  is_available: form.is_available ? 1 : 0,
+  items: form.items
+    .filter(item => item.dish_id)
+    .map(item => ({ dish_id: Number(item.dish_id), quantity: toQuantity(item.quantity) })),
+  slots: form.slots
+    .filter(slot => slot.dish_ids.length > 0)
+    .map((slot, index) => ({
+      // IDs issued by the backend are integers; generated ones belong to slots not saved yet
+      slot_id: /^\d+$/.test(String(slot.slot_id ?? '')) ? Number(slot.slot_id) : null,
+      name: String(slot.name || '').trim() || `Choice ${index + 1}`,
+      quantity: toQuantity(slot.quantity),
+      dish_ids: slot.dish_ids.map(Number),
+    })),
+});
@@ -0,0 +1,68 @@
+/**
+ * Customer Lookup Utility
+ * Create-order finds the customer by phone (or name) as it is typed, so an order can be linked to
+ * the customer for order history and loyalty without a credit payment.
+ */
+
+// Digits typed before a new customer can be added with that phone
+export const MIN_PHONE_DIGITS = 10;
+
+/**
+ * Digits only, so '0300-1234567' and '03001234567' match
+ * @param {string} phone - Phone number
+ * @returns {string}
+ */
+export const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '');
+
+/**
+ * Customers matching what was typed: phone digits anywhere in the number, otherwise part of the name
+ * @param {Array<Object>} customers - Customers from customersManagement.list
+ * @param {string} query - Phone or name typed so far
+ * @param {number} limit - Most matches to return
+ * @returns {Array<Object>}
+ */
+export const searchCustomers = (customers, query, limit = 8) => {
+  const text = String(query || '').trim().toLowerCase();
+  if (!text) return [];
+  const digits = normalizePhone(text);
+  // Phone search once the query is mostly digits ('0300-12' counts, 'Ali 2' does not)
+  const byPhone = digits.length >= 3 && digits.length >= text.replace(/[\s\-+()]/g, '').length;
+  return customers
+    .filter(customer => (byPhone
+      ? normalizePhone(customer.phone).includes(digits)
+      : customer.name.toLowerCase().includes(text)))
+    .slice(0, limit);
+};
+
+/**
+ * Customer whose phone is exactly this number (ignoring formatting)
+ * @param {Array<Object>} customers - Customers from customersManagement.list
+ * @param {string} phone - Phone number
+ * @returns {Object|null}
+ */
+export const findCustomerByPhone = (customers, phone) => {
+  const digits = normalizePhone(phone);
+  if (!digits) return null;
+  return customers.find(customer => normalizePhone(customer.phone) === digits) || null;
+};
+
+/**
+ * Most ordered dishes across a customer's orders, for when the history endpoint does not rank them
+ * @param {Array<Object>} orders - Orders with their items
+ * @param {number} limit - Most dishes to return
+ * @returns {Array<{ dish_id: number|null, dish_name: string, quantity: number }>}
+ */
+export const getFavoriteDishes = (orders, limit = 5) => {
+  const tally = {};
+  orders.forEach(order => {
+    (order.items || []).forEach(item => {
+      const name = item.dish_name || item.name || item.item_name || '';
+      if (!name) return;
+      const key = item.dish_id || name;
+      const entry = tally[key] || { dish_id: item.dish_id || null, dish_name: name, quantity: 0 };
+      entry.quantity += parseInt(item.quantity || item.qty || 1, 10) || 1;
+      tally[key] = entry;
+    });
+  });
+  return Object.values(tally).sort((a, b) => b.quantity - a.quantity).slice(0, limit);
+};
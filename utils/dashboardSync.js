@@ -1,9 +1,112 @@
 /**
  * Dashboard Synchronization Utility
- * Enables real-time updates across multiple dashboard instances
- * Uses localStorage events to notify other tabs/windows when data changes
+ * Enables real-time updates across dashboard instances:
+ * - tabs in the same browser get events through localStorage (storage events)
+ * - every other device of the branch gets them through the server-sent events stream at /api/events
+ * An event can arrive both ways, so each carries an id and is delivered to listeners once.
  */
 
+const EVENTS_URL = '/api/events';
+const LOCAL_EVENT = 'dashboardUpdate';
+const MAX_SEEN_EVENTS = 200;
+
+// Wait before reconnecting when the stream was refused (e.g. signed out); the browser retries other drops itself
+const STREAM_RETRY_MS = 30 * 1000;
+
+const seenEventIds = new Set();
+let storageBridgeInstalled = false;
+let streamListeners = 0;
+let eventSource = null;
+let reconnectTimer = null;
+
+const createEventId = () => (typeof crypto !== 'undefined' && crypto.randomUUID
+  ? crypto.randomUUID()
+  : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+/**
+ * Remember an event id; false when the event was already delivered in this tab
+ */
+const markSeen = (event) => {
+  if (!event.id) return true;
+  if (seenEventIds.has(event.id)) return false;
+  seenEventIds.add(event.id);
+  if (seenEventIds.size > MAX_SEEN_EVENTS) {
+    seenEventIds.delete(seenEventIds.values().next().value);
+  }
+  return true;
+};
+
+const deliver = (event) => {
+  if (!event || event.source !== 'dashboard_sync' || !markSeen(event)) return;
+  window.dispatchEvent(new CustomEvent(LOCAL_EVENT, { detail: event }));
+};
+
+/**
+ * Turn other tabs' localStorage writes into local events (once per tab)
+ */
+const installStorageBridge = () => {
+  if (storageBridgeInstalled) return;
+  storageBridgeInstalled = true;
+  window.addEventListener('storage', (e) => {
+    if (!e.key || !e.key.startsWith('dashboard_update_') || !e.newValue) return;
+    try {
+      deliver(JSON.parse(e.newValue));
+    } catch (error) {
+      console.error('Error parsing dashboard update event:', error);
+    }
+  });
+};
+
+/**
+ * Open the server event stream while anything is listening
+ * Reads the token from localStorage directly: utils/api.js imports this module (through swrCache)
+ */
+const openStream = () => {
+  if (eventSource || reconnectTimer || typeof EventSource === 'undefined' || !localStorage.getItem('token')) return;
+
+  eventSource = new EventSource(EVENTS_URL);
+  eventSource.onmessage = (message) => {
+    try {
+      deliver(JSON.parse(message.data));
+    } catch (error) {
+      console.error('Error parsing server event:', error);
+    }
+  };
+  eventSource.onerror = () => {
+    // CLOSED means the server refused the stream; the browser won't retry that on its own
+    if (eventSource?.readyState !== EventSource.CLOSED) return;
+    eventSource = null;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      if (streamListeners > 0) openStream();
+    }, STREAM_RETRY_MS);
+  };
+};
+
+const closeStream = () => {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  eventSource?.close();
+  eventSource = null;
+};
+
+/**
+ * Send an event to the other devices of the branch (fire and forget)
+ * Super admins have no stored branch, so their events must carry the order's or kitchen's branch_id in data
+ */
+const publishToServer = (event) => {
+  if (!localStorage.getItem('token')) return;
+  const branchId = event.data?.branch_id ?? localStorage.getItem('branch_id');
+  fetch(EVENTS_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id: event.id, type: event.type, data: event.data, branch_id: branchId || null }),
+    keepalive: true,
+  }).catch(() => {
+    // Other devices catch up on their next poll
+  });
+};
+
 /**
  * Broadcast an update event to all dashboard instances
  * @param {string} eventType - Type of event ('order_updated', 'bill_updated', 'order_created', etc.)
@@ -13,6 +116,7 @@ export const broadcastUpdate = (eventType, data = {}) => {
   if (typeof window === 'undefined') return;
   
   const event = {
+    id: createEventId(),
     type: eventType,
     data: data,
     timestamp: Date.now(),
@@ -28,14 +132,15 @@ export const broadcastUpdate = (eventType, data = {}) => {
     localStorage.removeItem(key);
   }, 100);
   
-  // Also dispatch a custom event for same-tab listeners
-  window.dispatchEvent(new CustomEvent('dashboardUpdate', { detail: event }));
+  // Same-tab listeners, then other devices
+  deliver(event);
+  publishToServer(event);
   
   console.log(`📢 Broadcasted ${eventType}:`, data);
 };
 
 /**
- * Listen for dashboard update events
+ * Listen for dashboard update events from this tab, other tabs and other devices
  * @param {Function} callback - Callback function to execute when update occurs
  * @param {string|Array} eventTypes - Event type(s) to listen for (optional, listens to all if not specified)
  * @returns {Function} Cleanup function to remove listeners
@@ -47,40 +152,24 @@ export const listenForUpdates = (callback, eventTypes = null) => {
     ? (Array.isArray(eventTypes) ? eventTypes : [eventTypes])
     : null;
   
-  const handleStorageEvent = (e) => {
-    if (e.key && e.key.startsWith('dashboard_update_')) {
-      try {
-        const event = JSON.parse(e.newValue);
-        if (event && event.source === 'dashboard_sync') {
-          // If eventTypes specified, filter by type
-          if (!eventTypesArray || eventTypesArray.includes(event.type)) {
-            callback(event);
-          }
-        }
-      } catch (error) {
-        console.error('Error parsing dashboard update event:', error);
-      }
-    }
-  };
-  
-  const handleCustomEvent = (e) => {
+  const handleEvent = (e) => {
     const event = e.detail;
-    if (event && event.source === 'dashboard_sync') {
-      // If eventTypes specified, filter by type
-      if (!eventTypesArray || eventTypesArray.includes(event.type)) {
-        callback(event);
-      }
+    // If eventTypes specified, filter by type
+    if (event && (!eventTypesArray || eventTypesArray.includes(event.type))) {
+      callback(event);
     }
   };
   
-  // Listen to both storage events (cross-tab) and custom events (same-tab)
-  window.addEventListener('storage', handleStorageEvent);
-  window.addEventListener('dashboardUpdate', handleCustomEvent);
+  installStorageBridge();
+  window.addEventListener(LOCAL_EVENT, handleEvent);
+  streamListeners++;
+  openStream();
   
   // Return cleanup function
   return () => {
-    window.removeEventListener('storage', handleStorageEvent);
-    window.removeEventListener('dashboardUpdate', handleCustomEvent);
+    window.removeEventListener(LOCAL_EVENT, handleEvent);
+    streamListeners--;
+    if (streamListeners === 0) closeStream();
   };
 };
 
@@ -96,6 +185,9 @@ export const UPDATE_EVENTS = {
   BILL_UPDATED: 'bill_updated',
   BILL_PAID: 'bill_paid',
   TABLE_UPDATED: 'table_updated',
+  RESERVATION_UPDATED: 'reservation_updated',
+  DELIVERY_UPDATED: 'delivery_updated',
+  KITCHEN_ITEM_UPDATED: 'kitchen_item_updated',
   DISH_UPDATED: 'dish_updated',
   CATEGORY_UPDATED: 'category_updated',
 };
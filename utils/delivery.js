@@ -0,0 +1,173 @@
+/**
+ * Delivery Utility
+ * A delivery order carries the customer's address and phone, a charge from its delivery zone and,
+ * once dispatched, a rider. It moves unassigned → assigned → out for delivery → delivered or returned.
+ * Cash a rider collects stays with the rider until it is handed in on the settlement screen.
+ */
+
+export const DELIVERY_STATUSES = {
+  unassigned: { label: 'Unassigned', className: 'bg-gray-100 text-gray-700' },
+  assigned: { label: 'Assigned', className: 'bg-blue-100 text-blue-800' },
+  out_for_delivery: { label: 'Out for Delivery', className: 'bg-amber-100 text-amber-800' },
+  delivered: { label: 'Delivered', className: 'bg-green-100 text-green-800' },
+  returned: { label: 'Returned', className: 'bg-red-100 text-red-800' },
+};
+
+// Statuses an order can move to by hand; unassigned becomes assigned by picking a rider
+export const DELIVERY_TRANSITIONS = {
+  unassigned: [],
+  assigned: ['out_for_delivery'],
+  out_for_delivery: ['delivered', 'returned'],
+  delivered: [],
+  returned: [],
+};
+
+export const EMPTY_DELIVERY = { phone: '', name: '', address: '', zone_id: '', rider_id: '' };
+
+/**
+ * Delivery charge of a zone
+ * @param {Array<Object>} zones - Zones normalized by normalizeZone
+ * @param {number|string} zoneId - Zone picked for the order
+ * @returns {number} 0 when no zone is picked
+ */
+export const getZoneCharge = (zones, zoneId) => {
+  const zone = zones.find(option => String(option.zone_id) === String(zoneId));
+  return zone ? zone.charge : 0;
+};
+
+/**
+ * Normalize a zone from delivery_zones.php
+ * @param {Object} zone - Raw zone
+ * @returns {Object}
+ */
+export const normalizeZone = (zone) => ({
+  ...zone,
+  zone_id: zone.zone_id || zone.id,
+  name: zone.name || zone.zone_name || '',
+  charge: parseFloat(zone.charge ?? zone.delivery_charge ?? 0) || 0,
+  is_active: zone.is_active === undefined ? true : Boolean(Number(zone.is_active)),
+});
+
+/**
+ * Normalize a rider from riders_management.php
+ * @param {Object} rider - Raw rider
+ * @returns {Object}
+ */
+export const normalizeRider = (rider) => ({
+  ...rider,
+  rider_id: rider.rider_id || rider.id,
+  name: rider.name || rider.rider_name || '',
+  phone: rider.phone || '',
+  is_active: rider.is_active === undefined ? true : Boolean(Number(rider.is_active)),
+});
+
+/**
+ * Normalize a delivery order from delivery_management.php
+ * @param {Object} order - Raw delivery order
+ * @returns {Object}
+ */
+export const normalizeDelivery = (order) => {
+  const status = (order.delivery_status || '').toLowerCase();
+  return {
+    ...order,
+    order_id: order.order_id || order.id,
+    orderid: order.orderid || order.order_number || order.order_id || order.id,
+    delivery_name: order.delivery_name || order.customer_name || '',
+    delivery_phone: order.delivery_phone || '',
+    delivery_address: order.delivery_address || '',
+    delivery_charges: parseFloat(order.delivery_charges || 0) || 0,
+    grand_total: parseFloat(order.grand_total ?? order.net_total_amount ?? order.total ?? 0) || 0,
+    rider_id: order.rider_id || null,
+    delivery_status: DELIVERY_STATUSES[status] ? status : (order.rider_id ? 'assigned' : 'unassigned'),
+    settlement_id: order.settlement_id || null,
+  };
+};
+
+/**
+ * Whether the rider collects cash for the order (it was not paid before dispatch)
+ * @param {Object} delivery - Normalized delivery order
+ * @returns {boolean}
+ */
+export const isCashOnDelivery = (delivery) => (delivery.payment_status || '').toLowerCase() !== 'paid';
+
+/**
+ * Check the delivery details entered on create-order
+ * @param {Object} delivery - { phone, name, address, zone_id, rider_id }
+ * @param {Array<Object>} zones - Normalized zones (a zone is required once the branch has any)
+ * @returns {string} Error message, or '' when the details are complete
+ */
+export const validateDelivery = (delivery, zones) => {
+  if (!delivery.address.trim()) return 'Delivery address is required.';
+  if (delivery.phone.replace(/\D/g, '').length < 10) return 'A valid delivery phone number is required.';
+  if (zones.length > 0 && !delivery.zone_id) return 'Select a delivery zone.';
+  return '';
+};
+
+/**
+ * Order fields for the delivery details, sent with the new order
+ * @param {Object} delivery - { phone, name, address, zone_id, rider_id }
+ * @param {Array<Object>} zones - Normalized zones
+ * @returns {Object}
+ */
+export const toDeliveryPayload = (delivery, zones) => ({
+  delivery_name: delivery.name.trim(),
+  delivery_phone: delivery.phone.trim(),
+  delivery_address: delivery.address.trim(),
+  delivery_zone_id: delivery.zone_id ? Number(delivery.zone_id) : null,
+  delivery_charges: getZoneCharge(zones, delivery.zone_id),
+  rider_id: delivery.rider_id ? Number(delivery.rider_id) : null,
+  delivery_status: delivery.rider_id ? 'assigned' : 'unassigned',
+});
+
+/**
+ * Cash each rider holds: delivered cash-on-delivery orders not handed in yet
+ * @param {Array<Object>} deliveries - Normalized delivery orders
+ * @returns {Object<string, { orders: Array<Object>, amount: number }>} Keyed by rider_id
+ */
+export const getUnsettledCash = (deliveries) => {
+  const byRider = {};
+  deliveries
+    .filter(delivery => delivery.rider_id && delivery.delivery_status === 'delivered' && !delivery.settlement_id && isCashOnDelivery(delivery))
+    .forEach(delivery => {
+      const entry = byRider[delivery.rider_id] || { orders: [], amount: 0 };
+      entry.orders.push(delivery);
+      entry.amount += delivery.grand_total;
+      byRider[delivery.rider_id] = entry;
+    });
+  return byRider;
+};
+
+/**
+ * Totals of rider cash for day-end
+ * @param {Array<Object>} deliveries - Normalized delivery orders
+ * @param {Array<Object>} settlements - Settlements from delivery_management.php
+ * @returns {{ settled: number, short: number, pending: number }}
+ */
+export const summarizeRiderCash = (deliveries, settlements) => ({
+  settled: settlements.reduce((sum, settlement) => sum + (parseFloat(settlement.amount_received) || 0), 0),
+  short: settlements.reduce((sum, settlement) => sum + (parseFloat(settlement.short_amount) || 0), 0),
+  pending: Object.values(getUnsettledCash(deliveries)).reduce((sum, entry) => sum + entry.amount, 0),
+});
+
+/**
+ * Local time as 'YYYY-MM-DD HH:mm:ss', the format the API compares against
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+export const toSqlDateTime = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+/**
+ * Fill blank delivery fields from the customer attached to the order
+ * @param {Object} delivery - { phone, name, address, zone_id, rider_id }
+ * @param {Object} customer - { name, phone, address }
+ * @returns {Object} Updated delivery details
+ */
+export const prefillDeliveryFromCustomer = (delivery, customer) => ({
+  ...delivery,
+  phone: delivery.phone || customer.phone || '',
+  name: delivery.name || customer.name || '',
+  address: delivery.address || customer.address || '',
+});
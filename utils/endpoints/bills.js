@@ -0,0 +1,74 @@
+/**
+ * Bill Endpoints
+ * api/bills_management.php - lists/fetches bills on GET, creates/updates on POST
+ */
+
+import { callEndpoint, extractList, unwrapPayload } from './normalize';
+
+/**
+ * @typedef {Object} Bill
+ * @property {number} bill_id
+ * @property {number} order_id
+ * @property {string} payment_status - 'Paid' | 'Unpaid' | 'Credit' (defaults to 'Unpaid' when missing)
+ * @property {string} payment_method
+ * @property {number|string} grand_total
+ */
+
+/**
+ * Find the bill object inside a bills_management.php payload
+ * Creating a bill answers { bill: {...}, bill_id: 123 }, so the id may sit next to the bill rather than in it
+ */
+const extractBill = (body) => {
+  const payload = unwrapPayload(body);
+  if (!payload || typeof payload !== 'object') return null;
+  const bill = Array.isArray(payload) ? payload[0] : (payload.bill || body.bill || payload);
+  if (!bill || typeof bill !== 'object') return null;
+  const billId = bill.bill_id || bill.id || (Array.isArray(payload) ? null : payload.bill_id) || body.bill_id;
+  if (!billId) return null;
+  return { ...bill, bill_id: billId, payment_status: bill.payment_status || 'Unpaid' };
+};
+
+export const billsManagement = {
+  /**
+   * List bills (branch_id, terminal, from_date, to_date, ...)
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Array<Bill>>}
+   */
+  list: async (params = {}) => {
+    const body = await callEndpoint('GET', 'api/bills_management.php', params);
+    return extractList(body, ['bills']);
+  },
+
+  /**
+   * Fetch the bill for an order, plus the order items the API returns alongside it
+   * @param {number|string} orderId - Numeric order ID
+   * @returns {Promise<{ bill: Bill|null, items: Array<Object> }>} bill is null when the order has no bill yet
+   */
+  getByOrderId: async (orderId) => {
+    const body = await callEndpoint('GET', 'api/bills_management.php', { order_id: orderId });
+    const payload = unwrapPayload(body);
+    const items = [payload?.order_items, body?.order_items].find(Array.isArray) || [];
+    return { bill: extractBill(body), items };
+  },
+
+  /**
+   * Create or update a bill (payload is sent as-is)
+   * @param {Object} payload - Bill fields
+   * @returns {Promise<Bill|null>} Saved bill when the API returns one
+   */
+  save: async (payload) => {
+    const body = await callEndpoint('POST', 'api/bills_management.php', payload);
+    return extractBill(body);
+  },
+
+  /**
+   * Pay a bill as several sub-bills, each with its own payment method
+   * The backend marks the bill Paid and completes the order once every sub-bill is recorded
+   * @param {Object} payload - { bill_id, order_id, split_type, loyalty_customer_id?, loyalty_points_redeemed?, loyalty_stamp_cards_redeemed?, loyalty_discount?, splits: [{ split_no, bill_amount, discount, service_charge, loyalty_discount, grand_total, payment_method, cash_received, change, items }] }
+   * @returns {Promise<Bill|null>} Updated bill when the API returns one
+   */
+  settleSplit: async (payload) => {
+    const body = await callEndpoint('POST', 'api/bills_management.php', { ...payload, action: 'split_payment' });
+    return extractBill(body);
+  },
+};
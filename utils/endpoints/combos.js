@@ -0,0 +1,53 @@
+/**
+ * Combo Endpoints
+ * api/combos_management.php - lists combos/deals on GET, creates/updates on POST, deletes on DELETE
+ */
+
+import { callEndpoint, extractList, unwrapPayload } from './normalize';
+
+/**
+ * @typedef {Object} Combo
+ * @property {number} combo_id
+ * @property {string} name - e.g., 'Chai + 2 Samosa'
+ * @property {string} description
+ * @property {number|string} price - Combo price (replaces the components' own prices)
+ * @property {number} branch_id
+ * @property {number} is_available - 1 | 0
+ * @property {Array<{ dish_id: number, quantity: number }>} items - Fixed components
+ * @property {Array<{ slot_id: number, name: string, quantity: number, dish_ids: Array<number> }>} slots - Choice slots, one dish picked per slot
+ */
+
+const COMBOS_ENDPOINT = 'api/combos_management.php';
+
+export const combosManagement = {
+  /**
+   * List combos, optionally for one branch
+   * @param {Object} params - { branch_id }
+   * @returns {Promise<Array<Combo>>}
+   */
+  list: async (params = {}) => {
+    const body = await callEndpoint('GET', COMBOS_ENDPOINT, params);
+    return extractList(body, ['combos']);
+  },
+
+  /**
+   * Create (no combo_id) or update a combo
+   * @param {Object} payload - Combo without combo_id to create
+   * @returns {Promise<*>} Saved combo payload as returned by the API
+   */
+  save: async (payload) => {
+    const body = await callEndpoint('POST', COMBOS_ENDPOINT, {
+      ...payload,
+      action: payload.combo_id ? 'update' : 'create',
+    });
+    return unwrapPayload(body);
+  },
+
+  /**
+   * Delete a combo (past orders keep their components)
+   * @param {number} comboId - Combo ID
+   */
+  remove: async (comboId) => {
+    await callEndpoint('DELETE', COMBOS_ENDPOINT, { combo_id: comboId });
+  },
+};
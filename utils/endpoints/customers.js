@@ -0,0 +1,73 @@
+/**
+ * Customer Endpoints
+ * api/customer_management.php - lists a branch's customers on GET, creates/updates on POST
+ * api/customer_history.php - a customer's recent orders and most ordered dishes
+ */
+
+import { callEndpoint, extractList, unwrapPayload } from './normalize';
+
+/**
+ * @typedef {Object} Customer
+ * @property {number} customer_id
+ * @property {string} name
+ * @property {string} phone
+ * @property {number} branch_id
+ */
+
+/**
+ * @typedef {Object} CustomerHistory
+ * @property {Array<Object>} orders - Most recent first: { order_id, orderid, created_at, order_type, grand_total, items }
+ * @property {Array<Object>} favorites - Most ordered first: { dish_id, dish_name, quantity } (empty when the endpoint leaves it out)
+ */
+
+const CUSTOMERS_ENDPOINT = 'api/customer_management.php';
+const HISTORY_ENDPOINT = 'api/customer_history.php';
+
+/**
+ * Map the endpoint's mixed field names (id/customer_id, name/customer_name, phone/mobileNo)
+ * @param {Object} customer - Raw customer
+ * @returns {Customer}
+ */
+const normalizeCustomer = (customer) => ({
+  ...customer,
+  customer_id: customer.customer_id || customer.id,
+  name: customer.name || customer.customer_name || '',
+  phone: customer.phone || customer.mobileNo || '',
+});
+
+export const customersManagement = {
+  /**
+   * List a branch's customers
+   * @param {Object} params - { branch_id }
+   * @returns {Promise<Array<Customer>>}
+   */
+  list: async (params = {}) => {
+    const body = await callEndpoint('GET', CUSTOMERS_ENDPOINT, params);
+    return extractList(body, ['customers']).map(normalizeCustomer).filter(customer => customer.customer_id);
+  },
+
+  /**
+   * Create a customer
+   * @param {Object} payload - { name, phone, branch_id, terminal }
+   * @returns {Promise<Customer>}
+   */
+  create: async (payload) => {
+    const body = await callEndpoint('POST', CUSTOMERS_ENDPOINT, payload);
+    const saved = unwrapPayload(body);
+    return normalizeCustomer(saved && typeof saved === 'object' ? saved : {});
+  },
+
+  /**
+   * A customer's recent orders (with items) and favorite dishes
+   * @param {Object} params - { customerId, branchId, limit }
+   * @returns {Promise<CustomerHistory>}
+   */
+  history: async ({ customerId, branchId, limit = 5 }) => {
+    const body = await callEndpoint('POST', HISTORY_ENDPOINT, { customer_id: customerId, branch_id: branchId, limit });
+    const payload = unwrapPayload(body) || {};
+    return {
+      orders: Array.isArray(payload) ? payload : extractList(payload, ['orders']),
+      favorites: Array.isArray(payload.favorites) ? payload.favorites : [],
+    };
+  },
+};
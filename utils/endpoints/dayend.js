@@ -0,0 +1,42 @@
+/**
+ * Day End Endpoints
+ * api/get_dayend.php
+ */
+
+import { callEndpoint, extractList } from './normalize';
+
+/**
+ * @typedef {Object} Dayend
+ * @property {number} id
+ * @property {string} closing_date_time
+ * @property {number|string} opening_balance
+ * @property {number|string} total_cash
+ * @property {number|string} total_easypaisa
+ * @property {number|string} total_bank
+ * @property {number|string} credit_sales
+ */
+
+/**
+ * List day-end records
+ * @param {Object} params - { branch_id, start_date, end_date }
+ * @returns {Promise<Array<Dayend>>}
+ */
+export const getDayend = async (params = {}) => {
+  const body = await callEndpoint('POST', 'api/get_dayend.php', params);
+  return extractList(body);
+};
+
+/**
+ * Get the most recent day-end record (by closing_date_time)
+ * @param {Object} params - { branch_id }
+ * @returns {Promise<Dayend|null>}
+ */
+export const getLastDayend = async (params = {}) => {
+  const records = await getDayend(params);
+  if (records.length === 0) return null;
+  return [...records].sort((a, b) => {
+    const dateA = new Date(a.closing_date_time || a.created_at || 0);
+    const dateB = new Date(b.closing_date_time || b.created_at || 0);
+    return dateB - dateA;
+  })[0];
+};
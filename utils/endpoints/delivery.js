@@ -0,0 +1,194 @@
+/**
+ * Delivery Endpoints
+ * api/delivery_zones.php - delivery zones and the charge added to orders delivered in each
+ * api/riders_management.php - a branch's delivery riders
+ * api/delivery_management.php - delivery orders: rider assignment, delivery status and rider cash settlement
+ */
+
+import { callEndpoint, extractList, unwrapPayload } from './normalize';
+
+/**
+ * @typedef {Object} DeliveryZone
+ * @property {number} zone_id
+ * @property {number} branch_id
+ * @property {string} name
+ * @property {number} charge - Delivery charge for orders in this zone
+ * @property {boolean} is_active
+ */
+
+/**
+ * @typedef {Object} Rider
+ * @property {number} rider_id
+ * @property {number} branch_id
+ * @property {string} name
+ * @property {string} phone
+ * @property {boolean} is_active
+ */
+
+/**
+ * @typedef {Object} DeliveryOrder
+ * @property {number} order_id
+ * @property {string} orderid - Display order number
+ * @property {string} delivery_name
+ * @property {string} delivery_phone
+ * @property {string} delivery_address
+ * @property {number|null} delivery_zone_id
+ * @property {number} delivery_charges
+ * @property {number} grand_total - Amount due from the customer, delivery charge included
+ * @property {number|null} rider_id
+ * @property {string} delivery_status - 'unassigned' | 'assigned' | 'out_for_delivery' | 'delivered' | 'returned'
+ * @property {string} payment_status - 'Paid' when paid before dispatch, otherwise the rider collects cash
+ * @property {number|null} settlement_id - Rider settlement the collected cash was handed in with
+ * @property {string} created_at
+ */
+
+/**
+ * @typedef {Object} RiderSettlement
+ * @property {number} settlement_id
+ * @property {number} rider_id
+ * @property {Array<number>} order_ids - Delivered orders settled
+ * @property {number} expected_amount - Cash the rider collected for those orders
+ * @property {number} amount_received - Cash handed in
+ * @property {number} short_amount - expected_amount - amount_received (0 when nothing is short)
+ * @property {string} created_at
+ */
+
+const ZONES_ENDPOINT = 'api/delivery_zones.php';
+const RIDERS_ENDPOINT = 'api/riders_management.php';
+const DELIVERY_ENDPOINT = 'api/delivery_management.php';
+
+export const deliveryZones = {
+  /**
+   * List a branch's delivery zones
+   * @param {Object} params - { branch_id }
+   * @returns {Promise<Array<DeliveryZone>>}
+   */
+  list: async (params = {}) => {
+    const body = await callEndpoint('POST', ZONES_ENDPOINT, { ...params, action: 'list' });
+    return extractList(body, ['zones']);
+  },
+
+  /**
+   * Create (no zone_id) or update a zone
+   * @param {Object} payload - { zone_id?, branch_id, name, charge, is_active }
+   * @returns {Promise<DeliveryZone>}
+   */
+  save: async (payload) => {
+    const body = await callEndpoint('POST', ZONES_ENDPOINT, {
+      ...payload,
+      action: payload.zone_id ? 'update' : 'create',
+    });
+    return unwrapPayload(body);
+  },
+
+  /**
+   * Delete a zone; orders already placed keep their charge
+   * @param {number} zoneId - Zone ID
+   */
+  remove: async (zoneId) => {
+    await callEndpoint('POST', ZONES_ENDPOINT, { action: 'delete', zone_id: zoneId });
+  },
+};
+
+export const ridersManagement = {
+  /**
+   * List a branch's riders
+   * @param {Object} params - { branch_id }
+   * @returns {Promise<Array<Rider>>}
+   */
+  list: async (params = {}) => {
+    const body = await callEndpoint('POST', RIDERS_ENDPOINT, { ...params, action: 'list' });
+    return extractList(body, ['riders']);
+  },
+
+  /**
+   * Create (no rider_id) or update a rider
+   * @param {Object} payload - { rider_id?, branch_id, name, phone, is_active }
+   * @returns {Promise<Rider>}
+   */
+  save: async (payload) => {
+    const body = await callEndpoint('POST', RIDERS_ENDPOINT, {
+      ...payload,
+      action: payload.rider_id ? 'update' : 'create',
+    });
+    return unwrapPayload(body);
+  },
+
+  /**
+   * Delete a rider
+   * @param {number} riderId - Rider ID
+   * @throws {ApiResponseError} when the rider still holds unsettled cash
+   */
+  remove: async (riderId) => {
+    await callEndpoint('POST', RIDERS_ENDPOINT, { action: 'delete', rider_id: riderId });
+  },
+};
+
+export const deliveryManagement = {
+  /**
+   * List a branch's delivery orders placed since a point in time, plus older ones with unsettled rider cash
+   * @param {Object} params - { branch_id, since: 'YYYY-MM-DD HH:mm:ss' }
+   * @returns {Promise<Array<DeliveryOrder>>}
+   */
+  list: async (params = {}) => {
+    const body = await callEndpoint('POST', DELIVERY_ENDPOINT, { ...params, action: 'list' });
+    return extractList(body, ['deliveries', 'orders']);
+  },
+
+  /**
+   * Assign (or reassign) a rider; an unassigned order moves to 'assigned'
+   * @param {Object} params - { orderId, riderId }
+   * @returns {Promise<DeliveryOrder>}
+   */
+  assignRider: async ({ orderId, riderId }) => {
+    const body = await callEndpoint('POST', DELIVERY_ENDPOINT, {
+      action: 'assign_rider',
+      order_id: orderId,
+      rider_id: Number(riderId),
+    });
+    return unwrapPayload(body);
+  },
+
+  /**
+   * Move an order along its delivery; 'delivered' bills an unpaid order as cash collected by the rider
+   * @param {Object} params - { orderId, status, reason } (reason is kept for 'returned')
+   * @returns {Promise<DeliveryOrder>}
+   * @throws {ApiResponseError} when the move is not allowed from the order's current status
+   */
+  setStatus: async ({ orderId, status, reason = '' }) => {
+    const body = await callEndpoint('POST', DELIVERY_ENDPOINT, {
+      action: 'update_status',
+      order_id: orderId,
+      delivery_status: status,
+      reason,
+    });
+    return unwrapPayload(body);
+  },
+
+  /**
+   * Record the cash a rider handed in for delivered orders
+   * @param {Object} params - { branchId, riderId, orderIds, amountReceived, note }
+   * @returns {Promise<RiderSettlement>}
+   */
+  settle: async ({ branchId, riderId, orderIds, amountReceived, note = '' }) => {
+    const body = await callEndpoint('POST', DELIVERY_ENDPOINT, {
+      action: 'settle',
+      branch_id: branchId,
+      rider_id: Number(riderId),
+      order_ids: orderIds,
+      amount_received: amountReceived,
+      note,
+    });
+    return unwrapPayload(body);
+  },
+
+  /**
+   * List rider settlements recorded since a point in time
+   * @param {Object} params - { branch_id, since: 'YYYY-MM-DD HH:mm:ss' }
+   * @returns {Promise<Array<RiderSettlement>>}
+   */
+  settlements: async (params = {}) => {
+    const body = await callEndpoint('POST', DELIVERY_ENDPOINT, { ...params, action: 'settlements' });
+    return extractList(body, ['settlements']);
+  },
+};
@@ -0,0 +1,61 @@
+/**
+ * Endpoint Errors
+ * Typed errors thrown by the functions in utils/endpoints
+ * Pages can branch on `instanceof` instead of sniffing result.data for messages
+ */
+
+/**
+ * Base class for every endpoint error
+ * @property {string} endpoint - Endpoint that failed (e.g., 'api/get_ordersbyid.php')
+ * @property {number} status - HTTP status (0 when no server answered)
+ * @property {*} data - Raw response body, if any
+ */
+export class ApiError extends Error {
+  constructor(message, { endpoint = '', status = 0, data = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.endpoint = endpoint;
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/**
+ * No API server could be reached (offline, CORS, timeout)
+ */
+export class NetworkError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * The server answered but rejected the request ({ success: false } or HTTP error)
+ */
+export class ApiResponseError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ApiResponseError';
+  }
+}
+
+/**
+ * The server answered successfully but the requested record does not exist
+ */
+export class NotFoundError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * The response could not be normalized into the documented shape
+ */
+export class InvalidResponseError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'InvalidResponseError';
+  }
+}
@@ -0,0 +1,20 @@
+/**
+ * Endpoint Client Layer
+ * One function per PHP endpoint, each returning a single documented shape and throwing typed errors
+ * Prefer these over calling apiGet/apiPost directly from pages
+ */
+
+export * from './errors';
+export { getOrdersById, changeOrderStatus, mergeOrders, splitOrder } from './orders';
+export { billsManagement } from './bills';
+export { getDayend, getLastDayend } from './dayend';
+export { terminalsManagement, pairTerminal } from './terminals';
+export { rolePermissions } from './permissions';
+export { combosManagement } from './combos';
+export { tablesManagement, getHalls } from './tables';
+export { reservationsManagement, waitlistManagement } from './reservations';
+export { customersManagement } from './customers';
+export { deliveryZones, ridersManagement, deliveryManagement } from './delivery';
+export { loyaltyRules, loyaltyLedger } from './loyalty';
+export { getProducts } from './menu';
+export { kitchenOrders, kitchenItemVoids } from './kitchen';
@@ -0,0 +1,99 @@
+/**
+ * Kitchen Endpoints
+ * api/get_kitchen_orders.php - a kitchen's open orders with their items
+ * api/update_kitchen_item_status.php - moves one item along Pending → Preparing → Ready → Completed
+ * api/kitchen_item_void.php - voids or re-fires an item with a reason and lists the wastage log
+ */
+
+import { callEndpoint, extractList, getResponseMessage, unwrapPayload } from './normalize';
+
+/**
+ * @typedef {Object} KitchenOrder
+ * @property {number} order_id
+ * @property {string} order_type
+ * @property {string} table_number
+ * @property {string} hall_name
+ * @property {string} order_status
+ * @property {string} created_at
+ * @property {number} minutes_running - Minutes since the order reached the kitchen, as of the response
+ * @property {string} order_comments
+ * @property {Array<Object>} items - Items for this kitchen (id, dish_name, quantity, status, notes, ...)
+ */
+
+/**
+ * @typedef {Object} KitchenSlipResult
+ * @property {boolean} success - Whether the VOID/REFIRE slip reached the kitchen printer
+ * @property {string} kitchen_name
+ * @property {string} printer_ip
+ * @property {string} message
+ */
+
+export const kitchenOrders = {
+  /**
+   * List a kitchen's orders
+   * @param {Object} params - { kitchen_id, branch_id, terminal }
+   * @returns {Promise<Array<KitchenOrder>>}
+   */
+  list: async (params) => {
+    const body = await callEndpoint('GET', 'api/get_kitchen_orders.php', params);
+    return extractList(body, ['orders']);
+  },
+
+  /**
+   * Set one item's kitchen status
+   * @param {Object} params - { itemId, status, terminal, branchId }
+   * @returns {Promise<*>} API payload
+   */
+  updateItemStatus: async ({ itemId, status, terminal, branchId }) => {
+    // Older API versions read the id and status under different names
+    const body = await callEndpoint('POST', 'api/update_kitchen_item_status.php', {
+      id: itemId,
+      item_id: itemId,
+      order_item_id: itemId,
+      status,
+      kitchen_status: status,
+      terminal,
+      branch_id: branchId,
+    });
+    return unwrapPayload(body);
+  },
+};
+
+const VOID_ENDPOINT = 'api/kitchen_item_void.php';
+
+export const kitchenItemVoids = {
+  /**
+   * Void or re-fire part or all of an item already sent to its kitchen
+   * @param {Object} params - { action: 'void'|'refire', orderId, orderItemId, quantity, reasonCode, note, terminal, branchId }
+   * @returns {Promise<{ message: string, slip: KitchenSlipResult|null }>}
+   */
+  submit: async ({ action, orderId, orderItemId, quantity, reasonCode, note = '', terminal, branchId }) => {
+    const body = await callEndpoint('POST', VOID_ENDPOINT, {
+      action,
+      order_id: orderId,
+      order_item_id: orderItemId,
+      quantity,
+      reason_code: reasonCode,
+      reason_note: note,
+      terminal,
+      branch_id: branchId,
+    });
+    const payload = unwrapPayload(body) || {};
+    return { message: getResponseMessage(body), slip: payload.slip || payload.print || null };
+  },
+
+  /**
+   * Wastage log entries (voids and re-fires) for a date range
+   * @param {Object} params - { startDate, endDate, branchId } dates as YYYY-MM-DD; no branchId = every branch
+   * @returns {Promise<Array<Object>>} Raw entries (see normalizeWastageEntry in utils/itemVoids.js)
+   */
+  wastage: async ({ startDate, endDate, branchId = null }) => {
+    const body = await callEndpoint('POST', VOID_ENDPOINT, {
+      action: 'wastage_report',
+      start_date: startDate,
+      end_date: endDate,
+      ...(branchId ? { branch_id: branchId } : {}),
+    });
+    return extractList(body, ['entries', 'wastage']);
+  },
+};
@@ -0,0 +1,83 @@
+/**
+ * Loyalty Endpoints
+ * api/loyalty_rules.php - the points and stamp-card rules, returned on GET and saved on POST
+ * api/loyalty_ledger.php - a customer's points and stamp balance and the entries that make it up
+ */
+
+import { callEndpoint, extractList, unwrapPayload } from './normalize';
+
+/**
+ * @typedef {Object} LoyaltyRules
+ * @property {boolean} points_enabled
+ * @property {number} spend_per_point - PKR paid to earn one point
+ * @property {number} point_value - PKR off the bill per point redeemed
+ * @property {number} min_redeem_points - Fewest points redeemed at once
+ * @property {number} max_redeem_percent - Most of a bill that points can pay
+ * @property {boolean} stamps_enabled
+ * @property {Array<number>} stamp_dish_ids - Dishes that earn one stamp per unit
+ * @property {number} stamps_per_card - Stamps that fill a card
+ * @property {number} card_reward_value - PKR off the bill per full card redeemed
+ */
+
+/**
+ * @typedef {Object} LoyaltyLedgerEntry
+ * @property {number} entry_id
+ * @property {string} entry_type - 'earn' | 'redeem' | 'adjust'
+ * @property {number} points - Signed: negative when redeemed
+ * @property {number} stamps - Signed: negative when cards are redeemed
+ * @property {number|null} order_id
+ * @property {number} amount - Bill amount earned on, or PKR taken off when redeemed
+ * @property {string} note
+ * @property {string} created_at
+ */
+
+const RULES_ENDPOINT = 'api/loyalty_rules.php';
+const LEDGER_ENDPOINT = 'api/loyalty_ledger.php';
+
+export const loyaltyRules = {
+  /**
+   * Load the loyalty rules (the same for every branch)
+   * @returns {Promise<Object>} Raw rules; {} when none are saved yet
+   */
+  get: async () => {
+    const body = await callEndpoint('GET', RULES_ENDPOINT, {}, { noCache: true });
+    const payload = unwrapPayload(body);
+    const rules = payload?.rules || payload;
+    return rules && typeof rules === 'object' && !Array.isArray(rules) ? rules : {};
+  },
+
+  /**
+   * Save the loyalty rules
+   * @param {LoyaltyRules} rules - Complete rules
+   */
+  save: async (rules) => {
+    await callEndpoint('POST', RULES_ENDPOINT, { ...rules, action: 'save' });
+  },
+};
+
+export const loyaltyLedger = {
+  /**
+   * A customer's balance and most recent ledger entries
+   * @param {Object} params - { customerId, limit }
+   * @returns {Promise<{ balance: Object, entries: Array<LoyaltyLedgerEntry> }>} balance is { points, stamps }
+   */
+  list: async ({ customerId, limit = 50 }) => {
+    const body = await callEndpoint('POST', LEDGER_ENDPOINT, { action: 'list', customer_id: customerId, limit });
+    const payload = unwrapPayload(body) || {};
+    return {
+      balance: payload.balance || {},
+      entries: Array.isArray(payload) ? payload : extractList(payload, ['entries']),
+    };
+  },
+
+  /**
+   * A customer's current balance
+   * @param {number|string} customerId - Customer
+   * @returns {Promise<Object>} { points, stamps }
+   */
+  balance: async (customerId) => {
+    const body = await callEndpoint('POST', LEDGER_ENDPOINT, { action: 'balance', customer_id: customerId });
+    const payload = unwrapPayload(body) || {};
+    return payload.balance || payload;
+  },
+};
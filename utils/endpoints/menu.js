@@ -0,0 +1,18 @@
+/**
+ * Menu Endpoints
+ * api/get_products.php - dishes, for one branch or (without branch_id) every branch
+ */
+
+import { callEndpoint, extractList } from './normalize';
+
+/**
+ * List dishes
+ * @param {Object} params - { terminal, branch_id? }
+ * @returns {Promise<Array<Object>>} Dishes with dish_id and name
+ */
+export const getProducts = async (params = {}) => {
+  const body = await callEndpoint('GET', 'api/get_products.php', params);
+  return extractList(body, ['menu', 'items', 'products'])
+    .map(dish => ({ ...dish, dish_id: dish.dish_id || dish.id, name: dish.name || dish.dish_name || dish.title || '' }))
+    .filter(dish => dish.dish_id);
+};
@@ -0,0 +1,95 @@
+/**
+ * Endpoint Response Helpers
+ * Shared request + unwrapping logic for utils/endpoints
+ * The PHP API returns data as a bare array, { success, data }, { data: { data } } or { bills: [...] } -
+ * these helpers are the one place that knows about all of those shapes
+ */
+
+import { apiGet, apiPost, apiDelete } from '../api';
+import { ApiResponseError, NetworkError } from './errors';
+
+/**
+ * Pick the most useful human-readable message from a response body
+ * @param {*} body - Response body
+ * @returns {string} Message or empty string
+ */
+export const getResponseMessage = (body) => {
+  if (!body || typeof body !== 'object') return '';
+  return body.message || body.error || body.msg || body.details || '';
+};
+
+/**
+ * Call an endpoint and throw a typed error when it fails
+ * @param {'GET'|'POST'|'DELETE'} method - HTTP method
+ * @param {string} endpoint - API endpoint (e.g., 'api/get_dayend.php')
+ * @param {Object} payload - Query params (GET) or body (POST/DELETE)
+ * @param {Object} options - Options passed through to apiGet/apiPost/apiDelete
+ * @returns {Promise<*>} Raw response body
+ */
+export const callEndpoint = async (method, endpoint, payload = {}, options = {}) => {
+  const request = { GET: apiGet, POST: apiPost, DELETE: apiDelete }[method] || apiPost;
+  const result = await request(endpoint, payload, options);
+
+  const body = result.data;
+  const details = { endpoint, status: result.status, data: body };
+
+  if (result.status === 0) {
+    throw new NetworkError(getResponseMessage(body) || 'Cannot connect to server', details);
+  }
+
+  const rejected = body && typeof body === 'object' && !Array.isArray(body) &&
+    (body.success === false || body.status === 'error');
+
+  if (!result.success || rejected) {
+    throw new ApiResponseError(
+      getResponseMessage(body) || `Request to ${endpoint} failed (HTTP ${result.status})`,
+      details
+    );
+  }
+
+  return body;
+};
+
+/**
+ * Strip the { success, data } wrapper if present
+ * @param {*} body - Response body
+ * @returns {*} Inner payload
+ */
+export const unwrapPayload = (body) => {
+  if (body && typeof body === 'object' && !Array.isArray(body) && body.data !== undefined && body.data !== null) {
+    return body.data;
+  }
+  return body;
+};
+
+/**
+ * Extract a list from any of the known response shapes
+ * @param {*} body - Response body
+ * @param {Array<string>} keys - Property names that may hold the list (checked in order)
+ * @returns {Array} List (empty when none found)
+ */
+export const extractList = (body, keys = []) => {
+  if (Array.isArray(body)) return body;
+  if (!body || typeof body !== 'object') return [];
+
+  for (const key of ['data', ...keys]) {
+    const value = body[key];
+    if (Array.isArray(value)) return value;
+    if (value && typeof value === 'object') {
+      const nested = extractList(value, keys);
+      if (nested.length > 0) return nested;
+    }
+  }
+  return [];
+};
+
+/**
+ * Parse a numeric field, treating '', null and NaN as the fallback
+ * @param {*} value - Raw value
+ * @param {number} fallback - Value to use when not numeric
+ * @returns {number}
+ */
+export const toNumber = (value, fallback = 0) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
@@ -0,0 +1,130 @@
+/**
+ * Order Endpoints
+ * api/get_ordersbyid.php, api/chnageorder_status.php, api/order_management.php (merge/split)
+ */
+
+import { callEndpoint, getResponseMessage, unwrapPayload } from './normalize';
+import { ApiResponseError, NotFoundError } from './errors';
+
+/**
+ * @typedef {Object} OrderDetails
+ * @property {Object} order - Order row as returned by the API (order_id, orderid, order_type, table_id, g_total_amount, ...)
+ * @property {Array<Object>} items - Order items (dish_id, dish_name, quantity, price, total_amount, kitchen_status, ...)
+ */
+
+/**
+ * Build the identifiers get_ordersbyid.php / chnageorder_status.php accept
+ * Numeric order_id is preferred; orderid is the "ORD-{number}" string form
+ */
+const buildOrderIdentifiers = (orderId, orderNumber) => {
+  const numericId = orderId || (orderNumber ? parseInt(String(orderNumber).replace(/ORD-?/i, ''), 10) || null : null);
+  const orderid = orderNumber || (numericId ? `ORD-${numericId}` : null);
+  const identifiers = {};
+  if (numericId) identifiers.order_id = numericId;
+  if (orderid) identifiers.orderid = orderid;
+  return identifiers;
+};
+
+/**
+ * Find the order object inside a get_ordersbyid.php payload
+ */
+const extractOrder = (payload) => {
+  if (Array.isArray(payload)) return payload[0] || null;
+  if (!payload || typeof payload !== 'object') return null;
+  if (payload.order_id || payload.id) return payload;
+  if (payload.order) return Array.isArray(payload.order) ? payload.order[0] || null : payload.order;
+
+  // Last resort: first array property holding order rows
+  for (const key of Object.keys(payload)) {
+    const value = payload[key];
+    if (Array.isArray(value) && value.length > 0 && typeof value[0] === 'object') {
+      return value[0];
+    }
+  }
+  return null;
+};
+
+/**
+ * Fetch one order with its items
+ * @param {Object} params - { orderId, orderNumber } (either is enough)
+ * @returns {Promise<OrderDetails>}
+ * @throws {NetworkError|ApiResponseError|NotFoundError}
+ */
+export const getOrdersById = async ({ orderId = null, orderNumber = null } = {}) => {
+  const endpoint = 'api/get_ordersbyid.php';
+  const body = await callEndpoint('POST', endpoint, buildOrderIdentifiers(orderId, orderNumber));
+  const payload = unwrapPayload(body);
+  const order = extractOrder(payload);
+
+  if (!order) {
+    throw new NotFoundError(`Order ${orderNumber || orderId} not found`, { endpoint, status: 200, data: body });
+  }
+
+  const items = [order.items, payload?.items, body?.items].find(Array.isArray) || [];
+  return { order, items };
+};
+
+/**
+ * Change an order's status
+ * @param {Object} params - { orderId, orderNumber, status, extra } - extra fields are sent as-is
+ * @returns {Promise<{ message: string, data: * }>}
+ * @throws {NetworkError|ApiResponseError}
+ */
+export const changeOrderStatus = async ({ orderId = null, orderNumber = null, status, extra = {} }) => {
+  const endpoint = 'api/chnageorder_status.php';
+  // API expects order_status (not legacy "status")
+  const body = await callEndpoint('POST', endpoint, {
+    ...extra,
+    order_status: status,
+    ...buildOrderIdentifiers(orderId, orderNumber),
+  });
+
+  const message = getResponseMessage(body);
+  const isSuccess = body && (
+    body.success === true ||
+    body.status === 'success' ||
+    (message && message.toLowerCase().includes('success'))
+  );
+  if (!isSuccess) {
+    throw new ApiResponseError(message || 'Failed to update order status', { endpoint, status: 200, data: body });
+  }
+
+  return { message, data: unwrapPayload(body) };
+};
+
+/**
+ * Merge other orders into one bill (parties joining at one table)
+ * Items keep their order_item_id and kitchen status; source orders are closed (merged_into_order_id set)
+ * and their tables freed. The backend writes an audit entry for the operation.
+ * @param {Object} params - { targetOrderId, sourceOrderIds, reason }
+ * @returns {Promise<{ message: string, order: Object|null }>} Merged order when the API returns it
+ * @throws {NetworkError|ApiResponseError}
+ */
+export const mergeOrders = async ({ targetOrderId, sourceOrderIds, reason = '' }) => {
+  const body = await callEndpoint('POST', 'api/order_management.php', {
+    action: 'merge',
+    order_id: targetOrderId,
+    source_order_ids: sourceOrderIds,
+    reason,
+  });
+  return { message: getResponseMessage(body), order: extractOrder(unwrapPayload(body)) };
+};
+
+/**
+ * Move some of an order's items to a new order, optionally on another table
+ * Items are moved by order_item_id (partial quantities split the row) so kitchen statuses are kept.
+ * The backend writes an audit entry for the operation.
+ * @param {Object} params - { orderId, items: [{ order_item_id, quantity }], tableId, reason }
+ * @returns {Promise<{ message: string, order: Object|null }>} The new order when the API returns it
+ * @throws {NetworkError|ApiResponseError}
+ */
+export const splitOrder = async ({ orderId, items, tableId = null, reason = '' }) => {
+  const body = await callEndpoint('POST', 'api/order_management.php', {
+    action: 'split',
+    order_id: orderId,
+    items,
+    table_id: tableId,
+    reason,
+  });
+  return { message: getResponseMessage(body), order: extractOrder(unwrapPayload(body)) };
+};
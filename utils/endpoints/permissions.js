@@ -0,0 +1,54 @@
+/**
+ * Role Permission Endpoints
+ * api/role_permissions.php - returns every role's capability list on GET, saves one role's list on POST
+ */
+
+import { callEndpoint, unwrapPayload } from './normalize';
+import { InvalidResponseError } from './errors';
+
+const ROLE_PERMISSIONS_ENDPOINT = 'api/role_permissions.php';
+
+/**
+ * Turn either response shape into { role: [capabilities] }
+ * Accepts { super_admin: [...], ... } or [{ role, capabilities }, ...]
+ */
+const toTemplateMap = (payload) => {
+  if (Array.isArray(payload)) {
+    return Object.fromEntries(payload
+      .filter(row => row && row.role && Array.isArray(row.capabilities))
+      .map(row => [String(row.role), row.capabilities]));
+  }
+  if (payload && typeof payload === 'object') {
+    return Object.fromEntries(Object.entries(payload).filter(([, capabilities]) => Array.isArray(capabilities)));
+  }
+  return null;
+};
+
+export const rolePermissions = {
+  /**
+   * Load all role templates
+   * @returns {Promise<Object<string, Array<string>>>} Role → capability keys (empty when none are saved yet)
+   */
+  list: async () => {
+    const body = await callEndpoint('GET', ROLE_PERMISSIONS_ENDPOINT, {}, { noCache: true });
+    const payload = unwrapPayload(body);
+    const templates = toTemplateMap(payload?.roles || payload);
+    if (!templates) {
+      throw new InvalidResponseError('Role permissions missing from response', {
+        endpoint: ROLE_PERMISSIONS_ENDPOINT,
+        status: 200,
+        data: body,
+      });
+    }
+    return templates;
+  },
+
+  /**
+   * Save one role's capabilities
+   * @param {string} role - Role key (e.g., 'accountant')
+   * @param {Array<string>} capabilities - Capability keys
+   */
+  save: async (role, capabilities) => {
+    await callEndpoint('POST', ROLE_PERMISSIONS_ENDPOINT, { action: 'save', role, capabilities });
+  },
+};
@@ -0,0 +1,134 @@
+/**
+ * Reservation Endpoints
+ * api/reservations_management.php - table bookings: list/create/update/cancel, and seating a booking at a table
+ * api/waitlist_management.php - walk-in waitlist: list/add/remove, and seating a waiting party
+ */
+
+import { callEndpoint, extractList, unwrapPayload } from './normalize';
+
+/**
+ * @typedef {Object} Reservation
+ * @property {number} reservation_id
+ * @property {number} branch_id
+ * @property {string} guest_name
+ * @property {string} phone
+ * @property {number} party_size
+ * @property {string} reservation_date - 'YYYY-MM-DD'
+ * @property {string} reservation_time - 'HH:mm' (start of the slot)
+ * @property {number} duration_minutes - Length of the slot
+ * @property {number|null} hall_id - Preferred hall
+ * @property {number|null} table_id - Table held for the booking (set when seated, optional before)
+ * @property {number|null} customer_id - customer_management.php customer, once known
+ * @property {string} status - 'booked' | 'seated' | 'cancelled' | 'no_show'
+ * @property {string} notes
+ */
+
+/**
+ * @typedef {Object} WaitlistEntry
+ * @property {number} waitlist_id
+ * @property {number} branch_id
+ * @property {string} guest_name
+ * @property {string} phone
+ * @property {number} party_size
+ * @property {number|null} hall_id - Preferred hall
+ * @property {string} status - 'waiting' | 'seated' | 'left'
+ * @property {string} created_at - When the party joined the list
+ */
+
+const RESERVATIONS_ENDPOINT = 'api/reservations_management.php';
+const WAITLIST_ENDPOINT = 'api/waitlist_management.php';
+
+export const reservationsManagement = {
+  /**
+   * List a branch's reservations for one day
+   * @param {Object} params - { branch_id, date: 'YYYY-MM-DD' }
+   * @returns {Promise<Array<Reservation>>}
+   */
+  list: async (params = {}) => {
+    const body = await callEndpoint('POST', RESERVATIONS_ENDPOINT, { ...params, action: 'list' });
+    return extractList(body, ['reservations']);
+  },
+
+  /**
+   * Create (no reservation_id) or update a reservation
+   * @param {Object} payload - Reservation fields
+   * @returns {Promise<Reservation>}
+   * @throws {ApiResponseError} e.g. when the preferred table is already booked for the slot
+   */
+  save: async (payload) => {
+    const body = await callEndpoint('POST', RESERVATIONS_ENDPOINT, {
+      ...payload,
+      action: payload.reservation_id ? 'update' : 'create',
+    });
+    return unwrapPayload(body);
+  },
+
+  /**
+   * Cancel a reservation or mark it a no-show
+   * @param {number} reservationId - Reservation ID
+   * @param {string} status - 'cancelled' | 'no_show'
+   */
+  setStatus: async (reservationId, status) => {
+    await callEndpoint('POST', RESERVATIONS_ENDPOINT, { action: 'update_status', reservation_id: reservationId, status });
+  },
+
+  /**
+   * Seat a reservation: marks it seated and the table running
+   * @param {Object} params - { reservationId, tableId, customerId }
+   * @returns {Promise<Reservation>}
+   */
+  seat: async ({ reservationId, tableId, customerId = null }) => {
+    const body = await callEndpoint('POST', RESERVATIONS_ENDPOINT, {
+      action: 'seat',
+      reservation_id: reservationId,
+      table_id: Number(tableId),
+      customer_id: customerId,
+    });
+    return unwrapPayload(body);
+  },
+};
+
+export const waitlistManagement = {
+  /**
+   * List a branch's waiting parties, oldest first
+   * @param {Object} params - { branch_id }
+   * @returns {Promise<Array<WaitlistEntry>>}
+   */
+  list: async (params = {}) => {
+    const body = await callEndpoint('POST', WAITLIST_ENDPOINT, { ...params, action: 'list' });
+    return extractList(body, ['waitlist']);
+  },
+
+  /**
+   * Add a walk-in party to the list
+   * @param {Object} payload - { branch_id, guest_name, phone, party_size, hall_id }
+   * @returns {Promise<WaitlistEntry>}
+   */
+  add: async (payload) => {
+    const body = await callEndpoint('POST', WAITLIST_ENDPOINT, { ...payload, action: 'add' });
+    return unwrapPayload(body);
+  },
+
+  /**
+   * Take a party off the list without seating it
+   * @param {number} waitlistId - Entry ID
+   */
+  remove: async (waitlistId) => {
+    await callEndpoint('POST', WAITLIST_ENDPOINT, { action: 'update_status', waitlist_id: waitlistId, status: 'left' });
+  },
+
+  /**
+   * Seat a waiting party: marks the entry seated and the table running
+   * @param {Object} params - { waitlistId, tableId, customerId }
+   * @returns {Promise<WaitlistEntry>}
+   */
+  seat: async ({ waitlistId, tableId, customerId = null }) => {
+    const body = await callEndpoint('POST', WAITLIST_ENDPOINT, {
+      action: 'seat',
+      waitlist_id: waitlistId,
+      table_id: Number(tableId),
+      customer_id: customerId,
+    });
+    return unwrapPayload(body);
+  },
+};
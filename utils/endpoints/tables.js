@@ -0,0 +1,77 @@
+/**
+ * Table Endpoints
+ * api/get_halls.php - lists a branch's halls
+ * api/get_tables.php - lists a branch's tables (with floor plan layout and running order)
+ * api/table_management.php - creates/updates tables; `save_layout` stores a hall's floor plan
+ */
+
+import { callEndpoint, extractList, unwrapPayload } from './normalize';
+
+/**
+ * @typedef {Object} FloorTable
+ * @property {number} table_id
+ * @property {string} table_number
+ * @property {number} hall_id
+ * @property {number} capacity - Seats
+ * @property {string} status - 'available' | 'running' | 'reserved' | 'cleaning' | 'maintenance'
+ * @property {string} shape - 'square' | 'round' | 'rectangle'
+ * @property {number|null} pos_x - Left position on the hall plan, % of its width (null = not placed yet)
+ * @property {number|null} pos_y - Top position on the hall plan, % of its height
+ * @property {{ order_id: number, orderid: string, order_status: string, created_at: string, total: number }|null} current_order
+ */
+
+/**
+ * List a branch's halls
+ * @param {Object} params - { terminal, branch_id }
+ * @returns {Promise<Array<{ hall_id: number, name: string }>>}
+ */
+export const getHalls = async (params = {}) => {
+  const body = await callEndpoint('POST', 'api/get_halls.php', params);
+  return extractList(body, ['halls']).map(hall => ({
+    ...hall,
+    hall_id: hall.hall_id || hall.id || hall.HallID,
+    name: hall.name || hall.hall_name || hall.Name || '',
+  }));
+};
+
+export const tablesManagement = {
+  /**
+   * List a branch's tables
+   * @param {Object} params - { terminal, branch_id, hall_id? }
+   * @returns {Promise<Array<FloorTable>>}
+   */
+  list: async (params = {}) => {
+    const body = await callEndpoint('POST', 'api/get_tables.php', params);
+    return extractList(body, ['tables']);
+  },
+
+  /**
+   * Save the positions, shapes and seats of one hall's tables
+   * @param {Object} payload - { branch_id, hall_id, tables: [{ table_id, pos_x, pos_y, shape, capacity }] }
+   * @returns {Promise<*>} API payload
+   */
+  saveLayout: async (payload) => {
+    const body = await callEndpoint('POST', 'api/table_management.php', { ...payload, action: 'save_layout' });
+    return unwrapPayload(body);
+  },
+
+  /**
+   * Change a table's status (e.g. back to 'available' once it has been cleaned)
+   * @param {Object} table - Table with table_id, hall_id, table_number, capacity
+   * @param {string} status - New status
+   * @param {Object} params - { terminal, branch_id }
+   * @returns {Promise<*>} API payload
+   */
+  setStatus: async (table, status, params = {}) => {
+    const body = await callEndpoint('POST', 'api/table_management.php', {
+      ...params,
+      table_id: Number(table.table_id),
+      hall_id: table.hall_id,
+      table_number: table.table_number,
+      capacity: table.capacity,
+      status,
+      action: 'update',
+    });
+    return unwrapPayload(body);
+  },
+};
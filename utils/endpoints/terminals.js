@@ -0,0 +1,101 @@
+/**
+ * Terminal Endpoints
+ * api/terminal_management.php - lists terminals on GET, creates/updates/issues pairing codes on POST, deletes on DELETE
+ * api/pair_terminal.php - binds a browser to a terminal using a one-time pairing code
+ */
+
+import { callEndpoint, extractList, unwrapPayload } from './normalize';
+import { InvalidResponseError } from './errors';
+
+/**
+ * @typedef {Object} Terminal
+ * @property {number} terminal_id
+ * @property {number} terminal_number - Legacy numeric terminal still sent as `terminal` in requests
+ * @property {string} terminal_name - e.g., 'Front Counter'
+ * @property {string} terminal_type - 'counter' | 'waiter_tablet' | 'kitchen_screen'
+ * @property {number} branch_id
+ * @property {string} status - 'Active' | 'Inactive'
+ * @property {string|null} device_id - Browser currently paired to it
+ * @property {string|null} last_seen_at
+ * @property {number} orders_today
+ * @property {number|string} sales_today
+ */
+
+const TERMINAL_ENDPOINT = 'api/terminal_management.php';
+
+export const terminalsManagement = {
+  /**
+   * List terminals, optionally for one branch
+   * @param {Object} params - { branch_id }
+   * @returns {Promise<Array<Terminal>>}
+   */
+  list: async (params = {}) => {
+    // Terminal stats change with every order - always read fresh
+    const body = await callEndpoint('GET', TERMINAL_ENDPOINT, params, { noCache: true });
+    return extractList(body, ['terminals']);
+  },
+
+  /**
+   * Create (no terminal_id) or update a terminal
+   * @param {Object} payload - { terminal_id?, terminal_name, terminal_type, branch_id, status }
+   * @returns {Promise<*>} Saved terminal payload as returned by the API
+   */
+  save: async (payload) => {
+    const body = await callEndpoint('POST', TERMINAL_ENDPOINT, {
+      ...payload,
+      action: payload.terminal_id ? 'update' : 'create',
+    });
+    return unwrapPayload(body);
+  },
+
+  /**
+   * Delete a terminal (also unpairs its device)
+   * @param {number} terminalId - Terminal ID
+   */
+  remove: async (terminalId) => {
+    await callEndpoint('DELETE', TERMINAL_ENDPOINT, { terminal_id: terminalId });
+  },
+
+  /**
+   * Issue a one-time pairing code for a terminal (replaces any previous code and pairing)
+   * @param {number} terminalId - Terminal ID
+   * @returns {Promise<{ pairing_code: string, expires_at: string|null }>}
+   */
+  generatePairingCode: async (terminalId) => {
+    const body = await callEndpoint('POST', TERMINAL_ENDPOINT, {
+      action: 'generate_pairing_code',
+      terminal_id: terminalId,
+    });
+    const payload = unwrapPayload(body);
+    const pairingCode = payload?.pairing_code || body?.pairing_code;
+    if (!pairingCode) {
+      throw new InvalidResponseError('Pairing code missing from response', {
+        endpoint: TERMINAL_ENDPOINT,
+        status: 200,
+        data: body,
+      });
+    }
+    return { pairing_code: String(pairingCode), expires_at: payload?.expires_at || body?.expires_at || null };
+  },
+};
+
+/**
+ * Pair this browser with a terminal
+ * @param {Object} params - { pairingCode, deviceId }
+ * @returns {Promise<Terminal>}
+ * @throws {NetworkError|ApiResponseError|InvalidResponseError}
+ */
+export const pairTerminal = async ({ pairingCode, deviceId }) => {
+  const endpoint = 'api/pair_terminal.php';
+  const body = await callEndpoint('POST', endpoint, {
+    pairing_code: String(pairingCode).trim(),
+    device_id: deviceId,
+    user_agent: typeof navigator !== 'undefined' ? navigator.userAgent : '',
+  });
+  const payload = unwrapPayload(body);
+  const terminal = payload?.terminal || payload;
+  if (!terminal || typeof terminal !== 'object' || !terminal.terminal_id) {
+    throw new InvalidResponseError('Terminal details missing from pairing response', { endpoint, status: 200, data: body });
+  }
+  return terminal;
+};
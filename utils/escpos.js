@@ -0,0 +1,331 @@
+/**
+ * ESC/POS Rendering
+ * Turns receipts into the byte stream thermal printers understand: text styles, alignment, item columns,
+ * QR codes, raster images, the cash drawer kick and the paper cut, for 58mm and 80mm paper.
+ * No imports and no browser APIs: the same receipt and profile always give the same bytes, which
+ * scripts/escpos/check-fixtures.mjs compares against saved fixtures.
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+/**
+ * Paper profiles - characters per line in font A (12 dots wide) and printable dots at 203 dpi
+ * qtyWidth/amountWidth size the item columns; the item name takes what is left
+ */
+export const PAPER_PROFILES = {
+  '58mm': { id: '58mm', label: '58 mm', columns: 32, dots: 384, qtyWidth: 4, amountWidth: 10 },
+  '80mm': { id: '80mm', label: '80 mm', columns: 48, dots: 576, qtyWidth: 5, amountWidth: 12 },
+};
+
+export const DEFAULT_PAPER_PROFILE = '80mm';
+
+const ALIGNMENTS = { left: 0, center: 1, right: 2 };
+
+const QR_ERROR_CORRECTION = { L: 48, M: 49, Q: 50, H: 51 };
+
+// Printers run code page 437; anything else outside ASCII is spelled out or replaced
+const CHARACTER_REPLACEMENTS = {
+  '×': 'x', '·': '-', '–': '-', '—': '-', '•': '*',
+  '‘': "'", '’': "'", '“': '"', '”': '"', '…': '...',
+};
+
+/**
+ * Paper profile for a printer's paper_width setting
+ * @param {string} paperWidth - '58mm' | '80mm'; anything else falls back to 80mm
+ * @returns {Object} Profile from PAPER_PROFILES
+ */
+export const getPaperProfile = (paperWidth) => PAPER_PROFILES[paperWidth] || PAPER_PROFILES[DEFAULT_PAPER_PROFILE];
+
+/**
+ * Text as printer bytes (ASCII; accents stripped, other characters become '?')
+ * @param {string} text - Text
+ * @returns {Array<number>}
+ */
+const encodeText = (text) => {
+  const plain = Array.from(String(text ?? '').normalize('NFKD').replace(/[\u0300-\u036f]/g, ''))
+    .map(char => CHARACTER_REPLACEMENTS[char] || char)
+    .join('');
+  return Array.from(plain, char => {
+    const code = char.charCodeAt(0);
+    return code === LF || (code >= 0x20 && code <= 0x7e) ? code : 0x3f;
+  });
+};
+
+/**
+ * Word-wrap text to a column width, breaking words longer than the width
+ * @param {string} text - Text
+ * @param {number} width - Characters per line
+ * @returns {Array<string>} At least one line
+ */
+const wrapText = (text, width) => {
+  const lines = [];
+  let current = '';
+  String(text ?? '').split(/\s+/).filter(Boolean).forEach(word => {
+    let rest = word;
+    while (rest.length > width) {
+      if (current) lines.push(current);
+      lines.push(rest.slice(0, width));
+      current = '';
+      rest = rest.slice(width);
+    }
+    if (!current) current = rest;
+    else if (current.length + 1 + rest.length <= width) current = `${current} ${rest}`;
+    else {
+      lines.push(current);
+      current = rest;
+    }
+  });
+  if (current || lines.length === 0) lines.push(current);
+  return lines;
+};
+
+const padCell = (text, width, align) => {
+  const gap = Math.max(0, width - text.length);
+  if (align === 'right') return ' '.repeat(gap) + text;
+  if (align === 'center') return ' '.repeat(Math.floor(gap / 2)) + text + ' '.repeat(Math.ceil(gap / 2));
+  return text + ' '.repeat(gap);
+};
+
+/**
+ * Amount with two decimals and thousands separators
+ * Not toLocaleString: the bytes must not depend on the device's locale data
+ * @param {number|string} amount - Amount
+ * @returns {string} e.g. '1,250.00'
+ */
+export const formatReceiptAmount = (amount) => {
+  const value = parseFloat(amount);
+  const [whole, fraction] = Math.abs(Number.isFinite(value) ? value : 0).toFixed(2).split('.');
+  return `${value < 0 ? '-' : ''}${whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',')}.${fraction}`;
+};
+
+/**
+ * Pack an image into 1-bit rows for GS v 0
+ * Dark, opaque pixels print; transparent pixels are paper
+ * @param {{ width: number, height: number, data: Uint8ClampedArray }} pixels - RGBA pixels (ImageData shape)
+ * @param {Object} options - { threshold } luminance 0-255 below which a pixel prints (default 128)
+ * @returns {{ width: number, height: number, bytesPerRow: number, data: Uint8Array }}
+ */
+export const rasterizeImage = ({ width, height, data }, { threshold = 128 } = {}) => {
+  const bytesPerRow = Math.ceil(width / 8);
+  const raster = new Uint8Array(bytesPerRow * height);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const offset = (y * width + x) * 4;
+      // ITU-R BT.601 weights
+      const luminance = (data[offset] * 299 + data[offset + 1] * 587 + data[offset + 2] * 114) / 1000;
+      if (data[offset + 3] >= 128 && luminance < threshold) {
+        raster[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+  return { width, height, bytesPerRow, data: raster };
+};
+
+/**
+ * ESC/POS command builder
+ * Every method appends bytes and returns the builder, so a receipt reads top to bottom:
+ *   new EscPosBuilder('58mm').align('center').bold().line('RECEIPT').bold(false).cut().toBytes()
+ */
+export class EscPosBuilder {
+  /**
+   * @param {string} paperWidth - '58mm' | '80mm'
+   */
+  constructor(paperWidth = DEFAULT_PAPER_PROFILE) {
+    this.profile = getPaperProfile(paperWidth);
+    this.bytes = [];
+    this.initialize();
+  }
+
+  raw(bytes) {
+    for (const byte of bytes) this.bytes.push(byte & 0xff);
+    return this;
+  }
+
+  // ESC @ resets the printer; ESC t 0 selects code page 437
+  initialize() {
+    return this.raw([ESC, 0x40, ESC, 0x74, 0]);
+  }
+
+  align(alignment = 'left') {
+    return this.raw([ESC, 0x61, ALIGNMENTS[alignment] ?? 0]);
+  }
+
+  bold(on = true) {
+    return this.raw([ESC, 0x45, on ? 1 : 0]);
+  }
+
+  underline(on = true) {
+    return this.raw([ESC, 0x2d, on ? 1 : 0]);
+  }
+
+  /**
+   * Character size multiplier, 1-8 each way; double width halves the characters per line
+   */
+  size(width = 1, height = 1) {
+    const clamp = (value) => Math.min(8, Math.max(1, Math.round(value))) - 1;
+    return this.raw([GS, 0x21, (clamp(width) << 4) | clamp(height)]);
+  }
+
+  text(text) {
+    return this.raw(encodeText(text));
+  }
+
+  line(text = '') {
+    return this.text(text).raw([LF]);
+  }
+
+  divider(char = '-') {
+    return this.line(char.repeat(this.profile.columns));
+  }
+
+  /**
+   * One row of fixed-width columns; cells that don't fit wrap onto extra lines
+   * @param {Array<string>} cells - Cell text
+   * @param {Array<Object>} layout - Per cell { width, align }; a cell without width takes the remaining space
+   */
+  columns(cells, layout) {
+    const fixed = layout.reduce((sum, column) => sum + (column.width || 0), 0);
+    const flexible = layout.filter(column => !column.width).length;
+    const spare = this.profile.columns - fixed - (layout.length - 1);
+    const widths = layout.map(column => column.width || Math.max(1, Math.floor(spare / Math.max(1, flexible))));
+    const wrapped = cells.map((cell, index) => wrapText(cell, widths[index]));
+    const rows = Math.max(...wrapped.map(lines => lines.length));
+
+    for (let row = 0; row < rows; row += 1) {
+      this.line(wrapped.map((lines, index) => padCell(lines[row] || '', widths[index], layout[index].align)).join(' ').trimEnd());
+    }
+    return this;
+  }
+
+  itemRow(name, quantity, amount) {
+    return this.columns([name, String(quantity), amount], this.itemLayout());
+  }
+
+  itemLayout() {
+    return [
+      { align: 'left' },
+      { width: this.profile.qtyWidth, align: 'right' },
+      { width: this.profile.amountWidth, align: 'right' },
+    ];
+  }
+
+  /**
+   * Label on the left, value on the right (totals, order details)
+   */
+  pair(label, value) {
+    const valueText = String(value ?? '');
+    return this.columns([label, valueText], [
+      { align: 'left' },
+      { width: Math.min(this.profile.columns - 2, Math.max(valueText.length, this.profile.amountWidth)), align: 'right' },
+    ]);
+  }
+
+  /**
+   * QR code (model 2) printed at the current alignment
+   * @param {string} data - Text to encode
+   * @param {Object} options - { moduleSize 1-16 (dots per module, default 6), errorCorrection 'L'|'M'|'Q'|'H' }
+   */
+  qrCode(data, { moduleSize = 6, errorCorrection = 'M' } = {}) {
+    const payload = encodeText(data);
+    const storeLength = payload.length + 3;
+    return this
+      .raw([GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0])
+      .raw([GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, Math.min(16, Math.max(1, moduleSize))])
+      .raw([GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, QR_ERROR_CORRECTION[errorCorrection] ?? QR_ERROR_CORRECTION.M])
+      .raw([GS, 0x28, 0x6b, storeLength & 0xff, storeLength >> 8, 0x31, 0x50, 0x30, ...payload])
+      .raw([GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30]);
+  }
+
+  /**
+   * Raster image (GS v 0) from rasterizeImage
+   */
+  image({ height, bytesPerRow, data }) {
+    return this.raw([GS, 0x76, 0x30, 0, bytesPerRow & 0xff, bytesPerRow >> 8, height & 0xff, height >> 8]).raw(data);
+  }
+
+  feed(lines = 1) {
+    return this.raw([ESC, 0x64, Math.min(255, Math.max(0, lines))]);
+  }
+
+  /**
+   * Cash drawer kick pulse
+   * @param {number} pin - 0 = connector pin 2 (most drawers), 1 = pin 5
+   */
+  openDrawer(pin = 0) {
+    return this.raw([ESC, 0x70, pin ? 1 : 0, 25, 250]);
+  }
+
+  /**
+   * Feed past the cutter and cut
+   * @param {Object} options - { partial } leave a hinge (default false), { feed } lines before cutting (default 3)
+   */
+  cut({ partial = false, feed = 3 } = {}) {
+    return this.raw([GS, 0x56, partial ? 0x42 : 0x41, feed]);
+  }
+
+  toBytes() {
+    return Uint8Array.from(this.bytes);
+  }
+}
+
+/**
+ * Render a receipt to ESC/POS bytes
+ * @param {Object} receipt - What to print:
+ *   title ('RECEIPT', 'KITCHEN ORDER', 'VOID', ...), header (lines under the logo: branch, address, phone),
+ *   details [{ label, value }] (order no., table, date, cashier), items [{ name, quantity, amount, notes: [] }],
+ *   totals [{ label, amount, emphasis }], payments [{ label, amount }], qr (text), footer (lines)
+ * @param {Object} options - { paperWidth '58mm'|'80mm', logo (from rasterizeImage/loadReceiptLogo; text logo when
+ *   missing), openDrawer (kick the cash drawer), cut (default true) }
+ * @returns {Uint8Array}
+ */
+export const buildReceipt = (receipt, { paperWidth = DEFAULT_PAPER_PROFILE, logo = null, openDrawer = false, cut = true } = {}) => {
+  const printer = new EscPosBuilder(paperWidth).align('center');
+
+  if (logo) {
+    printer.image(logo);
+  } else {
+    // ReceiptLogo's text fallback
+    printer.bold().size(2, 2).line('RESTAURANT').line('KHAS').size().bold(false);
+  }
+  (receipt.header || []).filter(Boolean).forEach(line => printer.line(line));
+
+  if (receipt.title) {
+    printer.feed(1).bold().size(1, 2).line(receipt.title).size().bold(false);
+  }
+
+  printer.align('left').divider();
+  (receipt.details || []).forEach(({ label, value }) => printer.pair(label, value));
+
+  const items = receipt.items || [];
+  if (items.length > 0) {
+    printer.divider().bold().columns(['Item', 'Qty', 'Amount'], printer.itemLayout()).bold(false);
+    items.forEach(item => {
+      printer.itemRow(item.name, item.quantity, item.amount === undefined ? '' : formatReceiptAmount(item.amount));
+      (item.notes || []).filter(Boolean).forEach(note => printer.columns([`+ ${note}`], [{ align: 'left' }]));
+    });
+  }
+
+  const totals = receipt.totals || [];
+  if (totals.length > 0) {
+    printer.divider();
+    totals.forEach(({ label, amount, emphasis }) => {
+      if (emphasis) printer.bold().size(1, 2);
+      printer.pair(label, formatReceiptAmount(amount));
+      if (emphasis) printer.size().bold(false);
+    });
+  }
+
+  (receipt.payments || []).forEach(({ label, amount }) => printer.pair(label, formatReceiptAmount(amount)));
+
+  printer.divider().align('center');
+  if (receipt.qr) {
+    printer.qrCode(receipt.qr).feed(1);
+  }
+  (receipt.footer || []).filter(Boolean).forEach(line => printer.line(line));
+
+  if (openDrawer) printer.openDrawer();
+  if (cut) printer.cut();
+  return printer.toBytes();
+};
@@ -0,0 +1,61 @@
+/**
+ * Event Hub
+ * Fans dashboard events (order_created, order_status_changed, bill_paid, ...) out to every device of a
+ * branch through the server-sent events stream in app/api/events (server-side only)
+ *
+ * Subscribers live in memory, per server instance - like the proxy rate limits. Deployments running
+ * several instances need sticky sessions or a shared broker behind publishEvent.
+ */
+
+// Event types are the UPDATE_EVENTS values of utils/dashboardSync.js
+export const EVENT_TYPE_PATTERN = /^[a-z][a-z_]{0,39}$/;
+
+// Event ids are written into the SSE id field, so only characters that can't break a message are kept
+export const EVENT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Larger payloads are refused; events only need ids and statuses
+export const MAX_EVENT_BYTES = 4096;
+
+// Comment line sent on idle streams so proxies don't close them
+export const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+const subscribers = new Set();
+
+/**
+ * Receive the events of one branch (or of every branch)
+ * @param {number|string|null} branchId - Branch to follow; null follows every branch (super admin)
+ * @param {Function} send - Called with each event
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToEvents = (branchId, send) => {
+  const subscriber = { branchId: branchId === null || branchId === undefined ? null : String(branchId), send };
+  subscribers.add(subscriber);
+  return () => subscribers.delete(subscriber);
+};
+
+/**
+ * Send an event to the subscribers of its branch and to those following every branch
+ * @param {Object} event - { id, type, data, branch_id, timestamp }
+ * @returns {number} Streams the event was sent to
+ */
+export const publishEvent = (event) => {
+  const branchId = event.branch_id === null || event.branch_id === undefined ? null : String(event.branch_id);
+  let delivered = 0;
+  subscribers.forEach(subscriber => {
+    if (subscriber.branchId !== null && subscriber.branchId !== branchId) return;
+    try {
+      subscriber.send(event);
+      delivered++;
+    } catch {
+      // Stream already closed; its abort handler unsubscribes it
+    }
+  });
+  return delivered;
+};
+
+/**
+ * Encode an event as an SSE message
+ * @param {Object} event - Event with an id
+ * @returns {string}
+ */
+export const formatSseMessage = (event) => `id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`;
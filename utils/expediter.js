@@ -0,0 +1,98 @@
+/**
+ * Expediter Utility
+ * The pass sees each order once, with its items grouped by the kitchen cooking them. Tickets come
+ * from every kitchen's get_kitchen_orders.php list and are joined on order_id. An order is ready for
+ * pickup once every item is Ready (or already Completed); marking it served sets the order status.
+ */
+
+import { getBumpableItems, isTicketClosed } from './kds';
+import { VOIDED_ITEM_STATUS } from './itemVoids';
+
+// Order status set when the pass hands the whole order over
+export const SERVED_ORDER_STATUS = 'Served';
+
+// Item statuses that count as done for pickup
+const DONE_ITEM_STATUSES = ['Ready', 'Completed'];
+
+export const PASS_FILTERS = [
+  { id: 'all', label: 'All orders' },
+  { id: 'ready', label: 'Ready for pickup' },
+  { id: 'cooking', label: 'Still cooking' },
+];
+
+// Voided items are shown struck through but never hold an order back
+const getLiveItems = (order) => order.kitchens
+  .flatMap(kitchen => kitchen.items)
+  .filter(item => item.status !== VOIDED_ITEM_STATUS);
+
+/**
+ * Join every kitchen's tickets into one order each
+ * @param {Array<{ kitchen: Object, tickets: Array<Object> }>} kitchenTickets - Normalized tickets (utils/kds.js) per kitchen
+ * @returns {Array<Object>} Orders with kitchens: [{ kitchen_id, title, items }], oldest first
+ */
+export const buildPassOrders = (kitchenTickets) => {
+  const orders = new Map();
+
+  kitchenTickets.forEach(({ kitchen, tickets }) => {
+    tickets.forEach(ticket => {
+      const key = String(ticket.order_id);
+      const order = orders.get(key) || {
+        order_id: ticket.order_id,
+        orderid: ticket.orderid,
+        order_type: ticket.order_type || '',
+        table_number: ticket.table_number || '',
+        hall_name: ticket.hall_name || '',
+        order_status: ticket.order_status || ticket.status || '',
+        order_comments: ticket.order_comments || '',
+        started_at: ticket.started_at,
+        kitchens: [],
+      };
+      order.started_at = Math.min(order.started_at, ticket.started_at);
+      order.kitchens.push({
+        kitchen_id: kitchen.kitchen_id,
+        title: kitchen.title || `Kitchen ${kitchen.kitchen_id}`,
+        items: ticket.items,
+      });
+      orders.set(key, order);
+    });
+  });
+
+  return [...orders.values()].sort((a, b) => a.started_at - b.started_at);
+};
+
+/**
+ * Whether every item of the order is done and at least one is waiting at the pass
+ * @param {Object} order - Pass order from buildPassOrders
+ * @returns {boolean}
+ */
+export const isOrderReady = (order) => {
+  const items = getLiveItems(order);
+  return items.length > 0 &&
+    items.every(item => DONE_ITEM_STATUSES.includes(item.status)) &&
+    items.some(item => item.status === 'Ready');
+};
+
+/**
+ * Whether any kitchen still has an item of the order Pending or Preparing
+ * @param {Object} order - Pass order
+ * @returns {boolean}
+ */
+export const isOrderCooking = (order) => order.kitchens.some(kitchen => getBumpableItems(kitchen).length > 0);
+
+/**
+ * Orders the pass still has to deal with: something cooking or something waiting for pickup
+ * @param {Array<Object>} orders - Pass orders
+ * @returns {Array<Object>}
+ */
+export const getActivePassOrders = (orders) => orders.filter(order => !isTicketClosed(order) &&
+  (isOrderCooking(order) || isOrderReady(order)));
+
+/**
+ * How many of the order's items are done, for the card header
+ * @param {Object} order - Pass order
+ * @returns {{ total: number, ready: number }} ready counts Ready and Completed items
+ */
+export const countOrderItems = (order) => {
+  const items = getLiveItems(order);
+  return { total: items.length, ready: items.filter(item => DONE_ITEM_STATUSES.includes(item.status)).length };
+};
@@ -0,0 +1,118 @@
+/**
+ * Floor Plan Utility
+ * Each table stores where it sits on its hall's floor plan (`pos_x`/`pos_y` as a percentage of the
+ * plan's width/height) and its `shape`; seats are the table's `capacity`. The same layout is used
+ * by the editor on the Tables page and by the live table map in create-order.
+ */
+
+export const TABLE_SHAPES = [
+  { value: 'square', label: 'Square' },
+  { value: 'round', label: 'Round' },
+  { value: 'rectangle', label: 'Rectangle' },
+];
+
+/**
+ * Size and corner classes for a table on the plan
+ * @param {string} shape - TABLE_SHAPES value
+ * @returns {string}
+ */
+export const getShapeClassName = (shape) => {
+  if (shape === 'round') return 'w-20 h-20 rounded-full';
+  if (shape === 'rectangle') return 'w-32 h-20 rounded-lg';
+  return 'w-20 h-20 rounded-lg';
+};
+
+/**
+ * Live status of a table on the map, in the order the legend shows them
+ */
+export const FLOOR_STATUSES = {
+  free: { label: 'Free', className: 'bg-green-50 border-green-400 text-green-800' },
+  occupied: { label: 'Occupied', className: 'bg-red-50 border-red-400 text-red-800' },
+  bill_printed: { label: 'Bill printed', className: 'bg-blue-50 border-blue-400 text-blue-800' },
+  cleaning: { label: 'Needs cleaning', className: 'bg-amber-50 border-amber-400 text-amber-800' },
+  reserved: { label: 'Reserved', className: 'bg-purple-50 border-purple-400 text-purple-800' },
+  unavailable: { label: 'Out of service', className: 'bg-gray-100 border-gray-300 text-gray-500' },
+};
+
+const toPercent = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? Math.min(100, Math.max(0, parsed)) : null;
+};
+
+// Tables that were never placed are laid out in rows so the plan is usable straight away
+const defaultPosition = (index) => ({
+  pos_x: 12 + (index % 5) * 19,
+  pos_y: 15 + Math.floor(index / 5) * 24,
+});
+
+/**
+ * Normalize tables from get_tables.php for the floor plan
+ * @param {Array<Object>} tables - Raw tables (any hall)
+ * @returns {Array<Object>} { table_id, table_number, hall_id, capacity, status, shape, pos_x, pos_y, current_order }
+ */
+export const normalizeFloorTables = (tables) => {
+  const placedPerHall = {};
+  return (Array.isArray(tables) ? tables : [])
+    .map(table => ({
+      ...table,
+      table_id: table.table_id || table.id || table.TableID,
+      table_number: table.table_number || table.table_name || table.number || '',
+      hall_id: table.hall_id || table.HallID || table.hall_ID || null,
+      capacity: parseInt(table.capacity || table.Capacity || 0, 10) || 0,
+      status: (table.status || table.Status || 'available').toString().toLowerCase(),
+      shape: TABLE_SHAPES.some(shape => shape.value === table.shape) ? table.shape : 'square',
+      pos_x: toPercent(table.pos_x),
+      pos_y: toPercent(table.pos_y),
+      current_order: table.current_order || null,
+    }))
+    .filter(table => table.table_id)
+    .map(table => {
+      if (table.pos_x !== null && table.pos_y !== null) return table;
+      const hallKey = String(table.hall_id);
+      placedPerHall[hallKey] = (placedPerHall[hallKey] || 0) + 1;
+      return { ...table, ...defaultPosition(placedPerHall[hallKey] - 1) };
+    });
+};
+
+/**
+ * Work out a table's live status from its own status, its running order and any booking holding it
+ * @param {Object} table - Normalized table (with `reservation` set by applyReservationHolds)
+ * @returns {string} Key of FLOOR_STATUSES
+ */
+export const getFloorStatus = (table) => {
+  const status = table.status || '';
+  const orderStatus = (table.current_order?.order_status || table.current_order?.status || '').toLowerCase();
+  if (status === 'cleaning' || status === 'needs_cleaning') return 'cleaning';
+  if (orderStatus === 'bill generated') return 'bill_printed';
+  if (table.current_order || status === 'running' || status === 'occupied') return 'occupied';
+  if (status === 'reserved' || table.reservation) return 'reserved';
+  if (status === 'maintenance') return 'unavailable';
+  return 'free';
+};
+
+/**
+ * Time since a table's order started, e.g. "45m" or "1h 20m"
+ * @param {string} since - Order created_at
+ * @param {number} now - Current time in ms
+ * @returns {string} Empty string when the time is unknown
+ */
+export const formatElapsed = (since, now = Date.now()) => {
+  const started = since ? new Date(since).getTime() : NaN;
+  if (!Number.isFinite(started)) return '';
+  const minutes = Math.max(0, Math.floor((now - started) / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+/**
+ * Layout fields for tablesManagement.saveLayout
+ * @param {Array<Object>} tables - Tables of one hall as edited on the plan
+ * @returns {Array<Object>} [{ table_id, pos_x, pos_y, shape, capacity }]
+ */
+export const toLayoutPayload = (tables) => tables.map(table => ({
+  table_id: Number(table.table_id),
+  pos_x: Math.round(table.pos_x * 10) / 10,
+  pos_y: Math.round(table.pos_y * 10) / 10,
+  shape: table.shape,
+  capacity: parseInt(table.capacity, 10) || 0,
+}));
@@ -0,0 +1,69 @@
+/**
+ * IndexedDB Helper Utility
+ * Minimal promise wrapper around a single IndexedDB object store
+ * Falls back to no-ops when IndexedDB is unavailable (SSR, private mode)
+ */
+
+/**
+ * Wrap an IDBRequest in a Promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<any>} Request result
+ */
+const promisifyRequest = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Create a key-value style wrapper for one object store
+ * @param {string} dbName - Database name
+ * @param {string} storeName - Object store name
+ * @param {Object} storeOptions - Options passed to createObjectStore (keyPath, autoIncrement)
+ * @returns {Object} Store helpers: getAll, get, put, add, remove, clear, count
+ */
+export const createIdbStore = (dbName, storeName, storeOptions = {}) => {
+  let dbPromise = null;
+
+  const isSupported = () => typeof window !== 'undefined' && typeof window.indexedDB !== 'undefined';
+
+  const openDb = () => {
+    if (!isSupported()) return Promise.resolve(null);
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve) => {
+        const request = window.indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(storeName)) {
+            db.createObjectStore(storeName, storeOptions);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.error(`IndexedDB open failed for ${dbName}:`, request.error);
+          resolve(null);
+        };
+      });
+    }
+    return dbPromise;
+  };
+
+  const withStore = async (mode, run, fallback) => {
+    const db = await openDb();
+    if (!db) return fallback;
+    const tx = db.transaction(storeName, mode);
+    return promisifyRequest(run(tx.objectStore(storeName)));
+  };
+
+  return {
+    isSupported,
+    getAll: () => withStore('readonly', (store) => store.getAll(), []),
+    get: (key) => withStore('readonly', (store) => store.get(key), undefined),
+    put: (value, key) => withStore('readwrite', (store) => (key === undefined ? store.put(value) : store.put(value, key)), null),
+    add: (value) => withStore('readwrite', (store) => store.add(value), null),
+    remove: (key) => withStore('readwrite', (store) => store.delete(key), undefined),
+    clear: () => withStore('readwrite', (store) => store.clear(), undefined),
+    count: () => withStore('readonly', (store) => store.count(), 0),
+  };
+};
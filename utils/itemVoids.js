@@ -0,0 +1,103 @@
+/**
+ * Item Void & Re-fire Utility
+ * Items already sent to a kitchen are never just dropped from an order. A void cancels them and a
+ * re-fire asks the kitchen to cook them again. Both need a reason code, make the backend print a VOID
+ * or REFIRE slip on the item's kitchen printer, and are written to the wastage log.
+ */
+
+export const ITEM_ACTIONS = {
+  void: { label: 'Void', slip: 'VOID', pastTense: 'voided' },
+  refire: { label: 'Re-fire', slip: 'REFIRE', pastTense: 're-fired' },
+};
+
+export const VOID_REASONS = [
+  { code: 'customer_changed_mind', label: 'Customer changed mind' },
+  { code: 'wrong_item', label: 'Wrong item' },
+  { code: 'quality_issue', label: 'Quality issue' },
+];
+
+// Kitchen status of a voided item
+export const VOIDED_ITEM_STATUS = 'Voided';
+
+// How long a voided item keeps its ticket on the KDS so the cook sees the cancellation
+export const VOID_DISPLAY_MS = 5 * 60 * 1000;
+
+/**
+ * Label of a reason code
+ * @param {string} code - Reason code
+ * @returns {string} The code itself when unknown (older log entries)
+ */
+export const getReasonLabel = (code) => VOID_REASONS.find(reason => reason.code === code)?.label || code || '';
+
+/**
+ * Whether the item is already in a kitchen, so removing it needs a void
+ * @param {Object} item - Order item (edit form shape)
+ * @returns {boolean}
+ */
+export const isSentToKitchen = (item) => Boolean(item.order_item_id) && (item.sent_quantity || 0) > 0;
+
+/**
+ * Whether the kitchen is cooking the item again after a re-fire
+ * @param {Object} item - Kitchen item
+ * @returns {boolean}
+ */
+export const isRefired = (item) => (parseInt(item.refire_count, 10) || 0) > 0 && item.status !== VOIDED_ITEM_STATUS;
+
+/**
+ * Check a void or re-fire before sending it
+ * @param {Object} params - { action, reasonCode, quantity, maxQuantity }
+ * @returns {string} Error message, or '' when valid
+ */
+export const validateItemAction = ({ action, reasonCode, quantity, maxQuantity }) => {
+  if (!ITEM_ACTIONS[action]) return 'Choose void or re-fire.';
+  if (!VOID_REASONS.some(reason => reason.code === reasonCode)) return 'A reason is required.';
+  const qty = parseInt(quantity, 10);
+  if (!Number.isFinite(qty) || qty < 1 || qty > maxQuantity) return `Quantity must be between 1 and ${maxQuantity}.`;
+  return '';
+};
+
+/**
+ * Normalize a wastage log entry from kitchen_item_void.php
+ * @param {Object} entry - Raw entry
+ * @returns {Object} Entry with numeric quantity/amount and action 'void' | 'refire'
+ */
+export const normalizeWastageEntry = (entry) => {
+  const quantity = parseInt(entry.quantity, 10) || 0;
+  const price = parseFloat(entry.price) || 0;
+  return {
+    ...entry,
+    entry_id: entry.entry_id || entry.id,
+    action: entry.action === 'refire' ? 'refire' : 'void',
+    orderid: entry.orderid || (entry.order_id ? `ORD-${entry.order_id}` : ''),
+    dish_name: entry.dish_name || entry.name || 'Item',
+    kitchen_name: entry.kitchen_name || entry.kitchen_title || '',
+    quantity,
+    amount: parseFloat(entry.amount) || price * quantity,
+    reason_code: entry.reason_code || '',
+    reason_note: entry.reason_note || entry.note || '',
+    created_by: entry.created_by || entry.username || '',
+  };
+};
+
+/**
+ * Totals for the wastage report
+ * @param {Array<Object>} entries - Normalized entries
+ * @returns {{ voids: Object, refires: Object, byReason: Array<Object>, byDish: Array<Object> }}
+ *   voids/refires are { quantity, amount }; byReason and byDish are sorted by amount, highest first
+ */
+export const summarizeWastage = (entries) => {
+  const add = (totals, entry) => ({ quantity: totals.quantity + entry.quantity, amount: totals.amount + entry.amount });
+  const empty = { quantity: 0, amount: 0 };
+  const group = (keyOf, labelOf) => [...entries.reduce((groups, entry) => {
+    const key = keyOf(entry);
+    const current = groups.get(key) || { key, label: labelOf(entry), ...empty };
+    return groups.set(key, { ...current, ...add(current, entry) });
+  }, new Map()).values()].sort((a, b) => b.amount - a.amount);
+
+  return {
+    voids: entries.filter(entry => entry.action === 'void').reduce(add, empty),
+    refires: entries.filter(entry => entry.action === 'refire').reduce(add, empty),
+    byReason: group(entry => entry.reason_code, entry => getReasonLabel(entry.reason_code)),
+    byDish: group(entry => entry.dish_id || entry.dish_name, entry => entry.dish_name),
+  };
+};
@@ -0,0 +1,156 @@
+/**
+ * Kitchen Display Utility
+ * A KDS ticket is one order's items for one kitchen. It stays on screen while any item is still
+ * Pending or Preparing; bumping it marks them all Ready for the pass. Each ticket runs a timer from
+ * when the order reached the kitchen and changes color past the screen's SLA thresholds.
+ * Voided items stay on their ticket, struck through, for a few minutes so the cook sees the cancellation.
+ */
+
+import { VOID_DISPLAY_MS, VOIDED_ITEM_STATUS } from './itemVoids';
+
+const SLA_KEY = 'kds_sla_minutes';
+
+export const DEFAULT_SLA = { warn_minutes: 10, late_minutes: 20 };
+
+// Statuses that keep a ticket on the KDS
+const OPEN_ITEM_STATUSES = ['Pending', 'Preparing'];
+
+// Orders the kitchen no longer works on
+const CLOSED_ORDER_STATUSES = ['completed', 'complete', 'cancelled', 'served', 'paid'];
+
+export const SLA_LEVELS = {
+  ok: { label: 'On time', className: 'border-green-500 bg-gray-800', headerClassName: 'bg-green-700' },
+  warn: { label: 'Running late', className: 'border-amber-400 bg-gray-800', headerClassName: 'bg-amber-600' },
+  late: { label: 'Over time', className: 'border-red-500 bg-red-950', headerClassName: 'bg-red-700 animate-pulse' },
+};
+
+// Bump bars send plain keys, so every action has a single-key shortcut
+export const KDS_SHORTCUTS = [
+  { keys: ['ArrowLeft', 'ArrowRight'], label: 'Select ticket' },
+  { keys: ['1-9'], label: 'Select ticket by position' },
+  { keys: ['Enter', 'B'], label: 'Bump selected ticket' },
+  { keys: ['P'], label: 'Start preparing selected ticket' },
+  { keys: ['R', 'Backspace'], label: 'Recall last bumped ticket' },
+  { keys: ['Esc'], label: 'Leave KDS' },
+];
+
+/**
+ * Whole minutes, with late never before warn
+ * @param {Object} sla - Raw thresholds
+ * @returns {{ warn_minutes: number, late_minutes: number }}
+ */
+export const normalizeSla = (sla) => {
+  const warn = Math.max(1, parseInt(sla.warn_minutes, 10) || DEFAULT_SLA.warn_minutes);
+  const late = Math.max(warn, parseInt(sla.late_minutes, 10) || DEFAULT_SLA.late_minutes);
+  return { warn_minutes: warn, late_minutes: late };
+};
+
+/**
+ * SLA thresholds saved on this screen
+ * @returns {{ warn_minutes: number, late_minutes: number }}
+ */
+export const getSlaSettings = () => {
+  if (typeof window === 'undefined') return DEFAULT_SLA;
+  try {
+    const stored = JSON.parse(localStorage.getItem(SLA_KEY) || 'null');
+    return stored ? normalizeSla(stored) : DEFAULT_SLA;
+  } catch {
+    return DEFAULT_SLA;
+  }
+};
+
+/**
+ * Save the SLA thresholds for this screen
+ * @param {{ warn_minutes: number, late_minutes: number }} sla - Thresholds in minutes
+ * @returns {{ warn_minutes: number, late_minutes: number }} The saved thresholds
+ */
+export const saveSlaSettings = (sla) => {
+  const normalized = normalizeSla(sla);
+  if (typeof window !== 'undefined') localStorage.setItem(SLA_KEY, JSON.stringify(normalized));
+  return normalized;
+};
+
+/**
+ * Parse 'YYYY-MM-DD HH:mm:ss' (local time) as returned by the API
+ * @param {string} value - Date string
+ * @returns {number|null} Milliseconds, or null when it can't be read
+ */
+const parseSqlDateTime = (value) => {
+  if (!value) return null;
+  const time = new Date(String(value).replace(' ', 'T')).getTime();
+  return Number.isFinite(time) ? time : null;
+};
+
+/**
+ * Normalize an order from get_kitchen_orders.php into a ticket
+ * @param {Object} order - Raw kitchen order
+ * @param {number} fetchedAt - When the response arrived (ms), used when the order has no timestamp
+ * @returns {Object} Ticket with started_at (ms) and normalized items (recently_voided on fresh voids)
+ */
+export const normalizeTicket = (order, fetchedAt) => ({
+  ...order,
+  order_id: order.order_id || order.id,
+  orderid: order.orderid || order.order_number || order.order_id || order.id,
+  started_at: parseSqlDateTime(order.kitchen_sent_at || order.created_at) ??
+    fetchedAt - (parseInt(order.minutes_running, 10) || 0) * 60 * 1000,
+  items: (Array.isArray(order.items) ? order.items : []).map(item => {
+    const status = item.status || item.kitchen_status || 'Pending';
+    const voidedAt = parseSqlDateTime(item.voided_at);
+    return {
+      ...item,
+      id: item.id || item.order_item_id || item.item_id,
+      status,
+      recently_voided: status === VOIDED_ITEM_STATUS && voidedAt !== null && fetchedAt - voidedAt < VOID_DISPLAY_MS,
+    };
+  }),
+});
+
+/**
+ * Whether the ticket's order is finished (served, paid, cancelled, ...)
+ * @param {Object} ticket - Normalized ticket
+ * @returns {boolean}
+ */
+export const isTicketClosed = (ticket) => CLOSED_ORDER_STATUSES.includes((ticket.order_status || ticket.status || '').toLowerCase());
+
+/**
+ * Tickets the KDS shows: open orders with at least one item still to cook or just voided, oldest first
+ * @param {Array<Object>} tickets - Normalized tickets
+ * @returns {Array<Object>}
+ */
+export const getOpenTickets = (tickets) => tickets
+  .filter(ticket => !isTicketClosed(ticket))
+  .filter(ticket => ticket.items.some(item => OPEN_ITEM_STATUSES.includes(item.status) || item.recently_voided))
+  .sort((a, b) => a.started_at - b.started_at);
+
+/**
+ * Items a bump marks Ready
+ * @param {Object} ticket - Normalized ticket
+ * @returns {Array<Object>}
+ */
+export const getBumpableItems = (ticket) => ticket.items.filter(item => OPEN_ITEM_STATUSES.includes(item.status));
+
+/**
+ * How late a ticket is against the SLA
+ * @param {number} elapsedMs - Time since the ticket started
+ * @param {{ warn_minutes: number, late_minutes: number }} sla - Thresholds
+ * @returns {'ok'|'warn'|'late'}
+ */
+export const getSlaLevel = (elapsedMs, sla) => {
+  const minutes = elapsedMs / 60000;
+  if (minutes >= sla.late_minutes) return 'late';
+  if (minutes >= sla.warn_minutes) return 'warn';
+  return 'ok';
+};
+
+/**
+ * Ticket timer text, e.g. '4:07' or '1:12:30'
+ * @param {number} elapsedMs - Time since the ticket started
+ * @returns {string}
+ */
+export const formatElapsed = (elapsedMs) => {
+  const totalSeconds = Math.max(0, Math.floor(elapsedMs / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+};
@@ -63,12 +63,13 @@ class Logger {
 
   /**
    * Log API response
+   * requestId is the proxy's X-Request-Id, matching the PHP-side logs
    */
-  logAPIResponse(endpoint, response, status = null) {
+  logAPIResponse(endpoint, response, status = null, requestId = null) {
     return this.addLog(
       'api',
-      `Response from ${endpoint}`,
-      { endpoint, response, status },
+      `Response from ${endpoint}${requestId ? ` [${requestId}]` : ''}`,
+      { endpoint, response, status, requestId },
       `API Response: ${endpoint}`
     );
   }
@@ -0,0 +1,218 @@
+/**
+ * Loyalty Utility
+ * Customers earn points per PKR paid and a stamp for every unit of a stamp dish (e.g. chai). Points
+ * and full stamp cards are redeemed as a discount on the bill when it is paid. The backend keeps the
+ * ledger; these helpers work out what the Pay Bill modal offers and what it sends.
+ */
+
+import { computeBillBreakdown, isDineInOrderType } from './billTotals';
+
+export const DEFAULT_LOYALTY_RULES = {
+  points_enabled: false,
+  spend_per_point: 100,
+  point_value: 1,
+  min_redeem_points: 100,
+  max_redeem_percent: 50,
+  stamps_enabled: false,
+  stamp_dish_ids: [],
+  stamps_per_card: 10,
+  card_reward_value: 0,
+};
+
+export const LEDGER_ENTRY_TYPES = {
+  earn: { label: 'Earned', className: 'bg-green-100 text-green-800' },
+  redeem: { label: 'Redeemed', className: 'bg-orange-100 text-orange-800' },
+  adjust: { label: 'Adjusted', className: 'bg-gray-100 text-gray-700' },
+};
+
+const toFlag = (value, fallback) => (value === undefined || value === null ? fallback : Boolean(Number(value)));
+const toAmount = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+/**
+ * Normalize the rules from loyalty_rules.php, filling in defaults for anything not saved yet
+ * @param {Object} rules - Raw rules
+ * @returns {Object}
+ */
+export const normalizeLoyaltyRules = (rules = {}) => ({
+  points_enabled: toFlag(rules.points_enabled, DEFAULT_LOYALTY_RULES.points_enabled),
+  spend_per_point: toAmount(rules.spend_per_point, DEFAULT_LOYALTY_RULES.spend_per_point) || DEFAULT_LOYALTY_RULES.spend_per_point,
+  point_value: toAmount(rules.point_value, DEFAULT_LOYALTY_RULES.point_value),
+  min_redeem_points: Math.floor(toAmount(rules.min_redeem_points, DEFAULT_LOYALTY_RULES.min_redeem_points)),
+  max_redeem_percent: Math.min(100, toAmount(rules.max_redeem_percent, DEFAULT_LOYALTY_RULES.max_redeem_percent)),
+  stamps_enabled: toFlag(rules.stamps_enabled, DEFAULT_LOYALTY_RULES.stamps_enabled),
+  stamp_dish_ids: (Array.isArray(rules.stamp_dish_ids) ? rules.stamp_dish_ids : []).map(Number).filter(Boolean),
+  stamps_per_card: Math.floor(toAmount(rules.stamps_per_card, DEFAULT_LOYALTY_RULES.stamps_per_card)) || DEFAULT_LOYALTY_RULES.stamps_per_card,
+  card_reward_value: toAmount(rules.card_reward_value, DEFAULT_LOYALTY_RULES.card_reward_value),
+});
+
+/**
+ * Whether customers can earn anything at all
+ * @param {Object} rules - Normalized rules
+ * @returns {boolean}
+ */
+export const isLoyaltyEnabled = (rules) => rules.points_enabled || rules.stamps_enabled;
+
+/**
+ * Normalize a balance from loyalty_ledger.php
+ * @param {Object} balance - Raw balance
+ * @returns {{ points: number, stamps: number }}
+ */
+export const normalizeLoyaltyBalance = (balance = {}) => ({
+  points: Math.floor(parseFloat(balance.points ?? balance.loyalty_points ?? 0) || 0),
+  stamps: Math.floor(parseFloat(balance.stamps ?? balance.loyalty_stamps ?? 0) || 0),
+});
+
+/**
+ * Normalize a ledger entry from loyalty_ledger.php
+ * @param {Object} entry - Raw entry
+ * @returns {Object}
+ */
+export const normalizeLedgerEntry = (entry) => {
+  const type = (entry.entry_type || entry.type || '').toLowerCase();
+  return {
+    ...entry,
+    entry_id: entry.entry_id || entry.id,
+    entry_type: LEDGER_ENTRY_TYPES[type] ? type : 'adjust',
+    points: parseInt(entry.points || 0, 10) || 0,
+    stamps: parseInt(entry.stamps || 0, 10) || 0,
+    amount: parseFloat(entry.amount || 0) || 0,
+    note: entry.note || '',
+  };
+};
+
+/**
+ * Points a paid amount earns
+ * @param {Object} rules - Normalized rules
+ * @param {number} amountPaid - What the customer paid (after discounts and redemption)
+ * @returns {number}
+ */
+export const getPointsEarned = (rules, amountPaid) => (
+  rules.points_enabled ? Math.floor(Math.max(0, amountPaid) / rules.spend_per_point) : 0
+);
+
+/**
+ * Stamps the items on a bill earn
+ * @param {Object} rules - Normalized rules
+ * @param {Array<Object>} items - Bill items with dish_id and quantity
+ * @returns {number}
+ */
+export const getStampsEarned = (rules, items = []) => {
+  if (!rules.stamps_enabled) return 0;
+  return items
+    .filter(item => rules.stamp_dish_ids.includes(Number(item.dish_id)))
+    .reduce((sum, item) => sum + (parseInt(item.quantity || item.qty || 1, 10) || 0), 0);
+};
+
+/**
+ * Most points that can go towards a bill: the balance, limited by the share of the bill points may pay
+ * @param {Object} rules - Normalized rules
+ * @param {{ points: number }} balance - Customer's balance
+ * @param {number} billTotal - Bill total before any redemption
+ * @returns {number} 0 when the customer has fewer than the minimum
+ */
+export const getRedeemablePoints = (rules, balance, billTotal) => {
+  if (!rules.points_enabled || rules.point_value <= 0 || balance.points < rules.min_redeem_points) return 0;
+  const byBill = Math.floor((billTotal * rules.max_redeem_percent) / 100 / rules.point_value);
+  return Math.max(0, Math.min(balance.points, byBill));
+};
+
+/**
+ * Full stamp cards the customer can redeem
+ * @param {Object} rules - Normalized rules
+ * @param {{ stamps: number }} balance - Customer's balance
+ * @returns {number}
+ */
+export const getRedeemableCards = (rules, balance) => (
+  rules.stamps_enabled && rules.card_reward_value > 0 ? Math.floor(balance.stamps / rules.stamps_per_card) : 0
+);
+
+/**
+ * PKR taken off the bill for a redemption
+ * @param {Object} rules - Normalized rules
+ * @param {{ points: number, stampCards: number }} redemption - Points and cards being redeemed
+ * @returns {number}
+ */
+export const getRedemptionValue = (rules, { points = 0, stampCards = 0 }) => (
+  points * rules.point_value + stampCards * rules.card_reward_value
+);
+
+/**
+ * Attach a loyalty customer and redemption to a generated bill, re-working its total through
+ * computeBillBreakdown. Passing null detaches the customer and restores the original total.
+ * @param {Object} bill - Generated bill (subtotal, discount_amount, service_charge, grand_total, order_type)
+ * @param {Object|null} redemption - { customerId, customerName, points, stampCards, amount }
+ * @returns {Object} Updated bill
+ */
+export const applyLoyaltyToBill = (bill, redemption) => {
+  const grandTotalBefore = bill.grand_total_before_loyalty ?? parseFloat(bill.grand_total || 0);
+  const withoutRedemption = {
+    ...bill,
+    grand_total: grandTotalBefore,
+    grand_total_before_loyalty: grandTotalBefore,
+    loyalty_points_redeemed: 0,
+    loyalty_stamp_cards_redeemed: 0,
+    loyalty_discount: 0,
+  };
+  if (!redemption) return { ...withoutRedemption, loyalty_customer_id: null, loyalty_customer_name: '' };
+  if (!(redemption.amount > 0)) {
+    return { ...withoutRedemption, loyalty_customer_id: redemption.customerId, loyalty_customer_name: redemption.customerName || '' };
+  }
+
+  // The bill stores its discount as an amount; turn it back into the percentage computeBillBreakdown takes
+  const subtotal = parseFloat(bill.subtotal || 0);
+  const serviceCharge = parseFloat(bill.service_charge || 0);
+  const discountAmount = parseFloat(bill.discount_amount || 0);
+  const discountBase = isDineInOrderType(bill.order_type) ? subtotal : subtotal + serviceCharge;
+  const discountPercent = discountBase > 0 ? (discountAmount / discountBase) * 100 : 0;
+  const breakdown = computeBillBreakdown(bill.order_type, subtotal, discountPercent, serviceCharge, null, redemption.amount);
+
+  return {
+    ...withoutRedemption,
+    grand_total: breakdown.grandTotal,
+    loyalty_customer_id: redemption.customerId,
+    loyalty_customer_name: redemption.customerName || '',
+    loyalty_points_redeemed: redemption.points,
+    loyalty_stamp_cards_redeemed: redemption.stampCards,
+    loyalty_discount: breakdown.loyaltyDiscount,
+  };
+};
+
+/**
+ * Loyalty fields sent when a bill is paid, so the backend records the redemption and what the bill earns
+ * @param {Object} bill - Generated bill
+ * @returns {Object} Empty when no loyalty customer is attached
+ */
+export const toLoyaltyPayload = (bill) => {
+  if (!bill?.loyalty_customer_id) return {};
+  return {
+    loyalty_customer_id: Number(bill.loyalty_customer_id),
+    loyalty_points_redeemed: bill.loyalty_points_redeemed || 0,
+    loyalty_stamp_cards_redeemed: bill.loyalty_stamp_cards_redeemed || 0,
+    loyalty_discount: bill.loyalty_discount || 0,
+  };
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * What a bill redeemed, e.g. '120 points + 1 stamp card'
+ * @param {Object} bill - Bill with loyalty_points_redeemed and loyalty_stamp_cards_redeemed
+ * @returns {string}
+ */
+export const describeRedemption = (bill) => [
+  bill.loyalty_points_redeemed > 0 && plural(bill.loyalty_points_redeemed, 'point'),
+  bill.loyalty_stamp_cards_redeemed > 0 && plural(bill.loyalty_stamp_cards_redeemed, 'stamp card'),
+].filter(Boolean).join(' + ');
+
+/**
+ * Balance line for the receipt footer, e.g. '340 points · 7 stamps'
+ * @param {{ points: number, stamps: number }} balance - Normalized balance
+ * @returns {string}
+ */
+export const describeBalance = (balance) => [
+  plural(balance.points, 'point'),
+  balance.stamps > 0 && plural(balance.stamps, 'stamp'),
+].filter(Boolean).join(' · ');
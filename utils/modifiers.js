@@ -0,0 +1,254 @@
+/**
+ * Dish Modifier Utility
+ * Modifier groups (size, sugar level, add-ons) are stored on each dish as `modifier_groups`
+ * and picked when the dish is added to the cart. A cart line is one dish + one modifier choice,
+ * so "Karak chai - less sugar" and "Karak chai - extra elaichi" are separate lines.
+ */
+
+/**
+ * How many options a customer may pick from a group
+ */
+export const MODIFIER_SELECTION_TYPES = [
+  { value: 'single', label: 'Pick one' },
+  { value: 'multiple', label: 'Pick any' },
+];
+
+const toPrice = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+/**
+ * Normalize one modifier group from the API or the menu form
+ * @param {Object} group - Raw group
+ * @param {number} index - Position (used for generated IDs)
+ * @returns {Object|null} { group_id, name, selection, required, max_select, options: [{ option_id, name, price_delta }] }
+ */
+const normalizeGroup = (group, index) => {
+  if (!group || typeof group !== 'object') return null;
+  const name = String(group.name || group.group_name || '').trim();
+  const rawOptions = Array.isArray(group.options) ? group.options : [];
+  const options = rawOptions
+    .map((option, optionIndex) => {
+      const optionName = String(option?.name || option?.option_name || '').trim();
+      if (!optionName) return null;
+      return {
+        option_id: option.option_id ?? option.id ?? `${index}-${optionIndex}`,
+        name: optionName,
+        price_delta: toPrice(option.price_delta ?? option.price),
+      };
+    })
+    .filter(Boolean);
+  if (!name || options.length === 0) return null;
+
+  const selection = group.selection === 'multiple' || group.multiple === true ? 'multiple' : 'single';
+  const maxSelect = parseInt(group.max_select, 10);
+  return {
+    group_id: group.group_id ?? group.id ?? `g${index}`,
+    name,
+    selection,
+    required: group.required === true || group.required === 1 || group.required === '1',
+    max_select: selection === 'multiple' && maxSelect > 0 ? maxSelect : null,
+    options,
+  };
+};
+
+/**
+ * Get a dish's modifier groups (the API may send them as an array or a JSON string)
+ * @param {Object} dish - Dish from get_products.php / dishes_management.php
+ * @returns {Array<Object>} Normalized groups (empty when the dish has none)
+ */
+export const getDishModifierGroups = (dish) => {
+  let groups = dish?.modifier_groups;
+  if (typeof groups === 'string') {
+    try {
+      groups = JSON.parse(groups);
+    } catch {
+      groups = [];
+    }
+  }
+  return Array.isArray(groups) ? groups.map(normalizeGroup).filter(Boolean) : [];
+};
+
+/**
+ * Check a modifier selection against the dish's groups
+ * @param {Array<Object>} groups - Normalized groups
+ * @param {Object<string, Array>} selection - group_id → selected option_ids
+ * @returns {string} Error message, or '' when valid
+ */
+export const validateModifierSelection = (groups, selection) => {
+  for (const group of groups) {
+    const picked = selection[group.group_id] || [];
+    if (group.required && picked.length === 0) {
+      return `Please choose ${group.name}`;
+    }
+    if (group.max_select && picked.length > group.max_select) {
+      return `Choose at most ${group.max_select} for ${group.name}`;
+    }
+  }
+  return '';
+};
+
+/**
+ * Turn a picker selection into the modifiers stored on the cart line
+ * @param {Array<Object>} groups - Normalized groups
+ * @param {Object<string, Array>} selection - group_id → selected option_ids
+ * @returns {Array<Object>} [{ group_id, group_name, option_id, option_name, price_delta }] in menu order
+ */
+export const buildSelectedModifiers = (groups, selection) => groups.flatMap(group =>
+  group.options
+    .filter(option => (selection[group.group_id] || []).includes(option.option_id))
+    .map(option => ({
+      group_id: group.group_id,
+      group_name: group.name,
+      option_id: option.option_id,
+      option_name: option.name,
+      price_delta: option.price_delta,
+    }))
+);
+
+/**
+ * Sum of the price deltas of a line's modifiers (per unit)
+ * @param {Array<Object>} modifiers - Selected modifiers
+ * @returns {number}
+ */
+export const getModifiersPriceDelta = (modifiers) =>
+  (Array.isArray(modifiers) ? modifiers : []).reduce((sum, modifier) => sum + toPrice(modifier.price_delta), 0);
+
+/**
+ * Short text for a line's modifiers, e.g. "Large, Less sugar, Extra elaichi (+50)"
+ * @param {Array<Object>} modifiers - Selected modifiers (cart or order item shape)
+ * @returns {string} Empty string when there are none
+ */
+export const formatModifierSummary = (modifiers) => {
+  if (!Array.isArray(modifiers) || modifiers.length === 0) return '';
+  return modifiers
+    .map(modifier => {
+      const name = modifier.option_name || modifier.name || '';
+      const delta = toPrice(modifier.price_delta);
+      return delta ? `${name} (${delta > 0 ? '+' : ''}${delta})` : name;
+    })
+    .filter(Boolean)
+    .join(', ');
+};
+
+/**
+ * Read the modifiers of an order item returned by the API (array or JSON string)
+ * @param {Object} item - Order item
+ * @returns {Array<Object>}
+ */
+export const getItemModifiers = (item) => {
+  let modifiers = item?.modifiers;
+  if (typeof modifiers === 'string') {
+    try {
+      modifiers = JSON.parse(modifiers);
+    } catch {
+      modifiers = [];
+    }
+  }
+  return Array.isArray(modifiers) ? modifiers : [];
+};
+
+/**
+ * Short text for the modifier breakdown of a menu-sales row, e.g. "Large ×12, Extra cheese ×5"
+ * @param {Array<Object>} modifiers - [{ option_name, quantity, revenue }] from get_menu_sales.php
+ * @returns {string} Empty string when the dish sold without modifiers
+ */
+export const formatModifierSales = (modifiers) => (Array.isArray(modifiers) ? modifiers : [])
+  .map(modifier => {
+    const name = modifier.option_name || modifier.name || '';
+    const quantity = parseInt(modifier.quantity ?? modifier.quantity_sold ?? 0, 10) || 0;
+    return name ? `${name} ×${quantity}` : '';
+  })
+  .filter(Boolean)
+  .join(', ');
+
+/**
+ * Key of a cart line: the dish plus its modifier choice, so identical picks stack on one line
+ * @param {number|string} dishId - Dish ID
+ * @param {Array<Object>} modifiers - Selected modifiers
+ * @returns {string}
+ */
+export const getLineKey = (dishId, modifiers = []) => {
+  const optionKey = modifiers.map(modifier => `${modifier.group_id}:${modifier.option_id}`).sort().join('|');
+  return optionKey ? `${dishId}#${optionKey}` : String(dishId);
+};
+
+/**
+ * Build a cart line for a dish with the chosen modifiers
+ * `price` is the unit price including modifiers so receipts and totals that read item.price stay right;
+ * `base_price` keeps the dish price on its own
+ * @param {Object} dish - Dish
+ * @param {Array<Object>} modifiers - Selected modifiers
+ * @returns {Object} Cart line with quantity 1
+ */
+export const createCartLine = (dish, modifiers = []) => {
+  const basePrice = toPrice(dish.base_price ?? dish.price);
+  return {
+    ...dish,
+    line_key: getLineKey(dish.dish_id, modifiers),
+    base_price: basePrice,
+    modifiers,
+    price: basePrice + getModifiersPriceDelta(modifiers),
+    quantity: 1,
+  };
+};
+
+/**
+ * Cart subtotal with modifier price deltas
+ * @param {Array<Object>} cart - Cart lines
+ * @returns {number}
+ */
+export const calculateCartSubtotal = (cart) => cart.reduce((sum, item) => {
+  const unitPrice = item.base_price !== undefined
+    ? toPrice(item.base_price) + getModifiersPriceDelta(item.modifiers)
+    : toPrice(item.price);
+  return sum + unitPrice * item.quantity;
+}, 0);
+
+/**
+ * Order item payload for create_order_with_kitchen.php
+ * Combo lines (see utils/combos.js) send combo_id and their components instead of a dish_id
+ * @param {Object} item - Cart line
+ * @returns {Object} { dish_id, price, quantity, base_price, modifiers, combo_id?, components? }
+ */
+export const toOrderItemPayload = (item) => {
+  const payload = {
+    dish_id: item.dish_id,
+    price: item.price,
+    quantity: item.quantity,
+    base_price: item.base_price ?? item.price,
+    modifiers: (item.modifiers || []).map(({ group_id, group_name, option_id, option_name, price_delta }) => ({
+      group_id,
+      group_name,
+      option_id,
+      option_name,
+      price_delta,
+    })),
+  };
+  if (!item.combo_id) return payload;
+  return {
+    ...payload,
+    dish_id: null,
+    combo_id: item.combo_id,
+    components: (item.components || []).map(({ dish_id, quantity, slot_name }) => ({ dish_id, quantity, slot_name })),
+  };
+};
+
+// IDs issued by the backend are integers; anything else was generated here for a group/option not saved yet
+const toBackendId = (id) => (/^\d+$/.test(String(id ?? '')) ? Number(id) : null);
+
+/**
+ * Clean the menu form's modifier groups for dishes_management.php
+ * Drops blank options and groups without options; new groups/options are sent without an ID
+ * @param {Array<Object>} groups - Groups from ModifierGroupsEditor
+ * @returns {Array<Object>}
+ */
+export const toModifierGroupsPayload = (groups) => (Array.isArray(groups) ? groups : [])
+  .map(normalizeGroup)
+  .filter(Boolean)
+  .map(group => ({
+    ...group,
+    group_id: toBackendId(group.group_id),
+    options: group.options.map(option => ({ ...option, option_id: toBackendId(option.option_id) })),
+  }));
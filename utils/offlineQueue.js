@@ -0,0 +1,241 @@
+/**
+ * Offline Request Queue
+ * Persists mutating API requests that failed because no server was reachable
+ * Requests are stored in IndexedDB and replayed in order (oldest first) once the API is back
+ * Requests the server rejects on replay stay in the queue as failed until staff retry or discard them
+ */
+
+import { createIdbStore } from './indexedDb';
+import logger from './logger';
+
+const QUEUE_DB_NAME = 'chaikhas_offline_queue';
+const QUEUE_STORE_NAME = 'requests';
+const QUEUE_CHANNEL_NAME = 'chaikhas_offline_queue';
+
+// Entry states; entries saved before states existed have none and count as pending
+export const QUEUE_ENTRY_STATUS = {
+  PENDING: 'pending',
+  FAILED: 'failed',
+};
+
+const isFailed = (entry) => entry.status === QUEUE_ENTRY_STATUS.FAILED;
+
+/**
+ * Endpoints whose failed requests are queued instead of surfaced as errors.
+ * Only requests that create data belong here - reads (get_*.php) must never be queued.
+ */
+export const OFFLINE_QUEUEABLE_ENDPOINTS = [
+  'api/create_order_with_kitchen.php',
+];
+
+/**
+ * Check whether a resolved endpoint should be queued when offline
+ * @param {string} endpoint - Resolved endpoint (e.g., 'api/create_order_with_kitchen.php')
+ * @returns {boolean}
+ */
+export const isOfflineQueueable = (endpoint) => OFFLINE_QUEUEABLE_ENDPOINTS.includes(endpoint);
+
+/**
+ * Generate a client-side idempotency key so the backend can ignore duplicate replays
+ * @returns {string} Unique key
+ */
+export const createIdempotencyKey = () => {
+  if (typeof window !== 'undefined' && window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}-${Math.random().toString(16).slice(2)}`;
+};
+
+class OfflineQueue {
+  constructor() {
+    this.store = createIdbStore(QUEUE_DB_NAME, QUEUE_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+    this.pendingCount = 0;
+    this.failedCount = 0;
+    this.listeners = new Set();
+    this.replaying = false;
+    this.channel = null;
+
+    if (typeof window !== 'undefined') {
+      // Keep the pending badge in sync when another tab queues or replays requests
+      if (typeof BroadcastChannel !== 'undefined') {
+        this.channel = new BroadcastChannel(QUEUE_CHANNEL_NAME);
+        this.channel.onmessage = () => this.refreshCount(false);
+      }
+      this.refreshCount(false);
+    }
+  }
+
+  /**
+   * Subscribe to count updates - callback(pendingCount, failedCount)
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Notify listeners (and optionally other tabs) of a count change
+   */
+  notify(broadcast = true) {
+    this.listeners.forEach(callback => callback(this.pendingCount, this.failedCount));
+    if (broadcast && this.channel) {
+      this.channel.postMessage({ type: 'changed', count: this.pendingCount, failed: this.failedCount });
+    }
+  }
+
+  /**
+   * Re-read the pending and failed counts from IndexedDB
+   */
+  async refreshCount(broadcast = true) {
+    try {
+      const entries = await this.store.getAll();
+      this.failedCount = entries.filter(isFailed).length;
+      this.pendingCount = entries.length - this.failedCount;
+    } catch (error) {
+      console.error('Error reading offline queue count:', error);
+    }
+    this.notify(broadcast);
+    return this.pendingCount;
+  }
+
+  /**
+   * Get number of requests waiting to be synced
+   */
+  getPendingCount() {
+    return this.pendingCount;
+  }
+
+  /**
+   * Get number of requests the server rejected on replay
+   */
+  getFailedCount() {
+    return this.failedCount;
+  }
+
+  /**
+   * Get all queued requests, oldest first
+   */
+  async getAll() {
+    return this.store.getAll();
+  }
+
+  /**
+   * Get the requests the server rejected, oldest first
+   */
+  async getFailed() {
+    return (await this.store.getAll()).filter(isFailed);
+  }
+
+  /**
+   * Put a rejected request back in line; it goes out with the next replay
+   * @param {number} id - Entry id
+   */
+  async retry(id) {
+    const entry = await this.store.get(id);
+    if (!entry) return;
+    await this.store.put({ ...entry, status: QUEUE_ENTRY_STATUS.PENDING });
+    await this.refreshCount();
+  }
+
+  /**
+   * Drop a rejected request for good
+   * @param {number} id - Entry id
+   */
+  async discard(id) {
+    const entry = await this.store.get(id);
+    await this.store.remove(id);
+    if (entry) {
+      logger.warning(`Discarded queued request ${entry.endpoint}`, { idempotencyKey: entry.idempotencyKey, body: entry.body });
+    }
+    await this.refreshCount();
+  }
+
+  /**
+   * Store a request for later replay
+   * @param {Object} request - { endpoint, body, idempotencyKey }
+   * @returns {Promise<boolean>} True if the request was persisted
+   */
+  async enqueue({ endpoint, body, idempotencyKey }) {
+    if (!this.store.isSupported()) return false;
+    try {
+      await this.store.add({
+        endpoint,
+        body,
+        idempotencyKey,
+        createdAt: new Date().toISOString(),
+        status: QUEUE_ENTRY_STATUS.PENDING,
+        attempts: 0,
+        lastError: null,
+      });
+      logger.warning(`Server unreachable - queued ${endpoint} for sync`, { endpoint, idempotencyKey });
+      await this.refreshCount();
+      return true;
+    } catch (error) {
+      console.error('Error queuing offline request:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Replay queued requests in order using the given sender
+   * Stops at the first request that still cannot reach a server so ordering is preserved
+   * Failed entries are skipped until they are retried
+   * @param {Function} send - async (entry) => apiPost-style result ({ success, data, status })
+   * @returns {Promise<number>} Number of requests that reached the server
+   */
+  async replay(send) {
+    if (this.replaying || !this.store.isSupported()) return 0;
+    this.replaying = true;
+    let synced = 0;
+
+    try {
+      const entries = (await this.store.getAll()).filter(entry => !isFailed(entry));
+      for (const entry of entries) {
+        const result = await send(entry);
+
+        // Status 0 means no server answered - keep this and everything after it queued
+        if (!result || result.status === 0) {
+          await this.store.put({
+            ...entry,
+            attempts: (entry.attempts || 0) + 1,
+            lastError: result?.data?.message || 'Server unreachable',
+          });
+          break;
+        }
+
+        synced++;
+
+        if (result.success && result.data?.success !== false) {
+          await this.store.remove(entry.id);
+          logger.success(`Synced queued request ${entry.endpoint}`, { idempotencyKey: entry.idempotencyKey });
+        } else {
+          // The server answered but rejected it - keep it so staff see it and can retry or discard
+          await this.store.put({
+            ...entry,
+            status: QUEUE_ENTRY_STATUS.FAILED,
+            attempts: (entry.attempts || 0) + 1,
+            lastError: result.data?.message || result.data?.error || `Rejected by the server (HTTP ${result.status})`,
+            failedAt: new Date().toISOString(),
+          });
+          logger.error(`Queued request ${entry.endpoint} was rejected by the server`, {
+            idempotencyKey: entry.idempotencyKey,
+            body: entry.body,
+            response: result.data,
+          });
+        }
+      }
+    } catch (error) {
+      console.error('Error replaying offline queue:', error);
+    } finally {
+      this.replaying = false;
+      await this.refreshCount();
+    }
+
+    return synced;
+  }
+}
+
+// Create singleton instance
+const offlineQueue = new OfflineQueue();
+
+export default offlineQueue;
@@ -89,3 +89,126 @@ export function getPaymentFields(sale) {
   };
 }
 
+
+/**
+ * Tender methods a mixed payment can combine (e.g. part cash, part Easypaisa)
+ * Credit lines put that part of the bill on the selected customer's account
+ */
+export const TENDER_METHODS = ['Cash', 'Card', 'Easypaisa', 'Bank', 'Credit'];
+
+/**
+ * Day-end bucket a payment method is counted under
+ * 
+ * @param {string} method - Payment method of a bill or tender line
+ * @returns {'total_cash'|'total_easypaisa'|'total_bank'|'credit_sales'|null} - null when the method is unknown
+ */
+export function getTenderBucket(method) {
+  const value = (method || '').toString().trim().toLowerCase();
+  if (value.includes('credit')) return 'credit_sales';
+  if (value.includes('cash')) return 'total_cash';
+  if (value.includes('easypaisa') || value.includes('easy') || value.includes('online')) return 'total_easypaisa';
+  if (value.includes('bank') || value.includes('card')) return 'total_bank';
+  return null;
+}
+
+const toAmount = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+const toList = (value) => {
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return [];
+    }
+  }
+  return Array.isArray(value) ? value : [];
+};
+
+/**
+ * Parts a bill was paid in, as stored by bills_management.php
+ * Mixed-tender bills carry `tenders`; split bills carry `splits` (one payment method per sub-bill)
+ * 
+ * @param {Object} bill - Bill from bills_management.php
+ * @returns {Array<{ payment_method: string, amount: number }>} - Empty for single-method bills
+ */
+export function getBillTenders(bill) {
+  const tenders = toList(bill?.tenders);
+  if (tenders.length > 0) {
+    return tenders.map(tender => ({
+      payment_method: tender.payment_method || tender.method || '',
+      amount: toAmount(tender.amount),
+    }));
+  }
+  return toList(bill?.splits).map(split => ({
+    payment_method: split.payment_method || '',
+    amount: toAmount(split.grand_total),
+  }));
+}
+
+/**
+ * Totals for the tender lines typed in the payment modal
+ * Change can only come out of cash, so it is taken off the cash lines (last one first)
+ * 
+ * @param {Array<{ payment_method: string, amount: number|string }>} lines - Tender lines
+ * @param {number|string} grandTotal - Bill grand total
+ * @returns {{ tendered: number, remaining: number, change: number, cashTendered: number, tenders: Array<Object> }}
+ *   tenders holds { payment_method, amount (applied to the bill), tendered } per line with an amount
+ */
+export function summarizeTenders(lines, grandTotal) {
+  const total = toAmount(grandTotal);
+  const filled = (lines || []).filter(line => toAmount(line.amount) > 0);
+  const tendered = filled.reduce((sum, line) => sum + toAmount(line.amount), 0);
+  const cashTendered = filled
+    .filter(line => line.payment_method === 'Cash')
+    .reduce((sum, line) => sum + toAmount(line.amount), 0);
+  const change = Math.max(0, Math.round((tendered - total) * 100) / 100);
+
+  let changeLeft = change;
+  const tenders = [...filled].reverse().map(line => {
+    const amount = toAmount(line.amount);
+    const fromChange = line.payment_method === 'Cash' ? Math.min(amount, changeLeft) : 0;
+    changeLeft -= fromChange;
+    return { payment_method: line.payment_method, amount: amount - fromChange, tendered: amount };
+  }).reverse();
+
+  return {
+    tendered,
+    remaining: Math.max(0, total - tendered),
+    change,
+    cashTendered,
+    tenders,
+  };
+}
+
+/**
+ * Check tender lines before a mixed payment is recorded
+ * 
+ * @param {Array<{ payment_method: string, amount: number|string }>} lines - Tender lines
+ * @param {number|string} grandTotal - Bill grand total
+ * @returns {string} - Error message, or '' when valid
+ */
+export function validateTenders(lines, grandTotal) {
+  const { tendered, remaining, change, cashTendered, tenders } = summarizeTenders(lines, grandTotal);
+  if (tenders.length === 0) return 'Please enter at least one tender amount.';
+  if (remaining >= 0.01) return `Tender lines are ${remaining.toFixed(2)} short of the grand total.`;
+  if (change > cashTendered + 0.001) {
+    return `Tender lines exceed the grand total by ${(tendered - toAmount(grandTotal)).toFixed(2)}. Only cash can be overpaid.`;
+  }
+  return '';
+}
+
+/**
+ * Part of a mixed payment put on the customer's account
+ * The rest of the bill is paid, so only this amount stays outstanding
+ * 
+ * @param {Array<{ payment_method: string, amount: number|string }>} tenders - Tenders from summarizeTenders or getBillTenders
+ * @returns {number} - 0 when no tender is Credit
+ */
+export function getCreditTenderAmount(tenders) {
+  return (tenders || [])
+    .filter(tender => tender.payment_method === 'Credit')
+    .reduce((sum, tender) => sum + toAmount(tender.amount), 0);
+}
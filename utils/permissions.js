@@ -0,0 +1,264 @@
+/**
+ * Role Permission Matrix
+ * Maps each role to a set of capabilities (e.g., 'order.cancel', 'bill.discount')
+ * Navigation and page buttons check capabilities with can() instead of comparing role strings
+ * Role templates are edited on Super Admin → Permissions and stored by api/role_permissions.php;
+ * the last loaded copy is kept in localStorage so checks stay synchronous
+ */
+
+import { getRole } from './api';
+import { normalizeRole } from './session';
+import { rolePermissions } from './endpoints';
+
+const ROLE_PERMISSIONS_KEY = 'role_permissions';
+
+// Role templates rarely change - reload them at most this often per page session
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * All capabilities, grouped for the permissions editor
+ */
+export const CAPABILITY_GROUPS = [
+  {
+    label: 'Orders',
+    capabilities: [
+      { key: 'order.create', label: 'Create orders' },
+      { key: 'order.view', label: 'View orders' },
+      { key: 'order.edit', label: 'Edit pending/running orders' },
+      { key: 'order.cancel', label: 'Cancel orders' },
+      { key: 'order.void_item', label: 'Void and re-fire kitchen items' },
+      { key: 'order.delete', label: 'Delete orders' },
+      { key: 'delivery.manage', label: 'Dispatch deliveries and settle rider cash' },
+    ],
+  },
+  {
+    label: 'Billing',
+    capabilities: [
+      { key: 'bill.generate', label: 'Generate bills and take payment' },
+      { key: 'bill.discount', label: 'Give discounts' },
+      { key: 'bill.reopen', label: 'Reopen paid bills' },
+    ],
+  },
+  {
+    label: 'Menu & Kitchen',
+    capabilities: [
+      { key: 'menu.manage', label: 'Manage categories and menu' },
+      { key: 'kitchen.view', label: 'Open kitchen screens' },
+      { key: 'printer.manage', label: 'Manage printers' },
+    ],
+  },
+  {
+    label: 'Floor',
+    capabilities: [
+      { key: 'floor.manage', label: 'Manage halls and tables' },
+      { key: 'customer.manage', label: 'Manage customers' },
+      { key: 'reservation.manage', label: 'Take reservations and run the waitlist' },
+    ],
+  },
+  {
+    label: 'Expenses & Reports',
+    capabilities: [
+      { key: 'expense.view', label: 'View expenses' },
+      { key: 'expense.create', label: 'Add and edit expenses' },
+      { key: 'expense.delete', label: 'Delete expenses' },
+      { key: 'report.view', label: 'View sales reports' },
+      { key: 'dayend.manage', label: 'Run day end' },
+    ],
+  },
+  {
+    label: 'Administration',
+    capabilities: [
+      { key: 'user.manage', label: 'Manage user accounts' },
+      { key: 'branch.manage', label: 'Manage branches' },
+      { key: 'terminal.manage', label: 'Manage terminals' },
+      { key: 'permission.manage', label: 'Edit role permissions' },
+      { key: 'loyalty.manage', label: 'Set loyalty earning and redemption rules' },
+    ],
+  },
+];
+
+export const ALL_CAPABILITIES = CAPABILITY_GROUPS.flatMap(group => group.capabilities.map(c => c.key));
+
+/**
+ * Roles whose templates can be edited, in display order
+ */
+export const PERMISSION_ROLES = [
+  { value: 'super_admin', label: 'Super Admin' },
+  { value: 'branch_admin', label: 'Branch Admin' },
+  { value: 'accountant', label: 'Accountant' },
+  { value: 'order_taker', label: 'Order Taker' },
+  { value: 'kitchen', label: 'Kitchen' },
+];
+
+/**
+ * Built-in templates - match what each portal allowed before permissions were configurable
+ */
+export const DEFAULT_ROLE_CAPABILITIES = {
+  super_admin: ALL_CAPABILITIES,
+  branch_admin: ALL_CAPABILITIES.filter(key => !['user.manage', 'branch.manage', 'terminal.manage', 'permission.manage', 'loyalty.manage'].includes(key)),
+  accountant: [
+    'order.create', 'order.view', 'order.edit', 'order.cancel', 'order.void_item', 'order.delete',
+    'bill.generate', 'bill.discount',
+    'expense.view', 'expense.create', 'expense.delete',
+    'dayend.manage',
+    'reservation.manage',
+    'delivery.manage',
+  ],
+  order_taker: ['order.create', 'reservation.manage'],
+  kitchen: ['kitchen.view'],
+};
+
+// Super admins must never be able to lock themselves out of the editor
+const LOCKED_CAPABILITIES = {
+  super_admin: ['permission.manage'],
+};
+
+/**
+ * Keep only known capabilities and re-add locked ones
+ * @param {string} role - Normalized role
+ * @param {Array<string>} capabilities - Capability keys
+ * @returns {Array<string>}
+ */
+export const sanitizeCapabilities = (role, capabilities) => {
+  const known = (Array.isArray(capabilities) ? capabilities : []).filter(key => ALL_CAPABILITIES.includes(key));
+  return Array.from(new Set([...known, ...(LOCKED_CAPABILITIES[role] || [])]));
+};
+
+/**
+ * Check if a capability can't be removed from a role
+ */
+export const isLockedCapability = (role, capability) => (LOCKED_CAPABILITIES[role] || []).includes(capability);
+
+class PermissionStore {
+  constructor() {
+    this.listeners = new Set();
+    this.templates = null;
+    this.version = 0;
+    this.lastRefreshAt = 0;
+    this.refreshPromise = null;
+  }
+
+  /**
+   * Subscribe to template changes
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notify() {
+    this.version += 1;
+    this.listeners.forEach(callback => callback());
+  }
+
+  /**
+   * Changes whenever templates change (snapshot for useSyncExternalStore)
+   */
+  getVersion() {
+    return this.version;
+  }
+
+  /**
+   * Current role templates: stored overrides on top of the defaults
+   * @returns {Object<string, Array<string>>}
+   */
+  getTemplates() {
+    if (!this.templates) {
+      let stored = {};
+      if (typeof window !== 'undefined') {
+        try {
+          stored = JSON.parse(localStorage.getItem(ROLE_PERMISSIONS_KEY) || '{}') || {};
+        } catch {
+          stored = {};
+        }
+      }
+      this.templates = Object.fromEntries(PERMISSION_ROLES.map(({ value }) => [
+        value,
+        sanitizeCapabilities(value, Array.isArray(stored[value]) ? stored[value] : DEFAULT_ROLE_CAPABILITIES[value]),
+      ]));
+    }
+    return this.templates;
+  }
+
+  /**
+   * Replace the templates (after loading or saving them) and persist them on this device
+   * @param {Object<string, Array<string>>} templates - Role → capabilities; missing roles keep their defaults
+   */
+  setTemplates(templates) {
+    const merged = Object.fromEntries(PERMISSION_ROLES.map(({ value }) => [
+      value,
+      sanitizeCapabilities(value, Array.isArray(templates?.[value]) ? templates[value] : DEFAULT_ROLE_CAPABILITIES[value]),
+    ]));
+    this.templates = merged;
+    if (typeof window !== 'undefined') {
+      localStorage.setItem(ROLE_PERMISSIONS_KEY, JSON.stringify(merged));
+    }
+    this.notify();
+  }
+
+  /**
+   * Capabilities granted to a role
+   * @param {string} role - Role (legacy names like 'admin' are normalized)
+   * @returns {Array<string>}
+   */
+  getCapabilities(role) {
+    const normalizedRole = normalizeRole(role);
+    if (!normalizedRole) return [];
+    return this.getTemplates()[normalizedRole] || [];
+  }
+
+  /**
+   * Check a capability for a role (defaults to the signed-in user's role)
+   * @param {string} capability - e.g., 'order.cancel'
+   * @param {string} role - Optional role
+   * @returns {boolean}
+   */
+  can(capability, role = getRole()) {
+    return this.getCapabilities(role).includes(capability);
+  }
+
+  /**
+   * Load the templates from the backend (throttled; keeps the cached copy when it fails)
+   * @param {Object} options - { force: bypass the throttle }
+   */
+  async refresh({ force = false } = {}) {
+    if (typeof window === 'undefined') return;
+    if (this.refreshPromise) return this.refreshPromise;
+    if (!force && Date.now() - this.lastRefreshAt < REFRESH_INTERVAL_MS) return;
+
+    this.refreshPromise = rolePermissions.list()
+      .then((templates) => {
+        this.lastRefreshAt = Date.now();
+        if (Object.keys(templates).length > 0) {
+          this.setTemplates(templates);
+        }
+      })
+      .catch((error) => {
+        // Older backends don't have the endpoint yet - the cached/default templates stay in effect
+        console.warn('Could not load role permissions:', error.message);
+        this.lastRefreshAt = Date.now();
+      })
+      .finally(() => {
+        this.refreshPromise = null;
+      });
+    return this.refreshPromise;
+  }
+
+  /**
+   * Find the capability required by the menu item a path belongs to
+   * @param {Array<Object>} menuItems - Layout menu items ({ path, capability? })
+   * @param {string} pathname - Current path
+   * @returns {string|null}
+   */
+  getRequiredCapability(menuItems, pathname) {
+    const match = menuItems
+      .filter(item => item.capability && (pathname === item.path || pathname.startsWith(`${item.path}/`)))
+      .sort((a, b) => b.path.length - a.path.length)[0];
+    return match ? match.capability : null;
+  }
+}
+
+// Create singleton instance
+const permissions = new PermissionStore();
+
+export default permissions;
@@ -0,0 +1,119 @@
+/**
+ * POS Lock Screen State
+ * Locks a shared terminal so the next staff member can take over with their PIN
+ * (see LockScreen and switchUserWithPin in utils/api.js)
+ * The locked flag lives in localStorage so a page reload can't bypass the lock
+ */
+
+const LOCKED_KEY = 'pos_locked';
+const RECENT_USERS_KEY = 'pos_recent_users';
+const IDLE_LOCK_MINUTES_KEY = 'pos_idle_lock_minutes';
+const MAX_RECENT_USERS = 8;
+
+export const PIN_PATTERN = /^\d{4,6}$/;
+
+// Default auto-lock delay for devices that never changed it; 0 disables auto-lock
+const parsedDefaultIdle = parseInt(process.env.NEXT_PUBLIC_POS_IDLE_LOCK_MINUTES, 10);
+export const DEFAULT_IDLE_LOCK_MINUTES = Number.isFinite(parsedDefaultIdle) && parsedDefaultIdle >= 0 ? parsedDefaultIdle : 5;
+
+export const IDLE_LOCK_OPTIONS = [0, 1, 2, 5, 10, 15, 30];
+
+class PinLock {
+  constructor() {
+    this.listeners = new Set();
+
+    if (typeof window !== 'undefined') {
+      // Locking one tab locks every tab on this terminal
+      window.addEventListener('storage', (e) => {
+        if (e.key === LOCKED_KEY || e.key === IDLE_LOCK_MINUTES_KEY) this.notify();
+      });
+    }
+  }
+
+  /**
+   * Subscribe to lock/unlock and settings changes
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notify() {
+    this.listeners.forEach(callback => callback());
+  }
+
+  /**
+   * Check if the terminal is locked
+   */
+  isLocked() {
+    if (typeof window === 'undefined') return false;
+    return localStorage.getItem(LOCKED_KEY) === '1';
+  }
+
+  lock() {
+    if (typeof window === 'undefined' || this.isLocked()) return;
+    localStorage.setItem(LOCKED_KEY, '1');
+    this.notify();
+  }
+
+  unlock() {
+    if (typeof window === 'undefined') return;
+    localStorage.removeItem(LOCKED_KEY);
+    this.notify();
+  }
+
+  /**
+   * Staff who signed in on this terminal, most recent first (shown as tiles on the lock screen)
+   * @returns {Array<{ username: string, fullname: string, role: string }>}
+   */
+  getRecentUsers() {
+    if (typeof window === 'undefined') return [];
+    try {
+      const users = JSON.parse(localStorage.getItem(RECENT_USERS_KEY) || '[]');
+      return Array.isArray(users) ? users : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Put a user at the front of the recent users list
+   * @param {Object} user - { username, fullname, role }
+   */
+  rememberUser({ username, fullname, role }) {
+    if (typeof window === 'undefined' || !username) return;
+    const others = this.getRecentUsers().filter(u => u.username !== username);
+    const users = [{ username, fullname: fullname || username, role: role || '' }, ...others].slice(0, MAX_RECENT_USERS);
+    localStorage.setItem(RECENT_USERS_KEY, JSON.stringify(users));
+  }
+
+  /**
+   * Remove a user tile from this terminal
+   */
+  forgetUser(username) {
+    if (typeof window === 'undefined') return;
+    const users = this.getRecentUsers().filter(u => u.username !== username);
+    localStorage.setItem(RECENT_USERS_KEY, JSON.stringify(users));
+    this.notify();
+  }
+
+  /**
+   * Minutes of inactivity before the terminal locks itself (0 = never)
+   */
+  getIdleLockMinutes() {
+    if (typeof window === 'undefined') return DEFAULT_IDLE_LOCK_MINUTES;
+    const stored = parseInt(localStorage.getItem(IDLE_LOCK_MINUTES_KEY), 10);
+    return Number.isFinite(stored) && stored >= 0 ? stored : DEFAULT_IDLE_LOCK_MINUTES;
+  }
+
+  setIdleLockMinutes(minutes) {
+    if (typeof window === 'undefined') return;
+    localStorage.setItem(IDLE_LOCK_MINUTES_KEY, String(Math.max(0, parseInt(minutes, 10) || 0)));
+    this.notify();
+  }
+}
+
+// Create singleton instance
+const pinLock = new PinLock();
+
+export default pinLock;
@@ -2,48 +2,85 @@
  * Direct Network Printer Utility
  * Sends print jobs directly to network printers via IP address
  * No dialog, silent printing to specified printers
+ *
+ * Receipts are rendered to ESC/POS bytes (utils/escpos.js) rather than flattened HTML, so bold text,
+ * alignment, item columns, the QR code, the logo, the drawer kick and the cut reach the printer intact.
  */
 
+import { apiPost } from './api';
+import { DEFAULT_PAPER_PROFILE, buildReceipt, getPaperProfile, rasterizeImage } from './escpos';
+
+// Same image the on-screen ReceiptLogo shows
+export const RECEIPT_LOGO_SRC = '/logo.png';
+
+// ReceiptLogo's maximum size (60mm x 30mm) in printer dots
+const LOGO_MAX_WIDTH_DOTS = 480;
+const LOGO_MAX_HEIGHT_DOTS = 240;
+
+const logoCache = new Map();
+
 /**
- * Print receipt directly to network printer via IP address
- * @param {string} content - HTML content to print
+ * Load and rasterize the receipt logo for a paper width (browser only, cached per width)
+ * @param {string} paperWidth - '58mm' | '80mm'
+ * @returns {Promise<Object|null>} Raster for buildReceipt, or null when the image can't be loaded
+ */
+export const loadReceiptLogo = (paperWidth = DEFAULT_PAPER_PROFILE) => {
+  const profile = getPaperProfile(paperWidth);
+  if (typeof window === 'undefined') return Promise.resolve(null);
+  if (!logoCache.has(profile.id)) {
+    logoCache.set(profile.id, new Promise((resolve) => {
+      const image = new Image();
+      image.onload = () => {
+        const scale = Math.min(1, Math.min(LOGO_MAX_WIDTH_DOTS, profile.dots) / image.naturalWidth, LOGO_MAX_HEIGHT_DOTS / image.naturalHeight);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        resolve(rasterizeImage(context.getImageData(0, 0, canvas.width, canvas.height)));
+      };
+      image.onerror = () => {
+        // Let a later print try again, e.g. once the logo has been uploaded
+        logoCache.delete(profile.id);
+        resolve(null);
+      };
+      image.src = RECEIPT_LOGO_SRC;
+    }));
+  }
+  return logoCache.get(profile.id);
+};
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Send ESC/POS bytes directly to a network printer via IP address
+ * @param {Uint8Array} job - Bytes from buildReceipt or EscPosBuilder
  * @param {string} printerIP - Printer IP address
  * @param {number} printerPort - Printer port (default: 9100)
  * @returns {Promise<boolean>} - Success status
  */
-export const printToNetworkPrinter = async (content, printerIP, printerPort = 9100) => {
+export const printToNetworkPrinter = async (job, printerIP, printerPort = 9100) => {
   try {
     if (!printerIP) {
       console.error('Printer IP address is required');
       return false;
     }
 
-    // Convert HTML to plain text for thermal printer
-    const textContent = convertHtmlToText(content);
-    
-    // Send print job via API endpoint
-    const response = await fetch('/api/print_direct.php', {
-      method: 'POST',
-      mode: 'cors',
-      credentials: 'omit',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        printer_ip: printerIP,
-        printer_port: printerPort,
-        content: textContent,
-        format: 'thermal'
-      })
+    // The bytes are passed through to the printer's raw port untouched
+    const result = await apiPost('api/print_direct.php', {
+      printer_ip: printerIP,
+      printer_port: printerPort,
+      content: toBase64(job),
+      format: 'escpos',
     });
 
-    if (response.ok) {
-      const result = await response.json();
-      return result.success === true;
-    }
-    
-    return false;
+    return result.success && result.data?.success === true;
   } catch (error) {
     console.error('Error printing to network printer:', error);
     return false;
@@ -51,33 +88,28 @@ export const printToNetworkPrinter = async (content, printerIP, printerPort = 91
 };
 
 /**
- * Convert HTML content to plain text for thermal printer
- * @param {string} html - HTML content
- * @returns {string} - Plain text content
+ * Render a receipt for the printer's paper width, with the logo, and send it
+ * @param {Object} receipt - Receipt (see buildReceipt)
+ * @param {Object} printer - { ip_address, port, paper_width }
+ * @param {Object} options - { openDrawer, cut } passed to buildReceipt
+ * @returns {Promise<boolean>} - Success status
  */
-const convertHtmlToText = (html) => {
-  // Create a temporary div to parse HTML
-  const tempDiv = document.createElement('div');
-  tempDiv.innerHTML = html;
-  
-  // Extract text content
-  let text = tempDiv.textContent || tempDiv.innerText || '';
-  
-  // Clean up extra whitespace
-  text = text.replace(/\s+/g, ' ').trim();
-  
-  return text;
+export const printReceiptToNetworkPrinter = async (receipt, printer, options = {}) => {
+  const logo = await loadReceiptLogo(printer.paper_width);
+  const job = buildReceipt(receipt, { ...options, paperWidth: printer.paper_width, logo });
+  return printToNetworkPrinter(job, printer.ip_address, printer.port || 9100);
 };
 
 /**
  * Print receipt to multiple printers based on categories
- * @param {string} receiptContent - HTML content of receipt
+ * Each printer gets the receipt rendered for its own paper width
+ * @param {Object} receipt - Receipt (see buildReceipt)
  * @param {Array} items - Order items with category/kitchen info
  * @param {Array} printers - Available printers with IP addresses
  * @param {Array} categories - Categories with printer associations
  * @returns {Promise<Object>} - Print results for each printer
  */
-export const printToCategoryPrinters = async (receiptContent, items, printers, categories) => {
+export const printToCategoryPrinters = async (receipt, items, printers, categories) => {
   const results = {};
   
   try {
@@ -115,6 +147,7 @@ export const printToCategoryPrinters = async (receiptContent, items, printers, c
               printersToUse.push({
                 ip: printer.ip_address,
                 port: printer.port || 9100,
+                paper_width: printer.paper_width,
                 name: printer.name || `Printer ${printer.ip_address}`,
                 category_id: categoryId
               });
@@ -134,6 +167,7 @@ export const printToCategoryPrinters = async (receiptContent, items, printers, c
         printersToUse.push({
           ip: printer.ip_address,
           port: printer.port || 9100,
+          paper_width: printer.paper_width,
           name: printer.name || `Printer ${printer.ip_address}`
         });
       });
@@ -142,11 +176,11 @@ export const printToCategoryPrinters = async (receiptContent, items, printers, c
     // Print to each printer
     for (const printer of printersToUse) {
       try {
-        const success = await printToNetworkPrinter(
-          receiptContent,
-          printer.ip,
-          printer.port
-        );
+        const success = await printReceiptToNetworkPrinter(receipt, {
+          ip_address: printer.ip,
+          port: printer.port,
+          paper_width: printer.paper_width,
+        });
         
         results[printer.name || printer.ip] = {
           success,
@@ -0,0 +1,223 @@
+/**
+ * Proxy Gateway Utility
+ * Server-side helpers for app/api/php-proxy: endpoint allow-list, rate limiting,
+ * request IDs, request signing and structured access logs
+ */
+
+/**
+ * PHP endpoints the proxy may forward to. Anything else is rejected with 404.
+ * Add new backend endpoints here when the frontend starts calling them.
+ */
+export const ALLOWED_PROXY_ENDPOINTS = new Set([
+  'api/bills_management.php',
+  'api/branch_management.php',
+  'api/category_management.php',
+  'api/chnageorder_status.php',
+  'api/combos_management.php',
+  'api/create_order_with_kitchen.php',
+  'api/createaccount.php',
+  'api/customer_history.php',
+  'api/customer_management.php',
+  'api/dayend_management.php',
+  'api/delete_users.php',
+  'api/delivery_management.php',
+  'api/delivery_zones.php',
+  'api/dishes_management.php',
+  'api/expense_management.php',
+  'api/get_branch_statistics.php',
+  'api/get_categories.php',
+  'api/get_dashboard_stats.php',
+  'api/get_dayend.php',
+  'api/get_halls.php',
+  'api/get_kitchen_orders.php',
+  'api/get_kitchen_receipt.php',
+  'api/get_kitchens.php',
+  'api/get_menu_sales.php',
+  'api/get_ordersbyid.php',
+  'api/getOrders.php',
+  'api/get_printers.php',
+  'api/get_products.php',
+  'api/get_sales.php',
+  'api/get_sales_by_shift.php',
+  'api/get_sales_report.php',
+  'api/get_tables.php',
+  'api/get_user_role.php',
+  'api/get_users_accounts.php',
+  'api/hall_management.php',
+  'api/kitchen_item_void.php',
+  'api/kitchen_management.php',
+  'api/login.php',
+  'api/loyalty_ledger.php',
+  'api/loyalty_rules.php',
+  'api/order_management.php',
+  'api/pair_terminal.php',
+  'api/pin_login.php',
+  'api/print.php',
+  'api/print_direct.php',
+  'api/print_kitchen_receipt.php',
+  'api/printer_management.php',
+  'api/reservations_management.php',
+  'api/riders_management.php',
+  'api/role_permissions.php',
+  'api/set_pin.php',
+  'api/table_management.php',
+  'api/terminal_management.php',
+  'api/test_connection.php',
+  'api/update_kitchen_item_status.php',
+  'api/upload_orderdetails.php',
+  'api/verify_session.php',
+  'api/waitlist_management.php',
+]);
+
+/**
+ * Check if a proxied path is on the allow-list
+ * @param {string} path - Path after /api/php-proxy/ (e.g., 'api/get_sales.php')
+ * @returns {boolean}
+ */
+export const isAllowedProxyPath = (path) => ALLOWED_PROXY_ENDPOINTS.has(String(path || ''));
+
+const readLimit = (envValue, fallback) => {
+  const parsed = parseInt(envValue, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Requests per minute. A whole cafe usually shares one public IP, so the IP limit is the larger one.
+export const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+export const RATE_LIMIT_PER_IP = readLimit(process.env.PROXY_RATE_LIMIT_PER_IP, 600);
+export const RATE_LIMIT_PER_TOKEN = readLimit(process.env.PROXY_RATE_LIMIT_PER_TOKEN, 300);
+
+const MAX_RATE_LIMIT_KEYS = 5000;
+const rateLimitWindows = new Map();
+
+/**
+ * Fixed-window rate limiter (in memory, per server instance)
+ * @param {string} key - Bucket key (e.g., 'ip:1.2.3.4')
+ * @param {number} limit - Max requests per window
+ * @returns {{ allowed: boolean, remaining: number, retryAfterSeconds: number }}
+ */
+export const consumeRateLimit = (key, limit) => {
+  const now = Date.now();
+  let bucket = rateLimitWindows.get(key);
+
+  if (!bucket || bucket.resetAt <= now) {
+    bucket = { count: 0, resetAt: now + RATE_LIMIT_WINDOW_MS };
+    rateLimitWindows.set(key, bucket);
+  }
+
+  bucket.count++;
+
+  // Prevent unbounded growth: drop expired buckets once the map gets large
+  if (rateLimitWindows.size > MAX_RATE_LIMIT_KEYS) {
+    for (const [k, b] of rateLimitWindows) {
+      if (b.resetAt <= now) rateLimitWindows.delete(k);
+    }
+  }
+
+  return {
+    allowed: bucket.count <= limit,
+    remaining: Math.max(0, limit - bucket.count),
+    retryAfterSeconds: Math.max(1, Math.ceil((bucket.resetAt - now) / 1000)),
+  };
+};
+
+const readProxyCount = (envValue, fallback) => {
+  const parsed = parseInt(envValue, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Reverse proxies in front of Next.js (load balancer, nginx, hosting edge). Each appends the address it
+// was called from to X-Forwarded-For; anything left of their entries was sent by the client and is ignored.
+export const TRUSTED_PROXY_COUNT = readProxyCount(process.env.PROXY_TRUSTED_PROXY_COUNT, 1);
+
+/**
+ * Get the client IP: the X-Forwarded-For hop added by the outermost trusted proxy,
+ * or the connection address when no proxy is trusted or the header is short
+ * @param {Request} request - Incoming request
+ * @returns {string} IP or 'unknown'
+ */
+export const getClientIp = (request) => {
+  if (TRUSTED_PROXY_COUNT > 0) {
+    const hops = (request.headers.get('x-forwarded-for') || '')
+      .split(',')
+      .map(hop => hop.trim())
+      .filter(Boolean);
+    if (hops.length >= TRUSTED_PROXY_COUNT) return hops[hops.length - TRUSTED_PROXY_COUNT];
+  }
+  return request.ip || 'unknown';
+};
+
+/**
+ * Extract the bearer token from the Authorization header
+ * @param {Request} request - Incoming request
+ * @returns {string|null} Token or null
+ */
+export const getBearerToken = (request) => {
+  const auth = request.headers.get('authorization') || '';
+  const match = auth.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+const textEncoder = new TextEncoder();
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), (b) => b.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Short, non-reversible token fingerprint for rate-limit keys and logs (never log raw tokens)
+ * @param {string} token - Bearer token
+ * @returns {Promise<string>} First 16 hex chars of SHA-256
+ */
+export const fingerprintToken = async (token) => {
+  const digest = await crypto.subtle.digest('SHA-256', textEncoder.encode(token));
+  return toHex(digest).slice(0, 16);
+};
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,128}$/;
+
+/**
+ * Reuse a sane incoming X-Request-Id or generate a new one
+ * @param {Request} request - Incoming request
+ * @returns {string} Request ID
+ */
+export const resolveRequestId = (request) => {
+  const incoming = request.headers.get('x-request-id');
+  if (incoming && REQUEST_ID_PATTERN.test(incoming)) return incoming;
+  return crypto.randomUUID();
+};
+
+/**
+ * Sign a forwarded request so the PHP backend can verify it came through this proxy
+ * Signature = hex HMAC-SHA256(secret, `${timestamp}\n${requestId}\n${method}\n${path}\n${body}`)
+ * @returns {Promise<Object|null>} Headers to add, or null when PROXY_SIGNING_SECRET is not set
+ */
+export const signProxyRequest = async ({ method, path, body, requestId }) => {
+  const secret = process.env.PROXY_SIGNING_SECRET || '';
+  if (!secret) return null;
+
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const key = await crypto.subtle.importKey(
+    'raw',
+    textEncoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const message = `${timestamp}\n${requestId}\n${method}\n${path}\n${body || ''}`;
+  const signature = await crypto.subtle.sign('HMAC', key, textEncoder.encode(message));
+
+  return {
+    'X-Proxy-Timestamp': timestamp,
+    'X-Proxy-Signature': toHex(signature),
+  };
+};
+
+/**
+ * Write one structured access log line (JSON, picked up by Vercel/host log drains)
+ * @param {Object} entry - { requestId, method, path, status, latencyMs, ip, token, blocked }
+ */
+export const logProxyAccess = (entry) => {
+  console.log(JSON.stringify({
+    type: 'php_proxy_access',
+    timestamp: new Date().toISOString(),
+    ...entry,
+  }));
+};
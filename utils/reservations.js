@@ -0,0 +1,236 @@
+/**
+ * Reservations & Waitlist Utility
+ * A booking holds its table from shortly before its time slot until the slot ends, so the floor map
+ * shows the table as reserved and it is not offered to walk-ins. Waiting walk-ins get an estimated
+ * wait from the tables that fit their party and how long those tables have been occupied.
+ */
+
+import { customersManagement, reservationsManagement, waitlistManagement } from './endpoints';
+import { broadcastUpdate, UPDATE_EVENTS } from './dashboardSync';
+import { getFloorStatus } from './floorPlan';
+import { findCustomerByPhone, normalizePhone } from './customers';
+
+export const RESERVATION_STATUSES = {
+  booked: { label: 'Booked', className: 'bg-purple-100 text-purple-800' },
+  seated: { label: 'Seated', className: 'bg-green-100 text-green-800' },
+  cancelled: { label: 'Cancelled', className: 'bg-gray-100 text-gray-600' },
+  no_show: { label: 'No-show', className: 'bg-red-100 text-red-800' },
+};
+
+export const DEFAULT_DURATION_MINUTES = 90;
+
+// A booked table stops being offered to walk-ins this long before the slot starts
+export const HOLD_BEFORE_MINUTES = 30;
+
+// Average time a party keeps a table, used for waitlist estimates
+export const TABLE_TURN_MINUTES = 60;
+
+// Time to clear a table that is waiting to be cleaned
+const CLEANING_MINUTES = 5;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Today's date as 'YYYY-MM-DD' in local time
+ * @returns {string}
+ */
+export const getTodayDate = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Normalize a reservation from reservations_management.php
+ * @param {Object} reservation - Raw reservation
+ * @returns {Object}
+ */
+export const normalizeReservation = (reservation) => ({
+  ...reservation,
+  reservation_id: reservation.reservation_id || reservation.id,
+  guest_name: reservation.guest_name || reservation.name || '',
+  phone: reservation.phone || '',
+  party_size: parseInt(reservation.party_size, 10) || 1,
+  reservation_time: String(reservation.reservation_time || '').slice(0, 5),
+  duration_minutes: parseInt(reservation.duration_minutes, 10) || DEFAULT_DURATION_MINUTES,
+  hall_id: reservation.hall_id || null,
+  table_id: reservation.table_id || null,
+  status: (reservation.status || 'booked').toLowerCase(),
+});
+
+/**
+ * Start and end of a reservation's slot
+ * @param {Object} reservation - Normalized reservation
+ * @returns {{ start: number, end: number }} Timestamps in ms
+ */
+export const getReservationWindow = (reservation) => {
+  const start = new Date(`${reservation.reservation_date}T${reservation.reservation_time}:00`).getTime();
+  return { start, end: start + reservation.duration_minutes * MINUTE_MS };
+};
+
+/**
+ * Mark tables held by a booking right now with `reservation`, so getFloorStatus shows them as reserved
+ * @param {Array<Object>} tables - Tables normalized by normalizeFloorTables
+ * @param {Array<Object>} reservations - Normalized reservations
+ * @param {number} now - Current time in ms
+ * @returns {Array<Object>}
+ */
+export const applyReservationHolds = (tables, reservations, now = Date.now()) => {
+  const holds = {};
+  reservations.forEach(reservation => {
+    if (reservation.status !== 'booked' || !reservation.table_id) return;
+    const { start, end } = getReservationWindow(reservation);
+    if (now >= start - HOLD_BEFORE_MINUTES * MINUTE_MS && now < end) {
+      holds[String(reservation.table_id)] = reservation;
+    }
+  });
+  return tables.map(table => (holds[String(table.table_id)] ? { ...table, reservation: holds[String(table.table_id)] } : table));
+};
+
+/**
+ * Tables a party can be seated at now, best fit first (preferred hall, then the smallest table that fits)
+ * @param {Array<Object>} tables - Tables with reservation holds applied
+ * @param {number} partySize - Guests
+ * @param {number|string|null} hallId - Preferred hall
+ * @param {Object|null} reservation - Booking being seated (its own held table is allowed)
+ * @returns {Array<Object>}
+ */
+export const suggestTables = (tables, partySize, hallId = null, reservation = null) => tables
+  .filter(table => {
+    const status = getFloorStatus(table);
+    if (status === 'free') return true;
+    return status === 'reserved' && reservation && table.reservation?.reservation_id === reservation.reservation_id;
+  })
+  .filter(table => !table.capacity || table.capacity >= partySize)
+  .sort((a, b) => {
+    const aHall = hallId && String(a.hall_id) === String(hallId) ? 0 : 1;
+    const bHall = hallId && String(b.hall_id) === String(hallId) ? 0 : 1;
+    return aHall - bHall || a.capacity - b.capacity;
+  });
+
+/**
+ * Estimated wait in minutes for each waiting party, in list order
+ * Each party takes the fitting table that frees up first; that table is then busy for another turn.
+ * @param {Array<Object>} waitlist - Waiting entries, oldest first
+ * @param {Array<Object>} tables - Tables with reservation holds applied
+ * @param {number} now - Current time in ms
+ * @returns {Object<string, number|null>} waitlist_id → minutes (null when no table is big enough)
+ */
+export const estimateWaits = (waitlist, tables, now = Date.now()) => {
+  const freeIn = tables
+    .filter(table => getFloorStatus(table) !== 'unavailable')
+    .map(table => {
+      const status = getFloorStatus(table);
+      let minutes = 0;
+      if (status === 'cleaning') minutes = CLEANING_MINUTES;
+      if (status === 'reserved' && table.reservation) {
+        minutes = Math.max(0, (getReservationWindow(table.reservation).end - now) / MINUTE_MS);
+      }
+      if (status === 'occupied' || status === 'bill_printed') {
+        const started = new Date(table.current_order?.created_at || now).getTime();
+        const elapsed = Number.isFinite(started) ? (now - started) / MINUTE_MS : 0;
+        // A printed bill means the party is about to leave
+        minutes = status === 'bill_printed' ? CLEANING_MINUTES : Math.max(CLEANING_MINUTES, TABLE_TURN_MINUTES - elapsed);
+      }
+      return { capacity: table.capacity, minutes };
+    });
+
+  const waits = {};
+  waitlist.forEach(entry => {
+    const partySize = parseInt(entry.party_size, 10) || 1;
+    const fitting = freeIn
+      .filter(slot => !slot.capacity || slot.capacity >= partySize)
+      .sort((a, b) => a.minutes - b.minutes || a.capacity - b.capacity);
+    const slot = fitting[0];
+    if (!slot) {
+      waits[entry.waitlist_id] = null;
+      return;
+    }
+    waits[entry.waitlist_id] = Math.round(slot.minutes);
+    slot.minutes += TABLE_TURN_MINUTES;
+  });
+  return waits;
+};
+
+/**
+ * Find the guest in customer_management.php by phone, or create them
+ * @param {Object} guest - { guest_name, phone }
+ * @param {Object} params - { branch_id, terminal }
+ * @returns {Promise<Object|null>} Customer, or null when the guest left no phone number
+ */
+export const resolveGuestCustomer = async (guest, params) => {
+  const phone = normalizePhone(guest.phone);
+  if (!phone) return null;
+
+  const findByPhone = async () => {
+    const customers = await customersManagement.list({ branch_id: params.branch_id });
+    return findCustomerByPhone(customers, phone);
+  };
+
+  const existing = await findByPhone();
+  if (existing) return existing;
+
+  const created = await customersManagement.create({
+    name: guest.guest_name,
+    phone: guest.phone,
+    branch_id: params.branch_id,
+    terminal: params.terminal,
+  });
+  // Some deployments only answer with a message - look the new customer up again
+  return created.customer_id ? created : findByPhone();
+};
+
+/**
+ * Seat a booking or a waiting party at a table
+ * @param {Object} params - { reservation } or { waitlistEntry }, plus { table, branchId, terminal }
+ * @returns {Promise<Object>} Seating to prefill the Dine In order with ({ hall_id, table_id, customer, ... })
+ */
+export const seatGuest = async ({ reservation = null, waitlistEntry = null, table, branchId, terminal }) => {
+  const guest = reservation || waitlistEntry;
+  const customer = await resolveGuestCustomer(guest, { branch_id: branchId, terminal });
+  const customerId = customer?.customer_id || null;
+
+  if (reservation) {
+    await reservationsManagement.seat({ reservationId: reservation.reservation_id, tableId: table.table_id, customerId });
+  } else {
+    await waitlistManagement.seat({ waitlistId: waitlistEntry.waitlist_id, tableId: table.table_id, customerId });
+  }
+
+  broadcastUpdate(UPDATE_EVENTS.RESERVATION_UPDATED, { reservation_id: reservation?.reservation_id || null, branch_id: branchId });
+  broadcastUpdate(UPDATE_EVENTS.TABLE_UPDATED, { table_ids: [table.table_id], branch_id: branchId });
+
+  return {
+    hall_id: table.hall_id,
+    table_id: table.table_id,
+    table_number: table.table_number,
+    customer: customer ? { customer_id: customerId, name: customer.name || guest.guest_name, phone: customer.phone || guest.phone } : null,
+    guest_name: guest.guest_name,
+    party_size: guest.party_size,
+    reservation_id: reservation?.reservation_id || null,
+  };
+};
+
+const SEATING_KEY = 'pending_seating';
+
+/**
+ * Hand a seating over to the create-order page
+ * @param {Object} seating - Result of seatGuest
+ */
+export const saveSeatingHandoff = (seating) => {
+  if (typeof window === 'undefined') return;
+  sessionStorage.setItem(SEATING_KEY, JSON.stringify(seating));
+};
+
+/**
+ * Read and clear the seating handed over to create-order
+ * @returns {Object|null}
+ */
+export const takeSeatingHandoff = () => {
+  if (typeof window === 'undefined') return null;
+  const raw = sessionStorage.getItem(SEATING_KEY);
+  sessionStorage.removeItem(SEATING_KEY);
+  try {
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,17 @@
+/**
+ * Server Backend Utility
+ * Resolves the PHP backend base URL for Next.js route handlers (server-side only)
+ *
+ * Set NEXT_PUBLIC_API_BASE_URL or API_BACKEND_URL to the PHP site root that
+ * makes URLs like: {base}api/login.php (e.g. https://your-host/restuarent/)
+ */
+
+/**
+ * Get the PHP backend base URL with a single trailing slash
+ * @returns {string} Base URL or empty string when not configured
+ */
+export function getBackendBase() {
+  const raw = process.env.API_BACKEND_URL || process.env.NEXT_PUBLIC_API_BASE_URL || '';
+  if (!raw.trim()) return '';
+  return raw.replace(/\/*$/, '/');
+}
@@ -0,0 +1,134 @@
+/**
+ * Session Utility
+ * Signs and verifies the httpOnly session cookie used by middleware.js
+ * Uses Web Crypto (HMAC-SHA256) so it runs in both the Edge middleware and Node route handlers
+ */
+
+export const SESSION_COOKIE_NAME = 'chaikhas_session';
+
+// Session lifetime: one working day
+export const SESSION_MAX_AGE_SECONDS = 12 * 60 * 60;
+
+/**
+ * Dashboard route prefixes each role may open (see middleware.js)
+ * /dashboard itself is open to every signed-in role - it only redirects
+ */
+export const ROLE_ROUTE_PREFIXES = {
+  super_admin: ['/dashboard/super-admin'],
+  branch_admin: ['/dashboard/branch-admin'],
+  accountant: ['/dashboard/accountant'],
+  order_taker: ['/dashboard/order-taker'],
+  kitchen: ['/dashboard/branch-admin/kitchen', '/dashboard/super-admin/kitchen'],
+};
+
+// Legacy role names still returned by older accounts
+const ROLE_ALIASES = {
+  admin: 'branch_admin',
+  administrator: 'branch_admin',
+};
+
+/**
+ * Normalize a role string to one of the keys of ROLE_ROUTE_PREFIXES
+ * @param {string} role - Role from backend/localStorage
+ * @returns {string|null} Normalized role or null if unknown
+ */
+export const normalizeRole = (role) => {
+  if (role === null || role === undefined) return null;
+  const normalized = String(role).toLowerCase().trim();
+  const resolved = ROLE_ALIASES[normalized] || normalized;
+  return ROLE_ROUTE_PREFIXES[resolved] ? resolved : null;
+};
+
+/**
+ * Check if a role may open a dashboard path
+ * @param {string} role - User role
+ * @param {string} pathname - Request pathname
+ * @returns {boolean}
+ */
+export const isPathAllowedForRole = (role, pathname) => {
+  const normalizedRole = normalizeRole(role);
+  if (!normalizedRole) return false;
+  if (pathname === '/dashboard' || pathname === '/dashboard/') return true;
+
+  return ROLE_ROUTE_PREFIXES[normalizedRole].some(
+    (prefix) => pathname === prefix || pathname.startsWith(`${prefix}/`)
+  );
+};
+
+/**
+ * Get the HMAC secret for session cookies (server-side only)
+ * @returns {string} Secret or empty string when not configured
+ */
+export const getSessionSecret = () => process.env.SESSION_SECRET || '';
+
+const textEncoder = new TextEncoder();
+
+const base64UrlEncode = (bytes) => {
+  let binary = '';
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const base64UrlDecode = (value) => {
+  const padded = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=');
+  const binary = atob(padded);
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+};
+
+const getHmacKey = (secret) => {
+  return crypto.subtle.importKey(
+    'raw',
+    textEncoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+};
+
+/**
+ * Create a signed session cookie value
+ * @param {Object} session - { token, role, branch_id, user_id }
+ * @param {string} secret - HMAC secret
+ * @returns {Promise<string>} Cookie value: base64url(payload).base64url(signature)
+ */
+export const signSession = async (session, secret) => {
+  const payload = {
+    ...session,
+    exp: Math.floor(Date.now() / 1000) + SESSION_MAX_AGE_SECONDS,
+  };
+  const encodedPayload = base64UrlEncode(textEncoder.encode(JSON.stringify(payload)));
+  const key = await getHmacKey(secret);
+  const signature = await crypto.subtle.sign('HMAC', key, textEncoder.encode(encodedPayload));
+  return `${encodedPayload}.${base64UrlEncode(new Uint8Array(signature))}`;
+};
+
+/**
+ * Verify a session cookie value
+ * @param {string} value - Cookie value
+ * @param {string} secret - HMAC secret
+ * @returns {Promise<Object|null>} Session payload, or null if missing, tampered or expired
+ */
+export const verifySession = async (value, secret) => {
+  if (!value || !secret) return null;
+  const [encodedPayload, encodedSignature] = String(value).split('.');
+  if (!encodedPayload || !encodedSignature) return null;
+
+  try {
+    const key = await getHmacKey(secret);
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      key,
+      base64UrlDecode(encodedSignature),
+      textEncoder.encode(encodedPayload)
+    );
+    if (!valid) return null;
+
+    const payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(encodedPayload)));
+    if (!payload || !payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,176 @@
+/**
+ * Split Bill Utility
+ * A bill can be paid as several sub-bills: by moving items between sub-bills, in N equal shares
+ * or by custom amounts. Discount, service charge and any loyalty redemption are shared out in proportion (see allocateBillSplits),
+ * and each sub-bill is paid with its own payment method and gets its own receipt.
+ */
+
+import { allocateBillSplits } from './billTotals';
+import { toLoyaltyPayload } from './loyalty';
+
+export const SPLIT_TYPES = [
+  { value: 'items', label: 'By items' },
+  { value: 'equal', label: 'Equal shares' },
+  { value: 'custom', label: 'Custom amounts' },
+];
+
+/**
+ * Payment methods a sub-bill can use (credit sales are settled as a whole bill)
+ */
+export const SPLIT_PAYMENT_MODES = ['Cash', 'Card', 'Online'];
+
+export const MIN_SPLITS = 2;
+export const MAX_SPLITS = 10;
+
+const toQuantity = (item) => {
+  const parsed = parseInt(item.quantity ?? item.qty ?? item.qnty ?? 1, 10);
+  return parsed > 0 ? parsed : 1;
+};
+
+const toUnitPrice = (item) => {
+  const price = parseFloat(item.price ?? item.rate ?? item.unit_price);
+  if (Number.isFinite(price)) return price;
+  const total = parseFloat(item.total_amount ?? item.total ?? item.total_price);
+  return Number.isFinite(total) ? total / toQuantity(item) : 0;
+};
+
+/**
+ * Break bill items into single units so "4× Karak Chai" can be shared between sub-bills
+ * @param {Array<Object>} items - Bill items
+ * @returns {Array<Object>} [{ unit_key, item_index, name, price, item }]
+ */
+export const expandBillUnits = (items) => (Array.isArray(items) ? items : []).flatMap((item, itemIndex) =>
+  Array.from({ length: toQuantity(item) }, (_, unitIndex) => ({
+    unit_key: `${itemIndex}:${unitIndex}`,
+    item_index: itemIndex,
+    name: item.dish_name || item.name || item.item_name || 'Item',
+    price: toUnitPrice(item),
+    item,
+  }))
+);
+
+/**
+ * Merge units back into receipt lines (one line per original item)
+ * @param {Array<Object>} units - Units from expandBillUnits
+ * @returns {Array<Object>} Items with quantity and total_amount for the units given
+ */
+export const groupBillUnits = (units) => {
+  const lines = new Map();
+  units.forEach(unit => {
+    const line = lines.get(unit.item_index);
+    if (line) {
+      line.quantity += 1;
+      line.total_amount += unit.price;
+    } else {
+      lines.set(unit.item_index, { ...unit.item, price: unit.price, quantity: 1, qty: 1, total_amount: unit.price });
+    }
+  });
+  return [...lines.values()].map(line => ({ ...line, qty: line.quantity }));
+};
+
+/**
+ * Whole-bill totals in the shape allocateBillSplits expects
+ * @param {Object} bill - Generated bill (subtotal, discount_amount, service_charge, loyalty_discount)
+ * @returns {{ billAmount: number, discountAmount: number, serviceCharge: number, loyaltyDiscount: number }}
+ */
+export const getBillTotals = (bill) => ({
+  billAmount: parseFloat(bill?.subtotal || 0),
+  discountAmount: parseFloat(bill?.discount_amount || 0),
+  serviceCharge: parseFloat(bill?.service_charge || 0),
+  loyaltyDiscount: parseFloat(bill?.loyalty_discount || 0),
+});
+
+/**
+ * Work out each sub-bill's share of the bill
+ * @param {Object} bill - Generated bill
+ * @param {string} splitType - 'items' | 'equal' | 'custom'
+ * @param {Object} options - { count, units, assignments (unit_key → sub-bill index), customAmounts }
+ * @returns {Array<Object>} One allocation per sub-bill, with `items` for item splits
+ */
+export const computeSubBills = (bill, splitType, { count, units = [], assignments = {}, customAmounts = [] }) => {
+  const indexes = Array.from({ length: count }, (_, index) => index);
+  const unitsBySplit = indexes.map(index => units.filter(unit => (assignments[unit.unit_key] ?? 0) === index));
+
+  let weights;
+  if (splitType === 'items') {
+    weights = unitsBySplit.map(splitUnits => splitUnits.reduce((sum, unit) => sum + unit.price, 0));
+  } else if (splitType === 'custom') {
+    weights = indexes.map(index => parseFloat(customAmounts[index]) || 0);
+  } else {
+    weights = indexes.map(() => 1);
+  }
+
+  return allocateBillSplits(getBillTotals(bill), weights).map((split, index) => ({
+    ...split,
+    items: splitType === 'items' ? groupBillUnits(unitsBySplit[index]) : [],
+    unitCount: unitsBySplit[index].length,
+  }));
+};
+
+/**
+ * Check a split before it is paid
+ * @param {Object} bill - Generated bill
+ * @param {string} splitType - 'items' | 'equal' | 'custom'
+ * @param {Array<Object>} subBills - From computeSubBills
+ * @param {Array<Object>} payments - [{ payment_method, cash_received }] per sub-bill
+ * @param {Array<string|number>} customAmounts - Amounts typed for a custom split
+ * @returns {string} Error message, or '' when valid
+ */
+export const validateSplit = (bill, splitType, subBills, payments, customAmounts = []) => {
+  if (splitType === 'items') {
+    const empty = subBills.findIndex(subBill => subBill.unitCount === 0);
+    if (empty !== -1) return `Sub-bill ${empty + 1} has no items`;
+  }
+  if (splitType === 'custom') {
+    const missing = subBills.findIndex((_, index) => !(parseFloat(customAmounts[index]) > 0));
+    if (missing !== -1) return `Enter an amount for sub-bill ${missing + 1}`;
+    const entered = customAmounts.slice(0, subBills.length).reduce((sum, amount) => sum + (parseFloat(amount) || 0), 0);
+    const grandTotal = parseFloat(bill?.grand_total || 0);
+    if (Math.abs(entered - grandTotal) >= 0.01) {
+      return `Sub-bill amounts add up to ${entered.toFixed(2)} but the bill is ${grandTotal.toFixed(2)}`;
+    }
+  }
+  const shortCash = subBills.findIndex((subBill, index) => {
+    const payment = payments[index] || {};
+    return payment.payment_method === 'Cash' && (parseFloat(payment.cash_received) || 0) < subBill.grandTotal;
+  });
+  if (shortCash !== -1) return `Cash received for sub-bill ${shortCash + 1} is less than its total`;
+  return '';
+};
+
+/**
+ * Build the split_payment payload for billsManagement.settleSplit
+ * @param {Object} bill - Generated bill
+ * @param {string} splitType - 'items' | 'equal' | 'custom'
+ * @param {Array<Object>} subBills - From computeSubBills
+ * @param {Array<Object>} payments - [{ payment_method, cash_received }] per sub-bill
+ * @returns {Object}
+ */
+export const toSplitPaymentPayload = (bill, splitType, subBills, payments) => ({
+  bill_id: bill.bill_id || undefined,
+  order_id: bill.order_id,
+  split_type: splitType,
+  ...toLoyaltyPayload(bill),
+  splits: subBills.map((subBill, index) => {
+    const payment = payments[index] || {};
+    const isCash = payment.payment_method === 'Cash';
+    const cashReceived = isCash ? parseFloat(payment.cash_received) || 0 : subBill.grandTotal;
+    return {
+      split_no: index + 1,
+      bill_amount: subBill.billAmount,
+      discount: subBill.discountAmount,
+      service_charge: subBill.serviceCharge,
+      loyalty_discount: subBill.loyaltyDiscount,
+      grand_total: subBill.grandTotal,
+      payment_method: payment.payment_method,
+      cash_received: cashReceived,
+      change: Math.max(0, cashReceived - subBill.grandTotal),
+      items: subBill.items.map(item => ({
+        dish_id: item.dish_id ?? null,
+        order_item_id: item.order_item_id ?? item.item_id ?? null,
+        quantity: item.quantity,
+        price: item.price,
+      })),
+    };
+  }),
+});
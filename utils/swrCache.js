@@ -0,0 +1,303 @@
+/**
+ * Stale-While-Revalidate Response Cache
+ * Caches read-only API responses per endpoint policy, persists them in IndexedDB and shares
+ * them across tabs via BroadcastChannel
+ *
+ * fresh  (age < freshMs)  → served from cache, no request
+ * stale  (age < staleMs)  → served from cache immediately, refreshed in the background
+ * older / missing         → fetched, then cached
+ *
+ * Entries are dropped when a matching dashboardSync event fires (DISH_UPDATED, ...) or when
+ * a *_management.php mutation that affects them succeeds (see utils/api.js)
+ */
+
+import { createIdbStore } from './indexedDb';
+import { listenForUpdates, UPDATE_EVENTS } from './dashboardSync';
+
+const CACHE_DB_NAME = 'chaikhas_api_cache';
+const CACHE_STORE_NAME = 'responses';
+const CACHE_CHANNEL_NAME = 'chaikhas_api_cache';
+const MAX_MEMORY_ENTRIES = 200;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Cache policies by resolved endpoint. Only read-only endpoints belong here - a POST to one
+ * of them is treated as a read (get_*.php are called with POST throughout the app).
+ * - freshMs: serve from cache without a request
+ * - staleMs: serve from cache and revalidate in the background (0 = never serve stale)
+ * - events: dashboardSync events that invalidate the endpoint
+ * - mutatedBy: endpoints whose successful writes invalidate it
+ */
+export const SWR_CACHE_POLICIES = {
+  'api/get_categories.php': {
+    freshMs: MINUTE,
+    staleMs: 24 * HOUR,
+    events: [UPDATE_EVENTS.CATEGORY_UPDATED],
+    mutatedBy: ['api/category_management.php'],
+  },
+  'api/get_products.php': {
+    freshMs: MINUTE,
+    staleMs: 24 * HOUR,
+    events: [UPDATE_EVENTS.DISH_UPDATED, UPDATE_EVENTS.CATEGORY_UPDATED],
+    mutatedBy: ['api/dishes_management.php', 'api/category_management.php'],
+  },
+  'api/get_kitchens.php': {
+    freshMs: 5 * MINUTE,
+    staleMs: 24 * HOUR,
+    events: [],
+    mutatedBy: ['api/kitchen_management.php'],
+  },
+  'api/get_halls.php': {
+    freshMs: 30 * 1000,
+    staleMs: HOUR,
+    events: [UPDATE_EVENTS.TABLE_UPDATED],
+    mutatedBy: ['api/hall_management.php'],
+  },
+  // Table status follows orders, so keep it short-lived and drop it on order changes too.
+  // Never served stale: pages poll for the current status, and a stale hit would always show them
+  // the previous poll while the background refresh goes nowhere.
+  'api/get_tables.php': {
+    freshMs: 5 * 1000,
+    staleMs: 0,
+    events: [
+      UPDATE_EVENTS.TABLE_UPDATED,
+      UPDATE_EVENTS.ORDER_CREATED,
+      UPDATE_EVENTS.ORDER_UPDATED,
+      UPDATE_EVENTS.ORDER_STATUS_CHANGED,
+      UPDATE_EVENTS.BILL_PAID,
+    ],
+    mutatedBy: [
+      'api/table_management.php',
+      'api/hall_management.php',
+      'api/create_order_with_kitchen.php',
+      'api/chnageorder_status.php',
+      'api/order_management.php',
+      'api/bills_management.php',
+    ],
+  },
+};
+
+/**
+ * Get the cache policy for a resolved endpoint
+ * @param {string} endpoint - Resolved endpoint (e.g., 'api/get_halls.php')
+ * @returns {Object|null} Policy or null when the endpoint is not cached
+ */
+export const getCachePolicy = (endpoint) => SWR_CACHE_POLICIES[endpoint] || null;
+
+// Short non-cryptographic hash so raw tokens are not written into IndexedDB keys
+const hashString = (value) => {
+  let hash = 5381;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(16);
+};
+
+class SwrCache {
+  constructor() {
+    this.store = createIdbStore(CACHE_DB_NAME, CACHE_STORE_NAME, { keyPath: 'key' });
+    this.memory = new Map();
+    this.revalidating = new Map();
+    this.invalidatedAt = new Map();
+    this.channel = null;
+
+    if (typeof window !== 'undefined') {
+      if (typeof BroadcastChannel !== 'undefined') {
+        this.channel = new BroadcastChannel(CACHE_CHANNEL_NAME);
+        this.channel.onmessage = (event) => this.handleChannelMessage(event.data);
+      }
+
+      // Every tab receives dashboardSync events itself, so no need to rebroadcast these
+      const eventTypes = [...new Set(Object.values(SWR_CACHE_POLICIES).flatMap(policy => policy.events))];
+      listenForUpdates((event) => {
+        const endpoints = Object.keys(SWR_CACHE_POLICIES).filter(
+          endpoint => SWR_CACHE_POLICIES[endpoint].events.includes(event.type)
+        );
+        this.invalidate(endpoints, false);
+      }, eventTypes);
+    }
+  }
+
+  /**
+   * Build the cache key for a request
+   * @param {Object} request - { method, endpoint, params (stable string), token }
+   * @returns {string}
+   */
+  createKey({ method, endpoint, params, token }) {
+    return `${method}:${endpoint}::${params}::${token ? hashString(token) : ''}`;
+  }
+
+  handleChannelMessage(message) {
+    if (!message) return;
+    if (message.type === 'set' && message.entry) {
+      this.remember(message.entry);
+    } else if (message.type === 'invalidate' && Array.isArray(message.endpoints)) {
+      this.forgetEndpoints(message.endpoints);
+    } else if (message.type === 'clear') {
+      this.memory.clear();
+    }
+  }
+
+  remember(entry) {
+    this.memory.delete(entry.key);
+    this.memory.set(entry.key, entry);
+
+    // Prevent unbounded growth during long sessions
+    if (this.memory.size > MAX_MEMORY_ENTRIES) {
+      const oldestKey = this.memory.keys().next().value;
+      if (oldestKey) this.memory.delete(oldestKey);
+    }
+  }
+
+  forgetEndpoints(endpoints) {
+    // IndexedDB removal is async - remember the cut-off so a read in between can't resurrect old data
+    const now = Date.now();
+    endpoints.forEach(endpoint => this.invalidatedAt.set(endpoint, now));
+    for (const [key, entry] of this.memory) {
+      if (endpoints.includes(entry.endpoint)) this.memory.delete(key);
+    }
+  }
+
+  /**
+   * Read an entry from memory, falling back to IndexedDB (e.g., after a reload)
+   * @returns {Promise<Object|null>} { key, endpoint, value, storedAt } or null
+   */
+  async get(key) {
+    const cached = this.memory.get(key);
+    if (cached) return cached;
+
+    try {
+      const stored = await this.store.get(key);
+      if (stored && stored.storedAt > (this.invalidatedAt.get(stored.endpoint) || 0)) {
+        this.remember(stored);
+        return stored;
+      }
+    } catch (error) {
+      console.error('Error reading API cache:', error);
+    }
+    return null;
+  }
+
+  /**
+   * Store a response and share it with other tabs
+   */
+  async set(key, endpoint, value) {
+    const entry = { key, endpoint, value, storedAt: Date.now() };
+    this.remember(entry);
+    if (this.channel) {
+      this.channel.postMessage({ type: 'set', entry });
+    }
+    try {
+      await this.store.put(entry);
+    } catch (error) {
+      console.error('Error writing API cache:', error);
+    }
+  }
+
+  /**
+   * Drop every cached response of the given endpoints in all tabs
+   * @param {Array<string>} endpoints - Resolved endpoints
+   * @param {boolean} broadcast - Tell other tabs (false when they get the same signal themselves)
+   */
+  async invalidate(endpoints, broadcast = true) {
+    if (!endpoints || endpoints.length === 0) return;
+    this.forgetEndpoints(endpoints);
+    if (broadcast && this.channel) {
+      this.channel.postMessage({ type: 'invalidate', endpoints });
+    }
+    try {
+      const entries = await this.store.getAll();
+      await Promise.all(
+        entries.filter(entry => endpoints.includes(entry.endpoint)).map(entry => this.store.remove(entry.key))
+      );
+    } catch (error) {
+      console.error('Error invalidating API cache:', error);
+    }
+  }
+
+  /**
+   * Invalidate the cached endpoints a successful write affects
+   * @param {string} mutationEndpoint - Resolved endpoint that was written to
+   */
+  invalidateForMutation(mutationEndpoint) {
+    const endpoints = Object.keys(SWR_CACHE_POLICIES).filter(
+      endpoint => SWR_CACHE_POLICIES[endpoint].mutatedBy.includes(mutationEndpoint)
+    );
+    return this.invalidate(endpoints);
+  }
+
+  /**
+   * Drop everything (logout)
+   */
+  async clear() {
+    this.memory.clear();
+    if (this.channel) {
+      this.channel.postMessage({ type: 'clear' });
+    }
+    try {
+      await this.store.clear();
+    } catch (error) {
+      console.error('Error clearing API cache:', error);
+    }
+  }
+
+  /**
+   * Serve a request using the stale-while-revalidate policy
+   * @param {Object} request - { key, endpoint, policy, forceRefresh }
+   * @param {Function} fetcher - async () => { success, data, status }; only successful results are cached
+   * @returns {Promise<Object>} Cached or fresh result (stale hits carry stale: true)
+   */
+  async fetch({ key, endpoint, policy, forceRefresh = false }, fetcher) {
+    if (!forceRefresh) {
+      const entry = await this.get(key);
+      if (entry) {
+        const age = Date.now() - entry.storedAt;
+        if (age < policy.freshMs) {
+          return entry.value;
+        }
+        if (age < policy.staleMs) {
+          this.revalidate(key, endpoint, fetcher).catch((error) => {
+            console.error(`Background refresh failed for ${endpoint}:`, error);
+          });
+          return { ...entry.value, stale: true };
+        }
+      }
+    }
+    return this.revalidate(key, endpoint, fetcher);
+  }
+
+  /**
+   * Fetch and cache, sharing one request per key
+   */
+  revalidate(key, endpoint, fetcher) {
+    if (this.revalidating.has(key)) {
+      return this.revalidating.get(key);
+    }
+
+    const startedAt = Date.now();
+    const promise = (async () => {
+      try {
+        const result = await fetcher();
+        // Skip caching if the endpoint was invalidated while this request was in flight
+        const invalidatedSinceStart = (this.invalidatedAt.get(endpoint) || 0) >= startedAt;
+        if (!invalidatedSinceStart && result && result.success && result.status !== 0 && result.data?.success !== false) {
+          // Not awaited: the IndexedDB write must not delay the caller
+          this.set(key, endpoint, result);
+        }
+        return result;
+      } finally {
+        this.revalidating.delete(key);
+      }
+    })();
+
+    this.revalidating.set(key, promise);
+    return promise;
+  }
+}
+
+// Create singleton instance
+const swrCache = new SwrCache();
+
+export default swrCache;
@@ -0,0 +1,121 @@
+/**
+ * Terminal Device Utility
+ * Stores which registered terminal (counter, waiter tablet, kitchen screen) this browser is paired to
+ * Pairing survives logout - it belongs to the device, not the user
+ */
+
+const DEVICE_ID_KEY = 'device_id';
+const PAIRED_TERMINAL_KEY = 'paired_terminal';
+
+/**
+ * Terminal types a super admin can register
+ */
+export const TERMINAL_TYPES = [
+  { value: 'counter', label: 'Counter' },
+  { value: 'waiter_tablet', label: 'Waiter Tablet' },
+  { value: 'kitchen_screen', label: 'Kitchen Screen' },
+];
+
+/**
+ * Get the display label for a terminal type
+ * @param {string} type - Terminal type value
+ * @returns {string} Label (falls back to the raw value)
+ */
+export const getTerminalTypeLabel = (type) => {
+  return TERMINAL_TYPES.find(t => t.value === type)?.label || type || 'Terminal';
+};
+
+const generateDeviceId = () => {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
+};
+
+/**
+ * Get this browser's stable device ID (created on first use)
+ * @returns {string|null} Device ID or null on the server
+ */
+export const getDeviceId = () => {
+  if (typeof window === 'undefined') return null;
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = generateDeviceId();
+    localStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+};
+
+/**
+ * Parse the stored pairing record
+ * @param {string|null} raw - Raw localStorage value
+ * @returns {Object|null} Paired terminal or null
+ */
+export const parsePairedTerminal = (raw) => {
+  try {
+    const stored = JSON.parse(raw || 'null');
+    return stored && stored.terminal_id ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Get the raw stored pairing record (stable string, for useSyncExternalStore)
+ * @returns {string|null}
+ */
+export const getPairedTerminalSnapshot = () => {
+  if (typeof window === 'undefined') return null;
+  return localStorage.getItem(PAIRED_TERMINAL_KEY);
+};
+
+/**
+ * Get the terminal this browser is paired to
+ * @returns {Object|null} { terminal_id, terminal_name, terminal_type, branch_id, paired_at } or null
+ */
+export const getPairedTerminal = () => parsePairedTerminal(getPairedTerminalSnapshot());
+
+/**
+ * Bind this browser to a terminal (after a successful pair_terminal.php call)
+ * Also updates the legacy numeric 'terminal' key so getTerminal() keeps matching
+ * @param {Object} terminal - { terminal_id, terminal_name, terminal_type, branch_id }
+ */
+export const savePairedTerminal = (terminal) => {
+  if (typeof window === 'undefined' || !terminal?.terminal_id) return;
+  localStorage.setItem(PAIRED_TERMINAL_KEY, JSON.stringify({
+    terminal_id: terminal.terminal_id,
+    terminal_name: terminal.terminal_name || '',
+    terminal_type: terminal.terminal_type || '',
+    branch_id: terminal.branch_id ?? null,
+    paired_at: new Date().toISOString(),
+  }));
+  if (terminal.terminal_number) {
+    localStorage.setItem('terminal', String(terminal.terminal_number));
+  }
+  window.dispatchEvent(new Event('terminalPairingChanged'));
+};
+
+/**
+ * Forget the terminal pairing on this browser
+ */
+export const clearPairedTerminal = () => {
+  if (typeof window === 'undefined') return;
+  localStorage.removeItem(PAIRED_TERMINAL_KEY);
+  window.dispatchEvent(new Event('terminalPairingChanged'));
+};
+
+/**
+ * Terminal metadata attached to every apiPost body (as terminal_meta)
+ * @returns {Object|null} { device_id, terminal_id, terminal_name, terminal_type } or null on the server
+ */
+export const getTerminalMetadata = () => {
+  const deviceId = getDeviceId();
+  if (!deviceId) return null;
+  const terminal = getPairedTerminal();
+  return {
+    device_id: deviceId,
+    terminal_id: terminal?.terminal_id ?? null,
+    terminal_name: terminal?.terminal_name ?? null,
+    terminal_type: terminal?.terminal_type ?? null,
+  };
+};